@@ -9,7 +9,9 @@ import { renderSummary, clearSummary } from './components/summary.js';
 import { renderCharts, clearCharts, showChartsSection } from './components/chart.js';
 import { initAdvancedSettings, getConfig } from './components/advancedSettings.js';
 import { renderDisclaimers, initializeDisclaimers } from './components/disclaimer.js';
+import { renderRollingBacktest, clearRollingBacktest } from './components/rollingBacktest.js';
 import { compareStrategies, compareAnyStrategies } from './calculators/comparisonEngine.js';
+import { runRollingComparison } from './calculators/rollingBacktest.js';
 import { DEFAULTS } from './config/defaults.js';
 
 /**
@@ -41,12 +43,13 @@ async function handleCalculation(inputs, shouldScroll = true) {
     clearResults();
     clearSummary();
     clearCharts();
+    clearRollingBacktest();
 
     // Small delay to allow UI to update
     await new Promise(resolve => setTimeout(resolve, 10));
 
-    // Get fee configuration from advanced settings
-    const config = getConfig();
+    // Get fee and other income configuration from advanced settings, plus any target net income
+    const config = { ...getConfig(inputs.startYear), targetNetIncome: inputs.targetNetIncome ?? null };
 
     // Determine which comparison to use
     let comparison;
@@ -86,6 +89,14 @@ async function handleCalculation(inputs, shouldScroll = true) {
         'start_year': inputs.startYear,
         'pension_amount': inputs.pensionAmount,
         'withdrawal_rate': inputs.withdrawalRate,
+        'target_net_income': config.targetNetIncome,
+        'other_income': config.otherIncome.length > 0,
+        'state_pension': config.statePension !== null,
+        'tax_residency': config.taxResidency,
+        'crystallisation_mode': config.crystallisationMode,
+        'gold_phasing_rule': config.goldPhasingRule,
+        'gold_product': config.goldProduct,
+        'silver_product': config.silverProduct,
         'years': inputs.years,
         'adjust_for_inflation': config.adjustForInflation
       });
@@ -98,6 +109,22 @@ async function handleCalculation(inputs, shouldScroll = true) {
     // Render summary
     renderSummary(comparison);
 
+    // Render the same comparison for every feasible start year
+    if (inputs.strategy1 && inputs.strategy2) {
+      const rolling = runRollingComparison(
+        inputs.strategy1,
+        inputs.strategy2,
+        inputs.pensionAmount,
+        inputs.withdrawalRate,
+        inputs.years,
+        config
+      );
+      renderRollingBacktest(rolling, {
+        strategy1: comparison.strategy1.type,
+        strategy2: comparison.strategy2.type
+      });
+    }
+
     // Render strategy-specific disclaimers
     renderDisclaimers(
       'disclaimers-content',
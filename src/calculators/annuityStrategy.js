@@ -0,0 +1,281 @@
+/**
+ * Annuity Strategy Calculator
+ *
+ * Simulates buying a lifetime annuity with the pension at the start year:
+ * the 25% pension commencement lump sum (PCLS) is taken tax-free and the rest
+ * buys a single-life annuity at that year's market rate. Unlike the drawdown
+ * strategies there is no pot left to invest or run out: the income is
+ * guaranteed for life and nothing is left when it stops.
+ *
+ * Key characteristics:
+ * - The annuity rate depends on the year of purchase, the age at purchase
+ *   (config.ageAtStart) and whether the income is level or RPI-linked
+ *   (config.annuityType); see the annuityRates data
+ * - The PCLS is 25% of the pension within the Lifetime or Lump Sum Allowance
+ *   and is paid out in the start year. The LTA charge on funds above the
+ *   Lifetime Allowance is not modelled, as for the SIPP strategies
+ * - Annuity income is paid through the year and taxed in full as income on
+ *   top of any other income (no part of it is tax-free)
+ * - RPI-linked income follows the RPI index from the year of purchase, so it
+ *   fell slightly after the negative RPI of 2009
+ * - The withdrawal rate and any net income target do not apply: the income is
+ *   what the annuity pays. The State Pension is taxed alongside it as other
+ *   income
+ * - Monte Carlo paths resample the RPI uprating but not the annuity rate,
+ *   which is always the historical rate for the year of purchase
+ *
+ * @module annuityStrategy
+ */
+
+import { getAnnuityRate, ANNUITY_TYPES } from '../data/annuityRates.js';
+import { getRpiMultiplier } from '../data/ukRpi.js';
+import { calculateIncomeTax } from './taxCalculator.js';
+import { resolveIncomeSources, getOtherIncome } from './otherIncome.js';
+import { createAllowanceUsage, crystallisePension } from './pensionAllowances.js';
+import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { ANNUITY, STATE_PENSION, TAX, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Annuity bought with a pension
+ * @typedef {Object} AnnuityPurchase
+ * @property {number} year - Year of purchase
+ * @property {number} grossPension - Pension used (PCLS and purchase price)
+ * @property {number} pclsAmount - Tax-free lump sum taken at purchase
+ * @property {number} purchasePrice - Amount used to buy the annuity
+ * @property {string} annuityType - 'level' or 'rpi'
+ * @property {number} ageAtPurchase - Age when the annuity is bought
+ * @property {number} annuityRate - First-year income as a percentage of the purchase price
+ * @property {number} annualIncome - First-year gross income
+ * @property {Object} allowanceUsage - Tax-free cash allowance used including the PCLS (see pensionAllowances)
+ */
+
+/**
+ * Yearly result for the annuity strategy
+ * @typedef {Object} AnnuityYearResult
+ * @property {number} year - The year
+ * @property {number} age - Age during the year
+ * @property {number} startValueGbp - Pension value at start of year (always 0: the pension has been spent)
+ * @property {number} incomeMultiplier - Income relative to the first year (1 for a level annuity)
+ * @property {number} grossIncome - Annuity income paid in the year
+ * @property {number} taxOnIncome - Income tax on the annuity (marginal tax on top of other income)
+ * @property {number} netIncome - Annuity income after tax
+ * @property {number} pclsPaid - Tax-free lump sum paid this year (year of purchase only)
+ * @property {number} netWithdrawal - Net cash received (annuity income after tax plus any PCLS)
+ * @property {number} endValueGbp - Pension value at end of year (always 0)
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {string} status - Always 'active': the income is paid for life
+ */
+
+/**
+ * Annuity strategy result
+ * @typedef {Object} AnnuityStrategyResult
+ * @property {AnnuityPurchase} purchase - The annuity bought at the start year
+ * @property {AnnuityYearResult[]} yearlyResults - Year-by-year breakdown
+ * @property {Object} summary - Summary statistics
+ * @property {string} annuityType - 'level' or 'rpi'
+ * @property {string} taxResidency - Tax residency the income was taxed under
+ */
+
+/**
+ * Calculate the annuity strategy outcome
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year the annuity is bought
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (validated, but the annuity sets the income)
+ * @param {number} years - Number of years to simulate
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {string} [config.annuityType='level'] - 'level' or 'rpi' (income rises with RPI)
+ * @param {number} [config.ageAtStart=60] - Age in the start year (sets the annuity rate)
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @returns {AnnuityStrategyResult} Complete strategy results
+ * @throws {Error} If inputs are invalid or no annuity rate is available
+ *
+ * @example
+ * // RPI-linked annuity bought at 65 in 2000
+ * const result = calculateAnnuityStrategy(500000, 2000, 4, 25, { annuityType: 'rpi', ageAtStart: 65 });
+ * console.log(result.purchase.annualIncome, result.summary.totalNetIncome);
+ */
+export function calculateAnnuityStrategy(pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const costs = resolveAnnuityCosts(config, startYear);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years);
+
+  // Step 1: Take the PCLS and buy the annuity with the rest
+  const purchase = calculateAnnuityPurchase(pensionAmount, startYear, costs.ageAtStart, costs.annuityType);
+
+  // Step 2: Pay the income each year
+  const yearlyResults = [];
+  for (let i = 0; i < years; i++) {
+    const yearResult = calculateAnnuityYear(purchase, startYear + i, costs);
+    if (i === 0) {
+      yearResult.pclsPaid = purchase.pclsAmount;
+      yearResult.netWithdrawal += purchase.pclsAmount;
+    }
+    yearlyResults.push(yearResult);
+  }
+
+  // Step 3: Assemble result and summary
+  return {
+    purchase,
+    yearlyResults,
+    summary: calculateSummary(pensionAmount, purchase, yearlyResults),
+    annuityType: costs.annuityType,
+    taxResidency: costs.taxResidency
+  };
+}
+
+/**
+ * Merge optional annuity strategy settings with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} Annuity strategy settings
+ * @throws {Error} If the annuity type is not recognised
+ */
+export function resolveAnnuityCosts(config = {}, startYear) {
+  const annuityType = config.annuityType ?? ANNUITY.type;
+
+  if (!Object.values(ANNUITY_TYPES).includes(annuityType)) {
+    throw new Error(`Unknown annuity type: ${annuityType}. Valid types: ${Object.values(ANNUITY_TYPES).join(', ')}`);
+  }
+
+  return {
+    annuityType,
+    ageAtStart: config.ageAtStart ?? STATE_PENSION.ageAtStart,
+    otherIncome: resolveIncomeSources(config, startYear),
+    taxResidency: config.taxResidency ?? TAX.residency
+  };
+}
+
+/**
+ * Take the tax-free lump sum from a pension and buy an annuity with the rest
+ *
+ * @param {number} pensionAmount - Pension used, in GBP
+ * @param {number} year - Year of purchase
+ * @param {number} ageAtPurchase - Age when the annuity is bought
+ * @param {string} annuityType - 'level' or 'rpi'
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier withdrawals (default: none)
+ * @returns {AnnuityPurchase} The annuity bought
+ * @throws {Error} If no annuity rate is available for the year, age or type
+ *
+ * @example
+ * const purchase = calculateAnnuityPurchase(400000, 2024, 65, 'level');
+ * purchase.pclsAmount;   // £100,000
+ * purchase.annualIncome; // £300,000 × 7.0% = £21,000
+ */
+export function calculateAnnuityPurchase(pensionAmount, year, ageAtPurchase, annuityType, allowanceUsage = createAllowanceUsage()) {
+  const annuityRate = getAnnuityRate(year, ageAtPurchase, annuityType);
+  const crystallisation = crystallisePension(pensionAmount, year, allowanceUsage);
+  const purchasePrice = pensionAmount - crystallisation.taxFreeAmount;
+
+  return {
+    year,
+    grossPension: pensionAmount,
+    pclsAmount: crystallisation.taxFreeAmount,
+    purchasePrice,
+    annuityType,
+    ageAtPurchase,
+    annuityRate,
+    annualIncome: purchasePrice * (annuityRate / 100),
+    allowanceUsage: crystallisation.allowanceUsage
+  };
+}
+
+/**
+ * Pay a year's annuity income and the tax on it
+ *
+ * @param {AnnuityPurchase} purchase - The annuity bought
+ * @param {number} year - The year to simulate
+ * @param {Object} costs - Annuity strategy settings (see resolveAnnuityCosts)
+ * @returns {AnnuityYearResult} The year's result (no PCLS)
+ */
+export function calculateAnnuityYear(purchase, year, costs) {
+  const incomeMultiplier = purchase.annuityType === ANNUITY_TYPES.RPI_LINKED
+    ? getRpiMultiplier(purchase.year, year)
+    : 1;
+  const grossIncome = purchase.annualIncome * incomeMultiplier;
+
+  // Annuity income is taxable in full, on top of any other income
+  const taxResult = calculateIncomeTax(
+    grossIncome, year, false, getOtherIncome(costs.otherIncome, year), costs.taxResidency
+  );
+
+  return {
+    year,
+    age: purchase.ageAtPurchase + (year - purchase.year),
+    startValueGbp: 0,
+    incomeMultiplier,
+    grossIncome,
+    taxOnIncome: taxResult.taxPaid,
+    netIncome: taxResult.netIncome,
+    pclsPaid: 0,
+    netWithdrawal: taxResult.netIncome,
+    endValueGbp: 0,
+    otherIncome: taxResult.otherIncome,
+    otherIncomeTax: taxResult.otherIncomeTax,
+    status: 'active'
+  };
+}
+
+/**
+ * Validate all inputs
+ */
+function validateInputs(pensionAmount, startYear, withdrawalRate, years) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+
+  const endYear = startYear + years - 1;
+  if (endYear > YEAR_RANGE.max) {
+    throw new Error(`Not enough data: strategy ends in ${endYear}, but data only available until ${YEAR_RANGE.max}`);
+  }
+}
+
+/**
+ * Calculate summary statistics
+ */
+function calculateSummary(pensionAmount, purchase, yearlyResults) {
+  const sumOf = key => yearlyResults.reduce((sum, r) => sum + r[key], 0);
+
+  const totalWithdrawn = sumOf('netWithdrawal');
+
+  return {
+    initialInvestment: pensionAmount,
+    pclsAmount: purchase.pclsAmount,
+    purchasePrice: purchase.purchasePrice,
+    annuityRate: purchase.annuityRate,
+    initialAnnualIncome: purchase.annualIncome,
+    totalGrossIncome: sumOf('grossIncome'),
+    totalTaxPaid: sumOf('taxOnIncome'),
+    totalNetIncome: sumOf('netIncome'),
+    totalWithdrawn,
+    // Nothing is left when the income stops
+    finalValue: 0,
+    totalValueRealized: totalWithdrawn,
+    activeYears: yearlyResults.length,
+    yearDepleted: null,
+    yearExhausted: null,
+    strategySuccessful: true
+  };
+}
+
+export default {
+  calculateAnnuityStrategy,
+  resolveAnnuityCosts,
+  calculateAnnuityPurchase,
+  calculateAnnuityYear
+};
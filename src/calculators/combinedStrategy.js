@@ -1,33 +1,139 @@
 /**
  * Combined Strategy Calculator
  *
- * Calculates 50/50 split strategies where pension is divided equally
- * between two different base strategies.
+ * Calculates weighted portfolio strategies where the pension is divided
+ * between two or more base strategies. Covers both the built-in 50/50
+ * combinations and user-defined custom portfolios.
  *
  * Key characteristics:
- * - Initial pension split 50/50 between two strategies
- * - Each half follows its own strategy rules independently
- * - Annual withdrawals come from each half proportionally
+ * - Initial pension split according to each component's weight
+ * - Each component follows its own strategy rules (fees, tax, withdrawals)
+ * - Annual withdrawals come from each component in proportion to its weight
+ * - Components are simulated year by year in lockstep so the portfolio can
+ *   optionally be rebalanced back to its target weights
  * - Results are merged for a combined view
  *
+ * Tax (one person):
+ * All components belong to the same taxpayer, so every pension withdrawal in a
+ * tax year - gold components' initial withdrawal, SIPP drawdown and any value
+ * rebalanced out of the SIPP wrapper - is summed and taxed once with a single
+ * personal allowance and set of bands. The tax is then attributed back to each
+ * component in proportion to its gross withdrawal. Other taxable income
+ * (config.otherIncome) is stacked underneath, so the withdrawals bear the
+ * marginal tax on top of it. Tax-free cash used against the Lifetime or Lump
+ * Sum Allowance is tracked for the household across years.
+ *
+ * Target net income (config.targetNetIncome):
+ * The target is shared between components by weight. Gold components sell
+ * enough gold to cover their share after dealer costs; SIPP drawdown is
+ * grossed up so that, after its share of the household tax, the SIPP
+ * components deliver theirs. From State Pension Age the State Pension (after
+ * its tax) pays for part of the target and only the rest is shared out.
+ *
+ * Rebalancing (config.rebalanceMode):
+ * - 'never' (default): components drift independently
+ * - 'annual': restore target weights on Jan 1st of every year after the first
+ * - 'threshold': restore target weights only when a component's weight has
+ *   drifted more than config.rebalanceThresholdPercent points from target
+ *
+ * Rebalancing trades happen at Jan 1st prices before that year's fees and
+ * withdrawals. Selling or buying physical gold pays the dealer spread
+ * (goldTransactionPercent), and vaulted gold in the SIPP pays its own
+ * (goldVaultSpreadPercent). Moving value out of a SIPP into physical gold is
+ * a taxable pension withdrawal (25% tax-free), taxed with that year's
+ * drawdown. Moving value from gold into a SIPP is treated as a contribution
+ * with no tax relief modelled. Switches between SIPP funds are free apart
+ * from the vaulted gold spread.
+ *
+ * Gold bars (config.goldProduct 'bars') keep their lots as in the gold
+ * strategy: gold bought by rebalancing is a new lot, and a rebalancing sale
+ * realises a gain that is taxed with the rest of that year's gold sales.
+ *
  * @module combinedStrategy
  */
 
-import { calculateGoldStrategy } from './goldStrategy.js';
-import { calculateSippStrategy, INDEX_TYPES } from './sippStrategy.js';
-import { COMBINATION_STRATEGIES, BASE_STRATEGIES } from './strategyRegistry.js';
+import {
+  resolveGoldCosts,
+  calculateInitialGoldPosition,
+  calculateGoldYear,
+  createGoldGains,
+  buildGoldStrategyResult
+} from './goldStrategy.js';
+import { calculateDisposal } from './investmentTax.js';
+import {
+  resolveSippCosts,
+  calculateInitialInvestment,
+  calculateSippYear,
+  getDealingSpread,
+  buildSippStrategyResult,
+  INDEX_TYPES,
+  CRYSTALLISATION_MODES
+} from './sippStrategy.js';
+import { getSyntheticPrice } from './syntheticEtf.js';
+import { apportionIncomeTax, calculateGrossForNetIncome } from './taxCalculator.js';
+import { COMBINATION_STRATEGIES, BASE_STRATEGIES, STRATEGY_TYPES, getStrategy } from './strategyRegistry.js';
+import { getGoldPrice } from '../data/goldPrices.js';
+import { getOtherIncome, getNetStatePension } from './otherIncome.js';
+import { createAllowanceUsage } from './pensionAllowances.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
 import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { REBALANCING } from '../config/defaults.js';
+
+/**
+ * Supported rebalancing modes
+ */
+export const REBALANCE_MODES = {
+  NEVER: 'never',
+  ANNUAL: 'annual',
+  THRESHOLD: 'threshold'
+};
+
+/**
+ * Component entry within a combined year
+ * @typedef {Object} CombinedComponentYear
+ * @property {string} id - Base strategy ID
+ * @property {string} status - Component status for the year
+ * @property {Object} raw - The component's own yearly result
+ */
+
+/**
+ * Rebalancing trade
+ * @typedef {Object} RebalanceTrade
+ * @property {string} id - Component strategy ID
+ * @property {string} action - 'sell' or 'buy'
+ * @property {number} amount - Value sold, or cash applied to the purchase, in GBP
+ */
+
+/**
+ * Rebalancing record for a year
+ * @typedef {Object} RebalanceResult
+ * @property {number} year - The year
+ * @property {boolean} triggered - Whether a rebalance was carried out
+ * @property {number} maxDrift - Largest weight drift from target, in percentage points
+ * @property {RebalanceTrade[]} trades - Sells and buys carried out
+ * @property {number} pensionWithdrawal - Value moved out of the SIPP wrapper into physical gold (taxable)
+ * @property {number} spreadCost - Gold dealer spread paid on rebalancing trades
+ * @property {number} taxPaid - Income tax on value moved out of the pension wrapper
+ * @property {number} totalCost - spreadCost + taxPaid
+ */
 
 /**
  * Combined yearly result
  * @typedef {Object} CombinedYearResult
  * @property {number} year - The year
- * @property {Object} strategyA - Results from first strategy
- * @property {Object} strategyB - Results from second strategy
- * @property {number} combinedStartValue - Total start value (both strategies)
- * @property {number} combinedWithdrawal - Total net withdrawal (both strategies)
- * @property {number} combinedEndValue - Total end value (both strategies)
- * @property {string} status - 'active', 'partial' (one exhausted), or 'exhausted'
+ * @property {CombinedComponentYear[]} components - Per-component results, in portfolio order
+ * @property {Object} strategyA - Results from first component (legacy alias)
+ * @property {Object} strategyB - Results from second component (legacy alias)
+ * @property {number} combinedStartValue - Total start value (all components, after any rebalancing)
+ * @property {number} combinedWithdrawal - Total net withdrawal (all components)
+ * @property {number} combinedEndValue - Total end value (all components)
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {RebalanceResult|null} rebalancing - Rebalancing carried out at the start of the year
+ * @property {Object} householdTax - Tax on all of the year's pension withdrawals taxed together
+ * @property {number} householdTax.grossIncome - Total taxable pension withdrawals
+ * @property {number} householdTax.taxPaid - Total income tax on the withdrawals (on top of any other income)
+ * @property {string} status - 'active', 'partial' (some exhausted), 'depleted' or 'exhausted'
  */
 
 /**
@@ -35,8 +141,10 @@ import { isValidYear, isValidAmount } from '../utils/validators.js';
  * @typedef {Object} CombinedStrategyResult
  * @property {string} combinationId - The combination strategy ID
  * @property {string} combinationName - Human-readable name
- * @property {Object} strategyA - Full results from first strategy
- * @property {Object} strategyB - Full results from second strategy
+ * @property {Object[]} components - Full results for each component with weight and allocation
+ * @property {Object} strategyA - Full results from first component (legacy alias)
+ * @property {Object} strategyB - Full results from second component (legacy alias)
+ * @property {Object} rebalancing - Rebalancing settings used
  * @property {CombinedYearResult[]} yearlyResults - Merged year-by-year breakdown
  * @property {Object} summary - Combined summary statistics
  */
@@ -48,25 +156,44 @@ const STRATEGY_TO_INDEX = {
   sp500: INDEX_TYPES.SP500,
   nasdaq100: INDEX_TYPES.NASDAQ100,
   ftse100: INDEX_TYPES.FTSE100,
-  usTreasury: INDEX_TYPES.US_TREASURY
+  ftse250: INDEX_TYPES.FTSE250,
+  ftseAllShare: INDEX_TYPES.FTSE_ALL_SHARE,
+  msciWorld: INDEX_TYPES.MSCI_WORLD,
+  goldEtf: INDEX_TYPES.GOLD_ETF,
+  usTreasury: INDEX_TYPES.US_TREASURY,
+  goldVault: INDEX_TYPES.GOLD_VAULT,
+  silverEtf: INDEX_TYPES.SILVER_ETF,
+  cash: INDEX_TYPES.CASH,
+  gilts: INDEX_TYPES.UK_GILTS,
+  longGilts: INDEX_TYPES.UK_LONG_GILTS,
+  indexLinkedGilts: INDEX_TYPES.UK_INDEX_LINKED_GILTS
 };
 
 /**
- * Calculate a base strategy
+ * Open a component's initial position
+ *
+ * SIPP components buy ETF units inside the wrapper. Gold components start
+ * empty: their allocation is withdrawn and taxed with the rest of the first
+ * year's income, then invested by fundGoldComponent.
  *
- * @param {string} strategyId - The strategy ID (gold, sp500, nasdaq100, ftse100)
- * @param {number} pensionAmount - Amount allocated to this strategy
+ * @param {string} strategyId - The strategy ID (gold, goldEtf, goldVault, silverEtf, sp500, nasdaq100, ftse100, ftse250,
+ *   ftseAllShare, msciWorld, usTreasury, cash, gilts, longGilts, indexLinkedGilts)
+ * @param {number} amount - Amount allocated to this component
  * @param {number} startYear - Year to start
- * @param {number} withdrawalRate - Withdrawal rate percentage
- * @param {number} years - Number of years to simulate
- * @param {Object} [config={}] - Optional configuration overrides for fees
- * @returns {Object} Strategy result
+ * @param {Object} config - Fee configuration
+ * @returns {Object} Mutable component state
  */
-function calculateBaseStrategy(strategyId, pensionAmount, startYear, withdrawalRate, years, config = {}) {
+function openComponent(strategyId, amount, startYear, config) {
   if (strategyId === 'gold') {
     return {
+      id: strategyId,
       type: 'gold',
-      result: calculateGoldStrategy(pensionAmount, startYear, withdrawalRate, years, config)
+      amount,
+      costs: resolveGoldCosts(config, startYear),
+      position: null,
+      holdings: 0,
+      gains: null,
+      yearlyResults: []
     };
   }
 
@@ -75,98 +202,415 @@ function calculateBaseStrategy(strategyId, pensionAmount, startYear, withdrawalR
     throw new Error(`Unknown strategy ID: ${strategyId}`);
   }
 
+  // Portfolio components take tax-free cash with each withdrawal (household tax is UFPLS)
+  const costs = { ...resolveSippCosts(config, startYear), crystallisationMode: CRYSTALLISATION_MODES.UFPLS };
+  const position = calculateInitialInvestment(amount, startYear, indexType, costs);
   return {
+    id: strategyId,
     type: 'sipp',
-    result: calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, indexType, config)
+    indexType,
+    amount,
+    costs,
+    spreadRate: getDealingSpread(indexType, costs),
+    position,
+    holdings: position.units,
+    yearlyResults: []
   };
 }
 
 /**
- * Extract yearly values from a strategy result for merging
+ * Withdraw a gold component's allocation and buy gold with what is left after tax
+ *
+ * @param {Object} component - Gold component state from openComponent
+ * @param {number} startYear - Year of withdrawal and purchase
+ * @param {Object} taxResult - Tax attributed to the withdrawal
+ */
+function fundGoldComponent(component, startYear, taxResult) {
+  component.position = calculateInitialGoldPosition(component.amount, startYear, component.costs, taxResult);
+  component.holdings = component.position.goldPurchase.goldOunces;
+  component.gains = createGoldGains(component.costs, [
+    { year: startYear, units: component.holdings, cost: component.position.goldPurchase.grossAmount }
+  ]);
+}
+
+/**
+ * Get the Jan 1st price of one unit (ounce or ETF unit) of a component
+ */
+function getComponentPrice(component, year) {
+  return component.type === 'gold'
+    ? getGoldPrice(year)
+    : getSyntheticPrice(year, component.indexType);
+}
+
+/**
+ * Simulate one year for a component and record the result
+ *
+ * @param {Object} component - Component state from openComponent
+ * @param {number} year - The year
+ * @param {number} targetWithdrawal - This component's withdrawal target for the year
+ */
+function stepComponent(component, year, targetWithdrawal) {
+  const yearResult = component.type === 'gold'
+    ? calculateGoldYear(component.holdings, year, targetWithdrawal, component.costs, component.gains)
+    : calculateSippYear(component.holdings, year, targetWithdrawal, component.indexType, component.costs);
+
+  component.holdings = component.type === 'gold' ? yearResult.endGoldOunces : yearResult.endUnits;
+  if (component.gains) {
+    component.gains = { lots: yearResult.lots, lossesCarriedForward: yearResult.lossesCarriedForward, gainAlreadyRealised: 0 };
+  }
+  component.yearlyResults.push(yearResult);
+  return yearResult;
+}
+
+/**
+ * Build a component's full strategy result once all years are simulated
+ *
+ * @param {Object} component - Component state
+ * @param {number} annualWithdrawal - Component's first-year withdrawal target
+ * @returns {Object} Strategy wrapper with type and result
+ */
+function finishComponent(component, annualWithdrawal) {
+  const result = component.type === 'gold'
+    ? buildGoldStrategyResult(component.amount, component.position, component.yearlyResults, annualWithdrawal)
+    : buildSippStrategyResult(
+      component.amount, component.position, component.yearlyResults, annualWithdrawal, component.indexType,
+      component.costs.taxResidency
+    );
+
+  return { type: component.type, result };
+}
+
+/**
+ * Resolve rebalancing settings from config
+ *
+ * @param {Object} config - Configuration
+ * @returns {Object} Rebalancing mode and threshold
+ * @throws {Error} If the mode is not recognised
+ */
+function resolveRebalancing(config) {
+  const mode = config.rebalanceMode ?? REBALANCING.mode;
+  const thresholdPercent = config.rebalanceThresholdPercent ?? REBALANCING.thresholdPercent;
+  const validModes = Object.values(REBALANCE_MODES);
+
+  if (!validModes.includes(mode)) {
+    throw new Error(`Unknown rebalance mode: ${mode}. Valid modes: ${validModes.join(', ')}`);
+  }
+
+  if (typeof thresholdPercent !== 'number' || thresholdPercent < 0) {
+    throw new Error('Rebalance threshold must be a non-negative number');
+  }
+
+  return { mode, thresholdPercent };
+}
+
+/**
+ * Rebalance components back to their target weights at Jan 1st prices
  *
- * @param {Object} strategyWrapper - The strategy wrapper with type and result
- * @returns {Object[]} Normalized yearly data
+ * Each seller's proceeds are shared between buyers in proportion to their
+ * shortfall. SIPP purchases are made straight away. Gold purchases wait for
+ * settleGoldPurchases, because value moving from a SIPP into physical gold is
+ * a pension withdrawal whose tax depends on the rest of the year's income.
+ * Gold trades pay the dealer spread both ways.
+ *
+ * @param {Object[]} components - Component states (holdings are updated in place)
+ * @param {number[]} weights - Target weights (fractions summing to 1)
+ * @param {number} year - The year
+ * @param {Object} rebalancing - Rebalancing settings
+ * @param {number} goldSpreadRate - Gold dealer spread as a fraction
+ * @returns {{record: RebalanceResult, goldPurchases: Object[]}} Rebalancing record and
+ *   pending gold purchases
  */
-function extractYearlyData(strategyWrapper) {
-  const { type, result } = strategyWrapper;
-
-  return result.yearlyResults.map(year => {
-    if (type === 'gold') {
-      return {
-        year: year.year,
-        startValue: year.startValueGbp,
-        withdrawal: year.netWithdrawal,
-        endValue: year.endValueGbp,
-        status: year.status,
-        raw: year
-      };
+function rebalanceComponents(components, weights, year, rebalancing, goldSpreadRate) {
+  const prices = components.map(c => getComponentPrice(c, year));
+  const values = components.map((c, idx) => c.holdings * prices[idx]);
+  const total = values.reduce((sum, v) => sum + v, 0);
+
+  const record = {
+    year,
+    triggered: false,
+    maxDrift: 0,
+    trades: [],
+    pensionWithdrawal: 0,
+    spreadCost: 0,
+    taxPaid: 0,
+    totalCost: 0
+  };
+  const goldPurchases = [];
+
+  if (total <= 0) return { record, goldPurchases };
+
+  record.maxDrift = Math.max(...values.map((v, idx) => Math.abs(v / total - weights[idx]) * 100));
+  if (rebalancing.mode === REBALANCE_MODES.THRESHOLD && record.maxDrift <= rebalancing.thresholdPercent) {
+    return { record, goldPurchases };
+  }
+
+  const differences = values.map((v, idx) => v - total * weights[idx]);
+  const totalShortfall = differences.reduce((sum, d) => sum + (d < 0 ? -d : 0), 0);
+  if (totalShortfall < 0.01) return { record, goldPurchases };
+
+  record.triggered = true;
+  const inflows = components.map(() => ({ fromGold: 0, fromSipp: 0 }));
+
+  // Sell overweight components and share the proceeds between buyers
+  components.forEach((seller, i) => {
+    const saleValue = differences[i];
+    if (saleValue <= 0) return;
+
+    const spreadRate = seller.type === 'gold' ? goldSpreadRate : seller.spreadRate;
+    seller.holdings -= saleValue / prices[i];
+    if (seller.gains) {
+      realiseGoldGain(seller, saleValue / prices[i], prices[i] * (1 - spreadRate), year);
+    }
+    const spread = saleValue * spreadRate;
+    record.spreadCost += spread;
+    const proceeds = saleValue - spread;
+    record.trades.push({ id: seller.id, action: 'sell', amount: saleValue });
+
+    components.forEach((buyer, j) => {
+      if (differences[j] >= 0) return;
+      const share = proceeds * (-differences[j] / totalShortfall);
+      if (seller.type === 'gold') {
+        inflows[j].fromGold += share;
+      } else {
+        inflows[j].fromSipp += share;
+      }
+    });
+  });
+
+  // Buy underweight SIPP components now; gold purchases wait for the year's tax
+  components.forEach((buyer, j) => {
+    const cash = inflows[j].fromGold + inflows[j].fromSipp;
+    if (cash <= 0) return;
+
+    if (buyer.type === 'gold') {
+      record.pensionWithdrawal += inflows[j].fromSipp;
+      goldPurchases.push({ index: j, cash, fromSipp: inflows[j].fromSipp, price: prices[j] });
     } else {
-      // SIPP
-      return {
-        year: year.year,
-        startValue: year.startValueGbp,
-        withdrawal: year.netWithdrawal,
-        endValue: year.endValueGbp,
-        status: year.status,
-        raw: year
-      };
+      const spread = cash * buyer.spreadRate;
+      record.trades.push({ id: buyer.id, action: 'buy', amount: cash });
+      record.spreadCost += spread;
+      buyer.holdings += (cash - spread) / prices[j];
     }
   });
+
+  record.totalCost = record.spreadCost;
+  return { record, goldPurchases };
 }
 
 /**
- * Merge yearly results from two strategies
+ * Take bars sold by rebalancing out of a gold component's lots; the gain is
+ * taxed with the component's other sales that year
  *
- * @param {Object[]} yearlyA - Yearly data from strategy A
- * @param {Object[]} yearlyB - Yearly data from strategy B
- * @returns {CombinedYearResult[]} Merged yearly results
+ * @param {Object} component - Gold component state (gains are updated in place)
+ * @param {number} ounces - Ounces sold
+ * @param {number} salePrice - Price per ounce after the dealer spread
+ * @param {number} year - Tax year of the sale
  */
-function mergeYearlyResults(yearlyA, yearlyB) {
-  const merged = [];
-
-  for (let i = 0; i < yearlyA.length; i++) {
-    const a = yearlyA[i];
-    const b = yearlyB[i];
-
-    // Determine combined status
-    let status = 'active';
-    if (a.status === 'exhausted' && b.status === 'exhausted') {
-      status = 'exhausted';
-    } else if (a.status === 'depleted' && b.status === 'depleted') {
-      status = 'depleted';
-    } else if (a.status === 'exhausted' || b.status === 'exhausted' ||
-               a.status === 'depleted' || b.status === 'depleted') {
-      status = 'partial';
+function realiseGoldGain(component, ounces, salePrice, year) {
+  const disposal = calculateDisposal(component.gains.lots, ounces, salePrice, year);
+  component.gains = {
+    ...component.gains,
+    lots: disposal.lots,
+    gainAlreadyRealised: component.gains.gainAlreadyRealised + disposal.gain
+  };
+}
+
+/**
+ * Complete a rebalance's gold purchases once tax on the value leaving the
+ * pension wrapper is known
+ *
+ * @param {Object[]} components - Component states (gold holdings are updated in place)
+ * @param {RebalanceResult} record - Rebalancing record (updated in place)
+ * @param {Object[]} goldPurchases - Pending purchases from rebalanceComponents
+ * @param {number} taxPaid - Tax attributed to record.pensionWithdrawal
+ * @param {number} goldSpreadRate - Gold dealer spread as a fraction
+ */
+function settleGoldPurchases(components, record, goldPurchases, taxPaid, goldSpreadRate) {
+  record.taxPaid = taxPaid;
+
+  goldPurchases.forEach(({ index, cash, fromSipp, price }) => {
+    const afterTax = cash - taxPaid * (record.pensionWithdrawal > 0 ? fromSipp / record.pensionWithdrawal : 0);
+    const spread = afterTax * goldSpreadRate;
+    record.trades.push({ id: components[index].id, action: 'buy', amount: afterTax });
+    record.spreadCost += spread;
+    const ounces = (afterTax - spread) / price;
+    components[index].holdings += ounces;
+    if (components[index].gains) {
+      components[index].gains.lots = [...components[index].gains.lots, { year: record.year, units: ounces, cost: afterTax }];
     }
+  });
 
-    merged.push({
-      year: a.year,
-      strategyA: a.raw,
-      strategyB: b.raw,
-      combinedStartValue: a.startValue + b.startValue,
-      combinedWithdrawal: a.withdrawal + b.withdrawal,
-      combinedEndValue: a.endValue + b.endValue,
-      statusA: a.status,
-      statusB: b.status,
-      status
-    });
-  }
+  record.totalCost = record.spreadCost + record.taxPaid;
+}
 
-  return merged;
+/**
+ * Tax the year's pension withdrawals together and attribute the tax back
+ *
+ * Taxable withdrawals are gold components' initial withdrawal (first year
+ * only), SIPP drawdown and value rebalanced out of the SIPP wrapper. SIPP
+ * year results are updated with their share of the tax and the household's
+ * allowance usage.
+ *
+ * @param {Object[]} components - Component states
+ * @param {Object[]} yearResults - This year's results (SIPP components only so far)
+ * @param {number} year - The year
+ * @param {boolean} isFirstYear - Whether this is the strategy's start year
+ * @param {number} rebalanceWithdrawal - Value rebalanced out of the SIPP wrapper this year
+ * @param {number} otherIncome - Other taxable income stacked underneath the withdrawals
+ * @param {string} residency - Tax residency
+ * @param {Object} allowanceUsage - Tax-free cash allowance used in earlier years
+ * @returns {Object} Combined tax result, each component's tax share and the rebalancing tax share
+ */
+function applyHouseholdTax(components, yearResults, year, isFirstYear, rebalanceWithdrawal, otherIncome, residency, allowanceUsage) {
+  const componentGross = components.map((component, idx) => {
+    if (component.type === 'gold') return isFirstYear ? component.amount : 0;
+    return yearResults[idx].grossWithdrawal;
+  });
+
+  const { total, shares } = apportionIncomeTax(
+    [...componentGross, rebalanceWithdrawal], year, true, otherIncome, residency, allowanceUsage
+  );
+
+  components.forEach((component, idx) => {
+    if (component.type !== 'sipp') return;
+    const yearResult = yearResults[idx];
+    yearResult.taxOnWithdrawal = shares[idx].taxPaid;
+    yearResult.netWithdrawal = yearResult.grossWithdrawal - shares[idx].taxPaid;
+    yearResult.allowanceUsage = total.allowanceUsage;
+  });
+
+  return {
+    total,
+    componentShares: shares.slice(0, components.length),
+    rebalanceShare: shares[components.length]
+  };
+}
+
+/**
+ * Convert SIPP components' net income targets into gross withdrawals
+ *
+ * The SIPP drawdown is taxed with the year's other pension withdrawals and
+ * bears a pro-rata share of the household tax, so the SIPP components'
+ * combined gross is solved for together and shared in proportion to their
+ * targets. Each then nets exactly its target after applyHouseholdTax.
+ *
+ * @param {Object[]} components - Component states
+ * @param {number[]} targets - Net targets for the year (SIPP entries are replaced in place)
+ * @param {number} year - The year
+ * @param {boolean} isFirstYear - Whether gold components' initial withdrawals are taxed this year
+ * @param {number} rebalanceWithdrawal - Value rebalanced out of the SIPP wrapper this year
+ * @param {number} otherIncome - Other taxable income stacked underneath the withdrawals
+ * @param {string} residency - Tax residency
+ * @param {Object} allowanceUsage - Tax-free cash allowance used in earlier years
+ */
+function grossUpSippTargets(components, targets, year, isFirstYear, rebalanceWithdrawal, otherIncome, residency, allowanceUsage) {
+  const sippIndexes = components.map((c, idx) => idx).filter(idx => components[idx].type === 'sipp');
+  const sippNet = sippIndexes.reduce((sum, idx) => sum + targets[idx], 0);
+  if (sippNet <= 0) return;
+
+  const goldWithdrawals = isFirstYear
+    ? components.filter(c => c.type === 'gold').reduce((sum, c) => sum + c.amount, 0)
+    : 0;
+  const sippGross = calculateGrossForNetIncome(
+    sippNet, year, true, goldWithdrawals + rebalanceWithdrawal, otherIncome, residency, allowanceUsage
+  );
+
+  sippIndexes.forEach(idx => {
+    targets[idx] = sippGross * (targets[idx] / sippNet);
+  });
+}
+
+/**
+ * Determine the combined status for a year from component statuses
+ *
+ * @param {string[]} statuses - Component statuses
+ * @returns {string} 'exhausted' if every component was already empty, 'depleted' once
+ *   every component has stopped (the last ran out this year), 'partial' if some but
+ *   not all components have stopped, otherwise 'active'
+ */
+function combineStatuses(statuses) {
+  const stopped = statuses.filter(s => s === 'exhausted' || s === 'depleted');
+  if (stopped.length === 0) return 'active';
+  if (stopped.length < statuses.length) return 'partial';
+  return statuses.every(s => s === 'exhausted') ? 'exhausted' : 'depleted';
 }
 
 /**
- * Calculate combined summary from both strategies
+ * Merge one year's component results
  *
- * @param {Object} wrapperA - Strategy A wrapper
- * @param {Object} wrapperB - Strategy B wrapper
+ * @param {Object[]} components - Component states
+ * @param {Object[]} yearResults - This year's result for each component
+ * @param {RebalanceResult|null} rebalancing - Rebalancing carried out this year
+ * @param {Object} householdTax - Tax on the year's combined pension withdrawals
+ * @returns {CombinedYearResult} Merged year
+ */
+function mergeYear(components, yearResults, rebalancing, householdTax) {
+  const sumOf = field => yearResults.reduce((sum, r) => sum + r[field], 0);
+
+  return {
+    year: yearResults[0].year,
+    components: yearResults.map((raw, idx) => ({
+      id: components[idx].id,
+      status: raw.status,
+      raw
+    })),
+    strategyA: yearResults[0],
+    strategyB: yearResults[1],
+    combinedStartValue: sumOf('startValueGbp'),
+    combinedWithdrawal: sumOf('netWithdrawal'),
+    combinedEndValue: sumOf('endValueGbp'),
+    otherIncome: householdTax.otherIncome,
+    otherIncomeTax: householdTax.otherIncomeTax,
+    rebalancing,
+    householdTax: {
+      grossIncome: householdTax.grossIncome,
+      taxPaid: householdTax.taxPaid
+    },
+    statusA: yearResults[0].status,
+    statusB: yearResults[1].status,
+    status: combineStatuses(yearResults.map(r => r.status))
+  };
+}
+
+/**
+ * Get tax paid by a single component
+ */
+function getComponentTaxPaid(wrapper) {
+  return wrapper.type === 'gold'
+    ? wrapper.result.summary.taxPaidOnWithdrawal + wrapper.result.summary.totalCapitalGainsTax
+    : wrapper.result.summary.totalTaxPaid;
+}
+
+/**
+ * Get fees paid by a single component
+ */
+function getComponentFees(wrapper) {
+  const summary = wrapper.result.summary;
+  return wrapper.type === 'gold'
+    ? summary.totalTransactionCosts + summary.totalStorageFees
+    : summary.totalManagementFees + summary.totalDealingCosts;
+}
+
+/**
+ * Get final asset value of a single component
+ */
+function getComponentFinalValue(wrapper) {
+  const summary = wrapper.result.summary;
+  return wrapper.type === 'gold' ? summary.finalGoldValue : summary.finalValue;
+}
+
+/**
+ * Calculate combined summary from all components
+ *
+ * @param {Object[]} wrappers - Component strategy wrappers
+ * @param {number[]} allocations - Amount allocated to each component
  * @param {CombinedYearResult[]} mergedYearly - Merged yearly results
  * @param {number} totalPension - Total initial pension amount
  * @returns {Object} Combined summary
  */
-function calculateCombinedSummary(wrapperA, wrapperB, mergedYearly, totalPension) {
-  const summaryA = wrapperA.result.summary;
-  const summaryB = wrapperB.result.summary;
+function calculateCombinedSummary(wrappers, allocations, mergedYearly, totalPension) {
+  const componentSummaries = wrappers.map(w => w.result.summary);
+  const finalValues = wrappers.map(getComponentFinalValue);
 
   // Total withdrawals
   const totalWithdrawn = mergedYearly.reduce((sum, y) => sum + y.combinedWithdrawal, 0);
@@ -175,33 +619,16 @@ function calculateCombinedSummary(wrapperA, wrapperB, mergedYearly, totalPension
   const lastYear = mergedYearly[mergedYearly.length - 1];
   const finalValue = lastYear.combinedEndValue;
 
-  // Tax calculations (different for gold vs SIPP)
-  let totalTaxPaid = 0;
-  if (wrapperA.type === 'gold') {
-    totalTaxPaid += summaryA.taxPaidOnWithdrawal;
-  } else {
-    totalTaxPaid += summaryA.totalTaxPaid;
-  }
-  if (wrapperB.type === 'gold') {
-    totalTaxPaid += summaryB.taxPaidOnWithdrawal;
-  } else {
-    totalTaxPaid += summaryB.totalTaxPaid;
-  }
+  // Rebalancing costs are incurred at portfolio level
+  const rebalances = mergedYearly.map(y => y.rebalancing).filter(r => r && r.triggered);
+  const totalRebalancingSpread = rebalances.reduce((sum, r) => sum + r.spreadCost, 0);
+  const totalRebalancingTax = rebalances.reduce((sum, r) => sum + r.taxPaid, 0);
 
-  // Fees
-  let totalFees = 0;
-  if (wrapperA.type === 'gold') {
-    totalFees += summaryA.totalTransactionCosts + summaryA.totalStorageFees;
-  } else {
-    totalFees += summaryA.totalManagementFees;
-  }
-  if (wrapperB.type === 'gold') {
-    totalFees += summaryB.totalTransactionCosts + summaryB.totalStorageFees;
-  } else {
-    totalFees += summaryB.totalManagementFees;
-  }
+  // Tax and fees (different fields for gold vs SIPP)
+  const totalTaxPaid = wrappers.reduce((sum, w) => sum + getComponentTaxPaid(w), 0) + totalRebalancingTax;
+  const totalFees = wrappers.reduce((sum, w) => sum + getComponentFees(w), 0) + totalRebalancingSpread;
 
-  // Active years (both still active)
+  // Active years (all components still active)
   const activeYears = mergedYearly.filter(y => y.status === 'active').length;
   const partialYears = mergedYearly.filter(y => y.status === 'partial').length;
 
@@ -209,34 +636,60 @@ function calculateCombinedSummary(wrapperA, wrapperB, mergedYearly, totalPension
   const depletedYear = mergedYearly.find(y => y.status === 'depleted');
   const exhaustedYear = mergedYearly.find(y => y.status === 'exhausted');
 
-  // Strategy success (last year both active or at least one still going)
-  const strategySuccessful = lastYear.status === 'active' || lastYear.status === 'partial';
+  // Strategy success (every component still paying its share in the last year)
+  const strategySuccessful = lastYear.status === 'active';
 
   return {
     initialInvestment: totalPension,
-    allocationA: totalPension / 2,
-    allocationB: totalPension / 2,
+    allocations,
+    allocationA: allocations[0],
+    allocationB: allocations[1],
     totalWithdrawn,
     totalTaxPaid,
     totalFees,
     finalValue,
-    finalValueA: wrapperA.type === 'gold' ? summaryA.finalGoldValue : summaryA.finalValue,
-    finalValueB: wrapperB.type === 'gold' ? summaryB.finalGoldValue : summaryB.finalValue,
+    finalValues,
+    finalValueA: finalValues[0],
+    finalValueB: finalValues[1],
     totalValueRealized: totalWithdrawn + finalValue,
     activeYears,
     partialYears,
     yearDepleted: depletedYear ? depletedYear.year : null,
     yearExhausted: exhaustedYear ? exhaustedYear.year : null,
     strategySuccessful,
-    summaryA,
-    summaryB
+    rebalanceCount: rebalances.length,
+    totalRebalancingSpread,
+    totalRebalancingTax,
+    totalRebalancingCosts: totalRebalancingSpread + totalRebalancingTax,
+    componentSummaries,
+    summaryA: componentSummaries[0],
+    summaryB: componentSummaries[1]
   };
 }
 
 /**
- * Calculate a combined (50/50) strategy outcome
+ * Look up a combined strategy definition (built-in or custom portfolio)
+ *
+ * @param {string} combinationId - The combination ID
+ * @returns {Object|null} Combined strategy definition, or null if not found
+ */
+function findCombination(combinationId) {
+  if (COMBINATION_STRATEGIES[combinationId]) {
+    return COMBINATION_STRATEGIES[combinationId];
+  }
+
+  try {
+    const strategy = getStrategy(combinationId);
+    return strategy.type === STRATEGY_TYPES.COMBINED ? strategy : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Calculate a combined (weighted portfolio) strategy outcome
  *
- * @param {string} combinationId - The combination ID (e.g., 'gold-sp500')
+ * @param {string} combinationId - The combination ID (e.g., 'gold-sp500' or a custom portfolio ID)
  * @param {number} pensionAmount - Total starting pension pot in GBP
  * @param {number} startYear - Year to start the strategy
  * @param {number} withdrawalRate - Annual withdrawal rate as percentage
@@ -245,6 +698,13 @@ function calculateCombinedSummary(wrapperA, wrapperB, mergedYearly, totalPension
  * @param {number} [config.goldTransactionPercent] - Gold transaction cost percentage
  * @param {number} [config.goldStorageFeePercent] - Gold storage fee percentage
  * @param {number} [config.sippManagementFeePercent] - SIPP management fee percentage
+ * @param {string} [config.rebalanceMode='never'] - 'never', 'annual' or 'threshold'
+ * @param {number} [config.rebalanceThresholdPercent=5] - Drift (percentage points) that triggers a threshold rebalance
+ * @param {number} [config.targetNetIncome] - Annual household net income wanted (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
  * @returns {CombinedStrategyResult} Complete combined strategy results
  * @throws {Error} If inputs are invalid or combination doesn't exist
  *
@@ -257,55 +717,120 @@ function calculateCombinedSummary(wrapperA, wrapperB, mergedYearly, totalPension
  *   goldTransactionPercent: 1.5,
  *   sippManagementFeePercent: 0.3
  * });
+ *
+ * // Rebalanced back to 50/50 whenever either side drifts beyond 45-55%
+ * const rebalanced = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 25, {
+ *   rebalanceMode: 'threshold',
+ *   rebalanceThresholdPercent: 5
+ * });
  */
 export function calculateCombinedStrategy(combinationId, pensionAmount, startYear, withdrawalRate, years, config = {}) {
   // Validate combination exists
-  const combination = COMBINATION_STRATEGIES[combinationId];
+  const combination = findCombination(combinationId);
   if (!combination) {
     const validIds = Object.keys(COMBINATION_STRATEGIES).join(', ');
     throw new Error(`Unknown combination strategy: ${combinationId}. Valid combinations: ${validIds}`);
   }
 
   // Validate inputs
-  validateInputs(pensionAmount, startYear, withdrawalRate, years, combination);
+  const targetNetIncome = config.targetNetIncome ?? null;
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, combination, targetNetIncome);
+  const rebalancing = resolveRebalancing(config);
+
+  // Split pension by component weight and open each position
+  const weights = combination.splitRatio;
+  const allocations = weights.map(ratio => pensionAmount * ratio);
+  const components = combination.components.map((id, idx) =>
+    openComponent(id, allocations[idx], startYear, config)
+  );
+  const annualWithdrawals = targetNetIncome === null
+    ? allocations.map(amount => amount * (withdrawalRate / 100))
+    : weights.map(ratio => targetNetIncome * ratio);
+  const adjustForInflation = components[0].costs.adjustForInflation;
+  const otherIncomeSources = components[0].costs.otherIncome;
+  const taxResidency = components[0].costs.taxResidency;
+  const goldSpreadRate = resolveGoldCosts(config, startYear).goldTransactionPercent / 100;
+
+  // Simulate all components year by year
+  const mergedYearly = [];
+  let allowanceUsage = createAllowanceUsage();
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+
+    let rebalanceResult = null;
+    let goldPurchases = [];
+    if (i > 0 && rebalancing.mode !== REBALANCE_MODES.NEVER) {
+      ({ record: rebalanceResult, goldPurchases } =
+        rebalanceComponents(components, weights, year, rebalancing, goldSpreadRate));
+    }
+
+    // SIPP drawdown doesn't depend on tax, so it is simulated first
+    const multiplier = adjustForInflation ? getInflationMultiplier(startYear, year) : 1;
+    const otherIncome = getOtherIncome(otherIncomeSources, year);
+    const targets = annualWithdrawals.map(amount => amount * multiplier);
+    if (targetNetIncome !== null) {
+      // The State Pension pays for part of the target; components share the rest by weight
+      const netStatePension = getNetStatePension(otherIncomeSources, year, taxResidency);
+      targets.forEach((target, idx) => {
+        targets[idx] = Math.max(0, target - netStatePension * weights[idx]);
+      });
+      grossUpSippTargets(
+        components, targets, year, i === 0, rebalanceResult ? rebalanceResult.pensionWithdrawal : 0, otherIncome, taxResidency,
+        allowanceUsage
+      );
+    }
+    const yearResults = components.map((component, idx) =>
+      component.type === 'sipp' ? stepComponent(component, year, targets[idx]) : null
+    );
 
-  // Split pension 50/50
-  const halfPension = pensionAmount / 2;
+    // Tax all of the year's pension withdrawals together
+    const tax = applyHouseholdTax(
+      components, yearResults, year, i === 0, rebalanceResult ? rebalanceResult.pensionWithdrawal : 0, otherIncome, taxResidency,
+      allowanceUsage
+    );
+    allowanceUsage = tax.total.allowanceUsage;
 
-  // Calculate each half
-  const [strategyIdA, strategyIdB] = combination.components;
-  const wrapperA = calculateBaseStrategy(strategyIdA, halfPension, startYear, withdrawalRate, years, config);
-  const wrapperB = calculateBaseStrategy(strategyIdB, halfPension, startYear, withdrawalRate, years, config);
+    if (rebalanceResult) {
+      settleGoldPurchases(components, rebalanceResult, goldPurchases, tax.rebalanceShare.taxPaid, goldSpreadRate);
+    }
 
-  // Extract and merge yearly data
-  const yearlyA = extractYearlyData(wrapperA);
-  const yearlyB = extractYearlyData(wrapperB);
-  const mergedYearly = mergeYearlyResults(yearlyA, yearlyB);
+    // Gold is bought with the net proceeds, then sold for the withdrawal (bars pay CGT on the gains)
+    components.forEach((component, idx) => {
+      if (component.type !== 'gold') return;
+      if (i === 0) {
+        fundGoldComponent(component, year, tax.componentShares[idx]);
+      }
+      yearResults[idx] = stepComponent(component, year, targets[idx]);
+    });
+
+    mergedYearly.push(mergeYear(components, yearResults, rebalanceResult, tax.total));
+  }
+
+  const wrappers = components.map((component, idx) => finishComponent(component, annualWithdrawals[idx]));
 
   // Calculate combined summary
-  const summary = calculateCombinedSummary(wrapperA, wrapperB, mergedYearly, pensionAmount);
+  const summary = calculateCombinedSummary(wrappers, allocations, mergedYearly, pensionAmount);
 
-  // Get strategy metadata
-  const strategyMetaA = BASE_STRATEGIES[strategyIdA];
-  const strategyMetaB = BASE_STRATEGIES[strategyIdB];
+  const componentResults = combination.components.map((id, idx) => {
+    const meta = BASE_STRATEGIES[id];
+    return {
+      id,
+      name: meta.name,
+      shortName: meta.shortName,
+      type: wrappers[idx].type,
+      weight: weights[idx],
+      allocation: allocations[idx],
+      result: wrappers[idx].result
+    };
+  });
 
   return {
     combinationId,
     combinationName: combination.name,
-    strategyA: {
-      id: strategyIdA,
-      name: strategyMetaA.name,
-      shortName: strategyMetaA.shortName,
-      type: wrapperA.type,
-      result: wrapperA.result
-    },
-    strategyB: {
-      id: strategyIdB,
-      name: strategyMetaB.name,
-      shortName: strategyMetaB.shortName,
-      type: wrapperB.type,
-      result: wrapperB.result
-    },
+    components: componentResults,
+    strategyA: componentResults[0],
+    strategyB: componentResults[1],
+    rebalancing,
     yearlyResults: mergedYearly,
     summary
   };
@@ -314,7 +839,7 @@ export function calculateCombinedStrategy(combinationId, pensionAmount, startYea
 /**
  * Validate all inputs for combined strategy
  */
-function validateInputs(pensionAmount, startYear, withdrawalRate, years, combination) {
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, combination, targetNetIncome) {
   if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
     throw new Error('Pension amount must be a positive number');
   }
@@ -323,16 +848,14 @@ function validateInputs(pensionAmount, startYear, withdrawalRate, years, combina
     throw new Error(`Start year ${startYear} is outside supported range (1980-2026)`);
   }
 
-  // Check earliest year for both component strategies
-  const [idA, idB] = combination.components;
-  const strategyA = BASE_STRATEGIES[idA];
-  const strategyB = BASE_STRATEGIES[idB];
+  // Check earliest year across all component strategies
+  const componentStrategies = combination.components.map(id => BASE_STRATEGIES[id]);
+  const limiting = componentStrategies.reduce((a, b) => (b.earliestYear > a.earliestYear ? b : a));
 
-  const earliestYear = Math.max(strategyA.earliestYear, strategyB.earliestYear);
-  if (startYear < earliestYear) {
+  if (startYear < limiting.earliestYear) {
     throw new Error(
       `Combined strategy ${combination.name} not available for year ${startYear}. ` +
-      `Earliest available: ${earliestYear} (limited by ${startYear < strategyA.earliestYear ? strategyA.name : strategyB.name})`
+      `Earliest available: ${limiting.earliestYear} (limited by ${limiting.name})`
     );
   }
 
@@ -344,6 +867,10 @@ function validateInputs(pensionAmount, startYear, withdrawalRate, years, combina
     throw new Error('Years must be a positive integer');
   }
 
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
   // Check if we have enough data years
   const endYear = startYear + years - 1;
   if (endYear > 2026) {
@@ -383,16 +910,12 @@ export function calculateCombinedStrategyByIds(strategyIdA, strategyIdB, pension
  * @returns {number} Earliest available year
  */
 export function getCombinedStrategyEarliestYear(combinationId) {
-  const combination = COMBINATION_STRATEGIES[combinationId];
+  const combination = findCombination(combinationId);
   if (!combination) {
     throw new Error(`Unknown combination strategy: ${combinationId}`);
   }
 
-  const [idA, idB] = combination.components;
-  const strategyA = BASE_STRATEGIES[idA];
-  const strategyB = BASE_STRATEGIES[idB];
-
-  return Math.max(strategyA.earliestYear, strategyB.earliestYear);
+  return Math.max(...combination.components.map(id => BASE_STRATEGIES[id].earliestYear));
 }
 
 /**
@@ -412,6 +935,7 @@ export function isCombinedStrategyAvailable(combinationId, year) {
 }
 
 export default {
+  REBALANCE_MODES,
   calculateCombinedStrategy,
   calculateCombinedStrategyByIds,
   getCombinedStrategyEarliestYear,
@@ -8,7 +8,14 @@
  */
 
 import { calculateGoldStrategy } from './goldStrategy.js';
+import { calculatePhasedGoldStrategy } from './phasedGoldStrategy.js';
+import { calculateSilverStrategy } from './silverStrategy.js';
 import { calculateSippStrategy, calculateSippAfterTaxValue, INDEX_TYPES } from './sippStrategy.js';
+import { calculateIsaStrategy } from './isaStrategy.js';
+import { calculateGiaStrategy } from './giaStrategy.js';
+import { calculateSavingsStrategy } from './savingsStrategy.js';
+import { calculateAnnuityStrategy } from './annuityStrategy.js';
+import { calculateDrawdownAnnuityStrategy } from './drawdownAnnuityStrategy.js';
 import { calculateCombinedStrategy } from './combinedStrategy.js';
 import { getStrategy, STRATEGY_TYPES } from './strategyRegistry.js';
 import { isValidYear, isValidAmount } from '../utils/validators.js';
@@ -21,8 +28,44 @@ const STRATEGY_TO_INDEX = {
   sp500: INDEX_TYPES.SP500,
   nasdaq100: INDEX_TYPES.NASDAQ100,
   ftse100: INDEX_TYPES.FTSE100,
+  ftse250: ETF_INDEX_TYPES.FTSE250,
+  ftseAllShare: ETF_INDEX_TYPES.FTSE_ALL_SHARE,
+  msciWorld: ETF_INDEX_TYPES.MSCI_WORLD,
   goldEtf: ETF_INDEX_TYPES.GOLD_ETF,
-  usTreasury: ETF_INDEX_TYPES.US_TREASURY
+  usTreasury: ETF_INDEX_TYPES.US_TREASURY,
+  goldVault: ETF_INDEX_TYPES.GOLD_VAULT,
+  silverEtf: ETF_INDEX_TYPES.SILVER_ETF,
+  cash: ETF_INDEX_TYPES.CASH,
+  gilts: ETF_INDEX_TYPES.UK_GILTS,
+  longGilts: ETF_INDEX_TYPES.UK_LONG_GILTS,
+  indexLinkedGilts: ETF_INDEX_TYPES.UK_INDEX_LINKED_GILTS
+};
+
+/**
+ * Map ISA strategy IDs to their index types
+ */
+const ISA_STRATEGY_TO_INDEX = {
+  isaSp500: INDEX_TYPES.SP500,
+  isaNasdaq100: INDEX_TYPES.NASDAQ100,
+  isaFtse100: INDEX_TYPES.FTSE100
+};
+
+/**
+ * Map GIA strategy IDs to their index types
+ */
+const GIA_STRATEGY_TO_INDEX = {
+  giaSp500: INDEX_TYPES.SP500,
+  giaNasdaq100: INDEX_TYPES.NASDAQ100,
+  giaFtse100: INDEX_TYPES.FTSE100
+};
+
+/**
+ * Map gold strategy IDs to their calculators
+ */
+const GOLD_CALCULATORS = {
+  gold: calculateGoldStrategy,
+  goldPhased: calculatePhasedGoldStrategy,
+  silver: calculateSilverStrategy
 };
 
 /**
@@ -36,11 +79,11 @@ const STRATEGY_TO_INDEX = {
  * @param {Object} [config={}] - Fee configuration
  * @returns {Object} Strategy result with type and normalized data
  */
-function calculateAnyStrategy(strategyId, pensionAmount, startYear, withdrawalRate, years, config = {}) {
+export function calculateAnyStrategy(strategyId, pensionAmount, startYear, withdrawalRate, years, config = {}) {
   const strategy = getStrategy(strategyId);
 
   if (strategy.type === STRATEGY_TYPES.GOLD) {
-    const result = calculateGoldStrategy(pensionAmount, startYear, withdrawalRate, years, config);
+    const result = GOLD_CALCULATORS[strategyId](pensionAmount, startYear, withdrawalRate, years, config);
     return {
       strategyId,
       strategyName: strategy.name,
@@ -62,6 +105,63 @@ function calculateAnyStrategy(strategyId, pensionAmount, startYear, withdrawalRa
     };
   }
 
+  if (strategy.type === STRATEGY_TYPES.ISA) {
+    const indexType = ISA_STRATEGY_TO_INDEX[strategyId];
+    const result = calculateIsaStrategy(pensionAmount, startYear, withdrawalRate, years, indexType, config);
+    return {
+      strategyId,
+      strategyName: strategy.name,
+      strategyShortName: strategy.shortName,
+      type: STRATEGY_TYPES.ISA,
+      result
+    };
+  }
+
+  if (strategy.type === STRATEGY_TYPES.GIA) {
+    const indexType = GIA_STRATEGY_TO_INDEX[strategyId];
+    const result = calculateGiaStrategy(pensionAmount, startYear, withdrawalRate, years, indexType, config);
+    return {
+      strategyId,
+      strategyName: strategy.name,
+      strategyShortName: strategy.shortName,
+      type: STRATEGY_TYPES.GIA,
+      result
+    };
+  }
+
+  if (strategy.type === STRATEGY_TYPES.SAVINGS) {
+    const result = calculateSavingsStrategy(pensionAmount, startYear, withdrawalRate, years, config);
+    return {
+      strategyId,
+      strategyName: strategy.name,
+      strategyShortName: strategy.shortName,
+      type: STRATEGY_TYPES.SAVINGS,
+      result
+    };
+  }
+
+  if (strategy.type === STRATEGY_TYPES.ANNUITY) {
+    const result = calculateAnnuityStrategy(pensionAmount, startYear, withdrawalRate, years, config);
+    return {
+      strategyId,
+      strategyName: strategy.name,
+      strategyShortName: strategy.shortName,
+      type: STRATEGY_TYPES.ANNUITY,
+      result
+    };
+  }
+
+  if (strategy.type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    const result = calculateDrawdownAnnuityStrategy(pensionAmount, startYear, withdrawalRate, years, config);
+    return {
+      strategyId,
+      strategyName: strategy.name,
+      strategyShortName: strategy.shortName,
+      type: STRATEGY_TYPES.DRAWDOWN_ANNUITY,
+      result
+    };
+  }
+
   if (strategy.type === STRATEGY_TYPES.COMBINED) {
     const result = calculateCombinedStrategy(strategyId, pensionAmount, startYear, withdrawalRate, years, config);
     return {
@@ -92,8 +192,9 @@ function extractNormalizedYearlyData(strategyWrapper) {
       endValue: year.endValueGbp,
       grossWithdrawal: year.withdrawalGross,
       netWithdrawal: year.netWithdrawal,
-      taxPaid: 0, // Gold sales CGT-exempt
-      fees: year.transactionCost + (year.storageFee || 0),
+      // Phased purchases pay income tax on each tranche; only bars pay CGT on sales
+      taxPaid: (year.trancheTax || 0) + (year.capitalGainsTax || 0),
+      fees: year.transactionCost + (year.storageFee || 0) + (year.sippManagementFee || 0),
       status: year.status,
       raw: year
     }));
@@ -107,12 +208,82 @@ function extractNormalizedYearlyData(strategyWrapper) {
       grossWithdrawal: year.grossWithdrawal,
       netWithdrawal: year.netWithdrawal,
       taxPaid: year.taxOnWithdrawal,
+      fees: year.managementFee + year.dealingCost,
+      status: year.status,
+      raw: year
+    }));
+  }
+
+  if (type === STRATEGY_TYPES.ISA) {
+    return result.yearlyResults.map(year => ({
+      year: year.year,
+      startValue: year.startValueGbp,
+      endValue: year.endValueGbp,
+      grossWithdrawal: year.withdrawalGross,
+      netWithdrawal: year.netWithdrawal,
+      taxPaid: year.capitalGainsTax, // ISA withdrawals are tax-free; CGT on the taxable account
+      fees: year.managementFee,
+      status: year.status,
+      raw: year
+    }));
+  }
+
+  if (type === STRATEGY_TYPES.GIA) {
+    return result.yearlyResults.map(year => ({
+      year: year.year,
+      startValue: year.startValueGbp,
+      endValue: year.endValueGbp,
+      grossWithdrawal: year.withdrawalGross,
+      netWithdrawal: year.netWithdrawal,
+      taxPaid: year.capitalGainsTax + year.dividendTax,
       fees: year.managementFee,
       status: year.status,
       raw: year
     }));
   }
 
+  if (type === STRATEGY_TYPES.SAVINGS) {
+    return result.yearlyResults.map(year => ({
+      year: year.year,
+      startValue: year.startValueGbp,
+      endValue: year.endValueGbp,
+      grossWithdrawal: year.withdrawalGross,
+      netWithdrawal: year.netWithdrawal,
+      taxPaid: year.interestTax,
+      fees: 0,
+      status: year.status,
+      raw: year
+    }));
+  }
+
+  if (type === STRATEGY_TYPES.ANNUITY) {
+    return result.yearlyResults.map(year => ({
+      year: year.year,
+      startValue: year.startValueGbp,
+      endValue: year.endValueGbp,
+      grossWithdrawal: year.grossIncome + year.pclsPaid,
+      netWithdrawal: year.netWithdrawal,
+      taxPaid: year.taxOnIncome,
+      fees: 0,
+      status: year.status,
+      raw: year
+    }));
+  }
+
+  if (type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    return result.yearlyResults.map(year => ({
+      year: year.year,
+      startValue: year.startValueGbp,
+      endValue: year.endValueGbp,
+      grossWithdrawal: year.grossWithdrawal + year.pclsPaid,
+      netWithdrawal: year.netWithdrawal,
+      taxPaid: year.taxPaid,
+      fees: year.fees,
+      status: year.status,
+      raw: year
+    }));
+  }
+
   if (type === STRATEGY_TYPES.COMBINED) {
     return result.yearlyResults.map(year => ({
       year: year.year,
@@ -137,18 +308,53 @@ function extractNormalizedYearlyData(strategyWrapper) {
  * @param {number} endYear - Final year
  * @returns {number} After-tax final value
  */
-function calculateAfterTaxFinalValue(strategyWrapper, endYear) {
+export function calculateAfterTaxFinalValue(strategyWrapper, endYear) {
   const { type, result } = strategyWrapper;
 
   if (type === STRATEGY_TYPES.GOLD) {
-    // Gold is already after-tax (CGT-exempt)
-    return result.summary.finalGoldValue;
+    // Coins are already after-tax and bars pay CGT on gains still held;
+    // pension not yet moved into gold is taxed as a final withdrawal
+    const sippValue = result.summary.finalSippValue || 0;
+    const sippAfterTax = sippValue > 0
+      ? calculateSippAfterTaxValue(sippValue, endYear, result.taxResidency, result.allowanceUsage).netValue
+      : 0;
+    return result.summary.finalGoldValue - (result.summary.taxOnUnrealisedGains || 0) + sippAfterTax;
   }
 
   if (type === STRATEGY_TYPES.SIPP) {
     // SIPP needs tax calculation on remaining pot
-    const afterTax = calculateSippAfterTaxValue(result.summary.finalValue, endYear);
-    return afterTax.netValue;
+    const afterTax = calculateSippAfterTaxValue(
+      result.summary.finalValue, endYear, result.taxResidency, result.allowanceUsage, result.crystallisationMode
+    );
+    // Any PCLS kept outside the pension is already after tax, except gains on a reinvested PCLS
+    return afterTax.netValue + result.summary.pclsFinalValue - result.summary.pclsTaxOnUnrealisedGains;
+  }
+
+  if (type === STRATEGY_TYPES.ISA) {
+    // The ISA is tax-free; gains left in the taxable account pay CGT
+    return result.summary.finalValue - result.summary.taxOnUnrealisedGains;
+  }
+
+  if (type === STRATEGY_TYPES.GIA) {
+    // Selling the rest of the account in the final year would realise its gains
+    return result.summary.finalValue - result.summary.taxOnUnrealisedGains;
+  }
+
+  if (type === STRATEGY_TYPES.SAVINGS) {
+    // Interest has been taxed as it was credited
+    return result.summary.finalValue;
+  }
+
+  if (type === STRATEGY_TYPES.ANNUITY) {
+    // The pension was spent on the annuity; nothing is left to tax
+    return 0;
+  }
+
+  if (type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    // Once the annuity is bought nothing is left; before then the pot is taxed as a final withdrawal
+    return result.summary.finalValue > 0
+      ? calculateSippAfterTaxValue(result.summary.finalValue, endYear, result.taxResidency, result.allowanceUsage).netValue
+      : 0;
   }
 
   if (type === STRATEGY_TYPES.COMBINED) {
@@ -164,20 +370,21 @@ function calculateAfterTaxFinalValue(strategyWrapper, endYear) {
  *
  * @param {Object} strategyWrapper - Strategy wrapper
  * @param {number} afterTaxFinalValue - After-tax final value
- * @returns {Object} Strategy metrics
+ * @returns {Object} Strategy metrics (hasResidualPot: false for strategies that leave nothing at the end, such as an annuity)
  */
-function calculateStrategyMetrics(strategyWrapper, afterTaxFinalValue) {
+export function calculateStrategyMetrics(strategyWrapper, afterTaxFinalValue) {
   const { type, result } = strategyWrapper;
   const summary = result.summary;
 
   if (type === STRATEGY_TYPES.GOLD) {
     const totalNetWithdrawn = summary.totalWithdrawn;
     return {
-      initialTaxPaid: result.initialWithdrawal?.taxCalculation?.taxPaid || 0,
-      totalFees: summary.totalTransactionCosts + (summary.totalStorageFees || 0),
-      totalWithdrawalTax: 0,
+      // VAT on silver bars is a tax on buying the metal
+      initialTaxPaid: (summary.taxPaidOnWithdrawal || 0) + (summary.purchaseVat || 0),
+      totalFees: summary.totalTransactionCosts + (summary.totalStorageFees || 0) + (summary.totalManagementFees || 0),
+      totalWithdrawalTax: summary.totalCapitalGainsTax || 0,
       totalNetWithdrawn,
-      finalAssetValue: summary.finalGoldValue,
+      finalAssetValue: summary.finalGoldValue + (summary.finalSippValue || 0),
       finalAfterTaxValue: afterTaxFinalValue,
       totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
       yearsActive: result.yearlyResults.filter(y => y.status === 'active').length,
@@ -190,19 +397,107 @@ function calculateStrategyMetrics(strategyWrapper, afterTaxFinalValue) {
     const totalNetWithdrawn = summary.totalNetWithdrawn;
     return {
       initialTaxPaid: 0,
-      totalFees: summary.totalManagementFees,
+      totalFees: summary.totalManagementFees + summary.totalDealingCosts,
       totalWithdrawalTax: summary.totalTaxPaid,
       totalNetWithdrawn,
+      finalAssetValue: summary.finalValue + summary.pclsFinalValue,
+      finalAfterTaxValue: afterTaxFinalValue,
+      remainingTaxLiability: summary.finalValue + summary.pclsFinalValue - afterTaxFinalValue,
+      totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
+      yearsActive: summary.fullWithdrawalYears,
+      yearDepleted: summary.yearDepleted,
+      strategySuccessful: summary.strategySuccessful
+    };
+  }
+
+  if (type === STRATEGY_TYPES.ISA) {
+    const totalNetWithdrawn = summary.totalWithdrawn;
+    return {
+      initialTaxPaid: summary.taxPaidOnWithdrawal,
+      totalFees: summary.totalManagementFees,
+      totalWithdrawalTax: summary.totalCapitalGainsTax,
+      totalNetWithdrawn,
       finalAssetValue: summary.finalValue,
       finalAfterTaxValue: afterTaxFinalValue,
       remainingTaxLiability: summary.finalValue - afterTaxFinalValue,
       totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
-      yearsActive: summary.fullWithdrawalYears,
+      yearsActive: result.yearlyResults.filter(y => y.status === 'active').length,
       yearDepleted: summary.yearDepleted,
       strategySuccessful: summary.strategySuccessful
     };
   }
 
+  if (type === STRATEGY_TYPES.GIA) {
+    const totalNetWithdrawn = summary.totalWithdrawn;
+    return {
+      initialTaxPaid: summary.taxPaidOnWithdrawal,
+      totalFees: summary.totalManagementFees,
+      totalWithdrawalTax: summary.totalCapitalGainsTax + summary.totalDividendTax,
+      totalNetWithdrawn,
+      finalAssetValue: summary.finalValue,
+      finalAfterTaxValue: afterTaxFinalValue,
+      remainingTaxLiability: summary.finalValue - afterTaxFinalValue,
+      totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
+      yearsActive: result.yearlyResults.filter(y => y.status === 'active').length,
+      yearDepleted: summary.yearDepleted,
+      strategySuccessful: summary.strategySuccessful
+    };
+  }
+
+  if (type === STRATEGY_TYPES.SAVINGS) {
+    const totalNetWithdrawn = summary.totalWithdrawn;
+    return {
+      initialTaxPaid: summary.taxPaidOnWithdrawal,
+      totalFees: 0,
+      totalWithdrawalTax: summary.totalInterestTax,
+      totalNetWithdrawn,
+      finalAssetValue: summary.finalValue,
+      finalAfterTaxValue: afterTaxFinalValue,
+      remainingTaxLiability: summary.finalValue - afterTaxFinalValue,
+      totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
+      yearsActive: result.yearlyResults.filter(y => y.status === 'active').length,
+      yearDepleted: summary.yearDepleted,
+      strategySuccessful: summary.strategySuccessful
+    };
+  }
+
+  if (type === STRATEGY_TYPES.ANNUITY) {
+    const totalNetWithdrawn = summary.totalWithdrawn;
+    return {
+      initialTaxPaid: 0,
+      totalFees: 0,
+      totalWithdrawalTax: summary.totalTaxPaid,
+      totalNetWithdrawn,
+      finalAssetValue: 0,
+      finalAfterTaxValue: afterTaxFinalValue,
+      remainingTaxLiability: 0,
+      totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
+      yearsActive: summary.activeYears,
+      yearDepleted: null,
+      strategySuccessful: true,
+      // The income is guaranteed for life but nothing is left to pass on
+      hasResidualPot: false
+    };
+  }
+
+  if (type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    const totalNetWithdrawn = summary.totalNetWithdrawn;
+    return {
+      initialTaxPaid: 0,
+      totalFees: summary.totalFees,
+      totalWithdrawalTax: summary.totalTaxPaid,
+      totalNetWithdrawn,
+      finalAssetValue: summary.finalValue,
+      finalAfterTaxValue: afterTaxFinalValue,
+      remainingTaxLiability: summary.finalValue - afterTaxFinalValue,
+      totalValueRealized: afterTaxFinalValue + totalNetWithdrawn,
+      yearsActive: summary.activeYears,
+      yearDepleted: summary.yearDepleted,
+      strategySuccessful: summary.strategySuccessful,
+      hasResidualPot: result.purchase === null
+    };
+  }
+
   if (type === STRATEGY_TYPES.COMBINED) {
     const totalNetWithdrawn = summary.totalWithdrawn;
     return {
@@ -338,6 +633,7 @@ export function compareAnyStrategies(strategy1Id, strategy2Id, pensionAmount, st
       pensionAmount,
       startYear,
       withdrawalRate,
+      targetNetIncome: config.targetNetIncome ?? null,
       years,
       endYear
     },
@@ -489,7 +785,7 @@ function buildYearlyComparison(goldResult, sippResult, years) {
         assetValue: goldYear.endValueGbp,
         grossWithdrawal: goldYear.withdrawalGross,
         netWithdrawal: goldYear.netWithdrawal,
-        taxPaid: 0, // Gold sales are CGT-exempt
+        taxPaid: goldYear.capitalGainsTax, // Only bars pay CGT on sales
         transactionCosts: goldYear.transactionCost,
         status: goldYear.status
       },
@@ -518,15 +814,20 @@ function buildYearlyComparison(goldResult, sippResult, years) {
 function calculateComparisonSummary(goldResult, sippResult, startYear, years) {
   const endYear = startYear + years - 1;
 
-  // Calculate gold final value (already after-tax since gold sales are CGT-exempt)
+  // Calculate gold final value (coins are already after-tax; bars pay CGT on gains still held)
   const goldFinalValue = goldResult.summary.finalGoldValue;
+  const goldFinalNetValue = goldFinalValue - goldResult.summary.taxOnUnrealisedGains;
   const goldTotalNetWithdrawn = goldResult.summary.totalWithdrawn;
-  const goldTotalValueRealized = goldFinalValue + goldTotalNetWithdrawn;
+  const goldTotalValueRealized = goldFinalNetValue + goldTotalNetWithdrawn;
 
   // Calculate SIPP after-tax value (need to consider tax on remaining pot)
   const sippGrossValue = sippResult.summary.finalValue;
-  const sippAfterTax = calculateSippAfterTaxValue(sippGrossValue, endYear);
-  const sippFinalNetValue = sippAfterTax.netValue;
+  const sippAfterTax = calculateSippAfterTaxValue(
+    sippGrossValue, endYear, sippResult.taxResidency, sippResult.allowanceUsage, sippResult.crystallisationMode
+  );
+  // Any PCLS kept outside the pension is already after tax, except gains on a reinvested PCLS
+  const sippFinalNetValue = sippAfterTax.netValue + sippResult.summary.pclsFinalValue -
+    sippResult.summary.pclsTaxOnUnrealisedGains;
   const sippTotalNetWithdrawn = sippResult.summary.totalNetWithdrawn;
   const sippTotalValueRealized = sippFinalNetValue + sippTotalNetWithdrawn;
 
@@ -553,12 +854,12 @@ function calculateComparisonSummary(goldResult, sippResult, startYear, years) {
   const goldMetrics = {
     initialTaxPaid: goldInitialTaxPaid,
     totalTransactionCosts: goldResult.summary.totalTransactionCosts,
-    totalWithdrawalTax: 0, // Gold sales are CGT-exempt
-    totalCosts: goldInitialTaxPaid + goldResult.summary.totalTransactionCosts,
+    totalWithdrawalTax: goldResult.summary.totalCapitalGainsTax,
+    totalCosts: goldInitialTaxPaid + goldResult.summary.totalTransactionCosts + goldResult.summary.totalCapitalGainsTax,
     totalGrossWithdrawn: goldTotalGrossWithdrawn,
     totalNetWithdrawn: goldTotalNetWithdrawn,
     finalAssetValue: goldFinalValue,
-    finalAfterTaxValue: goldFinalValue, // Already after-tax
+    finalAfterTaxValue: goldFinalNetValue,
     totalValueRealized: goldTotalValueRealized,
     yearsWithFullWithdrawal: goldResult.yearlyResults.filter(y => y.status === 'active').length,
     yearDepleted: goldResult.summary.yearDepleted,
@@ -572,9 +873,9 @@ function calculateComparisonSummary(goldResult, sippResult, startYear, years) {
     totalCosts: sippResult.summary.totalManagementFees + sippResult.summary.totalTaxPaid,
     totalGrossWithdrawn: sippResult.summary.totalGrossWithdrawn,
     totalNetWithdrawn: sippTotalNetWithdrawn,
-    finalAssetValue: sippGrossValue,
+    finalAssetValue: sippGrossValue + sippResult.summary.pclsFinalValue,
     finalAfterTaxValue: sippFinalNetValue,
-    remainingTaxLiability: sippGrossValue - sippFinalNetValue,
+    remainingTaxLiability: sippGrossValue - sippAfterTax.netValue,
     totalValueRealized: sippTotalValueRealized,
     yearsWithFullWithdrawal: sippResult.summary.fullWithdrawalYears,
     yearDepleted: sippResult.summary.yearDepleted,
@@ -758,6 +1059,9 @@ export function getKeyInsights(comparison) {
 }
 
 export default {
+  calculateAnyStrategy,
+  calculateAfterTaxFinalValue,
+  calculateStrategyMetrics,
   compareStrategies,
   compareAnyStrategies,
   getComparisonSummaryText,
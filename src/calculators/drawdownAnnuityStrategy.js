@@ -0,0 +1,329 @@
+/**
+ * Drawdown then Annuity Strategy Calculator
+ *
+ * Simulates the common adviser recommendation of staying in drawdown until a
+ * chosen age ("drawdown until 75, then annuitise") and then buying a lifetime
+ * annuity with what is left. The run has two phases:
+ * - Drawdown: the pension stays invested in a SIPP fund (any SIPP strategy's
+ *   index, config.annuityDrawdownIndex) and pays the year's withdrawal as in
+ *   the SIPP strategy, each withdrawal 25% tax-free (UFPLS)
+ * - Annuity: on January 1st of the switch year the fund is sold, 25% of it is
+ *   taken tax-free within what is left of the Lifetime or Lump Sum Allowance,
+ *   and the rest buys an annuity at that year's rate for the age reached,
+ *   which then pays a taxable income for the rest of the run
+ *
+ * Key characteristics:
+ * - The switch year is config.annuitySwitchYear, or the year the age at the
+ *   start (config.ageAtStart) reaches config.annuitySwitchAge; if that year or
+ *   age has already been passed, the annuity is bought in the start year
+ * - Drawdown withdrawals follow the withdrawal rate or net income target; the
+ *   annuity pays what it pays, so neither applies after the switch
+ * - If the fund runs out before the switch, no annuity is bought
+ * - If the switch falls after the end of the run, the result is drawdown
+ *   only and the pot left is taxed as a final withdrawal
+ * - Tax-free cash in the drawdown phase is always taken with each withdrawal
+ *   (the crystallisation settings apply to the single SIPP strategies only)
+ *
+ * @module drawdownAnnuityStrategy
+ */
+
+import { getSyntheticPrice, INDEX_CONFIG } from './syntheticEtf.js';
+import {
+  resolveSippCosts,
+  calculateInitialInvestment,
+  getDealingSpread,
+  getSippWithdrawalTarget,
+  calculateSippYear,
+  CRYSTALLISATION_MODES
+} from './sippStrategy.js';
+import { resolveAnnuityCosts, calculateAnnuityPurchase, calculateAnnuityYear } from './annuityStrategy.js';
+import { createAllowanceUsage } from './pensionAllowances.js';
+import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { ANNUITY, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Phases of the strategy
+ */
+export const PHASES = {
+  DRAWDOWN: 'drawdown',
+  ANNUITY: 'annuity'
+};
+
+/**
+ * Yearly result for the drawdown then annuity strategy
+ * @typedef {Object} DrawdownAnnuityYearResult
+ * @property {number} year - The year
+ * @property {number} age - Age during the year
+ * @property {string} phase - 'drawdown' or 'annuity' (from the year the annuity is bought)
+ * @property {number|null} unitPrice - Fund unit price at start of year (drawdown years only)
+ * @property {number} startValueGbp - Pension value at start of year (the pot sold in the switch year)
+ * @property {number} fees - Management fee and dealer spread (including the sale of the pot in the switch year)
+ * @property {number} grossWithdrawal - Drawdown withdrawal, or annuity income, before tax
+ * @property {number} taxPaid - Income tax on the withdrawal or annuity income (marginal tax on top of other income)
+ * @property {number} pclsPaid - Tax-free lump sum taken when the annuity is bought (switch year only)
+ * @property {number} netWithdrawal - Net cash received (after tax, plus any tax-free lump sum)
+ * @property {number} incomeMultiplier - Annuity income relative to its first year (1 in drawdown years)
+ * @property {number} endValueGbp - Pension value at end of year (0 once the annuity is bought)
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {string} status - 'active', 'exhausted', or 'depleted' (annuity years are always 'active')
+ */
+
+/**
+ * Calculate the drawdown then annuity strategy outcome
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate in the drawdown phase, as percentage
+ * @param {number} years - Number of years to simulate
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {string} [config.annuityDrawdownIndex='msciWorld'] - Index of the SIPP fund held until the switch
+ * @param {number} [config.annuitySwitchAge=75] - Age at which the remaining pot buys the annuity (in the
+ *   start year if already reached)
+ * @param {number} [config.annuitySwitchYear] - Year the annuity is bought (overrides annuitySwitchAge;
+ *   the start year if earlier)
+ * @param {number} [config.ageAtStart=60] - Age in the start year
+ * @param {string} [config.annuityType='level'] - 'level' or 'rpi' (income rises with RPI)
+ * @param {number} [config.sippManagementFeePercent] - SIPP management fee percentage (default: 0.5)
+ * @param {number} [config.targetNetIncome] - Annual net income wanted in the drawdown phase (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @returns {Object} Initial investment, annuity purchase (null if none was bought), yearly results and summary
+ * @throws {Error} If inputs are invalid or no annuity rate is available for the switch
+ *
+ * @example
+ * // FTSE All-Share drawdown from 65, buying an RPI-linked annuity at 75
+ * const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, {
+ *   ageAtStart: 65,
+ *   annuityDrawdownIndex: 'ftseAllShare',
+ *   annuityType: 'rpi'
+ * });
+ * console.log(result.switchYear, result.purchase.annualIncome); // 2010, ...
+ */
+export function calculateDrawdownAnnuityStrategy(pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const costs = resolveDrawdownAnnuityCosts(config, startYear);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, costs);
+
+  const { drawdownIndex, switchYear } = costs;
+  const initialInvestment = calculateInitialInvestment(pensionAmount, startYear, drawdownIndex, costs);
+  const annualWithdrawalGross = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
+
+  const yearlyResults = [];
+  let units = initialInvestment.units;
+  let allowanceUsage = createAllowanceUsage();
+  let purchase = null;
+
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+    const age = costs.ageAtStart + i;
+
+    // Phase 2 starts by selling the fund and buying the annuity with it
+    if (year === switchYear && units > 0) {
+      const price = getSyntheticPrice(year, drawdownIndex);
+      const potValue = units * price;
+      const saleCost = potValue * getDealingSpread(drawdownIndex, costs);
+      purchase = calculateAnnuityPurchase(potValue - saleCost, year, age, costs.annuityType, allowanceUsage);
+      allowanceUsage = purchase.allowanceUsage;
+      units = 0;
+
+      const annuityYear = buildAnnuityRow(calculateAnnuityYear(purchase, year, costs));
+      annuityYear.startValueGbp = potValue;
+      annuityYear.fees = saleCost;
+      annuityYear.pclsPaid = purchase.pclsAmount;
+      annuityYear.netWithdrawal += purchase.pclsAmount;
+      yearlyResults.push(annuityYear);
+      continue;
+    }
+
+    if (purchase) {
+      yearlyResults.push(buildAnnuityRow(calculateAnnuityYear(purchase, year, costs)));
+      continue;
+    }
+
+    // Phase 1: drawdown from the SIPP fund
+    const targetWithdrawal = getSippWithdrawalTarget(annualWithdrawalGross, startYear, year, costs, allowanceUsage);
+    const sippYear = calculateSippYear(units, year, targetWithdrawal, drawdownIndex, costs, allowanceUsage);
+    units = sippYear.endUnits;
+    allowanceUsage = sippYear.allowanceUsage;
+    yearlyResults.push(buildDrawdownRow(sippYear, age));
+  }
+
+  return {
+    initialInvestment: {
+      pensionAmount,
+      etfPriceAtStart: initialInvestment.pricePerUnit,
+      unitsAcquired: initialInvestment.units,
+      initialValue: initialInvestment.value,
+      dealingCost: initialInvestment.dealingCost,
+      annualFeePercent: initialInvestment.annualFeePercent
+    },
+    purchase,
+    yearlyResults,
+    summary: calculateSummary(pensionAmount, initialInvestment, purchase, yearlyResults, switchYear),
+    drawdownIndex,
+    indexName: INDEX_CONFIG[drawdownIndex].name,
+    switchYear,
+    annuityType: costs.annuityType,
+    taxResidency: costs.taxResidency,
+    allowanceUsage,
+    crystallisationMode: CRYSTALLISATION_MODES.UFPLS
+  };
+}
+
+/**
+ * Merge optional drawdown then annuity settings with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension or
+ *   the switch age is used)
+ * @returns {Object} SIPP cost settings (UFPLS) and annuity settings, plus drawdownIndex and switchYear
+ * @throws {Error} If the annuity type is not recognised
+ */
+export function resolveDrawdownAnnuityCosts(config = {}, startYear) {
+  const sippCosts = resolveSippCosts({ ...config, crystallisationMode: CRYSTALLISATION_MODES.UFPLS }, startYear);
+  const annuityCosts = resolveAnnuityCosts(config, startYear);
+  const switchAge = config.annuitySwitchAge ?? ANNUITY.switchAge;
+
+  return {
+    ...sippCosts,
+    ...annuityCosts,
+    drawdownIndex: config.annuityDrawdownIndex ?? ANNUITY.drawdownIndex,
+    switchAge,
+    // Someone already past the switch year or age buys the annuity straight away
+    switchYear: Math.max(startYear, config.annuitySwitchYear ?? startYear + (switchAge - annuityCosts.ageAtStart))
+  };
+}
+
+/**
+ * Convert a SIPP year into a drawdown-phase row
+ */
+function buildDrawdownRow(sippYear, age) {
+  return {
+    year: sippYear.year,
+    age,
+    phase: PHASES.DRAWDOWN,
+    unitPrice: sippYear.etfPricePerUnit,
+    startValueGbp: sippYear.startValueGbp,
+    fees: sippYear.managementFee + sippYear.dealingCost,
+    grossWithdrawal: sippYear.grossWithdrawal,
+    taxPaid: sippYear.taxOnWithdrawal,
+    pclsPaid: 0,
+    netWithdrawal: sippYear.netWithdrawal,
+    incomeMultiplier: 1,
+    endValueGbp: sippYear.endValueGbp,
+    otherIncome: sippYear.otherIncome,
+    otherIncomeTax: sippYear.otherIncomeTax,
+    status: sippYear.status
+  };
+}
+
+/**
+ * Convert an annuity year into an annuity-phase row
+ */
+function buildAnnuityRow(annuityYear) {
+  return {
+    year: annuityYear.year,
+    age: annuityYear.age,
+    phase: PHASES.ANNUITY,
+    unitPrice: null,
+    startValueGbp: 0,
+    fees: 0,
+    grossWithdrawal: annuityYear.grossIncome,
+    taxPaid: annuityYear.taxOnIncome,
+    pclsPaid: 0,
+    netWithdrawal: annuityYear.netWithdrawal,
+    incomeMultiplier: annuityYear.incomeMultiplier,
+    endValueGbp: 0,
+    otherIncome: annuityYear.otherIncome,
+    otherIncomeTax: annuityYear.otherIncomeTax,
+    status: annuityYear.status
+  };
+}
+
+/**
+ * Validate all inputs
+ */
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, costs) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  const indexConfig = INDEX_CONFIG[costs.drawdownIndex];
+  if (!indexConfig) {
+    const validTypes = Object.keys(INDEX_CONFIG).join(', ');
+    throw new Error(`Unknown index type: ${costs.drawdownIndex}. Valid types: ${validTypes}`);
+  }
+
+  if (startYear < indexConfig.earliestYear) {
+    throw new Error(`${indexConfig.name} data not available for year ${startYear}. Earliest available: ${indexConfig.earliestYear}`);
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+
+  if (costs.targetNetIncome !== null && (!isValidAmount(costs.targetNetIncome) || costs.targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
+  if (!Number.isInteger(costs.switchYear)) {
+    throw new Error(`Annuity switch year ${costs.switchYear} must be a whole year`);
+  }
+
+  const endYear = startYear + years - 1;
+  if (endYear > YEAR_RANGE.max) {
+    throw new Error(`Not enough data: strategy ends in ${endYear}, but data only available until ${YEAR_RANGE.max}`);
+  }
+}
+
+/**
+ * Calculate summary statistics
+ */
+function calculateSummary(pensionAmount, initialInvestment, purchase, yearlyResults, switchYear) {
+  const sumOf = key => yearlyResults.reduce((sum, r) => sum + r[key], 0);
+
+  const depletedYear = yearlyResults.find(r => r.status === 'depleted');
+  const exhaustedYear = yearlyResults.find(r => r.status === 'exhausted');
+  const lastResult = yearlyResults[yearlyResults.length - 1];
+
+  const totalNetWithdrawn = sumOf('netWithdrawal');
+  const finalValue = lastResult.endValueGbp;
+
+  return {
+    initialInvestment: pensionAmount,
+    switchYear,
+    drawdownYears: yearlyResults.filter(r => r.phase === PHASES.DRAWDOWN).length,
+    annuityYears: yearlyResults.filter(r => r.phase === PHASES.ANNUITY).length,
+    potAtSwitch: purchase?.grossPension ?? 0,
+    pclsAmount: purchase?.pclsAmount ?? 0,
+    annuityRate: purchase?.annuityRate ?? null,
+    annuityIncome: purchase?.annualIncome ?? 0,
+    totalGrossWithdrawn: sumOf('grossWithdrawal'),
+    totalTaxPaid: sumOf('taxPaid'),
+    totalFees: initialInvestment.dealingCost + sumOf('fees'),
+    totalNetWithdrawn,
+    // Pension not yet used to buy the annuity (switch after the end of the run)
+    finalValue,
+    totalValueRealized: totalNetWithdrawn + finalValue,
+    activeYears: yearlyResults.filter(r => r.status === 'active').length,
+    yearDepleted: depletedYear ? depletedYear.year : null,
+    yearExhausted: exhaustedYear ? exhaustedYear.year : null,
+    strategySuccessful: lastResult.status === 'active'
+  };
+}
+
+export default {
+  calculateDrawdownAnnuityStrategy,
+  resolveDrawdownAnnuityCosts,
+  PHASES
+};
@@ -0,0 +1,429 @@
+/**
+ * General Investment Account Strategy Calculator
+ *
+ * Simulates withdrawing the whole pension, paying income tax as in the gold
+ * strategy, and investing the net proceeds in an equity tracker held in an
+ * unwrapped General Investment Account (GIA). It shows what the pension and
+ * ISA wrappers save compared with holding the same fund in a taxable account.
+ *
+ * Key characteristics:
+ * - Initial pension withdrawal is taxed (25% tax-free within the allowances,
+ *   the rest as income on top of any other income)
+ * - The tracker is an accumulating fund: each year's dividends (the index
+ *   dividend yield) are reinvested, taxed at the dividend rates of the time
+ *   and booked as a new lot bought that year
+ * - Every sale realises a gain on the lots sold, with indexation allowance,
+ *   taper relief, the annual exempt amount, loss carry-forward and the
+ *   capital gains tax rates of the year (see investmentTax)
+ * - Dividend and capital gains tax are paid by selling units, so enough is
+ *   sold each year to leave the income wanted after both
+ * - Unrealised gains are taxed as if the account were sold in the final year
+ * - The account pays the same annual management fee as the SIPP strategies
+ * - Other taxable income (and the State Pension) sits underneath dividends
+ *   and gains, using up the personal allowance and basic rate band first
+ *
+ * @module giaStrategy
+ */
+
+import { getDividendYield, hasDividendYields } from '../data/dividendYields.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
+import { getSyntheticPrice, INDEX_TYPES, INDEX_CONFIG } from './syntheticEtf.js';
+import { calculateIncomeTax } from './taxCalculator.js';
+import { calculateDisposal, calculateCapitalGainsTax, calculateDividendTax } from './investmentTax.js';
+import { resolveIncomeSources, getOtherIncome, getNetStatePension } from './otherIncome.js';
+import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { COSTS, TAX, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Most iterations used to find the sale that leaves the income wanted after tax
+ */
+const MAX_SALE_ITERATIONS = 100;
+
+/**
+ * Yearly result for the GIA strategy
+ * @typedef {Object} GiaYearResult
+ * @property {number} year - The year
+ * @property {number} unitPrice - Tracker price at start of year
+ * @property {number} startUnits - Units held at start of year
+ * @property {number} startValueGbp - Account value at start of year (before fees)
+ * @property {number} managementFee - Management fee
+ * @property {number} dividends - Dividends reinvested in the fund (taxable notional distribution)
+ * @property {number} dividendTax - Tax on the dividends
+ * @property {number} withdrawalGross - Value of units sold (before tax)
+ * @property {number} gainRealised - Chargeable gain on the units sold, after indexation and taper relief
+ *   (negative for a loss)
+ * @property {number} indexationAllowance - Indexation allowance on the units sold
+ * @property {number} taperRelief - Gain removed by taper relief
+ * @property {number} lossesBroughtForward - Unused capital losses at start of year
+ * @property {number} capitalGainsTax - Capital gains tax on the year's sales
+ * @property {number} netWithdrawal - Net cash received after dividend and capital gains tax
+ * @property {number} endUnits - Units held at end of year
+ * @property {number} endValueGbp - Account value at end of year
+ * @property {number} costBasis - Allowable cost of the units left
+ * @property {number} lossesCarriedForward - Unused capital losses at end of year
+ * @property {import('./investmentTax.js').Lot[]} lots - Lots held at end of year
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {number} pensionIncome - Taxable pension withdrawals beneath dividends and gains (0 in the GIA strategy)
+ * @property {string} status - 'active', 'exhausted', or 'depleted'
+ */
+
+/**
+ * GIA strategy result
+ * @typedef {Object} GiaStrategyResult
+ * @property {Object} initialWithdrawal - Pension withdrawal, tax and the units bought
+ * @property {GiaYearResult[]} yearlyResults - Year-by-year breakdown
+ * @property {Object} summary - Summary statistics
+ * @property {string} indexType - The index type used for this strategy
+ * @property {string} indexName - Index display name
+ * @property {string} taxResidency - Tax residency the withdrawal was taxed under
+ */
+
+/**
+ * Calculate the withdraw-to-GIA strategy outcome for any supported index
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (e.g., 4 for 4%)
+ * @param {number} years - Number of years to simulate
+ * @param {string} [indexType='sp500'] - Index type (sp500, nasdaq100, ftse100)
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [config.sippManagementFeePercent] - Annual management fee on the account (default: 0.5)
+ * @param {number} [config.targetNetIncome] - Annual net income wanted (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @returns {GiaStrategyResult} Complete strategy results
+ * @throws {Error} If inputs are invalid
+ *
+ * @example
+ * const result = calculateGiaStrategy(500000, 2000, 4, 25, 'ftse100');
+ * console.log(result.summary.totalDividendTax, result.summary.totalCapitalGainsTax);
+ */
+export function calculateGiaStrategy(pensionAmount, startYear, withdrawalRate, years, indexType = INDEX_TYPES.SP500, config = {}) {
+  const costs = resolveGiaCosts(config, startYear);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType, costs.targetNetIncome);
+
+  // Step 1: Withdraw the pension, pay tax and invest the net proceeds
+  const initialWithdrawal = calculateInitialGiaPosition(pensionAmount, startYear, indexType, costs);
+
+  // Step 2: Calculate annual withdrawals (grossed up for dividend and capital gains tax)
+  const annualWithdrawalAmount = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
+  const yearlyResults = calculateYearlyWithdrawals(
+    initialWithdrawal, startYear, annualWithdrawalAmount, years, indexType, costs
+  );
+
+  // Step 3: Assemble result and summary
+  return {
+    initialWithdrawal,
+    yearlyResults,
+    summary: calculateSummary(pensionAmount, initialWithdrawal, yearlyResults, annualWithdrawalAmount),
+    indexType,
+    indexName: INDEX_CONFIG[indexType].name,
+    taxResidency: costs.taxResidency
+  };
+}
+
+/**
+ * Merge optional GIA strategy settings with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} GIA strategy cost settings
+ */
+export function resolveGiaCosts(config = {}, startYear) {
+  return {
+    managementFeePercent: config.sippManagementFeePercent ?? COSTS.sippManagementFeePercent,
+    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation,
+    targetNetIncome: config.targetNetIncome ?? null,
+    otherIncome: resolveIncomeSources(config, startYear),
+    taxResidency: config.taxResidency ?? TAX.residency
+  };
+}
+
+/**
+ * Withdraw the pension, pay tax and invest the net proceeds
+ *
+ * @param {number} pensionAmount - Pension amount withdrawn
+ * @param {number} startYear - Year of withdrawal and investment
+ * @param {string} indexType - Index type
+ * @param {Object} costs - GIA strategy cost settings (see resolveGiaCosts)
+ * @returns {Object} Withdrawal tax and units bought
+ */
+function calculateInitialGiaPosition(pensionAmount, startYear, indexType, costs) {
+  const taxCalculation = calculateIncomeTax(
+    pensionAmount, startYear, true, getOtherIncome(costs.otherIncome, startYear), costs.taxResidency
+  );
+  const netAfterTax = taxCalculation.netIncome;
+  const unitPrice = getSyntheticPrice(startYear, indexType);
+
+  return {
+    grossPension: pensionAmount,
+    taxCalculation,
+    netAfterTax,
+    unitPriceAtPurchase: unitPrice,
+    unitsPurchased: netAfterTax / unitPrice
+  };
+}
+
+/**
+ * Validate all inputs
+ */
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType, targetNetIncome) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  const config = INDEX_CONFIG[indexType];
+  if (!config) {
+    const validTypes = Object.keys(INDEX_CONFIG).join(', ');
+    throw new Error(`Unknown index type: ${indexType}. Valid types: ${validTypes}`);
+  }
+
+  if (startYear < config.earliestYear) {
+    throw new Error(`${config.name} data not available for year ${startYear}. Earliest available: ${config.earliestYear}`);
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
+  const endYear = startYear + years - 1;
+  if (endYear > YEAR_RANGE.max) {
+    throw new Error(`Not enough data: strategy ends in ${endYear}, but data only available until ${YEAR_RANGE.max}`);
+  }
+}
+
+/**
+ * Calculate year-by-year withdrawals
+ */
+function calculateYearlyWithdrawals(initialWithdrawal, startYear, annualWithdrawal, years, indexType, costs) {
+  const results = [];
+  let holdings = {
+    lots: [{ year: startYear, units: initialWithdrawal.unitsPurchased, cost: initialWithdrawal.netAfterTax }],
+    lossesCarriedForward: 0
+  };
+
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+
+    let income = annualWithdrawal;
+    if (costs.adjustForInflation) {
+      income = annualWithdrawal * getInflationMultiplier(startYear, year);
+    }
+
+    // The State Pension pays for part of a net income target
+    if (costs.targetNetIncome !== null) {
+      income = Math.max(0, income - getNetStatePension(costs.otherIncome, year, costs.taxResidency));
+    }
+
+    const yearResult = calculateGiaYear(holdings, year, income, indexType, costs);
+    holdings = {
+      lots: yearResult.lots,
+      lossesCarriedForward: yearResult.lossesCarriedForward
+    };
+    results.push(yearResult);
+  }
+
+  return results;
+}
+
+/**
+ * Simulate a single year: management fee, tax on the year's reinvested
+ * dividends, then enough units sold to pay that tax, the capital gains tax on
+ * the sale and the income wanted
+ *
+ * Funds without dividend yield data (gold, bonds, cash) are treated as
+ * paying no dividends, so only capital gains tax applies to them.
+ *
+ * @param {Object} holdings - Lots held and unused capital losses
+ * @param {import('./investmentTax.js').Lot[]} holdings.lots - Lots held, oldest first
+ * @param {number} holdings.lossesCarriedForward - Unused capital losses from earlier years
+ * @param {number} year - The year to simulate
+ * @param {number} targetWithdrawal - Net income wanted this year (already inflation-adjusted)
+ * @param {string} indexType - Index type
+ * @param {Object} costs - GIA strategy cost settings (see resolveGiaCosts)
+ * @param {number} [pensionIncome=0] - Taxable pension withdrawals in the year, taxed before dividends and gains
+ * @returns {GiaYearResult} The year's result
+ */
+export function calculateGiaYear(holdings, year, targetWithdrawal, indexType, costs, pensionIncome = 0) {
+  const unitPrice = getSyntheticPrice(year, indexType);
+  const feeRate = costs.managementFeePercent / 100;
+  const startUnits = holdings.lots.reduce((sum, lot) => sum + lot.units, 0);
+  const startValue = startUnits * unitPrice;
+  const lossesBroughtForward = holdings.lossesCarriedForward;
+
+  // Fees are taken inside the fund, so the cost of each lot is unchanged
+  const managementFee = startValue * feeRate;
+  const valueAfterFee = startValue - managementFee;
+
+  // Reinvested dividends are taxed and booked as a new lot bought this year. The
+  // total return index already includes them, so that lot's units come out of
+  // the units held and the earlier lots keep their cost
+  const dividendYield = hasDividendYields(indexType) ? getDividendYield(year, indexType) : 0;
+  const dividends = valueAfterFee * dividendYield / 100;
+  const dividendUnits = dividends / unitPrice;
+  const unitsAfterFee = startUnits * (1 - feeRate);
+  const earlierShare = unitsAfterFee > 0 ? (unitsAfterFee - dividendUnits) / unitsAfterFee : 0;
+  const lots = holdings.lots.map(lot => ({
+    year: lot.year,
+    units: lot.units * (1 - feeRate) * earlierShare,
+    cost: lot.cost
+  }));
+  if (dividends > 0) {
+    lots.push({ year, units: dividendUnits, cost: dividends });
+  }
+
+  const otherIncome = getOtherIncome(costs.otherIncome, year);
+  const taxableIncome = otherIncome + pensionIncome;
+  const dividendTax = calculateDividendTax(dividends, year, taxableIncome).taxPaid;
+
+  // Sell units worth `gross` and work out the capital gains tax on the sale
+  const sell = gross => {
+    const disposal = calculateDisposal(lots, gross / unitPrice, unitPrice, year);
+    const tax = calculateCapitalGainsTax(disposal.gain, year, taxableIncome + dividends, lossesBroughtForward);
+    return { disposal, tax };
+  };
+
+  let status = 'active';
+  let sale = sell(0);
+
+  if (startValue <= 0) {
+    status = 'exhausted';
+  } else {
+    const cashNeeded = targetWithdrawal + dividendTax;
+    const sellEverything = sell(valueAfterFee);
+
+    if (valueAfterFee - sellEverything.tax.taxPaid <= cashNeeded) {
+      sale = sellEverything;
+      if (valueAfterFee - sellEverything.tax.taxPaid < cashNeeded) {
+        status = 'depleted';
+      }
+    } else {
+      // Capital gains tax grows more slowly than the sale, so this settles quickly
+      let gross = cashNeeded;
+      for (let i = 0; i < MAX_SALE_ITERATIONS; i++) {
+        sale = sell(gross);
+        const next = cashNeeded + sale.tax.taxPaid;
+        if (Math.abs(next - gross) < 1e-6) break;
+        gross = next;
+      }
+    }
+  }
+
+  const endLots = sale.disposal.lots;
+  const endUnits = endLots.reduce((sum, lot) => sum + lot.units, 0);
+  const capitalGainsTax = sale.tax.taxPaid;
+
+  return {
+    year,
+    unitPrice,
+    startUnits,
+    startValueGbp: startValue,
+    managementFee,
+    dividends,
+    dividendTax,
+    withdrawalGross: sale.disposal.proceeds,
+    gainRealised: sale.disposal.gain,
+    indexationAllowance: sale.disposal.indexationAllowance,
+    taperRelief: sale.disposal.taperRelief,
+    lossesBroughtForward,
+    capitalGainsTax,
+    netWithdrawal: Math.max(0, sale.disposal.proceeds - capitalGainsTax - dividendTax),
+    endUnits,
+    endValueGbp: endUnits * unitPrice,
+    costBasis: endLots.reduce((sum, lot) => sum + lot.cost, 0),
+    lossesCarriedForward: sale.tax.lossesCarriedForward,
+    lots: endLots,
+    otherIncome,
+    otherIncomeTax: otherIncome > 0 ? calculateIncomeTax(otherIncome, year, false, 0, costs.taxResidency).taxPaid : 0,
+    pensionIncome,
+    status
+  };
+}
+
+/**
+ * Capital gains tax that selling the rest of the account in the final year would add
+ *
+ * @param {GiaYearResult} lastResult - Final year's result
+ * @returns {number} Extra capital gains tax
+ */
+export function calculateTaxOnUnrealisedGains(lastResult) {
+  if (lastResult.endUnits <= 0) {
+    return 0;
+  }
+
+  const { year, unitPrice, lots, gainRealised, dividends, otherIncome, pensionIncome, lossesBroughtForward } = lastResult;
+  const rest = calculateDisposal(lots, lastResult.endUnits, unitPrice, year);
+  const withRest = calculateCapitalGainsTax(
+    gainRealised + rest.gain, year, otherIncome + pensionIncome + dividends, lossesBroughtForward
+  );
+
+  return Math.max(0, withRest.taxPaid - lastResult.capitalGainsTax);
+}
+
+/**
+ * Calculate summary statistics
+ */
+function calculateSummary(pensionAmount, initialWithdrawal, yearlyResults, targetWithdrawal) {
+  const sumOf = key => yearlyResults.reduce((sum, r) => sum + r[key], 0);
+
+  const totalWithdrawn = sumOf('netWithdrawal');
+  const activeYears = yearlyResults.filter(r => r.status === 'active').length;
+  const depletedYear = yearlyResults.find(r => r.status === 'depleted');
+  const exhaustedYear = yearlyResults.find(r => r.status === 'exhausted');
+
+  const lastResult = yearlyResults[yearlyResults.length - 1];
+
+  // Years where full withdrawal was achieved
+  const fullWithdrawalYears = yearlyResults.filter(
+    r => r.status === 'active' && Math.abs(r.netWithdrawal - targetWithdrawal) < 1
+  ).length;
+
+  return {
+    initialInvestment: pensionAmount,
+    taxPaidOnWithdrawal: initialWithdrawal.taxCalculation.taxPaid,
+    netInvested: initialWithdrawal.netAfterTax,
+    targetAnnualWithdrawal: targetWithdrawal,
+    totalWithdrawn,
+    totalManagementFees: sumOf('managementFee'),
+    totalDividends: sumOf('dividends'),
+    totalDividendTax: sumOf('dividendTax'),
+    totalCapitalGainsTax: sumOf('capitalGainsTax'),
+    totalIndexationAllowance: sumOf('indexationAllowance'),
+    totalTaperRelief: sumOf('taperRelief'),
+    finalValue: lastResult.endValueGbp,
+    finalCostBasis: lastResult.costBasis,
+    taxOnUnrealisedGains: calculateTaxOnUnrealisedGains(lastResult),
+    // Unrealised gains would still be taxed if sold
+    totalValueRealized: totalWithdrawn + lastResult.endValueGbp,
+    activeYears,
+    fullWithdrawalYears,
+    yearDepleted: depletedYear ? depletedYear.year : null,
+    yearExhausted: exhaustedYear ? exhaustedYear.year : null,
+    strategySuccessful: lastResult.status === 'active'
+  };
+}
+
+export { INDEX_TYPES };
+
+export default {
+  calculateGiaStrategy,
+  resolveGiaCosts,
+  calculateGiaYear,
+  calculateTaxOnUnrealisedGains,
+  INDEX_TYPES
+};
@@ -8,17 +8,68 @@
  * - Initial pension withdrawal is taxed (25% tax-free PCLS, 75% taxable)
  * - Gold purchase incurs 2% transaction cost
  * - Annual withdrawals are funded by selling gold (2% transaction cost)
- * - Gold sales are CGT-exempt (UK sovereign coins or bullion)
+ * - Gold product (config.goldProduct):
+ *   - 'coins' (default): UK legal tender coins (Sovereigns, Britannias),
+ *     whose sales are CGT-exempt
+ *   - 'bars': bars and non-UK coins, whose sales pay capital gains tax. The
+ *     cost basis (purchase price plus dealer cost) is tracked, and each
+ *     year's sales use the historical rates, annual exempt amount,
+ *     indexation and taper relief (see investmentTax). Enough extra gold is
+ *     sold to pay the tax, and gains still held at the end would pay it too
+ * - In target net income mode, enough gold is sold each year to leave the
+ *   target after dealer costs and any capital gains tax (no income tax is
+ *   due on gold sales)
+ * - Other taxable income in the start year is taxed before the initial
+ *   withdrawal, so the withdrawal bears the marginal tax on top of it
+ * - In target net income mode, the State Pension (after its tax) pays for
+ *   part of the target from State Pension Age, so less gold is sold
  * - Uses January 1st gold prices for each year
  *
+ * The same bullion calculations hold physical silver for the silver strategy
+ * (costs.metal), with silver prices and any VAT paid on the purchase
+ * (costs.purchaseVat) added to the cost of the metal.
+ *
  * @module goldStrategy
  */
 
 import { getGoldPrice } from '../data/goldPrices.js';
+import { getSilverPrice } from '../data/silverPrices.js';
+import { getVatRate } from '../data/vatRates.js';
 import { getInflationMultiplier } from '../data/ukCpi.js';
 import { calculateIncomeTax } from './taxCalculator.js';
+import { calculateDisposal, calculateCapitalGainsTax } from './investmentTax.js';
+import { resolveIncomeSources, getOtherIncome, getNetStatePension } from './otherIncome.js';
 import { isValidYear, isValidAmount } from '../utils/validators.js';
-import { COSTS, YEAR_RANGE } from '../config/defaults.js';
+import { COSTS, TAX, GOLD_PRODUCT, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Physical gold products, which decide whether gold sales pay capital gains tax
+ */
+export const GOLD_PRODUCTS = {
+  COINS: 'coins',
+  BARS: 'bars'
+};
+
+/**
+ * Precious metals the bullion calculations can hold
+ */
+export const METALS = {
+  GOLD: 'gold',
+  SILVER: 'silver'
+};
+
+/**
+ * Price per troy ounce of each metal
+ */
+const METAL_PRICES = {
+  [METALS.GOLD]: getGoldPrice,
+  [METALS.SILVER]: getSilverPrice
+};
+
+/**
+ * Most passes of the sale that pays its own capital gains tax
+ */
+const MAX_SALE_ITERATIONS = 100;
 
 /**
  * Yearly result for gold strategy
@@ -33,10 +84,16 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  * @property {number} withdrawalGross - Gross withdrawal amount
  * @property {number} goldSold - Ounces of gold sold for withdrawal (excludes storage)
  * @property {number} transactionCost - Transaction cost for selling gold
- * @property {number} netWithdrawal - Net cash received after transaction cost
+ * @property {number} netWithdrawal - Net cash received after transaction cost and capital gains tax
+ * @property {number} capitalGainsTax - Capital gains tax on the year's sales (0 for coins)
  * @property {number} endGoldOunces - Gold ounces at end of year
  * @property {number} endValueGbp - Portfolio value at end of year
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income (gold sales add none)
  * @property {string} status - 'active', 'exhausted', or 'depleted'
+ *
+ * Bars also record gainRealised, indexationAllowance, taperRelief,
+ * lossesBroughtForward, costBasis, lossesCarriedForward and the lots left.
  */
 
 /**
@@ -45,6 +102,8 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  * @property {Object} initialWithdrawal - Details of initial pension withdrawal
  * @property {GoldYearResult[]} yearlyResults - Year-by-year breakdown
  * @property {Object} summary - Summary statistics
+ * @property {string} metal - 'gold' or 'silver'
+ * @property {string} goldProduct - 'coins' or 'bars' (silver results give silverProduct instead)
  */
 
 /**
@@ -57,6 +116,12 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  * @param {Object} [config] - Optional configuration to override default costs
  * @param {number} [config.goldTransactionPercent] - Gold transaction fee percentage
  * @param {number} [config.goldStorageFeePercent] - Gold storage fee percentage
+ * @param {string} [config.goldProduct='coins'] - 'coins' (CGT-exempt) or 'bars' (CGT on each sale)
+ * @param {number} [config.targetNetIncome] - Annual net income wanted (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
  * @returns {GoldStrategyResult} Complete strategy results
  * @throws {Error} If inputs are invalid
  *
@@ -66,35 +131,140 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  *
  * // With custom fees
  * const result2 = calculateGoldStrategy(500000, 2000, 4, 25, { goldTransactionPercent: 1.5 });
+ *
+ * // Bars pay capital gains tax on each sale
+ * const result3 = calculateGoldStrategy(500000, 2000, 4, 25, { goldProduct: 'bars' });
  */
 export function calculateGoldStrategy(pensionAmount, startYear, withdrawalRate, years, config = {}) {
   // Merge config with defaults
-  const costs = {
-    goldTransactionPercent: config.goldTransactionPercent ?? COSTS.goldTransactionPercent,
-    goldStorageFeePercent: config.goldStorageFeePercent ?? COSTS.goldStorageFeePercent,
-    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation
+  const costs = resolveGoldCosts(config, startYear);
+
+  return {
+    ...calculateBullionStrategy(pensionAmount, startYear, withdrawalRate, years, costs),
+    goldProduct: costs.goldProduct
   };
+}
 
+/**
+ * Withdraw the pension, buy physical metal and fund each year's withdrawal by selling it
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (e.g., 4 for 4%)
+ * @param {number} years - Number of years to simulate
+ * @param {Object} costs - Resolved cost settings (see resolveGoldCosts); costs.metal picks the
+ *   prices and costs.goldProduct 'bars' makes sales pay capital gains tax
+ * @returns {GoldStrategyResult} Complete strategy results, without the product
+ * @throws {Error} If inputs are invalid
+ */
+export function calculateBullionStrategy(pensionAmount, startYear, withdrawalRate, years, costs) {
   // Validate inputs
-  validateInputs(pensionAmount, startYear, withdrawalRate, years);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, costs.targetNetIncome);
 
-  // Step 1: Initial pension withdrawal and tax
-  const initialWithdrawal = calculateInitialWithdrawal(pensionAmount, startYear);
+  // Steps 1-2: Initial pension withdrawal, tax and gold purchase
+  const position = calculateInitialGoldPosition(pensionAmount, startYear, costs);
 
-  // Step 2: Buy gold with net proceeds
-  const goldPurchase = calculateGoldPurchase(initialWithdrawal.netAmount, startYear, costs);
+  // Bars track their cost for capital gains tax; the dealer cost of buying is part of it
+  const gains = createGoldGains(costs, [
+    { year: startYear, units: position.goldPurchase.goldOunces, cost: position.goldPurchase.grossAmount }
+  ]);
 
-  // Step 3: Calculate annual withdrawals
-  const annualWithdrawalAmount = pensionAmount * (withdrawalRate / 100);
+  // Step 3: Calculate annual withdrawals (gold sales pay no income tax, so only bars gross up a net income target)
+  const annualWithdrawalAmount = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
   const yearlyResults = calculateYearlyWithdrawals(
-    goldPurchase.goldOunces,
+    position.goldPurchase.goldOunces,
     startYear,
     annualWithdrawalAmount,
     years,
-    costs
+    costs,
+    gains
   );
 
-  // Step 4: Calculate summary
+  // Step 4: Assemble result and summary
+  return {
+    ...buildGoldStrategyResult(pensionAmount, position, yearlyResults, annualWithdrawalAmount),
+    metal: costs.metal
+  };
+}
+
+/**
+ * Start tracking the cost of gold held for capital gains tax
+ *
+ * @param {Object} costs - Gold cost settings (see resolveGoldCosts)
+ * @param {Object[]} [lots=[]] - Lots bought so far ({year, units, cost}, oldest first)
+ * @returns {Object|null} Gains state for calculateGoldYear, or null for CGT-exempt coins
+ */
+export function createGoldGains(costs, lots = []) {
+  return costs.goldProduct === GOLD_PRODUCTS.BARS
+    ? { lots, lossesCarriedForward: 0, gainAlreadyRealised: 0 }
+    : null;
+}
+
+/**
+ * Merge optional gold cost overrides with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} Gold cost settings
+ * @throws {Error} If the gold product is not recognised
+ */
+export function resolveGoldCosts(config = {}, startYear) {
+  const goldProduct = config.goldProduct ?? GOLD_PRODUCT.type;
+
+  if (!Object.values(GOLD_PRODUCTS).includes(goldProduct)) {
+    const validProducts = Object.values(GOLD_PRODUCTS).join(', ');
+    throw new Error(`Unknown gold product: ${goldProduct}. Valid products: ${validProducts}`);
+  }
+
+  return {
+    goldTransactionPercent: config.goldTransactionPercent ?? COSTS.goldTransactionPercent,
+    goldStorageFeePercent: config.goldStorageFeePercent ?? COSTS.goldStorageFeePercent,
+    goldProduct,
+    metal: METALS.GOLD,
+    purchaseVat: false,           // Investment gold is exempt from VAT
+    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation,
+    targetNetIncome: config.targetNetIncome ?? null,
+    otherIncome: resolveIncomeSources(config, startYear),
+    taxResidency: config.taxResidency ?? TAX.residency
+  };
+}
+
+/**
+ * Withdraw the pension, pay tax and buy gold with the net proceeds
+ *
+ * @param {number} pensionAmount - Pension amount withdrawn
+ * @param {number} startYear - Year of withdrawal and purchase
+ * @param {Object} costs - Gold cost settings (see resolveGoldCosts)
+ * @param {Object} [taxResult] - Tax on the withdrawal when it has been taxed together with
+ *   other withdrawals in the same year (defaults to taxing the withdrawal on top of any
+ *   other income)
+ * @returns {Object} Initial withdrawal and gold purchase details
+ */
+export function calculateInitialGoldPosition(pensionAmount, startYear, costs, taxResult) {
+  const initialWithdrawal = calculateInitialWithdrawal(
+    pensionAmount,
+    startYear,
+    taxResult ?? calculateIncomeTax(
+      pensionAmount, startYear, true, getOtherIncome(costs.otherIncome, startYear), costs.taxResidency
+    )
+  );
+  const goldPurchase = calculateGoldPurchase(initialWithdrawal.netAmount, startYear, costs);
+
+  return { initialWithdrawal, goldPurchase };
+}
+
+/**
+ * Assemble the full gold strategy result from its initial position and yearly results
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {Object} position - Result of calculateInitialGoldPosition
+ * @param {GoldYearResult[]} yearlyResults - Year-by-year breakdown
+ * @param {number} annualWithdrawalAmount - Target annual withdrawal (first year)
+ * @returns {GoldStrategyResult} Complete strategy results
+ */
+export function buildGoldStrategyResult(pensionAmount, position, yearlyResults, annualWithdrawalAmount) {
+  const { initialWithdrawal, goldPurchase } = position;
+
   const summary = calculateSummary(
     pensionAmount,
     initialWithdrawal,
@@ -109,6 +279,7 @@ export function calculateGoldStrategy(pensionAmount, startYear, withdrawalRate,
       taxCalculation: initialWithdrawal.taxResult,
       netAfterTax: initialWithdrawal.netAmount,
       goldPurchaseCost: goldPurchase.transactionCost,
+      purchaseVat: goldPurchase.vatPaid,
       amountInvested: goldPurchase.netInvested,
       goldPriceAtPurchase: goldPurchase.pricePerOunce,
       goldOuncesPurchased: goldPurchase.goldOunces
@@ -121,7 +292,7 @@ export function calculateGoldStrategy(pensionAmount, startYear, withdrawalRate,
 /**
  * Validate all inputs
  */
-function validateInputs(pensionAmount, startYear, withdrawalRate, years) {
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, targetNetIncome) {
   if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
     throw new Error('Pension amount must be a positive number');
   }
@@ -138,6 +309,10 @@ function validateInputs(pensionAmount, startYear, withdrawalRate, years) {
     throw new Error('Years must be a positive integer');
   }
 
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
   // Check if we have enough data years
   const endYear = startYear + years - 1;
   if (endYear > 2026) {
@@ -148,9 +323,7 @@ function validateInputs(pensionAmount, startYear, withdrawalRate, years) {
 /**
  * Calculate the initial pension withdrawal and tax
  */
-function calculateInitialWithdrawal(pensionAmount, year) {
-  const taxResult = calculateIncomeTax(pensionAmount, year, true);
-
+function calculateInitialWithdrawal(pensionAmount, year, taxResult) {
   return {
     taxResult,
     netAmount: taxResult.netIncome
@@ -158,47 +331,50 @@ function calculateInitialWithdrawal(pensionAmount, year) {
 }
 
 /**
- * Calculate gold purchase with transaction costs
+ * Calculate gold purchase with transaction costs and any VAT
  */
 function calculateGoldPurchase(amountGbp, year, costs) {
-  const pricePerOunce = getGoldPrice(year);
+  const pricePerOunce = getMetalPrice(costs, year);
   const transactionCostRate = costs.goldTransactionPercent / 100;
 
-  // Transaction cost is applied to the purchase
+  // Transaction cost is applied to the purchase, and VAT is included in what is left
   const transactionCost = amountGbp * transactionCostRate;
-  const netInvested = amountGbp - transactionCost;
+  const vatRate = costs.purchaseVat ? getVatRate(year) / 100 : 0;
+  const vatPaid = (amountGbp - transactionCost) * vatRate / (1 + vatRate);
+  const netInvested = amountGbp - transactionCost - vatPaid;
   const goldOunces = netInvested / pricePerOunce;
 
   return {
     grossAmount: amountGbp,
     transactionCost,
+    vatPaid,
     netInvested,
     pricePerOunce,
     goldOunces
   };
 }
 
+/**
+ * Get the Jan 1st price per troy ounce of the metal held
+ *
+ * @param {Object} costs - Cost settings (see resolveGoldCosts)
+ * @param {number} year - The year
+ * @returns {number} Price in GBP per troy ounce
+ */
+function getMetalPrice(costs, year) {
+  return METAL_PRICES[costs.metal](year);
+}
+
 /**
  * Calculate year-by-year withdrawals from gold holdings
- * Storage fee is deducted first by selling gold, then withdrawal
  */
-function calculateYearlyWithdrawals(startingGoldOunces, startYear, annualWithdrawal, years, costs) {
+function calculateYearlyWithdrawals(startingGoldOunces, startYear, annualWithdrawal, years, costs, gains) {
   const results = [];
   let currentGoldOunces = startingGoldOunces;
-  const transactionCostRate = costs.goldTransactionPercent / 100;
-  const storageFeeRate = costs.goldStorageFeePercent / 100;
+  let currentGains = gains;
 
   for (let i = 0; i < years; i++) {
     const year = startYear + i;
-    const goldPrice = getGoldPrice(year);
-    const startValue = currentGoldOunces * goldPrice;
-    const startOunces = currentGoldOunces;
-
-    // Determine status and initialize values
-    let status = 'active';
-    let storageFee = 0;
-    let goldSoldForStorage = 0;
-    let valueAfterStorageFee = startValue;
 
     // Adjust withdrawal for inflation if enabled
     let withdrawalGross = annualWithdrawal;
@@ -206,90 +382,249 @@ function calculateYearlyWithdrawals(startingGoldOunces, startYear, annualWithdra
       withdrawalGross = annualWithdrawal * getInflationMultiplier(startYear, year);
     }
 
-    let goldSold = 0;
-    let transactionCost = 0;
-    let netWithdrawal = 0;
+    // The State Pension pays for part of a net income target
+    if (costs.targetNetIncome !== null) {
+      withdrawalGross = Math.max(0, withdrawalGross - getNetStatePension(costs.otherIncome, year, costs.taxResidency));
+    }
+
+    const yearResult = calculateGoldYear(currentGoldOunces, year, withdrawalGross, costs, currentGains);
+    currentGoldOunces = yearResult.endGoldOunces;
+    if (currentGains) {
+      currentGains = { lots: yearResult.lots, lossesCarriedForward: yearResult.lossesCarriedForward, gainAlreadyRealised: 0 };
+    }
+    results.push(yearResult);
+  }
+
+  return results;
+}
+
+/**
+ * Simulate a single year of gold holdings
+ * Storage fee is deducted first by selling gold, then withdrawal
+ *
+ * @param {number} goldOunces - Gold ounces held at the start of the year
+ * @param {number} year - The year to simulate
+ * @param {number} targetWithdrawal - Cash withdrawal wanted this year (already inflation-adjusted)
+ * @param {Object} costs - Gold cost settings (see resolveGoldCosts)
+ * @param {Object} [gains] - Lots (in ounces), unused capital losses and any gain already realised
+ *   earlier in the tax year (see createGoldGains); sales pay capital gains tax when given and
+ *   costs.goldProduct is 'bars'
+ * @returns {GoldYearResult} The year's result
+ */
+export function calculateGoldYear(goldOunces, year, targetWithdrawal, costs, gains = null) {
+  if (gains && costs.goldProduct === GOLD_PRODUCTS.BARS) {
+    return calculateChargeableGoldYear(goldOunces, year, targetWithdrawal, costs, gains);
+  }
+
+  let currentGoldOunces = goldOunces;
+  const transactionCostRate = costs.goldTransactionPercent / 100;
+  const storageFeeRate = costs.goldStorageFeePercent / 100;
 
-    if (currentGoldOunces <= 0) {
-      // Already exhausted
-      status = 'exhausted';
+  const goldPrice = getMetalPrice(costs, year);
+  const startValue = currentGoldOunces * goldPrice;
+  const startOunces = currentGoldOunces;
+
+  // Determine status and initialize values
+  let status = 'active';
+  let storageFee = 0;
+  let goldSoldForStorage = 0;
+  let valueAfterStorageFee = startValue;
+  let withdrawalGross = targetWithdrawal;
+
+  let goldSold = 0;
+  let transactionCost = 0;
+  let netWithdrawal = 0;
+
+  if (currentGoldOunces <= 0) {
+    // Already exhausted
+    status = 'exhausted';
+    withdrawalGross = 0;
+  } else {
+    // Step 1: Pay storage fee by selling gold
+    // Storage fee = portfolio value * storage rate
+    // To pay storage fee: sell gold, pay transaction cost, use proceeds for fee
+    // Fee amount needed = startValue * storageFeeRate
+    // To get F in cash after selling: sell X ounces where X * price * (1 - txCost) = F
+    storageFee = startValue * storageFeeRate;
+    const effectivePriceForStorage = goldPrice * (1 - transactionCostRate);
+    const ouncesNeededForStorage = storageFee / effectivePriceForStorage;
+
+    if (ouncesNeededForStorage >= currentGoldOunces) {
+      // Can't even pay storage fee - depleted
+      status = 'depleted';
+      goldSoldForStorage = currentGoldOunces;
+      const grossSaleValue = goldSoldForStorage * goldPrice;
+      transactionCost = grossSaleValue * transactionCostRate;
+      storageFee = grossSaleValue - transactionCost; // Actual storage paid
+      currentGoldOunces = 0;
       withdrawalGross = 0;
+      netWithdrawal = 0;
+      valueAfterStorageFee = 0;
     } else {
-      // Step 1: Pay storage fee by selling gold
-      // Storage fee = portfolio value * storage rate
-      // To pay storage fee: sell gold, pay transaction cost, use proceeds for fee
-      // Fee amount needed = startValue * storageFeeRate
-      // To get F in cash after selling: sell X ounces where X * price * (1 - txCost) = F
-      storageFee = startValue * storageFeeRate;
-      const effectivePriceForStorage = goldPrice * (1 - transactionCostRate);
-      const ouncesNeededForStorage = storageFee / effectivePriceForStorage;
-
-      if (ouncesNeededForStorage >= currentGoldOunces) {
-        // Can't even pay storage fee - depleted
+      // Pay storage fee
+      goldSoldForStorage = ouncesNeededForStorage;
+      const storageTxCost = goldSoldForStorage * goldPrice * transactionCostRate;
+      currentGoldOunces -= goldSoldForStorage;
+      valueAfterStorageFee = currentGoldOunces * goldPrice;
+
+      // Step 2: Make annual withdrawal
+      // Calculate how much gold to sell for withdrawal
+      const effectivePrice = goldPrice * (1 - transactionCostRate);
+      const ouncesNeeded = withdrawalGross / effectivePrice;
+
+      if (ouncesNeeded >= currentGoldOunces) {
+        // Not enough gold - sell everything
         status = 'depleted';
-        goldSoldForStorage = currentGoldOunces;
-        const grossSaleValue = goldSoldForStorage * goldPrice;
-        transactionCost = grossSaleValue * transactionCostRate;
-        storageFee = grossSaleValue - transactionCost; // Actual storage paid
+        goldSold = currentGoldOunces;
+        const grossSaleValue = goldSold * goldPrice;
+        const withdrawalTxCost = grossSaleValue * transactionCostRate;
+        transactionCost = storageTxCost + withdrawalTxCost;
+        netWithdrawal = grossSaleValue - withdrawalTxCost;
+        withdrawalGross = netWithdrawal; // Actual withdrawal is what we get
         currentGoldOunces = 0;
-        withdrawalGross = 0;
-        netWithdrawal = 0;
-        valueAfterStorageFee = 0;
       } else {
-        // Pay storage fee
-        goldSoldForStorage = ouncesNeededForStorage;
-        const storageTxCost = goldSoldForStorage * goldPrice * transactionCostRate;
-        currentGoldOunces -= goldSoldForStorage;
-        valueAfterStorageFee = currentGoldOunces * goldPrice;
-
-        // Step 2: Make annual withdrawal
-        // Calculate how much gold to sell for withdrawal
-        const effectivePrice = goldPrice * (1 - transactionCostRate);
-        const ouncesNeeded = withdrawalGross / effectivePrice;
-
-        if (ouncesNeeded >= currentGoldOunces) {
-          // Not enough gold - sell everything
-          status = 'depleted';
-          goldSold = currentGoldOunces;
-          const grossSaleValue = goldSold * goldPrice;
-          const withdrawalTxCost = grossSaleValue * transactionCostRate;
-          transactionCost = storageTxCost + withdrawalTxCost;
-          netWithdrawal = grossSaleValue - withdrawalTxCost;
-          withdrawalGross = netWithdrawal; // Actual withdrawal is what we get
-          currentGoldOunces = 0;
-        } else {
-          // Enough gold - sell what we need
-          goldSold = ouncesNeeded;
-          const grossSaleValue = goldSold * goldPrice;
-          const withdrawalTxCost = grossSaleValue * transactionCostRate;
-          transactionCost = storageTxCost + withdrawalTxCost;
-          netWithdrawal = grossSaleValue - withdrawalTxCost;
-          currentGoldOunces -= goldSold;
-        }
+        // Enough gold - sell what we need
+        goldSold = ouncesNeeded;
+        const grossSaleValue = goldSold * goldPrice;
+        const withdrawalTxCost = grossSaleValue * transactionCostRate;
+        transactionCost = storageTxCost + withdrawalTxCost;
+        netWithdrawal = grossSaleValue - withdrawalTxCost;
+        currentGoldOunces -= goldSold;
       }
     }
+  }
+
+  const endValue = currentGoldOunces * goldPrice;
+  const otherIncome = getOtherIncome(costs.otherIncome, year);
+
+  return {
+    year,
+    startGoldOunces: startOunces,
+    goldPricePerOunce: goldPrice,
+    startValueGbp: startValue,
+    storageFee,
+    goldSoldForStorage,
+    valueAfterStorageFee,
+    withdrawalGross,
+    goldSold,
+    transactionCost,
+    netWithdrawal,
+    capitalGainsTax: 0,
+    endGoldOunces: currentGoldOunces,
+    endValueGbp: endValue,
+    otherIncome,
+    otherIncomeTax: otherIncome > 0 ? calculateIncomeTax(otherIncome, year, false, 0, costs.taxResidency).taxPaid : 0,
+    status
+  };
+}
+
+/**
+ * Simulate a single year of gold that pays capital gains tax: the storage
+ * fee, then enough gold sold to pay the income wanted and the tax on the
+ * year's sales. Dealer costs on a sale reduce its proceeds.
+ */
+function calculateChargeableGoldYear(goldOunces, year, targetWithdrawal, costs, gains) {
+  const transactionCostRate = costs.goldTransactionPercent / 100;
+  const goldPrice = getMetalPrice(costs, year);
+  const salePrice = goldPrice * (1 - transactionCostRate);
+  const startValue = goldOunces * goldPrice;
+  const otherIncome = getOtherIncome(costs.otherIncome, year);
+  const lossesBroughtForward = gains.lossesCarriedForward;
+  const gainAlreadyRealised = gains.gainAlreadyRealised ?? 0;
+
+  // Sell ounces and work out the capital gains tax on the year's sales
+  const sell = ounces => {
+    const disposal = calculateDisposal(gains.lots, ounces, salePrice, year);
+    const tax = calculateCapitalGainsTax(disposal.gain + gainAlreadyRealised, year, otherIncome, lossesBroughtForward);
+    return { disposal, tax };
+  };
+
+  let status = 'active';
+  let storageFee = 0;
+  let goldSoldForStorage = 0;
+  let sale = sell(0);
+
+  if (goldOunces <= 0) {
+    status = 'exhausted';
+  } else {
+    storageFee = startValue * costs.goldStorageFeePercent / 100;
+    goldSoldForStorage = storageFee / salePrice;
+    const sellEverything = sell(goldOunces);
+    const cashAfterStorage = (goldOunces - goldSoldForStorage) * salePrice - sellEverything.tax.taxPaid;
+
+    if (goldSoldForStorage >= goldOunces) {
+      // Can't even pay storage fee - depleted
+      status = 'depleted';
+      sale = sellEverything;
+      goldSoldForStorage = goldOunces;
+      storageFee = Math.max(0, sale.disposal.proceeds - sale.tax.taxPaid);
+    } else if (cashAfterStorage <= targetWithdrawal) {
+      sale = sellEverything;
+      if (cashAfterStorage < targetWithdrawal) {
+        status = 'depleted';
+      }
+    } else {
+      // Capital gains tax grows more slowly than the sale, so this settles quickly
+      let cash = targetWithdrawal;
+      for (let i = 0; i < MAX_SALE_ITERATIONS; i++) {
+        sale = sell(goldSoldForStorage + cash / salePrice);
+        const next = targetWithdrawal + sale.tax.taxPaid;
+        if (Math.abs(next - cash) < 1e-6) break;
+        cash = next;
+      }
+    }
+  }
+
+  const goldSold = sale.disposal.units - goldSoldForStorage;
+  const withdrawalGross = goldSold * salePrice;
+  const capitalGainsTax = sale.tax.taxPaid;
+  const endLots = sale.disposal.lots;
+  const endGoldOunces = goldOunces - sale.disposal.units;
+
+  return {
+    year,
+    startGoldOunces: goldOunces,
+    goldPricePerOunce: goldPrice,
+    startValueGbp: startValue,
+    storageFee,
+    goldSoldForStorage,
+    valueAfterStorageFee: (goldOunces - goldSoldForStorage) * goldPrice,
+    withdrawalGross,
+    goldSold,
+    transactionCost: sale.disposal.units * goldPrice * transactionCostRate,
+    netWithdrawal: Math.max(0, withdrawalGross - capitalGainsTax),
+    gainRealised: sale.disposal.gain + gainAlreadyRealised,
+    indexationAllowance: sale.disposal.indexationAllowance,
+    taperRelief: sale.disposal.taperRelief,
+    lossesBroughtForward,
+    capitalGainsTax,
+    endGoldOunces,
+    endValueGbp: endGoldOunces * goldPrice,
+    costBasis: endLots.reduce((sum, lot) => sum + lot.cost, 0),
+    lossesCarriedForward: sale.tax.lossesCarriedForward,
+    lots: endLots,
+    otherIncome,
+    otherIncomeTax: otherIncome > 0 ? calculateIncomeTax(otherIncome, year, false, 0, costs.taxResidency).taxPaid : 0,
+    status
+  };
+}
 
-    const endValue = currentGoldOunces * goldPrice;
-
-    results.push({
-      year,
-      startGoldOunces: startOunces,
-      goldPricePerOunce: goldPrice,
-      startValueGbp: startValue,
-      storageFee,
-      goldSoldForStorage,
-      valueAfterStorageFee,
-      withdrawalGross,
-      goldSold,
-      transactionCost,
-      netWithdrawal,
-      endGoldOunces: currentGoldOunces,
-      endValueGbp: endValue,
-      status
-    });
+/**
+ * Capital gains tax that selling the rest of the gold in the final year would add
+ *
+ * @param {GoldYearResult} lastResult - Final year's result
+ * @returns {number} Extra capital gains tax (0 for coins)
+ */
+export function calculateTaxOnUnrealisedGains(lastResult) {
+  if (!lastResult.lots || lastResult.endGoldOunces <= 0) {
+    return 0;
   }
 
-  return results;
+  const { year, goldPricePerOunce, lots, gainRealised, otherIncome, lossesBroughtForward } = lastResult;
+  const rest = calculateDisposal(lots, lastResult.endGoldOunces, goldPricePerOunce, year);
+  const withRest = calculateCapitalGainsTax(gainRealised + rest.gain, year, otherIncome, lossesBroughtForward);
+
+  return Math.max(0, withRest.taxPaid - lastResult.capitalGainsTax);
 }
 
 /**
@@ -299,7 +634,9 @@ function calculateSummary(pensionAmount, initialWithdrawal, goldPurchase, yearly
   const totalWithdrawn = yearlyResults.reduce((sum, r) => sum + r.netWithdrawal, 0);
   const totalTransactionCosts = goldPurchase.transactionCost +
     yearlyResults.reduce((sum, r) => sum + r.transactionCost, 0);
+  const purchaseVat = goldPurchase.vatPaid;
   const totalStorageFees = yearlyResults.reduce((sum, r) => sum + r.storageFee, 0);
+  const totalCapitalGainsTax = yearlyResults.reduce((sum, r) => sum + (r.capitalGainsTax || 0), 0);
 
   const activeYears = yearlyResults.filter(r => r.status === 'active').length;
   const depletedYear = yearlyResults.find(r => r.status === 'depleted');
@@ -326,8 +663,12 @@ function calculateSummary(pensionAmount, initialWithdrawal, goldPurchase, yearly
     totalWithdrawn,
     totalTransactionCosts,
     totalStorageFees,
+    purchaseVat,
+    totalCapitalGainsTax,
     finalGoldOunces,
     finalGoldValue: finalValue,
+    // Bars still held would pay capital gains tax if sold
+    taxOnUnrealisedGains: calculateTaxOnUnrealisedGains(lastResult),
     totalValueRealized,
     activeYears,
     fullWithdrawalYears,
@@ -350,11 +691,7 @@ export function calculateGoldYearsRemaining(goldOunces, startYear, annualWithdra
   if (goldOunces <= 0) return 0;
   if (annualWithdrawal <= 0) return Infinity;
 
-  const costs = {
-    goldTransactionPercent: config.goldTransactionPercent ?? COSTS.goldTransactionPercent,
-    goldStorageFeePercent: config.goldStorageFeePercent ?? COSTS.goldStorageFeePercent,
-    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation
-  };
+  const costs = resolveGoldCosts(config, startYear);
 
   let currentOunces = goldOunces;
   let years = 0;
@@ -366,7 +703,7 @@ export function calculateGoldYearsRemaining(goldOunces, startYear, annualWithdra
     const year = startYear + i;
     if (year > 2026) break;
 
-    const goldPrice = getGoldPrice(year);
+    const goldPrice = getMetalPrice(costs, year);
     const effectivePrice = goldPrice * (1 - transactionCostRate);
 
     // First deduct storage fee
@@ -423,7 +760,16 @@ export function getGoldValue(goldOunces, year) {
 }
 
 export default {
+  GOLD_PRODUCTS,
+  METALS,
   calculateGoldStrategy,
+  calculateBullionStrategy,
+  resolveGoldCosts,
+  calculateInitialGoldPosition,
+  calculateGoldYear,
+  createGoldGains,
+  calculateTaxOnUnrealisedGains,
+  buildGoldStrategyResult,
   calculateGoldYearsRemaining,
   getGoldValue
 };
@@ -0,0 +1,361 @@
+/**
+ * Capital Gains Tax, Dividend Tax and Savings Tax Calculator
+ *
+ * Taxes investments held outside a pension or ISA, using the historical
+ * rates and allowances in investmentTaxData:
+ * - Holdings are a list of lots (units bought in a tax year and their cost).
+ *   Each disposal is matched to lots by the identification rule of the time:
+ *   the pooled average cost (Section 104 pool), except under taper relief
+ *   (1998-2007) when the most recent purchases are matched first
+ * - Indexation allowance adds RPI inflation since the later of purchase and
+ *   1982 to the cost of each lot, up to 1998 (disposals until 2007; it cannot
+ *   create a loss)
+ * - Taper relief (disposals 1998-2007) reduces each lot's gain by 5% for each
+ *   whole year held after 5 April 1998 beyond two, up to 40%, with a bonus
+ *   year for lots held before then (non-business asset rates)
+ * - Net gains above the annual exempt amount are taxed as the top slice of
+ *   income: at the lower rate within the basic rate band and the higher rate
+ *   above it. Losses are carried forward and only reduce later gains down to
+ *   the exempt amount
+ * - Dividends sit on top of other income and underneath gains. Before 2016
+ *   only dividends above the basic rate band paid extra tax; from 2016 the
+ *   dividend allowance is tax-free and the rest pays the dividend rates
+ * - Savings interest sits on top of other income. Unused personal allowance,
+ *   then the starting rate for savings band (from 2008) and the Personal
+ *   Savings Allowance (from 2016) are used first; the rest pays the savings
+ *   rate within the basic rate band and the income tax rates above it
+ *
+ * Capital gains tax, dividend tax and savings tax use the UK bands for Scottish taxpayers
+ * too. Lots are plain objects and are never mutated.
+ *
+ * @module investmentTax
+ */
+
+import {
+  getCapitalGainsTaxData,
+  getDividendTaxData,
+  getSavingsTaxData,
+  INDEXATION_END_YEAR,
+  TAPER_RELIEF_YEARS
+} from '../data/investmentTaxData.js';
+import { getRpiMultiplier } from '../data/ukRpi.js';
+import { getTaxBands } from './taxCalculator.js';
+
+/**
+ * Rules for matching a disposal to the lots held
+ */
+export const SHARE_MATCHING_RULES = {
+  POOL: 'pool',
+  LIFO: 'lifo'
+};
+
+/**
+ * First year indexation allowance counts inflation from
+ */
+const INDEXATION_START_YEAR = 1982;
+
+/**
+ * Year indexation allowance was frozen at (April 1998)
+ */
+const INDEXATION_FROZEN_YEAR = 1998;
+
+/**
+ * Units bought in one tax year and what they cost
+ * @typedef {Object} Lot
+ * @property {number} year - Tax year the units were bought
+ * @property {number} units - Units held
+ * @property {number} cost - Allowable cost of the units (including reinvested dividends)
+ */
+
+/**
+ * Disposal matched against the lots held
+ * @typedef {Object} DisposalResult
+ * @property {number} units - Units sold
+ * @property {number} proceeds - Sale proceeds
+ * @property {number} allowableCost - Cost of the lots sold
+ * @property {number} indexationAllowance - Indexation allowance deducted
+ * @property {number} taperRelief - Gain removed by taper relief
+ * @property {number} gain - Chargeable gain (negative for a loss)
+ * @property {Lot[]} lots - Lots left after the sale
+ */
+
+/**
+ * Get the rule for matching disposals to purchases in a tax year
+ *
+ * @param {number} year - Tax year of the disposal
+ * @returns {string} SHARE_MATCHING_RULES value
+ */
+export function getShareMatchingRule(year) {
+  return year >= TAPER_RELIEF_YEARS.from && year <= TAPER_RELIEF_YEARS.to
+    ? SHARE_MATCHING_RULES.LIFO
+    : SHARE_MATCHING_RULES.POOL;
+}
+
+/**
+ * Sell units and work out the chargeable gain on the lots they came from
+ *
+ * @param {Lot[]} lots - Lots held, oldest first
+ * @param {number} units - Units to sell (capped at the units held)
+ * @param {number} unitPrice - Price per unit
+ * @param {number} year - Tax year of the disposal
+ * @returns {DisposalResult} Gain on the sale and the lots left
+ *
+ * @example
+ * const sale = calculateDisposal([{ year: 2010, units: 100, cost: 1000 }], 50, 20, 2020);
+ * // sale.gain = 500 (proceeds 1000 less half the cost)
+ */
+export function calculateDisposal(lots, units, unitPrice, year) {
+  const held = lots.reduce((sum, lot) => sum + lot.units, 0);
+  const toSell = Math.min(Math.max(0, units), held);
+
+  const sold = [];
+  const remaining = [];
+
+  if (getShareMatchingRule(year) === SHARE_MATCHING_RULES.LIFO) {
+    let left = toSell;
+    for (let i = lots.length - 1; i >= 0; i--) {
+      const lot = lots[i];
+      const take = Math.min(left, lot.units);
+      left -= take;
+      if (take > 0) {
+        sold.push({ year: lot.year, units: take, cost: lot.cost * take / lot.units });
+      }
+      if (take < lot.units) {
+        remaining.unshift({ year: lot.year, units: lot.units - take, cost: lot.cost * (1 - take / lot.units) });
+      }
+    }
+  } else {
+    const fraction = held > 0 ? toSell / held : 0;
+    lots.forEach(lot => {
+      sold.push({ year: lot.year, units: lot.units * fraction, cost: lot.cost * fraction });
+      if (fraction < 1) {
+        remaining.push({ year: lot.year, units: lot.units * (1 - fraction), cost: lot.cost * (1 - fraction) });
+      }
+    });
+  }
+
+  let allowableCost = 0;
+  let indexationAllowance = 0;
+  let taperRelief = 0;
+  let gain = 0;
+
+  sold.forEach(part => {
+    const proceeds = part.units * unitPrice;
+    const indexation = Math.min(
+      calculateIndexationAllowance(part.cost, part.year, year),
+      Math.max(0, proceeds - part.cost)
+    );
+    const partGain = proceeds - part.cost - indexation;
+    const taper = partGain > 0 ? partGain * getTaperReliefPercent(part.year, year) / 100 : 0;
+
+    allowableCost += part.cost;
+    indexationAllowance += indexation;
+    taperRelief += taper;
+    gain += partGain - taper;
+  });
+
+  return {
+    units: toSell,
+    proceeds: toSell * unitPrice,
+    allowableCost,
+    indexationAllowance,
+    taperRelief,
+    gain,
+    lots: remaining
+  };
+}
+
+/**
+ * Calculate the indexation allowance on a cost
+ *
+ * @param {number} cost - Allowable cost
+ * @param {number} acquisitionYear - Tax year of purchase
+ * @param {number} disposalYear - Tax year of sale
+ * @returns {number} Indexation allowance (before the no-loss restriction)
+ */
+export function calculateIndexationAllowance(cost, acquisitionYear, disposalYear) {
+  if (disposalYear > INDEXATION_END_YEAR) {
+    return 0;
+  }
+
+  const fromYear = Math.max(acquisitionYear, INDEXATION_START_YEAR);
+  const toYear = Math.min(disposalYear, INDEXATION_FROZEN_YEAR);
+  if (toYear <= fromYear) {
+    return 0;
+  }
+
+  return cost * (getRpiMultiplier(fromYear, toYear) - 1);
+}
+
+/**
+ * Get the taper relief on a gain
+ *
+ * @param {number} acquisitionYear - Tax year of purchase
+ * @param {number} disposalYear - Tax year of sale
+ * @returns {number} Percentage of the gain relieved (0-40)
+ */
+export function getTaperReliefPercent(acquisitionYear, disposalYear) {
+  if (disposalYear < TAPER_RELIEF_YEARS.from || disposalYear > TAPER_RELIEF_YEARS.to) {
+    return 0;
+  }
+
+  // Only whole years after 5 April 1998 count, plus a bonus year for earlier purchases
+  const bonusYear = acquisitionYear < TAPER_RELIEF_YEARS.from ? 1 : 0;
+  const yearsHeld = disposalYear - Math.max(acquisitionYear, TAPER_RELIEF_YEARS.from) + bonusYear;
+
+  return yearsHeld >= 3 ? Math.min(40, (yearsHeld - 2) * 5) : 0;
+}
+
+/**
+ * Calculate capital gains tax on a year's net gains
+ *
+ * @param {number} gain - Net chargeable gains for the year (negative for a net loss)
+ * @param {number} year - Tax year
+ * @param {number} [income=0] - Other taxable income, including dividends, taxed underneath the gains
+ * @param {number} [lossesBroughtForward=0] - Unused losses from earlier years
+ * @returns {Object} annualExemptAmount, lossesUsed, taxableGain, taxPaid and lossesCarriedForward
+ *
+ * @example
+ * calculateCapitalGainsTax(20000, 2024, 60000).taxPaid; // (20000 - 3000) * 20% = 3400
+ */
+export function calculateCapitalGainsTax(gain, year, income = 0, lossesBroughtForward = 0) {
+  const { annualExemptAmount, basicRate, higherRate } = getCapitalGainsTaxData(year);
+
+  if (gain <= 0) {
+    return {
+      gain,
+      annualExemptAmount,
+      lossesUsed: 0,
+      taxableGain: 0,
+      taxPaid: 0,
+      lossesCarriedForward: lossesBroughtForward - gain
+    };
+  }
+
+  const aboveExemption = Math.max(0, gain - annualExemptAmount);
+  const lossesUsed = Math.min(lossesBroughtForward, aboveExemption);
+  const taxableGain = aboveExemption - lossesUsed;
+
+  const basicBandLeft = getBasicRateBandLeft(year, income);
+  const inBasicBand = Math.min(taxableGain, basicBandLeft);
+
+  return {
+    gain,
+    annualExemptAmount,
+    lossesUsed,
+    taxableGain,
+    taxPaid: inBasicBand * basicRate + (taxableGain - inBasicBand) * higherRate,
+    lossesCarriedForward: lossesBroughtForward - lossesUsed
+  };
+}
+
+/**
+ * Calculate tax on a year's dividends
+ *
+ * @param {number} dividends - Cash dividends (or notional distributions) for the year
+ * @param {number} year - Tax year
+ * @param {number} [income=0] - Other taxable income, taxed underneath the dividends
+ * @returns {Object} dividends, allowanceUsed and taxPaid
+ *
+ * @example
+ * calculateDividendTax(3000, 2024, 20000).taxPaid; // (3000 - 500) * 8.75% = 218.75
+ */
+export function calculateDividendTax(dividends, year, income = 0) {
+  const { allowance, ordinaryRate, upperRate } = getDividendTaxData(year);
+  const personalAllowance = getTaxBands(year)[0].to;
+
+  // Dividends covered by unused personal allowance are tax-free
+  const aboveAllowance = Math.max(0, dividends - Math.max(0, personalAllowance - income));
+  const inBasicBand = Math.min(aboveAllowance, getBasicRateBandLeft(year, income));
+  const inUpperBand = aboveAllowance - inBasicBand;
+
+  // The dividend allowance covers the lowest slice
+  const allowanceInBasic = Math.min(allowance, inBasicBand);
+  const allowanceInUpper = Math.min(allowance - allowanceInBasic, inUpperBand);
+
+  return {
+    dividends,
+    allowanceUsed: allowanceInBasic + allowanceInUpper,
+    taxPaid: (inBasicBand - allowanceInBasic) * ordinaryRate + (inUpperBand - allowanceInUpper) * upperRate
+  };
+}
+
+/**
+ * Calculate tax on a year's savings interest
+ *
+ * @param {number} interest - Gross interest for the year
+ * @param {number} year - Tax year
+ * @param {number} [income=0] - Other taxable income, taxed underneath the interest
+ * @returns {Object} interest, allowanceUsed (Personal Savings Allowance) and taxPaid
+ *
+ * @example
+ * calculateSavingsTax(3000, 2024, 20000).taxPaid; // (3000 - 1000) * 20% = 400
+ */
+export function calculateSavingsTax(interest, year, income = 0) {
+  const { startingRateLimit, startingRate, basicRate, allowanceBasic, allowanceHigher } = getSavingsTaxData(year);
+  const bands = getTaxBands(year);
+  const [personalAllowance, basicBand] = bands;
+  const additionalBand = bands.find(band => band.key === 'additional');
+
+  // Interest covered by unused personal allowance is tax-free
+  const coveredByAllowance = Math.min(interest, Math.max(0, personalAllowance.to - income));
+  let remaining = interest - coveredByAllowance;
+  let position = Math.max(income, personalAllowance.to);
+
+  // Other income above the personal allowance uses up the starting rate band first
+  const startingBandLeft = Math.max(0, startingRateLimit - Math.max(0, income - personalAllowance.to));
+  const inStartingBand = Math.min(remaining, startingBandLeft);
+  remaining -= inStartingBand;
+  position += inStartingBand;
+
+  // The Personal Savings Allowance depends on the highest rate band total income reaches
+  const totalIncome = income + interest;
+  let savingsAllowance = allowanceBasic;
+  if (additionalBand && totalIncome > additionalBand.from) {
+    savingsAllowance = 0;
+  } else if (totalIncome > basicBand.to) {
+    savingsAllowance = allowanceHigher;
+  }
+  const allowanceUsed = Math.min(remaining, savingsAllowance);
+  remaining -= allowanceUsed;
+  position += allowanceUsed;
+
+  // The rest pays the savings rate in the basic rate band and income tax rates above it
+  let taxPaid = inStartingBand * startingRate;
+  bands.slice(1).forEach(band => {
+    const amount = Math.max(0, Math.min(position + remaining, band.to) - Math.max(position, band.from));
+    taxPaid += amount * (band === basicBand ? basicRate : band.rate);
+  });
+
+  return {
+    interest,
+    allowanceUsed,
+    taxPaid
+  };
+}
+
+/**
+ * Get how much of the basic rate band is left above some income
+ *
+ * @param {number} year - Tax year
+ * @param {number} income - Gross taxable income already received
+ * @returns {number} Taxable amount that still falls in the basic rate band
+ */
+function getBasicRateBandLeft(year, income) {
+  const [personalAllowance, basicBand] = getTaxBands(year);
+  const bandSize = basicBand.to - personalAllowance.to;
+  const taxableIncome = Math.max(0, income - personalAllowance.to);
+
+  return Math.max(0, bandSize - taxableIncome);
+}
+
+export default {
+  getShareMatchingRule,
+  calculateDisposal,
+  calculateIndexationAllowance,
+  getTaperReliefPercent,
+  calculateCapitalGainsTax,
+  calculateDividendTax,
+  calculateSavingsTax,
+  SHARE_MATCHING_RULES
+};
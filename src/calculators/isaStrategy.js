@@ -0,0 +1,475 @@
+/**
+ * ISA Strategy Calculator
+ *
+ * Simulates withdrawing the whole pension, paying income tax as in the gold
+ * strategy, and investing the net proceeds in an equity tracker inside a
+ * Stocks & Shares ISA (a Personal Equity Plan before 1999). Only that year's
+ * subscription limit can go into the wrapper; the excess is invested in the
+ * same tracker in a taxable account and moved across as each new year's
+ * allowance becomes available ("bed and ISA").
+ *
+ * Key characteristics:
+ * - Initial pension withdrawal is taxed (25% tax-free within the allowances,
+ *   the rest as income on top of any other income)
+ * - Subscriptions follow the historical PEP/ISA limits; before 1987 there was
+ *   no wrapper and everything stays in the taxable account
+ * - Income is drawn from the taxable account first, then from the ISA, so as
+ *   much as possible stays sheltered
+ * - ISA withdrawals and growth are tax-free
+ * - Gains realised in the taxable account (on income sales and transfers into
+ *   the ISA) pay capital gains tax as in the GIA strategies: each year's sales
+ *   are matched to the lots held, with indexation allowance, taper relief, the
+ *   annual exempt amount, loss carry-forward and the rates of the year (see
+ *   investmentTax); unrealised gains are taxed as if sold in the final year.
+ *   Dividend tax is not modelled (the tracker is a total return accumulating
+ *   fund)
+ * - Both accounts pay the same annual management fee as the SIPP strategies
+ * - In target net income mode, enough is sold each year to leave the target
+ *   after capital gains tax; the State Pension (after its tax) pays for part
+ *   of the target from State Pension Age
+ *
+ * @module isaStrategy
+ */
+
+import { getIsaSubscriptionLimit, getWrapperName } from '../data/isaAllowances.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
+import { getSyntheticPrice, INDEX_TYPES, INDEX_CONFIG } from './syntheticEtf.js';
+import { calculateIncomeTax } from './taxCalculator.js';
+import { calculateDisposal, calculateCapitalGainsTax } from './investmentTax.js';
+import { resolveIncomeSources, getOtherIncome, getNetStatePension } from './otherIncome.js';
+import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { COSTS, TAX, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Maximum iterations when grossing up a sale for capital gains tax
+ */
+const MAX_SALE_ITERATIONS = 100;
+
+/**
+ * Yearly result for the ISA strategy
+ * @typedef {Object} IsaYearResult
+ * @property {number} year - The year
+ * @property {number} unitPrice - Tracker price at start of year
+ * @property {number} startIsaUnits - Units held in the ISA at start of year
+ * @property {number} startTaxableUnits - Units held in the taxable account at start of year
+ * @property {number} startValueGbp - ISA plus taxable account value at start of year (before fees)
+ * @property {number} managementFee - Management fee on both accounts
+ * @property {number} withdrawalGross - Value of units sold for income (before capital gains tax)
+ * @property {number} soldFromTaxable - Taxable account units sold for income, in GBP
+ * @property {number} withdrawnFromIsa - ISA units sold for income, in GBP
+ * @property {number} gainRealised - Chargeable gain on the taxable account units sold, after indexation
+ *   and taper relief (negative for a loss)
+ * @property {number} indexationAllowance - Indexation allowance on the units sold
+ * @property {number} taperRelief - Gain removed by taper relief
+ * @property {number} lossesBroughtForward - Unused capital losses at start of year
+ * @property {number} capitalGainsTax - Capital gains tax on income sales and transfers into the ISA
+ * @property {number} netWithdrawal - Net cash received
+ * @property {number} subscriptionLimit - PEP/ISA subscription limit for the year
+ * @property {number} isaSubscription - Amount subscribed to the ISA (the initial investment in the
+ *   first year, moved from the taxable account after that)
+ * @property {number} endIsaUnits - Units held in the ISA at end of year
+ * @property {number} endTaxableUnits - Units held in the taxable account at end of year
+ * @property {number} endIsaValue - ISA value at end of year
+ * @property {number} endTaxableValue - Taxable account value at end of year
+ * @property {number} endValueGbp - ISA plus taxable account value at end of year
+ * @property {number} taxableCostBasis - Allowable cost of the taxable account units left
+ * @property {number} lossesCarriedForward - Unused capital losses at end of year
+ * @property {import('./investmentTax.js').Lot[]} lots - Taxable account lots held at end of year
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income (ISA withdrawals add none)
+ * @property {string} status - 'active', 'exhausted', or 'depleted'
+ */
+
+/**
+ * ISA strategy result
+ * @typedef {Object} IsaStrategyResult
+ * @property {Object} initialWithdrawal - Pension withdrawal, tax and the split between ISA and taxable account
+ * @property {IsaYearResult[]} yearlyResults - Year-by-year breakdown
+ * @property {Object} summary - Summary statistics
+ * @property {string} indexType - The index type used for this strategy
+ * @property {string} indexName - Index display name
+ * @property {string} taxResidency - Tax residency the withdrawal was taxed under
+ */
+
+/**
+ * Calculate the withdraw-to-ISA strategy outcome for any supported index
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (e.g., 4 for 4%)
+ * @param {number} years - Number of years to simulate
+ * @param {string} [indexType='sp500'] - Index type (sp500, nasdaq100, ftse100)
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [config.sippManagementFeePercent] - Annual management fee on both accounts (default: 0.5)
+ * @param {number} [config.targetNetIncome] - Annual net income wanted (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @returns {IsaStrategyResult} Complete strategy results
+ * @throws {Error} If inputs are invalid
+ *
+ * @example
+ * const result = calculateIsaStrategy(500000, 2000, 4, 25, 'sp500');
+ * console.log(result.summary.finalIsaValue, result.summary.totalCapitalGainsTax);
+ */
+export function calculateIsaStrategy(pensionAmount, startYear, withdrawalRate, years, indexType = INDEX_TYPES.SP500, config = {}) {
+  const costs = resolveIsaCosts(config, startYear);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType, costs.targetNetIncome);
+
+  // Step 1: Withdraw the pension, pay tax and invest the net proceeds
+  const initialWithdrawal = calculateInitialIsaPosition(pensionAmount, startYear, indexType, costs);
+
+  // Step 2: Calculate annual withdrawals (ISA withdrawals are tax-free; gains outside it are grossed up)
+  const annualWithdrawalAmount = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
+  const yearlyResults = calculateYearlyWithdrawals(
+    initialWithdrawal, startYear, annualWithdrawalAmount, years, indexType, costs
+  );
+
+  // Step 3: Assemble result and summary
+  return {
+    initialWithdrawal,
+    yearlyResults,
+    summary: calculateSummary(pensionAmount, initialWithdrawal, yearlyResults, annualWithdrawalAmount),
+    indexType,
+    indexName: INDEX_CONFIG[indexType].name,
+    taxResidency: costs.taxResidency
+  };
+}
+
+/**
+ * Merge optional ISA strategy settings with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} ISA strategy cost settings
+ */
+export function resolveIsaCosts(config = {}, startYear) {
+  return {
+    managementFeePercent: config.sippManagementFeePercent ?? COSTS.sippManagementFeePercent,
+    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation,
+    targetNetIncome: config.targetNetIncome ?? null,
+    otherIncome: resolveIncomeSources(config, startYear),
+    taxResidency: config.taxResidency ?? TAX.residency
+  };
+}
+
+/**
+ * Withdraw the pension, pay tax and invest the net proceeds, filling the
+ * year's ISA subscription first
+ *
+ * @param {number} pensionAmount - Pension amount withdrawn
+ * @param {number} startYear - Year of withdrawal and investment
+ * @param {string} indexType - Index type
+ * @param {Object} costs - ISA strategy cost settings (see resolveIsaCosts)
+ * @returns {Object} Withdrawal tax, subscription, taxable investment and units bought
+ */
+function calculateInitialIsaPosition(pensionAmount, startYear, indexType, costs) {
+  const taxCalculation = calculateIncomeTax(
+    pensionAmount, startYear, true, getOtherIncome(costs.otherIncome, startYear), costs.taxResidency
+  );
+  const netAfterTax = taxCalculation.netIncome;
+  const unitPrice = getSyntheticPrice(startYear, indexType);
+  const isaSubscription = Math.min(netAfterTax, getIsaSubscriptionLimit(startYear));
+  const taxableInvestment = netAfterTax - isaSubscription;
+
+  return {
+    grossPension: pensionAmount,
+    taxCalculation,
+    netAfterTax,
+    wrapper: getWrapperName(startYear),
+    isaSubscription,
+    taxableInvestment,
+    unitPriceAtPurchase: unitPrice,
+    isaUnitsPurchased: isaSubscription / unitPrice,
+    taxableUnitsPurchased: taxableInvestment / unitPrice
+  };
+}
+
+/**
+ * Validate all inputs
+ */
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType, targetNetIncome) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  const config = INDEX_CONFIG[indexType];
+  if (!config) {
+    const validTypes = Object.keys(INDEX_CONFIG).join(', ');
+    throw new Error(`Unknown index type: ${indexType}. Valid types: ${validTypes}`);
+  }
+
+  if (startYear < config.earliestYear) {
+    throw new Error(`${config.name} data not available for year ${startYear}. Earliest available: ${config.earliestYear}`);
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
+  const endYear = startYear + years - 1;
+  if (endYear > YEAR_RANGE.max) {
+    throw new Error(`Not enough data: strategy ends in ${endYear}, but data only available until ${YEAR_RANGE.max}`);
+  }
+}
+
+/**
+ * Calculate year-by-year withdrawals and transfers into the ISA
+ */
+function calculateYearlyWithdrawals(initialWithdrawal, startYear, annualWithdrawal, years, indexType, costs) {
+  const results = [];
+  let holdings = {
+    isaUnits: initialWithdrawal.isaUnitsPurchased,
+    lots: initialWithdrawal.taxableInvestment > 0
+      ? [{ year: startYear, units: initialWithdrawal.taxableUnitsPurchased, cost: initialWithdrawal.taxableInvestment }]
+      : [],
+    lossesCarriedForward: 0
+  };
+
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+
+    let income = annualWithdrawal;
+    if (costs.adjustForInflation) {
+      income = annualWithdrawal * getInflationMultiplier(startYear, year);
+    }
+
+    // The State Pension pays for part of a net income target
+    if (costs.targetNetIncome !== null) {
+      income = Math.max(0, income - getNetStatePension(costs.otherIncome, year, costs.taxResidency));
+    }
+
+    // The first year's subscription was used by the initial investment
+    const yearResult = calculateIsaYear(holdings, year, income, indexType, costs, i === 0);
+    if (i === 0) {
+      yearResult.isaSubscription = initialWithdrawal.isaSubscription;
+    }
+
+    holdings = {
+      isaUnits: yearResult.endIsaUnits,
+      lots: yearResult.lots,
+      lossesCarriedForward: yearResult.lossesCarriedForward
+    };
+    results.push(yearResult);
+  }
+
+  return results;
+}
+
+/**
+ * Simulate a single year: management fee, income from the taxable account
+ * then the ISA, then as much of the taxable account as the year's
+ * subscription limit allows moved into the ISA
+ *
+ * @param {Object} holdings - ISA units, taxable account lots and unused capital losses
+ * @param {number} holdings.isaUnits - Units held in the ISA
+ * @param {import('./investmentTax.js').Lot[]} holdings.lots - Taxable account lots, oldest first
+ * @param {number} holdings.lossesCarriedForward - Unused capital losses from earlier years
+ * @param {number} year - The year to simulate
+ * @param {number} targetWithdrawal - Net income wanted this year (already inflation-adjusted)
+ * @param {string} indexType - Index type
+ * @param {Object} costs - ISA strategy cost settings (see resolveIsaCosts)
+ * @param {boolean} [subscriptionUsed=false] - Whether this year's subscription has already been made
+ * @returns {IsaYearResult} The year's result
+ */
+export function calculateIsaYear(holdings, year, targetWithdrawal, indexType, costs, subscriptionUsed = false) {
+  const unitPrice = getSyntheticPrice(year, indexType);
+  const feeRate = costs.managementFeePercent / 100;
+  const subscriptionLimit = getIsaSubscriptionLimit(year);
+  const otherIncome = getOtherIncome(costs.otherIncome, year);
+  const lossesBroughtForward = holdings.lossesCarriedForward;
+
+  const startTaxableUnits = holdings.lots.reduce((sum, lot) => sum + lot.units, 0);
+  const startValue = (holdings.isaUnits + startTaxableUnits) * unitPrice;
+
+  // Fees are taken inside the fund, so the cost of each lot is unchanged
+  let isaUnits = holdings.isaUnits * (1 - feeRate);
+  const lots = holdings.lots.map(lot => ({ ...lot, units: lot.units * (1 - feeRate) }));
+  const taxableValue = startTaxableUnits * (1 - feeRate) * unitPrice;
+  const managementFee = startValue * feeRate;
+
+  // Sell taxable account units worth `gross` over the year and work out the capital gains tax
+  const sell = gross => {
+    const disposal = calculateDisposal(lots, gross / unitPrice, unitPrice, year);
+    const tax = calculateCapitalGainsTax(disposal.gain, year, otherIncome, lossesBroughtForward);
+    return { disposal, tax };
+  };
+
+  // Sell on top of `alreadySold` to leave `net` after the extra capital gains tax, or sell the rest
+  const sellFor = (net, alreadySold) => {
+    const taxBefore = sell(alreadySold).tax.taxPaid;
+    const rest = taxableValue - alreadySold;
+    const netOfRest = rest - (sell(taxableValue).tax.taxPaid - taxBefore);
+    if (netOfRest <= net) {
+      return { gross: rest, net: Math.max(0, netOfRest) };
+    }
+
+    // Capital gains tax grows more slowly than the sale, so this settles quickly
+    let gross = net;
+    for (let i = 0; i < MAX_SALE_ITERATIONS; i++) {
+      const next = net + sell(alreadySold + gross).tax.taxPaid - taxBefore;
+      if (Math.abs(next - gross) < 1e-6) break;
+      gross = next;
+    }
+    return { gross, net };
+  };
+
+  let status = 'active';
+  let soldFromTaxable = 0;
+  let fromTaxable = 0;
+  let soldForIsa = 0;
+  let withdrawnFromIsa = 0;
+  let netWithdrawal = 0;
+  let isaSubscription = 0;
+
+  if (startValue <= 0) {
+    status = 'exhausted';
+  } else {
+    // Income from the taxable account first
+    if (taxableValue > 0 && targetWithdrawal > 0) {
+      const incomeSale = sellFor(targetWithdrawal, 0);
+      soldFromTaxable = incomeSale.gross;
+      fromTaxable = incomeSale.net;
+    }
+
+    // Then tax-free from the ISA
+    const stillNeeded = targetWithdrawal - fromTaxable;
+    const isaValue = isaUnits * unitPrice;
+    withdrawnFromIsa = Math.min(stillNeeded, isaValue);
+    isaUnits = Math.max(0, isaUnits - withdrawnFromIsa / unitPrice);
+    netWithdrawal = fromTaxable + withdrawnFromIsa;
+
+    if (stillNeeded > isaValue) {
+      status = 'depleted';
+    }
+
+    // Bed and ISA: sell in the taxable account and subscribe the proceeds after tax
+    if (!subscriptionUsed && subscriptionLimit > 0 && soldFromTaxable < taxableValue) {
+      const transfer = sellFor(subscriptionLimit, soldFromTaxable);
+      soldForIsa = transfer.gross;
+      isaSubscription = transfer.net;
+      isaUnits += isaSubscription / unitPrice;
+    }
+  }
+
+  // Both sales fall in the same tax year, so their gains are taxed together
+  const sale = sell(soldFromTaxable + soldForIsa);
+  const endLots = sale.disposal.lots;
+  const endTaxableUnits = endLots.reduce((sum, lot) => sum + lot.units, 0);
+  const endIsaValue = isaUnits * unitPrice;
+  const endTaxableValue = endTaxableUnits * unitPrice;
+
+  return {
+    year,
+    unitPrice,
+    startIsaUnits: holdings.isaUnits,
+    startTaxableUnits,
+    startValueGbp: startValue,
+    managementFee,
+    withdrawalGross: soldFromTaxable + withdrawnFromIsa,
+    soldFromTaxable,
+    withdrawnFromIsa,
+    gainRealised: sale.disposal.gain,
+    indexationAllowance: sale.disposal.indexationAllowance,
+    taperRelief: sale.disposal.taperRelief,
+    lossesBroughtForward,
+    capitalGainsTax: sale.tax.taxPaid,
+    netWithdrawal,
+    subscriptionLimit,
+    isaSubscription,
+    endIsaUnits: isaUnits,
+    endTaxableUnits,
+    endIsaValue,
+    endTaxableValue,
+    endValueGbp: endIsaValue + endTaxableValue,
+    taxableCostBasis: endLots.reduce((sum, lot) => sum + lot.cost, 0),
+    lossesCarriedForward: sale.tax.lossesCarriedForward,
+    lots: endLots,
+    otherIncome,
+    otherIncomeTax: otherIncome > 0 ? calculateIncomeTax(otherIncome, year, false, 0, costs.taxResidency).taxPaid : 0,
+    status
+  };
+}
+
+/**
+ * Capital gains tax that selling the rest of the taxable account in the final year would add
+ *
+ * @param {IsaYearResult} lastResult - Final year's result
+ * @returns {number} Extra capital gains tax
+ */
+function calculateTaxOnUnrealisedGains(lastResult) {
+  if (lastResult.endTaxableUnits <= 0) {
+    return 0;
+  }
+
+  const { year, unitPrice, lots, gainRealised, otherIncome, lossesBroughtForward } = lastResult;
+  const rest = calculateDisposal(lots, lastResult.endTaxableUnits, unitPrice, year);
+  const withRest = calculateCapitalGainsTax(gainRealised + rest.gain, year, otherIncome, lossesBroughtForward);
+
+  return Math.max(0, withRest.taxPaid - lastResult.capitalGainsTax);
+}
+
+/**
+ * Calculate summary statistics
+ */
+function calculateSummary(pensionAmount, initialWithdrawal, yearlyResults, targetWithdrawal) {
+  const sumOf = key => yearlyResults.reduce((sum, r) => sum + r[key], 0);
+
+  const totalWithdrawn = sumOf('netWithdrawal');
+  const activeYears = yearlyResults.filter(r => r.status === 'active').length;
+  const depletedYear = yearlyResults.find(r => r.status === 'depleted');
+  const exhaustedYear = yearlyResults.find(r => r.status === 'exhausted');
+
+  const lastResult = yearlyResults[yearlyResults.length - 1];
+  const finalIsaValue = lastResult.endIsaValue;
+  const finalTaxableValue = lastResult.endTaxableValue;
+
+  // Years where full withdrawal was achieved
+  const fullWithdrawalYears = yearlyResults.filter(
+    r => r.status === 'active' && Math.abs(r.netWithdrawal - targetWithdrawal) < 1
+  ).length;
+
+  return {
+    initialInvestment: pensionAmount,
+    taxPaidOnWithdrawal: initialWithdrawal.taxCalculation.taxPaid,
+    netInvested: initialWithdrawal.netAfterTax,
+    targetAnnualWithdrawal: targetWithdrawal,
+    totalWithdrawn,
+    totalManagementFees: sumOf('managementFee'),
+    totalCapitalGainsTax: sumOf('capitalGainsTax'),
+    totalIsaSubscriptions: sumOf('isaSubscription'),
+    finalIsaValue,
+    finalTaxableValue,
+    finalValue: lastResult.endValueGbp,
+    taxOnUnrealisedGains: calculateTaxOnUnrealisedGains(lastResult),
+    // Unrealised gains in the taxable account would still be taxed if sold
+    totalValueRealized: totalWithdrawn + lastResult.endValueGbp,
+    activeYears,
+    fullWithdrawalYears,
+    yearDepleted: depletedYear ? depletedYear.year : null,
+    yearExhausted: exhaustedYear ? exhaustedYear.year : null,
+    strategySuccessful: lastResult.status === 'active'
+  };
+}
+
+export { INDEX_TYPES };
+
+export default {
+  calculateIsaStrategy,
+  resolveIsaCosts,
+  calculateIsaYear,
+  INDEX_TYPES
+};
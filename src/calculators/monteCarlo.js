@@ -0,0 +1,325 @@
+/**
+ * Monte Carlo Simulation
+ *
+ * Tests a strategy against thousands of alternative market histories built
+ * by resampling the historical annual returns (bootstrapping).
+ *
+ * Key characteristics:
+ * - The market series the strategy reads (from gold, silver, S&P 500, Nasdaq
+ *   100, FTSE 100, FTSE 250, FTSE All-Share, MSCI World, US Long Treasury, UK
+ *   gilts, index-linked gilts, cash, GBP/USD, UK CPI and UK RPI) are sampled
+ *   jointly by year, so a sampled year brings all of that year's returns with
+ *   it and correlations between assets, currency and inflation are preserved
+ * - Years are drawn from the history those series share, so series the
+ *   strategy doesn't use (e.g. Nasdaq 100 from 1985) don't shorten it
+ * - Block bootstrap (config.blockLength > 1) draws runs of consecutive
+ *   historical years, wrapping round at the end, to keep multi-year regimes
+ *   such as bear markets or high inflation intact
+ * - A seeded random number generator makes every run reproducible
+ * - Each path runs the normal strategy calculators via the market data
+ *   provider; only market data is replaced, so each simulated year still uses
+ *   the tax rules of the calendar year it is labelled with
+ *
+ * @module monteCarlo
+ */
+
+import { runCohort } from './rollingBacktest.js';
+import { getStrategy } from './strategyRegistry.js';
+import { MARKET_SERIES, withMarketData, getMarketSeriesRead } from '../data/marketData.js';
+import { goldPrices } from '../data/goldPrices.js';
+import { silverPrices } from '../data/silverPrices.js';
+import { sp500TotalReturn } from '../data/sp500TotalReturn.js';
+import { nasdaq100TotalReturn } from '../data/nasdaq100TotalReturn.js';
+import { ftse100TotalReturn } from '../data/ftse100TotalReturn.js';
+import { ftse250TotalReturn } from '../data/ftse250TotalReturn.js';
+import { ftseAllShareTotalReturn } from '../data/ftseAllShareTotalReturn.js';
+import { msciWorldTotalReturn } from '../data/msciWorldTotalReturn.js';
+import { usLongTreasuryTotalReturn } from '../data/usLongTreasuryTotalReturn.js';
+import { ukGiltsTotalReturn, ukLongGiltsTotalReturn } from '../data/ukGiltsTotalReturn.js';
+import { ukIndexLinkedGiltsTotalReturn } from '../data/ukIndexLinkedGiltsTotalReturn.js';
+import { cashTotalReturn } from '../data/bankRate.js';
+import { exchangeRates } from '../data/exchangeRates.js';
+import { ukCpiIndex } from '../data/ukCpi.js';
+import { ukRpiIndex } from '../data/ukRpi.js';
+import { createSeededRandom, randomInt } from '../utils/random.js';
+import { isValidYear } from '../utils/validators.js';
+import { MONTE_CARLO, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Historical series resampled by the simulation
+ */
+const HISTORICAL_SERIES = {
+  [MARKET_SERIES.GOLD]: goldPrices,
+  [MARKET_SERIES.SILVER]: silverPrices,
+  [MARKET_SERIES.SP500]: sp500TotalReturn,
+  [MARKET_SERIES.NASDAQ100]: nasdaq100TotalReturn,
+  [MARKET_SERIES.FTSE100]: ftse100TotalReturn,
+  [MARKET_SERIES.FTSE250]: ftse250TotalReturn,
+  [MARKET_SERIES.FTSE_ALL_SHARE]: ftseAllShareTotalReturn,
+  [MARKET_SERIES.MSCI_WORLD]: msciWorldTotalReturn,
+  [MARKET_SERIES.US_LONG_TREASURY]: usLongTreasuryTotalReturn,
+  [MARKET_SERIES.UK_GILTS]: ukGiltsTotalReturn,
+  [MARKET_SERIES.UK_LONG_GILTS]: ukLongGiltsTotalReturn,
+  [MARKET_SERIES.UK_INDEX_LINKED_GILTS]: ukIndexLinkedGiltsTotalReturn,
+  [MARKET_SERIES.CASH]: cashTotalReturn,
+  [MARKET_SERIES.EXCHANGE_RATES]: exchangeRates,
+  [MARKET_SERIES.UK_CPI]: ukCpiIndex,
+  [MARKET_SERIES.UK_RPI]: ukRpiIndex
+};
+
+/**
+ * Percentiles reported for each outcome
+ */
+const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Outcome percentiles
+ * @typedef {Object} PercentileSet
+ * @property {number} p5 - 5th percentile
+ * @property {number} p10 - 10th percentile
+ * @property {number} p25 - 25th percentile
+ * @property {number} p50 - Median
+ * @property {number} p75 - 75th percentile
+ * @property {number} p90 - 90th percentile
+ * @property {number} p95 - 95th percentile
+ */
+
+/**
+ * Monte Carlo result
+ * @typedef {Object} MonteCarloResult
+ * @property {string} strategyId - Strategy ID
+ * @property {string} strategyName - Human-readable name
+ * @property {Object} inputs - Pension, start year, withdrawal rate and horizon
+ * @property {Object} settings - Simulations, seed, block length, series resampled and historical years sampled
+ * @property {Object[]} outcomes - One cohort result per simulated path
+ * @property {Object} summary - Probability of depletion and percentile outcomes
+ */
+
+/**
+ * Get the historical years whose returns can be sampled
+ *
+ * A year can be sampled when every series has values for it and the
+ * following year (its return runs from Jan 1st to the next Jan 1st).
+ *
+ * @param {number} [fromYear] - First year to sample from (default: earliest available)
+ * @param {number} [toYear] - Last year to sample from (default: latest available)
+ * @param {string[]} [seriesKeys] - Series that must have data (default: every resampled series)
+ * @returns {number[]} Sampleable years in ascending order
+ *
+ * @example
+ * getSampleYears();                          // [1986, ..., 2025]
+ * getSampleYears(2000, 2009);                // Sample only the 2000s
+ * getSampleYears(1980, 2025, ['gold', 'ukCpi']); // [1980, ..., 2025]
+ */
+export function getSampleYears(fromYear = YEAR_RANGE.min, toYear = YEAR_RANGE.max - 1, seriesKeys = Object.keys(HISTORICAL_SERIES)) {
+  const years = [];
+  for (let year = fromYear; year <= toYear; year++) {
+    const hasReturn = seriesKeys.every(key =>
+      HISTORICAL_SERIES[key][year] !== undefined && HISTORICAL_SERIES[key][year + 1] !== undefined
+    );
+    if (hasReturn) {
+      years.push(year);
+    }
+  }
+  return years;
+}
+
+/**
+ * Draw the sequence of historical years whose returns make up one path
+ *
+ * Blocks of blockLength consecutive sample years are drawn from random
+ * starting points, wrapping round to the first year after the last.
+ *
+ * @param {number[]} sampleYears - Years to draw from (see getSampleYears)
+ * @param {number} count - Number of annual returns needed
+ * @param {number} blockLength - Consecutive years per draw
+ * @param {Function} random - Generator from createSeededRandom
+ * @returns {number[]} Drawn historical years, one per simulated year-on-year return
+ */
+export function samplePathYears(sampleYears, count, blockLength, random) {
+  const drawn = [];
+  while (drawn.length < count) {
+    const start = randomInt(random, sampleYears.length);
+    for (let k = 0; k < blockLength && drawn.length < count; k++) {
+      drawn.push(sampleYears[(start + k) % sampleYears.length]);
+    }
+  }
+  return drawn;
+}
+
+/**
+ * Build replacement market series for one simulated path
+ *
+ * Each series starts from its real value in startYear and is then compounded
+ * by the returns of the drawn historical years. Years outside the path keep
+ * their historical values, as do series not listed in seriesKeys.
+ *
+ * @param {number} startYear - First year of the path
+ * @param {number[]} drawnYears - Historical year supplying each year-on-year return
+ * @param {string[]} [seriesKeys] - Series to resample (default: every resampled series)
+ * @returns {Object} Series keyed by MARKET_SERIES value, ready for withMarketData
+ */
+export function buildPathSeries(startYear, drawnYears, seriesKeys = Object.keys(HISTORICAL_SERIES)) {
+  const pathSeries = {};
+
+  seriesKeys.forEach(key => {
+    const historical = HISTORICAL_SERIES[key];
+    const series = { ...historical };
+
+    // Series without a value in the start year (e.g. Nasdaq 100 before 1985) can't be used on this path
+    if (historical[startYear] !== undefined) {
+      let value = historical[startYear];
+      drawnYears.forEach((drawnYear, idx) => {
+        value *= historical[drawnYear + 1] / historical[drawnYear];
+        series[startYear + idx + 1] = value;
+      });
+    }
+
+    pathSeries[key] = series;
+  });
+
+  return pathSeries;
+}
+
+/**
+ * Run a strategy over many resampled market histories
+ *
+ * @param {string} strategyId - Strategy ID from registry (base, combined or custom)
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - First calendar year (sets the tax rules and starting prices)
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage
+ * @param {number} years - Horizon in years (must end by 2026, the last year with tax data)
+ * @param {Object} [config={}] - Strategy configuration (fees, rebalancing, inflation) plus:
+ * @param {number} [config.simulations=1000] - Number of paths
+ * @param {number} [config.seed=1] - Random seed
+ * @param {number} [config.blockLength=1] - Consecutive historical years per draw (1 = independent years)
+ * @param {number} [config.sampleFromYear] - First historical year to sample returns from
+ * @param {number} [config.sampleToYear] - Last historical year to sample returns from
+ * @returns {MonteCarloResult} Outcomes and summary statistics
+ * @throws {Error} If inputs or simulation settings are invalid
+ *
+ * @example
+ * const mc = runMonteCarlo('gold-sp500', 500000, 2000, 4, 25, { simulations: 5000, blockLength: 5 });
+ * console.log(mc.summary.probabilityOfDepletion);   // % of paths that ran out
+ * console.log(mc.summary.finalRealValue.p10);       // Bad-case real residual
+ */
+export function runMonteCarlo(strategyId, pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const settings = resolveSettings(config);
+  const strategy = getStrategy(strategyId);
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  // Only the series the strategy reads limit the years that can be sampled
+  const seriesKeys = getMarketSeriesRead(() =>
+    runCohort(strategyId, pensionAmount, startYear, withdrawalRate, years, config)
+  ).filter(key => HISTORICAL_SERIES[key]);
+
+  const sampleYears = getSampleYears(settings.sampleFromYear, settings.sampleToYear, seriesKeys);
+  if (sampleYears.length === 0) {
+    throw new Error(`No historical returns available between ${settings.sampleFromYear} and ${settings.sampleToYear}`);
+  }
+
+  const random = createSeededRandom(settings.seed);
+  const outcomes = [];
+
+  for (let i = 0; i < settings.simulations; i++) {
+    const drawnYears = samplePathYears(sampleYears, years - 1, settings.blockLength, random);
+    const series = buildPathSeries(startYear, drawnYears, seriesKeys);
+    outcomes.push(withMarketData(series, () =>
+      runCohort(strategyId, pensionAmount, startYear, withdrawalRate, years, config)
+    ));
+  }
+
+  return {
+    strategyId,
+    strategyName: strategy.name,
+    inputs: {
+      pensionAmount,
+      startYear,
+      withdrawalRate,
+      years
+    },
+    settings: {
+      simulations: settings.simulations,
+      seed: settings.seed,
+      blockLength: settings.blockLength,
+      series: seriesKeys,
+      sampleYears: { from: sampleYears[0], to: sampleYears[sampleYears.length - 1] }
+    },
+    outcomes,
+    summary: summarizeOutcomes(outcomes)
+  };
+}
+
+/**
+ * Merge simulation settings with defaults and validate them
+ */
+function resolveSettings(config) {
+  const settings = {
+    simulations: config.simulations ?? MONTE_CARLO.simulations,
+    seed: config.seed ?? MONTE_CARLO.seed,
+    blockLength: config.blockLength ?? MONTE_CARLO.blockLength,
+    sampleFromYear: config.sampleFromYear ?? YEAR_RANGE.min,
+    sampleToYear: config.sampleToYear ?? YEAR_RANGE.max - 1
+  };
+
+  if (!Number.isInteger(settings.simulations) || settings.simulations < 1) {
+    throw new Error('Simulations must be a positive integer');
+  }
+
+  if (!Number.isInteger(settings.blockLength) || settings.blockLength < 1) {
+    throw new Error('Block length must be a positive integer');
+  }
+
+  if (!Number.isInteger(settings.seed)) {
+    throw new Error('Seed must be an integer');
+  }
+
+  return settings;
+}
+
+/**
+ * Summarise the outcome of every path
+ */
+function summarizeOutcomes(outcomes) {
+  const depletedCount = outcomes.filter(o => !o.successful).length;
+
+  return {
+    simulations: outcomes.length,
+    depletedCount,
+    probabilityOfDepletion: (depletedCount / outcomes.length) * 100,
+    successRate: ((outcomes.length - depletedCount) / outcomes.length) * 100,
+    finalValue: getPercentiles(outcomes.map(o => o.finalValue)),
+    finalRealValue: getPercentiles(outcomes.map(o => o.finalRealValue)),
+    totalNetWithdrawn: getPercentiles(outcomes.map(o => o.totalNetWithdrawn))
+  };
+}
+
+/**
+ * Calculate the reported percentiles of a set of values (linear interpolation)
+ *
+ * @param {number[]} values - Values to summarise
+ * @returns {PercentileSet} Percentiles
+ */
+function getPercentiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = {};
+
+  PERCENTILES.forEach(p => {
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    result[`p${p}`] = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  });
+
+  return result;
+}
+
+export default {
+  getSampleYears,
+  samplePathYears,
+  buildPathSeries,
+  runMonteCarlo
+};
@@ -0,0 +1,152 @@
+/**
+ * Other Taxable Income
+ *
+ * Income outside the pension pot (state pension, salary, rent) that is taxed
+ * in the same tax year as the pension withdrawals. It is stacked underneath
+ * the withdrawals, so it uses the personal allowance and lower bands first
+ * and each withdrawal bears the marginal tax on top of it.
+ *
+ * Each source is an annual amount over a range of years, optionally rising
+ * with UK CPI from its first year, or an explicit amount for each year.
+ *
+ * The State Pension (config.statePension) joins the schedule as one more
+ * source. In target net income mode it also pays for part of the spending,
+ * so the pension withdrawals only need to cover the rest.
+ *
+ * @module otherIncome
+ */
+
+import { resolveStatePension } from './statePension.js';
+import { calculateIncomeTax } from './taxCalculator.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
+import { isValidAmount, isValidYear } from '../utils/validators.js';
+import { TAX } from '../config/defaults.js';
+
+/**
+ * One source of other taxable income
+ * @typedef {Object} OtherIncomeSource
+ * @property {number} amount - Annual gross amount in fromYear pounds
+ * @property {number} fromYear - First year it is received
+ * @property {number} [toYear] - Last year it is received (default: every year from fromYear)
+ * @property {boolean} [inflationLinked=true] - Whether it rises with UK CPI from fromYear
+ * @property {Object.<number, number>} [amounts] - Gross amount for each year, used instead of
+ *   amount and inflationLinked (years without an entry pay nothing)
+ * @property {string} [label] - Description (e.g. 'State pension')
+ * @property {boolean} [isStatePension] - Set on the State Pension source built from config.statePension
+ */
+
+/**
+ * Validate an other income schedule and apply defaults
+ *
+ * @param {OtherIncomeSource[]} [sources] - Income sources (default: none)
+ * @returns {OtherIncomeSource[]} Sources with toYear and inflationLinked filled in
+ * @throws {Error} If any source is invalid
+ *
+ * @example
+ * resolveOtherIncome([{ amount: 11502, fromYear: 2024 }]);
+ * // [{ amount: 11502, fromYear: 2024, toYear: Infinity, inflationLinked: true, amounts: null, ... }]
+ */
+export function resolveOtherIncome(sources = []) {
+  if (!Array.isArray(sources)) {
+    throw new Error('Other income must be an array of income sources');
+  }
+
+  return sources.map(source => {
+    const resolved = {
+      amount: source.amount ?? 0,
+      fromYear: source.fromYear,
+      toYear: source.toYear ?? Infinity,
+      inflationLinked: source.inflationLinked ?? true,
+      amounts: source.amounts ?? null,
+      label: source.label ?? null,
+      isStatePension: source.isStatePension ?? false
+    };
+
+    const amounts = resolved.amounts === null ? [resolved.amount] : Object.values(resolved.amounts);
+    if (amounts.some(amount => !isValidAmount(amount))) {
+      throw new Error('Other income amount must be a non-negative number');
+    }
+
+    if (!isValidYear(resolved.fromYear)) {
+      throw new Error(`Other income start year ${resolved.fromYear} is outside supported range`);
+    }
+
+    if (resolved.toYear !== Infinity && (!Number.isInteger(resolved.toYear) || resolved.toYear < resolved.fromYear)) {
+      throw new Error('Other income end year must be on or after its start year');
+    }
+
+    return resolved;
+  });
+}
+
+/**
+ * Resolve every other income source in a strategy configuration
+ *
+ * @param {Object} config - Strategy configuration
+ * @param {OtherIncomeSource[]} [config.otherIncome] - Other taxable income sources
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {number} startYear - Strategy start year (places State Pension Age in the calendar)
+ * @returns {OtherIncomeSource[]} Resolved sources, with the State Pension last
+ * @throws {Error} If any source is invalid
+ */
+export function resolveIncomeSources(config, startYear) {
+  const sources = resolveOtherIncome(config.otherIncome);
+  const statePension = resolveStatePension(config.statePension, startYear);
+  return statePension ? [...sources, ...resolveOtherIncome([statePension])] : sources;
+}
+
+/**
+ * Get the total other taxable income received in a year
+ *
+ * @param {OtherIncomeSource[]} sources - Resolved income sources (see resolveOtherIncome)
+ * @param {number} year - Tax year
+ * @returns {number} Total gross other income in that year's pounds
+ *
+ * @example
+ * const sources = resolveOtherIncome([{ amount: 10000, fromYear: 2020, toYear: 2029 }]);
+ * getOtherIncome(sources, 2019); // 0
+ * getOtherIncome(sources, 2024); // 10000 uprated by CPI from 2020 to 2024
+ */
+export function getOtherIncome(sources, year) {
+  return sources
+    .filter(source => year >= source.fromYear && year <= source.toYear)
+    .reduce((total, source) => total + getSourceAmount(source, year), 0);
+}
+
+/**
+ * Get the State Pension received in a year after its share of income tax
+ *
+ * The State Pension bears a pro-rata share of the tax on all other income in
+ * the year. This is the part of the year's spending it pays for.
+ *
+ * @param {OtherIncomeSource[]} sources - Resolved income sources
+ * @param {number} year - Tax year
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' or 'scotland'
+ * @returns {number} Net State Pension in that year's pounds (0 if none)
+ */
+export function getNetStatePension(sources, year, residency = TAX.residency) {
+  const statePension = getOtherIncome(sources.filter(source => source.isStatePension), year);
+  if (statePension <= 0) return 0;
+
+  const otherIncome = getOtherIncome(sources, year);
+  const tax = calculateIncomeTax(otherIncome, year, false, 0, residency).taxPaid;
+  return statePension - tax * (statePension / otherIncome);
+}
+
+/**
+ * Get one source's gross amount in a year it is active
+ */
+function getSourceAmount(source, year) {
+  if (source.amounts !== null) {
+    return source.amounts[year] ?? 0;
+  }
+  const multiplier = source.inflationLinked ? getInflationMultiplier(source.fromYear, year) : 1;
+  return source.amount * multiplier;
+}
+
+export default {
+  resolveOtherIncome,
+  resolveIncomeSources,
+  getOtherIncome,
+  getNetStatePension
+};
@@ -0,0 +1,138 @@
+/**
+ * Pension Tax-Free Cash Allowances
+ *
+ * Splits each pension withdrawal into tax-free cash and taxable income under
+ * the cap in force that year, tracking how much allowance earlier withdrawals
+ * have used:
+ * - Before 2006: 25% of every withdrawal is tax-free, with no cap
+ * - 2006-2023: 25% of the amount within the remaining Lifetime Allowance (LTA)
+ *   is tax-free; the excess pays the LTA charge instead of income tax (in
+ *   2023/24 the charge is 0% and the excess is taxed as income)
+ * - From 2024: 25% of each withdrawal is tax-free until the Lump Sum Allowance
+ *   (LSA) is used up; LTA used before then counts against it
+ *
+ * Allowance usage is a plain object handed from one withdrawal to the next;
+ * it is never mutated.
+ *
+ * @module pensionAllowances
+ */
+
+import { getPensionRules, TRANSITIONAL_LIFETIME_ALLOWANCE } from '../data/pensionRules.js';
+import { PENSION_RULES } from '../config/defaults.js';
+
+/**
+ * Allowance used by earlier withdrawals
+ * @typedef {Object} AllowanceUsage
+ * @property {number} lifetimeAllowanceUsed - Fraction of the Lifetime Allowance used (1 = all of it),
+ *   each withdrawal measured against that year's allowance
+ * @property {number} lumpSumAllowanceUsed - Tax-free cash taken against the Lump Sum Allowance (GBP)
+ */
+
+/**
+ * Withdrawal split into tax-free cash and taxable income
+ * @typedef {Object} CrystallisationResult
+ * @property {number} taxFreeAmount - Tax-free cash
+ * @property {number} taxableIncome - Amount subject to income tax
+ * @property {number} lifetimeAllowanceExcess - Amount above the remaining Lifetime Allowance
+ * @property {number} lifetimeAllowanceCharge - LTA charge on the excess
+ * @property {AllowanceUsage} allowanceUsage - Allowance used including this withdrawal
+ */
+
+/**
+ * Create allowance usage for someone who has not yet drawn on their pension
+ *
+ * @returns {AllowanceUsage} Nothing used
+ */
+export function createAllowanceUsage() {
+  return {
+    lifetimeAllowanceUsed: 0,
+    lumpSumAllowanceUsed: 0
+  };
+}
+
+/**
+ * Split a pension withdrawal into tax-free cash and taxable income
+ *
+ * @param {number} amount - Gross withdrawal in GBP
+ * @param {number} year - Tax year
+ * @param {AllowanceUsage} [allowanceUsage] - Allowance used by earlier withdrawals (default: none)
+ * @returns {CrystallisationResult} Tax-free cash, taxable income, any LTA charge and updated usage
+ * @throws {Error} If the year is outside the supported range
+ *
+ * @example
+ * // £2m taken in 2024: tax-free cash capped by the Lump Sum Allowance
+ * crystallisePension(2000000, 2024).taxFreeAmount; // £268,275
+ *
+ * @example
+ * // £2m taken in 2014: £750,000 above the £1.25m LTA pays the 55% charge
+ * const result = crystallisePension(2000000, 2014);
+ * console.log(result.taxFreeAmount);           // £312,500
+ * console.log(result.lifetimeAllowanceCharge); // £412,500
+ */
+export function crystallisePension(amount, year, allowanceUsage = createAllowanceUsage()) {
+  const rules = getPensionRules(year);
+  const taxFreeRate = PENSION_RULES.taxFreePercent / 100;
+
+  if (rules.lumpSumAllowance !== null) {
+    const remaining = Math.max(0, rules.lumpSumAllowance - getLumpSumAllowanceUsed(allowanceUsage));
+    const taxFreeAmount = Math.min(amount * taxFreeRate, remaining);
+
+    return {
+      taxFreeAmount,
+      taxableIncome: amount - taxFreeAmount,
+      lifetimeAllowanceExcess: 0,
+      lifetimeAllowanceCharge: 0,
+      allowanceUsage: {
+        ...allowanceUsage,
+        lumpSumAllowanceUsed: allowanceUsage.lumpSumAllowanceUsed + taxFreeAmount
+      }
+    };
+  }
+
+  if (rules.lifetimeAllowance !== null) {
+    const available = Math.max(0, 1 - allowanceUsage.lifetimeAllowanceUsed) * rules.lifetimeAllowance;
+    const withinAllowance = Math.min(amount, available);
+    const excess = amount - withinAllowance;
+    const chargeRate = rules.lifetimeAllowanceChargePercent / 100;
+    const taxFreeAmount = withinAllowance * taxFreeRate;
+
+    return {
+      taxFreeAmount,
+      // A charged excess is paid instead of income tax; with no charge it is taxed as income
+      taxableIncome: withinAllowance - taxFreeAmount + (chargeRate > 0 ? 0 : excess),
+      lifetimeAllowanceExcess: excess,
+      lifetimeAllowanceCharge: excess * chargeRate,
+      allowanceUsage: {
+        ...allowanceUsage,
+        lifetimeAllowanceUsed: allowanceUsage.lifetimeAllowanceUsed + amount / rules.lifetimeAllowance
+      }
+    };
+  }
+
+  const taxFreeAmount = amount * taxFreeRate;
+  return {
+    taxFreeAmount,
+    taxableIncome: amount - taxFreeAmount,
+    lifetimeAllowanceExcess: 0,
+    lifetimeAllowanceCharge: 0,
+    allowanceUsage
+  };
+}
+
+/**
+ * Lump Sum Allowance used, including the standard transitional amount for
+ * Lifetime Allowance used before April 2024 (25% of the share used, at £1,073,100)
+ *
+ * @param {AllowanceUsage} allowanceUsage - Allowance used so far
+ * @returns {number} Lump Sum Allowance used in GBP
+ */
+function getLumpSumAllowanceUsed(allowanceUsage) {
+  const lifetimeAllowanceUsed = Math.min(1, allowanceUsage.lifetimeAllowanceUsed);
+  const transitionalAmount = lifetimeAllowanceUsed * TRANSITIONAL_LIFETIME_ALLOWANCE * PENSION_RULES.taxFreePercent / 100;
+  return allowanceUsage.lumpSumAllowanceUsed + transitionalAmount;
+}
+
+export default {
+  createAllowanceUsage,
+  crystallisePension
+};
@@ -0,0 +1,434 @@
+/**
+ * Phased Gold Strategy Calculator
+ *
+ * Simulates moving a pension into physical gold over several tax years
+ * instead of withdrawing it all at once. Each year a tranche is crystallised
+ * from the SIPP, taxed, and what is not needed for that year's income buys
+ * gold. Until it has all been crystallised, the rest of the pension stays in
+ * the SIPP invested in a Gold ETF, so the pot holds gold throughout.
+ *
+ * Key characteristics:
+ * - Tranche rule (config.goldPhasingRule):
+ *   - 'band' (default): each year's tranche fills up to the top of a tax band
+ *     on top of any other income - the personal allowance or the basic rate
+ *     band (up to the higher rate threshold, including Scottish starter and
+ *     intermediate bands) - until the SIPP is empty
+ *   - 'tranches': the pension is spread over a number of tax years, each
+ *     year crystallising an equal share of what is left
+ * - Tranches are uncrystallised funds pension lump sums (25% tax-free within
+ *   the Lifetime or Lump Sum Allowance, tracked from year to year)
+ * - A tranche is never smaller than the withdrawal needed to pay the year's
+ *   income, which comes from the tranche without dealer costs
+ * - The rest of each tranche buys gold (dealer cost on purchase); once the
+ *   SIPP is empty, income is funded by selling gold as in the gold strategy
+ * - Gold bars (config.goldProduct 'bars') keep each year's purchase as a
+ *   separate lot and pay capital gains tax on sales, as in the gold strategy
+ * - The SIPP pays the management fee; any value still in it at the end is
+ *   taxed as a final withdrawal
+ *
+ * @module phasedGoldStrategy
+ */
+
+import { getGoldPrice } from '../data/goldPrices.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
+import { getSyntheticPrice, INDEX_TYPES } from './syntheticEtf.js';
+import {
+  resolveGoldCosts,
+  calculateGoldYear,
+  createGoldGains,
+  calculateTaxOnUnrealisedGains
+} from './goldStrategy.js';
+import { calculateIncomeTax, calculateGrossForNetIncome, getTaxBands } from './taxCalculator.js';
+import { getOtherIncome, getNetStatePension } from './otherIncome.js';
+import { createAllowanceUsage, crystallisePension } from './pensionAllowances.js';
+import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { COSTS, TAX, GOLD_PHASING, PENSION_RULES, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * How each year's tranche is sized
+ */
+export const PHASING_RULES = {
+  BAND: 'band',
+  TRANCHES: 'tranches'
+};
+
+/**
+ * Tax bands a tranche can fill up to (band rule)
+ */
+export const PHASING_BANDS = {
+  PERSONAL_ALLOWANCE: 'personalAllowance',
+  BASIC: 'basic'
+};
+
+/**
+ * Yearly result for the phased gold strategy: a GoldYearResult covering gold
+ * and SIPP together, plus the tranche
+ * @typedef {Object} PhasedGoldYearResult
+ * @property {number} year - The year
+ * @property {number} startGoldOunces - Gold ounces at start of year (before this year's purchase)
+ * @property {number} goldPricePerOunce - Gold price at start of year
+ * @property {number} startValueGbp - Gold plus SIPP value at start of year
+ * @property {number} sippStartValue - SIPP value at start of year
+ * @property {number} sippManagementFee - SIPP management fee
+ * @property {number} trancheGross - Pension crystallised this year
+ * @property {number} trancheTax - Income tax on the tranche (marginal tax on top of other income)
+ * @property {number} trancheNet - Tranche after tax
+ * @property {number} incomeFromTranche - Part of the year's income paid straight from the tranche
+ * @property {number} goldPurchaseCost - Dealer cost on the gold bought
+ * @property {number} goldBought - Ounces of gold bought with the rest of the tranche
+ * @property {number} storageFee - Annual storage fee (paid by selling gold)
+ * @property {number} withdrawalGross - Income wanted from the tranche and gold sales
+ * @property {number} goldSold - Ounces of gold sold for income (excludes storage)
+ * @property {number} transactionCost - Dealer costs on gold bought and sold
+ * @property {number} netWithdrawal - Net cash received
+ * @property {number} endGoldOunces - Gold ounces at end of year
+ * @property {number} endGoldValue - Gold value at end of year
+ * @property {number} sippEndUnits - Gold ETF units left in the SIPP
+ * @property {number} sippEndValue - SIPP value at end of year
+ * @property {number} endValueGbp - Gold plus SIPP value at end of year
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {Object} allowanceUsage - Tax-free cash allowance used after this year's tranche (see pensionAllowances)
+ * @property {string} status - 'active', 'exhausted', or 'depleted'
+ */
+
+/**
+ * Calculate the phased gold strategy outcome
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (e.g., 4 for 4%)
+ * @param {number} years - Number of years to simulate
+ * @param {Object} [config={}] - Optional configuration overrides (as for calculateGoldStrategy, plus:)
+ * @param {number} [config.sippManagementFeePercent] - Management fee on the SIPP still to be crystallised
+ * @param {string} [config.goldPhasingRule='band'] - 'band' or 'tranches'
+ * @param {string} [config.goldPhasingBand='basic'] - Band rule: 'personalAllowance' or 'basic'
+ * @param {number} [config.goldTrancheCount=5] - Tranches rule: number of tax years
+ * @returns {Object} Gold strategy result (see goldStrategy GoldStrategyResult) with phased yearly
+ *   results, the gold product, the phasing settings, tax residency and allowance used by the end
+ * @throws {Error} If inputs or phasing settings are invalid
+ *
+ * @example
+ * // Fill the basic rate band each year
+ * const result = calculatePhasedGoldStrategy(500000, 2000, 4, 25);
+ * console.log(result.summary.phasingYears, result.summary.taxPaidOnWithdrawal);
+ *
+ * // Spread the pension evenly over three tax years
+ * calculatePhasedGoldStrategy(500000, 2000, 4, 25, { goldPhasingRule: 'tranches', goldTrancheCount: 3 });
+ */
+export function calculatePhasedGoldStrategy(pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const costs = resolvePhasedGoldCosts(config, startYear);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, costs.targetNetIncome);
+
+  // The whole pension starts in a Gold ETF inside the SIPP
+  const initialUnits = pensionAmount / getSyntheticPrice(startYear, INDEX_TYPES.GOLD_ETF);
+
+  // Income is net cash (gold sales are tax-free; tranches are grossed up to pay it)
+  const annualWithdrawalAmount = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
+  const yearlyResults = calculateYearlyResults(initialUnits, startYear, annualWithdrawalAmount, years, costs);
+
+  const firstYear = yearlyResults[0];
+  const lastYear = yearlyResults[yearlyResults.length - 1];
+
+  return {
+    initialWithdrawal: {
+      grossPension: firstYear.trancheGross,
+      taxCalculation: firstYear.taxCalculation,
+      netAfterTax: firstYear.trancheNet,
+      goldPurchaseCost: firstYear.goldPurchaseCost,
+      amountInvested: firstYear.goldBought * firstYear.goldPricePerOunce,
+      goldPriceAtPurchase: firstYear.goldPricePerOunce,
+      goldOuncesPurchased: firstYear.goldBought
+    },
+    yearlyResults,
+    summary: calculateSummary(pensionAmount, yearlyResults, annualWithdrawalAmount),
+    goldProduct: costs.goldProduct,
+    phasing: {
+      rule: costs.phasingRule,
+      band: costs.phasingBand,
+      trancheCount: costs.trancheCount
+    },
+    taxResidency: costs.taxResidency,
+    allowanceUsage: lastYear.allowanceUsage
+  };
+}
+
+/**
+ * Merge optional phased gold settings with defaults and validate the phasing
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} Gold cost settings plus SIPP fee and phasing settings
+ * @throws {Error} If the phasing rule, band or tranche count is invalid
+ */
+export function resolvePhasedGoldCosts(config = {}, startYear) {
+  const costs = {
+    ...resolveGoldCosts(config, startYear),
+    sippManagementFeePercent: config.sippManagementFeePercent ?? COSTS.sippManagementFeePercent,
+    phasingRule: config.goldPhasingRule ?? GOLD_PHASING.rule,
+    phasingBand: config.goldPhasingBand ?? GOLD_PHASING.band,
+    trancheCount: config.goldTrancheCount ?? GOLD_PHASING.trancheCount
+  };
+
+  const rules = Object.values(PHASING_RULES);
+  if (!rules.includes(costs.phasingRule)) {
+    throw new Error(`Unknown phasing rule: ${costs.phasingRule}. Valid rules: ${rules.join(', ')}`);
+  }
+
+  const bands = Object.values(PHASING_BANDS);
+  if (!bands.includes(costs.phasingBand)) {
+    throw new Error(`Unknown phasing band: ${costs.phasingBand}. Valid bands: ${bands.join(', ')}`);
+  }
+
+  if (!Number.isInteger(costs.trancheCount) || costs.trancheCount < 1) {
+    throw new Error('Tranche count must be a positive integer');
+  }
+
+  return costs;
+}
+
+/**
+ * Find the largest pension withdrawal whose taxable part fills up to the top
+ * of a tax band on top of other income
+ *
+ * @param {number} year - Tax year
+ * @param {string} band - 'personalAllowance' or 'basic' (up to the higher rate threshold)
+ * @param {number} [otherIncome=0] - Other taxable income already using the bands
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' or 'scotland'
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier withdrawals (default: none)
+ * @returns {number} Gross withdrawal in GBP (0 if other income already fills the band)
+ * @throws {Error} If the year is outside the supported range
+ *
+ * @example
+ * // 25% is tax-free, so £16,760 fills the £12,570 personal allowance in 2024
+ * calculateBandTranche(2024, 'personalAllowance'); // £16,760
+ */
+export function calculateBandTranche(year, band, otherIncome = 0, residency = TAX.residency, allowanceUsage = createAllowanceUsage()) {
+  const bands = getTaxBands(year, residency);
+  const limit = band === PHASING_BANDS.PERSONAL_ALLOWANCE
+    ? bands[0].to
+    : bands.find(b => b.key.startsWith('higher')).from;
+  const headroom = Math.max(0, limit - otherIncome);
+
+  // At most 25% is tax-free, so the withdrawal lies between the headroom and headroom / 75%
+  const taxableOf = gross => crystallisePension(gross, year, allowanceUsage).taxableIncome;
+  let low = headroom;
+  let high = headroom / (1 - PENSION_RULES.taxFreePercent / 100);
+  if (taxableOf(high) <= headroom) {
+    return high;
+  }
+
+  while (high - low > 0.005) {
+    const mid = (low + high) / 2;
+    if (taxableOf(mid) <= headroom) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Validate all inputs
+ */
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, targetNetIncome) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
+  const endYear = startYear + years - 1;
+  if (endYear > YEAR_RANGE.max) {
+    throw new Error(`Not enough data: strategy ends in ${endYear}, but data only available until ${YEAR_RANGE.max}`);
+  }
+}
+
+/**
+ * Calculate year-by-year tranches, gold purchases and withdrawals
+ */
+function calculateYearlyResults(startingUnits, startYear, annualWithdrawal, years, costs) {
+  const results = [];
+  let units = startingUnits;
+  let goldOunces = 0;
+  let gains = createGoldGains(costs);
+  let allowanceUsage = createAllowanceUsage();
+
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+
+    let income = annualWithdrawal;
+    if (costs.adjustForInflation) {
+      income = annualWithdrawal * getInflationMultiplier(startYear, year);
+    }
+
+    // The State Pension pays for part of a net income target
+    if (costs.targetNetIncome !== null) {
+      income = Math.max(0, income - getNetStatePension(costs.otherIncome, year, costs.taxResidency));
+    }
+
+    const yearResult = calculatePhasedGoldYear(units, goldOunces, year, i, income, costs, allowanceUsage, gains);
+    units = yearResult.sippEndUnits;
+    goldOunces = yearResult.endGoldOunces;
+    allowanceUsage = yearResult.allowanceUsage;
+    if (gains) {
+      gains = { lots: yearResult.lots, lossesCarriedForward: yearResult.lossesCarriedForward, gainAlreadyRealised: 0 };
+    }
+    results.push(yearResult);
+  }
+
+  return results;
+}
+
+/**
+ * Simulate a single year: SIPP fee, tranche, gold purchase, then gold sales
+ * for any income the tranche did not pay (bars add the purchase to their lots)
+ */
+function calculatePhasedGoldYear(units, goldOunces, year, trancheIndex, income, costs, allowanceUsage, gains) {
+  const etfPrice = getSyntheticPrice(year, INDEX_TYPES.GOLD_ETF);
+  const goldPrice = getGoldPrice(year);
+  const otherIncome = getOtherIncome(costs.otherIncome, year);
+
+  const sippStartValue = units * etfPrice;
+  const sippManagementFee = sippStartValue * costs.sippManagementFeePercent / 100;
+  const sippValue = sippStartValue - sippManagementFee;
+
+  // Crystallise the tranche, never less than the withdrawal that pays the year's income
+  let trancheGross = 0;
+  if (sippValue > 0) {
+    const incomeGross = calculateGrossForNetIncome(
+      income, year, true, 0, otherIncome, costs.taxResidency, allowanceUsage
+    );
+    const target = costs.phasingRule === PHASING_RULES.TRANCHES
+      ? sippValue / Math.max(1, costs.trancheCount - trancheIndex)
+      : calculateBandTranche(year, costs.phasingBand, otherIncome, costs.taxResidency, allowanceUsage);
+    trancheGross = Math.min(sippValue, Math.max(target, incomeGross));
+  }
+
+  const taxCalculation = calculateIncomeTax(
+    trancheGross, year, true, otherIncome, costs.taxResidency, allowanceUsage
+  );
+  const incomeFromTranche = Math.min(income, taxCalculation.netIncome);
+
+  // The rest of the tranche buys gold
+  const purchaseCash = taxCalculation.netIncome - incomeFromTranche;
+  const goldPurchaseCost = purchaseCash * costs.goldTransactionPercent / 100;
+  const goldBought = (purchaseCash - goldPurchaseCost) / goldPrice;
+
+  // Bars bought this year are a new lot whose cost includes the dealer cost
+  const goldGains = gains && goldBought > 0
+    ? { ...gains, lots: [...gains.lots, { year, units: goldBought, cost: purchaseCash }] }
+    : gains;
+
+  // Gold pays its storage fee and any income the tranche could not
+  const goldYear = calculateGoldYear(goldOunces + goldBought, year, income - incomeFromTranche, costs, goldGains);
+
+  const sippEndUnits = Math.max(0, sippValue - trancheGross) / etfPrice;
+  const sippEndValue = sippEndUnits * etfPrice;
+
+  let status = 'active';
+  if (sippStartValue + goldOunces * goldPrice <= 0) {
+    status = 'exhausted';
+  } else if (goldYear.status === 'depleted' || (goldYear.status === 'exhausted' && income > incomeFromTranche)) {
+    status = 'depleted';
+  }
+
+  return {
+    ...goldYear,
+    startGoldOunces: goldOunces,
+    startValueGbp: sippStartValue + goldOunces * goldPrice,
+    sippStartValue,
+    sippManagementFee,
+    trancheGross,
+    trancheTax: taxCalculation.taxPaid,
+    trancheNet: taxCalculation.netIncome,
+    taxCalculation,
+    incomeFromTranche,
+    goldPurchaseCost,
+    goldBought,
+    withdrawalGross: incomeFromTranche + goldYear.withdrawalGross,
+    transactionCost: goldPurchaseCost + goldYear.transactionCost,
+    netWithdrawal: incomeFromTranche + goldYear.netWithdrawal,
+    endGoldValue: goldYear.endValueGbp,
+    sippEndUnits,
+    sippEndValue,
+    endValueGbp: goldYear.endValueGbp + sippEndValue,
+    otherIncome,
+    otherIncomeTax: taxCalculation.otherIncomeTax,
+    allowanceUsage: taxCalculation.allowanceUsage,
+    status
+  };
+}
+
+/**
+ * Calculate summary statistics (gold strategy summary plus SIPP and phasing totals)
+ */
+function calculateSummary(pensionAmount, yearlyResults, targetWithdrawal) {
+  const sumOf = key => yearlyResults.reduce((sum, r) => sum + r[key], 0);
+
+  const totalWithdrawn = sumOf('netWithdrawal');
+  const activeYears = yearlyResults.filter(r => r.status === 'active').length;
+  const depletedYear = yearlyResults.find(r => r.status === 'depleted');
+  const exhaustedYear = yearlyResults.find(r => r.status === 'exhausted');
+
+  const lastResult = yearlyResults[yearlyResults.length - 1];
+  const finalGoldValue = lastResult.endGoldValue;
+  const finalSippValue = lastResult.sippEndValue;
+
+  // Years where full withdrawal was achieved
+  const fullWithdrawalYears = yearlyResults.filter(
+    r => r.status === 'active' && Math.abs(r.netWithdrawal - targetWithdrawal) < 1
+  ).length;
+
+  return {
+    initialInvestment: pensionAmount,
+    taxPaidOnWithdrawal: sumOf('trancheTax'),
+    netInvestedInGold: yearlyResults.reduce((sum, r) => sum + r.goldBought * r.goldPricePerOunce, 0),
+    initialGoldOunces: yearlyResults[0].goldBought,
+    totalGoldBought: sumOf('goldBought'),
+    totalCrystallised: sumOf('trancheGross'),
+    phasingYears: yearlyResults.filter(r => r.trancheGross > 0).length,
+    targetAnnualWithdrawal: targetWithdrawal,
+    totalWithdrawn,
+    totalTransactionCosts: sumOf('transactionCost'),
+    totalStorageFees: sumOf('storageFee'),
+    totalManagementFees: sumOf('sippManagementFee'),
+    totalCapitalGainsTax: yearlyResults.reduce((sum, r) => sum + (r.capitalGainsTax || 0), 0),
+    finalGoldOunces: lastResult.endGoldOunces,
+    finalGoldValue,
+    finalSippValue,
+    // Bars still held would pay capital gains tax if sold
+    taxOnUnrealisedGains: calculateTaxOnUnrealisedGains(lastResult),
+    // Any SIPP value left would still be taxed if withdrawn
+    totalValueRealized: totalWithdrawn + finalGoldValue + finalSippValue,
+    activeYears,
+    fullWithdrawalYears,
+    yearDepleted: depletedYear ? depletedYear.year : null,
+    yearExhausted: exhaustedYear ? exhaustedYear.year : null,
+    strategySuccessful: lastResult.status === 'active'
+  };
+}
+
+export default {
+  PHASING_RULES,
+  PHASING_BANDS,
+  calculatePhasedGoldStrategy,
+  resolvePhasedGoldCosts,
+  calculateBandTranche
+};
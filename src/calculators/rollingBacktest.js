@@ -0,0 +1,314 @@
+/**
+ * Rolling Backtest
+ *
+ * Runs a strategy (or a pair of strategies) for every feasible start year,
+ * so results can be judged across all historical starting cohorts rather
+ * than one hand-picked year.
+ *
+ * A start year is feasible when every strategy has data for it and the full
+ * horizon ends by the last data year (2026). Final values are reported in
+ * real terms (start-year pounds), deflated by UK CPI to the final year.
+ *
+ * @module rollingBacktest
+ */
+
+import {
+  calculateAnyStrategy,
+  calculateAfterTaxFinalValue,
+  calculateStrategyMetrics
+} from './comparisonEngine.js';
+import { getStrategy, getStrategyEarliestYear } from './strategyRegistry.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
+import { isValidAmount } from '../utils/validators.js';
+import { YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * One starting cohort's outcome
+ * @typedef {Object} CohortResult
+ * @property {number} startYear - First year of the cohort
+ * @property {number} endYear - Final year of the cohort
+ * @property {boolean} successful - Whether the strategy lasted the full horizon
+ * @property {boolean} activeThroughout - Whether every year, and every component of a portfolio, stayed active
+ * @property {number|null} yearDepleted - Year the strategy ran out, if it did
+ * @property {number} totalNetWithdrawn - Total net income received (nominal)
+ * @property {number} finalValue - After-tax value remaining at the end (nominal)
+ * @property {number} finalRealValue - finalValue in start-year pounds
+ * @property {number} totalValueRealized - totalNetWithdrawn + finalValue (nominal)
+ */
+
+/**
+ * Rolling backtest result for one strategy
+ * @typedef {Object} RollingBacktestResult
+ * @property {string} strategyId - Strategy ID
+ * @property {string} strategyName - Human-readable name
+ * @property {string} strategyShortName - Short name
+ * @property {Object} inputs - Pension, withdrawal rate, horizon and start year range
+ * @property {CohortResult[]} cohorts - One entry per start year, in year order
+ * @property {Object} summary - Success rate and real final value statistics
+ */
+
+/**
+ * Get every feasible start year for a set of strategies and a horizon
+ *
+ * @param {string[]} strategyIds - Strategies that must all have data for the start year
+ * @param {number} years - Horizon in years
+ * @param {Object} [config={}] - Strategy configuration (settings such as the annuity type can
+ *   move a strategy's first year later)
+ * @returns {number[]} Start years in ascending order (empty if none are feasible)
+ *
+ * @example
+ * getRollingStartYears(['gold', 'nasdaq100'], 25);              // [1985, ..., 2002]
+ * getRollingStartYears(['annuity'], 25, { annuityType: 'rpi' }); // [1982, ..., 2002]
+ */
+export function getRollingStartYears(strategyIds, years, config = {}) {
+  const firstYear = Math.max(YEAR_RANGE.min, ...strategyIds.map(id => getStrategyEarliestYear(id, config)));
+  const lastYear = YEAR_RANGE.max - years + 1;
+
+  const startYears = [];
+  for (let year = firstYear; year <= lastYear; year++) {
+    startYears.push(year);
+  }
+  return startYears;
+}
+
+/**
+ * Run a strategy for every feasible start year
+ *
+ * @param {string} strategyId - Strategy ID from registry (base, combined or custom)
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage
+ * @param {number} years - Horizon in years
+ * @param {Object} [config={}] - Optional configuration overrides (fees, rebalancing, inflation)
+ * @returns {RollingBacktestResult} Every cohort's outcome and summary statistics
+ * @throws {Error} If inputs are invalid or no start year has enough data
+ *
+ * @example
+ * const backtest = runRollingBacktest('gold-sp500', 500000, 4, 25);
+ * console.log(backtest.summary.successRate);       // e.g. 85.7
+ * console.log(backtest.summary.worstCohort.startYear);
+ */
+export function runRollingBacktest(strategyId, pensionAmount, withdrawalRate, years, config = {}) {
+  validateInputs(pensionAmount, withdrawalRate, years);
+
+  const strategy = getStrategy(strategyId);
+  const startYears = getRollingStartYears([strategyId], years, config);
+  if (startYears.length === 0) {
+    throw new Error(`Not enough data: no ${years}-year period starting from ${getStrategyEarliestYear(strategyId, config)} ends by ${YEAR_RANGE.max}`);
+  }
+
+  const cohorts = startYears.map(startYear =>
+    runCohort(strategyId, pensionAmount, startYear, withdrawalRate, years, config)
+  );
+
+  return {
+    strategyId,
+    strategyName: strategy.name,
+    strategyShortName: strategy.shortName,
+    inputs: {
+      pensionAmount,
+      withdrawalRate,
+      targetNetIncome: config.targetNetIncome ?? null,
+      years,
+      firstStartYear: startYears[0],
+      lastStartYear: startYears[startYears.length - 1]
+    },
+    cohorts,
+    summary: summarizeCohorts(cohorts)
+  };
+}
+
+/**
+ * Run two strategies over the same start years and compare them cohort by cohort
+ *
+ * Both strategies use the start years available to the later-starting one.
+ *
+ * @param {string} strategy1Id - First strategy ID
+ * @param {string} strategy2Id - Second strategy ID
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage
+ * @param {number} years - Horizon in years
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @returns {Object} Backtest for each strategy plus per-cohort and overall win counts
+ * @throws {Error} If inputs are invalid or no start year has enough data
+ *
+ * @example
+ * const rolling = runRollingComparison('gold', 'sp500', 500000, 4, 25);
+ * console.log(rolling.summary.strategy1Wins, rolling.summary.strategy2Wins);
+ */
+export function runRollingComparison(strategy1Id, strategy2Id, pensionAmount, withdrawalRate, years, config = {}) {
+  validateInputs(pensionAmount, withdrawalRate, years);
+
+  const startYears = getRollingStartYears([strategy1Id, strategy2Id], years, config);
+  if (startYears.length === 0) {
+    throw new Error(`Not enough data: no common ${years}-year period ends by ${YEAR_RANGE.max}`);
+  }
+
+  const backtests = [strategy1Id, strategy2Id].map(strategyId => {
+    const strategy = getStrategy(strategyId);
+    const cohorts = startYears.map(startYear =>
+      runCohort(strategyId, pensionAmount, startYear, withdrawalRate, years, config)
+    );
+    return {
+      strategyId,
+      strategyName: strategy.name,
+      strategyShortName: strategy.shortName,
+      cohorts,
+      summary: summarizeCohorts(cohorts)
+    };
+  });
+
+  const [strategy1, strategy2] = backtests;
+  const cohortComparison = startYears.map((startYear, idx) => {
+    const cohort1 = strategy1.cohorts[idx];
+    const cohort2 = strategy2.cohorts[idx];
+    const difference = cohort1.totalValueRealized - cohort2.totalValueRealized;
+
+    let winner;
+    if (Math.abs(difference) < 100) {
+      winner = 'tie';
+    } else if (difference > 0) {
+      winner = 'strategy1';
+    } else {
+      winner = 'strategy2';
+    }
+
+    return { startYear, winner, strategy1LeadsBy: difference };
+  });
+
+  const countWins = winner => cohortComparison.filter(c => c.winner === winner).length;
+
+  return {
+    inputs: {
+      pensionAmount,
+      withdrawalRate,
+      targetNetIncome: config.targetNetIncome ?? null,
+      years,
+      firstStartYear: startYears[0],
+      lastStartYear: startYears[startYears.length - 1]
+    },
+    strategy1,
+    strategy2,
+    cohortComparison,
+    summary: {
+      cohortCount: startYears.length,
+      strategy1Wins: countWins('strategy1'),
+      strategy2Wins: countWins('strategy2'),
+      ties: countWins('tie')
+    }
+  };
+}
+
+/**
+ * Validate inputs shared by every cohort
+ */
+function validateInputs(pensionAmount, withdrawalRate, years) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+}
+
+/**
+ * Run one starting cohort and reduce it to the figures the backtest reports
+ *
+ * @param {string} strategyId - Strategy ID from registry
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage
+ * @param {number} years - Horizon in years
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @returns {CohortResult} The cohort's outcome
+ */
+export function runCohort(strategyId, pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const endYear = startYear + years - 1;
+  const wrapper = calculateAnyStrategy(strategyId, pensionAmount, startYear, withdrawalRate, years, config);
+  const afterTaxFinalValue = calculateAfterTaxFinalValue(wrapper, endYear);
+  const metrics = calculateStrategyMetrics(wrapper, afterTaxFinalValue);
+
+  return {
+    startYear,
+    endYear,
+    successful: metrics.strategySuccessful,
+    activeThroughout: isActiveThroughout(wrapper.result.yearlyResults),
+    yearDepleted: metrics.yearDepleted,
+    totalNetWithdrawn: metrics.totalNetWithdrawn,
+    finalValue: afterTaxFinalValue,
+    finalRealValue: afterTaxFinalValue / getInflationMultiplier(startYear, endYear),
+    totalValueRealized: metrics.totalValueRealized
+  };
+}
+
+/**
+ * Check that no year ran out of money, in any portfolio component
+ *
+ * @param {Object[]} yearlyResults - Strategy yearly results
+ * @returns {boolean} True if every year and component has 'active' status
+ */
+function isActiveThroughout(yearlyResults) {
+  return yearlyResults.every(y =>
+    y.status === 'active' && (y.components ?? []).every(c => c.status === 'active')
+  );
+}
+
+/**
+ * Summarise a set of cohorts
+ *
+ * The worst cohort is the one with the lowest real final value; among cohorts
+ * that ran out of money, the one that ran out soonest after its start.
+ *
+ * @param {CohortResult[]} cohorts - Cohort results
+ * @returns {Object} Success rate, median/worst/best real final value and worst/best cohorts
+ */
+function summarizeCohorts(cohorts) {
+  const successCount = cohorts.filter(c => c.successful).length;
+  const byOutcome = [...cohorts].sort(compareCohorts);
+  const worstCohort = byOutcome[0];
+  const bestCohort = byOutcome[byOutcome.length - 1];
+
+  return {
+    cohortCount: cohorts.length,
+    successCount,
+    failureCount: cohorts.length - successCount,
+    successRate: (successCount / cohorts.length) * 100,
+    medianFinalRealValue: median(cohorts.map(c => c.finalRealValue)),
+    worstFinalRealValue: worstCohort.finalRealValue,
+    bestFinalRealValue: bestCohort.finalRealValue,
+    worstCohort,
+    bestCohort
+  };
+}
+
+/**
+ * Order cohorts from worst to best outcome
+ */
+function compareCohorts(a, b) {
+  if (a.finalRealValue !== b.finalRealValue) {
+    return a.finalRealValue - b.finalRealValue;
+  }
+
+  const yearsLasted = c => (c.yearDepleted === null ? Infinity : c.yearDepleted - c.startYear);
+  return yearsLasted(a) - yearsLasted(b);
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+export default {
+  getRollingStartYears,
+  runCohort,
+  runRollingBacktest,
+  runRollingComparison
+};
@@ -0,0 +1,291 @@
+/**
+ * Savings Account Strategy Calculator
+ *
+ * Simulates withdrawing the whole pension, paying income tax as in the gold
+ * strategy, and keeping the net proceeds in a savings account paying Bank
+ * Rate. It is the "do nothing clever" benchmark: no market risk, no dealing
+ * costs, just interest and the tax on it.
+ *
+ * Key characteristics:
+ * - Initial pension withdrawal is taxed (25% tax-free within the allowances,
+ *   the rest as income on top of any other income)
+ * - The net proceeds are deposited on January 1st of the start year. Each
+ *   later year, the interest earned over the previous year at the average
+ *   Bank Rate is credited on January 1st and taxed in that year
+ * - Interest is taxed as savings income on top of other income: unused
+ *   personal allowance, the starting rate for savings (from 2008) and the
+ *   Personal Savings Allowance (from 2016) come first (see investmentTax).
+ *   Savings income uses the UK rates for Scottish taxpayers too
+ * - The tax on the interest is paid from the account, along with the income
+ *   wanted; withdrawals from the account are not taxed
+ * - Bank Rate is an upper bound for an instant-access account, which usually
+ *   paid somewhat less
+ *
+ * @module savingsStrategy
+ */
+
+import { getCashTotalReturn } from '../data/bankRate.js';
+import { getInflationMultiplier } from '../data/ukCpi.js';
+import { calculateIncomeTax } from './taxCalculator.js';
+import { calculateSavingsTax } from './investmentTax.js';
+import { resolveIncomeSources, getOtherIncome, getNetStatePension } from './otherIncome.js';
+import { isValidYear, isValidAmount } from '../utils/validators.js';
+import { COSTS, TAX, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Yearly result for the savings account strategy
+ * @typedef {Object} SavingsYearResult
+ * @property {number} year - The year
+ * @property {number} interestRate - Interest credited at the start of the year, as a percentage of the balance
+ * @property {number} startValueGbp - Account balance at start of year (after interest)
+ * @property {number} interest - Interest credited at the start of the year
+ * @property {number} savingsAllowanceUsed - Interest covered by the Personal Savings Allowance
+ * @property {number} interestTax - Tax on the interest
+ * @property {number} withdrawalGross - Cash taken from the account (income and tax on the interest)
+ * @property {number} netWithdrawal - Net cash received after tax on the interest
+ * @property {number} endValueGbp - Account balance at end of year
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {string} status - 'active', 'exhausted', or 'depleted'
+ */
+
+/**
+ * Savings account strategy result
+ * @typedef {Object} SavingsStrategyResult
+ * @property {Object} initialWithdrawal - Pension withdrawal, tax and the amount deposited
+ * @property {SavingsYearResult[]} yearlyResults - Year-by-year breakdown
+ * @property {Object} summary - Summary statistics
+ * @property {string} taxResidency - Tax residency the withdrawal was taxed under
+ */
+
+/**
+ * Calculate the withdraw-to-savings strategy outcome
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (e.g., 4 for 4%)
+ * @param {number} years - Number of years to simulate
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [config.targetNetIncome] - Annual net income wanted (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @returns {SavingsStrategyResult} Complete strategy results
+ * @throws {Error} If inputs are invalid
+ *
+ * @example
+ * const result = calculateSavingsStrategy(500000, 2000, 4, 25);
+ * console.log(result.summary.totalInterest, result.summary.totalInterestTax);
+ */
+export function calculateSavingsStrategy(pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const costs = resolveSavingsCosts(config, startYear);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, costs.targetNetIncome);
+
+  // Step 1: Withdraw the pension, pay tax and deposit the net proceeds
+  const initialWithdrawal = calculateInitialDeposit(pensionAmount, startYear, costs);
+
+  // Step 2: Calculate annual withdrawals (including the tax on each year's interest)
+  const annualWithdrawalAmount = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
+  const yearlyResults = calculateYearlyWithdrawals(
+    initialWithdrawal, startYear, annualWithdrawalAmount, years, costs
+  );
+
+  // Step 3: Assemble result and summary
+  return {
+    initialWithdrawal,
+    yearlyResults,
+    summary: calculateSummary(pensionAmount, initialWithdrawal, yearlyResults, annualWithdrawalAmount),
+    taxResidency: costs.taxResidency
+  };
+}
+
+/**
+ * Merge optional savings strategy settings with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} Savings strategy settings
+ */
+export function resolveSavingsCosts(config = {}, startYear) {
+  return {
+    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation,
+    targetNetIncome: config.targetNetIncome ?? null,
+    otherIncome: resolveIncomeSources(config, startYear),
+    taxResidency: config.taxResidency ?? TAX.residency
+  };
+}
+
+/**
+ * Withdraw the pension, pay tax and deposit the net proceeds
+ *
+ * @param {number} pensionAmount - Pension amount withdrawn
+ * @param {number} startYear - Year of withdrawal and deposit
+ * @param {Object} costs - Savings strategy settings (see resolveSavingsCosts)
+ * @returns {Object} Withdrawal tax and the amount deposited
+ */
+function calculateInitialDeposit(pensionAmount, startYear, costs) {
+  const taxCalculation = calculateIncomeTax(
+    pensionAmount, startYear, true, getOtherIncome(costs.otherIncome, startYear), costs.taxResidency
+  );
+
+  return {
+    grossPension: pensionAmount,
+    taxCalculation,
+    netAfterTax: taxCalculation.netIncome,
+    amountDeposited: taxCalculation.netIncome
+  };
+}
+
+/**
+ * Validate all inputs
+ */
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, targetNetIncome) {
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidYear(startYear)) {
+    throw new Error(`Start year ${startYear} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+
+  if (typeof withdrawalRate !== 'number' || withdrawalRate <= 0 || withdrawalRate > 100) {
+    throw new Error('Withdrawal rate must be between 0 and 100');
+  }
+
+  if (typeof years !== 'number' || !Number.isInteger(years) || years < 1) {
+    throw new Error('Years must be a positive integer');
+  }
+
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
+  const endYear = startYear + years - 1;
+  if (endYear > YEAR_RANGE.max) {
+    throw new Error(`Not enough data: strategy ends in ${endYear}, but data only available until ${YEAR_RANGE.max}`);
+  }
+}
+
+/**
+ * Calculate year-by-year withdrawals
+ */
+function calculateYearlyWithdrawals(initialWithdrawal, startYear, annualWithdrawal, years, costs) {
+  const results = [];
+  let balance = initialWithdrawal.amountDeposited;
+
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+
+    let income = annualWithdrawal;
+    if (costs.adjustForInflation) {
+      income = annualWithdrawal * getInflationMultiplier(startYear, year);
+    }
+
+    // The State Pension pays for part of a net income target
+    if (costs.targetNetIncome !== null) {
+      income = Math.max(0, income - getNetStatePension(costs.otherIncome, year, costs.taxResidency));
+    }
+
+    // Nothing has been earned yet in the year of deposit
+    const interestRate = i === 0 ? 0 : getCashTotalReturn(year) / getCashTotalReturn(year - 1) - 1;
+
+    const yearResult = calculateSavingsYear(balance, interestRate, year, income, costs);
+    balance = yearResult.endValueGbp;
+    results.push(yearResult);
+  }
+
+  return results;
+}
+
+/**
+ * Simulate a single year: interest credited and taxed, then the income wanted
+ * and the tax on the interest taken from the account
+ *
+ * @param {number} balance - Account balance at the end of the previous year
+ * @param {number} interestRate - Interest earned on the balance since then (e.g. 0.05 for 5%)
+ * @param {number} year - The year to simulate
+ * @param {number} targetWithdrawal - Net income wanted this year (already inflation-adjusted)
+ * @param {Object} costs - Savings strategy settings (see resolveSavingsCosts)
+ * @returns {SavingsYearResult} The year's result
+ */
+export function calculateSavingsYear(balance, interestRate, year, targetWithdrawal, costs) {
+  const interest = Math.max(0, balance) * interestRate;
+  const startValue = balance + interest;
+
+  const otherIncome = getOtherIncome(costs.otherIncome, year);
+  const savingsTax = calculateSavingsTax(interest, year, otherIncome);
+  const interestTax = savingsTax.taxPaid;
+
+  let status = 'active';
+  let withdrawalGross = 0;
+
+  if (startValue <= 0) {
+    status = 'exhausted';
+  } else {
+    const cashNeeded = targetWithdrawal + interestTax;
+    withdrawalGross = Math.min(cashNeeded, startValue);
+    if (startValue < cashNeeded) {
+      status = 'depleted';
+    }
+  }
+
+  return {
+    year,
+    interestRate: interestRate * 100,
+    startValueGbp: startValue,
+    interest,
+    savingsAllowanceUsed: savingsTax.allowanceUsed,
+    interestTax,
+    withdrawalGross,
+    netWithdrawal: Math.max(0, withdrawalGross - interestTax),
+    endValueGbp: startValue - withdrawalGross,
+    otherIncome,
+    otherIncomeTax: otherIncome > 0 ? calculateIncomeTax(otherIncome, year, false, 0, costs.taxResidency).taxPaid : 0,
+    status
+  };
+}
+
+/**
+ * Calculate summary statistics
+ */
+function calculateSummary(pensionAmount, initialWithdrawal, yearlyResults, targetWithdrawal) {
+  const sumOf = key => yearlyResults.reduce((sum, r) => sum + r[key], 0);
+
+  const totalWithdrawn = sumOf('netWithdrawal');
+  const activeYears = yearlyResults.filter(r => r.status === 'active').length;
+  const depletedYear = yearlyResults.find(r => r.status === 'depleted');
+  const exhaustedYear = yearlyResults.find(r => r.status === 'exhausted');
+
+  const lastResult = yearlyResults[yearlyResults.length - 1];
+
+  // Years where full withdrawal was achieved
+  const fullWithdrawalYears = yearlyResults.filter(
+    r => r.status === 'active' && Math.abs(r.netWithdrawal - targetWithdrawal) < 1
+  ).length;
+
+  return {
+    initialInvestment: pensionAmount,
+    taxPaidOnWithdrawal: initialWithdrawal.taxCalculation.taxPaid,
+    netInvested: initialWithdrawal.netAfterTax,
+    targetAnnualWithdrawal: targetWithdrawal,
+    totalWithdrawn,
+    totalInterest: sumOf('interest'),
+    totalSavingsAllowanceUsed: sumOf('savingsAllowanceUsed'),
+    totalInterestTax: sumOf('interestTax'),
+    finalValue: lastResult.endValueGbp,
+    // Cash left in the account has already been taxed
+    totalValueRealized: totalWithdrawn + lastResult.endValueGbp,
+    activeYears,
+    fullWithdrawalYears,
+    yearDepleted: depletedYear ? depletedYear.year : null,
+    yearExhausted: exhaustedYear ? exhaustedYear.year : null,
+    strategySuccessful: lastResult.status === 'active'
+  };
+}
+
+export default {
+  calculateSavingsStrategy,
+  resolveSavingsCosts,
+  calculateSavingsYear
+};
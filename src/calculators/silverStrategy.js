@@ -0,0 +1,107 @@
+/**
+ * Silver Strategy Calculator
+ *
+ * Simulates withdrawing pension funds, paying income tax and buying physical
+ * silver outside the pension. Annual withdrawals are funded by selling silver.
+ *
+ * Key characteristics:
+ * - Initial pension withdrawal is taxed as for the gold strategy
+ * - Silver purchases and sales pay a 5% dealer cost (wider than gold)
+ * - Silver product (config.silverProduct):
+ *   - 'britannia' (default): Silver Britannias, UK legal tender whose sales
+ *     are CGT-exempt. They are sold under the VAT margin scheme, so the VAT
+ *     on the dealer's margin is part of the dealer cost
+ *   - 'bars': bars and non-UK coins. VAT at the standard rate of the
+ *     purchase year (15% to 20%) is paid on the metal, and each sale pays
+ *     capital gains tax on the gain over its cost, VAT included
+ * - Uses January 1st silver prices for each year
+ *
+ * The yearly calculations are those of the gold strategy (see goldStrategy),
+ * holding silver in place of gold.
+ *
+ * @module silverStrategy
+ */
+
+import { calculateBullionStrategy, resolveGoldCosts, GOLD_PRODUCTS, METALS } from './goldStrategy.js';
+import { COSTS, SILVER_PRODUCT } from '../config/defaults.js';
+
+/**
+ * Physical silver products, which decide whether the purchase pays VAT and sales pay capital gains tax
+ */
+export const SILVER_PRODUCTS = {
+  BRITANNIA: 'britannia',
+  BARS: 'bars'
+};
+
+/**
+ * Calculate the physical silver strategy outcome
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - Year to start the strategy
+ * @param {number} withdrawalRate - Annual withdrawal rate as percentage (e.g., 4 for 4%)
+ * @param {number} years - Number of years to simulate
+ * @param {Object} [config] - Optional configuration to override default costs
+ * @param {number} [config.silverTransactionPercent] - Silver dealer cost percentage (buying and selling)
+ * @param {number} [config.silverStorageFeePercent] - Silver storage fee percentage
+ * @param {string} [config.silverProduct='britannia'] - 'britannia' (CGT-exempt) or 'bars'
+ *   (VAT on purchase, CGT on each sale)
+ * @param {number} [config.targetNetIncome] - Annual net income wanted (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @returns {import('./goldStrategy.js').GoldStrategyResult & { silverProduct: string }} Complete strategy results
+ * @throws {Error} If inputs are invalid
+ *
+ * @example
+ * const result = calculateSilverStrategy(500000, 2000, 4, 25);
+ *
+ * // Bars pay VAT on purchase and capital gains tax on each sale
+ * const result2 = calculateSilverStrategy(500000, 2000, 4, 25, { silverProduct: 'bars' });
+ * console.log(result2.summary.purchaseVat);
+ */
+export function calculateSilverStrategy(pensionAmount, startYear, withdrawalRate, years, config = {}) {
+  const costs = resolveSilverCosts(config, startYear);
+
+  return {
+    ...calculateBullionStrategy(pensionAmount, startYear, withdrawalRate, years, costs),
+    silverProduct: costs.silverProduct
+  };
+}
+
+/**
+ * Merge optional silver cost overrides with defaults
+ *
+ * The result is in the shape of resolveGoldCosts, so the gold calculations can
+ * use it: silver bars are taxed as gold bars, Britannias as gold coins.
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} Silver cost settings
+ * @throws {Error} If the silver product is not recognised
+ */
+export function resolveSilverCosts(config = {}, startYear) {
+  const silverProduct = config.silverProduct ?? SILVER_PRODUCT.type;
+
+  if (!Object.values(SILVER_PRODUCTS).includes(silverProduct)) {
+    const validProducts = Object.values(SILVER_PRODUCTS).join(', ');
+    throw new Error(`Unknown silver product: ${silverProduct}. Valid products: ${validProducts}`);
+  }
+
+  const isBars = silverProduct === SILVER_PRODUCTS.BARS;
+
+  return {
+    ...resolveGoldCosts({ ...config, goldProduct: isBars ? GOLD_PRODUCTS.BARS : GOLD_PRODUCTS.COINS }, startYear),
+    goldTransactionPercent: config.silverTransactionPercent ?? COSTS.silverTransactionPercent,
+    goldStorageFeePercent: config.silverStorageFeePercent ?? COSTS.silverStorageFeePercent,
+    metal: METALS.SILVER,
+    purchaseVat: isBars,
+    silverProduct
+  };
+}
+
+export default {
+  SILVER_PRODUCTS,
+  calculateSilverStrategy,
+  resolveSilverCosts
+};
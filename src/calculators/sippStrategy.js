@@ -8,21 +8,67 @@
  * - S&P 500 (VUAG equivalent)
  * - Nasdaq 100 (EQQQ/CNDX equivalent)
  * - FTSE 100 (VUKE equivalent)
+ * - Gold ETF and US Long Treasury ETF
+ * - Vaulted gold bars: investment-grade bars held in an approved vault,
+ *   one unit being a troy ounce at the spot price. Instead of the management
+ *   fee they pay vault storage and insurance (config.goldVaultFeePercent),
+ *   and each purchase and sale pays the dealer spread
+ *   (config.goldVaultSpreadPercent); withdrawals are taxed like any other
  *
  * Key characteristics:
  * - No initial tax (stays in SIPP)
  * - 0.5% annual management fee on total balance
  * - Annual withdrawals are taxed (25% tax-free PCLS, 75% taxable)
  * - Uses synthetic ETF price for historical consistency
+ * - In target net income mode, each year's gross withdrawal is grossed up
+ *   through income tax so the net received equals the target
+ * - Other taxable income is taxed first, so each withdrawal bears the
+ *   marginal tax on top of it
+ * - In target net income mode, the State Pension (after its tax) pays for
+ *   part of the target from State Pension Age, so less is drawn down
+ * - Tax-free cash used is carried from year to year, so withdrawals stop
+ *   being 25% tax-free once the Lifetime or Lump Sum Allowance is used up
+ *
+ * Crystallisation (config.crystallisationMode):
+ * - 'ufpls' (default): every withdrawal is an uncrystallised funds pension
+ *   lump sum, 25% tax-free
+ * - 'pcls': the whole pot is crystallised at the start. The 25% pension
+ *   commencement lump sum is taken tax-free and the rest is invested for
+ *   drawdown, every withdrawal being fully taxable. The PCLS is spent in the
+ *   first year, held as cash (no interest) or reinvested in the same index
+ *   in a General Investment Account (config.pclsUse). Reinvested, it pays the
+ *   same management fee and its dividends and gains are taxed as in the GIA
+ *   strategy, on top of the year's drawdown. The LTA charge on drawdown funds
+ *   above the Lifetime Allowance is not modelled.
  *
  * @module sippStrategy
  */
 
 import { getSyntheticPrice, INDEX_TYPES, INDEX_CONFIG } from './syntheticEtf.js';
 import { getInflationMultiplier } from '../data/ukCpi.js';
-import { calculateIncomeTax } from './taxCalculator.js';
+import { calculateIncomeTax, calculateGrossForNetIncome } from './taxCalculator.js';
+import { resolveIncomeSources, getOtherIncome, getNetStatePension } from './otherIncome.js';
+import { createAllowanceUsage, crystallisePension } from './pensionAllowances.js';
+import { calculateGiaYear, calculateTaxOnUnrealisedGains } from './giaStrategy.js';
 import { isValidYear, isValidAmount } from '../utils/validators.js';
-import { COSTS, YEAR_RANGE } from '../config/defaults.js';
+import { COSTS, TAX, CRYSTALLISATION, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * How tax-free cash is taken from the SIPP
+ */
+export const CRYSTALLISATION_MODES = {
+  UFPLS: 'ufpls',
+  PCLS: 'pcls'
+};
+
+/**
+ * What happens to a PCLS taken up front
+ */
+export const PCLS_USES = {
+  SPEND: 'spend',
+  CASH: 'cash',
+  REINVEST: 'reinvest'
+};
 
 /**
  * Yearly result for SIPP strategy
@@ -35,10 +81,18 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  * @property {number} valueAfterFee - Portfolio value after management fee
  * @property {number} grossWithdrawal - Gross withdrawal amount (before tax)
  * @property {number} unitsSold - ETF units sold for withdrawal
- * @property {number} taxOnWithdrawal - Tax paid on the withdrawal
+ * @property {number} dealingCost - Dealer spread on the units sold (vaulted gold only)
+ * @property {number} taxOnWithdrawal - Tax paid on the withdrawal (marginal tax on top of other income)
  * @property {number} netWithdrawal - Net cash received after tax
  * @property {number} endUnits - ETF units at end of year
  * @property {number} endValueGbp - Portfolio value at end of year
+ * @property {number} otherIncome - Other taxable income received in the year
+ * @property {number} otherIncomeTax - Income tax on the other income
+ * @property {Object} allowanceUsage - Tax-free cash allowance used after this year's withdrawal (see pensionAllowances)
+ * @property {number} pclsPaid - Upfront PCLS paid out of the pension this year (PCLS mode, first year only)
+ * @property {number} pclsValue - Value of the PCLS held outside the pension at the end of the year (cash or reinvested)
+ * @property {number} pclsTax - Dividend and capital gains tax on the reinvested PCLS this year
+ * @property {number} pclsTaxOnUnrealisedGains - Capital gains tax selling the reinvested PCLS would add (final year only)
  * @property {string} status - 'active', 'exhausted', or 'depleted'
  */
 
@@ -49,6 +103,9 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  * @property {SippYearResult[]} yearlyResults - Year-by-year breakdown
  * @property {Object} summary - Summary statistics
  * @property {string} indexType - The index type used for this strategy
+ * @property {string} taxResidency - Tax residency the withdrawals were taxed under
+ * @property {Object} allowanceUsage - Tax-free cash allowance used by the end (applies to withdrawing the final value)
+ * @property {string} crystallisationMode - 'ufpls' or 'pcls'
  */
 
 /**
@@ -61,6 +118,14 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  * @param {string} [indexType='sp500'] - Index type (sp500, nasdaq100, ftse100)
  * @param {Object} [config={}] - Optional configuration overrides
  * @param {number} [config.sippManagementFeePercent] - SIPP management fee percentage (default: 0.5)
+ * @param {number} [config.targetNetIncome] - Annual net income wanted after tax (start-year pounds);
+ *   replaces withdrawalRate when set
+ * @param {Object[]} [config.otherIncome] - Other taxable income sources (see otherIncome module)
+ * @param {Object} [config.statePension] - State Pension settings (see statePension module)
+ * @param {string} [config.taxResidency='ruk'] - 'ruk' or 'scotland' (Scottish income tax rates from 2017)
+ * @param {string} [config.crystallisationMode='ufpls'] - 'ufpls' (25% of each withdrawal tax-free) or
+ *   'pcls' (25% taken up front, then fully taxable drawdown)
+ * @param {string} [config.pclsUse='cash'] - Upfront PCLS: 'spend', 'cash' or 'reinvest'
  * @returns {SippStrategyResult} Complete strategy results
  * @throws {Error} If inputs are invalid
  *
@@ -76,31 +141,90 @@ import { COSTS, YEAR_RANGE } from '../config/defaults.js';
  *
  * // Custom management fee
  * const customResult = calculateSippStrategy(500000, 2000, 4, 25, 'sp500', { sippManagementFeePercent: 0.3 });
+ *
+ * // Take the 25% PCLS up front and reinvest it outside the pension
+ * const pclsResult = calculateSippStrategy(500000, 2000, 4, 25, 'sp500', {
+ *   crystallisationMode: 'pcls',
+ *   pclsUse: 'reinvest'
+ * });
  */
 export function calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, indexType = INDEX_TYPES.SP500, config = {}) {
   // Merge config with defaults
-  const costs = {
-    sippManagementFeePercent: config.sippManagementFeePercent ?? COSTS.sippManagementFeePercent,
-    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation
-  };
+  const costs = resolveSippCosts(config, startYear);
   // Validate inputs
-  validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType);
+  validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType, costs.targetNetIncome);
 
-  // Step 1: Initial investment (no tax - stays in SIPP)
-  const initialInvestment = calculateInitialInvestment(pensionAmount, startYear, indexType);
+  // Step 1: Take any upfront PCLS, then invest the rest (no tax - stays in SIPP)
+  const pcls = calculateUpfrontPcls(pensionAmount, startYear, indexType, costs);
+  const initialInvestment = {
+    ...calculateInitialInvestment(pensionAmount - (pcls?.amount ?? 0), startYear, indexType, costs),
+    pcls
+  };
 
-  // Step 2: Calculate annual withdrawals
-  const annualWithdrawalGross = pensionAmount * (withdrawalRate / 100);
+  // Step 2: Calculate annual withdrawals (a net income target is grossed up year by year)
+  const annualWithdrawalGross = costs.targetNetIncome ?? pensionAmount * (withdrawalRate / 100);
   const yearlyResults = calculateYearlyWithdrawals(
     initialInvestment.units,
     startYear,
     annualWithdrawalGross,
     years,
     indexType,
-    costs
+    costs,
+    pcls
   );
 
-  // Step 3: Calculate summary
+  // Step 3: Assemble result and summary
+  return buildSippStrategyResult(
+    pensionAmount, initialInvestment, yearlyResults, annualWithdrawalGross, indexType, costs.taxResidency
+  );
+}
+
+/**
+ * Merge optional SIPP cost overrides with defaults
+ *
+ * @param {Object} [config={}] - Optional configuration overrides
+ * @param {number} [startYear] - Strategy start year (required when config.statePension is set)
+ * @returns {Object} SIPP cost settings
+ * @throws {Error} If the crystallisation mode or PCLS use is not recognised
+ */
+export function resolveSippCosts(config = {}, startYear) {
+  const crystallisationMode = config.crystallisationMode ?? CRYSTALLISATION.mode;
+  const pclsUse = config.pclsUse ?? CRYSTALLISATION.pclsUse;
+
+  if (!Object.values(CRYSTALLISATION_MODES).includes(crystallisationMode)) {
+    const validModes = Object.values(CRYSTALLISATION_MODES).join(', ');
+    throw new Error(`Unknown crystallisation mode: ${crystallisationMode}. Valid modes: ${validModes}`);
+  }
+
+  if (!Object.values(PCLS_USES).includes(pclsUse)) {
+    throw new Error(`Unknown PCLS use: ${pclsUse}. Valid uses: ${Object.values(PCLS_USES).join(', ')}`);
+  }
+
+  return {
+    sippManagementFeePercent: config.sippManagementFeePercent ?? COSTS.sippManagementFeePercent,
+    goldVaultFeePercent: config.goldVaultFeePercent ?? COSTS.goldVaultFeePercent,
+    goldVaultSpreadPercent: config.goldVaultSpreadPercent ?? COSTS.goldVaultSpreadPercent,
+    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation,
+    targetNetIncome: config.targetNetIncome ?? null,
+    otherIncome: resolveIncomeSources(config, startYear),
+    taxResidency: config.taxResidency ?? TAX.residency,
+    crystallisationMode,
+    pclsUse
+  };
+}
+
+/**
+ * Assemble the full SIPP strategy result from its initial investment and yearly results
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {Object} initialInvestment - Result of calculateInitialInvestment, plus any upfront PCLS (pcls)
+ * @param {SippYearResult[]} yearlyResults - Year-by-year breakdown
+ * @param {number} annualWithdrawalGross - Target annual gross withdrawal (first year)
+ * @param {string} indexType - Index type used
+ * @param {string} [taxResidency='ruk'] - Tax residency the withdrawals were taxed under
+ * @returns {SippStrategyResult} Complete strategy results
+ */
+export function buildSippStrategyResult(pensionAmount, initialInvestment, yearlyResults, annualWithdrawalGross, indexType, taxResidency = TAX.residency) {
   const summary = calculateSummary(
     pensionAmount,
     initialInvestment,
@@ -109,25 +233,32 @@ export function calculateSippStrategy(pensionAmount, startYear, withdrawalRate,
   );
 
   const indexConfig = INDEX_CONFIG[indexType];
+  const lastResult = yearlyResults[yearlyResults.length - 1];
 
   return {
     initialInvestment: {
       pensionAmount,
       etfPriceAtStart: initialInvestment.pricePerUnit,
       unitsAcquired: initialInvestment.units,
-      initialValue: initialInvestment.value
+      initialValue: initialInvestment.value,
+      dealingCost: initialInvestment.dealingCost,
+      annualFeePercent: initialInvestment.annualFeePercent,
+      pclsAmount: initialInvestment.pcls?.amount ?? 0
     },
     yearlyResults,
     summary,
     indexType,
-    indexName: indexConfig.name
+    indexName: indexConfig.name,
+    taxResidency,
+    allowanceUsage: lastResult.allowanceUsage,
+    crystallisationMode: initialInvestment.pcls ? CRYSTALLISATION_MODES.PCLS : CRYSTALLISATION_MODES.UFPLS
   };
 }
 
 /**
  * Validate all inputs
  */
-function validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType) {
+function validateInputs(pensionAmount, startYear, withdrawalRate, years, indexType, targetNetIncome) {
   if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
     throw new Error('Pension amount must be a positive number');
   }
@@ -156,6 +287,10 @@ function validateInputs(pensionAmount, startYear, withdrawalRate, years, indexTy
     throw new Error('Years must be a positive integer');
   }
 
+  if (targetNetIncome !== null && (!isValidAmount(targetNetIncome) || targetNetIncome <= 0)) {
+    throw new Error('Target net income must be a positive number');
+  }
+
   // Check if we have enough data years
   const endYear = startYear + years - 1;
   if (endYear > 2026) {
@@ -165,97 +300,244 @@ function validateInputs(pensionAmount, startYear, withdrawalRate, years, indexTy
 
 /**
  * Calculate the initial SIPP investment (no tax)
+ *
+ * @param {number} pensionAmount - Amount invested
+ * @param {number} year - Year of investment
+ * @param {string} indexType - Index type
+ * @param {Object} [costs] - SIPP cost settings (see resolveSippCosts; defaults apply when omitted)
+ * @returns {Object} Unit price, units bought, value, dealing cost and annual fee (%)
  */
-function calculateInitialInvestment(pensionAmount, year, indexType) {
+export function calculateInitialInvestment(pensionAmount, year, indexType, costs = resolveSippCosts()) {
   const pricePerUnit = getSyntheticPrice(year, indexType);
-  const units = pensionAmount / pricePerUnit;
+  const dealingCost = pensionAmount * getDealingSpread(indexType, costs);
+  const units = (pensionAmount - dealingCost) / pricePerUnit;
 
   return {
     pricePerUnit,
     units,
-    value: pensionAmount
+    value: pensionAmount - dealingCost,
+    dealingCost,
+    annualFeePercent: getAnnualFeeRate(indexType, costs) * 100
+  };
+}
+
+/**
+ * Get the annual fee rate for an asset held in the SIPP
+ *
+ * @param {string} indexType - Index type
+ * @param {Object} costs - SIPP cost settings (see resolveSippCosts)
+ * @returns {number} Fee as a fraction of value (vault storage and insurance for vaulted gold)
+ */
+export function getAnnualFeeRate(indexType, costs) {
+  return indexType === INDEX_TYPES.GOLD_VAULT
+    ? costs.goldVaultFeePercent / 100
+    : costs.sippManagementFeePercent / 100;
+}
+
+/**
+ * Get the dealer spread paid when an asset in the SIPP is bought or sold
+ *
+ * @param {string} indexType - Index type
+ * @param {Object} costs - SIPP cost settings (see resolveSippCosts)
+ * @returns {number} Spread as a fraction of value (ETFs are dealt at their price)
+ */
+export function getDealingSpread(indexType, costs) {
+  return indexType === INDEX_TYPES.GOLD_VAULT ? costs.goldVaultSpreadPercent / 100 : 0;
+}
+
+/**
+ * Take the pension commencement lump sum up front (PCLS mode only)
+ *
+ * The whole pot is crystallised, so the tax-free cash is 25% of it within the
+ * Lifetime or Lump Sum Allowance.
+ *
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} year - Year the pot is crystallised
+ * @param {string} indexType - Index type (for reinvesting the PCLS)
+ * @param {Object} costs - SIPP cost settings (see resolveSippCosts)
+ * @returns {Object|null} PCLS amount, use, units if reinvested (bought as one lot) and allowance used,
+ *   or null in UFPLS mode
+ */
+function calculateUpfrontPcls(pensionAmount, year, indexType, costs) {
+  if (costs.crystallisationMode !== CRYSTALLISATION_MODES.PCLS) return null;
+
+  const { taxFreeAmount, allowanceUsage } = crystallisePension(pensionAmount, year);
+  const units = costs.pclsUse === PCLS_USES.REINVEST
+    ? taxFreeAmount * (1 - getDealingSpread(indexType, costs)) / getSyntheticPrice(year, indexType)
+    : 0;
+
+  return {
+    amount: taxFreeAmount,
+    use: costs.pclsUse,
+    units,
+    lots: units > 0 ? [{ year, units, cost: taxFreeAmount }] : [],
+    allowanceUsage
   };
 }
 
 /**
  * Calculate year-by-year withdrawals from SIPP
  */
-function calculateYearlyWithdrawals(startingUnits, startYear, annualWithdrawalGross, years, indexType, costs) {
+function calculateYearlyWithdrawals(startingUnits, startYear, annualWithdrawalGross, years, indexType, costs, pcls = null) {
   const results = [];
   let currentUnits = startingUnits;
-  const managementFeeRate = costs.sippManagementFeePercent / 100;
+  let allowanceUsage = pcls ? pcls.allowanceUsage : createAllowanceUsage();
+  let pclsHoldings = pcls ? { lots: pcls.lots, lossesCarriedForward: 0 } : null;
+  const pclsCosts = {
+    managementFeePercent: getAnnualFeeRate(indexType, costs) * 100,
+    otherIncome: costs.otherIncome,
+    taxResidency: costs.taxResidency
+  };
 
   for (let i = 0; i < years; i++) {
     const year = startYear + i;
-    const etfPrice = getSyntheticPrice(year, indexType);
-    const startValue = currentUnits * etfPrice;
 
-    // Apply management fee first
-    const managementFee = startValue * managementFeeRate;
-    const unitsLostToFee = managementFee / etfPrice;
-    currentUnits -= unitsLostToFee;
-    const valueAfterFee = currentUnits * etfPrice;
+    const grossWithdrawal = getSippWithdrawalTarget(annualWithdrawalGross, startYear, year, costs, allowanceUsage, !pcls);
+    const yearResult = calculateSippYear(currentUnits, year, grossWithdrawal, indexType, costs, allowanceUsage);
+    currentUnits = yearResult.endUnits;
+    allowanceUsage = yearResult.allowanceUsage;
 
-    // Determine status and withdrawal
-    let status = 'active';
-    let grossWithdrawal = annualWithdrawalGross;
-    if (costs.adjustForInflation) {
-      grossWithdrawal = annualWithdrawalGross * getInflationMultiplier(startYear, year);
+    if (pcls) {
+      if (i === 0) {
+        yearResult.pclsPaid = pcls.amount;
+      }
+
+      // Spent as first-year income, held as cash, or reinvested in a GIA charged the same fee,
+      // its dividends and gains taxed on top of the year's (fully taxable) drawdown
+      if (pcls.use === PCLS_USES.SPEND) {
+        yearResult.netWithdrawal += yearResult.pclsPaid;
+      } else if (pcls.use === PCLS_USES.CASH) {
+        yearResult.pclsValue = pcls.amount;
+      } else {
+        const pclsYear = calculateGiaYear(pclsHoldings, year, 0, indexType, pclsCosts, yearResult.grossWithdrawal);
+        pclsHoldings = { lots: pclsYear.lots, lossesCarriedForward: pclsYear.lossesCarriedForward };
+        yearResult.pclsValue = pclsYear.endValueGbp;
+        yearResult.pclsTax = pclsYear.dividendTax + pclsYear.capitalGainsTax;
+        if (i === years - 1) {
+          yearResult.pclsTaxOnUnrealisedGains = calculateTaxOnUnrealisedGains(pclsYear);
+        }
+      }
     }
+    results.push(yearResult);
+  }
+
+  return results;
+}
+
+/**
+ * Get the gross withdrawal wanted from the SIPP in a year
+ *
+ * @param {number} annualWithdrawalGross - First-year gross withdrawal, or the net income target
+ * @param {number} startYear - Year the withdrawals started (base year for inflation)
+ * @param {number} year - The year
+ * @param {Object} costs - SIPP cost settings (see resolveSippCosts)
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier withdrawals (default: none)
+ * @param {boolean} [isUfpls=true] - Whether 25% of the withdrawal is tax-free (false after an upfront PCLS)
+ * @returns {number} Gross withdrawal (inflation-adjusted, and grossed up through tax in target net income mode)
+ */
+export function getSippWithdrawalTarget(annualWithdrawalGross, startYear, year, costs, allowanceUsage = createAllowanceUsage(), isUfpls = true) {
+  let grossWithdrawal = annualWithdrawalGross;
+  if (costs.adjustForInflation) {
+    grossWithdrawal = annualWithdrawalGross * getInflationMultiplier(startYear, year);
+  }
+
+  if (costs.targetNetIncome !== null) {
+    // The State Pension pays for part of the target; the rest is grossed up through tax
+    const netNeeded = Math.max(0, grossWithdrawal - getNetStatePension(costs.otherIncome, year, costs.taxResidency));
+    grossWithdrawal = calculateGrossForNetIncome(
+      netNeeded, year, isUfpls, 0, getOtherIncome(costs.otherIncome, year), costs.taxResidency, allowanceUsage
+    );
+  }
+
+  return grossWithdrawal;
+}
+
+/**
+ * Simulate a single year of SIPP holdings
+ * Management fee is deducted first, then units are sold for the withdrawal
+ *
+ * @param {number} units - ETF units held at the start of the year
+ * @param {number} year - The year to simulate
+ * @param {number} targetWithdrawal - Gross withdrawal wanted this year (already inflation-adjusted)
+ * @param {string} indexType - Index type
+ * @param {Object} costs - SIPP cost settings (see resolveSippCosts)
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier withdrawals (default: none)
+ * @returns {SippYearResult} The year's result (withdrawals fully taxable in PCLS mode)
+ */
+export function calculateSippYear(units, year, targetWithdrawal, indexType, costs, allowanceUsage = createAllowanceUsage()) {
+  let currentUnits = units;
+  const managementFeeRate = getAnnualFeeRate(indexType, costs);
+  const spreadRate = getDealingSpread(indexType, costs);
 
-    let unitsSold = 0;
-    let taxOnWithdrawal = 0;
-    let netWithdrawal = 0;
+  const etfPrice = getSyntheticPrice(year, indexType);
+  const startValue = currentUnits * etfPrice;
 
-    if (currentUnits <= 0) {
-      // Already exhausted
-      status = 'exhausted';
-      grossWithdrawal = 0;
+  // Apply management fee first
+  const managementFee = startValue * managementFeeRate;
+  const unitsLostToFee = managementFee / etfPrice;
+  currentUnits -= unitsLostToFee;
+  const valueAfterFee = currentUnits * etfPrice;
+
+  // Determine status and withdrawal
+  let status = 'active';
+  let grossWithdrawal = targetWithdrawal;
+
+  let unitsSold = 0;
+
+  if (currentUnits <= 0) {
+    // Already exhausted
+    status = 'exhausted';
+    grossWithdrawal = 0;
+    currentUnits = 0;
+  } else {
+    // Calculate how many units to sell for gross withdrawal (after any dealer spread)
+    const unitsNeeded = grossWithdrawal / (etfPrice * (1 - spreadRate));
+
+    if (unitsNeeded >= currentUnits) {
+      // Not enough units - sell everything
+      status = 'depleted';
+      unitsSold = currentUnits;
+      grossWithdrawal = unitsSold * etfPrice * (1 - spreadRate);
       currentUnits = 0;
     } else {
-      // Calculate how many units to sell for gross withdrawal
-      const unitsNeeded = grossWithdrawal / etfPrice;
-
-      if (unitsNeeded >= currentUnits) {
-        // Not enough units - sell everything
-        status = 'depleted';
-        unitsSold = currentUnits;
-        grossWithdrawal = unitsSold * etfPrice;
-        currentUnits = 0;
-      } else {
-        // Enough units - sell what we need
-        unitsSold = unitsNeeded;
-        currentUnits -= unitsSold;
-      }
-
-      // Calculate tax on withdrawal (25% tax-free, 75% taxable)
-      if (grossWithdrawal > 0) {
-        const taxResult = calculateIncomeTax(grossWithdrawal, year, true);
-        taxOnWithdrawal = taxResult.taxPaid;
-        netWithdrawal = taxResult.netIncome;
-      }
+      // Enough units - sell what we need
+      unitsSold = unitsNeeded;
+      currentUnits -= unitsSold;
     }
-
-    const endValue = currentUnits * etfPrice;
-
-    results.push({
-      year,
-      startUnits: currentUnits + unitsSold + unitsLostToFee,
-      etfPricePerUnit: etfPrice,
-      startValueGbp: startValue,
-      managementFee,
-      valueAfterFee,
-      grossWithdrawal,
-      unitsSold,
-      taxOnWithdrawal,
-      netWithdrawal,
-      endUnits: currentUnits,
-      endValueGbp: endValue,
-      status
-    });
   }
 
-  return results;
+  // Calculate tax on withdrawal (25% tax-free within the allowances, rest taxable) on top of any other income;
+  // after an upfront PCLS the whole withdrawal is taxable
+  const isUfpls = costs.crystallisationMode !== CRYSTALLISATION_MODES.PCLS;
+  const taxResult = calculateIncomeTax(
+    grossWithdrawal, year, isUfpls, getOtherIncome(costs.otherIncome, year), costs.taxResidency, allowanceUsage
+  );
+
+  const endValue = currentUnits * etfPrice;
+
+  return {
+    year,
+    startUnits: currentUnits + unitsSold + unitsLostToFee,
+    etfPricePerUnit: etfPrice,
+    startValueGbp: startValue,
+    managementFee,
+    valueAfterFee,
+    grossWithdrawal,
+    unitsSold,
+    dealingCost: unitsSold * etfPrice * spreadRate,
+    taxOnWithdrawal: taxResult.taxPaid,
+    netWithdrawal: taxResult.netIncome,
+    endUnits: currentUnits,
+    endValueGbp: endValue,
+    otherIncome: taxResult.otherIncome,
+    otherIncomeTax: taxResult.otherIncomeTax,
+    allowanceUsage: taxResult.allowanceUsage,
+    pclsPaid: 0,
+    pclsValue: 0,
+    pclsTax: 0,
+    pclsTaxOnUnrealisedGains: 0,
+    status
+  };
 }
 
 /**
@@ -266,6 +548,8 @@ function calculateSummary(pensionAmount, initialInvestment, yearlyResults, targe
   const totalNetWithdrawn = yearlyResults.reduce((sum, r) => sum + r.netWithdrawal, 0);
   const totalTaxPaid = yearlyResults.reduce((sum, r) => sum + r.taxOnWithdrawal, 0);
   const totalManagementFees = yearlyResults.reduce((sum, r) => sum + r.managementFee, 0);
+  const totalDealingCosts = (initialInvestment.dealingCost ?? 0) +
+    yearlyResults.reduce((sum, r) => sum + (r.dealingCost ?? 0), 0);
 
   const activeYears = yearlyResults.filter(r => r.status === 'active').length;
   const depletedYear = yearlyResults.find(r => r.status === 'depleted');
@@ -274,10 +558,13 @@ function calculateSummary(pensionAmount, initialInvestment, yearlyResults, targe
   const lastResult = yearlyResults[yearlyResults.length - 1];
   const finalValue = lastResult.endValueGbp;
   const finalUnits = lastResult.endUnits;
+  const pclsAmount = yearlyResults.reduce((sum, r) => sum + r.pclsPaid, 0);
+  const pclsFinalValue = lastResult.pclsValue;
+  const totalPclsTax = yearlyResults.reduce((sum, r) => sum + r.pclsTax, 0);
 
-  // Calculate total value received (net withdrawals + remaining value)
-  // Note: remaining value would still be taxed if withdrawn
-  const totalValueRealized = totalNetWithdrawn + finalValue;
+  // Calculate total value received (net withdrawals + remaining value, including any PCLS kept)
+  // Note: remaining SIPP value would still be taxed if withdrawn
+  const totalValueRealized = totalNetWithdrawn + finalValue + pclsFinalValue;
 
   // Years where full withdrawal was achieved
   const fullWithdrawalYears = yearlyResults.filter(
@@ -292,8 +579,13 @@ function calculateSummary(pensionAmount, initialInvestment, yearlyResults, targe
     totalNetWithdrawn,
     totalTaxPaid,
     totalManagementFees,
+    totalDealingCosts,
     finalUnits,
     finalValue,
+    pclsAmount,
+    pclsFinalValue,
+    totalPclsTax,
+    pclsTaxOnUnrealisedGains: lastResult.pclsTaxOnUnrealisedGains,
     totalValueRealized,
     activeYears,
     fullWithdrawalYears,
@@ -319,15 +611,13 @@ export function calculateSippYearsRemaining(units, startYear, annualWithdrawalGr
   if (annualWithdrawalGross <= 0) return Infinity;
 
   // Merge config with defaults
-  const costs = {
-    sippManagementFeePercent: config.sippManagementFeePercent ?? COSTS.sippManagementFeePercent,
-    adjustForInflation: config.adjustForInflation ?? COSTS.adjustForInflation
-  };
+  const costs = resolveSippCosts(config, startYear);
 
   let currentUnits = units;
   let years = 0;
   const maxYears = 2026 - startYear + 1;
-  const managementFeeRate = costs.sippManagementFeePercent / 100;
+  const managementFeeRate = getAnnualFeeRate(indexType, costs);
+  const spreadRate = getDealingSpread(indexType, costs);
 
   for (let i = 0; i < maxYears && currentUnits > 0; i++) {
     const year = startYear + i;
@@ -350,7 +640,7 @@ export function calculateSippYearsRemaining(units, startYear, annualWithdrawalGr
     }
 
     // Calculate units needed for withdrawal
-    const unitsNeeded = grossWithdrawal / etfPrice;
+    const unitsNeeded = grossWithdrawal / (etfPrice * (1 - spreadRate));
 
     if (unitsNeeded >= currentUnits) {
       // Partial year - calculate fraction
@@ -388,14 +678,18 @@ export function getSippValue(units, year, indexType = INDEX_TYPES.SP500) {
  *
  * @param {number} grossValue - Gross SIPP value
  * @param {number} year - Year of withdrawal
+ * @param {string} [taxResidency='ruk'] - Tax residency: 'ruk' or 'scotland'
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance already used (default: none)
+ * @param {string} [crystallisationMode='ufpls'] - 'pcls' if the pot was crystallised up front (no tax-free cash left)
  * @returns {Object} Tax breakdown and net value
  */
-export function calculateSippAfterTaxValue(grossValue, year) {
+export function calculateSippAfterTaxValue(grossValue, year, taxResidency = TAX.residency, allowanceUsage = createAllowanceUsage(), crystallisationMode = CRYSTALLISATION_MODES.UFPLS) {
   if (!isValidYear(year)) {
     throw new Error(`Year ${year} is outside supported range (2000-2026)`);
   }
 
-  const taxResult = calculateIncomeTax(grossValue, year, true);
+  const isUfpls = crystallisationMode !== CRYSTALLISATION_MODES.PCLS;
+  const taxResult = calculateIncomeTax(grossValue, year, isUfpls, 0, taxResidency, allowanceUsage);
 
   return {
     grossValue,
@@ -431,6 +725,27 @@ export function calculateFTSE100SippStrategy(pensionAmount, startYear, withdrawa
   return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.FTSE100);
 }
 
+/**
+ * Calculate FTSE 250 SIPP strategy
+ */
+export function calculateFTSE250SippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.FTSE250);
+}
+
+/**
+ * Calculate FTSE All-Share SIPP strategy
+ */
+export function calculateFTSEAllShareSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.FTSE_ALL_SHARE);
+}
+
+/**
+ * Calculate MSCI World SIPP strategy
+ */
+export function calculateMSCIWorldSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.MSCI_WORLD);
+}
+
 /**
  * Calculate Gold ETF SIPP strategy
  */
@@ -439,12 +754,54 @@ export function calculateGoldEtfSippStrategy(pensionAmount, startYear, withdrawa
 }
 
 /**
- * Calculate US Long Treasury SIPP strategy (annuity proxy)
+ * Calculate US Long Treasury SIPP strategy
  */
 export function calculateUSTreasurySippStrategy(pensionAmount, startYear, withdrawalRate, years) {
   return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.US_TREASURY);
 }
 
+/**
+ * Calculate vaulted gold bars SIPP strategy
+ */
+export function calculateGoldVaultSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.GOLD_VAULT);
+}
+
+/**
+ * Calculate Silver ETF SIPP strategy
+ */
+export function calculateSilverEtfSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.SILVER_ETF);
+}
+
+/**
+ * Calculate Cash SIPP strategy
+ */
+export function calculateCashSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.CASH);
+}
+
+/**
+ * Calculate UK Gilts (all stocks) SIPP strategy
+ */
+export function calculateGiltsSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.UK_GILTS);
+}
+
+/**
+ * Calculate UK Long Gilts (over 15 years) SIPP strategy
+ */
+export function calculateLongGiltsSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.UK_LONG_GILTS);
+}
+
+/**
+ * Calculate UK Index-Linked Gilts SIPP strategy
+ */
+export function calculateIndexLinkedGiltsSippStrategy(pensionAmount, startYear, withdrawalRate, years) {
+  return calculateSippStrategy(pensionAmount, startYear, withdrawalRate, years, INDEX_TYPES.UK_INDEX_LINKED_GILTS);
+}
+
 // Re-export INDEX_TYPES for convenience
 export { INDEX_TYPES };
 
@@ -453,10 +810,28 @@ export default {
   calculateSP500SippStrategy,
   calculateNasdaq100SippStrategy,
   calculateFTSE100SippStrategy,
+  calculateFTSE250SippStrategy,
+  calculateFTSEAllShareSippStrategy,
+  calculateMSCIWorldSippStrategy,
   calculateGoldEtfSippStrategy,
   calculateUSTreasurySippStrategy,
+  calculateGoldVaultSippStrategy,
+  calculateSilverEtfSippStrategy,
+  calculateCashSippStrategy,
+  calculateGiltsSippStrategy,
+  calculateLongGiltsSippStrategy,
+  calculateIndexLinkedGiltsSippStrategy,
+  resolveSippCosts,
+  calculateInitialInvestment,
+  getAnnualFeeRate,
+  getDealingSpread,
+  getSippWithdrawalTarget,
+  calculateSippYear,
+  buildSippStrategyResult,
   calculateSippYearsRemaining,
   getSippValue,
   calculateSippAfterTaxValue,
-  INDEX_TYPES
+  INDEX_TYPES,
+  CRYSTALLISATION_MODES,
+  PCLS_USES
 };
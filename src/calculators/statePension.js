@@ -0,0 +1,127 @@
+/**
+ * State Pension Calculator
+ *
+ * Turns a State Pension Age into a schedule of State Pension income for a
+ * strategy. The State Pension is taxable income received alongside pension
+ * withdrawals, so it is returned as an other income source (see otherIncome).
+ *
+ * Key characteristics:
+ * - Paid from the year State Pension Age is reached, counted from the age at
+ *   the strategy's start year, so every rolling start year models the same
+ *   person
+ * - Basic State Pension for those reaching State Pension Age before April
+ *   2016, new State Pension from then on, uprated each year at the historical
+ *   rate (triple lock projection after the last data year)
+ * - fullRatePercent scales the full rate for an incomplete National
+ *   Insurance record
+ *
+ * @module statePension
+ */
+
+import { getStatePensionScheme, getStatePensionWeeklyRate } from '../data/statePension.js';
+import { STATE_PENSION, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * State Pension settings
+ * @typedef {Object} StatePensionConfig
+ * @property {number} [ageAtStart=60] - Age in the strategy's start year
+ * @property {number} [statePensionAge=67] - Age the State Pension starts
+ * @property {number} [fullRatePercent=100] - Share of the full rate received
+ */
+
+/**
+ * Weeks of State Pension paid in a tax year
+ */
+const WEEKS_PER_YEAR = 52;
+
+/**
+ * Get the tax year State Pension Age is reached
+ *
+ * @param {StatePensionConfig} statePension - State Pension settings
+ * @param {number} startYear - Strategy start year
+ * @returns {number} First year the State Pension is paid
+ */
+export function getStatePensionYear(statePension, startYear) {
+  const ageAtStart = statePension.ageAtStart ?? STATE_PENSION.ageAtStart;
+  const statePensionAge = statePension.statePensionAge ?? STATE_PENSION.statePensionAge;
+  return startYear + statePensionAge - ageAtStart;
+}
+
+/**
+ * Get the annual State Pension paid in a year
+ *
+ * @param {number} year - Tax year
+ * @param {number} statePensionYear - Year State Pension Age is reached (sets the scheme)
+ * @param {number} [fullRatePercent=100] - Share of the full rate received
+ * @returns {number} Annual State Pension in GBP (0 before State Pension Age)
+ *
+ * @example
+ * getAnnualStatePension(2024, 2020);  // New State Pension: 221.20 × 52
+ * getAnnualStatePension(2024, 2010);  // Basic State Pension: 169.50 × 52
+ */
+export function getAnnualStatePension(year, statePensionYear, fullRatePercent = STATE_PENSION.fullRatePercent) {
+  if (year < statePensionYear) return 0;
+
+  const scheme = getStatePensionScheme(statePensionYear);
+  return getStatePensionWeeklyRate(year, scheme) * WEEKS_PER_YEAR * (fullRatePercent / 100);
+}
+
+/**
+ * Build the State Pension income source for a strategy
+ *
+ * @param {StatePensionConfig|null} [statePension] - State Pension settings (null or omitted for none)
+ * @param {number} startYear - Strategy start year
+ * @returns {Object|null} Other income source with per-year amounts, or null if not modelled or
+ *   State Pension Age falls after the last data year
+ * @throws {Error} If the settings are invalid
+ *
+ * @example
+ * const source = resolveStatePension({ ageAtStart: 62, statePensionAge: 66 }, 2015);
+ * source.fromYear;      // 2019
+ * source.amounts[2024]; // 221.20 × 52
+ */
+export function resolveStatePension(statePension, startYear) {
+  if (statePension === null || statePension === undefined) return null;
+
+  const fullRatePercent = statePension.fullRatePercent ?? STATE_PENSION.fullRatePercent;
+  const ages = [
+    statePension.ageAtStart ?? STATE_PENSION.ageAtStart,
+    statePension.statePensionAge ?? STATE_PENSION.statePensionAge
+  ];
+
+  if (ages.some(age => !Number.isInteger(age) || age < 0)) {
+    throw new Error('State pension ages must be non-negative whole numbers');
+  }
+
+  if (typeof fullRatePercent !== 'number' || fullRatePercent < 0 || fullRatePercent > 100) {
+    throw new Error('State pension full rate percent must be between 0 and 100');
+  }
+
+  if (!Number.isInteger(startYear)) {
+    throw new Error('Start year is required to model the state pension');
+  }
+
+  // State Pension Age after the last data year: nothing is paid within any strategy
+  const statePensionYear = getStatePensionYear(statePension, startYear);
+  if (statePensionYear > YEAR_RANGE.max) return null;
+
+  const fromYear = Math.max(statePensionYear, startYear);
+  const amounts = {};
+  for (let year = fromYear; year <= YEAR_RANGE.max; year++) {
+    amounts[year] = getAnnualStatePension(year, statePensionYear, fullRatePercent);
+  }
+
+  return {
+    fromYear,
+    toYear: Infinity,
+    amounts,
+    label: 'State pension',
+    isStatePension: true
+  };
+}
+
+export default {
+  getStatePensionYear,
+  getAnnualStatePension,
+  resolveStatePension
+};
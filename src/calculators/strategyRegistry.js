@@ -7,17 +7,34 @@
  * @module strategyRegistry
  */
 
+import { getEarliestYear as getAnnuityEarliestYear } from '../data/annuityRates.js';
+import { INDEX_CONFIG } from './syntheticEtf.js';
+import { ANNUITY } from '../config/defaults.js';
+
 /**
  * Strategy types
  */
 export const STRATEGY_TYPES = {
   GOLD: 'gold',
   SIPP: 'sipp',
+  ISA: 'isa',
+  GIA: 'gia',
+  SAVINGS: 'savings',
+  ANNUITY: 'annuity',
+  DRAWDOWN_ANNUITY: 'drawdownAnnuity',
   COMBINED: 'combined'
 };
 
 /**
  * Base strategy definitions
+ *
+ * taxEvents flags when each strategy is taxed: the initial pension withdrawal,
+ * each year's withdrawal, the value left at the end, gains on every sale of
+ * investments held outside a pension (onDisposal), dividends on them (onDividends)
+ * and interest on cash held outside a pension (onInterest).
+ *
+ * Strategies marked usesWithdrawalRate: false pay an income that does not
+ * depend on the withdrawal rate, so no safe withdrawal rate can be solved.
  */
 export const BASE_STRATEGIES = {
   gold: {
@@ -33,11 +50,36 @@ export const BASE_STRATEGIES = {
     fees: ['transactionFee', 'storageFee'],
     taxEvents: {
       onInitialWithdrawal: true,
-      onAnnualWithdrawal: false,  // Gold sales are CGT-exempt
-      onFinalValue: false
+      onAnnualWithdrawal: false,  // Gold sales pay no income tax
+      onFinalValue: false,
+      onDisposal: false,          // Gold coins are CGT-exempt (bars, set by config.goldProduct, are not)
+      onDividends: false,
+      onInterest: false
     }
   },
 
+  goldPhased: {
+    id: 'goldPhased',
+    name: 'Physical Gold - Phased Purchase',
+    shortName: 'Phased Gold',
+    type: STRATEGY_TYPES.GOLD,
+    description: 'Withdraw pension in tranches over several tax years, buying gold with each',
+    dataSource: 'goldPrices',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['transactionFee', 'storageFee', 'managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // Each tranche is a taxable pension withdrawal
+      onFinalValue: true,         // Any pension not yet withdrawn is taxed
+      onDisposal: false,          // Gold coins are CGT-exempt
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false     // Phasing applies to the whole pension
+  },
+
   goldEtf: {
     id: 'goldEtf',
     name: 'Gold ETF SIPP',
@@ -52,7 +94,74 @@ export const BASE_STRATEGIES = {
     taxEvents: {
       onInitialWithdrawal: false,
       onAnnualWithdrawal: true,  // SIPP withdrawals are taxable
-      onFinalValue: true
+      onFinalValue: true,
+      onDisposal: false,         // Gains inside a SIPP are tax-free
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  goldVault: {
+    id: 'goldVault',
+    name: 'Vaulted Gold SIPP',
+    shortName: 'Vault Gold',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Hold investment-grade gold bars in an approved vault within SIPP',
+    dataSource: 'goldPrices',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['vaultFee', 'dealingSpread'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,  // SIPP withdrawals are taxable
+      onFinalValue: true,
+      onDisposal: false,         // Gains inside a SIPP are tax-free
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  silver: {
+    id: 'silver',
+    name: 'Physical Silver - Outside Pension',
+    shortName: 'Physical Silver',
+    type: STRATEGY_TYPES.GOLD,
+    description: 'Withdraw pension, pay tax, buy CGT-exempt Silver Britannias',
+    dataSource: 'silverPrices',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['transactionFee', 'storageFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: false,  // Silver sales pay no income tax
+      onFinalValue: false,
+      onDisposal: false,          // Britannias are CGT-exempt (bars, set by config.silverProduct, also pay VAT)
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false     // Portfolios hold physical gold only
+  },
+
+  silverEtf: {
+    id: 'silverEtf',
+    name: 'Silver ETF SIPP',
+    shortName: 'Silver ETF',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in Silver ETF tracker within SIPP',
+    dataSource: 'silverPrices',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,  // SIPP withdrawals are taxable
+      onFinalValue: true,
+      onDisposal: false,         // Gains inside a SIPP are tax-free
+      onDividends: false,
+      onInterest: false
     }
   },
 
@@ -70,7 +179,10 @@ export const BASE_STRATEGIES = {
     taxEvents: {
       onInitialWithdrawal: false,
       onAnnualWithdrawal: true,  // SIPP withdrawals are taxable
-      onFinalValue: true
+      onFinalValue: true,
+      onDisposal: false,         // Gains inside a SIPP are tax-free
+      onDividends: false,
+      onInterest: false
     }
   },
 
@@ -88,7 +200,10 @@ export const BASE_STRATEGIES = {
     taxEvents: {
       onInitialWithdrawal: false,
       onAnnualWithdrawal: true,
-      onFinalValue: true
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
     }
   },
 
@@ -106,7 +221,73 @@ export const BASE_STRATEGIES = {
     taxEvents: {
       onInitialWithdrawal: false,
       onAnnualWithdrawal: true,
-      onFinalValue: true
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  ftse250: {
+    id: 'ftse250',
+    name: 'FTSE 250 SIPP',
+    shortName: 'FTSE 250',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in FTSE 250 (UK mid-cap) tracker within SIPP',
+    dataSource: 'ftse250TotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,  // Already in GBP
+    earliestYear: 1986,  // Index back-calculated to Dec 31, 1985
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  ftseAllShare: {
+    id: 'ftseAllShare',
+    name: 'FTSE All-Share SIPP',
+    shortName: 'All-Share',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in FTSE All-Share (broad UK market) tracker within SIPP',
+    dataSource: 'ftseAllShareTotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,  // Already in GBP
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  msciWorld: {
+    id: 'msciWorld',
+    name: 'MSCI World SIPP',
+    shortName: 'MSCI World',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in a global (MSCI World) tracker within SIPP',
+    dataSource: 'msciWorldTotalReturn',
+    currency: 'USD',
+    requiresCurrencyConversion: true,
+    earliestYear: 1980,  // Index calculated since 1969; data from 1980
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
     }
   },
 
@@ -115,7 +296,7 @@ export const BASE_STRATEGIES = {
     name: 'US Long Treasury SIPP',
     shortName: 'US Treasury',
     type: STRATEGY_TYPES.SIPP,
-    description: 'Keep pension invested in US 20+ year Treasury bond ETF within SIPP (annuity proxy)',
+    description: 'Keep pension invested in US 20+ year Treasury bond ETF within SIPP',
     dataSource: 'usLongTreasuryTotalReturn',
     currency: 'USD',
     requiresCurrencyConversion: true,
@@ -124,8 +305,294 @@ export const BASE_STRATEGIES = {
     taxEvents: {
       onInitialWithdrawal: false,
       onAnnualWithdrawal: true,
-      onFinalValue: true
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  cash: {
+    id: 'cash',
+    name: 'Cash SIPP',
+    shortName: 'Cash',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension in cash earning Bank Rate within SIPP',
+    dataSource: 'bankRate',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,  // SIPP withdrawals are taxable
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false          // Interest inside a SIPP is tax-free
+    }
+  },
+
+  gilts: {
+    id: 'gilts',
+    name: 'UK Gilts SIPP',
+    shortName: 'UK Gilts',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in a UK conventional gilts (all stocks) fund within SIPP',
+    dataSource: 'ukGiltsTotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  longGilts: {
+    id: 'longGilts',
+    name: 'UK Long Gilts SIPP',
+    shortName: 'Long Gilts',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in a UK over-15-year gilts fund within SIPP',
+    dataSource: 'ukLongGiltsTotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
     }
+  },
+
+  indexLinkedGilts: {
+    id: 'indexLinkedGilts',
+    name: 'UK Index-Linked Gilts SIPP',
+    shortName: 'Linkers',
+    type: STRATEGY_TYPES.SIPP,
+    description: 'Keep pension invested in a UK index-linked gilts fund within SIPP (inflation-protected)',
+    dataSource: 'ukIndexLinkedGiltsTotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1982,  // First index-linked gilt issued March 1981
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,
+      onFinalValue: true,
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    }
+  },
+
+  isaSp500: {
+    id: 'isaSp500',
+    name: 'S&P 500 - Withdrawn to ISA',
+    shortName: 'S&P 500 ISA',
+    type: STRATEGY_TYPES.ISA,
+    description: 'Withdraw pension, pay tax, invest in S&P 500 tracker within a Stocks & Shares ISA',
+    dataSource: 'sp500TotalReturn',
+    currency: 'USD',
+    requiresCurrencyConversion: true,
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // CGT on gains sold from the taxable account
+      onFinalValue: true,         // CGT on gains left in the taxable account
+      onDisposal: true,           // Gains on each sale from the taxable account
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false     // The ISA allowance applies to the whole withdrawal
+  },
+
+  isaNasdaq100: {
+    id: 'isaNasdaq100',
+    name: 'Nasdaq 100 - Withdrawn to ISA',
+    shortName: 'Nasdaq 100 ISA',
+    type: STRATEGY_TYPES.ISA,
+    description: 'Withdraw pension, pay tax, invest in Nasdaq 100 tracker within a Stocks & Shares ISA',
+    dataSource: 'nasdaq100TotalReturn',
+    currency: 'USD',
+    requiresCurrencyConversion: true,
+    earliestYear: 1985,  // Index launched Jan 31, 1985
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // CGT on gains sold from the taxable account
+      onFinalValue: true,         // CGT on gains left in the taxable account
+      onDisposal: true,           // Gains on each sale from the taxable account
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false     // The ISA allowance applies to the whole withdrawal
+  },
+
+  isaFtse100: {
+    id: 'isaFtse100',
+    name: 'FTSE 100 - Withdrawn to ISA',
+    shortName: 'FTSE 100 ISA',
+    type: STRATEGY_TYPES.ISA,
+    description: 'Withdraw pension, pay tax, invest in FTSE 100 tracker within a Stocks & Shares ISA',
+    dataSource: 'ftse100TotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1984,  // Index launched Jan 3, 1984
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // CGT on gains sold from the taxable account
+      onFinalValue: true,         // CGT on gains left in the taxable account
+      onDisposal: true,           // Gains on each sale from the taxable account
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false     // The ISA allowance applies to the whole withdrawal
+  },
+
+  giaSp500: {
+    id: 'giaSp500',
+    name: 'S&P 500 - Withdrawn to GIA',
+    shortName: 'S&P 500 GIA',
+    type: STRATEGY_TYPES.GIA,
+    description: 'Withdraw pension, pay tax, invest in S&P 500 tracker in a General Investment Account',
+    dataSource: 'sp500TotalReturn',
+    currency: 'USD',
+    requiresCurrencyConversion: true,
+    earliestYear: 1980,
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // Dividend tax and CGT paid by selling units
+      onFinalValue: true,         // CGT on gains left in the account
+      onDisposal: true,           // Gains on each lot sold
+      onDividends: true,          // Reinvested dividends are taxed each year
+      onInterest: false
+    },
+    portfolioComponent: false     // The CGT annual exempt amount applies to the whole account
+  },
+
+  giaNasdaq100: {
+    id: 'giaNasdaq100',
+    name: 'Nasdaq 100 - Withdrawn to GIA',
+    shortName: 'Nasdaq 100 GIA',
+    type: STRATEGY_TYPES.GIA,
+    description: 'Withdraw pension, pay tax, invest in Nasdaq 100 tracker in a General Investment Account',
+    dataSource: 'nasdaq100TotalReturn',
+    currency: 'USD',
+    requiresCurrencyConversion: true,
+    earliestYear: 1985,  // Index launched Jan 31, 1985
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // Dividend tax and CGT paid by selling units
+      onFinalValue: true,         // CGT on gains left in the account
+      onDisposal: true,           // Gains on each lot sold
+      onDividends: true,          // Reinvested dividends are taxed each year
+      onInterest: false
+    },
+    portfolioComponent: false     // The CGT annual exempt amount applies to the whole account
+  },
+
+  giaFtse100: {
+    id: 'giaFtse100',
+    name: 'FTSE 100 - Withdrawn to GIA',
+    shortName: 'FTSE 100 GIA',
+    type: STRATEGY_TYPES.GIA,
+    description: 'Withdraw pension, pay tax, invest in FTSE 100 tracker in a General Investment Account',
+    dataSource: 'ftse100TotalReturn',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1984,  // Index launched Jan 3, 1984
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // Dividend tax and CGT paid by selling units
+      onFinalValue: true,         // CGT on gains left in the account
+      onDisposal: true,           // Gains on each lot sold
+      onDividends: true,          // Reinvested dividends are taxed each year
+      onInterest: false
+    },
+    portfolioComponent: false     // The CGT annual exempt amount applies to the whole account
+  },
+
+  savings: {
+    id: 'savings',
+    name: 'Cash - Withdrawn to Savings',
+    shortName: 'Savings Account',
+    type: STRATEGY_TYPES.SAVINGS,
+    description: 'Withdraw pension, pay tax, keep the rest in a savings account earning Bank Rate',
+    dataSource: 'bankRate',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,
+    fees: [],
+    taxEvents: {
+      onInitialWithdrawal: true,
+      onAnnualWithdrawal: true,   // Tax on the year's interest is paid from the account
+      onFinalValue: false,        // Cash left in the account has already been taxed
+      onDisposal: false,
+      onDividends: false,
+      onInterest: true            // Interest above the allowances is taxed each year
+    },
+    portfolioComponent: false     // The Personal Savings Allowance applies to the whole account
+  },
+
+  annuity: {
+    id: 'annuity',
+    name: 'Annuity - Bought at Start',
+    shortName: 'Annuity',
+    type: STRATEGY_TYPES.ANNUITY,
+    description: 'Take 25% tax-free and buy a lifetime annuity with the rest',
+    dataSource: 'annuityRates',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,  // Level annuities; RPI-linked rates start in 1982 (see getStrategyEarliestYear)
+    fees: [],
+    taxEvents: {
+      onInitialWithdrawal: false, // The 25% lump sum is tax-free
+      onAnnualWithdrawal: true,   // Annuity income is taxable in full
+      onFinalValue: false,        // Nothing is left when the income stops
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false,    // The annuity is bought with the whole pension
+    usesWithdrawalRate: false     // The income is what the annuity pays
+  },
+
+  drawdownAnnuity: {
+    id: 'drawdownAnnuity',
+    name: 'Drawdown then Annuity',
+    shortName: 'Drawdown → Annuity',
+    type: STRATEGY_TYPES.DRAWDOWN_ANNUITY,
+    description: 'Stay in SIPP drawdown until a chosen age or year, then buy an annuity with the remaining pot',
+    dataSource: 'annuityRates',
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    earliestYear: 1980,  // The drawdown fund and RPI-linked annuities may start later (see getStrategyEarliestYear)
+    fees: ['managementFee'],
+    taxEvents: {
+      onInitialWithdrawal: false,
+      onAnnualWithdrawal: true,   // Drawdown withdrawals and annuity income are taxable
+      onFinalValue: true,         // Pension not yet used to buy the annuity is taxed
+      onDisposal: false,
+      onDividends: false,
+      onInterest: false
+    },
+    portfolioComponent: false     // The switch applies to the whole pension
   }
 };
 
@@ -244,7 +711,7 @@ export const COMBINATION_STRATEGIES = {
     earliestYear: 1980
   },
 
-  // US Long Treasury combined strategies (annuity proxy)
+  // US Long Treasury combined strategies
   'gold-usTreasury': {
     id: 'gold-usTreasury',
     name: '50% Gold + 50% US Treasury',
@@ -309,6 +776,25 @@ export const ALL_STRATEGIES = {
   ...COMBINATION_STRATEGIES
 };
 
+/**
+ * Prefix applied to the IDs of user-defined portfolios
+ */
+export const CUSTOM_PORTFOLIO_PREFIX = 'custom-';
+
+/**
+ * User-defined weighted portfolios, keyed by ID.
+ * Kept apart from ALL_STRATEGIES so the built-in catalogue stays fixed.
+ */
+const CUSTOM_STRATEGIES = {};
+
+/**
+ * Get every registered strategy, including user-defined portfolios
+ * @returns {Object[]} Array of strategy definitions
+ */
+function getRegisteredStrategies() {
+  return [...Object.values(ALL_STRATEGIES), ...Object.values(CUSTOM_STRATEGIES)];
+}
+
 /**
  * Get a strategy by ID
  * @param {string} strategyId - The strategy ID
@@ -316,9 +802,10 @@ export const ALL_STRATEGIES = {
  * @throws {Error} If strategy not found
  */
 export function getStrategy(strategyId) {
-  const strategy = ALL_STRATEGIES[strategyId];
+  const strategy = ALL_STRATEGIES[strategyId] || CUSTOM_STRATEGIES[strategyId];
   if (!strategy) {
-    throw new Error(`Strategy '${strategyId}' not found. Available: ${Object.keys(ALL_STRATEGIES).join(', ')}`);
+    const available = getRegisteredStrategies().map(s => s.id).join(', ');
+    throw new Error(`Strategy '${strategyId}' not found. Available: ${available}`);
   }
   return strategy;
 }
@@ -344,16 +831,16 @@ export function getCombinationStrategies() {
  * @returns {Object[]} Array of all strategy definitions
  */
 export function getAllStrategies() {
-  return Object.values(ALL_STRATEGIES);
+  return getRegisteredStrategies();
 }
 
 /**
  * Get strategies by type
- * @param {string} type - Strategy type (gold, sipp, combined)
+ * @param {string} type - Strategy type (gold, sipp, isa, gia, combined)
  * @returns {Object[]} Array of matching strategy definitions
  */
 export function getStrategiesByType(type) {
-  return Object.values(ALL_STRATEGIES).filter(s => s.type === type);
+  return getRegisteredStrategies().filter(s => s.type === type);
 }
 
 /**
@@ -369,11 +856,31 @@ export function isStrategyAvailableForYear(strategyId, startYear) {
 
 /**
  * Get the earliest available year for a strategy
+ *
+ * The annuity strategies depend on their settings: RPI-linked annuity rates
+ * start later than level ones, and drawdown then annuity also needs data for
+ * its drawdown fund.
+ *
  * @param {string} strategyId - The strategy ID
+ * @param {Object} [config={}] - Strategy configuration (config.annuityType, config.annuityDrawdownIndex)
  * @returns {number} Earliest year with data
  */
-export function getStrategyEarliestYear(strategyId) {
+export function getStrategyEarliestYear(strategyId, config = {}) {
   const strategy = getStrategy(strategyId);
+
+  if (strategy.type === STRATEGY_TYPES.ANNUITY) {
+    return Math.max(strategy.earliestYear, getAnnuityEarliestYear(config.annuityType ?? ANNUITY.type));
+  }
+
+  if (strategy.type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    const drawdownIndex = INDEX_CONFIG[config.annuityDrawdownIndex ?? ANNUITY.drawdownIndex];
+    return Math.max(
+      strategy.earliestYear,
+      getAnnuityEarliestYear(config.annuityType ?? ANNUITY.type),
+      drawdownIndex ? drawdownIndex.earliestYear : strategy.earliestYear
+    );
+  }
+
   return strategy.earliestYear;
 }
 
@@ -383,7 +890,7 @@ export function getStrategyEarliestYear(strategyId) {
  * @returns {Object[]} Array of available strategy definitions
  */
 export function getStrategiesAvailableForYear(startYear) {
-  return Object.values(ALL_STRATEGIES).filter(s => startYear >= s.earliestYear);
+  return getRegisteredStrategies().filter(s => startYear >= s.earliestYear);
 }
 
 /**
@@ -461,15 +968,151 @@ export function getStrategiesGroupedForDisplay() {
     combined: {
       label: 'Combined (50/50)',
       strategies: getCombinationStrategies()
+    },
+    custom: {
+      label: 'Custom Portfolios',
+      strategies: getCustomPortfolios()
+    }
+  };
+}
+
+/**
+ * Portfolio allocation entry
+ * @typedef {Object} PortfolioAllocation
+ * @property {string} strategyId - Base strategy ID (e.g., 'sp500')
+ * @property {number} weight - Share of the pension as a percentage (0-100]
+ */
+
+/**
+ * Validate the allocations of a weighted portfolio
+ *
+ * A portfolio needs at least two distinct base strategies with positive
+ * weights that sum to 100%. Strategies marked portfolioComponent: false
+ * (such as phased gold, physical silver, the ISA and the GIA strategies) cannot be components.
+ *
+ * @param {PortfolioAllocation[]} allocations - Component allocations
+ * @returns {Object} Validation result with valid flag and errors array
+ */
+export function validatePortfolioAllocations(allocations) {
+  const errors = [];
+
+  if (!Array.isArray(allocations) || allocations.length < 2) {
+    return { valid: false, errors: ['Portfolio must contain at least two components'] };
+  }
+
+  const seen = new Set();
+  allocations.forEach(({ strategyId, weight }) => {
+    if (!BASE_STRATEGIES[strategyId]) {
+      errors.push(`Unknown base strategy: ${strategyId}`);
+    } else if (BASE_STRATEGIES[strategyId].portfolioComponent === false) {
+      errors.push(`${BASE_STRATEGIES[strategyId].shortName} cannot be part of a portfolio`);
+    } else if (seen.has(strategyId)) {
+      errors.push(`${BASE_STRATEGIES[strategyId].shortName} appears more than once`);
     }
+    seen.add(strategyId);
+
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      errors.push(`Weight for ${strategyId} must be a positive number`);
+    }
+  });
+
+  const totalWeight = allocations.reduce((sum, a) => sum + (Number(a.weight) || 0), 0);
+  if (Math.abs(totalWeight - 100) > 0.01) {
+    errors.push(`Weights must sum to 100% (currently ${Math.round(totalWeight * 100) / 100}%)`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
   };
 }
 
+/**
+ * Create (or replace) a named weighted portfolio
+ *
+ * The portfolio is registered as a combined strategy so it can be selected,
+ * compared and calculated like the built-in 50/50 combinations.
+ *
+ * @param {string} name - Display name for the portfolio
+ * @param {PortfolioAllocation[]} allocations - Component allocations
+ * @returns {Object} The registered strategy definition
+ * @throws {Error} If the name is empty or allocations are invalid
+ *
+ * @example
+ * const portfolio = createCustomPortfolio('Balanced', [
+ *   { strategyId: 'sp500', weight: 60 },
+ *   { strategyId: 'usTreasury', weight: 25 },
+ *   { strategyId: 'gold', weight: 15 }
+ * ]);
+ * // portfolio.id === 'custom-balanced'
+ */
+export function createCustomPortfolio(name, allocations) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  const slug = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!slug) {
+    throw new Error('Portfolio name is required');
+  }
+
+  const validation = validatePortfolioAllocations(allocations);
+  if (!validation.valid) {
+    throw new Error(`Invalid portfolio '${trimmedName}': ${validation.errors.join('; ')}`);
+  }
+
+  const components = allocations.map(a => a.strategyId);
+  const id = `${CUSTOM_PORTFOLIO_PREFIX}${slug}`;
+
+  const portfolio = {
+    id,
+    name: trimmedName,
+    shortName: trimmedName,
+    type: STRATEGY_TYPES.COMBINED,
+    description: allocations
+      .map(a => `${a.weight}% ${BASE_STRATEGIES[a.strategyId].shortName}`)
+      .join(' + '),
+    components,
+    splitRatio: allocations.map(a => a.weight / 100),
+    earliestYear: Math.max(...components.map(c => BASE_STRATEGIES[c].earliestYear)),
+    isCustom: true
+  };
+
+  CUSTOM_STRATEGIES[id] = portfolio;
+  return portfolio;
+}
+
+/**
+ * Remove a user-defined portfolio
+ * @param {string} portfolioId - The custom portfolio ID
+ * @returns {boolean} True if a portfolio was removed
+ */
+export function removeCustomPortfolio(portfolioId) {
+  if (!CUSTOM_STRATEGIES[portfolioId]) return false;
+  delete CUSTOM_STRATEGIES[portfolioId];
+  return true;
+}
+
+/**
+ * Remove all user-defined portfolios
+ */
+export function clearCustomPortfolios() {
+  Object.keys(CUSTOM_STRATEGIES).forEach(id => {
+    delete CUSTOM_STRATEGIES[id];
+  });
+}
+
+/**
+ * Get all user-defined portfolios
+ * @returns {Object[]} Array of custom portfolio definitions
+ */
+export function getCustomPortfolios() {
+  return Object.values(CUSTOM_STRATEGIES);
+}
+
 export default {
   STRATEGY_TYPES,
   BASE_STRATEGIES,
   COMBINATION_STRATEGIES,
   ALL_STRATEGIES,
+  CUSTOM_PORTFOLIO_PREFIX,
   getStrategy,
   getBaseStrategies,
   getCombinationStrategies,
@@ -482,5 +1125,10 @@ export default {
   getComponentStrategies,
   isCombinedStrategy,
   getDefaultStrategies,
-  getStrategiesGroupedForDisplay
+  getStrategiesGroupedForDisplay,
+  validatePortfolioAllocations,
+  createCustomPortfolio,
+  removeCustomPortfolio,
+  clearCustomPortfolios,
+  getCustomPortfolios
 };
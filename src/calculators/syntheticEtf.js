@@ -8,6 +8,13 @@
  * - S&P 500 (VUAG equivalent) - USD, requires currency conversion
  * - Nasdaq 100 (EQQQ/CNDX equivalent) - USD, requires currency conversion
  * - FTSE 100 (VUKE equivalent) - GBP, no currency conversion needed
+ * - FTSE 250 (VMID equivalent) and FTSE All-Share (tracker fund equivalent) - GBP
+ * - MSCI World (SWDA equivalent) - USD, requires currency conversion
+ * - Vaulted gold bars - GBP, one unit is a troy ounce at the spot price
+ * - Silver ETF (SSLN equivalent) - GBP, tracks the silver price
+ * - Cash - GBP, earns Bank Rate (one unit is worth £1 at the start of 2019)
+ * - UK gilts (IGLT equivalent), long gilts and index-linked gilts (INXG
+ *   equivalent) - GBP, no currency conversion needed
  *
  * This allows fair comparison of SIPP strategies across the full date range.
  *
@@ -17,8 +24,15 @@
 import { getSP500TotalReturn } from '../data/sp500TotalReturn.js';
 import { getNasdaq100TotalReturn } from '../data/nasdaq100TotalReturn.js';
 import { getFTSE100TotalReturn } from '../data/ftse100TotalReturn.js';
+import { getFTSE250TotalReturn } from '../data/ftse250TotalReturn.js';
+import { getFTSEAllShareTotalReturn } from '../data/ftseAllShareTotalReturn.js';
+import { getMSCIWorldTotalReturn } from '../data/msciWorldTotalReturn.js';
 import { getGoldPrice } from '../data/goldPrices.js';
+import { getSilverPrice } from '../data/silverPrices.js';
 import { getUSLongTreasuryTotalReturn } from '../data/usLongTreasuryTotalReturn.js';
+import { getCashTotalReturn } from '../data/bankRate.js';
+import { getUKGiltsTotalReturn, getUKLongGiltsTotalReturn } from '../data/ukGiltsTotalReturn.js';
+import { getUKIndexLinkedGiltsTotalReturn } from '../data/ukIndexLinkedGiltsTotalReturn.js';
 import { getExchangeRate } from '../data/exchangeRates.js';
 import { isValidYear } from '../utils/validators.js';
 import { YEAR_RANGE } from '../config/defaults.js';
@@ -30,8 +44,17 @@ export const INDEX_TYPES = {
   SP500: 'sp500',
   NASDAQ100: 'nasdaq100',
   FTSE100: 'ftse100',
+  FTSE250: 'ftse250',
+  FTSE_ALL_SHARE: 'ftseAllShare',
+  MSCI_WORLD: 'msciWorld',
   GOLD_ETF: 'goldEtf',
-  US_TREASURY: 'usTreasury'
+  US_TREASURY: 'usTreasury',
+  GOLD_VAULT: 'goldVault',
+  SILVER_ETF: 'silverEtf',
+  CASH: 'cash',
+  UK_GILTS: 'gilts',
+  UK_LONG_GILTS: 'longGilts',
+  UK_INDEX_LINKED_GILTS: 'indexLinkedGilts'
 };
 
 /**
@@ -66,6 +89,33 @@ export const INDEX_CONFIG = {
     getIndexValue: getFTSE100TotalReturn,
     earliestYear: 1984
   },
+  [INDEX_TYPES.FTSE250]: {
+    name: 'FTSE 250',
+    baseYear: 2019,
+    basePriceGbp: 28.50,  // VMID approximate price at start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getFTSE250TotalReturn,
+    earliestYear: 1986  // Back-calculated to Dec 31, 1985
+  },
+  [INDEX_TYPES.FTSE_ALL_SHARE]: {
+    name: 'FTSE All-Share',
+    baseYear: 2019,
+    basePriceGbp: 3.20,  // FTSE All-Share tracker fund approximate accumulation unit price at start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getFTSEAllShareTotalReturn,
+    earliestYear: 1980
+  },
+  [INDEX_TYPES.MSCI_WORLD]: {
+    name: 'MSCI World',
+    baseYear: 2019,
+    basePriceGbp: 41.50,  // iShares Core MSCI World (SWDA) approximate price at start of 2019
+    currency: 'USD',
+    requiresCurrencyConversion: true,
+    getIndexValue: getMSCIWorldTotalReturn,
+    earliestYear: 1980
+  },
   [INDEX_TYPES.GOLD_ETF]: {
     name: 'Gold ETF',
     baseYear: 2019,
@@ -83,6 +133,60 @@ export const INDEX_CONFIG = {
     requiresCurrencyConversion: true,
     getIndexValue: getUSLongTreasuryTotalReturn,
     earliestYear: 1980
+  },
+  [INDEX_TYPES.GOLD_VAULT]: {
+    name: 'Vaulted Gold',
+    baseYear: 2019,
+    basePriceGbp: 997.02,  // Gold spot price per troy ounce at start of 2019, so one unit is one ounce
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getGoldPrice,
+    earliestYear: 1980
+  },
+  [INDEX_TYPES.SILVER_ETF]: {
+    name: 'Silver ETF',
+    baseYear: 2019,
+    basePriceGbp: 11.60,  // iShares Physical Silver ETC (SSLN) approximate price at start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,  // Silver prices already in GBP
+    getIndexValue: getSilverPrice,
+    earliestYear: 1980
+  },
+  [INDEX_TYPES.CASH]: {
+    name: 'Cash',
+    baseYear: 2019,
+    basePriceGbp: 1.00,  // Cash unit worth £1 at the start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getCashTotalReturn,
+    earliestYear: 1980
+  },
+  [INDEX_TYPES.UK_GILTS]: {
+    name: 'UK Gilts',
+    baseYear: 2019,
+    basePriceGbp: 12.50,  // iShares Core UK Gilts ETF (IGLT) approximate price at start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getUKGiltsTotalReturn,
+    earliestYear: 1980
+  },
+  [INDEX_TYPES.UK_LONG_GILTS]: {
+    name: 'UK Long Gilts',
+    baseYear: 2019,
+    basePriceGbp: 20.00,  // Long-dated (over 15 years) gilt fund approximate price at start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getUKLongGiltsTotalReturn,
+    earliestYear: 1980
+  },
+  [INDEX_TYPES.UK_INDEX_LINKED_GILTS]: {
+    name: 'UK Index-Linked Gilts',
+    baseYear: 2019,
+    basePriceGbp: 16.50,  // iShares £ Index-Linked Gilts ETF (INXG) approximate price at start of 2019
+    currency: 'GBP',
+    requiresCurrencyConversion: false,
+    getIndexValue: getUKIndexLinkedGiltsTotalReturn,
+    earliestYear: 1982  // First index-linked gilt issued in March 1981
   }
 };
 
@@ -2,12 +2,24 @@
  * UK Income Tax Calculator
  *
  * Calculates income tax based on historical UK tax rates and bands.
- * Supports pension withdrawals where 25% is tax-free (Pension Commencement Lump Sum).
+ * Supports pension withdrawals where 25% is tax-free (Pension Commencement Lump Sum),
+ * capped by the Lifetime Allowance (2006-2023) or Lump Sum Allowance (from 2024)
+ * once earlier withdrawals have used it (see pensionAllowances).
+ *
+ * Other taxable income (state pension, salary, rent) can be stacked underneath
+ * the income being taxed: it uses the personal allowance and lower bands first,
+ * and the result reports the marginal tax on the top slice separately from the
+ * tax on the other income.
+ *
+ * Scottish taxpayers are taxed on the Scottish rates and bands from 2017.
+ * Each year's bands are applied in order, however many there are, and the
+ * breakdown reports the income and tax in each.
  *
  * @module taxCalculator
  */
 
-import { getTaxData } from '../data/ukTaxData.js';
+import { getTaxData, TAX_RESIDENCIES } from '../data/ukTaxData.js';
+import { createAllowanceUsage, crystallisePension } from './pensionAllowances.js';
 import { isValidYear, isValidAmount } from '../utils/validators.js';
 import { YEAR_RANGE } from '../config/defaults.js';
 
@@ -17,16 +29,20 @@ import { YEAR_RANGE } from '../config/defaults.js';
  * @property {number} grossIncome - Original gross income
  * @property {number} taxFreeAmount - Amount that is tax-free
  * @property {number} taxableAmount - Amount subject to tax (after personal allowance)
- * @property {number} taxPaid - Total tax paid
+ * @property {number} taxPaid - Total tax paid (including any Lifetime Allowance charge)
  * @property {number} netIncome - Income after tax
- * @property {Object} breakdown - Detailed breakdown by tax band
+ * @property {Object} breakdown - Detailed breakdown by tax band: personalAllowance (allowance used)
+ *   plus `<band>RateAmount` (income taxed in the band) and `<band>RateTax` (tax paid in it) for
+ *   every band of the year - basic, higher and additional for UK rates (basic and higher40 to
+ *   higher60 for 1980-1987); starter, basic, intermediate, higher, advanced and top for Scottish rates
  * @property {number} breakdown.personalAllowance - Personal allowance used
  * @property {number} breakdown.basicRateTax - Tax paid at basic rate
- * @property {number} breakdown.higherRateTax - Tax paid at higher rate
- * @property {number} breakdown.additionalRateTax - Tax paid at additional rate
  * @property {number} breakdown.basicRateAmount - Income taxed at basic rate
- * @property {number} breakdown.higherRateAmount - Income taxed at higher rate
- * @property {number} breakdown.additionalRateAmount - Income taxed at additional rate
+ * @property {number} otherIncome - Other taxable income stacked underneath
+ * @property {number} otherIncomeTax - Tax on the other income on its own
+ * @property {number} lifetimeAllowanceCharge - LTA charge on a pension withdrawal above the remaining Lifetime Allowance
+ * @property {Object|null} allowanceUsage - Tax-free cash allowance used including this withdrawal
+ *   (see pensionAllowances AllowanceUsage); null on apportioned shares
  */
 
 /**
@@ -35,9 +51,16 @@ import { YEAR_RANGE } from '../config/defaults.js';
  * @param {number} grossIncome - Total gross income in GBP
  * @param {number} year - Tax year (e.g., 2000 for tax year 2000/01)
  * @param {boolean} [isPensionWithdrawal=false] - Whether this is a pension withdrawal (25% tax-free PCLS)
+ * @param {number} [otherIncome=0] - Other taxable income in the same year, taxed first; every
+ *   amount in the result except otherIncomeTax is the marginal slice for grossIncome (so the
+ *   personal allowance entry is negative when the slice tapers allowance away)
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' (England, Wales, NI) or 'scotland'
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier pension withdrawals
+ *   (see pensionAllowances; default: none)
  * @returns {TaxCalculationResult} Breakdown of tax calculation
  * @throws {Error} If year is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})
- * @throws {Error} If grossIncome is negative
+ * @throws {Error} If grossIncome or otherIncome is negative
+ * @throws {Error} If the residency is unknown
  *
  * @example
  * // Regular income
@@ -48,8 +71,25 @@ import { YEAR_RANGE } from '../config/defaults.js';
  * // Pension withdrawal (25% tax-free)
  * const result = calculateIncomeTax(100000, 2024, true);
  * console.log(result.taxFreeAmount); // £25,000
+ *
+ * @example
+ * // £20,000 drawdown on top of a £12,000 state pension
+ * const result = calculateIncomeTax(20000, 2024, true, 12000);
+ * console.log(result.taxPaid);        // £2,886 (only £570 of allowance left)
+ * console.log(result.otherIncomeTax); // £0
+ *
+ * @example
+ * // Scottish taxpayer
+ * const result = calculateIncomeTax(50000, 2024, false, 0, 'scotland');
+ * console.log(result.taxPaid);                       // £9,028
+ * console.log(result.breakdown.intermediateRateTax); // £3,591
+ *
+ * @example
+ * // £2m pension withdrawal in 2024: tax-free cash capped by the Lump Sum Allowance
+ * const result = calculateIncomeTax(2000000, 2024, true);
+ * console.log(result.taxFreeAmount); // £268,275
  */
-export function calculateIncomeTax(grossIncome, year, isPensionWithdrawal = false) {
+export function calculateIncomeTax(grossIncome, year, isPensionWithdrawal = false, otherIncome = 0, residency = TAX_RESIDENCIES.RUK, allowanceUsage = createAllowanceUsage()) {
   // Validate inputs
   if (!isValidYear(year)) {
     throw new Error(`Year ${year} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
@@ -59,20 +99,62 @@ export function calculateIncomeTax(grossIncome, year, isPensionWithdrawal = fals
     throw new Error('Gross income must be a non-negative number');
   }
 
+  if (!isValidAmount(otherIncome)) {
+    throw new Error('Other income must be a non-negative number');
+  }
+
   // Handle zero income
-  if (grossIncome === 0) {
-    return createZeroTaxResult(year);
+  if (grossIncome === 0 && otherIncome === 0) {
+    return createZeroTaxResult(year, residency, allowanceUsage);
   }
 
   // Get tax data for the year
-  const taxData = getTaxData(year);
+  const taxData = getTaxData(year, residency);
 
-  // Calculate tax-free amount (25% for pension withdrawals, 0 otherwise)
-  const taxFreeAmount = isPensionWithdrawal ? grossIncome * 0.25 : 0;
+  // Split pension withdrawals into tax-free cash (25%, within the allowances) and taxable income
+  const crystallised = isPensionWithdrawal
+    ? crystallisePension(grossIncome, year, allowanceUsage)
+    : { taxFreeAmount: 0, taxableIncome: grossIncome, lifetimeAllowanceCharge: 0, allowanceUsage };
 
   // Income subject to tax rules (before personal allowance)
-  const incomeForTax = grossIncome - taxFreeAmount;
+  const incomeForTax = crystallised.taxableIncome;
 
+  // Tax the other income on its own, then everything together; the difference is the top slice
+  const base = calculateTaxOnIncome(otherIncome, taxData);
+  const combined = calculateTaxOnIncome(otherIncome + incomeForTax, taxData);
+
+  const breakdown = {};
+  Object.keys(combined.breakdown).forEach(key => {
+    breakdown[key] = combined.breakdown[key] - base.breakdown[key];
+  });
+
+  const taxPaid = combined.taxPaid - base.taxPaid + crystallised.lifetimeAllowanceCharge;
+
+  // Net income
+  const netIncome = grossIncome - taxPaid;
+
+  return {
+    grossIncome,
+    taxFreeAmount: crystallised.taxFreeAmount,
+    taxableAmount: combined.taxableAmount - base.taxableAmount,
+    taxPaid,
+    netIncome,
+    breakdown,
+    otherIncome,
+    otherIncomeTax: base.taxPaid,
+    lifetimeAllowanceCharge: crystallised.lifetimeAllowanceCharge,
+    allowanceUsage: crystallised.allowanceUsage
+  };
+}
+
+/**
+ * Calculate tax on a single amount of income subject to tax rules
+ *
+ * @param {number} incomeForTax - Income after any pension tax-free amount
+ * @param {Object} taxData - Tax data for the year
+ * @returns {Object} Taxable amount, tax paid and band breakdown (including personal allowance used)
+ */
+function calculateTaxOnIncome(incomeForTax, taxData) {
   // Calculate personal allowance (tapered for high earners from 2010 onwards)
   const effectivePersonalAllowance = calculateEffectivePersonalAllowance(incomeForTax, taxData);
   const personalAllowance = Math.min(effectivePersonalAllowance, incomeForTax);
@@ -81,20 +163,12 @@ export function calculateIncomeTax(grossIncome, year, isPensionWithdrawal = fals
   const taxableAmount = Math.max(0, incomeForTax - effectivePersonalAllowance);
 
   // Calculate tax by band
-  const breakdown = calculateTaxByBand(taxableAmount, taxData, effectivePersonalAllowance);
-
-  // Total tax paid
-  const taxPaid = breakdown.basicRateTax + breakdown.higherRateTax + breakdown.additionalRateTax;
-
-  // Net income
-  const netIncome = grossIncome - taxPaid;
+  const bands = getBandSchedule(taxData);
+  const breakdown = calculateTaxByBand(taxableAmount, bands);
 
   return {
-    grossIncome,
-    taxFreeAmount,
     taxableAmount,
-    taxPaid,
-    netIncome,
+    taxPaid: bands.reduce((sum, band) => sum + breakdown[`${band.key}RateTax`], 0),
     breakdown: {
       personalAllowance,
       ...breakdown
@@ -133,69 +207,69 @@ function calculateEffectivePersonalAllowance(income, taxData) {
 }
 
 /**
- * Calculate tax breakdown by band
+ * Get the tax bands above the personal allowance for a year, lowest first
+ *
+ * Years with a bands list (Scottish rates, UK 1980-1987) use it as is. Otherwise the bands
+ * are built from the basic, higher and additional rate fields. The additional
+ * rate band is always listed so every UK year has the same breakdown keys; in
+ * years without it the higher rate band has no upper limit and it is never reached.
  *
- * @param {number} taxableAmount - Income after personal allowance
  * @param {Object} taxData - Tax data for the year
- * @param {number} effectivePersonalAllowance - Personal allowance after taper
- * @returns {Object} Tax breakdown by band
+ * @returns {Object[]} Bands with key, name, rate and upTo (top of the band in taxable income, null if unlimited)
  */
-function calculateTaxByBand(taxableAmount, taxData, effectivePersonalAllowance) {
-  let remainingIncome = taxableAmount;
-
-  // Basic rate band
-  const basicRateAmount = Math.min(remainingIncome, taxData.basicRateLimit);
-  const basicRateTax = basicRateAmount * taxData.basicRate;
-  remainingIncome = Math.max(0, remainingIncome - taxData.basicRateLimit);
-
-  // Higher rate band
-  let higherRateAmount = 0;
-  let higherRateTax = 0;
-
-  if (remainingIncome > 0) {
-    if (taxData.additionalRate !== null && taxData.additionalRateThreshold !== null) {
-      // Calculate the higher rate band width
-      // Higher rate applies from end of basic rate to additional rate threshold
-      // Use effective personal allowance (after taper) for the calculation
-      const higherRateBandWidth = taxData.additionalRateThreshold - effectivePersonalAllowance - taxData.basicRateLimit;
-      higherRateAmount = Math.min(remainingIncome, higherRateBandWidth);
-      remainingIncome = Math.max(0, remainingIncome - higherRateBandWidth);
-    } else {
-      // No additional rate - all remaining income is at higher rate
-      higherRateAmount = remainingIncome;
-      remainingIncome = 0;
-    }
-    higherRateTax = higherRateAmount * taxData.higherRate;
+function getBandSchedule(taxData) {
+  if (taxData.bands) {
+    return taxData.bands;
   }
 
-  // Additional rate band
-  let additionalRateAmount = 0;
-  let additionalRateTax = 0;
+  const hasAdditionalRate = taxData.additionalRate !== null && taxData.additionalRateThreshold !== null;
 
-  if (remainingIncome > 0 && taxData.additionalRate !== null) {
-    additionalRateAmount = remainingIncome;
-    additionalRateTax = additionalRateAmount * taxData.additionalRate;
-  }
+  return [
+    { key: 'basic', name: 'Basic Rate', rate: taxData.basicRate, upTo: taxData.basicRateLimit },
+    { key: 'higher', name: 'Higher Rate', rate: taxData.higherRate, upTo: hasAdditionalRate ? taxData.additionalRateThreshold : null },
+    { key: 'additional', name: 'Additional Rate', rate: taxData.additionalRate ?? 0, upTo: null }
+  ];
+}
 
-  return {
-    basicRateTax,
-    higherRateTax,
-    additionalRateTax,
-    basicRateAmount,
-    higherRateAmount,
-    additionalRateAmount
-  };
+/**
+ * Calculate tax breakdown by band
+ *
+ * Bands are filled in order; the additional rate threshold is reached only once
+ * the personal allowance has tapered to nothing, so taxable and gross income agree there.
+ *
+ * @param {number} taxableAmount - Income after personal allowance
+ * @param {Object[]} bands - Bands from getBandSchedule
+ * @returns {Object} Income and tax in each band, keyed `<band>RateAmount` and `<band>RateTax`
+ */
+function calculateTaxByBand(taxableAmount, bands) {
+  const breakdown = {};
+  let bandStart = 0;
+
+  bands.forEach(band => {
+    const bandEnd = band.upTo ?? Infinity;
+    const amount = Math.max(0, Math.min(taxableAmount, bandEnd) - bandStart);
+    breakdown[`${band.key}RateTax`] = amount * band.rate;
+    breakdown[`${band.key}RateAmount`] = amount;
+    bandStart = Math.max(bandStart, bandEnd);
+  });
+
+  return breakdown;
 }
 
 /**
  * Create a zero tax result
  *
  * @param {number} year - Tax year
+ * @param {string} residency - Tax residency
+ * @param {Object} allowanceUsage - Tax-free cash allowance used so far (unchanged)
  * @returns {TaxCalculationResult} Zero tax result
  */
-function createZeroTaxResult(year) {
-  // Validate the year but don't need the data
-  getTaxData(year);
+function createZeroTaxResult(year, residency, allowanceUsage) {
+  const breakdown = { personalAllowance: 0 };
+  getBandSchedule(getTaxData(year, residency)).forEach(band => {
+    breakdown[`${band.key}RateTax`] = 0;
+    breakdown[`${band.key}RateAmount`] = 0;
+  });
 
   return {
     grossIncome: 0,
@@ -203,15 +277,129 @@ function createZeroTaxResult(year) {
     taxableAmount: 0,
     taxPaid: 0,
     netIncome: 0,
-    breakdown: {
-      personalAllowance: 0,
-      basicRateTax: 0,
-      higherRateTax: 0,
-      additionalRateTax: 0,
-      basicRateAmount: 0,
-      higherRateAmount: 0,
-      additionalRateAmount: 0
+    breakdown,
+    otherIncome: 0,
+    otherIncomeTax: 0,
+    lifetimeAllowanceCharge: 0,
+    allowanceUsage
+  };
+}
+
+/**
+ * Tax one person's income from several sources together and attribute it back
+ *
+ * The sources are summed and taxed once, so they share a single personal
+ * allowance and set of bands. Each source is then given a share of the
+ * result in proportion to its gross amount.
+ *
+ * @param {number[]} grossAmounts - Gross income from each source in GBP
+ * @param {number} year - Tax year
+ * @param {boolean} [isPensionWithdrawal=false] - Whether the sources are pension withdrawals (25% tax-free)
+ * @param {number} [otherIncome=0] - Other taxable income stacked underneath all the sources
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' or 'scotland'
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier pension withdrawals
+ * @returns {{total: TaxCalculationResult, shares: TaxCalculationResult[]}} Tax on the combined
+ *   income, and each source's pro-rata share of it (in the same order as grossAmounts)
+ * @throws {Error} If any amount is negative or the year is unsupported
+ *
+ * @example
+ * // Two £20,000 withdrawals in 2024 share one personal allowance
+ * const { total, shares } = apportionIncomeTax([20000, 20000], 2024, true);
+ * console.log(total.taxPaid);     // £3,486
+ * console.log(shares[0].taxPaid); // £1,743
+ */
+export function apportionIncomeTax(grossAmounts, year, isPensionWithdrawal = false, otherIncome = 0, residency = TAX_RESIDENCIES.RUK, allowanceUsage = createAllowanceUsage()) {
+  if (!Array.isArray(grossAmounts) || grossAmounts.some(amount => !isValidAmount(amount))) {
+    throw new Error('Gross income amounts must be non-negative numbers');
+  }
+
+  const totalIncome = grossAmounts.reduce((sum, amount) => sum + amount, 0);
+  const total = calculateIncomeTax(totalIncome, year, isPensionWithdrawal, otherIncome, residency, allowanceUsage);
+  const shares = grossAmounts.map(amount => scaleTaxResult(total, totalIncome > 0 ? amount / totalIncome : 0));
+
+  return { total, shares };
+}
+
+/**
+ * Find the gross withdrawal that leaves a given net amount after income tax
+ *
+ * The inverse of calculateIncomeTax, solved by bisection to the nearest penny.
+ * When the withdrawal is taxed together with other withdrawals in the same
+ * year, it bears a pro-rata share of the combined tax, as apportionIncomeTax
+ * attributes it. Other income is stacked underneath, so the withdrawal bears
+ * its marginal tax.
+ *
+ * @param {number} netIncome - Net amount wanted in GBP
+ * @param {number} year - Tax year
+ * @param {boolean} [isPensionWithdrawal=false] - Whether this is a pension withdrawal (25% tax-free)
+ * @param {number} [otherWithdrawals=0] - Other gross withdrawals taxed with it in the same year
+ * @param {number} [otherIncome=0] - Other taxable income stacked underneath
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' or 'scotland'
+ * @param {Object} [allowanceUsage] - Tax-free cash allowance used by earlier pension withdrawals
+ * @returns {number} Gross amount to withdraw
+ * @throws {Error} If an amount is negative or the year is unsupported
+ *
+ * @example
+ * // Gross pension withdrawal needed for £30,000 to spend in 2024
+ * const gross = calculateGrossForNetIncome(30000, 2024, true);
+ * calculateIncomeTax(gross, 2024, true).netIncome; // £30,000
+ */
+export function calculateGrossForNetIncome(netIncome, year, isPensionWithdrawal = false, otherWithdrawals = 0, otherIncome = 0, residency = TAX_RESIDENCIES.RUK, allowanceUsage = createAllowanceUsage()) {
+  if (!isValidAmount(netIncome) || !isValidAmount(otherWithdrawals) || !isValidAmount(otherIncome)) {
+    throw new Error('Income amounts must be non-negative numbers');
+  }
+
+  const netOf = gross => {
+    const { shares } = apportionIncomeTax([gross, otherWithdrawals], year, isPensionWithdrawal, otherIncome, residency, allowanceUsage);
+    return gross - shares[0].taxPaid;
+  };
+
+  // Tax never takes the whole of an extra pound, so net grows with gross
+  let low = netIncome;
+  let high = netIncome * 2;
+  while (netOf(high) < netIncome) {
+    low = high;
+    high *= 2;
+  }
+
+  while (high - low > 0.005) {
+    const mid = (low + high) / 2;
+    if (netOf(mid) < netIncome) {
+      low = mid;
+    } else {
+      high = mid;
     }
+  }
+
+  return high;
+}
+
+/**
+ * Scale every amount in a tax result by a fraction
+ *
+ * Other income and allowance usage belong to the whole result, so shares carry none of them.
+ *
+ * @param {TaxCalculationResult} result - Tax result to scale
+ * @param {number} fraction - Share of the result (0-1)
+ * @returns {TaxCalculationResult} Scaled copy
+ */
+function scaleTaxResult(result, fraction) {
+  const breakdown = {};
+  Object.entries(result.breakdown).forEach(([key, value]) => {
+    breakdown[key] = value * fraction;
+  });
+
+  return {
+    grossIncome: result.grossIncome * fraction,
+    taxFreeAmount: result.taxFreeAmount * fraction,
+    taxableAmount: result.taxableAmount * fraction,
+    taxPaid: result.taxPaid * fraction,
+    netIncome: result.netIncome * fraction,
+    breakdown,
+    otherIncome: 0,
+    otherIncomeTax: 0,
+    lifetimeAllowanceCharge: result.lifetimeAllowanceCharge * fraction,
+    allowanceUsage: null
   };
 }
 
@@ -234,9 +422,10 @@ export function calculateEffectiveTaxRate(grossIncome, taxPaid) {
  *
  * @param {number} grossIncome - Current gross income
  * @param {number} year - Tax year
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' or 'scotland'
  * @returns {number} Marginal tax rate as decimal
  */
-export function getMarginalTaxRate(grossIncome, year) {
+export function getMarginalTaxRate(grossIncome, year, residency = TAX_RESIDENCIES.RUK) {
   if (!isValidYear(year)) {
     throw new Error(`Year ${year} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
   }
@@ -245,89 +434,84 @@ export function getMarginalTaxRate(grossIncome, year) {
     return 0;
   }
 
-  const taxData = getTaxData(year);
-  const taxableIncome = Math.max(0, grossIncome - taxData.personalAllowance);
+  const taxData = getTaxData(year, residency);
+  const taxableIncome = Math.max(0, grossIncome - calculateEffectivePersonalAllowance(grossIncome, taxData));
 
   if (taxableIncome === 0) {
     return 0;
   }
 
-  if (taxableIncome <= taxData.basicRateLimit) {
-    return taxData.basicRate;
-  }
-
-  if (taxData.additionalRate !== null && taxData.additionalRateThreshold !== null) {
-    const higherRateLimit = taxData.additionalRateThreshold - taxData.personalAllowance;
-    if (taxableIncome <= higherRateLimit) {
-      return taxData.higherRate;
-    }
-    return taxData.additionalRate;
-  }
-
-  return taxData.higherRate;
+  return getBandSchedule(taxData).find(band => band.upTo === null || taxableIncome <= band.upTo).rate;
 }
 
 /**
  * Get tax bands for a specific year
  *
+ * Thresholds are gross income, allowing for the personal allowance taper.
+ *
  * @param {number} year - Tax year
- * @returns {Object[]} Array of tax bands with thresholds and rates
+ * @param {string} [residency='ruk'] - Tax residency: 'ruk' or 'scotland'
+ * @returns {Object[]} Array of tax bands with key, name, rate and gross thresholds (from, to)
  */
-export function getTaxBands(year) {
+export function getTaxBands(year, residency = TAX_RESIDENCIES.RUK) {
   if (!isValidYear(year)) {
     throw new Error(`Year ${year} is outside supported range (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
   }
 
-  const taxData = getTaxData(year);
-  const bands = [];
+  const taxData = getTaxData(year, residency);
 
   // Personal allowance band (0% tax)
-  bands.push({
+  const bands = [{
+    key: 'personalAllowance',
     name: 'Personal Allowance',
     rate: 0,
     from: 0,
     to: taxData.personalAllowance
-  });
+  }];
 
-  // Basic rate band
-  bands.push({
-    name: 'Basic Rate',
-    rate: taxData.basicRate,
-    from: taxData.personalAllowance,
-    to: taxData.personalAllowance + taxData.basicRateLimit
-  });
+  let from = taxData.personalAllowance;
+  for (const band of getBandSchedule(taxData)) {
+    const to = band.upTo === null ? Infinity : getGrossForTaxableIncome(band.upTo, taxData);
+    bands.push({ key: band.key, name: band.name, rate: band.rate, from, to });
 
-  // Higher rate band
-  if (taxData.additionalRate !== null && taxData.additionalRateThreshold !== null) {
-    bands.push({
-      name: 'Higher Rate',
-      rate: taxData.higherRate,
-      from: taxData.personalAllowance + taxData.basicRateLimit,
-      to: taxData.additionalRateThreshold
-    });
-
-    // Additional rate band
-    bands.push({
-      name: 'Additional Rate',
-      rate: taxData.additionalRate,
-      from: taxData.additionalRateThreshold,
-      to: Infinity
-    });
-  } else {
-    // No additional rate - higher rate extends to infinity
-    bands.push({
-      name: 'Higher Rate',
-      rate: taxData.higherRate,
-      from: taxData.personalAllowance + taxData.basicRateLimit,
-      to: Infinity
-    });
+    // Any band after an unlimited one is never reached
+    if (to === Infinity) break;
+    from = to;
   }
 
   return bands;
 }
 
+/**
+ * Find the gross income at which taxable income reaches a given amount
+ *
+ * While the personal allowance tapers, each extra £1 of gross income adds
+ * £1.50 of taxable income.
+ *
+ * @param {number} taxableIncome - Taxable income (after personal allowance)
+ * @param {Object} taxData - Tax data for the year
+ * @returns {number} Gross income
+ */
+function getGrossForTaxableIncome(taxableIncome, taxData) {
+  const allowance = taxData.personalAllowance;
+  const taperThreshold = taxData.personalAllowanceTaperThreshold;
+
+  if (!taperThreshold || taxableIncome + allowance <= taperThreshold) {
+    return taxableIncome + allowance;
+  }
+
+  // Allowance fully tapered away: gross and taxable income are equal
+  if (taxableIncome >= taperThreshold + 2 * allowance) {
+    return taxableIncome;
+  }
+
+  return (taxableIncome + allowance + taperThreshold / 2) / 1.5;
+}
+
 export default {
   calculateIncomeTax,
+  apportionIncomeTax,
+  calculateGrossForNetIncome,
   calculateEffectiveTaxRate,
   getMarginalTaxRate,
   getTaxBands
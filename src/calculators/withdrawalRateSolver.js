@@ -0,0 +1,217 @@
+/**
+ * Safe Withdrawal Rate Solver
+ *
+ * Finds the highest withdrawal rate a strategy could have sustained from a
+ * given start year, instead of guessing rates and re-running comparisons.
+ *
+ * Key characteristics:
+ * - A rate is safe when no year is 'depleted' or 'exhausted' and every
+ *   component of a portfolio is still active in the final year (a portfolio
+ *   that is only partly paying out is not safe) and, optionally, it leaves at
+ *   least a target after-tax residual in start-year pounds
+ * - Withdrawals rise with inflation when config.adjustForInflation is on (the
+ *   default), so the result is an inflation-adjusted safe rate
+ * - Solved by bisection: outcomes worsen as the rate rises, so the search
+ *   halves the interval between a safe and an unsafe rate until it is
+ *   narrower than the precision
+ * - Solving every feasible start year gives the SAFEMAX-by-start-year series;
+ *   its lowest value is the historical SAFEMAX
+ *
+ * @module withdrawalRateSolver
+ */
+
+import { runCohort, getRollingStartYears } from './rollingBacktest.js';
+import { getStrategy, getStrategyEarliestYear } from './strategyRegistry.js';
+import { isValidAmount } from '../utils/validators.js';
+import { WITHDRAWAL_RATE_SOLVER, YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Safe withdrawal rate for one start year
+ * @typedef {Object} SafeWithdrawalRateResult
+ * @property {string} strategyId - Strategy ID
+ * @property {number} startYear - First year
+ * @property {number} endYear - Final year
+ * @property {number} targetRealValue - Residual required at the end (start-year pounds)
+ * @property {number|null} safeWithdrawalRate - Highest safe rate (%), or null if no rate above the precision is safe
+ * @property {Object|null} cohort - Cohort result at the safe rate (see rollingBacktest CohortResult)
+ */
+
+/**
+ * Find the highest safe withdrawal rate for a strategy and start year
+ *
+ * @param {string} strategyId - Strategy ID from registry (base, combined or custom)
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} startYear - First calendar year
+ * @param {number} years - Horizon in years
+ * @param {Object} [config={}] - Strategy configuration (fees, rebalancing, inflation) plus:
+ * @param {number} [config.targetRealValue=0] - After-tax residual (start-year pounds) that must remain at the end
+ * @param {number} [config.precision=0.01] - Accuracy of the result in percentage points
+ * @returns {SafeWithdrawalRateResult} The safe rate and the outcome at that rate
+ * @throws {Error} If inputs or solver settings are invalid, or the strategy's income does not
+ *   depend on the withdrawal rate (the annuity)
+ *
+ * @example
+ * const swr = findSafeWithdrawalRate('sp500', 500000, 2000, 25);
+ * console.log(swr.safeWithdrawalRate); // e.g. 3.41
+ *
+ * // Highest rate leaving at least the starting pot in real terms
+ * findSafeWithdrawalRate('gold-sp500', 500000, 1990, 25, { targetRealValue: 500000 });
+ */
+export function findSafeWithdrawalRate(strategyId, pensionAmount, startYear, years, config = {}) {
+  validateStrategy(getStrategy(strategyId));
+  const settings = resolveSettings(pensionAmount, config);
+  return solveStartYear(strategyId, pensionAmount, startYear, years, config, settings);
+}
+
+/**
+ * Find the safe withdrawal rate for every feasible start year (SAFEMAX series)
+ *
+ * @param {string} strategyId - Strategy ID from registry (base, combined or custom)
+ * @param {number} pensionAmount - Starting pension pot in GBP
+ * @param {number} years - Horizon in years
+ * @param {Object} [config={}] - As for findSafeWithdrawalRate
+ * @returns {Object} Inputs, one {startYear, safeWithdrawalRate} point per start year
+ *   and a summary with the lowest (SAFEMAX), median and highest rates
+ * @throws {Error} If inputs are invalid, the strategy ignores the withdrawal rate or no start year has enough data
+ *
+ * @example
+ * const safeMax = getSafeMaxByStartYear('gold', 500000, 25);
+ * safeMax.series.map(p => p.safeWithdrawalRate); // Ready to chart against p.startYear
+ * console.log(safeMax.summary.safeMax, safeMax.summary.safeMaxStartYear);
+ */
+export function getSafeMaxByStartYear(strategyId, pensionAmount, years, config = {}) {
+  const strategy = getStrategy(strategyId);
+  validateStrategy(strategy);
+  const settings = resolveSettings(pensionAmount, config);
+
+  const startYears = getRollingStartYears([strategyId], years, config);
+  if (startYears.length === 0) {
+    throw new Error(`Not enough data: no ${years}-year period starting from ${getStrategyEarliestYear(strategyId, config)} ends by ${YEAR_RANGE.max}`);
+  }
+
+  const series = startYears.map(startYear => {
+    const result = solveStartYear(strategyId, pensionAmount, startYear, years, config, settings);
+    return { startYear, safeWithdrawalRate: result.safeWithdrawalRate };
+  });
+
+  return {
+    strategyId,
+    strategyName: strategy.name,
+    strategyShortName: strategy.shortName,
+    inputs: {
+      pensionAmount,
+      years,
+      targetRealValue: settings.targetRealValue,
+      firstStartYear: startYears[0],
+      lastStartYear: startYears[startYears.length - 1]
+    },
+    series,
+    summary: summarizeSeries(series)
+  };
+}
+
+/**
+ * Check that a strategy's income depends on the withdrawal rate
+ */
+function validateStrategy(strategy) {
+  if (strategy.usesWithdrawalRate === false) {
+    throw new Error(`Safe withdrawal rates cannot be solved for ${strategy.shortName}: its income does not depend on the withdrawal rate`);
+  }
+}
+
+/**
+ * Merge solver settings with defaults and validate them
+ */
+function resolveSettings(pensionAmount, config) {
+  const settings = {
+    targetRealValue: config.targetRealValue ?? 0,
+    precision: config.precision ?? WITHDRAWAL_RATE_SOLVER.precision,
+    maxRate: WITHDRAWAL_RATE_SOLVER.maxRate
+  };
+
+  if (!isValidAmount(pensionAmount) || pensionAmount <= 0) {
+    throw new Error('Pension amount must be a positive number');
+  }
+
+  if (!isValidAmount(settings.targetRealValue)) {
+    throw new Error('Target real value must be a non-negative number');
+  }
+
+  if (typeof settings.precision !== 'number' || !(settings.precision > 0)) {
+    throw new Error('Precision must be a positive number');
+  }
+
+  // A net income target replaces the withdrawal rate, leaving nothing to solve for
+  if ((config.targetNetIncome ?? null) !== null) {
+    throw new Error('Safe withdrawal rates cannot be solved in target net income mode');
+  }
+
+  return settings;
+}
+
+/**
+ * Bisect for the highest safe rate in one start year
+ *
+ * Rate 0 is treated as safe (nothing is withdrawn) without being run.
+ */
+function solveStartYear(strategyId, pensionAmount, startYear, years, config, settings) {
+  const runAt = rate => runCohort(strategyId, pensionAmount, startYear, rate, years, config);
+  const isSafe = cohort => cohort.successful && cohort.activeThroughout &&
+    cohort.finalRealValue >= settings.targetRealValue;
+
+  let safeRate = 0;
+  let safeCohort = null;
+  let unsafeRate = settings.maxRate;
+
+  const maxCohort = runAt(settings.maxRate);
+  if (isSafe(maxCohort)) {
+    safeRate = settings.maxRate;
+    safeCohort = maxCohort;
+  }
+
+  while (safeCohort !== maxCohort && unsafeRate - safeRate > settings.precision) {
+    const rate = (safeRate + unsafeRate) / 2;
+    const cohort = runAt(rate);
+    if (isSafe(cohort)) {
+      safeRate = rate;
+      safeCohort = cohort;
+    } else {
+      unsafeRate = rate;
+    }
+  }
+
+  return {
+    strategyId,
+    startYear,
+    endYear: startYear + years - 1,
+    targetRealValue: settings.targetRealValue,
+    safeWithdrawalRate: safeCohort ? safeRate : null,
+    cohort: safeCohort
+  };
+}
+
+/**
+ * Summarise a SAFEMAX series
+ *
+ * Start years where no rate is safe count as 0% for the lowest and median.
+ */
+function summarizeSeries(series) {
+  const rates = series.map(point => point.safeWithdrawalRate ?? 0);
+  const sorted = [...rates].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const lowestIdx = rates.indexOf(sorted[0]);
+  const highestIdx = rates.indexOf(sorted[sorted.length - 1]);
+
+  return {
+    safeMax: sorted[0],
+    safeMaxStartYear: series[lowestIdx].startYear,
+    medianSafeWithdrawalRate: sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid],
+    highestSafeWithdrawalRate: sorted[sorted.length - 1],
+    highestStartYear: series[highestIdx].startYear
+  };
+}
+
+export default {
+  findSafeWithdrawalRate,
+  getSafeMaxByStartYear
+};
@@ -3,12 +3,15 @@
  *
  * Provides a collapsible section for configuring strategy fees.
  * Allows users to override default transaction costs, storage fees,
- * and management fees.
+ * and management fees, to choose where the user pays income tax and how
+ * SIPP tax-free cash is taken, and to
+ * enter the State Pension and other taxable income that are taxed before
+ * the pension withdrawals.
  *
  * @module components/advancedSettings
  */
 
-import { COSTS } from '../config/defaults.js';
+import { COSTS, REBALANCING, TAX, CRYSTALLISATION, ANNUITY, GOLD_PHASING, GOLD_PRODUCT, SILVER_PRODUCT, OTHER_INCOME, STATE_PENSION, YEAR_RANGE } from '../config/defaults.js';
 
 /**
  * Advanced settings state
@@ -18,7 +21,33 @@ let settingsState = {
   goldTransactionPercent: COSTS.goldTransactionPercent,
   goldStorageFeePercent: COSTS.goldStorageFeePercent,
   sippManagementFeePercent: COSTS.sippManagementFeePercent,
+  goldVaultFeePercent: COSTS.goldVaultFeePercent,
+  goldVaultSpreadPercent: COSTS.goldVaultSpreadPercent,
   adjustForInflation: COSTS.adjustForInflation,
+  rebalanceMode: REBALANCING.mode,
+  rebalanceThresholdPercent: REBALANCING.thresholdPercent,
+  taxResidency: TAX.residency,
+  crystallisationMode: CRYSTALLISATION.mode,
+  pclsUse: CRYSTALLISATION.pclsUse,
+  annuityType: ANNUITY.type,
+  annuityDrawdownIndex: ANNUITY.drawdownIndex,
+  annuitySwitchAge: ANNUITY.switchAge,
+  annuitySwitchYear: null,
+  goldPhasingRule: GOLD_PHASING.rule,
+  goldPhasingBand: GOLD_PHASING.band,
+  goldTrancheCount: GOLD_PHASING.trancheCount,
+  goldProduct: GOLD_PRODUCT.type,
+  silverTransactionPercent: COSTS.silverTransactionPercent,
+  silverStorageFeePercent: COSTS.silverStorageFeePercent,
+  silverProduct: SILVER_PRODUCT.type,
+  otherIncomeAmount: OTHER_INCOME.amount,
+  otherIncomeFromYear: null,
+  otherIncomeToYear: null,
+  otherIncomeInflationLinked: OTHER_INCOME.inflationLinked,
+  includeStatePension: false,
+  ageAtStart: STATE_PENSION.ageAtStart,
+  statePensionAge: STATE_PENSION.statePensionAge,
+  statePensionFullRatePercent: STATE_PENSION.fullRatePercent,
   useCustomSettings: false
 };
 
@@ -100,6 +129,77 @@ function renderAdvancedSettings(container) {
               </div>
               <span class="form-default">Default: ${COSTS.goldStorageFeePercent}%</span>
             </div>
+
+            <div class="form-group">
+              <label for="gold-product">
+                Gold Product
+                <span class="form-hint">Gold, Phased Gold and portfolios holding gold. Bars and non-UK
+                  coins pay capital gains tax when sold.</span>
+              </label>
+              <select id="gold-product" name="goldProduct">
+                <option value="coins">UK legal tender coins (CGT-exempt)</option>
+                <option value="bars">Bars or non-UK coins (CGT on sales)</option>
+              </select>
+              <span class="form-default">Default: UK legal tender coins</span>
+            </div>
+          </fieldset>
+
+          <!-- Silver Fees -->
+          <fieldset class="advanced-settings__group">
+            <legend>Silver Strategy Fees</legend>
+
+            <div class="form-group">
+              <label for="silver-transaction-fee">
+                Transaction Cost (buy/sell)
+                <span class="form-hint">Applied when buying and selling silver</span>
+              </label>
+              <div class="input-with-suffix">
+                <input
+                  type="number"
+                  id="silver-transaction-fee"
+                  name="silverTransactionPercent"
+                  min="0"
+                  max="15"
+                  step="0.1"
+                  value="${COSTS.silverTransactionPercent}"
+                />
+                <span class="input-suffix">%</span>
+              </div>
+              <span class="form-default">Default: ${COSTS.silverTransactionPercent}%</span>
+            </div>
+
+            <div class="form-group">
+              <label for="silver-storage-fee">
+                Annual Storage Fee
+                <span class="form-hint">Charged annually on silver holdings</span>
+              </label>
+              <div class="input-with-suffix">
+                <input
+                  type="number"
+                  id="silver-storage-fee"
+                  name="silverStorageFeePercent"
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value="${COSTS.silverStorageFeePercent}"
+                />
+                <span class="input-suffix">%</span>
+              </div>
+              <span class="form-default">Default: ${COSTS.silverStorageFeePercent}%</span>
+            </div>
+
+            <div class="form-group">
+              <label for="silver-product">
+                Silver Product
+                <span class="form-hint">Silver strategy only. Bars and non-UK coins pay VAT when bought
+                  and capital gains tax when sold.</span>
+              </label>
+              <select id="silver-product" name="silverProduct">
+                <option value="britannia">Silver Britannias (CGT-exempt)</option>
+                <option value="bars">Bars or non-UK coins (VAT and CGT)</option>
+              </select>
+              <span class="form-default">Default: Silver Britannias</span>
+            </div>
           </fieldset>
 
           <!-- SIPP Fees -->
@@ -125,6 +225,47 @@ function renderAdvancedSettings(container) {
               </div>
               <span class="form-default">Default: ${COSTS.sippManagementFeePercent}%</span>
             </div>
+
+            <div class="form-group">
+              <label for="gold-vault-fee">
+                Vaulted Gold Storage Fee
+                <span class="form-hint">Vaulted Gold SIPP only. Annual vault storage and insurance,
+                  charged instead of the management fee</span>
+              </label>
+              <div class="input-with-suffix">
+                <input
+                  type="number"
+                  id="gold-vault-fee"
+                  name="goldVaultFeePercent"
+                  min="0"
+                  max="3"
+                  step="0.05"
+                  value="${COSTS.goldVaultFeePercent}"
+                />
+                <span class="input-suffix">%</span>
+              </div>
+              <span class="form-default">Default: ${COSTS.goldVaultFeePercent}%</span>
+            </div>
+
+            <div class="form-group">
+              <label for="gold-vault-spread">
+                Vaulted Gold Dealer Spread
+                <span class="form-hint">Vaulted Gold SIPP only. Lost on each purchase and sale of gold bars</span>
+              </label>
+              <div class="input-with-suffix">
+                <input
+                  type="number"
+                  id="gold-vault-spread"
+                  name="goldVaultSpreadPercent"
+                  min="0"
+                  max="10"
+                  step="0.1"
+                  value="${COSTS.goldVaultSpreadPercent}"
+                />
+                <span class="input-suffix">%</span>
+              </div>
+              <span class="form-default">Default: ${COSTS.goldVaultSpreadPercent}%</span>
+            </div>
           </fieldset>
 
           <!-- Strategy Options -->
@@ -147,6 +288,357 @@ function renderAdvancedSettings(container) {
               <span class="form-default">Default: ${COSTS.adjustForInflation ? 'On' : 'Off'}</span>
             </div>
           </fieldset>
+
+          <!-- Rebalancing (combined strategies) -->
+          <fieldset class="advanced-settings__group">
+            <legend>Portfolio Rebalancing</legend>
+
+            <div class="form-group">
+              <label for="rebalance-mode">
+                Rebalancing
+                <span class="form-hint">Combined strategies only. Gold trades pay the transaction cost;
+                  moving value from a SIPP into gold is taxed as a pension withdrawal.</span>
+              </label>
+              <select id="rebalance-mode" name="rebalanceMode">
+                <option value="never">Never (let weights drift)</option>
+                <option value="annual">Annually</option>
+                <option value="threshold">When drift exceeds threshold</option>
+              </select>
+              <span class="form-default">Default: Never</span>
+            </div>
+
+            <div class="form-group">
+              <label for="rebalance-threshold">
+                Drift Threshold
+                <span class="form-hint">Rebalance when any weight moves this many points from target</span>
+              </label>
+              <div class="input-with-suffix">
+                <input
+                  type="number"
+                  id="rebalance-threshold"
+                  name="rebalanceThresholdPercent"
+                  min="1"
+                  max="50"
+                  step="1"
+                  value="${REBALANCING.thresholdPercent}"
+                />
+                <span class="input-suffix">%</span>
+              </div>
+              <span class="form-default">Default: ±${REBALANCING.thresholdPercent}%</span>
+            </div>
+          </fieldset>
+
+          <!-- Income tax -->
+          <fieldset class="advanced-settings__group">
+            <legend>Income Tax</legend>
+
+            <div class="form-group">
+              <label for="tax-residency">
+                Tax Residency
+                <span class="form-hint">Scottish taxpayers pay Scottish rates and bands on pension
+                  withdrawals from 2017</span>
+              </label>
+              <select id="tax-residency" name="taxResidency">
+                <option value="ruk">England, Wales &amp; Northern Ireland</option>
+                <option value="scotland">Scotland</option>
+              </select>
+              <span class="form-default">Default: England, Wales &amp; Northern Ireland</span>
+            </div>
+          </fieldset>
+
+          <!-- SIPP tax-free cash -->
+          <fieldset class="advanced-settings__group">
+            <legend>Tax-Free Cash</legend>
+
+            <div class="form-group">
+              <label for="crystallisation-mode">
+                Tax-Free Cash (SIPP)
+                <span class="form-hint">Single SIPP strategies only. Up front: 25% taken in the first
+                  year and later withdrawals fully taxable.</span>
+              </label>
+              <select id="crystallisation-mode" name="crystallisationMode">
+                <option value="ufpls">25% of each withdrawal (UFPLS)</option>
+                <option value="pcls">25% up front (PCLS)</option>
+              </select>
+              <span class="form-default">Default: 25% of each withdrawal</span>
+            </div>
+
+            <div class="form-group">
+              <label for="pcls-use">
+                Upfront Lump Sum
+                <span class="form-hint">What happens to a PCLS taken up front</span>
+              </label>
+              <select id="pcls-use" name="pclsUse">
+                <option value="spend">Spent in the first year</option>
+                <option value="cash">Held as cash</option>
+                <option value="reinvest">Reinvested in the same index in a taxable account (GIA)</option>
+              </select>
+              <span class="form-default">Default: Held as cash</span>
+            </div>
+          </fieldset>
+
+          <!-- Annuity -->
+          <fieldset class="advanced-settings__group">
+            <legend>Annuity</legend>
+
+            <div class="form-group">
+              <label for="annuity-type">
+                Annuity Income
+                <span class="form-hint">Annuity strategies only. The rate is set by the year it is bought and
+                  your age then (age at start in the State Pension settings).</span>
+              </label>
+              <select id="annuity-type" name="annuityType">
+                <option value="level">Level (fixed)</option>
+                <option value="rpi">RPI-linked (from 1982)</option>
+              </select>
+              <span class="form-default">Default: Level</span>
+            </div>
+
+            <div class="form-group">
+              <label for="annuity-drawdown-index">
+                Drawdown Fund
+                <span class="form-hint">Drawdown then Annuity: SIPP fund held until the annuity is bought</span>
+              </label>
+              <select id="annuity-drawdown-index" name="annuityDrawdownIndex">
+                <option value="msciWorld">MSCI World</option>
+                <option value="sp500">S&amp;P 500</option>
+                <option value="nasdaq100">Nasdaq 100</option>
+                <option value="ftse100">FTSE 100</option>
+                <option value="ftse250">FTSE 250</option>
+                <option value="ftseAllShare">FTSE All-Share</option>
+                <option value="gilts">UK Gilts</option>
+                <option value="longGilts">UK Long Gilts</option>
+                <option value="indexLinkedGilts">UK Index-Linked Gilts</option>
+                <option value="usTreasury">US Long Treasury</option>
+                <option value="cash">Cash</option>
+                <option value="goldEtf">Gold ETF</option>
+                <option value="goldVault">Vaulted Gold</option>
+                <option value="silverEtf">Silver ETF</option>
+              </select>
+              <span class="form-default">Default: MSCI World</span>
+            </div>
+
+            <div class="form-group">
+              <label for="annuity-switch-age">
+                Buy Annuity at Age
+                <span class="form-hint">Drawdown then Annuity: age the remaining pot buys the annuity
+                  (straight away if already reached)</span>
+              </label>
+              <input
+                type="number"
+                id="annuity-switch-age"
+                name="annuitySwitchAge"
+                min="55"
+                max="85"
+                step="1"
+                value="${ANNUITY.switchAge}"
+              />
+              <span class="form-default">Default: ${ANNUITY.switchAge}</span>
+            </div>
+
+            <div class="form-group">
+              <label for="annuity-switch-year">
+                Or in Year
+                <span class="form-hint">Leave blank to use the age; a year already passed buys straight away</span>
+              </label>
+              <input
+                type="number"
+                id="annuity-switch-year"
+                name="annuitySwitchYear"
+                min="${YEAR_RANGE.min}"
+                max="${YEAR_RANGE.max}"
+                step="1"
+              />
+            </div>
+          </fieldset>
+
+          <!-- Phased gold purchase -->
+          <fieldset class="advanced-settings__group">
+            <legend>Phased Gold Purchase</legend>
+
+            <div class="form-group">
+              <label for="gold-phasing-rule">
+                Tranche Size
+                <span class="form-hint">Phased Gold strategy only. The pension not yet withdrawn stays
+                  in a Gold ETF SIPP.</span>
+              </label>
+              <select id="gold-phasing-rule" name="goldPhasingRule">
+                <option value="band">Fill a tax band each year</option>
+                <option value="tranches">Equal tranches over a number of years</option>
+              </select>
+              <span class="form-default">Default: Fill a tax band each year</span>
+            </div>
+
+            <div class="form-group">
+              <label for="gold-phasing-band">
+                Band to Fill
+                <span class="form-hint">Withdraw up to the top of this band on top of other income</span>
+              </label>
+              <select id="gold-phasing-band" name="goldPhasingBand">
+                <option value="personalAllowance">Personal allowance</option>
+                <option value="basic" selected>Basic rate (up to the higher rate threshold)</option>
+              </select>
+              <span class="form-default">Default: Basic rate</span>
+            </div>
+
+            <div class="form-group">
+              <label for="gold-tranche-count">
+                Number of Tranches
+                <span class="form-hint">Tax years the pension is spread over (equal tranches)</span>
+              </label>
+              <input
+                type="number"
+                id="gold-tranche-count"
+                name="goldTrancheCount"
+                min="1"
+                max="30"
+                step="1"
+                value="${GOLD_PHASING.trancheCount}"
+              />
+              <span class="form-default">Default: ${GOLD_PHASING.trancheCount}</span>
+            </div>
+          </fieldset>
+
+          <!-- State Pension -->
+          <fieldset class="advanced-settings__group">
+            <legend>State Pension</legend>
+
+            <div class="form-group form-group--checkbox">
+              <label for="include-state-pension" class="checkbox-label">
+                <input
+                  type="checkbox"
+                  id="include-state-pension"
+                  name="includeStatePension"
+                />
+                Include State Pension
+              </label>
+              <span class="form-hint">
+                Taxed before pension withdrawals. With a target net income it pays for part of
+                the spending, so less is drawn from the pension.
+              </span>
+              <span class="form-default">Default: Off</span>
+            </div>
+
+            <div class="form-group">
+              <label for="age-at-start">
+                Age at Start
+                <span class="form-hint">Your age in the starting year (also sets annuity rates)</span>
+              </label>
+              <input
+                type="number"
+                id="age-at-start"
+                name="ageAtStart"
+                min="40"
+                max="100"
+                step="1"
+                value="${STATE_PENSION.ageAtStart}"
+              />
+              <span class="form-default">Default: ${STATE_PENSION.ageAtStart}</span>
+            </div>
+
+            <div class="form-group">
+              <label for="state-pension-age">
+                State Pension Age
+                <span class="form-hint">Basic State Pension before April 2016, new State Pension after</span>
+              </label>
+              <input
+                type="number"
+                id="state-pension-age"
+                name="statePensionAge"
+                min="60"
+                max="75"
+                step="1"
+                value="${STATE_PENSION.statePensionAge}"
+              />
+              <span class="form-default">Default: ${STATE_PENSION.statePensionAge}</span>
+            </div>
+
+            <div class="form-group">
+              <label for="state-pension-full-rate">
+                Share of Full Rate
+                <span class="form-hint">Less than 100% with an incomplete National Insurance record</span>
+              </label>
+              <div class="input-with-suffix">
+                <input
+                  type="number"
+                  id="state-pension-full-rate"
+                  name="statePensionFullRatePercent"
+                  min="0"
+                  max="100"
+                  step="1"
+                  value="${STATE_PENSION.fullRatePercent}"
+                />
+                <span class="input-suffix">%</span>
+              </div>
+              <span class="form-default">Default: ${STATE_PENSION.fullRatePercent}%</span>
+            </div>
+          </fieldset>
+
+          <!-- Other taxable income -->
+          <fieldset class="advanced-settings__group">
+            <legend>Other Taxable Income</legend>
+
+            <div class="form-group">
+              <label for="other-income-amount">
+                Annual Amount (£)
+                <span class="form-hint">State pension, salary or rent, taxed before pension withdrawals
+                  (in from-year pounds)</span>
+              </label>
+              <input
+                type="number"
+                id="other-income-amount"
+                name="otherIncomeAmount"
+                min="0"
+                max="1000000"
+                step="100"
+                value="${OTHER_INCOME.amount}"
+              />
+              <span class="form-default">Default: £${OTHER_INCOME.amount}</span>
+            </div>
+
+            <div class="form-group">
+              <label for="other-income-from-year">
+                From Year
+                <span class="form-hint">Leave blank to start with the strategy</span>
+              </label>
+              <input
+                type="number"
+                id="other-income-from-year"
+                name="otherIncomeFromYear"
+                min="${YEAR_RANGE.min}"
+                max="${YEAR_RANGE.max}"
+                step="1"
+              />
+            </div>
+
+            <div class="form-group">
+              <label for="other-income-to-year">
+                To Year
+                <span class="form-hint">Leave blank to continue to the end</span>
+              </label>
+              <input
+                type="number"
+                id="other-income-to-year"
+                name="otherIncomeToYear"
+                min="${YEAR_RANGE.min}"
+                max="${YEAR_RANGE.max}"
+                step="1"
+              />
+            </div>
+
+            <div class="form-group form-group--checkbox">
+              <label for="other-income-inflation-linked" class="checkbox-label">
+                <input
+                  type="checkbox"
+                  id="other-income-inflation-linked"
+                  name="otherIncomeInflationLinked"
+                  ${OTHER_INCOME.inflationLinked ? 'checked' : ''}
+                />
+                Rises with Inflation
+              </label>
+              <span class="form-default">Default: ${OTHER_INCOME.inflationLinked ? 'On' : 'Off'}</span>
+            </div>
+          </fieldset>
         </div>
 
         <div class="advanced-settings__actions">
@@ -181,8 +673,8 @@ function setupEventHandlers(onChange) {
     });
   });
 
-  // Checkbox change handlers
-  const checkboxInputs = document.querySelectorAll('.advanced-settings input[type="checkbox"]');
+  // Checkbox and select change handlers
+  const checkboxInputs = document.querySelectorAll('.advanced-settings input[type="checkbox"], .advanced-settings select');
   checkboxInputs.forEach(input => {
     input.addEventListener('change', () => {
       updateSettingsState();
@@ -208,19 +700,107 @@ function updateSettingsState() {
   const goldTransactionInput = document.getElementById('gold-transaction-fee');
   const goldStorageInput = document.getElementById('gold-storage-fee');
   const sippManagementInput = document.getElementById('sipp-management-fee');
+  const goldVaultFeeInput = document.getElementById('gold-vault-fee');
+  const goldVaultSpreadInput = document.getElementById('gold-vault-spread');
   const adjustInflationInput = document.getElementById('adjust-for-inflation');
+  const rebalanceModeInput = document.getElementById('rebalance-mode');
+  const rebalanceThresholdInput = document.getElementById('rebalance-threshold');
+  const taxResidencyInput = document.getElementById('tax-residency');
+  const crystallisationModeInput = document.getElementById('crystallisation-mode');
+  const pclsUseInput = document.getElementById('pcls-use');
+  const annuityTypeInput = document.getElementById('annuity-type');
+  const annuityDrawdownIndexInput = document.getElementById('annuity-drawdown-index');
+  const annuitySwitchAgeInput = document.getElementById('annuity-switch-age');
+  const annuitySwitchYearInput = document.getElementById('annuity-switch-year');
+  const goldPhasingRuleInput = document.getElementById('gold-phasing-rule');
+  const goldPhasingBandInput = document.getElementById('gold-phasing-band');
+  const goldTrancheCountInput = document.getElementById('gold-tranche-count');
+  const goldProductInput = document.getElementById('gold-product');
+  const silverTransactionInput = document.getElementById('silver-transaction-fee');
+  const silverStorageInput = document.getElementById('silver-storage-fee');
+  const silverProductInput = document.getElementById('silver-product');
+  const otherIncomeAmountInput = document.getElementById('other-income-amount');
+  const otherIncomeFromYearInput = document.getElementById('other-income-from-year');
+  const otherIncomeToYearInput = document.getElementById('other-income-to-year');
+  const otherIncomeInflationInput = document.getElementById('other-income-inflation-linked');
+  const includeStatePensionInput = document.getElementById('include-state-pension');
+  const ageAtStartInput = document.getElementById('age-at-start');
+  const statePensionAgeInput = document.getElementById('state-pension-age');
+  const statePensionFullRateInput = document.getElementById('state-pension-full-rate');
 
   settingsState.goldTransactionPercent = parseFloat(goldTransactionInput?.value) || COSTS.goldTransactionPercent;
   settingsState.goldStorageFeePercent = parseFloat(goldStorageInput?.value) || COSTS.goldStorageFeePercent;
   settingsState.sippManagementFeePercent = parseFloat(sippManagementInput?.value) || COSTS.sippManagementFeePercent;
+  settingsState.goldVaultFeePercent = parseFloat(goldVaultFeeInput?.value);
+  if (isNaN(settingsState.goldVaultFeePercent)) {
+    settingsState.goldVaultFeePercent = COSTS.goldVaultFeePercent;
+  }
+  settingsState.goldVaultSpreadPercent = parseFloat(goldVaultSpreadInput?.value);
+  if (isNaN(settingsState.goldVaultSpreadPercent)) {
+    settingsState.goldVaultSpreadPercent = COSTS.goldVaultSpreadPercent;
+  }
   settingsState.adjustForInflation = adjustInflationInput ? adjustInflationInput.checked : COSTS.adjustForInflation;
+  settingsState.rebalanceMode = rebalanceModeInput?.value || REBALANCING.mode;
+  settingsState.rebalanceThresholdPercent = parseFloat(rebalanceThresholdInput?.value) || REBALANCING.thresholdPercent;
+  settingsState.taxResidency = taxResidencyInput?.value || TAX.residency;
+  settingsState.crystallisationMode = crystallisationModeInput?.value || CRYSTALLISATION.mode;
+  settingsState.pclsUse = pclsUseInput?.value || CRYSTALLISATION.pclsUse;
+  settingsState.annuityType = annuityTypeInput?.value || ANNUITY.type;
+  settingsState.annuityDrawdownIndex = annuityDrawdownIndexInput?.value || ANNUITY.drawdownIndex;
+  settingsState.annuitySwitchAge = parseInt(annuitySwitchAgeInput?.value, 10) || ANNUITY.switchAge;
+  settingsState.annuitySwitchYear = parseInt(annuitySwitchYearInput?.value, 10) || null;
+  settingsState.goldPhasingRule = goldPhasingRuleInput?.value || GOLD_PHASING.rule;
+  settingsState.goldPhasingBand = goldPhasingBandInput?.value || GOLD_PHASING.band;
+  settingsState.goldTrancheCount = parseInt(goldTrancheCountInput?.value, 10) || GOLD_PHASING.trancheCount;
+  settingsState.goldProduct = goldProductInput?.value || GOLD_PRODUCT.type;
+  settingsState.silverTransactionPercent = parseFloat(silverTransactionInput?.value);
+  if (isNaN(settingsState.silverTransactionPercent)) {
+    settingsState.silverTransactionPercent = COSTS.silverTransactionPercent;
+  }
+  settingsState.silverStorageFeePercent = parseFloat(silverStorageInput?.value);
+  if (isNaN(settingsState.silverStorageFeePercent)) {
+    settingsState.silverStorageFeePercent = COSTS.silverStorageFeePercent;
+  }
+  settingsState.silverProduct = silverProductInput?.value || SILVER_PRODUCT.type;
+  settingsState.otherIncomeAmount = parseFloat(otherIncomeAmountInput?.value) || OTHER_INCOME.amount;
+  settingsState.otherIncomeFromYear = parseInt(otherIncomeFromYearInput?.value, 10) || null;
+  settingsState.otherIncomeToYear = parseInt(otherIncomeToYearInput?.value, 10) || null;
+  settingsState.otherIncomeInflationLinked = otherIncomeInflationInput
+    ? otherIncomeInflationInput.checked
+    : OTHER_INCOME.inflationLinked;
+  settingsState.includeStatePension = includeStatePensionInput ? includeStatePensionInput.checked : false;
+  settingsState.ageAtStart = parseInt(ageAtStartInput?.value, 10) || STATE_PENSION.ageAtStart;
+  settingsState.statePensionAge = parseInt(statePensionAgeInput?.value, 10) || STATE_PENSION.statePensionAge;
+  settingsState.statePensionFullRatePercent = parseFloat(statePensionFullRateInput?.value);
+  if (isNaN(settingsState.statePensionFullRatePercent)) {
+    settingsState.statePensionFullRatePercent = STATE_PENSION.fullRatePercent;
+  }
 
   // Check if any settings differ from defaults
   settingsState.useCustomSettings = (
     settingsState.goldTransactionPercent !== COSTS.goldTransactionPercent ||
     settingsState.goldStorageFeePercent !== COSTS.goldStorageFeePercent ||
     settingsState.sippManagementFeePercent !== COSTS.sippManagementFeePercent ||
-    settingsState.adjustForInflation !== COSTS.adjustForInflation
+    settingsState.goldVaultFeePercent !== COSTS.goldVaultFeePercent ||
+    settingsState.goldVaultSpreadPercent !== COSTS.goldVaultSpreadPercent ||
+    settingsState.adjustForInflation !== COSTS.adjustForInflation ||
+    settingsState.rebalanceMode !== REBALANCING.mode ||
+    settingsState.rebalanceThresholdPercent !== REBALANCING.thresholdPercent ||
+    settingsState.taxResidency !== TAX.residency ||
+    settingsState.crystallisationMode !== CRYSTALLISATION.mode ||
+    settingsState.annuityType !== ANNUITY.type ||
+    settingsState.annuityDrawdownIndex !== ANNUITY.drawdownIndex ||
+    settingsState.annuitySwitchAge !== ANNUITY.switchAge ||
+    settingsState.annuitySwitchYear !== null ||
+    settingsState.goldPhasingRule !== GOLD_PHASING.rule ||
+    settingsState.goldPhasingBand !== GOLD_PHASING.band ||
+    settingsState.goldTrancheCount !== GOLD_PHASING.trancheCount ||
+    settingsState.goldProduct !== GOLD_PRODUCT.type ||
+    settingsState.silverTransactionPercent !== COSTS.silverTransactionPercent ||
+    settingsState.silverStorageFeePercent !== COSTS.silverStorageFeePercent ||
+    settingsState.silverProduct !== SILVER_PRODUCT.type ||
+    settingsState.otherIncomeAmount !== OTHER_INCOME.amount ||
+    settingsState.includeStatePension
   );
 }
 
@@ -247,18 +827,96 @@ export function resetToDefaults() {
   const goldTransactionInput = document.getElementById('gold-transaction-fee');
   const goldStorageInput = document.getElementById('gold-storage-fee');
   const sippManagementInput = document.getElementById('sipp-management-fee');
+  const goldVaultFeeInput = document.getElementById('gold-vault-fee');
+  const goldVaultSpreadInput = document.getElementById('gold-vault-spread');
   const adjustInflationInput = document.getElementById('adjust-for-inflation');
+  const rebalanceModeInput = document.getElementById('rebalance-mode');
+  const rebalanceThresholdInput = document.getElementById('rebalance-threshold');
+  const taxResidencyInput = document.getElementById('tax-residency');
+  const crystallisationModeInput = document.getElementById('crystallisation-mode');
+  const pclsUseInput = document.getElementById('pcls-use');
+  const annuityTypeInput = document.getElementById('annuity-type');
+  const annuityDrawdownIndexInput = document.getElementById('annuity-drawdown-index');
+  const annuitySwitchAgeInput = document.getElementById('annuity-switch-age');
+  const annuitySwitchYearInput = document.getElementById('annuity-switch-year');
+  const goldPhasingRuleInput = document.getElementById('gold-phasing-rule');
+  const goldPhasingBandInput = document.getElementById('gold-phasing-band');
+  const goldTrancheCountInput = document.getElementById('gold-tranche-count');
+  const goldProductInput = document.getElementById('gold-product');
+  const silverTransactionInput = document.getElementById('silver-transaction-fee');
+  const silverStorageInput = document.getElementById('silver-storage-fee');
+  const silverProductInput = document.getElementById('silver-product');
+  const otherIncomeAmountInput = document.getElementById('other-income-amount');
+  const otherIncomeFromYearInput = document.getElementById('other-income-from-year');
+  const otherIncomeToYearInput = document.getElementById('other-income-to-year');
+  const otherIncomeInflationInput = document.getElementById('other-income-inflation-linked');
+  const includeStatePensionInput = document.getElementById('include-state-pension');
+  const ageAtStartInput = document.getElementById('age-at-start');
+  const statePensionAgeInput = document.getElementById('state-pension-age');
+  const statePensionFullRateInput = document.getElementById('state-pension-full-rate');
 
   if (goldTransactionInput) goldTransactionInput.value = COSTS.goldTransactionPercent;
   if (goldStorageInput) goldStorageInput.value = COSTS.goldStorageFeePercent;
   if (sippManagementInput) sippManagementInput.value = COSTS.sippManagementFeePercent;
+  if (goldVaultFeeInput) goldVaultFeeInput.value = COSTS.goldVaultFeePercent;
+  if (goldVaultSpreadInput) goldVaultSpreadInput.value = COSTS.goldVaultSpreadPercent;
   if (adjustInflationInput) adjustInflationInput.checked = COSTS.adjustForInflation;
+  if (rebalanceModeInput) rebalanceModeInput.value = REBALANCING.mode;
+  if (rebalanceThresholdInput) rebalanceThresholdInput.value = REBALANCING.thresholdPercent;
+  if (taxResidencyInput) taxResidencyInput.value = TAX.residency;
+  if (crystallisationModeInput) crystallisationModeInput.value = CRYSTALLISATION.mode;
+  if (pclsUseInput) pclsUseInput.value = CRYSTALLISATION.pclsUse;
+  if (annuityTypeInput) annuityTypeInput.value = ANNUITY.type;
+  if (annuityDrawdownIndexInput) annuityDrawdownIndexInput.value = ANNUITY.drawdownIndex;
+  if (annuitySwitchAgeInput) annuitySwitchAgeInput.value = ANNUITY.switchAge;
+  if (annuitySwitchYearInput) annuitySwitchYearInput.value = '';
+  if (goldPhasingRuleInput) goldPhasingRuleInput.value = GOLD_PHASING.rule;
+  if (goldPhasingBandInput) goldPhasingBandInput.value = GOLD_PHASING.band;
+  if (goldTrancheCountInput) goldTrancheCountInput.value = GOLD_PHASING.trancheCount;
+  if (goldProductInput) goldProductInput.value = GOLD_PRODUCT.type;
+  if (silverTransactionInput) silverTransactionInput.value = COSTS.silverTransactionPercent;
+  if (silverStorageInput) silverStorageInput.value = COSTS.silverStorageFeePercent;
+  if (silverProductInput) silverProductInput.value = SILVER_PRODUCT.type;
+  if (otherIncomeAmountInput) otherIncomeAmountInput.value = OTHER_INCOME.amount;
+  if (otherIncomeFromYearInput) otherIncomeFromYearInput.value = '';
+  if (otherIncomeToYearInput) otherIncomeToYearInput.value = '';
+  if (otherIncomeInflationInput) otherIncomeInflationInput.checked = OTHER_INCOME.inflationLinked;
+  if (includeStatePensionInput) includeStatePensionInput.checked = false;
+  if (ageAtStartInput) ageAtStartInput.value = STATE_PENSION.ageAtStart;
+  if (statePensionAgeInput) statePensionAgeInput.value = STATE_PENSION.statePensionAge;
+  if (statePensionFullRateInput) statePensionFullRateInput.value = STATE_PENSION.fullRatePercent;
 
   settingsState = {
     goldTransactionPercent: COSTS.goldTransactionPercent,
     goldStorageFeePercent: COSTS.goldStorageFeePercent,
     sippManagementFeePercent: COSTS.sippManagementFeePercent,
+    goldVaultFeePercent: COSTS.goldVaultFeePercent,
+    goldVaultSpreadPercent: COSTS.goldVaultSpreadPercent,
     adjustForInflation: COSTS.adjustForInflation,
+    rebalanceMode: REBALANCING.mode,
+    rebalanceThresholdPercent: REBALANCING.thresholdPercent,
+    taxResidency: TAX.residency,
+    crystallisationMode: CRYSTALLISATION.mode,
+    pclsUse: CRYSTALLISATION.pclsUse,
+    annuityType: ANNUITY.type,
+    annuityDrawdownIndex: ANNUITY.drawdownIndex,
+    annuitySwitchAge: ANNUITY.switchAge,
+    annuitySwitchYear: null,
+    goldPhasingRule: GOLD_PHASING.rule,
+    goldPhasingBand: GOLD_PHASING.band,
+    goldTrancheCount: GOLD_PHASING.trancheCount,
+    goldProduct: GOLD_PRODUCT.type,
+    silverTransactionPercent: COSTS.silverTransactionPercent,
+    silverStorageFeePercent: COSTS.silverStorageFeePercent,
+    silverProduct: SILVER_PRODUCT.type,
+    otherIncomeAmount: OTHER_INCOME.amount,
+    otherIncomeFromYear: null,
+    otherIncomeToYear: null,
+    otherIncomeInflationLinked: OTHER_INCOME.inflationLinked,
+    includeStatePension: false,
+    ageAtStart: STATE_PENSION.ageAtStart,
+    statePensionAge: STATE_PENSION.statePensionAge,
+    statePensionFullRatePercent: STATE_PENSION.fullRatePercent,
     useCustomSettings: false
   };
 
@@ -275,7 +933,33 @@ export function getSettings() {
     goldTransactionPercent: settingsState.goldTransactionPercent,
     goldStorageFeePercent: settingsState.goldStorageFeePercent,
     sippManagementFeePercent: settingsState.sippManagementFeePercent,
-    adjustForInflation: settingsState.adjustForInflation
+    goldVaultFeePercent: settingsState.goldVaultFeePercent,
+    goldVaultSpreadPercent: settingsState.goldVaultSpreadPercent,
+    adjustForInflation: settingsState.adjustForInflation,
+    rebalanceMode: settingsState.rebalanceMode,
+    rebalanceThresholdPercent: settingsState.rebalanceThresholdPercent,
+    taxResidency: settingsState.taxResidency,
+    crystallisationMode: settingsState.crystallisationMode,
+    pclsUse: settingsState.pclsUse,
+    annuityType: settingsState.annuityType,
+    annuityDrawdownIndex: settingsState.annuityDrawdownIndex,
+    annuitySwitchAge: settingsState.annuitySwitchAge,
+    annuitySwitchYear: settingsState.annuitySwitchYear,
+    goldPhasingRule: settingsState.goldPhasingRule,
+    goldPhasingBand: settingsState.goldPhasingBand,
+    goldTrancheCount: settingsState.goldTrancheCount,
+    goldProduct: settingsState.goldProduct,
+    silverTransactionPercent: settingsState.silverTransactionPercent,
+    silverStorageFeePercent: settingsState.silverStorageFeePercent,
+    silverProduct: settingsState.silverProduct,
+    otherIncomeAmount: settingsState.otherIncomeAmount,
+    otherIncomeFromYear: settingsState.otherIncomeFromYear,
+    otherIncomeToYear: settingsState.otherIncomeToYear,
+    otherIncomeInflationLinked: settingsState.otherIncomeInflationLinked,
+    includeStatePension: settingsState.includeStatePension,
+    ageAtStart: settingsState.ageAtStart,
+    statePensionAge: settingsState.statePensionAge,
+    statePensionFullRatePercent: settingsState.statePensionFullRatePercent
   };
 }
 
@@ -283,19 +967,65 @@ export function getSettings() {
  * Get settings as a config object for calculators
  * Returns empty object if using defaults (to let calculators use their defaults)
  *
+ * @param {number} [startYear] - Strategy start year, for other income with no from year
  * @returns {Object} Config object for calculators
  */
-export function getConfig() {
+export function getConfig(startYear) {
   // Always return the inflation setting, even if it's default,
   // because we want the toggle to work immediately.
   return {
     goldTransactionPercent: settingsState.goldTransactionPercent,
     goldStorageFeePercent: settingsState.goldStorageFeePercent,
     sippManagementFeePercent: settingsState.sippManagementFeePercent,
-    adjustForInflation: settingsState.adjustForInflation
+    goldVaultFeePercent: settingsState.goldVaultFeePercent,
+    goldVaultSpreadPercent: settingsState.goldVaultSpreadPercent,
+    adjustForInflation: settingsState.adjustForInflation,
+    rebalanceMode: settingsState.rebalanceMode,
+    rebalanceThresholdPercent: settingsState.rebalanceThresholdPercent,
+    taxResidency: settingsState.taxResidency,
+    crystallisationMode: settingsState.crystallisationMode,
+    pclsUse: settingsState.pclsUse,
+    annuityType: settingsState.annuityType,
+    annuityDrawdownIndex: settingsState.annuityDrawdownIndex,
+    annuitySwitchAge: settingsState.annuitySwitchAge,
+    annuitySwitchYear: settingsState.annuitySwitchYear,
+    goldPhasingRule: settingsState.goldPhasingRule,
+    goldPhasingBand: settingsState.goldPhasingBand,
+    goldTrancheCount: settingsState.goldTrancheCount,
+    goldProduct: settingsState.goldProduct,
+    silverTransactionPercent: settingsState.silverTransactionPercent,
+    silverStorageFeePercent: settingsState.silverStorageFeePercent,
+    silverProduct: settingsState.silverProduct,
+    ageAtStart: settingsState.ageAtStart,
+    otherIncome: getOtherIncomeSchedule(startYear),
+    statePension: settingsState.includeStatePension
+      ? {
+        ageAtStart: settingsState.ageAtStart,
+        statePensionAge: settingsState.statePensionAge,
+        fullRatePercent: settingsState.statePensionFullRatePercent
+      }
+      : null
   };
 }
 
+/**
+ * Build the other income schedule from the current settings
+ *
+ * @param {number} startYear - Strategy start year (used when no from year is entered)
+ * @returns {Object[]} One income source, or none if the amount is zero
+ */
+function getOtherIncomeSchedule(startYear) {
+  if (!(settingsState.otherIncomeAmount > 0)) return [];
+
+  return [{
+    amount: settingsState.otherIncomeAmount,
+    fromYear: settingsState.otherIncomeFromYear ?? startYear,
+    toYear: settingsState.otherIncomeToYear,
+    inflationLinked: settingsState.otherIncomeInflationLinked,
+    label: 'Other income'
+  }];
+}
+
 /**
  * Check if custom settings are being used
  *
@@ -312,11 +1042,47 @@ export function isUsingCustomSettings() {
  * @param {number} [settings.goldTransactionPercent] - Gold transaction fee
  * @param {number} [settings.goldStorageFeePercent] - Gold storage fee
  * @param {number} [settings.sippManagementFeePercent] - SIPP management fee
+ * @param {number} [settings.goldVaultFeePercent] - Vaulted gold storage and insurance fee
+ * @param {number} [settings.goldVaultSpreadPercent] - Vaulted gold dealer spread
+ * @param {string} [settings.rebalanceMode] - Rebalancing mode for combined strategies
+ * @param {number} [settings.rebalanceThresholdPercent] - Drift threshold for threshold rebalancing
+ * @param {string} [settings.taxResidency] - 'ruk' or 'scotland'
+ * @param {string} [settings.crystallisationMode] - 'ufpls' or 'pcls'
+ * @param {string} [settings.pclsUse] - 'spend', 'cash' or 'reinvest'
+ * @param {string} [settings.annuityType] - 'level' or 'rpi'
+ * @param {string} [settings.annuityDrawdownIndex] - SIPP fund held before the annuity (drawdown then annuity)
+ * @param {number} [settings.annuitySwitchAge] - Age the annuity is bought (drawdown then annuity)
+ * @param {number|null} [settings.annuitySwitchYear] - Year the annuity is bought, overriding the age (null = use the age)
+ * @param {string} [settings.goldPhasingRule] - 'band' or 'tranches'
+ * @param {string} [settings.goldPhasingBand] - 'personalAllowance' or 'basic'
+ * @param {number} [settings.goldTrancheCount] - Number of tranches for phased gold
+ * @param {string} [settings.goldProduct] - 'coins' or 'bars'
+ * @param {number} [settings.silverTransactionPercent] - Silver transaction fee
+ * @param {number} [settings.silverStorageFeePercent] - Silver storage fee
+ * @param {string} [settings.silverProduct] - 'britannia' or 'bars'
  */
 export function setSettings(settings) {
   const goldTransactionInput = document.getElementById('gold-transaction-fee');
   const goldStorageInput = document.getElementById('gold-storage-fee');
   const sippManagementInput = document.getElementById('sipp-management-fee');
+  const goldVaultFeeInput = document.getElementById('gold-vault-fee');
+  const goldVaultSpreadInput = document.getElementById('gold-vault-spread');
+  const rebalanceModeInput = document.getElementById('rebalance-mode');
+  const rebalanceThresholdInput = document.getElementById('rebalance-threshold');
+  const taxResidencyInput = document.getElementById('tax-residency');
+  const crystallisationModeInput = document.getElementById('crystallisation-mode');
+  const pclsUseInput = document.getElementById('pcls-use');
+  const annuityTypeInput = document.getElementById('annuity-type');
+  const annuityDrawdownIndexInput = document.getElementById('annuity-drawdown-index');
+  const annuitySwitchAgeInput = document.getElementById('annuity-switch-age');
+  const annuitySwitchYearInput = document.getElementById('annuity-switch-year');
+  const goldPhasingRuleInput = document.getElementById('gold-phasing-rule');
+  const goldPhasingBandInput = document.getElementById('gold-phasing-band');
+  const goldTrancheCountInput = document.getElementById('gold-tranche-count');
+  const goldProductInput = document.getElementById('gold-product');
+  const silverTransactionInput = document.getElementById('silver-transaction-fee');
+  const silverStorageInput = document.getElementById('silver-storage-fee');
+  const silverProductInput = document.getElementById('silver-product');
 
   if (settings.goldTransactionPercent !== undefined && goldTransactionInput) {
     goldTransactionInput.value = settings.goldTransactionPercent;
@@ -327,6 +1093,60 @@ export function setSettings(settings) {
   if (settings.sippManagementFeePercent !== undefined && sippManagementInput) {
     sippManagementInput.value = settings.sippManagementFeePercent;
   }
+  if (settings.goldVaultFeePercent !== undefined && goldVaultFeeInput) {
+    goldVaultFeeInput.value = settings.goldVaultFeePercent;
+  }
+  if (settings.goldVaultSpreadPercent !== undefined && goldVaultSpreadInput) {
+    goldVaultSpreadInput.value = settings.goldVaultSpreadPercent;
+  }
+  if (settings.rebalanceMode !== undefined && rebalanceModeInput) {
+    rebalanceModeInput.value = settings.rebalanceMode;
+  }
+  if (settings.rebalanceThresholdPercent !== undefined && rebalanceThresholdInput) {
+    rebalanceThresholdInput.value = settings.rebalanceThresholdPercent;
+  }
+  if (settings.taxResidency !== undefined && taxResidencyInput) {
+    taxResidencyInput.value = settings.taxResidency;
+  }
+  if (settings.crystallisationMode !== undefined && crystallisationModeInput) {
+    crystallisationModeInput.value = settings.crystallisationMode;
+  }
+  if (settings.pclsUse !== undefined && pclsUseInput) {
+    pclsUseInput.value = settings.pclsUse;
+  }
+  if (settings.annuityType !== undefined && annuityTypeInput) {
+    annuityTypeInput.value = settings.annuityType;
+  }
+  if (settings.annuityDrawdownIndex !== undefined && annuityDrawdownIndexInput) {
+    annuityDrawdownIndexInput.value = settings.annuityDrawdownIndex;
+  }
+  if (settings.annuitySwitchAge !== undefined && annuitySwitchAgeInput) {
+    annuitySwitchAgeInput.value = settings.annuitySwitchAge;
+  }
+  if (settings.annuitySwitchYear !== undefined && annuitySwitchYearInput) {
+    annuitySwitchYearInput.value = settings.annuitySwitchYear ?? '';
+  }
+  if (settings.goldPhasingRule !== undefined && goldPhasingRuleInput) {
+    goldPhasingRuleInput.value = settings.goldPhasingRule;
+  }
+  if (settings.goldPhasingBand !== undefined && goldPhasingBandInput) {
+    goldPhasingBandInput.value = settings.goldPhasingBand;
+  }
+  if (settings.goldTrancheCount !== undefined && goldTrancheCountInput) {
+    goldTrancheCountInput.value = settings.goldTrancheCount;
+  }
+  if (settings.goldProduct !== undefined && goldProductInput) {
+    goldProductInput.value = settings.goldProduct;
+  }
+  if (settings.silverTransactionPercent !== undefined && silverTransactionInput) {
+    silverTransactionInput.value = settings.silverTransactionPercent;
+  }
+  if (settings.silverStorageFeePercent !== undefined && silverStorageInput) {
+    silverStorageInput.value = settings.silverStorageFeePercent;
+  }
+  if (settings.silverProduct !== undefined && silverProductInput) {
+    silverProductInput.value = settings.silverProduct;
+  }
 
   updateSettingsState();
   showModifiedStatus();
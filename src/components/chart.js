@@ -25,11 +25,31 @@ const STRATEGY_COLORS = {
     background: 'rgba(212, 175, 55, 0.1)',
     point: '#D4AF37'
   },
+  goldPhased: {
+    border: '#B45309', // Amber 700
+    background: 'rgba(180, 83, 9, 0.1)',
+    point: '#B45309'
+  },
   goldEtf: {
     border: '#F59E0B', // Amber
     background: 'rgba(245, 158, 11, 0.1)',
     point: '#F59E0B'
   },
+  goldVault: {
+    border: '#CA8A04', // Yellow 600
+    background: 'rgba(202, 138, 4, 0.1)',
+    point: '#CA8A04'
+  },
+  silver: {
+    border: '#94A3B8', // Slate 400
+    background: 'rgba(148, 163, 184, 0.1)',
+    point: '#94A3B8'
+  },
+  silverEtf: {
+    border: '#6B7280', // Gray 500
+    background: 'rgba(107, 114, 128, 0.1)',
+    point: '#6B7280'
+  },
   sp500: {
     border: '#3B82F6', // Blue
     background: 'rgba(59, 130, 246, 0.1)',
@@ -45,11 +65,91 @@ const STRATEGY_COLORS = {
     background: 'rgba(16, 185, 129, 0.1)',
     point: '#10B981'
   },
+  ftse250: {
+    border: '#65A30D', // Lime 600
+    background: 'rgba(101, 163, 13, 0.1)',
+    point: '#65A30D'
+  },
+  ftseAllShare: {
+    border: '#15803D', // Green 700
+    background: 'rgba(21, 128, 61, 0.1)',
+    point: '#15803D'
+  },
+  msciWorld: {
+    border: '#0EA5E9', // Sky 500
+    background: 'rgba(14, 165, 233, 0.1)',
+    point: '#0EA5E9'
+  },
   usTreasury: {
     border: '#64748B', // Slate
     background: 'rgba(100, 116, 139, 0.1)',
     point: '#64748B'
   },
+  cash: {
+    border: '#0891B2', // Cyan 600
+    background: 'rgba(8, 145, 178, 0.1)',
+    point: '#0891B2'
+  },
+  gilts: {
+    border: '#0D9488', // Teal 600
+    background: 'rgba(13, 148, 136, 0.1)',
+    point: '#0D9488'
+  },
+  longGilts: {
+    border: '#115E59', // Teal 800
+    background: 'rgba(17, 94, 89, 0.1)',
+    point: '#115E59'
+  },
+  indexLinkedGilts: {
+    border: '#DB2777', // Pink 600
+    background: 'rgba(219, 39, 119, 0.1)',
+    point: '#DB2777'
+  },
+  isaSp500: {
+    border: '#1D4ED8', // Blue 700
+    background: 'rgba(29, 78, 216, 0.1)',
+    point: '#1D4ED8'
+  },
+  isaNasdaq100: {
+    border: '#6D28D9', // Violet 700
+    background: 'rgba(109, 40, 217, 0.1)',
+    point: '#6D28D9'
+  },
+  isaFtse100: {
+    border: '#047857', // Emerald 700
+    background: 'rgba(4, 120, 87, 0.1)',
+    point: '#047857'
+  },
+  giaSp500: {
+    border: '#1E3A8A', // Blue 900
+    background: 'rgba(30, 58, 138, 0.1)',
+    point: '#1E3A8A'
+  },
+  giaNasdaq100: {
+    border: '#4C1D95', // Violet 900
+    background: 'rgba(76, 29, 149, 0.1)',
+    point: '#4C1D95'
+  },
+  giaFtse100: {
+    border: '#064E3B', // Emerald 900
+    background: 'rgba(6, 78, 59, 0.1)',
+    point: '#064E3B'
+  },
+  savings: {
+    border: '#155E75', // Cyan 800
+    background: 'rgba(21, 94, 117, 0.1)',
+    point: '#155E75'
+  },
+  annuity: {
+    border: '#A21CAF', // Fuchsia 700
+    background: 'rgba(162, 28, 175, 0.1)',
+    point: '#A21CAF'
+  },
+  drawdownAnnuity: {
+    border: '#701A75', // Fuchsia 900
+    background: 'rgba(112, 26, 117, 0.1)',
+    point: '#701A75'
+  },
 
   // Fallback colors by series index (to ensure differentiation)
   series1: {
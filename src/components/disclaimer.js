@@ -8,7 +8,7 @@
  * @module components/disclaimer
  */
 
-// Strategy registry not directly used but may be needed for future enhancements
+import { getStrategy } from '../calculators/strategyRegistry.js';
 
 /**
  * Disclaimer content definitions
@@ -30,12 +30,13 @@ export const DISCLAIMERS = {
     id: 'goldCgtExemption',
     title: 'Gold CGT Exemption',
     content: `Physical gold held in the form of UK legal tender coins (e.g., Sovereigns, Britannias)
-      is exempt from Capital Gains Tax. Gold bullion bars may also be CGT-exempt if purchased from
-      LBMA-approved dealers and meet certain purity standards. This model assumes CGT-exempt gold
-      investments. Non-exempt gold products may incur CGT on disposal.`,
+      is exempt from Capital Gains Tax. Gold bars and non-UK coins are not, although investment gold
+      is free of VAT. The Gold strategy can model bars (Advanced Settings), paying CGT on each year's
+      sales at the historical rates after the annual exempt amount. Phased Gold and portfolios
+      containing gold always assume CGT-exempt coins.`,
     icon: '🪙',
     priority: 2,
-    appliesTo: ['gold', 'gold-sp500', 'gold-nasdaq100', 'gold-ftse100', 'gold-goldEtf']
+    appliesTo: ['gold', 'goldPhased', 'gold-sp500', 'gold-nasdaq100', 'gold-ftse100', 'gold-goldEtf']
   },
 
   goldStorageCosts: {
@@ -46,7 +47,21 @@ export const DISCLAIMERS = {
       Actual costs vary based on storage method (home safe, bank deposit box, professional vault).`,
     icon: '🏦',
     priority: 3,
-    appliesTo: ['gold', 'gold-sp500', 'gold-nasdaq100', 'gold-ftse100', 'gold-goldEtf']
+    appliesTo: ['gold', 'goldPhased', 'gold-sp500', 'gold-nasdaq100', 'gold-ftse100', 'gold-goldEtf']
+  },
+
+  silverVatAndCgt: {
+    id: 'silverVatAndCgt',
+    title: 'Silver VAT and CGT',
+    content: `Unlike investment gold, silver pays VAT. Silver bars and non-UK coins pay VAT at the
+      standard rate of the purchase year (15% to 20%) on top of the metal price, and their sales pay
+      Capital Gains Tax, with the VAT counted as part of their cost. Silver Britannias are UK legal
+      tender and CGT-exempt; they are assumed to be bought from a dealer under the VAT margin scheme,
+      with the VAT on the dealer's margin included in the 5% dealer cost. Silver dealer costs are
+      wider than gold's, and home storage (0% fee) is assumed by default.`,
+    icon: '🥈',
+    priority: 3,
+    appliesTo: ['silver']
   },
 
   prePensionFreedoms: {
@@ -71,7 +86,9 @@ export const DISCLAIMERS = {
     icon: '💼',
     priority: 5,
     appliesTo: [
-      'sp500', 'nasdaq100', 'ftse100', 'goldEtf',
+      'sp500', 'nasdaq100', 'ftse100', 'goldEtf', 'goldVault', 'silverEtf', 'cash', 'goldPhased',
+      'ftse250', 'ftseAllShare', 'msciWorld', 'gilts', 'longGilts', 'indexLinkedGilts', 'drawdownAnnuity',
+      'isaSp500', 'isaNasdaq100', 'isaFtse100', 'giaSp500', 'giaNasdaq100', 'giaFtse100',
       'gold-sp500', 'gold-nasdaq100', 'gold-ftse100',
       'goldEtf-sp500', 'goldEtf-nasdaq100', 'goldEtf-ftse100', 'gold-goldEtf',
       'sp500-nasdaq100', 'sp500-ftse100', 'nasdaq100-ftse100'
@@ -81,14 +98,16 @@ export const DISCLAIMERS = {
   currencyRisk: {
     id: 'currencyRisk',
     title: 'Currency Exchange Risk',
-    content: `Investments in US-listed indices (S&P 500, Nasdaq 100) are subject to GBP/USD
-      exchange rate fluctuations. Historical returns have been converted using year-end exchange
-      rates, but actual returns would depend on exchange rates at the time of each transaction.
+    content: `Investments in US-listed indices (S&P 500, Nasdaq 100) and the USD-priced MSCI World
+      index are subject to GBP/USD exchange rate fluctuations. Historical returns have been
+      converted using year-end exchange rates, but actual returns would depend on exchange rates
+      at the time of each transaction.
       Currency hedged funds behave differently than modelled here.`,
     icon: '💱',
     priority: 6,
     appliesTo: [
-      'sp500', 'nasdaq100', 'gold-sp500', 'gold-nasdaq100',
+      'sp500', 'nasdaq100', 'msciWorld', 'isaSp500', 'isaNasdaq100', 'giaSp500', 'giaNasdaq100',
+      'gold-sp500', 'gold-nasdaq100',
       'goldEtf-sp500', 'goldEtf-nasdaq100', 'sp500-nasdaq100'
     ]
   },
@@ -96,10 +115,21 @@ export const DISCLAIMERS = {
   taxRates: {
     id: 'taxRates',
     title: 'Tax Rate Assumptions',
-    content: `Tax calculations use historical UK income tax rates and assume the pension
-      withdrawal is the individual's only source of income for that year. If you have other
-      income, you may be pushed into higher tax brackets. Scottish taxpayers have different
-      rates since 2017. This model uses standard UK rates.`,
+    content: `Tax calculations use historical UK income tax rates. Any other taxable income entered
+      in the advanced settings (state pension, salary, rent) is taxed first, using up the personal
+      allowance and lower bands, so pension withdrawals are taxed at the marginal rate on top of it.
+      Without it, the withdrawal is assumed to be the individual's only income for the year. An
+      included State Pension is the basic or new State Pension at the share of the full rate entered,
+      paid 52 weeks a year; Additional State Pension (SERPS/S2P) is not modelled. In
+      combined strategies, withdrawals from every component are taxed together as one person's
+      income. UK (England, Wales and Northern Ireland) rates are used unless Scotland is chosen as
+      the tax residency, in which case Scottish rates and bands apply from 2017/18; the personal
+      allowance is UK-wide. Tax-free cash (25% of each withdrawal) is capped by the Lifetime
+      Allowance from 2006 and the Lump Sum Allowance from 2024, counting all earlier withdrawals;
+      Lifetime Allowance protections are not modelled. When tax-free cash is taken up front (PCLS),
+      any part held as cash earns no interest and any part reinvested is held in a General Investment
+      Account, paying dividend tax (S&P 500, Nasdaq 100 and FTSE 100 only; other funds are assumed to
+      pay no dividends) and capital gains tax on top of that year's drawdown.`,
     icon: '📊',
     priority: 7
   },
@@ -114,7 +144,9 @@ export const DISCLAIMERS = {
     icon: '📈',
     priority: 8,
     appliesTo: [
-      'sp500', 'nasdaq100', 'ftse100', 'goldEtf',
+      'sp500', 'nasdaq100', 'ftse100', 'goldEtf', 'goldVault', 'silverEtf', 'goldPhased',
+      'ftse250', 'ftseAllShare', 'msciWorld', 'gilts', 'longGilts', 'indexLinkedGilts', 'drawdownAnnuity',
+      'isaSp500', 'isaNasdaq100', 'isaFtse100', 'giaSp500', 'giaNasdaq100', 'giaFtse100',
       'gold-sp500', 'gold-nasdaq100', 'gold-ftse100',
       'goldEtf-sp500', 'goldEtf-nasdaq100', 'goldEtf-ftse100', 'gold-goldEtf',
       'sp500-nasdaq100', 'sp500-ftse100', 'nasdaq100-ftse100'
@@ -126,11 +158,71 @@ export const DISCLAIMERS = {
     title: 'Gold ETF vs Physical Gold',
     content: `Gold ETFs held within a SIPP are taxed differently from physical gold held outside
       a pension. ETF withdrawals from a SIPP are subject to income tax (after the 25% tax-free
-      allowance), while physical gold coins may be CGT-exempt. The optimal choice depends on
-      your tax situation and investment horizon.`,
+      allowance), while physical gold coins may be CGT-exempt. Gold bars can also be held in a SIPP
+      in an approved vault, paying vault storage and insurance fees and a dealer spread on each
+      purchase and sale instead of an ETF management fee, with withdrawals taxed like any other SIPP.
+      The optimal choice depends on your tax situation and investment horizon.`,
     icon: '⚖️',
     priority: 9,
-    appliesTo: ['goldEtf', 'gold-goldEtf', 'goldEtf-sp500', 'goldEtf-nasdaq100', 'goldEtf-ftse100']
+    appliesTo: ['goldEtf', 'goldVault', 'gold-goldEtf', 'goldEtf-sp500', 'goldEtf-nasdaq100', 'goldEtf-ftse100']
+  },
+
+  isaAllowances: {
+    id: 'isaAllowances',
+    title: 'ISA Subscription Limits',
+    content: `Only the annual Stocks &amp; Shares ISA allowance (the general PEP limit from 1987 to 1998)
+      can be sheltered each year, so most of a withdrawn pension starts in a taxable account and is
+      moved into the ISA one allowance at a time. There was no tax-free wrapper before 1987. Gains in
+      the taxable account are taxed at a flat 20% when sold or at the end, with no annual exempt amount;
+      dividends are assumed to be reinvested within an accumulating fund and are not taxed separately.
+      PEP investment restrictions and the cost of switching accounts are not modelled.`,
+    icon: '🛡️',
+    priority: 10,
+    appliesTo: ['isaSp500', 'isaNasdaq100', 'isaFtse100']
+  },
+
+  investmentTax: {
+    id: 'investmentTax',
+    title: 'Capital Gains and Dividend Tax',
+    content: `Investments in a General Investment Account pay capital gains tax on every sale and
+      tax on dividends each year, using the historical rates, annual exempt amounts and dividend
+      allowances. Indexation allowance (1982-1998, using CPI in place of RPI) and taper relief
+      (1998-2007, non-business asset rates) are applied to each purchase lot. Dividends are estimated
+      from each index's historical dividend yield and treated as reinvested within an accumulating
+      fund. Gains and dividends are taxed on top of any other income at UK rates; the lower,
+      starting and additional rates on gains and dividends are not modelled, and unrealised gains
+      are taxed as if the account were sold in the final year.`,
+    icon: '🧾',
+    priority: 11,
+    appliesTo: ['giaSp500', 'giaNasdaq100', 'giaFtse100']
+  },
+
+  cashSavings: {
+    id: 'cashSavings',
+    title: 'Cash and Savings Interest',
+    content: `Cash strategies earn the average Bank of England Bank Rate of each year, which is an
+      upper bound: instant-access savings accounts usually paid less, and cash held in a SIPP often
+      much less. Interest in a savings account is taxed each year on top of any other income, after
+      unused personal allowance, the starting rate for savings (from 2008) and the Personal Savings
+      Allowance (from 2016); the general 10% starting rate of 1999-2007 is not modelled. Cash ISAs
+      and deposit protection limits are not modelled.`,
+    icon: '💷',
+    priority: 11,
+    appliesTo: ['cash', 'savings']
+  },
+
+  annuityRates: {
+    id: 'annuityRates',
+    title: 'Annuity Rates',
+    content: `Annuity rates are approximate best-buy rates for a healthy person buying a single-life
+      annuity with no guarantee period, scaled from age 65 to your age when it is bought. Real quotes
+      varied with health, postcode and provider, and enhanced annuities paid more. An annuity cannot
+      be cashed in and leaves nothing to pass on; the comparison counts only the income paid within
+      the comparison period, although it continues for life. RPI-linked income follows historical
+      RPI. The LTA charge on funds above the Lifetime Allowance is not modelled.`,
+    icon: '🧓',
+    priority: 11,
+    appliesTo: ['annuity', 'drawdownAnnuity']
   },
 
   inflationAdjustment: {
@@ -141,7 +233,7 @@ export const DISCLAIMERS = {
       withdrawal amount. You can disable this in Advanced Settings to see the effect of fixed nominal 
       withdrawals.`,
     icon: '🎈',
-    priority: 10
+    priority: 12
   }
 };
 
@@ -154,7 +246,7 @@ export const DISCLAIMERS = {
  * @returns {Object[]} Array of applicable disclaimer objects, sorted by priority
  */
 export function getApplicableDisclaimers(strategy1Id, strategy2Id, startYear, config = {}) {
-  const strategies = [strategy1Id, strategy2Id];
+  const strategies = [strategy1Id, strategy2Id].flatMap(expandCustomPortfolio);
   const applicableDisclaimers = [];
   const isInflationAdjusted = config.adjustForInflation !== false;
 
@@ -201,6 +293,21 @@ export function getApplicableDisclaimers(strategy1Id, strategy2Id, startYear, co
   return applicableDisclaimers.sort((a, b) => a.priority - b.priority);
 }
 
+/**
+ * Expand a custom portfolio ID into itself plus its component strategy IDs,
+ * so component-specific disclaimers apply to user-defined mixes
+ * @param {string} strategyId - Strategy ID
+ * @returns {string[]} Strategy IDs to match against appliesTo lists
+ */
+function expandCustomPortfolio(strategyId) {
+  try {
+    const strategy = getStrategy(strategyId);
+    return strategy.isCustom ? [strategyId, ...strategy.components] : [strategyId];
+  } catch {
+    return [strategyId];
+  }
+}
+
 /**
  * Render disclaimers to a container element
  *
@@ -255,7 +362,8 @@ export function renderFooterDisclaimer(containerId) {
       </p>
       <p class="footer-disclaimer__note">
         Pre-2015 comparisons shown for illustrative purposes only — pension freedom rules did not
-        exist before April 2015. Tax calculations use historical UK rates assuming no other income.
+        exist before April 2015. Tax calculations use historical UK rates and assume no other income
+        unless it is entered in the advanced settings.
       </p>
     </div>
   `;
@@ -10,6 +10,7 @@ export { initInputForm, getFormInputs, disableForm, enableForm } from './inputFo
 export { renderGoldResults, renderSippResults, clearResults, showResultsSection } from './resultsTable.js';
 export { renderSummary, hideSummary, clearSummary } from './summary.js';
 export { renderCharts, clearCharts, showChartsSection, hideChartsSection } from './chart.js';
+export { renderRollingBacktest, clearRollingBacktest } from './rollingBacktest.js';
 export {
   initAdvancedSettings,
   getSettings,
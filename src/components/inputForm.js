@@ -7,11 +7,13 @@
  * @module components/inputForm
  */
 
-import { DEFAULTS, YEAR_RANGE } from '../config/defaults.js';
+import { DEFAULTS, YEAR_RANGE, LIMITS } from '../config/defaults.js';
 import {
   BASE_STRATEGIES,
   COMBINATION_STRATEGIES,
-  getStrategy
+  getStrategy,
+  getCustomPortfolios,
+  createCustomPortfolio
 } from '../calculators/strategyRegistry.js';
 
 /**
@@ -20,6 +22,23 @@ import {
 const DEFAULT_STRATEGY_1 = 'gold';
 const DEFAULT_STRATEGY_2 = 'sp500';
 
+/**
+ * How the annual withdrawal is specified
+ */
+const WITHDRAWAL_MODES = {
+  RATE: 'rate',
+  NET_INCOME: 'netIncome'
+};
+
+/**
+ * Starting rows for the portfolio builder
+ */
+const DEFAULT_PORTFOLIO_ROWS = [
+  { strategyId: 'sp500', weight: 60 },
+  { strategyId: 'usTreasury', weight: 25 },
+  { strategyId: 'gold', weight: 15 }
+];
+
 /**
  * Initialize the input form
  *
@@ -28,9 +47,11 @@ const DEFAULT_STRATEGY_2 = 'sp500';
  */
 export function initInputForm({ onSubmit }) {
   populateStrategyDropdowns();
+  initPortfolioBuilder();
   populateYearDropdown();
   setupStrategyChangeHandlers();
   setupYearChangeHandler();
+  setupWithdrawalModeHandler();
   setupFormHandler(onSubmit);
   setDefaultValues();
 }
@@ -75,9 +96,190 @@ function buildStrategyOptionsHtml() {
   });
   html += '</optgroup>';
 
+  // Custom Portfolios group (only once the user has saved one)
+  const customPortfolios = getCustomPortfolios();
+  if (customPortfolios.length > 0) {
+    html += '<optgroup label="Custom Portfolios">';
+    customPortfolios.forEach(strategy => {
+      html += `<option value="${strategy.id}">${escapeHtml(strategy.name)}</option>`;
+    });
+    html += '</optgroup>';
+  }
+
   return html;
 }
 
+/**
+ * Rebuild strategy dropdown options, keeping current selections
+ * @param {string} [selectForStrategy2] - Strategy ID to select in the second dropdown
+ */
+function refreshStrategyDropdowns(selectForStrategy2) {
+  const strategy1Select = document.getElementById('strategy-1');
+  const strategy2Select = document.getElementById('strategy-2');
+
+  if (!strategy1Select || !strategy2Select) return;
+
+  const selected1 = strategy1Select.value;
+  const selected2 = selectForStrategy2 || strategy2Select.value;
+  const optionsHtml = buildStrategyOptionsHtml();
+
+  strategy1Select.innerHTML = optionsHtml;
+  strategy2Select.innerHTML = optionsHtml;
+  strategy1Select.value = selected1;
+  strategy2Select.value = selected2;
+
+  strategy2Select.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the custom portfolio builder
+ *
+ * Lets the user name a mix of base strategies with arbitrary weights.
+ * Saved portfolios are added to both strategy dropdowns.
+ */
+function initPortfolioBuilder() {
+  const container = document.getElementById('portfolio-builder');
+  if (!container) return;
+
+  container.innerHTML = `
+    <details class="advanced-settings portfolio-builder">
+      <summary class="advanced-settings__toggle">
+        <span class="advanced-settings__title">🧩 Custom Portfolio Builder</span>
+        <span class="advanced-settings__subtitle">(mix any strategies with your own weights)</span>
+      </summary>
+
+      <div class="advanced-settings__content">
+        <p class="advanced-settings__description">
+          Combine two or more base strategies. Weights must add up to 100%.
+          Saved portfolios appear under "Custom Portfolios" in both strategy lists.
+        </p>
+
+        <div class="form-group">
+          <label for="portfolio-name">Portfolio Name</label>
+          <input type="text" id="portfolio-name" maxlength="40" placeholder="e.g. Balanced 60/25/15">
+        </div>
+
+        <div id="portfolio-rows" class="portfolio-builder__rows"></div>
+
+        <div class="advanced-settings__actions">
+          <button type="button" id="portfolio-add-row" class="btn btn--secondary">Add Component</button>
+          <button type="button" id="portfolio-save" class="btn btn--secondary">Save Portfolio</button>
+          <span id="portfolio-total" class="advanced-settings__status"></span>
+        </div>
+        <p id="portfolio-status" class="portfolio-builder__status" role="status"></p>
+      </div>
+    </details>
+  `;
+
+  DEFAULT_PORTFOLIO_ROWS.forEach(row => addPortfolioRow(row.strategyId, row.weight));
+
+  document.getElementById('portfolio-add-row')?.addEventListener('click', () => {
+    addPortfolioRow();
+  });
+  document.getElementById('portfolio-save')?.addEventListener('click', savePortfolio);
+  document.getElementById('portfolio-rows')?.addEventListener('input', updatePortfolioTotal);
+
+  updatePortfolioTotal();
+}
+
+/**
+ * Append a component row to the portfolio builder
+ * @param {string} [strategyId] - Base strategy to preselect
+ * @param {number} [weight] - Weight percentage to prefill
+ */
+function addPortfolioRow(strategyId, weight) {
+  const rows = document.getElementById('portfolio-rows');
+  if (!rows) return;
+
+  const options = Object.values(BASE_STRATEGIES)
+    .filter(s => s.portfolioComponent !== false)
+    .map(s => `<option value="${s.id}"${s.id === strategyId ? ' selected' : ''}>${s.name}</option>`)
+    .join('');
+
+  const row = document.createElement('div');
+  row.className = 'portfolio-builder__row';
+  row.innerHTML = `
+    <select class="portfolio-builder__strategy" aria-label="Component strategy">${options}</select>
+    <div class="input-with-suffix">
+      <input type="number" class="portfolio-builder__weight" aria-label="Weight"
+        min="1" max="100" step="1" value="${weight ?? ''}">
+      <span class="input-suffix">%</span>
+    </div>
+    <button type="button" class="btn btn--secondary portfolio-builder__remove" aria-label="Remove component">✕</button>
+  `;
+
+  row.querySelector('.portfolio-builder__remove').addEventListener('click', () => {
+    row.remove();
+    updatePortfolioTotal();
+  });
+
+  rows.appendChild(row);
+  updatePortfolioTotal();
+}
+
+/**
+ * Read component rows from the portfolio builder
+ * @returns {Object[]} Allocations with strategyId and weight
+ */
+function getPortfolioAllocations() {
+  return Array.from(document.querySelectorAll('.portfolio-builder__row')).map(row => ({
+    strategyId: row.querySelector('.portfolio-builder__strategy').value,
+    weight: parseFloat(row.querySelector('.portfolio-builder__weight').value) || 0
+  }));
+}
+
+/**
+ * Show the running total of portfolio weights
+ */
+function updatePortfolioTotal() {
+  const totalEl = document.getElementById('portfolio-total');
+  if (!totalEl) return;
+
+  const total = getPortfolioAllocations().reduce((sum, a) => sum + a.weight, 0);
+  const isComplete = Math.abs(total - 100) <= 0.01;
+
+  totalEl.textContent = `Total: ${Math.round(total * 100) / 100}%`;
+  totalEl.className = isComplete
+    ? 'advanced-settings__status advanced-settings__status--default'
+    : 'advanced-settings__status advanced-settings__status--modified';
+}
+
+/**
+ * Save the portfolio being built and select it for comparison
+ */
+function savePortfolio() {
+  const statusEl = document.getElementById('portfolio-status');
+  const name = document.getElementById('portfolio-name')?.value;
+
+  try {
+    const portfolio = createCustomPortfolio(name, getPortfolioAllocations());
+    refreshStrategyDropdowns(portfolio.id);
+
+    if (statusEl) {
+      statusEl.textContent = `Saved "${portfolio.name}" (${portfolio.description})`;
+      statusEl.classList.remove('portfolio-builder__status--error');
+    }
+  } catch (error) {
+    if (statusEl) {
+      statusEl.textContent = error.message;
+      statusEl.classList.add('portfolio-builder__status--error');
+    }
+  }
+}
+
 /**
  * Set up handlers for strategy selection changes
  */
@@ -211,16 +413,35 @@ function setupYearChangeHandler() {
   startYearSelect.dispatchEvent(new Event('change'));
 }
 
+/**
+ * Show the withdrawal rate or target net income input to match the selected mode
+ */
+function setupWithdrawalModeHandler() {
+  const modeSelect = document.getElementById('withdrawal-mode');
+  const rateGroup = document.getElementById('withdrawal-rate-group');
+  const incomeGroup = document.getElementById('target-net-income-group');
+
+  if (!modeSelect || !rateGroup || !incomeGroup) return;
+
+  modeSelect.addEventListener('change', () => {
+    const isNetIncome = modeSelect.value === WITHDRAWAL_MODES.NET_INCOME;
+    rateGroup.hidden = isNetIncome;
+    incomeGroup.hidden = !isNetIncome;
+  });
+}
+
 /**
  * Set default form values
  */
 function setDefaultValues() {
   const pensionInput = document.getElementById('pension-amount');
   const withdrawalInput = document.getElementById('withdrawal-rate');
+  const incomeInput = document.getElementById('target-net-income');
   const yearsInput = document.getElementById('comparison-years');
 
   if (pensionInput) pensionInput.value = DEFAULTS.pensionAmount;
   if (withdrawalInput) withdrawalInput.value = DEFAULTS.withdrawalRate;
+  if (incomeInput) incomeInput.value = DEFAULTS.targetNetIncome;
   if (yearsInput) yearsInput.value = DEFAULTS.comparisonYears;
 }
 
@@ -259,13 +480,18 @@ export function getFormInputs() {
   if (!form) return null;
 
   const formData = new FormData(form);
+  const withdrawalMode = formData.get('withdrawalMode') || WITHDRAWAL_MODES.RATE;
 
   return {
     strategy1: formData.get('strategy1'),
     strategy2: formData.get('strategy2'),
     pensionAmount: parseFloat(formData.get('pensionAmount')),
     startYear: parseInt(formData.get('startYear'), 10),
+    withdrawalMode,
     withdrawalRate: parseFloat(formData.get('withdrawalRate')),
+    targetNetIncome: withdrawalMode === WITHDRAWAL_MODES.NET_INCOME
+      ? parseFloat(formData.get('targetNetIncome'))
+      : null,
     years: parseInt(formData.get('comparisonYears'), 10)
   };
 }
@@ -319,7 +545,12 @@ function validateFormInputs(inputs) {
     errors.push(`Start year must be between ${YEAR_RANGE.min} and ${YEAR_RANGE.max}`);
   }
 
-  if (!inputs.withdrawalRate || inputs.withdrawalRate < 1 || inputs.withdrawalRate > 10) {
+  if (inputs.withdrawalMode === WITHDRAWAL_MODES.NET_INCOME) {
+    const { min, max } = LIMITS.targetNetIncome;
+    if (!inputs.targetNetIncome || inputs.targetNetIncome < min || inputs.targetNetIncome > max) {
+      errors.push(`Target net income must be between £${min.toLocaleString('en-GB')} and £${max.toLocaleString('en-GB')}`);
+    }
+  } else if (!inputs.withdrawalRate || inputs.withdrawalRate < 1 || inputs.withdrawalRate > 10) {
     errors.push('Withdrawal rate must be between 1% and 10%');
   }
 
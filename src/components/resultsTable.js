@@ -6,7 +6,7 @@
  * @module components/resultsTable
  */
 
-import { formatCurrency, formatNumber } from '../utils/formatters.js';
+import { formatCurrency, formatNumber, formatPercent } from '../utils/formatters.js';
 import { STRATEGY_TYPES } from '../calculators/strategyRegistry.js';
 
 /**
@@ -64,7 +64,9 @@ function updateColumnStyling(slot, strategyData) {
   // Add appropriate class based on type
   if (type === STRATEGY_TYPES.GOLD) {
     column.classList.add('strategy-gold');
-  } else if (type === STRATEGY_TYPES.SIPP) {
+  } else if (type === STRATEGY_TYPES.SIPP || type === STRATEGY_TYPES.ISA || type === STRATEGY_TYPES.GIA ||
+    type === STRATEGY_TYPES.SAVINGS || type === STRATEGY_TYPES.ANNUITY || type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    // ISA, GIA, savings and annuity strategies share the SIPP styling
     column.classList.add('strategy-sipp');
   } else if (type === STRATEGY_TYPES.COMBINED) {
     column.classList.add('strategy-combined');
@@ -80,16 +82,26 @@ function updateTableColumnHeaders(slot, strategyData) {
   if (!thead) return;
 
   const { type, result } = strategyData;
+  const otherIncomeColumns = hasOtherIncome(result.yearlyResults) ? 1 : 0;
+  const otherIncomeHeader = otherIncomeColumns
+    ? '<th scope="col" title="Income tax on other taxable income (state pension, salary, rent), charged before tax on withdrawals">Other Income Tax</th>'
+    : '';
 
   if (type === STRATEGY_TYPES.GOLD) {
+    const metal = getMetalName(result);
+    const cgtHeader = isChargeableGold(result)
+      ? `<th scope="col" title="Capital gains tax on the year's ${metal.toLowerCase()} sales (bars and non-UK coins)">CGT</th>`
+      : '';
     thead.innerHTML = `
       <th scope="col" title="Calendar year">Year</th>
-      <th scope="col" title="Gold price per troy ounce (Jan 1st)">Gold Price</th>
-      <th scope="col" title="Gold holdings in troy ounces">Holdings (oz)</th>
+      <th scope="col" title="${metal} price per troy ounce (Jan 1st)">${metal} Price</th>
+      <th scope="col" title="${metal} holdings in troy ounces">Holdings (oz)</th>
       <th scope="col" title="Gross withdrawal amount">Withdrawal</th>
       <th scope="col" title="Transaction fees (storage + sale costs)">Fees</th>
-      <th scope="col" title="Net amount received after fees">Net Received</th>
-      <th scope="col" title="Total value of remaining gold holdings">Portfolio Value</th>
+      ${cgtHeader}
+      <th scope="col" title="Net amount received after fees and any capital gains tax">Net Received</th>
+      ${otherIncomeHeader}
+      <th scope="col" title="Total value of remaining ${metal.toLowerCase()} holdings">Portfolio Value</th>
     `;
   } else if (type === STRATEGY_TYPES.SIPP) {
     thead.innerHTML = `
@@ -97,24 +109,192 @@ function updateTableColumnHeaders(slot, strategyData) {
       <th scope="col" title="ETF unit price in GBP">Unit Price</th>
       <th scope="col" title="Number of ETF units held">Units Held</th>
       <th scope="col" title="Gross withdrawal amount">Withdrawal</th>
-      <th scope="col" title="Income tax on withdrawal + management fees">Tax + Fees</th>
+      <th scope="col" title="Income tax on withdrawal (marginal rate on top of any other income) + management fees (vault fees and dealer spread for vaulted gold)">Tax + Fees</th>
       <th scope="col" title="Net amount received after tax and fees">Net Received</th>
+      ${otherIncomeHeader}
       <th scope="col" title="Total value of SIPP portfolio">Portfolio Value</th>
     `;
+  } else if (type === STRATEGY_TYPES.ISA) {
+    thead.innerHTML = `
+      <th scope="col" title="Calendar year">Year</th>
+      <th scope="col" title="ETF unit price in GBP">Unit Price</th>
+      <th scope="col" title="Amount subscribed to the ISA (PEP before 1999) this year, up to the annual limit">Into ISA</th>
+      <th scope="col" title="Value of units sold for income (taxable account first, then the ISA)">Withdrawal</th>
+      <th scope="col" title="Capital gains tax on taxable account sales + management fees">CGT + Fees</th>
+      <th scope="col" title="Net amount received after capital gains tax">Net Received</th>
+      ${otherIncomeHeader}
+      <th scope="col" title="Total value of ISA and taxable account">Portfolio Value</th>
+    `;
+  } else if (type === STRATEGY_TYPES.GIA) {
+    thead.innerHTML = `
+      <th scope="col" title="Calendar year">Year</th>
+      <th scope="col" title="ETF unit price in GBP">Unit Price</th>
+      <th scope="col" title="Dividends reinvested in the fund (taxable each year)">Dividends</th>
+      <th scope="col" title="Value of units sold for income and tax">Withdrawal</th>
+      <th scope="col" title="Chargeable gain on the units sold, after indexation and taper relief">Gain Realised</th>
+      <th scope="col" title="Dividend tax + capital gains tax + management fees">Tax + Fees</th>
+      <th scope="col" title="Net amount received after dividend and capital gains tax">Net Received</th>
+      ${otherIncomeHeader}
+      <th scope="col" title="Total value of the General Investment Account">Portfolio Value</th>
+    `;
+  } else if (type === STRATEGY_TYPES.SAVINGS) {
+    thead.innerHTML = `
+      <th scope="col" title="Calendar year">Year</th>
+      <th scope="col" title="Interest credited at the start of the year, as a percentage of the balance (average Bank Rate over the previous year)">Interest Rate</th>
+      <th scope="col" title="Interest credited at the start of the year">Interest</th>
+      <th scope="col" title="Cash taken from the account for income and tax">Withdrawal</th>
+      <th scope="col" title="Income tax on the interest, after the personal allowance, starting rate for savings and Personal Savings Allowance">Interest Tax</th>
+      <th scope="col" title="Net amount received after tax on the interest">Net Received</th>
+      ${otherIncomeHeader}
+      <th scope="col" title="Savings account balance">Balance</th>
+    `;
+  } else if (type === STRATEGY_TYPES.ANNUITY) {
+    thead.innerHTML = `
+      <th scope="col" title="Calendar year">Year</th>
+      <th scope="col" title="Age during the year">Age</th>
+      <th scope="col" title="Tax-free lump sum (25% of the pension) taken when the annuity is bought">Tax-Free Cash</th>
+      <th scope="col" title="Annuity income paid in the year (level, or uprated by RPI)">Annuity Income</th>
+      <th scope="col" title="Income tax on the annuity income (marginal rate on top of any other income)">Income Tax</th>
+      <th scope="col" title="Net amount received: annuity income after tax plus any tax-free cash">Net Received</th>
+      ${otherIncomeHeader}
+      <th scope="col" title="Pension left: none, as the pension was used to buy the annuity">Pension Value</th>
+    `;
+  } else if (type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    thead.innerHTML = `
+      <th scope="col" title="Calendar year">Year</th>
+      <th scope="col" title="Age during the year">Age</th>
+      <th scope="col" title="Drawdown from the SIPP fund until the switch year, then annuity income">Phase</th>
+      <th scope="col" title="Gross drawdown withdrawal, or annuity income after the switch">Withdrawal / Income</th>
+      <th scope="col" title="Income tax (marginal rate on top of any other income) + management fees">Tax + Fees</th>
+      <th scope="col" title="Net amount received after tax and fees, plus the tax-free cash taken when the annuity is bought">Net Received</th>
+      ${otherIncomeHeader}
+      <th scope="col" title="Value of the SIPP fund (none once the annuity is bought)">Pension Value</th>
+    `;
   } else if (type === STRATEGY_TYPES.COMBINED) {
-    // Get sub-strategy names from combined result
-    const nameA = result?.strategyA?.shortName || 'Strategy A';
-    const nameB = result?.strategyB?.shortName || 'Strategy B';
+    // One value column per portfolio component
+    const componentHeaders = getCombinedComponents(result).map(component => {
+      const name = component.shortName || component.name || 'Component';
+      return `<th scope="col" title="Value of ${name} portion (${formatWeight(component.weight)} allocation)">${name}</th>`;
+    }).join('');
     thead.innerHTML = `
       <th scope="col" title="Calendar year">Year</th>
-      <th scope="col" title="Value of ${nameA} portion (50% allocation)">${nameA}</th>
-      <th scope="col" title="Value of ${nameB} portion (50% allocation)">${nameB}</th>
-      <th scope="col" title="Total gross withdrawal from both strategies">Withdrawal</th>
-      <th scope="col" title="Combined fees and tax from both strategies">Fees + Tax</th>
+      ${componentHeaders}
+      <th scope="col" title="Total gross withdrawal from all components">Withdrawal</th>
+      <th scope="col" title="Combined fees and tax from all components (tax is calculated on their total withdrawals, on top of any other income)">Fees + Tax</th>
       <th scope="col" title="Total net amount received after all deductions">Net Received</th>
+      ${otherIncomeHeader}
       <th scope="col" title="Total combined portfolio value">Combined Value</th>
     `;
   }
+
+  updateColumnWidths(
+    tableId,
+    type === STRATEGY_TYPES.COMBINED ? getCombinedComponents(result).length : 2,
+    otherIncomeColumns
+  );
+}
+
+/**
+ * Default column widths (percent) for a 7-column results table
+ */
+const DEFAULT_COLUMN_WIDTHS = [10, 15, 15, 14, 13, 14, 19];
+
+/**
+ * Width (percent, before rescaling) of an optional column such as other income tax
+ */
+const OPTIONAL_COLUMN_WIDTH = 12;
+
+/**
+ * Resize a results table's colgroup so the middle value columns share the
+ * space of the two default detail columns
+ *
+ * Optional columns are inserted before the final value column and every
+ * width is rescaled so the table still totals 100%.
+ *
+ * @param {string} tableId - Table element ID
+ * @param {number} detailColumns - Number of per-component/detail columns
+ * @param {number} [optionalColumns=0] - Number of optional columns shown
+ */
+function updateColumnWidths(tableId, detailColumns, optionalColumns = 0) {
+  const colgroup = document.querySelector(`#${tableId} colgroup`);
+  if (!colgroup) return;
+
+  const [yearWidth, detailA, detailB, ...rest] = DEFAULT_COLUMN_WIDTHS;
+  const detailWidth = (detailA + detailB) / detailColumns;
+  const finalWidth = rest.pop();
+  const unscaled = [
+    yearWidth,
+    ...Array(detailColumns).fill(detailWidth),
+    ...rest,
+    ...Array(optionalColumns).fill(OPTIONAL_COLUMN_WIDTH),
+    finalWidth
+  ];
+  const scale = 100 / (100 + optionalColumns * OPTIONAL_COLUMN_WIDTH);
+  const widths = unscaled.map(width => width * scale);
+
+  colgroup.innerHTML = widths
+    .map(width => `<col style="width: ${Math.round(width * 100) / 100}%;">`)
+    .join('');
+}
+
+/**
+ * Check whether any year of a result has other taxable income
+ *
+ * @param {Object[]} [yearlyResults] - Yearly results (gold, SIPP or combined)
+ * @returns {boolean} True if the other income tax column should be shown
+ */
+function hasOtherIncome(yearlyResults = []) {
+  return yearlyResults.some(year => year.otherIncome > 0);
+}
+
+/**
+ * Check whether a gold result holds bars, whose sales pay capital gains tax
+ *
+ * @param {Object} result - Gold or silver strategy result
+ * @returns {boolean} True if the capital gains tax column should be shown
+ */
+function isChargeableGold(result) {
+  return result?.goldProduct === 'bars' || result?.silverProduct === 'bars';
+}
+
+/**
+ * Get the name of the metal a gold-type result holds
+ *
+ * @param {Object} result - Gold or silver strategy result
+ * @returns {string} 'Gold' or 'Silver'
+ */
+function getMetalName(result) {
+  return result?.metal === 'silver' ? 'Silver' : 'Gold';
+}
+
+/**
+ * Render the other income tax cell for a year
+ *
+ * @param {Object} year - Yearly result with otherIncome and otherIncomeTax
+ * @returns {string} Cell HTML
+ */
+function renderOtherIncomeCell(year) {
+  return `<td class="negative" title="Other income: ${formatCurrency(year.otherIncome || 0)}">${formatCurrency(year.otherIncomeTax || 0)}</td>`;
+}
+
+/**
+ * Get the component list from a combined result
+ * Falls back to strategyA/strategyB for results without a components array.
+ */
+function getCombinedComponents(result) {
+  if (result?.components?.length) {
+    return result.components;
+  }
+  return [result?.strategyA, result?.strategyB]
+    .filter(Boolean)
+    .map(component => ({ weight: 0.5, ...component }));
+}
+
+/**
+ * Format a component weight (0-1) as a percentage label
+ */
+function formatWeight(weight) {
+  return `${Math.round(weight * 1000) / 10}%`;
 }
 
 /**
@@ -132,6 +312,16 @@ function renderGenericInitialSummary(slot, strategyData) {
     renderGoldInitialSummaryContent(container, result, shortName);
   } else if (type === STRATEGY_TYPES.SIPP) {
     renderSippInitialSummaryContent(container, result, shortName);
+  } else if (type === STRATEGY_TYPES.ISA) {
+    renderIsaInitialSummaryContent(container, result, shortName);
+  } else if (type === STRATEGY_TYPES.GIA) {
+    renderGiaInitialSummaryContent(container, result, shortName);
+  } else if (type === STRATEGY_TYPES.SAVINGS) {
+    renderSavingsInitialSummaryContent(container, result, shortName);
+  } else if (type === STRATEGY_TYPES.ANNUITY) {
+    renderAnnuityInitialSummaryContent(container, result, shortName);
+  } else if (type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    renderDrawdownAnnuityInitialSummaryContent(container, result, shortName);
   } else if (type === STRATEGY_TYPES.COMBINED) {
     renderCombinedInitialSummaryContent(container, result, shortName);
   }
@@ -142,14 +332,18 @@ function renderGenericInitialSummary(slot, strategyData) {
  */
 function renderGoldInitialSummaryContent(container, result, shortName) {
   const { initialWithdrawal } = result;
+  const metal = getMetalName(result);
+  const purchaseVat = initialWithdrawal.purchaseVat || 0;
 
-  // Calculate the actual transaction fee percentage used
-  const transactionFeePercent = (initialWithdrawal.goldPurchaseCost /
-    (initialWithdrawal.netAfterTax + initialWithdrawal.goldPurchaseCost) * 100).toFixed(0);
+  // Calculate the actual transaction fee percentage used (a first tranche may all be spent)
+  const amountSpentOnGold = initialWithdrawal.amountInvested + initialWithdrawal.goldPurchaseCost + purchaseVat;
+  const transactionFeePercent = (amountSpentOnGold > 0
+    ? initialWithdrawal.goldPurchaseCost / amountSpentOnGold * 100
+    : 0).toFixed(0);
 
   container.innerHTML = `
     <div class="initial-summary-card gold-theme">
-      <h4>${shortName} - Initial Withdrawal</h4>
+      <h4>${shortName} - ${result.phasing ? 'First Tranche' : 'Initial Withdrawal'}</h4>
       <dl class="summary-list">
         <div class="summary-item">
           <dt>Gross Pension</dt>
@@ -164,11 +358,17 @@ function renderGoldInitialSummaryContent(container, result, shortName) {
           <dd>${formatCurrency(initialWithdrawal.netAfterTax)}</dd>
         </div>
         <div class="summary-item">
-          <dt>Gold Purchase Cost (${transactionFeePercent}%)</dt>
+          <dt>${metal} Purchase Cost (${transactionFeePercent}%)</dt>
           <dd class="negative">${formatCurrency(initialWithdrawal.goldPurchaseCost)}</dd>
         </div>
+        ${purchaseVat > 0 ? `
+        <div class="summary-item">
+          <dt>VAT on Purchase</dt>
+          <dd class="negative">${formatCurrency(purchaseVat)}</dd>
+        </div>
+        ` : ''}
         <div class="summary-item highlight">
-          <dt>Gold Purchased</dt>
+          <dt>${metal} Purchased</dt>
           <dd>${formatNumber(initialWithdrawal.goldOuncesPurchased, 2)} oz @ ${formatCurrency(initialWithdrawal.goldPriceAtPurchase)}/oz</dd>
         </div>
       </dl>
@@ -198,9 +398,14 @@ function renderSippInitialSummaryContent(container, result, shortName) {
           <dt>Initial Value</dt>
           <dd>${formatCurrency(initialInvestment.initialValue)}</dd>
         </div>
+        ${initialInvestment.dealingCost > 0 ? `
         <div class="summary-item">
-          <dt>Annual Management Fee</dt>
-          <dd>0.5%</dd>
+          <dt>Dealer Spread</dt>
+          <dd class="negative">${formatCurrency(initialInvestment.dealingCost)}</dd>
+        </div>` : ''}
+        <div class="summary-item">
+          <dt>${result.indexType === 'goldVault' ? 'Annual Vault Storage + Insurance' : 'Annual Management Fee'}</dt>
+          <dd>${formatNumber(initialInvestment.annualFeePercent ?? 0.5, 2)}%</dd>
         </div>
         <div class="summary-item highlight">
           <dt>Units Acquired</dt>
@@ -211,20 +416,201 @@ function renderSippInitialSummaryContent(container, result, shortName) {
   `;
 }
 
+/**
+ * Render ISA initial summary content
+ */
+function renderIsaInitialSummaryContent(container, result, shortName) {
+  const { initialWithdrawal } = result;
+  const wrapper = initialWithdrawal.wrapper;
+  const unitsPurchased = initialWithdrawal.isaUnitsPurchased + initialWithdrawal.taxableUnitsPurchased;
+
+  container.innerHTML = `
+    <div class="initial-summary-card sipp-theme">
+      <h4>${shortName} - Initial Withdrawal</h4>
+      <dl class="summary-list">
+        <div class="summary-item">
+          <dt>Gross Pension</dt>
+          <dd>${formatCurrency(initialWithdrawal.grossPension)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Tax Paid</dt>
+          <dd class="negative">${formatCurrency(initialWithdrawal.taxCalculation.taxPaid)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>${wrapper ? `${wrapper} Subscription` : 'No PEP/ISA Before 1987'}</dt>
+          <dd>${formatCurrency(initialWithdrawal.isaSubscription)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Taxable Account</dt>
+          <dd>${formatCurrency(initialWithdrawal.taxableInvestment)}</dd>
+        </div>
+        <div class="summary-item highlight">
+          <dt>Units Acquired</dt>
+          <dd>${formatNumber(unitsPurchased, 2)} @ ${formatCurrency(initialWithdrawal.unitPriceAtPurchase)}/unit</dd>
+        </div>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Render GIA initial summary content
+ */
+function renderGiaInitialSummaryContent(container, result, shortName) {
+  const { initialWithdrawal } = result;
+
+  container.innerHTML = `
+    <div class="initial-summary-card sipp-theme">
+      <h4>${shortName} - Initial Withdrawal</h4>
+      <dl class="summary-list">
+        <div class="summary-item">
+          <dt>Gross Pension</dt>
+          <dd>${formatCurrency(initialWithdrawal.grossPension)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Tax Paid</dt>
+          <dd class="negative">${formatCurrency(initialWithdrawal.taxCalculation.taxPaid)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Invested</dt>
+          <dd>${formatCurrency(initialWithdrawal.netAfterTax)}</dd>
+        </div>
+        <div class="summary-item highlight">
+          <dt>Units Acquired</dt>
+          <dd>${formatNumber(initialWithdrawal.unitsPurchased, 2)} @ ${formatCurrency(initialWithdrawal.unitPriceAtPurchase)}/unit</dd>
+        </div>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Render savings account initial summary content
+ */
+function renderSavingsInitialSummaryContent(container, result, shortName) {
+  const { initialWithdrawal } = result;
+
+  container.innerHTML = `
+    <div class="initial-summary-card sipp-theme">
+      <h4>${shortName} - Initial Withdrawal</h4>
+      <dl class="summary-list">
+        <div class="summary-item">
+          <dt>Gross Pension</dt>
+          <dd>${formatCurrency(initialWithdrawal.grossPension)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Tax Paid</dt>
+          <dd class="negative">${formatCurrency(initialWithdrawal.taxCalculation.taxPaid)}</dd>
+        </div>
+        <div class="summary-item highlight">
+          <dt>Deposited</dt>
+          <dd>${formatCurrency(initialWithdrawal.amountDeposited)}</dd>
+        </div>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Render annuity purchase summary content
+ */
+function renderAnnuityInitialSummaryContent(container, result, shortName) {
+  const { purchase } = result;
+  const typeName = purchase.annuityType === 'rpi' ? 'RPI-linked' : 'Level';
+
+  container.innerHTML = `
+    <div class="initial-summary-card sipp-theme">
+      <h4>${shortName} - Purchase</h4>
+      <dl class="summary-list">
+        <div class="summary-item">
+          <dt>Gross Pension</dt>
+          <dd>${formatCurrency(purchase.grossPension)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Tax-Free Cash</dt>
+          <dd>${formatCurrency(purchase.pclsAmount)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Annuity Rate</dt>
+          <dd title="${typeName}, bought at age ${purchase.ageAtPurchase}">${formatPercent(purchase.annuityRate / 100, 2)}</dd>
+        </div>
+        <div class="summary-item highlight">
+          <dt>First-Year Income</dt>
+          <dd>${formatCurrency(purchase.annualIncome)}</dd>
+        </div>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Render drawdown then annuity summary content: the drawdown fund and the annuity bought at the switch
+ */
+function renderDrawdownAnnuityInitialSummaryContent(container, result, shortName) {
+  const { initialInvestment, purchase, switchYear } = result;
+
+  const annuityItems = purchase ? `
+        <div class="summary-item">
+          <dt>Pot at Switch</dt>
+          <dd>${formatCurrency(purchase.grossPension)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Tax-Free Cash</dt>
+          <dd>${formatCurrency(purchase.pclsAmount)}</dd>
+        </div>
+        <div class="summary-item highlight">
+          <dt>Annuity Income</dt>
+          <dd title="${purchase.annuityType === 'rpi' ? 'RPI-linked' : 'Level'}, bought at age ${purchase.ageAtPurchase}">${formatCurrency(purchase.annualIncome)} (${formatPercent(purchase.annuityRate / 100, 2)})</dd>
+        </div>` : `
+        <div class="summary-item highlight">
+          <dt>Annuity</dt>
+          <dd>Not bought (${switchYear > result.yearlyResults[result.yearlyResults.length - 1].year ? 'switch after the period' : 'pot ran out first'})</dd>
+        </div>`;
+
+  container.innerHTML = `
+    <div class="initial-summary-card sipp-theme">
+      <h4>${shortName} - Plan</h4>
+      <dl class="summary-list">
+        <div class="summary-item">
+          <dt>Pension Amount</dt>
+          <dd>${formatCurrency(initialInvestment.pensionAmount)}</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Drawdown Fund</dt>
+          <dd>${result.indexName} (${formatNumber(initialInvestment.annualFeePercent, 2)}% a year)</dd>
+        </div>
+        <div class="summary-item">
+          <dt>Switch to Annuity</dt>
+          <dd>${switchYear}</dd>
+        </div>
+        ${annuityItems}
+      </dl>
+    </div>
+  `;
+}
+
 /**
  * Render Combined strategy initial summary content
  */
 function renderCombinedInitialSummaryContent(container, result, shortName) {
-  const { strategyA, strategyB, summary } = result;
+  const { summary } = result;
+  const components = getCombinedComponents(result);
 
   // Support both initialInvestment and initialPension for compatibility
   const totalPension = summary.initialInvestment || summary.initialPension || 0;
-  const allocationA = summary.allocationA || totalPension / 2;
-  const allocationB = summary.allocationB || totalPension / 2;
 
-  // Get initial values from each sub-strategy
-  const strategyAInitial = getStrategyInitialInfo(strategyA);
-  const strategyBInitial = getStrategyInitialInfo(strategyB);
+  // Get initial values from each component
+  const initialInfo = components.map(getStrategyInitialInfo);
+  const combinedStartValue = initialInfo.reduce((sum, info) => sum + info.startValue, 0);
+
+  const allocationHtml = components.map((component, idx) => {
+    const allocation = summary.allocations?.[idx] ?? component.allocation ?? totalPension * component.weight;
+    return `
+        <div class="summary-item">
+          <dt>${component.name || component.shortName || 'Component'} (${formatWeight(component.weight)})</dt>
+          <dd>${formatCurrency(allocation)}</dd>
+        </div>`;
+  }).join('');
 
   container.innerHTML = `
     <div class="initial-summary-card combined-theme">
@@ -234,25 +620,36 @@ function renderCombinedInitialSummaryContent(container, result, shortName) {
           <dt>Total Pension</dt>
           <dd>${formatCurrency(totalPension)}</dd>
         </div>
-        <div class="summary-item">
-          <dt>${strategyA.name || strategyA.shortName || 'Strategy A'} (50%)</dt>
-          <dd>${formatCurrency(allocationA)}</dd>
-        </div>
-        <div class="summary-item">
-          <dt>${strategyB.name || strategyB.shortName || 'Strategy B'} (50%)</dt>
-          <dd>${formatCurrency(allocationB)}</dd>
-        </div>
-        ${strategyAInitial.detailHtml}
-        ${strategyBInitial.detailHtml}
+        ${allocationHtml}
+        ${initialInfo.map(info => info.detailHtml).join('')}
+        ${renderRebalancingSummary(result)}
         <div class="summary-item highlight">
           <dt>Combined Starting Value</dt>
-          <dd>${formatCurrency(strategyAInitial.startValue + strategyBInitial.startValue)}</dd>
+          <dd>${formatCurrency(combinedStartValue)}</dd>
         </div>
       </dl>
     </div>
   `;
 }
 
+/**
+ * Describe the rebalancing policy and its total cost for the initial summary card
+ */
+function renderRebalancingSummary(result) {
+  const mode = result.rebalancing?.mode;
+  if (!mode || mode === 'never') return '';
+
+  const label = mode === 'threshold'
+    ? `When drift > ±${result.rebalancing.thresholdPercent}%`
+    : 'Annually';
+
+  return `
+        <div class="summary-item">
+          <dt>Rebalancing: ${label} (${result.summary.rebalanceCount || 0}×)</dt>
+          <dd class="negative">${formatCurrency(result.summary.totalRebalancingCosts || 0)}</dd>
+        </div>`;
+}
+
 /**
  * Get initial info from a sub-strategy for combined display
  */
@@ -297,19 +694,31 @@ function renderGenericTable(slot, strategyData) {
 
   const { type, result } = strategyData;
 
+  const showOtherIncome = hasOtherIncome(result.yearlyResults);
+
   if (type === STRATEGY_TYPES.GOLD) {
-    renderGoldTableContent(tbody, result.yearlyResults);
+    renderGoldTableContent(tbody, result.yearlyResults, showOtherIncome, isChargeableGold(result));
   } else if (type === STRATEGY_TYPES.SIPP) {
-    renderSippTableContent(tbody, result.yearlyResults);
+    renderSippTableContent(tbody, result.yearlyResults, showOtherIncome);
+  } else if (type === STRATEGY_TYPES.ISA) {
+    renderIsaTableContent(tbody, result.yearlyResults, showOtherIncome);
+  } else if (type === STRATEGY_TYPES.GIA) {
+    renderGiaTableContent(tbody, result.yearlyResults, showOtherIncome);
+  } else if (type === STRATEGY_TYPES.SAVINGS) {
+    renderSavingsTableContent(tbody, result.yearlyResults, showOtherIncome);
+  } else if (type === STRATEGY_TYPES.ANNUITY) {
+    renderAnnuityTableContent(tbody, result.yearlyResults, showOtherIncome);
+  } else if (type === STRATEGY_TYPES.DRAWDOWN_ANNUITY) {
+    renderDrawdownAnnuityTableContent(tbody, result, showOtherIncome);
   } else if (type === STRATEGY_TYPES.COMBINED) {
-    renderCombinedTableContent(tbody, result.yearlyResults);
+    renderCombinedTableContent(tbody, result.yearlyResults, getCombinedComponents(result), showOtherIncome);
   }
 }
 
 /**
  * Render Gold table content
  */
-function renderGoldTableContent(tbody, yearlyResults) {
+function renderGoldTableContent(tbody, yearlyResults, showOtherIncome = false, showCapitalGainsTax = false) {
   tbody.innerHTML = yearlyResults.map(year => `
     <tr class="${getStatusClass(year.status)}">
       <td>${year.year}</td>
@@ -317,7 +726,9 @@ function renderGoldTableContent(tbody, yearlyResults) {
       <td>${formatNumber(year.startGoldOunces, 2)}</td>
       <td>${formatCurrency(year.withdrawalGross)}</td>
       <td class="negative">${formatCurrency(year.transactionCost)}</td>
+      ${showCapitalGainsTax ? `<td class="negative" title="Gain realised: ${formatCurrency(year.gainRealised)}">${formatCurrency(year.capitalGainsTax)}</td>` : ''}
       <td>${formatCurrency(year.netWithdrawal)}</td>
+      ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
       <td class="highlight-cell">${formatCurrency(year.endValueGbp)}</td>
     </tr>
   `).join('');
@@ -326,9 +737,9 @@ function renderGoldTableContent(tbody, yearlyResults) {
 /**
  * Render SIPP table content
  */
-function renderSippTableContent(tbody, yearlyResults) {
+function renderSippTableContent(tbody, yearlyResults, showOtherIncome = false) {
   tbody.innerHTML = yearlyResults.map(year => {
-    const totalCosts = year.managementFee + year.taxOnWithdrawal;
+    const totalCosts = year.managementFee + (year.dealingCost || 0) + year.taxOnWithdrawal;
 
     return `
       <tr class="${getStatusClass(year.status)}">
@@ -338,6 +749,109 @@ function renderSippTableContent(tbody, yearlyResults) {
         <td>${formatCurrency(year.grossWithdrawal)}</td>
         <td class="negative">${formatCurrency(totalCosts)}</td>
         <td>${formatCurrency(year.netWithdrawal)}</td>
+        ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
+        <td class="highlight-cell">${formatCurrency(year.endValueGbp)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render ISA table content
+ */
+function renderIsaTableContent(tbody, yearlyResults, showOtherIncome = false) {
+  tbody.innerHTML = yearlyResults.map(year => `
+    <tr class="${getStatusClass(year.status)}">
+      <td>${year.year}</td>
+      <td>${formatCurrency(year.unitPrice)}</td>
+      <td title="Limit: ${formatCurrency(year.subscriptionLimit)}">${formatCurrency(year.isaSubscription)}</td>
+      <td>${formatCurrency(year.withdrawalGross)}</td>
+      <td class="negative">${formatCurrency(year.capitalGainsTax + year.managementFee)}</td>
+      <td>${formatCurrency(year.netWithdrawal)}</td>
+      ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
+      <td class="highlight-cell" title="ISA: ${formatCurrency(year.endIsaValue)}, taxable: ${formatCurrency(year.endTaxableValue)}">${formatCurrency(year.endValueGbp)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render GIA table content
+ */
+function renderGiaTableContent(tbody, yearlyResults, showOtherIncome = false) {
+  tbody.innerHTML = yearlyResults.map(year => `
+    <tr class="${getStatusClass(year.status)}">
+      <td>${year.year}</td>
+      <td>${formatCurrency(year.unitPrice)}</td>
+      <td title="Dividend tax: ${formatCurrency(year.dividendTax)}">${formatCurrency(year.dividends)}</td>
+      <td>${formatCurrency(year.withdrawalGross)}</td>
+      <td title="CGT: ${formatCurrency(year.capitalGainsTax)}">${formatCurrency(year.gainRealised)}</td>
+      <td class="negative">${formatCurrency(year.dividendTax + year.capitalGainsTax + year.managementFee)}</td>
+      <td>${formatCurrency(year.netWithdrawal)}</td>
+      ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
+      <td class="highlight-cell" title="Cost basis: ${formatCurrency(year.costBasis)}">${formatCurrency(year.endValueGbp)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render savings account table content
+ */
+function renderSavingsTableContent(tbody, yearlyResults, showOtherIncome = false) {
+  tbody.innerHTML = yearlyResults.map(year => `
+    <tr class="${getStatusClass(year.status)}">
+      <td>${year.year}</td>
+      <td>${formatPercent(year.interestRate / 100, 2)}</td>
+      <td>${formatCurrency(year.interest)}</td>
+      <td>${formatCurrency(year.withdrawalGross)}</td>
+      <td class="negative" title="Personal Savings Allowance used: ${formatCurrency(year.savingsAllowanceUsed)}">${formatCurrency(year.interestTax)}</td>
+      <td>${formatCurrency(year.netWithdrawal)}</td>
+      ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
+      <td class="highlight-cell">${formatCurrency(year.endValueGbp)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render annuity table content
+ */
+function renderAnnuityTableContent(tbody, yearlyResults, showOtherIncome = false) {
+  tbody.innerHTML = yearlyResults.map(year => `
+    <tr class="${getStatusClass(year.status)}">
+      <td>${year.year}</td>
+      <td>${year.age}</td>
+      <td>${formatCurrency(year.pclsPaid)}</td>
+      <td title="${formatNumber(year.incomeMultiplier, 3)} × first-year income">${formatCurrency(year.grossIncome)}</td>
+      <td class="negative">${formatCurrency(year.taxOnIncome)}</td>
+      <td>${formatCurrency(year.netWithdrawal)}</td>
+      ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
+      <td class="highlight-cell">${formatCurrency(year.endValueGbp)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render drawdown then annuity table content, one row per year of either phase
+ */
+function renderDrawdownAnnuityTableContent(tbody, result, showOtherIncome = false) {
+  const { purchase } = result;
+
+  tbody.innerHTML = result.yearlyResults.map(year => {
+    const phaseCell = year.phase === 'drawdown'
+      ? `<td title="Drawdown: unit price ${formatCurrency(year.unitPrice)}">${result.indexName}</td>`
+      : year.pclsPaid > 0
+        ? `<td title="${formatCurrency(purchase.grossPension)} pot: ${formatCurrency(purchase.pclsAmount)} tax-free, ${formatCurrency(purchase.purchasePrice)} buys the annuity"><strong>Annuity bought</strong></td>`
+        : `<td title="${formatNumber(year.incomeMultiplier, 3)} × first-year income">Annuity</td>`;
+    const netTitle = year.pclsPaid > 0 ? ` title="Includes ${formatCurrency(year.pclsPaid)} tax-free cash"` : '';
+
+    return `
+      <tr class="${getStatusClass(year.status)}">
+        <td>${year.year}</td>
+        <td>${year.age}</td>
+        ${phaseCell}
+        <td>${formatCurrency(year.grossWithdrawal)}</td>
+        <td class="negative">${formatCurrency(year.taxPaid + year.fees)}</td>
+        <td${netTitle}>${formatCurrency(year.netWithdrawal)}</td>
+        ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
         <td class="highlight-cell">${formatCurrency(year.endValueGbp)}</td>
       </tr>
     `;
@@ -347,29 +861,62 @@ function renderSippTableContent(tbody, yearlyResults) {
 /**
  * Render Combined strategy table content
  */
-function renderCombinedTableContent(tbody, yearlyResults) {
+function renderCombinedTableContent(tbody, yearlyResults, components = [], showOtherIncome = false) {
+  const names = Object.fromEntries(components.map(c => [c.id, c.shortName || c.name]));
+
   tbody.innerHTML = yearlyResults.map(year => {
-    // Extract values from sub-strategies
-    const valueA = getSubStrategyValue(year.strategyA);
-    const valueB = getSubStrategyValue(year.strategyB);
+    // Per-component yearly results (fall back to the legacy two-slot fields)
+    const componentYears = year.components
+      ? year.components.map(c => c.raw)
+      : [year.strategyA, year.strategyB];
 
-    // Calculate gross withdrawal and fees from both sub-strategies
-    const { grossWithdrawal, totalFees } = getCombinedWithdrawalInfo(year.strategyA, year.strategyB);
+    // Calculate gross withdrawal and fees across all components, plus any rebalancing cost
+    const { grossWithdrawal, totalFees } = getCombinedWithdrawalInfo(componentYears);
+    const rebalancingCost = year.rebalancing?.totalCost || 0;
 
     return `
+      ${renderRebalancingRow(year, componentYears.length + (showOtherIncome ? 6 : 5), names)}
       <tr class="${getStatusClass(year.status)}">
         <td>${year.year}</td>
-        <td>${formatCurrency(valueA)}</td>
-        <td>${formatCurrency(valueB)}</td>
+        ${componentYears.map(c => `<td>${formatCurrency(getSubStrategyValue(c))}</td>`).join('')}
         <td>${formatCurrency(grossWithdrawal)}</td>
-        <td class="negative">${formatCurrency(totalFees)}</td>
+        <td class="negative">${formatCurrency(totalFees + rebalancingCost)}</td>
         <td>${formatCurrency(year.combinedWithdrawal)}</td>
+        ${showOtherIncome ? renderOtherIncomeCell(year) : ''}
         <td class="highlight-cell">${formatCurrency(year.combinedEndValue)}</td>
       </tr>
     `;
   }).join('');
 }
 
+/**
+ * Render a full-width row describing the rebalancing trades made at the start of a year
+ *
+ * @param {Object} year - Combined yearly result
+ * @param {number} columnCount - Number of table columns to span
+ * @param {Object} names - Component display names keyed by strategy ID
+ * @returns {string} Row HTML, or an empty string if no rebalance happened
+ */
+function renderRebalancingRow(year, columnCount, names) {
+  const rebalancing = year.rebalancing;
+  if (!rebalancing?.triggered) return '';
+
+  const describe = action => rebalancing.trades
+    .filter(t => t.action === action)
+    .map(t => `${formatCurrency(t.amount)} ${names[t.id] || t.id}`)
+    .join(', ');
+
+  const taxNote = rebalancing.taxPaid > 0 ? ` incl. ${formatCurrency(rebalancing.taxPaid)} tax` : '';
+
+  return `
+      <tr class="rebalance-row">
+        <td colspan="${columnCount}" title="Drift from target: ${formatNumber(rebalancing.maxDrift, 1)} points">
+          ↻ ${year.year} rebalance: sold ${describe('sell')}; bought ${describe('buy')}
+          (cost ${formatCurrency(rebalancing.totalCost)}${taxNote})
+        </td>
+      </tr>`;
+}
+
 /**
  * Get portfolio value from a sub-strategy yearly result
  */
@@ -380,37 +927,26 @@ function getSubStrategyValue(yearData) {
 }
 
 /**
- * Get combined withdrawal and fees info from sub-strategies
+ * Get combined withdrawal and fees info from component yearly results
+ *
+ * @param {Object[]} componentYears - Yearly results for each component (gold or SIPP)
+ * @returns {Object} Gross withdrawal and total fees/tax
  */
-function getCombinedWithdrawalInfo(strategyA, strategyB) {
+function getCombinedWithdrawalInfo(componentYears) {
   let grossWithdrawal = 0;
   let totalFees = 0;
 
-  // Strategy A (could be gold or SIPP)
-  if (strategyA) {
-    if (strategyA.withdrawalGross !== undefined) {
-      // Gold strategy
-      grossWithdrawal += strategyA.withdrawalGross || 0;
-      totalFees += (strategyA.transactionCost || 0) + (strategyA.storageFee || 0);
-    } else {
-      // SIPP strategy
-      grossWithdrawal += strategyA.grossWithdrawal || 0;
-      totalFees += (strategyA.managementFee || 0) + (strategyA.taxOnWithdrawal || 0);
-    }
-  }
-
-  // Strategy B (could be gold or SIPP)
-  if (strategyB) {
-    if (strategyB.withdrawalGross !== undefined) {
+  componentYears.filter(Boolean).forEach(yearData => {
+    if (yearData.withdrawalGross !== undefined) {
       // Gold strategy
-      grossWithdrawal += strategyB.withdrawalGross || 0;
-      totalFees += (strategyB.transactionCost || 0) + (strategyB.storageFee || 0);
+      grossWithdrawal += yearData.withdrawalGross || 0;
+      totalFees += (yearData.transactionCost || 0) + (yearData.storageFee || 0);
     } else {
       // SIPP strategy
-      grossWithdrawal += strategyB.grossWithdrawal || 0;
-      totalFees += (strategyB.managementFee || 0) + (strategyB.taxOnWithdrawal || 0);
+      grossWithdrawal += yearData.grossWithdrawal || 0;
+      totalFees += (yearData.managementFee || 0) + (yearData.dealingCost || 0) + (yearData.taxOnWithdrawal || 0);
     }
-  }
+  });
 
   return { grossWithdrawal, totalFees };
 }
@@ -0,0 +1,149 @@
+/**
+ * Rolling Backtest Component
+ *
+ * Renders how the two selected strategies fared for every feasible
+ * start year: success rates, real final values and a per-cohort table.
+ *
+ * @module components/rollingBacktest
+ */
+
+import { formatCurrency, formatPercent } from '../utils/formatters.js';
+
+/**
+ * Render the rolling backtest section
+ *
+ * @param {Object} rolling - Result from runRollingComparison()
+ * @param {Object} [types={}] - Strategy types keyed by 'strategy1'/'strategy2', used for card themes
+ */
+export function renderRollingBacktest(rolling, types = {}) {
+  const section = document.getElementById('rolling-section');
+  const container = document.getElementById('rolling-content');
+
+  if (!section || !container) return;
+
+  const { inputs, strategy1, strategy2 } = rolling;
+  const withdrawalText = inputs.targetNetIncome
+    ? `taking ${formatCurrency(inputs.targetNetIncome)} a year net income`
+    : `at a ${inputs.withdrawalRate}% withdrawal rate`;
+
+  container.innerHTML = `
+    <p class="rolling-intro">
+      ${inputs.years}-year periods starting every year from ${inputs.firstStartYear} to ${inputs.lastStartYear}
+      ${withdrawalText}. Final values are after tax, in start-year pounds.
+    </p>
+    <div class="metrics-comparison">
+      ${renderBacktestCard(strategy1, types.strategy1)}
+      ${renderBacktestCard(strategy2, types.strategy2)}
+    </div>
+    ${renderCohortTable(rolling)}
+  `;
+
+  section.hidden = false;
+  section.classList.add('visible');
+}
+
+/**
+ * Clear and hide the rolling backtest section
+ */
+export function clearRollingBacktest() {
+  const section = document.getElementById('rolling-section');
+  const container = document.getElementById('rolling-content');
+
+  if (container) container.innerHTML = '';
+  if (section) {
+    section.hidden = true;
+    section.classList.remove('visible');
+  }
+}
+
+/**
+ * Render summary statistics for one strategy's backtest
+ */
+function renderBacktestCard(backtest, type) {
+  const { strategyShortName, summary } = backtest;
+  const themeClass = type === 'gold'
+    ? 'gold-theme'
+    : type === 'combined'
+      ? 'combined-theme'
+      : 'sipp-theme';
+
+  return `
+    <div class="metrics-card ${themeClass}">
+      <h4>${strategyShortName}</h4>
+      <dl class="metrics-list">
+        <div class="metric">
+          <dt title="Share of start years in which the strategy lasted the full period">Success Rate</dt>
+          <dd>${formatPercent(summary.successRate / 100)} (${summary.successCount} of ${summary.cohortCount})</dd>
+        </div>
+        <div class="metric">
+          <dt title="Median remaining value across all start years, in start-year pounds">Median Final Value</dt>
+          <dd>${formatCurrency(summary.medianFinalRealValue)}</dd>
+        </div>
+        <div class="metric">
+          <dt title="Highest remaining value across all start years, in start-year pounds">Best Final Value</dt>
+          <dd class="positive">${formatCurrency(summary.bestFinalRealValue)} (${summary.bestCohort.startYear})</dd>
+        </div>
+        <div class="metric total">
+          <dt title="Start year with the lowest remaining value (or the earliest run-out)">Worst Start Year</dt>
+          <dd class="negative">${summary.worstCohort.startYear}: ${describeOutcome(summary.worstCohort)}</dd>
+        </div>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Render one row per start year comparing both strategies
+ */
+function renderCohortTable(rolling) {
+  const { strategy1, strategy2, cohortComparison, summary } = rolling;
+
+  const rows = cohortComparison.map((comparison, idx) => {
+    const winnerName = comparison.winner === 'tie'
+      ? 'Tie'
+      : (comparison.winner === 'strategy1' ? strategy1.strategyShortName : strategy2.strategyShortName);
+
+    return `
+          <tr>
+            <td>${comparison.startYear}</td>
+            <td>${describeOutcome(strategy1.cohorts[idx])}</td>
+            <td>${describeOutcome(strategy2.cohorts[idx])}</td>
+            <td>${winnerName}</td>
+          </tr>`;
+  }).join('');
+
+  return `
+    <div class="difference-summary">
+      <h4>By Start Year (${strategy1.strategyShortName} ${summary.strategy1Wins} – ${summary.strategy2Wins} ${strategy2.strategyShortName})</h4>
+      <div class="table-container">
+        <table class="comparison-table rolling-table">
+          <thead>
+            <tr>
+              <th title="First year of the period">Start Year</th>
+              <th title="Final value after tax in start-year pounds, or the year money ran out">${strategy1.strategyShortName}</th>
+              <th title="Final value after tax in start-year pounds, or the year money ran out">${strategy2.strategyShortName}</th>
+              <th title="Higher total value realized (net withdrawals + final value)">Winner</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Describe a cohort's outcome: its real final value, or when it ran out
+ */
+function describeOutcome(cohort) {
+  if (!cohort.successful && cohort.yearDepleted !== null) {
+    return `Ran out in ${cohort.yearDepleted}`;
+  }
+  return formatCurrency(cohort.finalRealValue);
+}
+
+export default {
+  renderRollingBacktest,
+  clearRollingBacktest
+};
@@ -116,30 +116,56 @@ function renderStrategyMetrics(strategy) {
       : 'sipp-theme';
 
   // Determine cost label and tooltip based on type
+  // Only bars pay capital gains tax
+  const goldCgt = type === 'gold' && metrics.totalWithdrawalTax > 0;
+
   const costLabel = type === 'gold'
-    ? 'Transaction Costs + Storage'
+    ? (goldCgt ? 'Transaction Costs + Storage + CGT' : 'Transaction Costs + Storage')
     : type === 'combined'
       ? 'Total Fees'
-      : 'Management Fees + Tax';
+      : type === 'isa'
+        ? 'Management Fees + CGT'
+        : type === 'gia'
+          ? 'Management Fees + CGT + Dividend Tax'
+          : type === 'savings'
+            ? 'Tax on Interest'
+            : type === 'annuity'
+              ? 'Income Tax'
+              : 'Management Fees + Tax';
 
   const costTooltip = type === 'gold'
-    ? 'Gold transaction fees (buying/selling) plus annual storage costs'
+    ? `Transaction fees (buying/selling the metal) plus annual storage costs${goldCgt ? ' and capital gains tax on sales of bars' : ''}`
     : type === 'combined'
       ? 'Combined fees from both sub-strategies including tax and management fees'
-      : 'Annual SIPP management fees plus income tax on withdrawals';
-
-  const totalCosts = type === 'gold'
-    ? (metrics.totalFees || 0)
-    : type === 'sipp'
-      ? ((metrics.totalFees || 0) + (metrics.totalWithdrawalTax || 0))
-      : (metrics.totalFees || 0);
+      : type === 'isa'
+        ? 'Annual management fees plus capital gains tax on sales from the taxable account'
+        : type === 'gia'
+          ? 'Annual management fees plus capital gains tax on sales and tax on reinvested dividends'
+          : type === 'savings'
+            ? 'Income tax on interest above the personal allowance, starting rate for savings and Personal Savings Allowance'
+            : type === 'annuity'
+              ? 'Income tax on the annuity income, on top of any other income'
+              : type === 'drawdownAnnuity'
+                ? 'Annual SIPP management fees plus income tax on drawdown withdrawals and, after the switch, the annuity income'
+                : 'Annual SIPP management fees plus income tax on withdrawals';
+
+  const totalCosts = type === 'gold' || type === 'sipp' || type === 'isa' || type === 'gia' || type === 'savings' ||
+    type === 'annuity' || type === 'drawdownAnnuity'
+    ? ((metrics.totalFees || 0) + (metrics.totalWithdrawalTax || 0))
+    : (metrics.totalFees || 0);
+
+  // An annuity leaves no pot (once bought, for drawdown then annuity): its income continues for life instead
+  const noResidualPot = metrics.hasResidualPot === false;
+  const finalValueTooltip = noResidualPot
+    ? 'Nothing is left: the pension bought an income that is paid for life and stops at death'
+    : 'Remaining portfolio value at end of period (net of exit tax if applicable)';
 
   return `
     <div class="metrics-card ${themeClass}">
       <h4>${shortName} Strategy</h4>
       <dl class="metrics-list">
         <div class="metric">
-          <dt title="Tax paid when initially withdrawing/converting the pension">Initial Tax Paid</dt>
+          <dt title="Tax paid when initially withdrawing/converting the pension (and VAT on buying silver bars)">Initial Tax Paid</dt>
           <dd class="${metrics.initialTaxPaid > 0 ? 'negative' : 'positive'}">${metrics.initialTaxPaid > 0 ? formatCurrency(metrics.initialTaxPaid) : '£0'}</dd>
         </div>
         <div class="metric">
@@ -151,8 +177,8 @@ function renderStrategyMetrics(strategy) {
           <dd>${formatCurrency(metrics.totalNetWithdrawn)}</dd>
         </div>
         <div class="metric">
-          <dt title="Remaining portfolio value at end of period (net of exit tax if applicable)">Final Value (After Tax)</dt>
-          <dd>${formatCurrency(metrics.finalAfterTaxValue)}</dd>
+          <dt title="${finalValueTooltip}">Final Value (After Tax)</dt>
+          <dd>${noResidualPot ? 'None (income for life)' : formatCurrency(metrics.finalAfterTaxValue)}</dd>
         </div>
         <div class="metric total">
           <dt title="Total Net Withdrawn + Final Value = total wealth generated by this strategy">Total Value Realized</dt>
@@ -170,6 +196,14 @@ function renderDifferenceSummaryGeneric(comparison) {
   const { summary, strategy1, strategy2 } = comparison;
   const diff = summary.comparison;
 
+  // Strategies with no pot left are still paying income after the last year
+  const lifetimeIncome = [strategy1, strategy2].filter(s => s.metrics.hasResidualPot === false);
+  const lifetimeIncomeNote = lifetimeIncome.length > 0
+    ? `<p class="difference-summary__note">${lifetimeIncome.map(s => s.shortName).join(' and ')} ${lifetimeIncome.length > 1 ? 'leave' : 'leaves'}
+      no pot to pass on, but ${lifetimeIncome.length > 1 ? 'their' : 'its'} income continues for life after ${comparison.inputs.endYear}.
+      Total Value Realized counts only the income paid within the comparison period.</p>`
+    : '';
+
   return `
     <div class="difference-summary">
       <h4>Comparison</h4>
@@ -203,6 +237,7 @@ function renderDifferenceSummaryGeneric(comparison) {
           </tr>
         </tbody>
       </table>
+      ${lifetimeIncomeNote}
     </div>
   `;
 }
@@ -6,6 +6,7 @@ export const DEFAULTS = {
   pensionAmount: 500000,
   startYear: 2001,
   withdrawalRate: 5,
+  targetNetIncome: 20000,
   comparisonYears: 25
 };
 
@@ -23,6 +24,10 @@ export const LIMITS = {
     min: 1,
     max: 10
   },
+  targetNetIncome: {
+    min: 1000,
+    max: 1000000
+  },
   comparisonYears: {
     min: 5,
     max: 30
@@ -33,10 +38,84 @@ export const LIMITS = {
 export const COSTS = {
   goldTransactionPercent: 3,       // 3% buy/sell cost for gold (realistic dealer cost)
   goldStorageFeePercent: 0,        // 0% annual storage fee (assume home storage)
+  silverTransactionPercent: 5,     // 5% buy/sell cost for silver (wider dealer spreads than gold)
+  silverStorageFeePercent: 0,      // 0% annual storage fee (assume home storage)
   sippManagementFeePercent: 0.5,   // 0.5% annual management fee
+  goldVaultFeePercent: 0.3,        // 0.3% annual vault storage and insurance (gold bars held in a SIPP)
+  goldVaultSpreadPercent: 1,       // 1% dealer spread buying or selling vaulted gold bars
   adjustForInflation: true         // Maintain purchasing power by default
 };
 
+// Rebalancing of combined/custom portfolios
+export const REBALANCING = {
+  mode: 'never',          // 'never', 'annual' or 'threshold'
+  thresholdPercent: 5     // Rebalance when any weight drifts more than ±5 points (threshold mode)
+};
+
+// Income tax
+export const TAX = {
+  residency: 'ruk'        // 'ruk' (England, Wales, Northern Ireland) or 'scotland' (Scottish rates from 2017)
+};
+
+// Tax-free cash from SIPP strategies
+export const CRYSTALLISATION = {
+  mode: 'ufpls',          // 'ufpls' (25% of each withdrawal tax-free) or 'pcls' (25% taken up front)
+  pclsUse: 'cash'         // Upfront PCLS: 'spend' in year one, hold as 'cash' or 'reinvest' outside the pension
+};
+
+// Phased gold purchase (pension crystallised over several tax years)
+export const GOLD_PHASING = {
+  rule: 'band',           // 'band' (fill up to a tax band each year) or 'tranches' (equal shares over a number of years)
+  band: 'basic',          // Band rule: 'personalAllowance' or 'basic' (up to the higher rate threshold)
+  trancheCount: 5         // Tranches rule: number of tax years the pension is spread over
+};
+
+// Physical gold product bought by the gold strategy
+export const GOLD_PRODUCT = {
+  type: 'coins'           // 'coins' (UK legal tender, CGT-exempt) or 'bars' (bars and non-UK coins, CGT on each sale)
+};
+
+// Physical silver bought by the silver strategy
+export const SILVER_PRODUCT = {
+  type: 'britannia'       // 'britannia' (UK legal tender, CGT-exempt) or 'bars' (bars and non-UK coins, VAT on purchase and CGT on each sale)
+};
+
+// Annuity bought with the pension (after the 25% tax-free lump sum)
+export const ANNUITY = {
+  type: 'level',                // 'level' (fixed income) or 'rpi' (income rises with RPI each year)
+  switchAge: 75,                // Drawdown then annuity: age at which the remaining pot buys the annuity
+  drawdownIndex: 'msciWorld'    // Drawdown then annuity: SIPP fund held until the switch
+};
+
+// Other taxable income (state pension, salary, rent) taxed before pension withdrawals
+export const OTHER_INCOME = {
+  amount: 0,              // Annual amount in from-year pounds (0 = none)
+  inflationLinked: true   // Rises with UK CPI from its first year
+};
+
+// State Pension
+export const STATE_PENSION = {
+  ageAtStart: 60,                        // Age when the strategy starts
+  statePensionAge: 67,                   // Age the State Pension starts
+  fullRatePercent: 100,                  // Share of the full rate (100 = full National Insurance record)
+  projectedEarningsGrowthPercent: 3.5,   // Triple lock assumptions for years beyond the data
+  projectedInflationPercent: 2.0,
+  tripleLockFloorPercent: 2.5
+};
+
+// Monte Carlo simulation
+export const MONTE_CARLO = {
+  simulations: 1000,      // Number of resampled market paths
+  seed: 1,                // Random seed (same seed = same paths)
+  blockLength: 1          // Consecutive historical years drawn together (1 = independent years)
+};
+
+// Safe withdrawal rate solver
+export const WITHDRAWAL_RATE_SOLVER = {
+  precision: 0.01,        // Stop when the rate is known to within 0.01 percentage points
+  maxRate: 100            // Highest withdrawal rate (%) searched
+};
+
 // Pension rules
 export const PENSION_RULES = {
   taxFreePercent: 25  // 25% of pension withdrawal is tax-free
@@ -0,0 +1,137 @@
+/**
+ * Bank of England Bank Rate and Cash Total Return Index
+ * Source: Bank of England, Official Bank Rate history (MLR 1980-1981, minimum
+ * band 1 dealing rate 1981-1997, repo rate from 1997, Bank Rate from 2006)
+ *
+ * bankRates holds the average rate over each calendar year, in percent: the
+ * interest a cash deposit paying Bank Rate would have earned over the year.
+ * Instant-access savings accounts usually paid somewhat less.
+ *
+ * cashTotalReturn compounds those rates into an index of a cash balance with
+ * interest reinvested, normalised to 100 on January 1st 1980, so
+ * cashTotalReturn[year + 1] = cashTotalReturn[year] * (1 + bankRates[year] / 100).
+ *
+ * Note: 2026 is estimated from the rate at the start of the year and market
+ * expectations.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const bankRates = {
+  // 1980s - Double-digit rates to fight inflation
+  1980: 16.32,
+  1981: 13.27,
+  1982: 11.93,
+  1983: 9.83,
+  1984: 9.68,
+  1985: 12.25,
+  1986: 10.90,
+  1987: 9.74,
+  1988: 10.09,
+  1989: 13.85,
+  // 1990s - ERM membership and exit, then inflation targeting
+  1990: 14.77,
+  1991: 11.70,
+  1992: 9.56,
+  1993: 6.01,
+  1994: 5.46,
+  1995: 6.73,
+  1996: 5.96,
+  1997: 6.58,
+  1998: 7.21,
+  1999: 5.33,
+  // 2000s
+  2000: 5.97,
+  2001: 5.13,
+  2002: 4.00,
+  2003: 3.69,
+  2004: 4.38,
+  2005: 4.65,
+  2006: 4.65,
+  2007: 5.51,
+  2008: 4.68,
+  2009: 0.64,       // Cut to 0.5% in March 2009
+  // 2010s - Emergency low rates
+  2010: 0.50,
+  2011: 0.50,
+  2012: 0.50,
+  2013: 0.50,
+  2014: 0.50,
+  2015: 0.50,
+  2016: 0.40,       // Cut to 0.25% in August 2016
+  2017: 0.29,
+  2018: 0.60,
+  2019: 0.75,
+  // 2020s
+  2020: 0.23,       // Cut to 0.1% in March 2020
+  2021: 0.11,
+  2022: 1.48,
+  2023: 4.68,
+  2024: 5.08,
+  2025: 4.21,
+  2026: 3.60        // Estimated
+};
+
+/**
+ * Build the cash total return index from the yearly rates
+ *
+ * @param {Object} rates - Average rate (percent) by year
+ * @returns {Object} Index value on January 1st of each year (1980 = 100)
+ */
+function buildCashIndex(rates) {
+  const years = Object.keys(rates).map(Number).sort((a, b) => a - b);
+  const index = { [years[0]]: 100 };
+
+  for (let i = 1; i < years.length; i++) {
+    const year = years[i];
+    index[year] = index[year - 1] * (1 + rates[year - 1] / 100);
+  }
+
+  return index;
+}
+
+export const cashTotalReturn = buildCashIndex(bankRates);
+
+/**
+ * Get the average Bank Rate for a given year
+ *
+ * @param {number} year - The year
+ * @returns {number} Average Bank Rate over the year, in percent
+ * @throws {Error} If year is not available
+ */
+export function getBankRate(year) {
+  const rate = bankRates[year];
+  if (rate === undefined) {
+    throw new Error(`Bank Rate data not available for year ${year}`);
+  }
+  return rate;
+}
+
+/**
+ * Get the cash total return index value for a given year
+ *
+ * @param {number} year - The year to get the value for
+ * @returns {number} Cash total return index value on January 1st
+ * @throws {Error} If year is not available
+ */
+export function getCashTotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.CASH) ?? cashTotalReturn;
+  const value = values[year];
+  if (value === undefined) {
+    throw new Error(`Cash total return data not available for year ${year}`);
+  }
+  return value;
+}
+
+/**
+ * Get all available years in the dataset
+ *
+ * @returns {number[]} Array of available years
+ */
+export function getAvailableYears() {
+  return Object.keys(bankRates)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+export default bankRates;
@@ -0,0 +1,83 @@
+/**
+ * Index Dividend Yields
+ * Source: S&P Dow Jones Indices, Nasdaq, FTSE Russell, Robert Shiller (approximate)
+ *
+ * Trailing 12-month dividend yield (%) at the start of each year. The total
+ * return series already include reinvested dividends; these yields split out
+ * the part of each year's return paid as dividends, which is taxable when the
+ * tracker is held outside a pension or ISA (accumulating funds report it as a
+ * notional distribution).
+ *
+ * The yields are not replaced when simulations swap the market series.
+ */
+
+export const dividendYields = {
+  sp500: {
+    1980: 5.2, 1981: 4.5, 1982: 5.2, 1983: 4.4, 1984: 4.5,
+    1985: 4.3, 1986: 3.6, 1987: 3.4, 1988: 3.6, 1989: 3.3,
+    1990: 3.2, 1991: 3.7, 1992: 2.9, 1993: 2.9, 1994: 2.7,
+    1995: 2.9, 1996: 2.2, 1997: 2.0, 1998: 1.6, 1999: 1.3,
+    2000: 1.2, 2001: 1.2, 2002: 1.4, 2003: 1.8, 2004: 1.6,
+    2005: 1.7, 2006: 1.8, 2007: 1.8, 2008: 1.9, 2009: 3.1,
+    2010: 1.9, 2011: 1.8, 2012: 2.0, 2013: 2.1, 2014: 1.9,
+    2015: 2.0, 2016: 2.2, 2017: 2.0, 2018: 1.8, 2019: 2.1,
+    2020: 1.8, 2021: 1.5, 2022: 1.3, 2023: 1.7, 2024: 1.5,
+    2025: 1.3, 2026: 1.2
+  },
+  nasdaq100: {
+    1985: 1.2, 1986: 1.1, 1987: 1.0, 1988: 1.1, 1989: 1.0,
+    1990: 1.0, 1991: 1.0, 1992: 0.8, 1993: 0.8, 1994: 0.7,
+    1995: 0.7, 1996: 0.5, 1997: 0.4, 1998: 0.3, 1999: 0.2,
+    2000: 0.1, 2001: 0.1, 2002: 0.2, 2003: 0.3, 2004: 0.3,
+    2005: 0.4, 2006: 0.5, 2007: 0.6, 2008: 0.7, 2009: 1.2,
+    2010: 0.8, 2011: 1.0, 2012: 1.2, 2013: 1.3, 2014: 1.2,
+    2015: 1.2, 2016: 1.2, 2017: 1.1, 2018: 0.9, 2019: 1.0,
+    2020: 0.8, 2021: 0.6, 2022: 0.6, 2023: 0.9, 2024: 0.7,
+    2025: 0.6, 2026: 0.6
+  },
+  ftse100: {
+    1984: 4.7, 1985: 4.5, 1986: 4.3, 1987: 3.8, 1988: 4.7,
+    1989: 4.3, 1990: 4.8, 1991: 5.3, 1992: 4.9, 1993: 4.0,
+    1994: 3.6, 1995: 4.3, 1996: 3.9, 1997: 3.8, 1998: 3.2,
+    1999: 2.6, 2000: 2.2, 2001: 2.4, 2002: 2.8, 2003: 3.8,
+    2004: 3.3, 2005: 3.2, 2006: 3.0, 2007: 3.0, 2008: 3.2,
+    2009: 4.8, 2010: 3.3, 2011: 3.3, 2012: 3.7, 2013: 3.6,
+    2014: 3.5, 2015: 3.8, 2016: 4.0, 2017: 3.6, 2018: 3.8,
+    2019: 4.9, 2020: 3.6, 2021: 3.3, 2022: 3.4, 2023: 3.8,
+    2024: 3.8, 2025: 3.6, 2026: 3.2
+  }
+};
+
+/**
+ * Get the dividend yield of an index at the start of a year
+ *
+ * @param {number} year - The year
+ * @param {string} indexType - Index type ('sp500', 'nasdaq100' or 'ftse100')
+ * @returns {number} Dividend yield as a percentage (e.g., 1.5 for 1.5%)
+ * @throws {Error} If there is no yield for the index or year
+ *
+ * @example
+ * getDividendYield(2000, 'ftse100'); // 2.2
+ */
+export function getDividendYield(year, indexType) {
+  const yields = dividendYields[indexType];
+  if (!yields) {
+    throw new Error(`Dividend yields not available for index: ${indexType}`);
+  }
+  if (!(year in yields)) {
+    throw new Error(`Dividend yield not available for ${indexType} in year ${year}`);
+  }
+  return yields[year];
+}
+
+/**
+ * Check whether dividend yields are available for an index
+ *
+ * @param {string} indexType - Index type
+ * @returns {boolean} True for 'sp500', 'nasdaq100' and 'ftse100'
+ */
+export function hasDividendYields(indexType) {
+  return indexType in dividendYields;
+}
+
+export default dividendYields;
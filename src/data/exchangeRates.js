@@ -5,6 +5,8 @@
  * Rate expressed as: 1 GBP = X USD
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 export const exchangeRates = {
   // 1980s - Bank of England historical rates
   1980: 2.2255,   // Jan 2, 1980
@@ -65,10 +67,11 @@ export const exchangeRates = {
  * @throws {Error} If year is not in the dataset
  */
 export function getExchangeRate(year) {
-  if (!(year in exchangeRates)) {
+  const rates = getMarketSeries(MARKET_SERIES.EXCHANGE_RATES) ?? exchangeRates;
+  if (!(year in rates)) {
     throw new Error(`Exchange rate data not available for year ${year}`);
   }
-  return exchangeRates[year];
+  return rates[year];
 }
 
 /**
@@ -12,6 +12,8 @@
  * Note: Values before 1984 are not available as the index did not exist.
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 export const ftse100TotalReturn = {
   // 1984-1989 - Early years (index launched Jan 3, 1984)
   1984: 1000.00,   // Base value at launch
@@ -74,10 +76,11 @@ export const ftse100TotalReturn = {
  * @throws {Error} If year is not in the dataset
  */
 export function getFTSE100TotalReturn(year) {
-  if (!(year in ftse100TotalReturn)) {
+  const values = getMarketSeries(MARKET_SERIES.FTSE100) ?? ftse100TotalReturn;
+  if (!(year in values)) {
     throw new Error(`FTSE 100 Total Return data not available for year ${year}. Index launched in 1984.`);
   }
-  return ftse100TotalReturn[year];
+  return values[year];
 }
 
 /**
@@ -0,0 +1,111 @@
+/**
+ * FTSE 250 Total Return Index Values (GBP)
+ * Source: FTSE Russell, Bloomberg, January 1st (or first trading day) each year
+ *
+ * The Total Return Index includes reinvested dividends, which is what an
+ * accumulating ETF tracking the FTSE 250 would follow.
+ *
+ * The FTSE 250 holds the 101st to 350th largest UK-listed companies: mid caps
+ * with more domestic UK exposure than the FTSE 100. It was launched in October
+ * 1992 and back-calculated to December 31, 1985 with a base value of 1412.60.
+ * Data starts from 1986.
+ *
+ * Note: This index is already denominated in GBP - no currency conversion needed.
+ * Note: Values before 1986 are not available as the index was not calculated.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const ftse250TotalReturn = {
+  // 1986-1989 - Early years (index back-calculated before its 1992 launch)
+  1986: 1412.60,   // Base value (back-calculated to Dec 31, 1985)
+  1987: 1723.37,   // Jan 2, 1987 (+22.0%)
+  1988: 1893.99,   // Jan 4, 1988 (+9.9%)
+  1989: 2017.09,   // Jan 3, 1989 (+6.5%)
+
+  // 1990s
+  1990: 2279.32,   // Jan 2, 1990 (+13.0%)
+  1991: 1857.64,   // Jan 2, 1991 (-18.5% - recession and high rates)
+  1992: 2114.00,   // Jan 2, 1992 (+13.8%)
+  1993: 2452.24,   // Jan 4, 1993 (+16.0%)
+  1994: 3300.71,   // Jan 3, 1994 (+34.6%)
+  1995: 3013.55,   // Jan 3, 1995 (-8.7%)
+  1996: 3577.08,   // Jan 2, 1996 (+18.7%)
+  1997: 4006.33,   // Jan 2, 1997 (+12.0%)
+  1998: 4431.01,   // Jan 2, 1998 (+10.6%)
+  1999: 4399.99,   // Jan 4, 1999 (-0.7%)
+
+  // 2000s
+  2000: 5997.19,   // Jan 3, 2000 (+36.3%)
+  2001: 6381.00,   // Jan 2, 2001 (+6.4%)
+  2002: 5832.24,   // Jan 2, 2002 (-8.6%)
+  2003: 4385.84,   // Jan 2, 2003 (-24.8% - dot-com bust)
+  2004: 6026.15,   // Jan 2, 2004 (+37.4%)
+  2005: 7556.79,   // Jan 3, 2005 (+25.4%)
+  2006: 9823.83,   // Jan 3, 2006 (+30.0%)
+  2007: 13016.57,  // Jan 3, 2007 (+32.5%)
+  2008: 12443.84,  // Jan 2, 2008 (-4.4%)
+  2009: 7677.85,   // Jan 2, 2009 (-38.3% - financial crisis)
+
+  // 2010s
+  2010: 11562.84,  // Jan 4, 2010 (+50.6% - recovery)
+  2011: 14742.63,  // Jan 3, 2011 (+27.5%)
+  2012: 13253.62,  // Jan 3, 2012 (-10.1%)
+  2013: 16712.81,  // Jan 2, 2013 (+26.1%)
+  2014: 22111.05,  // Jan 2, 2014 (+32.3%)
+  2015: 22929.16,  // Jan 2, 2015 (+3.7%)
+  2016: 25497.23,  // Jan 4, 2016 (+11.2%)
+  2017: 27205.54,  // Jan 3, 2017 (+6.7% - referendum volatility)
+  2018: 32048.13,  // Jan 2, 2018 (+17.8%)
+  2019: 27785.73,  // Jan 2, 2019 (-13.3% - Brexit uncertainty)
+
+  // 2020s
+  2020: 35815.80,  // Jan 2, 2020 (+28.9%)
+  2021: 34168.28,  // Jan 4, 2021 (-4.6%)
+  2022: 39942.72,  // Jan 3, 2022 (+16.9%)
+  2023: 32992.68,  // Jan 3, 2023 (-17.4% - rate rises and mini-budget)
+  2024: 35632.10,  // Jan 2, 2024 (+8.0%)
+  2025: 38518.30,  // Jan 2, 2025 (+8.1%)
+  2026: 43333.09   // Jan 2, 2026 (+12.5% - estimated)
+};
+
+/**
+ * Get FTSE 250 Total Return Index value for a specific year
+ * @param {number} year - The year to get the value for
+ * @returns {number} FTSE 250 TR Index value (GBP)
+ * @throws {Error} If year is not in the dataset
+ */
+export function getFTSE250TotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.FTSE250) ?? ftse250TotalReturn;
+  if (!(year in values)) {
+    throw new Error(`FTSE 250 Total Return data not available for year ${year}. Index data starts in 1986.`);
+  }
+  return values[year];
+}
+
+/**
+ * Get all available years
+ * @returns {number[]} Array of years with data
+ */
+export function getAvailableYears() {
+  return Object.keys(ftse250TotalReturn).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Get the earliest year with data
+ * @returns {number} Earliest year (1986)
+ */
+export function getEarliestYear() {
+  return 1986;
+}
+
+/**
+ * Check if data is available for a given year
+ * @param {number} year - Year to check
+ * @returns {boolean} True if data available
+ */
+export function hasDataForYear(year) {
+  return year in ftse250TotalReturn;
+}
+
+export default ftse250TotalReturn;
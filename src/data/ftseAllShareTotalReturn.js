@@ -0,0 +1,116 @@
+/**
+ * FTSE All-Share Total Return Index Values (GBP)
+ * Source: FTSE Russell, Bloomberg, January 1st (or first trading day) each year
+ *
+ * The Total Return Index includes reinvested dividends, which is what an
+ * accumulating ETF tracking the FTSE All-Share would follow.
+ *
+ * The FTSE All-Share covers about 98% of UK market capitalisation (FTSE 100,
+ * FTSE 250 and small caps), the broad UK market benchmark. It has been
+ * calculated since 1962 (as the FT-Actuaries All-Share).
+ *
+ * Note: This index is already denominated in GBP - no currency conversion needed.
+ * Note: Values are normalized to a base of 1000 on January 1st 1980 for consistency.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const ftseAllShareTotalReturn = {
+  // 1980s
+  1980: 1000.00,   // Base year (normalized)
+  1981: 1350.00,   // Jan 2, 1981 (+35.0%)
+  1982: 1532.25,   // Jan 4, 1982 (+13.5%)
+  1983: 1975.07,   // Jan 4, 1983 (+28.9%)
+  1984: 2543.89,   // Jan 3, 1984 (+28.8%)
+  1985: 3352.85,   // Jan 2, 1985 (+31.8%)
+  1986: 4030.12,   // Jan 2, 1986 (+20.2%)
+  1987: 5138.41,   // Jan 2, 1987 (+27.5%)
+  1988: 5549.48,   // Jan 4, 1988 (+8.0%)
+  1989: 6193.22,   // Jan 3, 1989 (+11.6%)
+
+  // 1990s
+  1990: 8428.97,   // Jan 2, 1990 (+36.1%)
+  1991: 7611.36,   // Jan 2, 1991 (-9.7%)
+  1992: 9194.52,   // Jan 2, 1992 (+20.8%)
+  1993: 11079.40,  // Jan 4, 1993 (+20.5%)
+  1994: 14225.95,  // Jan 3, 1994 (+28.4%)
+  1995: 13386.62,  // Jan 3, 1995 (-5.9%)
+  1996: 16465.54,  // Jan 2, 1996 (+23.0%)
+  1997: 19215.29,  // Jan 2, 1997 (+16.7%)
+  1998: 23750.10,  // Jan 2, 1998 (+23.6%)
+  1999: 27027.61,  // Jan 4, 1999 (+13.8%)
+
+  // 2000s
+  2000: 33568.29,  // Jan 3, 2000 (+24.2%)
+  2001: 31587.76,  // Jan 2, 2001 (-5.9%)
+  2002: 27386.59,  // Jan 2, 2002 (-13.3%)
+  2003: 21169.83,  // Jan 2, 2003 (-22.7% - dot-com bust)
+  2004: 25594.33,  // Jan 2, 2004 (+20.9%)
+  2005: 28870.40,  // Jan 3, 2005 (+12.8%)
+  2006: 35221.89,  // Jan 3, 2006 (+22.0%)
+  2007: 41139.17,  // Jan 3, 2007 (+16.8%)
+  2008: 43319.54,  // Jan 2, 2008 (+5.3%)
+  2009: 30367.00,  // Jan 2, 2009 (-29.9% - financial crisis)
+
+  // 2010s
+  2010: 39507.47,  // Jan 4, 2010 (+30.1%)
+  2011: 45236.05,  // Jan 3, 2011 (+14.5%)
+  2012: 43652.79,  // Jan 3, 2012 (-3.5%)
+  2013: 49022.08,  // Jan 2, 2013 (+12.3%)
+  2014: 59218.68,  // Jan 2, 2014 (+20.8%)
+  2015: 59929.30,  // Jan 2, 2015 (+1.2%)
+  2016: 60528.59,  // Jan 4, 2016 (+1.0%)
+  2017: 70697.40,  // Jan 3, 2017 (+16.8%)
+  2018: 79958.75,  // Jan 2, 2018 (+13.1%)
+  2019: 72362.67,  // Jan 2, 2019 (-9.5%)
+
+  // 2020s
+  2020: 86256.31,  // Jan 2, 2020 (+19.2%)
+  2021: 77803.19,  // Jan 4, 2021 (-9.8% - COVID crash)
+  2022: 92041.17,  // Jan 3, 2022 (+18.3%)
+  2023: 92317.30,  // Jan 3, 2023 (+0.3%)
+  2024: 99610.36,  // Jan 2, 2024 (+7.9%)
+  2025: 109073.35, // Jan 2, 2025 (+9.5%)
+  2026: 135250.95  // Jan 2, 2026 (+24.0% - estimated)
+};
+
+/**
+ * Get FTSE All-Share Total Return Index value for a specific year
+ * @param {number} year - The year to get the value for
+ * @returns {number} FTSE All-Share TR Index value (GBP)
+ * @throws {Error} If year is not in the dataset
+ */
+export function getFTSEAllShareTotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.FTSE_ALL_SHARE) ?? ftseAllShareTotalReturn;
+  if (!(year in values)) {
+    throw new Error(`FTSE All-Share Total Return data not available for year ${year}.`);
+  }
+  return values[year];
+}
+
+/**
+ * Get all available years
+ * @returns {number[]} Array of years with data
+ */
+export function getAvailableYears() {
+  return Object.keys(ftseAllShareTotalReturn).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Get the earliest year with data
+ * @returns {number} Earliest year (1980)
+ */
+export function getEarliestYear() {
+  return 1980;
+}
+
+/**
+ * Check if data is available for a given year
+ * @param {number} year - Year to check
+ * @returns {boolean} True if data available
+ */
+export function hasDataForYear(year) {
+  return year in ftseAllShareTotalReturn;
+}
+
+export default ftseAllShareTotalReturn;
@@ -6,6 +6,8 @@
  * Note: USD prices from goldprice.org, converted using GBP/USD exchange rates
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 export const goldPrices = {
   // 1980s - Gold prices in GBP (USD converted using exchange rates)
   1980: 267.13,   // Jan 2, 1980 - $594.75 USD (end of gold spike)
@@ -66,10 +68,11 @@ export const goldPrices = {
  * @throws {Error} If year is not in the dataset
  */
 export function getGoldPrice(year) {
-  if (!(year in goldPrices)) {
+  const prices = getMarketSeries(MARKET_SERIES.GOLD) ?? goldPrices;
+  if (!(year in prices)) {
     throw new Error(`Gold price data not available for year ${year}`);
   }
-  return goldPrices[year];
+  return prices[year];
 }
 
 /**
@@ -0,0 +1,265 @@
+/**
+ * UK Capital Gains Tax, Dividend Tax and Savings Tax Data by Tax Year
+ * Source: HMRC, Finance Acts 1980-2025, HMRC Capital Gains Manual
+ *
+ * Capital gains tax (individuals, shares and funds):
+ * - 1980-1987: Flat 30%
+ * - 1988-2007: Gains taxed as the top slice of income, at the basic rate
+ *   (the 20% savings rate from 1999) within the basic rate band and 40% above
+ *   it. The lower and starting rate bands are not modelled
+ * - 2008-2009: Flat 18%
+ * - 2010-2015: 18% within the basic rate band, 28% above it
+ * - 2016-2024: 10% within the basic rate band, 20% above it
+ * - From 2025: 18% and 24% (the new rates applied from 30 October 2024, but
+ *   disposals are modelled at the start of each tax year)
+ *
+ * Indexation allowance ran from March 1982 and was frozen at April 1998
+ * (abolished from 2008); taper relief applied to disposals from 1998 to 2007.
+ * Both are applied per lot by the investmentTax calculator.
+ *
+ * Dividend tax (cash dividends, including notional distributions from
+ * accumulating funds):
+ * - Before 2016 dividends came with a tax credit that covered basic rate tax,
+ *   so only higher rate taxpayers paid more. upperRate is that extra tax as a
+ *   share of the cash dividend: (higher rate - credit rate) / (1 - credit rate),
+ *   using the 40% higher rate (the 1980-1987 higher rate ladder is not modelled)
+ *   and the 32.5% dividend upper rate with its 10% credit from 1999
+ * - From 2016 the credit was replaced by a tax-free dividend allowance with
+ *   ordinary and upper dividend rates; the additional dividend rate is not modelled
+ *
+ * Tax on savings interest (paid gross, taxed as the top slice of non-dividend income):
+ * - basicRate is the rate on interest within the basic rate band: the basic
+ *   rate until 1995, then the 20% lower rate for savings income. Interest
+ *   above the band pays the higher (and additional) rates of income tax
+ * - Starting rate for savings (from 2008): interest within startingRateLimit
+ *   of the personal allowance pays startingRate (10%, 0% from 2015); other
+ *   income above the personal allowance uses the band up first. The general
+ *   10% starting rate of 1999-2007 is not modelled
+ * - Personal Savings Allowance (from 2016): the first allowanceBasic of interest
+ *   is tax-free for basic rate taxpayers, allowanceHigher for higher rate
+ *   taxpayers and none for additional rate taxpayers
+ *
+ * e.g., 2024 represents tax year 2024/25.
+ */
+
+import { isValidYear } from '../utils/validators.js';
+import { YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * Last tax year disposals could use indexation allowance
+ */
+export const INDEXATION_END_YEAR = 2007;
+
+/**
+ * First and last tax years of taper relief
+ */
+export const TAPER_RELIEF_YEARS = { from: 1998, to: 2007 };
+
+export const capitalGainsTaxData = {
+  1980: { annualExemptAmount: 3000, basicRate: 0.30, higherRate: 0.30 },
+  1981: { annualExemptAmount: 3000, basicRate: 0.30, higherRate: 0.30 },
+  1982: { annualExemptAmount: 5000, basicRate: 0.30, higherRate: 0.30 },
+  1983: { annualExemptAmount: 5300, basicRate: 0.30, higherRate: 0.30 },
+  1984: { annualExemptAmount: 5600, basicRate: 0.30, higherRate: 0.30 },
+  1985: { annualExemptAmount: 5900, basicRate: 0.30, higherRate: 0.30 },
+  1986: { annualExemptAmount: 6300, basicRate: 0.30, higherRate: 0.30 },
+  1987: { annualExemptAmount: 6600, basicRate: 0.30, higherRate: 0.30 },
+  // Gains taxed at income tax rates
+  1988: { annualExemptAmount: 5000, basicRate: 0.25, higherRate: 0.40 },
+  1989: { annualExemptAmount: 5000, basicRate: 0.25, higherRate: 0.40 },
+  1990: { annualExemptAmount: 5000, basicRate: 0.25, higherRate: 0.40 },
+  1991: { annualExemptAmount: 5500, basicRate: 0.25, higherRate: 0.40 },
+  1992: { annualExemptAmount: 5800, basicRate: 0.25, higherRate: 0.40 },
+  1993: { annualExemptAmount: 5800, basicRate: 0.25, higherRate: 0.40 },
+  1994: { annualExemptAmount: 5800, basicRate: 0.25, higherRate: 0.40 },
+  1995: { annualExemptAmount: 6000, basicRate: 0.25, higherRate: 0.40 },
+  1996: { annualExemptAmount: 6300, basicRate: 0.24, higherRate: 0.40 },
+  1997: { annualExemptAmount: 6500, basicRate: 0.23, higherRate: 0.40 },
+  1998: { annualExemptAmount: 6800, basicRate: 0.23, higherRate: 0.40 },
+  1999: { annualExemptAmount: 7100, basicRate: 0.20, higherRate: 0.40 },
+  2000: { annualExemptAmount: 7200, basicRate: 0.20, higherRate: 0.40 },
+  2001: { annualExemptAmount: 7500, basicRate: 0.20, higherRate: 0.40 },
+  2002: { annualExemptAmount: 7700, basicRate: 0.20, higherRate: 0.40 },
+  2003: { annualExemptAmount: 7900, basicRate: 0.20, higherRate: 0.40 },
+  2004: { annualExemptAmount: 8200, basicRate: 0.20, higherRate: 0.40 },
+  2005: { annualExemptAmount: 8500, basicRate: 0.20, higherRate: 0.40 },
+  2006: { annualExemptAmount: 8800, basicRate: 0.20, higherRate: 0.40 },
+  2007: { annualExemptAmount: 9200, basicRate: 0.20, higherRate: 0.40 },
+  // Flat rate, indexation and taper relief abolished
+  2008: { annualExemptAmount: 9600, basicRate: 0.18, higherRate: 0.18 },
+  2009: { annualExemptAmount: 10100, basicRate: 0.18, higherRate: 0.18 },
+  2010: { annualExemptAmount: 10100, basicRate: 0.18, higherRate: 0.28 },
+  2011: { annualExemptAmount: 10600, basicRate: 0.18, higherRate: 0.28 },
+  2012: { annualExemptAmount: 10600, basicRate: 0.18, higherRate: 0.28 },
+  2013: { annualExemptAmount: 10900, basicRate: 0.18, higherRate: 0.28 },
+  2014: { annualExemptAmount: 11000, basicRate: 0.18, higherRate: 0.28 },
+  2015: { annualExemptAmount: 11100, basicRate: 0.18, higherRate: 0.28 },
+  2016: { annualExemptAmount: 11100, basicRate: 0.10, higherRate: 0.20 },
+  2017: { annualExemptAmount: 11300, basicRate: 0.10, higherRate: 0.20 },
+  2018: { annualExemptAmount: 11700, basicRate: 0.10, higherRate: 0.20 },
+  2019: { annualExemptAmount: 12000, basicRate: 0.10, higherRate: 0.20 },
+  2020: { annualExemptAmount: 12300, basicRate: 0.10, higherRate: 0.20 },
+  2021: { annualExemptAmount: 12300, basicRate: 0.10, higherRate: 0.20 },
+  2022: { annualExemptAmount: 12300, basicRate: 0.10, higherRate: 0.20 },
+  2023: { annualExemptAmount: 6000, basicRate: 0.10, higherRate: 0.20 },
+  2024: { annualExemptAmount: 3000, basicRate: 0.10, higherRate: 0.20 },
+  2025: { annualExemptAmount: 3000, basicRate: 0.18, higherRate: 0.24 },
+  2026: { annualExemptAmount: 3000, basicRate: 0.18, higherRate: 0.24 }
+};
+
+export const dividendTaxData = {
+  // Tax credit at the basic rate (30% ACT)
+  1980: { allowance: 0, ordinaryRate: 0, upperRate: 0.1429 },
+  1981: { allowance: 0, ordinaryRate: 0, upperRate: 0.1429 },
+  1982: { allowance: 0, ordinaryRate: 0, upperRate: 0.1429 },
+  1983: { allowance: 0, ordinaryRate: 0, upperRate: 0.1429 },
+  1984: { allowance: 0, ordinaryRate: 0, upperRate: 0.1429 },
+  1985: { allowance: 0, ordinaryRate: 0, upperRate: 0.1429 },
+  1986: { allowance: 0, ordinaryRate: 0, upperRate: 0.1549 },
+  1987: { allowance: 0, ordinaryRate: 0, upperRate: 0.1781 },
+  1988: { allowance: 0, ordinaryRate: 0, upperRate: 0.20 },
+  1989: { allowance: 0, ordinaryRate: 0, upperRate: 0.20 },
+  1990: { allowance: 0, ordinaryRate: 0, upperRate: 0.20 },
+  1991: { allowance: 0, ordinaryRate: 0, upperRate: 0.20 },
+  1992: { allowance: 0, ordinaryRate: 0, upperRate: 0.20 },
+  // Tax credit reduced to 20%
+  1993: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  1994: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  1995: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  1996: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  1997: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  1998: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  // 10% credit with the 32.5% dividend upper rate
+  1999: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2000: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2001: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2002: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2003: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2004: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2005: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2006: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2007: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2008: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2009: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2010: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2011: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2012: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2013: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2014: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  2015: { allowance: 0, ordinaryRate: 0, upperRate: 0.25 },
+  // Dividend allowance replaces the tax credit
+  2016: { allowance: 5000, ordinaryRate: 0.075, upperRate: 0.325 },
+  2017: { allowance: 5000, ordinaryRate: 0.075, upperRate: 0.325 },
+  2018: { allowance: 2000, ordinaryRate: 0.075, upperRate: 0.325 },
+  2019: { allowance: 2000, ordinaryRate: 0.075, upperRate: 0.325 },
+  2020: { allowance: 2000, ordinaryRate: 0.075, upperRate: 0.325 },
+  2021: { allowance: 2000, ordinaryRate: 0.075, upperRate: 0.325 },
+  2022: { allowance: 2000, ordinaryRate: 0.0875, upperRate: 0.3375 },
+  2023: { allowance: 1000, ordinaryRate: 0.0875, upperRate: 0.3375 },
+  2024: { allowance: 500, ordinaryRate: 0.0875, upperRate: 0.3375 },
+  2025: { allowance: 500, ordinaryRate: 0.0875, upperRate: 0.3375 },
+  2026: { allowance: 500, ordinaryRate: 0.1075, upperRate: 0.3575 }
+};
+
+export const savingsTaxData = {
+  // Interest taxed as other income at the basic rate
+  1980: { startingRateLimit: 0, startingRate: 0, basicRate: 0.30, allowanceBasic: 0, allowanceHigher: 0 },
+  1981: { startingRateLimit: 0, startingRate: 0, basicRate: 0.30, allowanceBasic: 0, allowanceHigher: 0 },
+  1982: { startingRateLimit: 0, startingRate: 0, basicRate: 0.30, allowanceBasic: 0, allowanceHigher: 0 },
+  1983: { startingRateLimit: 0, startingRate: 0, basicRate: 0.30, allowanceBasic: 0, allowanceHigher: 0 },
+  1984: { startingRateLimit: 0, startingRate: 0, basicRate: 0.30, allowanceBasic: 0, allowanceHigher: 0 },
+  1985: { startingRateLimit: 0, startingRate: 0, basicRate: 0.30, allowanceBasic: 0, allowanceHigher: 0 },
+  1986: { startingRateLimit: 0, startingRate: 0, basicRate: 0.29, allowanceBasic: 0, allowanceHigher: 0 },
+  1987: { startingRateLimit: 0, startingRate: 0, basicRate: 0.27, allowanceBasic: 0, allowanceHigher: 0 },
+  1988: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1989: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1990: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1991: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1992: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1993: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1994: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  1995: { startingRateLimit: 0, startingRate: 0, basicRate: 0.25, allowanceBasic: 0, allowanceHigher: 0 },
+  // Lower rate for savings income within the basic rate band
+  1996: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  1997: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  1998: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  1999: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2000: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2001: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2002: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2003: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2004: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2005: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2006: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2007: { startingRateLimit: 0, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  // 10% starting rate for savings
+  2008: { startingRateLimit: 2320, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2009: { startingRateLimit: 2440, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2010: { startingRateLimit: 2440, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2011: { startingRateLimit: 2560, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2012: { startingRateLimit: 2710, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2013: { startingRateLimit: 2790, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  2014: { startingRateLimit: 2880, startingRate: 0.10, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  // 0% starting rate for savings
+  2015: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 0, allowanceHigher: 0 },
+  // Personal Savings Allowance
+  2016: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2017: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2018: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2019: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2020: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2021: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2022: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2023: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2024: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2025: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 },
+  2026: { startingRateLimit: 5000, startingRate: 0, basicRate: 0.20, allowanceBasic: 1000, allowanceHigher: 500 }
+};
+
+/**
+ * Get capital gains tax data for a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {{annualExemptAmount: number, basicRate: number, higherRate: number}} Annual exempt
+ *   amount and the rates on gains within and above the basic rate band
+ * @throws {Error} If year is outside the supported range
+ */
+export function getCapitalGainsTaxData(year) {
+  if (!isValidYear(year)) {
+    throw new Error(`Capital gains tax data not available for year ${year} (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+  return capitalGainsTaxData[year];
+}
+
+/**
+ * Get dividend tax data for a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {{allowance: number, ordinaryRate: number, upperRate: number}} Dividend allowance and
+ *   the tax on cash dividends within and above the basic rate band
+ * @throws {Error} If year is outside the supported range
+ */
+export function getDividendTaxData(year) {
+  if (!isValidYear(year)) {
+    throw new Error(`Dividend tax data not available for year ${year} (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+  return dividendTaxData[year];
+}
+
+/**
+ * Get savings interest tax data for a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {{startingRateLimit: number, startingRate: number, basicRate: number, allowanceBasic: number,
+ *   allowanceHigher: number}} Starting rate for savings band, the rate on interest in the basic rate
+ *   band and the Personal Savings Allowance for basic and higher rate taxpayers
+ * @throws {Error} If year is outside the supported range
+ */
+export function getSavingsTaxData(year) {
+  if (!isValidYear(year)) {
+    throw new Error(`Savings tax data not available for year ${year} (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+  return savingsTaxData[year];
+}
+
+export default capitalGainsTaxData;
@@ -0,0 +1,108 @@
+/**
+ * UK Tax-Free Wrapper Subscription Limits by Tax Year
+ * Source: HMRC, Finance Acts 1986-2017, Personal Equity Plan and ISA Regulations
+ *
+ * Personal Equity Plans (PEPs) opened on 1 January 1987 with an annual limit
+ * on new money invested through a general PEP. They were replaced by the
+ * Individual Savings Account (ISA) from 6 April 1999. The limits below are
+ * the most that could be subscribed to stocks and shares in each year:
+ * - 1987-1998: general PEP limit (single company PEPs are not modelled)
+ * - 1999-2008: maxi ISA limit
+ * - 2009: the £10,200 limit available to over-50s from October 2009
+ * - From 2014: NISA/ISA limit covering all ISA types
+ *
+ * There was no tax-free wrapper for shares before 1987. PEP investment
+ * restrictions (such as the limit on non-EU funds) are not modelled.
+ *
+ * e.g., 2024 represents tax year 2024/25.
+ */
+
+import { isValidYear } from '../utils/validators.js';
+import { YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * First year subscriptions to a Personal Equity Plan were possible
+ */
+export const PEP_START_YEAR = 1987;
+
+/**
+ * First tax year of the Individual Savings Account
+ */
+export const ISA_START_YEAR = 1999;
+
+export const isaSubscriptionLimits = {
+  1987: 2400,
+  1988: 3000,
+  1989: 4800,
+  1990: 6000,
+  1991: 6000,
+  1992: 6000,
+  1993: 6000,
+  1994: 6000,
+  1995: 6000,
+  1996: 6000,
+  1997: 6000,
+  1998: 6000,
+  // ISA replaces PEP
+  1999: 7000,
+  2000: 7000,
+  2001: 7000,
+  2002: 7000,
+  2003: 7000,
+  2004: 7000,
+  2005: 7000,
+  2006: 7000,
+  2007: 7000,
+  2008: 7200,
+  2009: 10200,
+  2010: 10200,
+  2011: 10680,
+  2012: 11280,
+  2013: 11520,
+  2014: 15000,
+  2015: 15240,
+  2016: 15240,
+  2017: 20000,
+  2018: 20000,
+  2019: 20000,
+  2020: 20000,
+  2021: 20000,
+  2022: 20000,
+  2023: 20000,
+  2024: 20000,
+  2025: 20000,
+  2026: 20000
+};
+
+/**
+ * Get the PEP/ISA subscription limit for a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {number} Most that could be subscribed to stocks and shares in GBP (0 before PEPs existed)
+ * @throws {Error} If year is outside the supported range
+ *
+ * @example
+ * getIsaSubscriptionLimit(1985); // 0
+ * getIsaSubscriptionLimit(1995); // 6000
+ * getIsaSubscriptionLimit(2024); // 20000
+ */
+export function getIsaSubscriptionLimit(year) {
+  if (!isValidYear(year)) {
+    throw new Error(`ISA subscription limit not available for year ${year} (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+  return isaSubscriptionLimits[year] ?? 0;
+}
+
+/**
+ * Get the name of the tax-free wrapper available in a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {string|null} 'PEP', 'ISA', or null before PEPs existed
+ */
+export function getWrapperName(year) {
+  if (year >= ISA_START_YEAR) return 'ISA';
+  if (year >= PEP_START_YEAR) return 'PEP';
+  return null;
+}
+
+export default isaSubscriptionLimits;
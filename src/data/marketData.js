@@ -0,0 +1,106 @@
+/**
+ * Market Data Provider
+ *
+ * Lets simulations swap the historical market series for alternative
+ * (e.g. resampled) ones without changing any calculator. The data getters
+ * (getGoldPrice, getSP500TotalReturn, getExchangeRate, getInflationMultiplier, ...)
+ * check for an active replacement series before using their historical data.
+ *
+ * Series are plain objects keyed by calendar year, in the same units as the
+ * historical data they replace. Tax data is never replaced.
+ */
+
+/**
+ * Keys of the market series that can be replaced
+ */
+export const MARKET_SERIES = {
+  GOLD: 'gold',
+  SILVER: 'silver',
+  SP500: 'sp500',
+  NASDAQ100: 'nasdaq100',
+  FTSE100: 'ftse100',
+  FTSE250: 'ftse250',
+  FTSE_ALL_SHARE: 'ftseAllShare',
+  MSCI_WORLD: 'msciWorld',
+  US_LONG_TREASURY: 'usLongTreasury',
+  UK_GILTS: 'ukGilts',
+  UK_LONG_GILTS: 'ukLongGilts',
+  UK_INDEX_LINKED_GILTS: 'ukIndexLinkedGilts',
+  CASH: 'cash',
+  EXCHANGE_RATES: 'exchangeRates',
+  UK_CPI: 'ukCpi',
+  UK_RPI: 'ukRpi'
+};
+
+let activeSeries = null;
+let seriesRead = null;
+
+/**
+ * Get the replacement for a market series, if one is active
+ *
+ * @param {string} key - Series key (see MARKET_SERIES)
+ * @returns {Object|null} Year-keyed replacement series, or null to use historical data
+ */
+export function getMarketSeries(key) {
+  seriesRead?.add(key);
+  return activeSeries?.[key] ?? null;
+}
+
+/**
+ * Run a function with some market series replaced
+ *
+ * Series not included in `series` keep their historical values. The previous
+ * state is restored when the function returns or throws, so calls can nest.
+ *
+ * @param {Object} series - Replacement series keyed by MARKET_SERIES value
+ * @param {Function} fn - Synchronous function to run
+ * @returns {*} Whatever fn returns
+ *
+ * @example
+ * const result = withMarketData({ gold: { 2000: 180, 2001: 200 } }, () =>
+ *   calculateGoldStrategy(100000, 2000, 4, 2)
+ * );
+ */
+export function withMarketData(series, fn) {
+  const previous = activeSeries;
+  activeSeries = { ...previous, ...series };
+
+  try {
+    return fn();
+  } finally {
+    activeSeries = previous;
+  }
+}
+
+/**
+ * Find which market series a function reads
+ *
+ * Every data getter asks for its replacement series, so this records the
+ * series a calculation depends on. Calls can nest.
+ *
+ * @param {Function} fn - Synchronous function to run
+ * @returns {string[]} Keys (see MARKET_SERIES) of the series read, in the order first read
+ *
+ * @example
+ * getMarketSeriesRead(() => getGoldPrice(2000)); // ['gold']
+ */
+export function getMarketSeriesRead(fn) {
+  const previous = seriesRead;
+  seriesRead = new Set();
+
+  try {
+    fn();
+    return [...seriesRead];
+  } finally {
+    // An outer call also depends on whatever the inner call read
+    seriesRead.forEach(key => previous?.add(key));
+    seriesRead = previous;
+  }
+}
+
+export default {
+  MARKET_SERIES,
+  getMarketSeries,
+  withMarketData,
+  getMarketSeriesRead
+};
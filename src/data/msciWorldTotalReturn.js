@@ -0,0 +1,105 @@
+/**
+ * MSCI World Total Return Index Values (USD)
+ * Source: MSCI World Gross Total Return Index (USD), January 1st each year
+ *
+ * The Total Return Index includes reinvested dividends, which is what an
+ * accumulating global tracker like iShares Core MSCI World (SWDA) would track.
+ * MSCI World covers large and mid caps in 23 developed markets (about 70% US
+ * today, with Japan much larger in the late 1980s), so it is closer to what
+ * most UK SIPP holders own than any single-country index.
+ *
+ * Values are in USD; convert to GBP with getExchangeRate.
+ *
+ * Note: The index has been calculated since 1969. Values are normalized to a
+ * base of 100 on January 1st 1980 for consistency.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const msciWorldTotalReturn = {
+  // 1980s - Japan led the rally; falling dollar lifted USD returns
+  1980: 100.00,    // Base year (normalized)
+  1981: 125.67,
+  1982: 119.65,
+  1983: 131.27,
+  1984: 160.06,
+  1985: 167.61,
+  1986: 235.59,    // Weak dollar boosted non-US markets
+  1987: 334.28,    // Japan bubble
+  1988: 388.30,
+  1989: 478.74,
+
+  // 1990s - Japanese bear market, US-led recovery
+  1990: 558.26,    // Before the Japanese crash
+  1991: 463.24,    // Japan and the Gulf War
+  1992: 547.92,
+  1993: 519.27,
+  1994: 636.10,
+  1995: 668.41,
+  1996: 806.91,
+  1997: 915.68,
+  1998: 1059.99,
+  1999: 1318.00,
+
+  // 2000s - Two bear markets
+  2000: 1646.57,   // Dot-com peak
+  2001: 1429.55,
+  2002: 1189.10,
+  2003: 952.59,    // Three-year bear market
+  2004: 1267.99,
+  2005: 1454.64,
+  2006: 1592.69,
+  2007: 1912.34,
+  2008: 2085.22,   // Before the financial crisis
+  2009: 1236.32,   // Financial crisis
+
+  // 2010s - Long bull market led by US technology
+  2010: 1607.10,
+  2011: 1796.09,
+  2012: 1696.59,
+  2013: 1965.16,
+  2014: 2489.46,
+  2015: 2612.44,
+  2016: 2589.71,
+  2017: 2784.20,
+  2018: 3407.86,
+  2019: 3111.04,   // Q4 2018 sell-off
+
+  // 2020s
+  2020: 3971.86,
+  2021: 4603.39,
+  2022: 5607.85,
+  2023: 4590.58,   // 2022 rate rises
+  2024: 5682.69,
+  2025: 6743.64,
+  2026: 8165.88
+};
+
+/**
+ * Get MSCI World Total Return Index value (USD) for a given year
+ *
+ * @param {number} year - The year to get the value for
+ * @returns {number} MSCI World Total Return Index value
+ * @throws {Error} If year is not available
+ */
+export function getMSCIWorldTotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.MSCI_WORLD) ?? msciWorldTotalReturn;
+  const value = values[year];
+  if (value === undefined) {
+    throw new Error(`MSCI World Total Return data not available for year ${year}`);
+  }
+  return value;
+}
+
+/**
+ * Get all available years in the dataset
+ *
+ * @returns {number[]} Array of available years
+ */
+export function getAvailableYears() {
+  return Object.keys(msciWorldTotalReturn)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+export default msciWorldTotalReturn;
@@ -11,6 +11,8 @@
  * Note: Values before 1985 are not available as the index did not exist.
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 export const nasdaq100TotalReturn = {
   // 1985-1989 - Early years (index launched Jan 31, 1985)
   1985: 100.00,    // Base value at launch (normalized)
@@ -72,10 +74,11 @@ export const nasdaq100TotalReturn = {
  * @throws {Error} If year is not in the dataset
  */
 export function getNasdaq100TotalReturn(year) {
-  if (!(year in nasdaq100TotalReturn)) {
+  const values = getMarketSeries(MARKET_SERIES.NASDAQ100) ?? nasdaq100TotalReturn;
+  if (!(year in values)) {
     throw new Error(`Nasdaq 100 Total Return data not available for year ${year}. Index launched in 1985.`);
   }
-  return nasdaq100TotalReturn[year];
+  return values[year];
 }
 
 /**
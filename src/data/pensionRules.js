@@ -0,0 +1,86 @@
+/**
+ * UK Pension Tax-Free Cash Rules by Tax Year
+ * Source: HMRC Pensions Tax Manual, Finance Acts 2004-2024
+ *
+ * From A-Day (6 April 2006) each person's pension savings were tested against
+ * the Lifetime Allowance (LTA) whenever benefits were taken. Tax-free cash was
+ * 25% of the amount crystallised within the LTA; amounts above it taken as a
+ * lump sum paid the 55% LTA charge instead of income tax. The charge was set
+ * to 0% for 2023/24 and the LTA abolished from 6 April 2024, when tax-free
+ * cash became capped by the Lump Sum Allowance (LSA).
+ *
+ * Before 2006 the rules depended on the type of scheme; 25% tax-free cash
+ * without an overall cap is assumed. Protections (primary, enhanced, fixed,
+ * individual) are not modelled.
+ *
+ * e.g., 2024 represents tax year 2024/25.
+ */
+
+import { isValidYear } from '../utils/validators.js';
+import { YEAR_RANGE } from '../config/defaults.js';
+
+/**
+ * First tax year with the Lifetime Allowance (A-Day)
+ */
+export const LIFETIME_ALLOWANCE_START_YEAR = 2006;
+
+/**
+ * Lifetime Allowance used for the standard transitional calculation when the
+ * Lump Sum Allowance replaced it (2023/24 value)
+ */
+export const TRANSITIONAL_LIFETIME_ALLOWANCE = 1073100;
+
+export const pensionRules = {
+  2006: { lifetimeAllowance: 1500000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2007: { lifetimeAllowance: 1600000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2008: { lifetimeAllowance: 1650000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2009: { lifetimeAllowance: 1750000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2010: { lifetimeAllowance: 1800000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2011: { lifetimeAllowance: 1800000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2012: { lifetimeAllowance: 1500000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2013: { lifetimeAllowance: 1500000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2014: { lifetimeAllowance: 1250000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2015: { lifetimeAllowance: 1250000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2016: { lifetimeAllowance: 1000000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2017: { lifetimeAllowance: 1000000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2018: { lifetimeAllowance: 1030000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2019: { lifetimeAllowance: 1055000, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2020: { lifetimeAllowance: 1073100, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2021: { lifetimeAllowance: 1073100, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  2022: { lifetimeAllowance: 1073100, lifetimeAllowanceChargePercent: 55, lumpSumAllowance: null },
+  // LTA charge removed; excess taxed as income
+  2023: { lifetimeAllowance: 1073100, lifetimeAllowanceChargePercent: 0, lumpSumAllowance: null },
+  // LTA abolished; tax-free cash capped by the Lump Sum Allowance
+  2024: { lifetimeAllowance: null, lifetimeAllowanceChargePercent: null, lumpSumAllowance: 268275 },
+  2025: { lifetimeAllowance: null, lifetimeAllowanceChargePercent: null, lumpSumAllowance: 268275 },
+  2026: { lifetimeAllowance: null, lifetimeAllowanceChargePercent: null, lumpSumAllowance: 268275 }
+};
+
+/**
+ * Rules for years before A-Day: no overall cap
+ */
+const UNCAPPED_RULES = {
+  lifetimeAllowance: null,
+  lifetimeAllowanceChargePercent: null,
+  lumpSumAllowance: null
+};
+
+/**
+ * Get the tax-free cash rules for a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {Object} Lifetime Allowance, LTA charge percent and Lump Sum Allowance (null where none applied)
+ * @throws {Error} If year is outside the supported range
+ *
+ * @example
+ * getPensionRules(2015).lifetimeAllowance; // 1250000
+ * getPensionRules(2024).lumpSumAllowance;  // 268275
+ */
+export function getPensionRules(year) {
+  if (!isValidYear(year)) {
+    throw new Error(`Pension rules not available for year ${year} (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+  return pensionRules[year] ?? UNCAPPED_RULES;
+}
+
+export default pensionRules;
@@ -0,0 +1,146 @@
+/**
+ * Scottish Income Tax Data by Tax Year
+ * Source: Scottish Government, HMRC
+ *
+ * Scottish taxpayers pay income tax on non-savings income (including pension
+ * withdrawals) at rates and bands set by the Scottish Parliament from tax year
+ * 2017/18. The personal allowance and its taper remain UK-wide.
+ *
+ * Each year lists its bands from lowest to highest. A band's upTo is the top
+ * of the band in taxable income (after the personal allowance); the last band
+ * has no upper limit. e.g., 2024 represents tax year 2024/25.
+ *
+ * Key changes:
+ * - 2017: Basic rate limit frozen at £31,500 (rUK £33,500); UK rates otherwise
+ * - 2018: Five bands introduced: starter 19%, basic 20%, intermediate 21%,
+ *   higher 41%, top 46%
+ * - 2023: Higher rate 42%, top rate 47%, top rate threshold £125,140
+ * - 2024: Advanced rate (45%) introduced above £75,000; top rate 48%
+ */
+
+export const scottishTaxData = {
+  2017: {
+    personalAllowance: 11500,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 31500 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.40, upTo: 150000 },
+      { key: 'additional', name: 'Additional Rate', rate: 0.45, upTo: null }
+    ]
+  },
+  2018: {
+    personalAllowance: 11850,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2000 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 12150 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31580 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.41, upTo: 150000 },
+      { key: 'top', name: 'Top Rate', rate: 0.46, upTo: null }
+    ]
+  },
+  2019: {
+    personalAllowance: 12500,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2049 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 12444 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 30930 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.41, upTo: 150000 },
+      { key: 'top', name: 'Top Rate', rate: 0.46, upTo: null }
+    ]
+  },
+  2020: {
+    personalAllowance: 12500,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2085 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 12658 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 30930 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.41, upTo: 150000 },
+      { key: 'top', name: 'Top Rate', rate: 0.46, upTo: null }
+    ]
+  },
+  2021: {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2097 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 12726 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31092 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.41, upTo: 150000 },
+      { key: 'top', name: 'Top Rate', rate: 0.46, upTo: null }
+    ]
+  },
+  2022: {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2162 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 13118 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31092 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.41, upTo: 150000 },
+      { key: 'top', name: 'Top Rate', rate: 0.46, upTo: null }
+    ]
+  },
+  2023: {
+    // Higher and top rates up 1p; top rate threshold reduced to £125,140
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2162 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 13118 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31092 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.42, upTo: 125140 },
+      { key: 'top', name: 'Top Rate', rate: 0.47, upTo: null }
+    ]
+  },
+  2024: {
+    // Advanced rate introduced
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2306 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 13991 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31092 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.42, upTo: 62430 },
+      { key: 'advanced', name: 'Advanced Rate', rate: 0.45, upTo: 125140 },
+      { key: 'top', name: 'Top Rate', rate: 0.48, upTo: null }
+    ]
+  },
+  2025: {
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 2827 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 14921 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31092 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.42, upTo: 62430 },
+      { key: 'advanced', name: 'Advanced Rate', rate: 0.45, upTo: 125140 },
+      { key: 'top', name: 'Top Rate', rate: 0.48, upTo: null }
+    ]
+  },
+  2026: {
+    // Starter and basic bands raised 7.4%
+    personalAllowance: 12570,
+    personalAllowanceTaperThreshold: 100000,
+    bands: [
+      { key: 'starter', name: 'Starter Rate', rate: 0.19, upTo: 3967 },
+      { key: 'basic', name: 'Basic Rate', rate: 0.20, upTo: 16956 },
+      { key: 'intermediate', name: 'Intermediate Rate', rate: 0.21, upTo: 31092 },
+      { key: 'higher', name: 'Higher Rate', rate: 0.42, upTo: 62430 },
+      { key: 'advanced', name: 'Advanced Rate', rate: 0.45, upTo: 125140 },
+      { key: 'top', name: 'Top Rate', rate: 0.48, upTo: null }
+    ]
+  }
+};
+
+/**
+ * Get all available years
+ * @returns {number[]} Array of years with Scottish rates
+ */
+export function getAvailableYears() {
+  return Object.keys(scottishTaxData).map(Number).sort((a, b) => a - b);
+}
+
+export default scottishTaxData;
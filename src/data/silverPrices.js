@@ -0,0 +1,86 @@
+/**
+ * Historical Silver Prices (GBP per Troy Ounce)
+ * Source: LBMA silver price (USD prices converted to GBP using exchange rates)
+ * January 1st (or first trading day) each year
+ *
+ * Note: USD prices converted using the GBP/USD rates in exchangeRates.js
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const silverPrices = {
+  // 1980s - Silver prices in GBP (USD converted using exchange rates)
+  1980: 15.48,  // Jan 2, 1980 - $34.45 USD (Hunt brothers squeeze)
+  1981: 6.54,   // Jan 2, 1981 - $15.65 USD
+  1982: 4.34,   // Jan 4, 1982 - $8.30 USD
+  1983: 6.77,   // Jan 3, 1983 - $10.95 USD
+  1984: 6.18,   // Jan 3, 1984 - $8.95 USD
+  1985: 5.44,   // Jan 2, 1985 - $6.30 USD
+  1986: 4.06,   // Jan 2, 1986 - $5.87 USD
+  1987: 3.69,   // Jan 2, 1987 - $5.43 USD
+  1988: 3.58,   // Jan 4, 1988 - $6.70 USD
+  1989: 3.37,   // Jan 3, 1989 - $6.10 USD
+  // 1990s
+  1990: 3.22,   // Jan 2, 1990 - $5.20 USD
+  1991: 2.16,   // Jan 2, 1991 - $4.17 USD
+  1992: 2.08,   // Jan 2, 1992 - $3.89 USD
+  1993: 2.43,   // Jan 4, 1993 - $3.67 USD
+  1994: 3.44,   // Jan 3, 1994 - $5.11 USD
+  1995: 3.13,   // Jan 3, 1995 - $4.88 USD
+  1996: 3.32,   // Jan 2, 1996 - $5.15 USD
+  1997: 2.80,   // Jan 2, 1997 - $4.77 USD
+  1998: 3.63,   // Jan 2, 1998 - $5.97 USD
+  1999: 2.98,   // Jan 4, 1999 - $4.96 USD
+  // 2000s
+  2000: 3.35,   // Jan 4, 2000 - $5.42 USD
+  2001: 3.06,   // Jan 2, 2001 - $4.58 USD
+  2002: 3.17,   // Jan 2, 2002 - $4.60 USD
+  2003: 2.96,   // Jan 2, 2003 - $4.76 USD
+  2004: 3.35,   // Jan 2, 2004 - $5.97 USD
+  2005: 3.54,   // Jan 4, 2005 - $6.79 USD
+  2006: 5.15,   // Jan 3, 2006 - $8.87 USD
+  2007: 6.59,   // Jan 2, 2007 - $12.90 USD
+  2008: 7.48,   // Jan 2, 2008 - $14.76 USD
+  2009: 7.77,   // Jan 2, 2009 - $11.30 USD
+  2010: 10.52,  // Jan 4, 2010 - $16.99 USD
+  2011: 19.90,  // Jan 4, 2011 - $30.63 USD (near the 2011 peak)
+  2012: 18.19,  // Jan 3, 2012 - $28.18 USD
+  2013: 18.46,  // Jan 2, 2013 - $30.00 USD
+  2014: 11.77,  // Jan 2, 2014 - $19.50 USD
+  2015: 10.21,  // Jan 2, 2015 - $15.70 USD
+  2016: 9.38,   // Jan 4, 2016 - $13.82 USD
+  2017: 13.03,  // Jan 3, 2017 - $15.99 USD
+  2018: 12.68,  // Jan 2, 2018 - $17.14 USD
+  2019: 12.13,  // Jan 2, 2019 - $15.47 USD
+  2020: 13.47,  // Jan 2, 2020 - $17.85 USD
+  2021: 19.31,  // Jan 4, 2021 - $26.40 USD
+  2022: 17.06,  // Jan 4, 2022 - $23.09 USD
+  2023: 19.85,  // Jan 3, 2023 - $23.95 USD
+  2024: 18.69,  // Jan 2, 2024 - $23.79 USD
+  2025: 23.17,  // Jan 2, 2025 - $29.00 USD
+  2026: 58.13   // Jan 2, 2026 - $72.00 USD (estimated)
+};
+
+/**
+ * Get silver price for a specific year
+ * @param {number} year - The year to get the price for
+ * @returns {number} Silver price in GBP per troy ounce
+ * @throws {Error} If year is not in the dataset
+ */
+export function getSilverPrice(year) {
+  const prices = getMarketSeries(MARKET_SERIES.SILVER) ?? silverPrices;
+  if (!(year in prices)) {
+    throw new Error(`Silver price data not available for year ${year}`);
+  }
+  return prices[year];
+}
+
+/**
+ * Get all available years
+ * @returns {number[]} Array of years with data
+ */
+export function getAvailableYears() {
+  return Object.keys(silverPrices).map(Number).sort((a, b) => a - b);
+}
+
+export default silverPrices;
@@ -8,6 +8,8 @@
  * Base: Dec 31, 1987 = 247.08
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 export const sp500TotalReturn = {
   // 1980s - Re-based to Jan 1988 = 247.08
   1980: 75.67,
@@ -70,10 +72,11 @@ export const sp500TotalReturn = {
  * @throws {Error} If year is not in the dataset
  */
 export function getSP500TotalReturn(year) {
-  if (!(year in sp500TotalReturn)) {
+  const values = getMarketSeries(MARKET_SERIES.SP500) ?? sp500TotalReturn;
+  if (!(year in values)) {
     throw new Error(`S&P 500 Total Return data not available for year ${year}`);
   }
-  return sp500TotalReturn[year];
+  return values[year];
 }
 
 /**
@@ -0,0 +1,133 @@
+/**
+ * UK State Pension Weekly Rates
+ * Source: DWP benefit and pension rates, House of Commons Library
+ *
+ * Full single-person rates in GBP per week. Each year holds the rate set at
+ * that year's uprating (November until 1985, July 1986, April from 1987) and
+ * is used for that tax year, e.g., 2024 represents tax year 2024/25.
+ *
+ * - Basic State Pension: people reaching State Pension Age before 6 April 2016
+ * - New State Pension: people reaching State Pension Age from 6 April 2016
+ *
+ * Rates after the last year in the dataset are projected with the triple
+ * lock: uprated each year by the highest of earnings growth, CPI inflation
+ * and 2.5%. Additional State Pension (SERPS/S2P) is not modelled.
+ */
+
+import { STATE_PENSION } from '../config/defaults.js';
+
+/**
+ * State pension schemes
+ */
+export const STATE_PENSION_SCHEMES = {
+  BASIC: 'basic',
+  NEW: 'new'
+};
+
+/**
+ * First tax year of the new State Pension
+ */
+export const NEW_STATE_PENSION_START_YEAR = 2016;
+
+// Full basic State Pension (GBP per week)
+export const basicStatePensionRates = {
+  1980: 27.15, 1981: 29.60, 1982: 32.85, 1983: 34.05, 1984: 35.80,
+  1985: 38.30, 1986: 38.70, 1987: 39.50, 1988: 41.15, 1989: 43.60,
+  1990: 46.90, 1991: 52.00, 1992: 54.15, 1993: 56.10, 1994: 57.60,
+  1995: 58.85, 1996: 61.15, 1997: 62.45, 1998: 64.70, 1999: 66.75,
+  2000: 67.50, 2001: 72.50, 2002: 75.50, 2003: 77.45, 2004: 79.60,
+  2005: 82.05, 2006: 84.25, 2007: 87.30, 2008: 90.70, 2009: 95.25,
+  2010: 97.65, 2011: 102.15, 2012: 107.45, 2013: 110.15, 2014: 113.10,
+  2015: 115.95, 2016: 119.30, 2017: 122.30, 2018: 125.95, 2019: 129.20,
+  2020: 134.25, 2021: 137.60, 2022: 141.85, 2023: 156.20, 2024: 169.50,
+  2025: 176.45, 2026: 184.90
+};
+
+// Full new State Pension (GBP per week)
+export const newStatePensionRates = {
+  2016: 155.65, 2017: 159.55, 2018: 164.35, 2019: 168.60, 2020: 175.20,
+  2021: 179.60, 2022: 185.15, 2023: 203.85, 2024: 221.20, 2025: 230.25,
+  2026: 241.30
+};
+
+const RATES = {
+  [STATE_PENSION_SCHEMES.BASIC]: basicStatePensionRates,
+  [STATE_PENSION_SCHEMES.NEW]: newStatePensionRates
+};
+
+/**
+ * Get the scheme that applies to someone reaching State Pension Age in a year
+ *
+ * @param {number} statePensionYear - Tax year State Pension Age is reached
+ * @returns {string} 'basic' before 2016, otherwise 'new'
+ */
+export function getStatePensionScheme(statePensionYear) {
+  return statePensionYear < NEW_STATE_PENSION_START_YEAR
+    ? STATE_PENSION_SCHEMES.BASIC
+    : STATE_PENSION_SCHEMES.NEW;
+}
+
+/**
+ * Get the annual triple lock uprating used to project future rates
+ *
+ * @param {Object} [assumptions=STATE_PENSION] - Projection assumptions (percentages)
+ * @returns {number} Uprating as a percentage
+ */
+export function getTripleLockRate(assumptions = STATE_PENSION) {
+  return Math.max(
+    assumptions.projectedEarningsGrowthPercent,
+    assumptions.projectedInflationPercent,
+    assumptions.tripleLockFloorPercent
+  );
+}
+
+/**
+ * Get the full weekly State Pension for a year
+ *
+ * @param {number} year - Tax year
+ * @param {string} scheme - 'basic' or 'new'
+ * @returns {number} Weekly rate in GBP (projected with the triple lock after the last data year)
+ * @throws {Error} If the scheme is unknown or the year is before the scheme's data
+ *
+ * @example
+ * getStatePensionWeeklyRate(2024, 'new');   // 221.20
+ * getStatePensionWeeklyRate(2030, 'new');   // 2026 rate uprated by the triple lock for 4 years
+ */
+export function getStatePensionWeeklyRate(year, scheme) {
+  const rates = RATES[scheme];
+  if (!rates) {
+    throw new Error(`Unknown state pension scheme: ${scheme}`);
+  }
+
+  if (year in rates) {
+    return rates[year];
+  }
+
+  const years = Object.keys(rates).map(Number);
+  const lastYear = Math.max(...years);
+  if (year < lastYear) {
+    throw new Error(`State pension data not available for year ${year}`);
+  }
+
+  return rates[lastYear] * Math.pow(1 + getTripleLockRate() / 100, year - lastYear);
+}
+
+/**
+ * Get all available (non-projected) years for a scheme
+ *
+ * @param {string} [scheme='basic'] - 'basic' or 'new'
+ * @returns {number[]} Array of years with data
+ */
+export function getAvailableYears(scheme = STATE_PENSION_SCHEMES.BASIC) {
+  return Object.keys(RATES[scheme]).map(Number).sort((a, b) => a - b);
+}
+
+export default {
+  STATE_PENSION_SCHEMES,
+  basicStatePensionRates,
+  newStatePensionRates,
+  getStatePensionScheme,
+  getTripleLockRate,
+  getStatePensionWeeklyRate,
+  getAvailableYears
+};
@@ -8,6 +8,8 @@
  * Base: 1980 = 100.00
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 // Annual CPI Inflation Rates (%)
 export const ukInflationRates = {
   1980: 18.0, 1981: 11.9, 1982: 8.6, 1983: 4.6, 1984: 5.0,
@@ -84,10 +86,11 @@ export const ukCpiIndex = {
  * @returns {number} Multiplier (e.g., 1.5 for 50% increase)
  */
 export function getInflationMultiplier(startYear, targetYear) {
-  if (!ukCpiIndex[startYear] || !ukCpiIndex[targetYear]) {
+  const cpiIndex = getMarketSeries(MARKET_SERIES.UK_CPI) ?? ukCpiIndex;
+  if (!cpiIndex[startYear] || !cpiIndex[targetYear]) {
     throw new Error(`Inflation data not available for years ${startYear} or ${targetYear}`);
   }
-  return ukCpiIndex[targetYear] / ukCpiIndex[startYear];
+  return cpiIndex[targetYear] / cpiIndex[startYear];
 }
 
 /**
@@ -0,0 +1,182 @@
+/**
+ * UK Conventional Gilts Total Return Index Values
+ * Source: FTSE Actuaries UK Conventional Gilts All Stocks and Over 15 Years
+ * Total Return Indices, January 1st each year
+ *
+ * Total return indices include reinvested coupons, which is what an
+ * accumulating gilt fund (e.g. iShares Core UK Gilts, IGLT) would track.
+ * Gilts are sterling government bonds, so unlike the US Long Treasury series
+ * they carry no currency risk for a UK investor.
+ *
+ * - All Stocks: every conventional gilt (duration around 9-12 years)
+ * - Over 15 Years: long-dated gilts only, with about twice the interest rate
+ *   sensitivity, closer to the liabilities an annuity provider matches
+ *
+ * Note: Values are normalized to a base of 100 on January 1st 1980 for
+ * consistency. 2026 is estimated.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const ukGiltsTotalReturn = {
+  // 1980s - Inflation and interest rates fell from their peaks
+  1980: 100.00,    // Base year (normalized)
+  1981: 121.10,
+  1982: 122.80,
+  1983: 175.60,    // 1982 rally as inflation and rates fell
+  1984: 203.52,
+  1985: 217.56,
+  1986: 241.49,
+  1987: 268.06,
+  1988: 311.75,
+  1989: 341.05,
+
+  // 1990s - ERM exit, the 1994 bond crash, then Bank of England independence
+  1990: 361.18,
+  1991: 381.40,
+  1992: 453.49,
+  1993: 536.93,
+  1994: 691.56,
+  1995: 613.42,    // 1994 bond crash
+  1996: 729.97,
+  1997: 786.17,
+  1998: 938.69,
+  1999: 1173.36,
+
+  // 2000s - Low inflation, then the 2008 flight to safety
+  2000: 1132.29,
+  2001: 1239.86,
+  2002: 1268.38,
+  2003: 1382.53,
+  2004: 1412.95,
+  2005: 1506.20,
+  2006: 1625.19,
+  2007: 1638.20,
+  2008: 1725.02,
+  2009: 1945.82,
+
+  // 2010s - Quantitative easing drove yields to record lows
+  2010: 1926.36,
+  2011: 2065.06,
+  2012: 2387.21,
+  2013: 2451.67,
+  2014: 2356.05,
+  2015: 2683.54,
+  2016: 2699.64,
+  2017: 2972.31,
+  2018: 3025.81,
+  2019: 3043.97,
+
+  // 2020s - Inflation, rate rises and the 2022 mini-budget crisis
+  2020: 3254.00,
+  2021: 3524.08,
+  2022: 3340.83,
+  2023: 2545.71,   // 2022 rate rises and mini-budget
+  2024: 2639.90,
+  2025: 2552.79,
+  2026: 2680.43    // Estimated
+};
+
+export const ukLongGiltsTotalReturn = {
+  // 1980s - Inflation and interest rates fell from their peaks
+  1980: 100.00,    // Base year (normalized)
+  1981: 119.00,
+  1982: 117.81,
+  1983: 182.61,    // 1982 rally as inflation and rates fell
+  1984: 211.82,
+  1985: 225.59,
+  1986: 251.53,
+  1987: 280.46,
+  1988: 328.14,
+  1989: 359.97,
+
+  // 1990s - ERM exit, the 1994 bond crash, then Bank of England independence
+  1990: 379.77,
+  1991: 397.62,
+  1992: 472.37,
+  1993: 562.12,
+  1994: 750.43,
+  1995: 639.36,    // 1994 bond crash
+  1996: 772.35,
+  1997: 835.68,
+  1998: 1022.88,
+  1999: 1288.82,
+
+  // 2000s - Low inflation, then the 2008 flight to safety
+  2000: 1212.78,
+  2001: 1355.89,
+  2002: 1369.45,
+  2003: 1505.03,
+  2004: 1550.18,
+  2005: 1681.94,
+  2006: 1868.64,
+  2007: 1866.77,
+  2008: 1924.64,
+  2009: 2174.84,
+
+  // 2010s - Quantitative easing drove yields to record lows
+  2010: 2148.74,
+  2011: 2337.83,
+  2012: 2901.25,
+  2013: 2982.48,
+  2014: 2794.59,
+  2015: 3490.44,   // Falling yields in 2014
+  2016: 3476.48,
+  2017: 4057.05,
+  2018: 4182.82,
+  2019: 4195.37,
+
+  // 2020s - Inflation, rate rises and the 2022 mini-budget crisis
+  2020: 4698.81,
+  2021: 5314.35,
+  2022: 4926.41,
+  2023: 2950.92,   // Long gilts fell 40% in 2022
+  2024: 2983.38,
+  2025: 2720.84,
+  2026: 2761.65    // Estimated
+};
+
+/**
+ * Get FTSE Actuaries UK Conventional Gilts All Stocks Total Return Index value for a given year
+ *
+ * @param {number} year - The year to get the value for
+ * @returns {number} UK Gilts (All Stocks) Total Return Index value
+ * @throws {Error} If year is not available
+ */
+export function getUKGiltsTotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.UK_GILTS) ?? ukGiltsTotalReturn;
+  const value = values[year];
+  if (value === undefined) {
+    throw new Error(`UK Gilts Total Return data not available for year ${year}`);
+  }
+  return value;
+}
+
+/**
+ * Get FTSE Actuaries UK Conventional Gilts Over 15 Years Total Return Index value for a given year
+ *
+ * @param {number} year - The year to get the value for
+ * @returns {number} UK Long Gilts (Over 15 Years) Total Return Index value
+ * @throws {Error} If year is not available
+ */
+export function getUKLongGiltsTotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.UK_LONG_GILTS) ?? ukLongGiltsTotalReturn;
+  const value = values[year];
+  if (value === undefined) {
+    throw new Error(`UK Long Gilts Total Return data not available for year ${year}`);
+  }
+  return value;
+}
+
+/**
+ * Get all available years in the dataset
+ *
+ * @returns {number[]} Array of available years
+ */
+export function getAvailableYears() {
+  return Object.keys(ukGiltsTotalReturn)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+export default ukGiltsTotalReturn;
@@ -0,0 +1,105 @@
+/**
+ * UK Index-Linked Gilts Total Return Index Values
+ * Source: FTSE Actuaries UK Index-Linked Gilts All Stocks Total Return Index,
+ * January 1st each year
+ *
+ * Index-linked gilts pay coupons and repay capital uplifted by RPI inflation,
+ * so their return is a real yield plus inflation. The total return index
+ * includes reinvested coupons, which is what an accumulating index-linked gilt
+ * fund (e.g. iShares UK Index-Linked Gilts, INXG) would track. Long real-yield
+ * duration makes them very sensitive to real interest rates, as 2022 showed.
+ *
+ * The first index-linked gilt was issued in March 1981, so the series starts
+ * on January 1st 1982.
+ *
+ * Note: Values are normalized to a base of 100 on January 1st 1982 for
+ * consistency. 2026 is estimated.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+export const ukIndexLinkedGiltsTotalReturn = {
+  // 1980s - Inflation fell, so linkers lagged conventional gilts
+  1982: 100.00,    // Base year (normalized, first full year after the first issue)
+  1983: 113.60,
+  1984: 122.57,
+  1985: 128.95,
+  1986: 132.30,
+  1987: 137.06,
+  1988: 146.11,
+  1989: 165.25,
+
+  // 1990s - ERM exit, the 1994 bond crash, then Bank of England independence
+  1990: 185.58,
+  1991: 193.37,
+  1992: 202.85,
+  1993: 235.10,
+  1994: 285.41,
+  1995: 264.29,    // 1994 bond crash
+  1996: 288.87,
+  1997: 311.98,
+  1998: 350.35,
+  1999: 392.04,
+
+  // 2000s - Low inflation, then the 2008 flight to safety
+  2000: 408.90,
+  2001: 425.66,
+  2002: 430.77,
+  2003: 468.25,
+  2004: 498.69,
+  2005: 538.58,
+  2006: 592.98,
+  2007: 611.36,
+  2008: 663.33,
+  2009: 689.19,
+
+  // 2010s - Quantitative easing drove yields to record lows
+  2010: 731.24,
+  2011: 804.36,
+  2012: 965.23,
+  2013: 971.02,
+  2014: 976.85,
+  2015: 1158.54,
+  2016: 1144.64,
+  2017: 1422.79,   // Post-referendum rally in 2016
+  2018: 1452.67,
+  2019: 1448.31,
+
+  // 2020s - Inflation, rate rises and the 2022 mini-budget crisis
+  2020: 1541.00,
+  2021: 1710.51,
+  2022: 1782.35,
+  2023: 1183.48,   // Linkers fell a third in 2022
+  2024: 1139.69,
+  2025: 1058.77,
+  2026: 1048.19    // Estimated
+};
+
+/**
+ * Get FTSE Actuaries UK Index-Linked Gilts All Stocks Total Return Index value for a given year
+ *
+ * @param {number} year - The year to get the value for
+ * @returns {number} UK Index-Linked Gilts Total Return Index value
+ * @throws {Error} If year is not available
+ */
+export function getUKIndexLinkedGiltsTotalReturn(year) {
+  const values = getMarketSeries(MARKET_SERIES.UK_INDEX_LINKED_GILTS) ?? ukIndexLinkedGiltsTotalReturn;
+  const value = values[year];
+  if (value === undefined) {
+    throw new Error(`UK Index-Linked Gilts Total Return data not available for year ${year}`);
+  }
+  return value;
+}
+
+/**
+ * Get all available years in the dataset
+ *
+ * @returns {number[]} Array of available years
+ */
+export function getAvailableYears() {
+  return Object.keys(ukIndexLinkedGiltsTotalReturn)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+export default ukIndexLinkedGiltsTotalReturn;
@@ -0,0 +1,94 @@
+/**
+ * UK Retail Prices Index (RPI) Data
+ * Source: Office for National Statistics (ONS) - Series CZBH (annual average
+ * percentage change)
+ *
+ * RPI is the index that RPI-linked annuities and index-linked gilts are
+ * uprated by. It usually runs above CPI (by about a percentage point from the
+ * late 1990s) and fell in 2009, when Bank Rate cuts lowered mortgage interest
+ * costs.
+ *
+ * ukRpiIndex compounds the yearly rates, normalised to 100 in 1980, so
+ * ukRpiIndex[year + 1] = ukRpiIndex[year] * (1 + ukRpiInflationRates[year] / 100).
+ *
+ * Note: 2025 is provisional and 2026 is estimated.
+ */
+
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
+// Annual RPI Inflation Rates (%)
+export const ukRpiInflationRates = {
+  1980: 18.0, 1981: 11.9, 1982: 8.6, 1983: 4.6, 1984: 5.0,
+  1985: 6.1, 1986: 3.4, 1987: 4.2, 1988: 4.9, 1989: 7.8,
+  1990: 9.5, 1991: 5.9, 1992: 3.7, 1993: 1.6, 1994: 2.4,
+  1995: 3.5, 1996: 2.4, 1997: 3.1, 1998: 3.4, 1999: 1.5,
+  2000: 3.0, 2001: 1.8, 2002: 1.7, 2003: 2.9, 2004: 3.0,
+  2005: 2.8, 2006: 3.2, 2007: 4.3, 2008: 4.0, 2009: -0.5,
+  2010: 4.6, 2011: 5.2, 2012: 3.2, 2013: 3.0, 2014: 2.4,
+  2015: 1.0, 2016: 1.8, 2017: 3.6, 2018: 3.3, 2019: 2.6,
+  2020: 1.5, 2021: 4.1, 2022: 11.6, 2023: 9.7, 2024: 3.6,
+  2025: 4.3, 2026: 3.5 // Estimated
+};
+
+/**
+ * Build the cumulative RPI index from the yearly rates
+ *
+ * @param {Object} rates - Annual inflation rate (percent) by year
+ * @returns {Object} Index value for each year (1980 = 100)
+ */
+function buildRpiIndex(rates) {
+  const years = Object.keys(rates).map(Number).sort((a, b) => a - b);
+  const index = { [years[0]]: 100 };
+
+  for (let i = 1; i < years.length; i++) {
+    const year = years[i];
+    index[year] = index[year - 1] * (1 + rates[year - 1] / 100);
+  }
+
+  return index;
+}
+
+/**
+ * Cumulative RPI Index (1980 = 100.00)
+ */
+export const ukRpiIndex = buildRpiIndex(ukRpiInflationRates);
+
+/**
+ * Get the RPI multiplier between two years
+ *
+ * @param {number} startYear - The base year
+ * @param {number} targetYear - The year to uprate to
+ * @returns {number} Multiplier (e.g., 1.5 for a 50% rise)
+ * @throws {Error} If either year is not available
+ *
+ * @example
+ * getRpiMultiplier(2009, 2010); // 0.995 - RPI fell in 2009
+ */
+export function getRpiMultiplier(startYear, targetYear) {
+  const rpiIndex = getMarketSeries(MARKET_SERIES.UK_RPI) ?? ukRpiIndex;
+  if (!rpiIndex[startYear] || !rpiIndex[targetYear]) {
+    throw new Error(`RPI data not available for years ${startYear} or ${targetYear}`);
+  }
+  return rpiIndex[targetYear] / rpiIndex[startYear];
+}
+
+/**
+ * Get annual RPI inflation rate for a given year
+ *
+ * @param {number} year - The year
+ * @returns {number} Percentage rate (e.g., 3.2)
+ * @throws {Error} If year is not available
+ */
+export function getRpiInflationRate(year) {
+  if (ukRpiInflationRates[year] === undefined) {
+    throw new Error(`RPI inflation rate data not available for year ${year}`);
+  }
+  return ukRpiInflationRates[year];
+}
+
+export default {
+  ukRpiInflationRates,
+  ukRpiIndex,
+  getRpiMultiplier,
+  getRpiInflationRate
+};
@@ -6,8 +6,16 @@
  * For simplicity, we use the calendar year that contains most of the tax year.
  * e.g., 2000 represents tax year 2000/01 (6 April 2000 - 5 April 2001)
  *
+ * Each year holds the personal allowance and the basic, higher and additional
+ * rate fields. Years whose bands don't fit that shape also list every band
+ * above the personal allowance in `bands`, lowest first; a band's upTo is the
+ * top of the band in taxable income and the last band has no upper limit.
+ * When present, `bands` is used for the tax calculation and higherRate holds
+ * the top rate.
+ *
  * Key historical changes:
  * - 1979: Top rate reduced from 83% to 60%
+ * - 1980-1987: Higher rates rose in steps (40%, 45%, 50%, 55%, 60%) above the basic rate band
  * - 1988: Basic rate reduced from 27% to 25%, higher rate reduced from 60% to 40%
  * - 1992: Basic rate reduced from 25% to 24%
  * - 1995: Basic rate reduced from 25% to 24%
@@ -19,8 +27,26 @@
  * - 2013: Additional rate reduced to 45%
  * - 2010-2017: Personal allowance increased significantly
  * - 2023: Additional rate threshold reduced to £125,140
+ *
+ * Scottish taxpayers use the Scottish rates and bands from 2017 (see
+ * scottishTaxData.js); getTaxData selects them by tax residency.
  */
 
+import { scottishTaxData } from './scottishTaxData.js';
+
+/**
+ * Tax residencies with their own income tax rates
+ */
+export const TAX_RESIDENCIES = {
+  RUK: 'ruk',           // England, Wales and Northern Ireland
+  SCOTLAND: 'scotland'
+};
+
+/**
+ * First tax year with Scottish rates and bands
+ */
+export const SCOTTISH_RATES_START_YEAR = 2017;
+
 export const ukTaxData = {
   // 1980s
   1980: {
@@ -30,7 +56,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.30, upTo: 11250 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 13250 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 16750 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 22250 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 27750 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1981: {
     personalAllowance: 1375,
@@ -39,7 +73,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.30, upTo: 11250 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 13250 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 16750 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 22250 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 27750 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1982: {
     personalAllowance: 1565,
@@ -48,7 +90,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.30, upTo: 12800 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 15100 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 19100 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 25300 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 31500 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1983: {
     personalAllowance: 1785,
@@ -57,7 +107,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.30, upTo: 14600 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 17200 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 21800 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 28900 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 36000 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1984: {
     personalAllowance: 2005,
@@ -66,7 +124,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.30, upTo: 15400 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 18200 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 23100 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 30600 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 38100 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1985: {
     personalAllowance: 2205,
@@ -75,7 +141,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.30, upTo: 16200 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 19200 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 24400 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 32300 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 40200 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1986: {
     personalAllowance: 2335,
@@ -84,7 +158,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.29, upTo: 17200 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 20200 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 25400 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 33300 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 41200 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1987: {
     personalAllowance: 2425,
@@ -93,7 +175,15 @@ export const ukTaxData = {
     higherRate: 0.60,
     higherRateLimit: null,
     additionalRate: null,
-    additionalRateThreshold: null
+    additionalRateThreshold: null,
+    bands: [
+      { key: 'basic', name: 'Basic Rate', rate: 0.27, upTo: 17900 },
+      { key: 'higher40', name: 'Higher Rate 40%', rate: 0.40, upTo: 20400 },
+      { key: 'higher45', name: 'Higher Rate 45%', rate: 0.45, upTo: 25400 },
+      { key: 'higher50', name: 'Higher Rate 50%', rate: 0.50, upTo: 33300 },
+      { key: 'higher55', name: 'Higher Rate 55%', rate: 0.55, upTo: 41200 },
+      { key: 'higher60', name: 'Higher Rate 60%', rate: 0.60, upTo: null }
+    ]
   },
   1988: {
     // Major reform: Basic rate cut to 25%, higher rate cut to 40%
@@ -478,14 +568,25 @@ export const ukTaxData = {
 
 /**
  * Get tax data for a specific year
+ *
+ * Scottish taxpayers get the Scottish rates and bands from 2017 and the UK
+ * rates before then.
+ *
  * @param {number} year - The year to get tax data for
+ * @param {string} [residency='ruk'] - Tax residency (see TAX_RESIDENCIES)
  * @returns {Object} Tax data for the year
- * @throws {Error} If year is not in the dataset
+ * @throws {Error} If year is not in the dataset or the residency is unknown
  */
-export function getTaxData(year) {
+export function getTaxData(year, residency = TAX_RESIDENCIES.RUK) {
+  if (!Object.values(TAX_RESIDENCIES).includes(residency)) {
+    throw new Error(`Unknown tax residency: ${residency}`);
+  }
   if (!(year in ukTaxData)) {
     throw new Error(`UK tax data not available for year ${year}`);
   }
+  if (residency === TAX_RESIDENCIES.SCOTLAND && year >= SCOTTISH_RATES_START_YEAR) {
+    return scottishTaxData[year];
+  }
   return ukTaxData[year];
 }
 
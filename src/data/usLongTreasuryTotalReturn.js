@@ -5,14 +5,16 @@
  * The Total Return Index includes reinvested coupon payments, which is what an
  * accumulating Treasury ETF like TLT would track.
  *
- * This serves as a proxy for annuity-like returns - steady income with
- * interest rate sensitivity. Long-duration bonds provide income-like characteristics
- * while still being tradeable within a SIPP.
+ * Long-duration bonds provide income-like characteristics, with interest rate
+ * sensitivity, while still being tradeable within a SIPP. For a guaranteed
+ * lifetime income see the annuity strategy (annuityRates).
  *
  * Note: Values are normalized to a base of 100 at end of 1979 for consistency.
  * Actual index values vary by provider but the relative returns are consistent.
  */
 
+import { getMarketSeries, MARKET_SERIES } from './marketData.js';
+
 export const usLongTreasuryTotalReturn = {
   // 1980s - High interest rate era, then declining rates boosted bond prices
   1980: 100.00,    // Base year (normalized)
@@ -80,7 +82,8 @@ export const usLongTreasuryTotalReturn = {
  * @throws {Error} If year is not available
  */
 export function getUSLongTreasuryTotalReturn(year) {
-  const value = usLongTreasuryTotalReturn[year];
+  const values = getMarketSeries(MARKET_SERIES.US_LONG_TREASURY) ?? usLongTreasuryTotalReturn;
+  const value = values[year];
   if (value === undefined) {
     throw new Error(`US Long Treasury Total Return data not available for year ${year}`);
   }
@@ -0,0 +1,52 @@
+/**
+ * UK Standard Rate of VAT by Tax Year
+ * Source: HMRC, Finance Acts 1979-2010, Value Added Tax (Change of Rate) Orders
+ *
+ * The standard rate charged on silver and other non-investment metals. Each
+ * tax year uses the rate in force for most of it:
+ * - 1980-1990: 15% (from 18 June 1979)
+ * - 1991-2008: 17.5% (from 1 April 1991)
+ * - 2009: 15% (temporary cut from 1 December 2008 to 31 December 2009)
+ * - 2010: 17.5% (from 1 January 2010)
+ * - From 2011: 20% (from 4 January 2011)
+ *
+ * Investment gold has been exempt from VAT since 1 January 2000.
+ *
+ * e.g., 2024 represents tax year 2024/25.
+ */
+
+import { isValidYear } from '../utils/validators.js';
+import { YEAR_RANGE } from '../config/defaults.js';
+
+export const vatStandardRates = {
+  1980: 15, 1981: 15, 1982: 15, 1983: 15, 1984: 15,
+  1985: 15, 1986: 15, 1987: 15, 1988: 15, 1989: 15,
+  1990: 15, 1991: 17.5, 1992: 17.5, 1993: 17.5, 1994: 17.5,
+  1995: 17.5, 1996: 17.5, 1997: 17.5, 1998: 17.5, 1999: 17.5,
+  2000: 17.5, 2001: 17.5, 2002: 17.5, 2003: 17.5, 2004: 17.5,
+  2005: 17.5, 2006: 17.5, 2007: 17.5, 2008: 17.5, 2009: 15,
+  2010: 17.5, 2011: 20, 2012: 20, 2013: 20, 2014: 20,
+  2015: 20, 2016: 20, 2017: 20, 2018: 20, 2019: 20,
+  2020: 20, 2021: 20, 2022: 20, 2023: 20, 2024: 20,
+  2025: 20, 2026: 20
+};
+
+/**
+ * Get the standard rate of VAT for a specific year
+ *
+ * @param {number} year - Tax year
+ * @returns {number} VAT rate as a percentage (e.g., 20 for 20%)
+ * @throws {Error} If year is outside the supported range
+ *
+ * @example
+ * getVatRate(1995); // 17.5
+ * getVatRate(2024); // 20
+ */
+export function getVatRate(year) {
+  if (!isValidYear(year)) {
+    throw new Error(`VAT rate not available for year ${year} (${YEAR_RANGE.min}-${YEAR_RANGE.max})`);
+  }
+  return vatStandardRates[year];
+}
+
+export default vatStandardRates;
@@ -0,0 +1,39 @@
+/**
+ * Seeded Random Number Utilities
+ */
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * The same seed always produces the same sequence, so simulations can be
+ * reproduced exactly.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning the next number in [0, 1)
+ *
+ * @example
+ * const random = createSeededRandom(42);
+ * random(); // Same value every time for seed 42
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a random integer in [0, max)
+ *
+ * @param {Function} random - Generator from createSeededRandom
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Random integer
+ */
+export function randomInt(random, max) {
+  return Math.floor(random() * max);
+}
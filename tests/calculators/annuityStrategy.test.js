@@ -0,0 +1,154 @@
+/**
+ * Annuity Strategy Calculator Tests
+ *
+ * Tests for taking the tax-free lump sum and buying a lifetime annuity with the rest of the pension.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  calculateAnnuityStrategy,
+  resolveAnnuityCosts,
+  calculateAnnuityPurchase,
+  calculateAnnuityYear
+} from '../../src/calculators/annuityStrategy.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { getAnnuityRate } from '../../src/data/annuityRates.js';
+import { getRpiMultiplier } from '../../src/data/ukRpi.js';
+
+describe('resolveAnnuityCosts', () => {
+  test('given_noConfig_when_resolving_then_usesDefaults', () => {
+    const costs = resolveAnnuityCosts();
+
+    expect(costs.annuityType).toBe('level');
+    expect(costs.ageAtStart).toBe(60);
+    expect(costs.taxResidency).toBe('ruk');
+  });
+
+  test('given_unknownAnnuityType_when_resolving_then_throwsError', () => {
+    expect(() => resolveAnnuityCosts({ annuityType: 'escalating' }))
+      .toThrow('Unknown annuity type: escalating. Valid types: level, rpi');
+  });
+});
+
+describe('calculateAnnuityPurchase', () => {
+  test('given_pension_when_buyingAnnuity_then_quarterTaxFreeAndRestBuysIncome', () => {
+    const purchase = calculateAnnuityPurchase(400000, 2024, 65, 'level');
+
+    expect(purchase.pclsAmount).toBeCloseTo(100000, 6);
+    expect(purchase.purchasePrice).toBeCloseTo(300000, 6);
+    expect(purchase.annuityRate).toBeCloseTo(7.0, 6);
+    expect(purchase.annualIncome).toBeCloseTo(21000, 6);
+  });
+
+  test('given_pensionAboveLumpSumAllowance_when_buyingAnnuity_then_pclsCapped', () => {
+    const purchase = calculateAnnuityPurchase(2000000, 2024, 65, 'level');
+
+    expect(purchase.pclsAmount).toBeCloseTo(268275, 6);
+    expect(purchase.purchasePrice).toBeCloseTo(2000000 - 268275, 6);
+  });
+
+  test('given_olderBuyer_when_buyingAnnuity_then_rateUsesAgeFactor', () => {
+    const purchase = calculateAnnuityPurchase(400000, 2000, 75, 'rpi');
+
+    expect(purchase.annuityRate).toBeCloseTo(getAnnuityRate(2000, 75, 'rpi'), 6);
+    expect(purchase.annualIncome).toBeCloseTo(300000 * getAnnuityRate(2000, 75, 'rpi') / 100, 6);
+  });
+});
+
+describe('calculateAnnuityYear', () => {
+  test('given_rpiLinkedAnnuity_when_laterYear_then_incomeUpratedByRpi', () => {
+    const costs = resolveAnnuityCosts({ annuityType: 'rpi', ageAtStart: 65 });
+    const purchase = calculateAnnuityPurchase(400000, 2005, 65, 'rpi');
+    const year = calculateAnnuityYear(purchase, 2015, costs);
+
+    expect(year.age).toBe(75);
+    expect(year.incomeMultiplier).toBeCloseTo(getRpiMultiplier(2005, 2015), 6);
+    expect(year.grossIncome).toBeCloseTo(purchase.annualIncome * getRpiMultiplier(2005, 2015), 6);
+  });
+
+  test('given_otherIncome_when_payingIncome_then_annuityTaxedOnTopAtMarginalRate', () => {
+    const costs = resolveAnnuityCosts({ otherIncome: [{ amount: 30000, fromYear: 2024 }] });
+    const purchase = calculateAnnuityPurchase(400000, 2024, 65, 'level');
+    const year = calculateAnnuityYear(purchase, 2024, costs);
+    const tax = calculateIncomeTax(21000, 2024, false, 30000);
+
+    expect(year.taxOnIncome).toBeCloseTo(tax.taxPaid, 6);
+    expect(year.netIncome).toBeCloseTo(21000 - tax.taxPaid, 6);
+    expect(year.otherIncome).toBe(30000);
+    expect(year.otherIncomeTax).toBeCloseTo(tax.otherIncomeTax, 6);
+  });
+});
+
+describe('calculateAnnuityStrategy', () => {
+  describe('input validation', () => {
+    test('given_negativePensionAmount_when_calculating_then_throwsError', () => {
+      expect(() => calculateAnnuityStrategy(-100000, 2000, 4, 10))
+        .toThrow('Pension amount must be a positive number');
+    });
+
+    test('given_yearsExtendBeyondData_when_calculating_then_throwsError', () => {
+      expect(() => calculateAnnuityStrategy(500000, 2020, 4, 10))
+        .toThrow('Not enough data');
+    });
+
+    test('given_rpiLinkedBefore1982_when_calculating_then_throwsError', () => {
+      expect(() => calculateAnnuityStrategy(500000, 1980, 4, 10, { annuityType: 'rpi' }))
+        .toThrow('RPI-linked annuity rate data not available for year 1980');
+    });
+  });
+
+  describe('income', () => {
+    test('given_levelAnnuity_when_calculating_then_sameGrossIncomeEveryYear', () => {
+      const result = calculateAnnuityStrategy(500000, 2000, 4, 10, { ageAtStart: 65 });
+
+      result.yearlyResults.forEach(year => {
+        expect(year.grossIncome).toBeCloseTo(375000 * 0.09, 6);
+        expect(year.status).toBe('active');
+        expect(year.endValueGbp).toBe(0);
+      });
+    });
+
+    test('given_withdrawalRate_when_calculating_then_incomeUnaffected', () => {
+      const low = calculateAnnuityStrategy(500000, 2000, 2, 10);
+      const high = calculateAnnuityStrategy(500000, 2000, 8, 10);
+
+      expect(low.summary.totalNetIncome).toBeCloseTo(high.summary.totalNetIncome, 6);
+    });
+
+    test('given_firstYear_when_calculating_then_pclsPaidWithIncome', () => {
+      const result = calculateAnnuityStrategy(500000, 2000, 4, 10);
+      const [first, second] = result.yearlyResults;
+
+      expect(first.pclsPaid).toBeCloseTo(125000, 6);
+      expect(first.netWithdrawal).toBeCloseTo(first.netIncome + 125000, 6);
+      expect(second.pclsPaid).toBe(0);
+      expect(second.netWithdrawal).toBeCloseTo(second.netIncome, 6);
+    });
+
+    test('given_rpiLinkedAnnuity_when_calculating_then_lowerStartButRisingIncome', () => {
+      const level = calculateAnnuityStrategy(500000, 2000, 4, 25, { ageAtStart: 65 });
+      const rpi = calculateAnnuityStrategy(500000, 2000, 4, 25, { ageAtStart: 65, annuityType: 'rpi' });
+
+      expect(rpi.purchase.annualIncome).toBeLessThan(level.purchase.annualIncome);
+      expect(rpi.yearlyResults[24].grossIncome).toBeGreaterThan(level.yearlyResults[24].grossIncome);
+      expect(rpi.annuityType).toBe('rpi');
+    });
+  });
+
+  describe('summary', () => {
+    test('given_strategy_when_calculating_then_totalsMatchYearlyResultsAndNothingLeft', () => {
+      const result = calculateAnnuityStrategy(500000, 1990, 4, 20, { annuityType: 'rpi' });
+      const summary = result.summary;
+      const sumOf = key => result.yearlyResults.reduce((sum, y) => sum + y[key], 0);
+
+      expect(summary.totalGrossIncome).toBeCloseTo(sumOf('grossIncome'), 6);
+      expect(summary.totalTaxPaid).toBeCloseTo(sumOf('taxOnIncome'), 6);
+      expect(summary.totalTaxPaid).toBeGreaterThan(0);
+      expect(summary.totalWithdrawn).toBeCloseTo(summary.totalNetIncome + summary.pclsAmount, 6);
+      expect(summary.finalValue).toBe(0);
+      expect(summary.totalValueRealized).toBeCloseTo(summary.totalWithdrawn, 6);
+      expect(summary.strategySuccessful).toBe(true);
+    });
+  });
+});
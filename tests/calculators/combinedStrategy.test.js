@@ -5,14 +5,20 @@
  * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
  */
 
-import { describe, test, expect } from 'vitest';
+import { describe, test, expect, afterEach } from 'vitest';
 import {
   calculateCombinedStrategy,
   calculateCombinedStrategyByIds,
   getCombinedStrategyEarliestYear,
-  isCombinedStrategyAvailable
+  isCombinedStrategyAvailable,
+  REBALANCE_MODES
 } from '../../src/calculators/combinedStrategy.js';
-// Strategy registry constants available via combinedStrategy exports
+import { createCustomPortfolio, clearCustomPortfolios } from '../../src/calculators/strategyRegistry.js';
+import { calculateSippStrategy } from '../../src/calculators/sippStrategy.js';
+import { calculateGoldStrategy } from '../../src/calculators/goldStrategy.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+import { getNetStatePension, resolveIncomeSources } from '../../src/calculators/otherIncome.js';
 
 describe('calculateCombinedStrategy', () => {
   describe('input validation', () => {
@@ -142,6 +148,25 @@ describe('calculateCombinedStrategy', () => {
       );
       expect(exhaustedYears.length).toBeGreaterThan(0);
     });
+
+    test('given_componentsStopInDifferentYears_when_lastRunsOut_then_statusDepletedNotPartial', () => {
+      const result = calculateCombinedStrategy('gold-nasdaq100', 500000, 2000, 7, 26);
+      const year2017 = result.yearlyResults.find(y => y.year === 2017);
+
+      expect(year2017.statusA).toBe('depleted');
+      expect(year2017.statusB).toBe('exhausted');
+      expect(year2017.status).toBe('depleted');
+      expect(result.summary.yearDepleted).toBe(2017);
+      expect(result.summary.strategySuccessful).toBe(false);
+    });
+
+    test('given_oneComponentStillActive_when_lastYear_then_partialIsNotSuccessful', () => {
+      const result = calculateCombinedStrategy('gold-nasdaq100', 500000, 2000, 6.09, 24);
+      const lastYear = result.yearlyResults[result.yearlyResults.length - 1];
+
+      expect(lastYear.status).toBe('partial');
+      expect(result.summary.strategySuccessful).toBe(false);
+    });
   });
 
   describe('result structure', () => {
@@ -481,3 +506,410 @@ describe('calculateCombinedStrategyByIds with config', () => {
     expect(customResult.summary.totalFees).toBeLessThan(defaultResult.summary.totalFees);
   });
 });
+
+describe('weighted portfolios', () => {
+  afterEach(() => {
+    clearCustomPortfolios();
+  });
+
+  const createBalanced = () => createCustomPortfolio('Balanced', [
+    { strategyId: 'sp500', weight: 60 },
+    { strategyId: 'usTreasury', weight: 25 },
+    { strategyId: 'gold', weight: 15 }
+  ]);
+
+  test('given_threeComponentPortfolio_when_calculating_then_allocatesByWeight', () => {
+    createBalanced();
+    const result = calculateCombinedStrategy('custom-balanced', 100000, 2000, 4, 10);
+
+    expect(result.components).toHaveLength(3);
+    expect(result.summary.allocations).toEqual([60000, 25000, 15000]);
+    expect(result.components.map(c => c.id)).toEqual(['sp500', 'usTreasury', 'gold']);
+    expect(result.components[2].result.initialWithdrawal.grossPension).toBe(15000);
+  });
+
+  test('given_threeComponentPortfolio_when_calculating_then_yearlyTotalsSumComponents', () => {
+    createBalanced();
+    const result = calculateCombinedStrategy('custom-balanced', 100000, 2000, 4, 10);
+
+    result.yearlyResults.forEach(year => {
+      expect(year.components).toHaveLength(3);
+      const endSum = year.components.reduce((sum, c) => sum + c.raw.endValueGbp, 0);
+      const withdrawalSum = year.components.reduce((sum, c) => sum + c.raw.netWithdrawal, 0);
+      expect(year.combinedEndValue).toBeCloseTo(endSum, 6);
+      expect(year.combinedWithdrawal).toBeCloseTo(withdrawalSum, 6);
+    });
+  });
+
+  test('given_threeComponentPortfolio_when_calculating_then_summaryTotalsAllComponents', () => {
+    createBalanced();
+    const result = calculateCombinedStrategy('custom-balanced', 100000, 2000, 4, 10);
+    const finalSum = result.summary.finalValues.reduce((sum, v) => sum + v, 0);
+
+    expect(result.summary.componentSummaries).toHaveLength(3);
+    expect(result.summary.finalValue).toBeCloseTo(finalSum, 6);
+    const [sp500, treasury, gold] = result.summary.componentSummaries;
+    expect(result.summary.totalTaxPaid).toBeCloseTo(
+      sp500.totalTaxPaid + treasury.totalTaxPaid + gold.taxPaidOnWithdrawal, 6
+    );
+  });
+
+  test('given_portfolioWithNasdaq_when_startingBefore1985_then_throwsError', () => {
+    createCustomPortfolio('Tech', [
+      { strategyId: 'gold', weight: 30 },
+      { strategyId: 'nasdaq100', weight: 70 }
+    ]);
+
+    expect(() => calculateCombinedStrategy('custom-tech', 100000, 1982, 4, 10))
+      .toThrow('limited by Nasdaq 100 SIPP');
+    expect(getCombinedStrategyEarliestYear('custom-tech')).toBe(1985);
+  });
+
+  test('given_goldEtfCombination_when_calculating_then_usesGoldEtfIndex', () => {
+    const result = calculateCombinedStrategy('goldEtf-sp500', 100000, 2000, 4, 5);
+
+    expect(result.strategyA.id).toBe('goldEtf');
+    expect(result.strategyA.result.indexType).toBe('goldEtf');
+  });
+
+  test('given_portfolioWithVaultedGold_when_calculating_then_paysVaultFeesAndSpread', () => {
+    createCustomPortfolio('Vault', [
+      { strategyId: 'goldVault', weight: 40 },
+      { strategyId: 'sp500', weight: 60 }
+    ]);
+    const result = calculateCombinedStrategy('custom-vault', 100000, 2000, 4, 5);
+    const vault = result.components[0].result;
+
+    expect(vault.indexType).toBe('goldVault');
+    expect(vault.initialInvestment.dealingCost).toBeCloseTo(400, 6);
+    expect(vault.summary.totalDealingCosts).toBeGreaterThan(400);
+    expect(result.summary.totalFees).toBeGreaterThan(
+      vault.summary.totalManagementFees + vault.summary.totalDealingCosts
+    );
+  });
+
+  test('given_portfolioWithSilverEtf_when_calculating_then_usesSilverEtfIndex', () => {
+    createCustomPortfolio('Silver', [
+      { strategyId: 'silverEtf', weight: 20 },
+      { strategyId: 'sp500', weight: 80 }
+    ]);
+    const result = calculateCombinedStrategy('custom-silver', 100000, 2000, 4, 5);
+
+    expect(result.components[0].result.indexType).toBe('silverEtf');
+  });
+
+  test('given_giltHeavyPortfolio_when_calculating_then_usesGiltIndices', () => {
+    createCustomPortfolio('Gilt Balanced', [
+      { strategyId: 'ftse100', weight: 40 },
+      { strategyId: 'gilts', weight: 40 },
+      { strategyId: 'indexLinkedGilts', weight: 20 }
+    ]);
+    const result = calculateCombinedStrategy('custom-gilt-balanced', 100000, 2000, 4, 20);
+
+    expect(result.components.map(c => c.result.indexType)).toEqual(['ftse100', 'gilts', 'indexLinkedGilts']);
+    expect(result.summary.allocations).toEqual([40000, 40000, 20000]);
+    expect(result.summary.finalValue).toBeGreaterThan(0);
+  });
+
+  test('given_portfolioWithIndexLinkedGilts_when_startingBefore1982_then_throwsError', () => {
+    createCustomPortfolio('Linkers', [
+      { strategyId: 'sp500', weight: 50 },
+      { strategyId: 'indexLinkedGilts', weight: 50 }
+    ]);
+
+    expect(() => calculateCombinedStrategy('custom-linkers', 100000, 1981, 4, 10))
+      .toThrow('limited by UK Index-Linked Gilts SIPP');
+    expect(getCombinedStrategyEarliestYear('custom-linkers')).toBe(1982);
+  });
+
+  test('given_portfolioWithPhysicalSilver_when_creating_then_throwsError', () => {
+    expect(() => createCustomPortfolio('Silver Coins', [
+      { strategyId: 'silver', weight: 50 },
+      { strategyId: 'sp500', weight: 50 }
+    ])).toThrow('Physical Silver cannot be part of a portfolio');
+  });
+});
+
+describe('rebalancing', () => {
+  test('given_defaultConfig_when_calculating_then_neverRebalances', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 10);
+
+    expect(result.rebalancing.mode).toBe(REBALANCE_MODES.NEVER);
+    expect(result.summary.rebalanceCount).toBe(0);
+    result.yearlyResults.forEach(year => expect(year.rebalancing).toBeNull());
+  });
+
+  test('given_annualMode_when_calculating_then_restoresTargetWeightsEachYear', () => {
+    const result = calculateCombinedStrategy('sp500-usTreasury', 500000, 2000, 4, 10, {
+      rebalanceMode: 'annual'
+    });
+
+    // SIPP-to-SIPP switches are free, so each year starts exactly 50/50
+    result.yearlyResults.slice(1).forEach(year => {
+      const [a, b] = year.components.map(c => c.raw.startValueGbp);
+      expect(a).toBeCloseTo(b, 4);
+      expect(year.rebalancing.totalCost).toBe(0);
+    });
+    expect(result.yearlyResults[0].rebalancing).toBeNull();
+    expect(result.summary.rebalanceCount).toBe(9);
+  });
+
+  test('given_goldAndSipp_when_rebalancingIntoGold_then_chargesSpreadAndTax', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 3, {
+      rebalanceMode: 'annual'
+    });
+    const rebalance = result.yearlyResults[1].rebalancing;
+    const sell = rebalance.trades.find(t => t.action === 'sell');
+    const buy = rebalance.trades.find(t => t.action === 'buy');
+
+    // Gold fell and the S&P rose in 2000, so value moves out of the SIPP into gold
+    expect(sell.id).toBe('sp500');
+    expect(buy.id).toBe('gold');
+    expect(rebalance.taxPaid).toBeGreaterThan(0);
+    expect(rebalance.spreadCost).toBeCloseTo(buy.amount * 0.03, 6);
+    expect(buy.amount).toBeCloseTo(sell.amount - rebalance.taxPaid, 6);
+  });
+
+  test('given_rebalancingCosts_when_summarising_then_includedInTaxAndFees', () => {
+    const drifting = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 10);
+    const rebalanced = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 10, {
+      rebalanceMode: 'annual'
+    });
+    const summary = rebalanced.summary;
+    const componentTax = summary.summaryA.taxPaidOnWithdrawal + summary.summaryB.totalTaxPaid;
+
+    expect(summary.totalRebalancingCosts).toBeGreaterThan(0);
+    expect(summary.totalTaxPaid).toBeCloseTo(componentTax + summary.totalRebalancingTax, 6);
+    expect(summary.totalFees).toBeGreaterThan(drifting.summary.totalFees);
+  });
+
+  test('given_wideThreshold_when_calculating_then_rebalancesLessOftenThanAnnual', () => {
+    const annual = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 20, { rebalanceMode: 'annual' });
+    const threshold = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 20, {
+      rebalanceMode: 'threshold',
+      rebalanceThresholdPercent: 10
+    });
+
+    expect(threshold.summary.rebalanceCount).toBeGreaterThan(0);
+    expect(threshold.summary.rebalanceCount).toBeLessThan(annual.summary.rebalanceCount);
+    threshold.yearlyResults.slice(1).forEach(year => {
+      expect(year.rebalancing.triggered).toBe(year.rebalancing.maxDrift > 10);
+    });
+  });
+
+  test('given_goldBars_when_rebalancingOutOfGold_then_gainChargedInThatYear', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 25, {
+      goldProduct: 'bars',
+      rebalanceMode: 'annual'
+    });
+    const year = result.yearlyResults.find(y => y.year === 2008);
+    const gold = year.components[0].raw;
+    const goldSale = year.rebalancing.trades.find(t => t.action === 'sell');
+
+    expect(goldSale.id).toBe('gold');
+    expect(gold.gainRealised).toBeGreaterThan(0);
+    expect(gold.capitalGainsTax).toBeGreaterThan(0);
+    expect(result.summary.summaryA.totalCapitalGainsTax).toBeGreaterThan(0);
+  });
+
+  test('given_unknownMode_when_calculating_then_throwsError', () => {
+    expect(() => calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 5, { rebalanceMode: 'monthly' }))
+      .toThrow('Unknown rebalance mode: monthly');
+  });
+});
+
+describe('gold product', () => {
+  test('given_goldBars_when_calculating_then_capitalGainsTaxReducesGoldValue', () => {
+    const coins = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 25);
+    const bars = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 25, { goldProduct: 'bars' });
+
+    expect(coins.summary.summaryA.totalCapitalGainsTax).toBe(0);
+    expect(bars.summary.summaryA.totalCapitalGainsTax).toBeGreaterThan(0);
+    expect(bars.summary.summaryA.finalGoldValue).toBeLessThan(coins.summary.summaryA.finalGoldValue);
+    expect(bars.summary.finalValue).toBeLessThan(coins.summary.finalValue);
+  });
+
+  test('given_goldBars_when_summarisingTax_then_includesCapitalGainsTax', () => {
+    const coins = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 25);
+    const bars = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 25, { goldProduct: 'bars' });
+
+    expect(bars.summary.totalTaxPaid - coins.summary.totalTaxPaid)
+      .toBeCloseTo(bars.summary.summaryA.totalCapitalGainsTax, 6);
+  });
+
+  test('given_goldBars_when_funded_then_initialLotCostIsAmountSpentOnGold', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 1, { goldProduct: 'bars' });
+    const { netInvestedInGold, initialGoldOunces } = result.summary.summaryA;
+    const [lot] = result.yearlyResults[0].components[0].raw.lots;
+
+    // Cost per ounce includes the 3% dealer cost of buying
+    expect(lot.year).toBe(2000);
+    expect(lot.cost / lot.units).toBeCloseTo(netInvestedInGold / initialGoldOunces / 0.97, 6);
+  });
+});
+
+describe('household tax', () => {
+  test('given_twoSippComponents_when_calculating_then_withdrawalsShareOnePersonalAllowance', () => {
+    const result = calculateCombinedStrategy('sp500-ftse100', 500000, 2000, 4, 10);
+    const sp500Alone = calculateSippStrategy(250000, 2000, 4, 10, 'sp500');
+    const ftse100Alone = calculateSippStrategy(250000, 2000, 4, 10, 'ftse100');
+
+    result.yearlyResults.forEach(year => {
+      const gross = year.components.reduce((sum, c) => sum + c.raw.grossWithdrawal, 0);
+      expect(year.householdTax.grossIncome).toBeCloseTo(gross, 6);
+      expect(year.householdTax.taxPaid).toBeCloseTo(calculateIncomeTax(gross, year.year, true).taxPaid, 6);
+    });
+    expect(result.summary.totalTaxPaid).toBeGreaterThan(
+      sp500Alone.summary.totalTaxPaid + ftse100Alone.summary.totalTaxPaid
+    );
+  });
+
+  test('given_goldComponent_when_startYearTaxed_then_initialWithdrawalTaxedWithSippDrawdown', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 5);
+    const firstYear = result.yearlyResults[0];
+    const goldAlone = calculateGoldStrategy(250000, 2000, 4, 5);
+    const [gold, sp500] = result.components;
+
+    // £250,000 gold withdrawal plus £10,000 of S&P 500 drawdown
+    expect(firstYear.householdTax.grossIncome).toBeCloseTo(260000, 6);
+    expect(gold.result.initialWithdrawal.taxCalculation.taxPaid).toBeCloseTo(firstYear.householdTax.taxPaid * 250 / 260, 6);
+    expect(sp500.result.yearlyResults[0].taxOnWithdrawal).toBeCloseTo(firstYear.householdTax.taxPaid * 10 / 260, 6);
+    expect(gold.result.initialWithdrawal.goldOuncesPurchased)
+      .toBeLessThan(goldAlone.initialWithdrawal.goldOuncesPurchased);
+  });
+
+  test('given_anyCombination_when_summarising_then_totalTaxMatchesYearlyHouseholdTax', () => {
+    ['gold-sp500', 'goldEtf-usTreasury'].forEach(id => {
+      const result = calculateCombinedStrategy(id, 500000, 2005, 5, 15, { rebalanceMode: 'annual' });
+      const yearlyTax = result.yearlyResults.reduce((sum, y) => sum + y.householdTax.taxPaid, 0);
+
+      expect(result.summary.totalTaxPaid).toBeCloseTo(yearlyTax, 4);
+    });
+  });
+});
+
+describe('target net income', () => {
+  afterEach(() => {
+    clearCustomPortfolios();
+  });
+
+  test('given_targetNetIncome_when_calculating_then_householdNetIsInflationLinkedTarget', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 10, { targetNetIncome: 24000 });
+
+    result.yearlyResults.forEach(y => {
+      expect(y.combinedWithdrawal).toBeCloseTo(24000 * getInflationMultiplier(2000, y.year), 1);
+    });
+  });
+
+  test('given_firstYearGoldWithdrawal_when_grossingUp_then_sippBearsItsShareOfHouseholdTax', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2010, 4, 3, { targetNetIncome: 24000 });
+    const [first, second] = result.yearlyResults;
+    const sippFirst = first.components[1].raw;
+    const sippSecond = second.components[1].raw;
+
+    expect(sippFirst.netWithdrawal).toBeCloseTo(12000, 1);
+    expect(first.components[0].raw.netWithdrawal).toBeCloseTo(12000, 6);
+    // Taxed alongside the £250,000 gold withdrawal in year one, the SIPP needs far more gross
+    expect(sippFirst.grossWithdrawal / sippFirst.netWithdrawal)
+      .toBeGreaterThan(sippSecond.grossWithdrawal / sippSecond.netWithdrawal);
+  });
+
+  test('given_rebalancingAndCustomPortfolio_when_calculating_then_netStillMeetsTarget', () => {
+    const portfolio = createCustomPortfolio('Three Way', [
+      { strategyId: 'sp500', weight: 50 },
+      { strategyId: 'ftse100', weight: 30 },
+      { strategyId: 'gold', weight: 20 }
+    ]);
+    const result = calculateCombinedStrategy(portfolio.id, 500000, 2005, 4, 8, {
+      targetNetIncome: 25000,
+      adjustForInflation: false,
+      rebalanceMode: 'annual'
+    });
+
+    result.yearlyResults.forEach(y => {
+      expect(y.combinedWithdrawal).toBeCloseTo(25000, 0);
+    });
+  });
+
+  test('given_invalidTargetNetIncome_when_calculating_then_throwsError', () => {
+    expect(() => calculateCombinedStrategy('gold-sp500', 500000, 2000, 4, 10, { targetNetIncome: 'lots' }))
+      .toThrow('Target net income must be a positive number');
+  });
+});
+
+describe('other income', () => {
+  test('given_otherIncome_when_calculating_then_householdTaxIsMarginalOnTopOfIt', () => {
+    const otherIncome = [{ amount: 30000, fromYear: 2005, inflationLinked: false }];
+    const result = calculateCombinedStrategy('sp500-ftse100', 500000, 2005, 4, 10, { otherIncome });
+    const withoutOther = calculateCombinedStrategy('sp500-ftse100', 500000, 2005, 4, 10);
+
+    result.yearlyResults.forEach(year => {
+      const stacked = calculateIncomeTax(year.householdTax.grossIncome, year.year, true, 30000);
+      expect(year.householdTax.taxPaid).toBeCloseTo(stacked.taxPaid, 6);
+      expect(year.otherIncome).toBe(30000);
+      expect(year.otherIncomeTax).toBeCloseTo(stacked.otherIncomeTax, 6);
+    });
+    expect(result.summary.totalTaxPaid).toBeGreaterThan(withoutOther.summary.totalTaxPaid);
+  });
+
+  test('given_otherIncomeAndTargetNetIncome_when_calculating_then_householdNetStillMeetsTarget', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2010, 4, 5, {
+      targetNetIncome: 24000,
+      otherIncome: [{ amount: 40000, fromYear: 2010 }]
+    });
+
+    result.yearlyResults.forEach(y => {
+      expect(y.combinedWithdrawal).toBeCloseTo(24000 * getInflationMultiplier(2010, y.year), 1);
+    });
+  });
+});
+
+describe('state pension', () => {
+  test('given_statePensionAndTargetNetIncome_when_calculating_then_householdNetPlusStatePensionMeetsTarget', () => {
+    const config = { targetNetIncome: 30000, statePension: { ageAtStart: 63, statePensionAge: 65 } };
+    const result = calculateCombinedStrategy('gold-sp500', 500000, 2010, 4, 6, config);
+    const sources = resolveIncomeSources(config, 2010);
+
+    result.yearlyResults.forEach(y => {
+      const target = 30000 * getInflationMultiplier(2010, y.year);
+      expect(y.combinedWithdrawal + getNetStatePension(sources, y.year)).toBeCloseTo(target, 1);
+    });
+    expect(result.yearlyResults[2].otherIncome).toBeGreaterThan(0);
+  });
+});
+
+describe('tax residency', () => {
+  test('given_scottishResidency_when_calculating_then_householdTaxUsesScottishRates', () => {
+    const result = calculateCombinedStrategy('sp500-ftse100', 500000, 2018, 6, 5, { taxResidency: 'scotland' });
+
+    result.yearlyResults.forEach(year => {
+      const scottish = calculateIncomeTax(year.householdTax.grossIncome, year.year, true, 0, 'scotland');
+      expect(year.householdTax.taxPaid).toBeCloseTo(scottish.taxPaid, 6);
+    });
+  });
+});
+
+describe('tax-free cash allowances', () => {
+  test('given_goldWithdrawalUsingLifetimeAllowance_when_calculating_then_sippDrawdownHasNoTaxFreeCash', () => {
+    const result = calculateCombinedStrategy('gold-sp500', 2400000, 2016, 4, 5);
+    const sipp = result.components[1].result;
+
+    // The £1.2m gold withdrawal in 2016 uses all of the £1m Lifetime Allowance
+    expect(sipp.allowanceUsage.lifetimeAllowanceUsed).toBeGreaterThan(1.2);
+    result.yearlyResults.slice(1).forEach(year => {
+      const gross = year.householdTax.grossIncome;
+      const charge = gross * 0.55;
+      expect(year.householdTax.taxPaid).toBeCloseTo(charge, 6);
+    });
+  });
+});
+
+describe('upfront PCLS', () => {
+  test('given_pclsMode_when_calculating_then_componentsStillTakeTaxFreeCashWithEachWithdrawal', () => {
+    const ufpls = calculateCombinedStrategy('sp500-ftse100', 500000, 2010, 4, 5);
+    const pcls = calculateCombinedStrategy('sp500-ftse100', 500000, 2010, 4, 5, { crystallisationMode: 'pcls' });
+
+    expect(pcls.summary.finalValue).toBeCloseTo(ufpls.summary.finalValue, 6);
+    expect(pcls.summary.totalTaxPaid).toBeCloseTo(ufpls.summary.totalTaxPaid, 6);
+  });
+});
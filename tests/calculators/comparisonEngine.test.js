@@ -14,6 +14,7 @@ import {
   getCumulativeWithdrawals,
   getKeyInsights
 } from '../../src/calculators/comparisonEngine.js';
+import { calculateSippAfterTaxValue } from '../../src/calculators/sippStrategy.js';
 
 describe('compareStrategies', () => {
   describe('input validation', () => {
@@ -586,3 +587,190 @@ describe('compareAnyStrategies', () => {
     });
   });
 });
+
+describe('upfront PCLS', () => {
+  test('given_pclsHeldAsCash_when_comparing_then_cashIncludedInAfterTaxFinalValue', () => {
+    const config = { crystallisationMode: 'pcls', pclsUse: 'cash' };
+    const result = compareAnyStrategies('sp500', 'gold', 500000, 2010, 4, 10, config);
+    const metrics = result.strategy1.metrics;
+
+    expect(metrics.finalAssetValue).toBeCloseTo(result.strategy1.result.summary.finalValue + 125000, 6);
+    expect(metrics.finalAfterTaxValue).toBeGreaterThan(125000);
+    expect(metrics.remainingTaxLiability).toBeCloseTo(metrics.finalAssetValue - metrics.finalAfterTaxValue, 6);
+  });
+
+  test('given_pclsReinvested_when_comparing_then_taxOnItsGainsDeductedFromAfterTaxFinalValue', () => {
+    const config = { crystallisationMode: 'pcls', pclsUse: 'reinvest' };
+    const result = compareAnyStrategies('sp500', 'gold', 500000, 2010, 4, 10, config);
+    const { summary, taxResidency, allowanceUsage } = result.strategy1.result;
+    const sippNetValue = calculateSippAfterTaxValue(summary.finalValue, 2019, taxResidency, allowanceUsage, 'pcls').netValue;
+
+    expect(summary.pclsTaxOnUnrealisedGains).toBeGreaterThan(0);
+    expect(result.strategy1.metrics.finalAfterTaxValue)
+      .toBeCloseTo(sippNetValue + summary.pclsFinalValue - summary.pclsTaxOnUnrealisedGains, 6);
+  });
+});
+
+describe('phased gold purchase', () => {
+  test('given_goldPhased_when_comparingWithGold_then_initialTaxCoversEveryTranche', () => {
+    const config = { goldPhasingRule: 'tranches', goldTrancheCount: 3, adjustForInflation: false };
+    const result = compareAnyStrategies('goldPhased', 'gold', 500000, 2010, 4, 10, config);
+
+    expect(result.strategy1.type).toBe('gold');
+    expect(result.strategy1.result.summary.phasingYears).toBe(3);
+    expect(result.strategy1.metrics.initialTaxPaid).toBe(result.strategy1.result.summary.taxPaidOnWithdrawal);
+    expect(result.strategy2.metrics.initialTaxPaid)
+      .toBe(result.strategy2.result.initialWithdrawal.taxCalculation.taxPaid);
+  });
+
+  test('given_pensionLeftInSipp_when_comparing_then_remainderTaxedInAfterTaxFinalValue', () => {
+    const config = { goldPhasingBand: 'personalAllowance' };
+    const result = compareAnyStrategies('goldPhased', 'sp500', 500000, 2010, 4, 5, config);
+    const summary = result.strategy1.result.summary;
+    const metrics = result.strategy1.metrics;
+
+    expect(summary.finalSippValue).toBeGreaterThan(0);
+    expect(metrics.finalAssetValue).toBeCloseTo(summary.finalGoldValue + summary.finalSippValue, 6);
+    expect(metrics.finalAfterTaxValue).toBeLessThan(metrics.finalAssetValue);
+    expect(metrics.finalAfterTaxValue).toBeGreaterThan(summary.finalGoldValue);
+  });
+});
+
+describe('withdraw to ISA', () => {
+  test('given_isaStrategy_when_comparing_then_metricsTakenFromIsaSummary', () => {
+    const result = compareAnyStrategies('isaSp500', 'sp500', 500000, 2000, 4, 10);
+    const summary = result.strategy1.result.summary;
+    const metrics = result.strategy1.metrics;
+
+    expect(result.strategy1.type).toBe('isa');
+    expect(metrics.initialTaxPaid).toBe(summary.taxPaidOnWithdrawal);
+    expect(metrics.totalFees).toBe(summary.totalManagementFees);
+    expect(metrics.finalAfterTaxValue).toBeCloseTo(summary.finalValue - summary.taxOnUnrealisedGains, 6);
+  });
+});
+
+describe('withdraw to GIA', () => {
+  test('given_giaStrategy_when_comparing_then_withdrawalTaxIncludesDividendTax', () => {
+    const result = compareAnyStrategies('giaFtse100', 'isaFtse100', 500000, 2000, 4, 10);
+    const summary = result.strategy1.result.summary;
+    const metrics = result.strategy1.metrics;
+
+    expect(result.strategy1.type).toBe('gia');
+    expect(metrics.totalWithdrawalTax).toBeCloseTo(summary.totalCapitalGainsTax + summary.totalDividendTax, 6);
+    expect(metrics.finalAfterTaxValue).toBeCloseTo(summary.finalValue - summary.taxOnUnrealisedGains, 6);
+  });
+});
+
+describe('gold bars', () => {
+  test('given_goldBars_when_comparing_then_capitalGainsTaxCountedAsWithdrawalTax', () => {
+    const result = compareAnyStrategies('gold', 'sp500', 500000, 2000, 4, 20, { goldProduct: 'bars' });
+    const summary = result.strategy1.result.summary;
+    const metrics = result.strategy1.metrics;
+
+    expect(metrics.totalWithdrawalTax).toBeCloseTo(summary.totalCapitalGainsTax, 6);
+    expect(metrics.finalAfterTaxValue).toBeCloseTo(summary.finalGoldValue - summary.taxOnUnrealisedGains, 6);
+    expect(metrics.finalAfterTaxValue).toBeLessThan(summary.finalGoldValue);
+  });
+});
+
+describe('vaulted gold', () => {
+  test('given_goldVault_when_comparing_then_feesIncludeVaultFeeAndSpread', () => {
+    const result = compareAnyStrategies('goldVault', 'goldEtf', 500000, 2000, 4, 20);
+    const summary = result.strategy1.result.summary;
+
+    expect(result.strategy1.type).toBe('sipp');
+    expect(result.strategy1.metrics.totalFees).toBeCloseTo(summary.totalManagementFees + summary.totalDealingCosts, 6);
+    expect(summary.totalDealingCosts).toBeGreaterThan(0);
+    expect(result.strategy2.result.summary.totalDealingCosts).toBe(0);
+  });
+});
+
+describe('silver', () => {
+  test('given_silverBars_when_comparing_then_vatCountedAsInitialTax', () => {
+    const result = compareAnyStrategies('silver', 'silverEtf', 500000, 2015, 4, 10, { silverProduct: 'bars' });
+    const summary = result.strategy1.result.summary;
+
+    expect(result.strategy1.type).toBe('gold');
+    expect(summary.purchaseVat).toBeGreaterThan(0);
+    expect(result.strategy1.metrics.initialTaxPaid)
+      .toBeCloseTo(summary.taxPaidOnWithdrawal + summary.purchaseVat, 6);
+    expect(result.strategy2.type).toBe('sipp');
+    expect(result.strategy2.result.indexType).toBe('silverEtf');
+  });
+});
+
+describe('cash', () => {
+  test('given_savingsAccount_when_comparing_then_interestTaxIsWithdrawalTaxAndBalanceAlreadyTaxed', () => {
+    const result = compareAnyStrategies('savings', 'cash', 500000, 2000, 4, 20);
+    const summary = result.strategy1.result.summary;
+
+    expect(result.strategy1.type).toBe('savings');
+    expect(result.strategy1.metrics.initialTaxPaid).toBeCloseTo(summary.taxPaidOnWithdrawal, 6);
+    expect(result.strategy1.metrics.totalWithdrawalTax).toBeCloseTo(summary.totalInterestTax, 6);
+    expect(result.strategy1.metrics.finalAfterTaxValue).toBeCloseTo(summary.finalValue, 6);
+    expect(result.yearlyComparison[1].strategy1.taxPaid).toBeCloseTo(result.strategy1.result.yearlyResults[1].interestTax, 6);
+    expect(result.strategy2.type).toBe('sipp');
+    expect(result.strategy2.result.indexType).toBe('cash');
+  });
+});
+
+describe('annuity', () => {
+  test('given_annuity_when_comparing_then_incomeTaxIsWithdrawalTaxAndNoPotLeft', () => {
+    const result = compareAnyStrategies('annuity', 'ftse100', 500000, 2000, 4, 20);
+    const summary = result.strategy1.result.summary;
+
+    expect(result.strategy1.type).toBe('annuity');
+    expect(result.strategy1.metrics.initialTaxPaid).toBe(0);
+    expect(result.strategy1.metrics.totalWithdrawalTax).toBeCloseTo(summary.totalTaxPaid, 6);
+    expect(result.strategy1.metrics.finalAfterTaxValue).toBe(0);
+    expect(result.strategy1.metrics.hasResidualPot).toBe(false);
+    expect(result.yearlyComparison[0].strategy1.grossWithdrawal)
+      .toBeCloseTo(result.strategy1.result.yearlyResults[0].grossIncome + summary.pclsAmount, 6);
+    expect(result.strategy2.metrics.hasResidualPot).toBeUndefined();
+  });
+});
+
+describe('drawdown then annuity', () => {
+  test('given_switchWithinPeriod_when_comparing_then_noPotLeftAndPclsCountedAsWithdrawal', () => {
+    const result = compareAnyStrategies('drawdownAnnuity', 'msciWorld', 500000, 2000, 4, 25, { ageAtStart: 65 });
+    const drawdownAnnuity = result.strategy1.result;
+    const switchIndex = drawdownAnnuity.switchYear - 2000;
+
+    expect(result.strategy1.type).toBe('drawdownAnnuity');
+    expect(result.strategy1.metrics.totalWithdrawalTax).toBeCloseTo(drawdownAnnuity.summary.totalTaxPaid, 6);
+    expect(result.strategy1.metrics.finalAfterTaxValue).toBe(0);
+    expect(result.strategy1.metrics.hasResidualPot).toBe(false);
+    expect(result.yearlyComparison[switchIndex].strategy1.grossWithdrawal)
+      .toBeCloseTo(drawdownAnnuity.yearlyResults[switchIndex].grossWithdrawal + drawdownAnnuity.summary.pclsAmount, 6);
+    expect(result.yearlyComparison[0].strategy1.grossWithdrawal)
+      .toBeCloseTo(result.yearlyComparison[0].strategy2.grossWithdrawal, 6);
+  });
+
+  test('given_switchAfterPeriod_when_comparing_then_potLeftTaxedLikeSipp', () => {
+    const result = compareAnyStrategies('drawdownAnnuity', 'msciWorld', 500000, 2000, 4, 10, { ageAtStart: 65 });
+
+    expect(result.strategy1.metrics.hasResidualPot).toBe(true);
+    expect(result.strategy1.metrics.finalAfterTaxValue).toBeGreaterThan(0);
+    expect(result.strategy1.metrics.finalAfterTaxValue).toBeLessThan(result.strategy1.result.summary.finalValue);
+  });
+});
+
+describe('global equity', () => {
+  test('given_msciWorld_when_comparingWithSp500_then_bothSippWithOwnIndex', () => {
+    const result = compareAnyStrategies('msciWorld', 'sp500', 500000, 2000, 4, 20);
+
+    expect(result.strategy1.type).toBe('sipp');
+    expect(result.strategy1.result.indexType).toBe('msciWorld');
+    expect(result.strategy1.metrics.finalAssetValue).not.toBeCloseTo(result.strategy2.metrics.finalAssetValue, 0);
+  });
+});
+
+describe('UK equity', () => {
+  test('given_ftse100AndFtse250_when_comparing_then_largeCapChoiceChangesResult', () => {
+    const result = compareAnyStrategies('ftse100', 'ftse250', 500000, 1990, 4, 30);
+
+    expect(result.strategy1.result.indexType).toBe('ftse100');
+    expect(result.strategy2.result.indexType).toBe('ftse250');
+    expect(result.strategy2.metrics.finalAssetValue).toBeGreaterThan(result.strategy1.metrics.finalAssetValue);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Drawdown then Annuity Strategy Calculator Tests
+ *
+ * Tests for drawing from a SIPP fund until a chosen age or year, then buying an annuity with the remaining pot.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  calculateDrawdownAnnuityStrategy,
+  resolveDrawdownAnnuityCosts,
+  PHASES
+} from '../../src/calculators/drawdownAnnuityStrategy.js';
+import { calculateSippStrategy, getSippWithdrawalTarget, resolveSippCosts } from '../../src/calculators/sippStrategy.js';
+import { calculateAnnuityPurchase } from '../../src/calculators/annuityStrategy.js';
+import { getAnnuityRate } from '../../src/data/annuityRates.js';
+import { getRpiMultiplier } from '../../src/data/ukRpi.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+
+describe('resolveDrawdownAnnuityCosts', () => {
+  test('given_noConfig_when_resolving_then_usesDefaults', () => {
+    const costs = resolveDrawdownAnnuityCosts({}, 2000);
+
+    expect(costs.drawdownIndex).toBe('msciWorld');
+    expect(costs.annuityType).toBe('level');
+    expect(costs.switchAge).toBe(75);
+    expect(costs.switchYear).toBe(2015);
+    expect(costs.crystallisationMode).toBe('ufpls');
+  });
+
+  test('given_switchAge_when_resolving_then_switchYearFromAgeAtStart', () => {
+    const costs = resolveDrawdownAnnuityCosts({ ageAtStart: 65, annuitySwitchAge: 70 }, 2000);
+
+    expect(costs.switchYear).toBe(2005);
+  });
+
+  test('given_ageAtStartPastSwitchAge_when_resolving_then_switchYearIsStartYear', () => {
+    const costs = resolveDrawdownAnnuityCosts({ ageAtStart: 80, annuitySwitchAge: 75 }, 2000);
+
+    expect(costs.switchYear).toBe(2000);
+  });
+
+  test('given_switchYear_when_resolving_then_overridesSwitchAge', () => {
+    const costs = resolveDrawdownAnnuityCosts({ ageAtStart: 65, annuitySwitchAge: 70, annuitySwitchYear: 2012 }, 2000);
+
+    expect(costs.switchYear).toBe(2012);
+  });
+
+  test('given_switchYearBeforeStart_when_resolving_then_switchYearIsStartYear', () => {
+    const costs = resolveDrawdownAnnuityCosts({ annuitySwitchYear: 2010 }, 2011);
+
+    expect(costs.switchYear).toBe(2011);
+  });
+
+  test('given_upfrontPclsConfig_when_resolving_then_drawdownStaysUfpls', () => {
+    const costs = resolveDrawdownAnnuityCosts({ crystallisationMode: 'pcls' }, 2000);
+
+    expect(costs.crystallisationMode).toBe('ufpls');
+  });
+});
+
+describe('calculateDrawdownAnnuityStrategy', () => {
+  const config = { ageAtStart: 65, annuitySwitchAge: 75 };
+
+  test('given_switchAge_when_calculating_then_drawdownUntilSwitchYearThenAnnuity', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, config);
+
+    expect(result.switchYear).toBe(2010);
+    expect(result.yearlyResults).toHaveLength(25);
+    expect(result.yearlyResults.filter(r => r.phase === PHASES.DRAWDOWN)).toHaveLength(10);
+    expect(result.yearlyResults.filter(r => r.phase === PHASES.ANNUITY)).toHaveLength(15);
+    expect(result.yearlyResults[10].year).toBe(2010);
+    expect(result.yearlyResults[10].age).toBe(75);
+    expect(result.summary.drawdownYears).toBe(10);
+    expect(result.summary.annuityYears).toBe(15);
+  });
+
+  test('given_drawdownPhase_when_calculating_then_matchesSippStrategyOnSameFund', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, config);
+    const sipp = calculateSippStrategy(500000, 2000, 4, 10, 'msciWorld', config);
+
+    for (let i = 0; i < 10; i++) {
+      const row = result.yearlyResults[i];
+      expect(row.grossWithdrawal).toBeCloseTo(sipp.yearlyResults[i].grossWithdrawal, 6);
+      expect(row.netWithdrawal).toBeCloseTo(sipp.yearlyResults[i].netWithdrawal, 6);
+      expect(row.endValueGbp).toBeCloseTo(sipp.yearlyResults[i].endValueGbp, 6);
+      expect(row.unitPrice).not.toBeNull();
+    }
+  });
+
+  test('given_switchYear_when_buyingAnnuity_then_potLessSpreadBuysAnnuityAtAgeRate', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, { ...config, annuityDrawdownIndex: 'goldVault' });
+    const switchRow = result.yearlyResults[10];
+    const potAfterSale = switchRow.startValueGbp - switchRow.fees;
+
+    expect(switchRow.fees).toBeGreaterThan(0);
+    expect(result.purchase.year).toBe(2010);
+    expect(result.purchase.ageAtPurchase).toBe(75);
+    expect(result.purchase.grossPension).toBeCloseTo(potAfterSale, 6);
+    expect(result.purchase.annuityRate).toBeCloseTo(getAnnuityRate(2010, 75, 'level'), 6);
+    expect(result.summary.potAtSwitch).toBeCloseTo(potAfterSale, 6);
+  });
+
+  test('given_switchYear_when_buyingAnnuity_then_pclsPaidInSwitchYearOnly', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, config);
+    const switchRow = result.yearlyResults[10];
+
+    expect(switchRow.pclsPaid).toBeCloseTo(result.purchase.grossPension * 0.25, 6);
+    expect(switchRow.netWithdrawal).toBeCloseTo(switchRow.grossWithdrawal - switchRow.taxPaid + switchRow.pclsPaid, 6);
+    expect(result.yearlyResults.filter(r => r.pclsPaid > 0)).toHaveLength(1);
+    expect(result.summary.pclsAmount).toBeCloseTo(switchRow.pclsPaid, 6);
+  });
+
+  test('given_annuityPhase_when_calculating_then_levelIncomeAndNoPensionLeft', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, config);
+    const annuityRows = result.yearlyResults.slice(10);
+
+    annuityRows.forEach(row => {
+      expect(row.grossWithdrawal).toBeCloseTo(result.purchase.annualIncome, 6);
+      expect(row.endValueGbp).toBe(0);
+      expect(row.unitPrice).toBeNull();
+      expect(row.status).toBe('active');
+    });
+    expect(result.summary.finalValue).toBe(0);
+    expect(result.summary.strategySuccessful).toBe(true);
+  });
+
+  test('given_rpiLinkedAnnuity_when_laterYear_then_incomeUpratedFromSwitchYear', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, { ...config, annuityType: 'rpi' });
+    const row = result.yearlyResults[15];
+
+    expect(row.incomeMultiplier).toBeCloseTo(getRpiMultiplier(2010, 2015), 6);
+    expect(row.grossWithdrawal).toBeCloseTo(result.purchase.annualIncome * getRpiMultiplier(2010, 2015), 6);
+  });
+
+  test('given_largePension_when_buyingAnnuity_then_pclsLimitedByTaxFreeCashAlreadyTaken', () => {
+    const result = calculateDrawdownAnnuityStrategy(2000000, 2018, 4, 8, { ageAtStart: 70, annuitySwitchAge: 75 });
+    const freshPurchase = calculateAnnuityPurchase(result.purchase.grossPension, 2023, 75, 'level');
+
+    expect(result.purchase.pclsAmount).toBeGreaterThan(0);
+    expect(result.purchase.pclsAmount).toBeLessThan(freshPurchase.pclsAmount);
+  });
+
+  test('given_switchInStartYear_when_calculating_then_annuityBoughtImmediately', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 10, { ageAtStart: 65, annuitySwitchYear: 2000 });
+
+    expect(result.summary.drawdownYears).toBe(0);
+    expect(result.yearlyResults[0].phase).toBe(PHASES.ANNUITY);
+    expect(result.purchase.annuityRate).toBeCloseTo(getAnnuityRate(2000, 65, 'level'), 6);
+  });
+
+  test('given_ageAtStartPastSwitchAge_when_calculating_then_annuityBoughtInStartYearAtAgeThen', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 10, { ageAtStart: 80, annuitySwitchAge: 75 });
+
+    expect(result.switchYear).toBe(2000);
+    expect(result.summary.drawdownYears).toBe(0);
+    expect(result.yearlyResults.every(r => r.phase === PHASES.ANNUITY)).toBe(true);
+    expect(result.purchase.year).toBe(2000);
+    expect(result.purchase.ageAtPurchase).toBe(80);
+    expect(result.purchase.annuityRate).toBeCloseTo(getAnnuityRate(2000, 80, 'level'), 6);
+  });
+
+  test('given_switchAfterPeriod_when_calculating_then_noAnnuityAndPotRemains', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 10, config);
+
+    expect(result.purchase).toBeNull();
+    expect(result.yearlyResults.every(r => r.phase === PHASES.DRAWDOWN)).toBe(true);
+    expect(result.summary.annuityRate).toBeNull();
+    expect(result.summary.finalValue).toBeGreaterThan(0);
+    expect(result.summary.finalValue).toBeCloseTo(result.yearlyResults[9].endValueGbp, 6);
+  });
+
+  test('given_potRunsOutBeforeSwitch_when_calculating_then_noAnnuityBought', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 30, 15, config);
+
+    expect(result.purchase).toBeNull();
+    expect(result.summary.yearDepleted).not.toBeNull();
+    expect(result.summary.strategySuccessful).toBe(false);
+    expect(result.yearlyResults.every(r => r.phase === PHASES.DRAWDOWN)).toBe(true);
+  });
+
+  test('given_targetNetIncome_when_drawingDown_then_grossedUpLikeSipp', () => {
+    const targetConfig = { ...config, targetNetIncome: 20000 };
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, targetConfig);
+    const costs = resolveSippCosts(targetConfig, 2000);
+
+    expect(result.yearlyResults[0].grossWithdrawal).toBeCloseTo(getSippWithdrawalTarget(20000, 2000, 2000, costs), 6);
+    expect(result.yearlyResults[3].netWithdrawal).toBeCloseTo(20000 * getInflationMultiplier(2000, 2003), 0);
+  });
+
+  test('given_switchYearBeforeStart_when_calculating_then_annuityBoughtInStartYear', () => {
+    const result = calculateDrawdownAnnuityStrategy(500000, 2000, 4, 10, { ageAtStart: 65, annuitySwitchYear: 1995 });
+
+    expect(result.switchYear).toBe(2000);
+    expect(result.summary.drawdownYears).toBe(0);
+    expect(result.purchase.year).toBe(2000);
+    expect(result.purchase.ageAtPurchase).toBe(65);
+  });
+
+  test('given_fractionalSwitchYear_when_calculating_then_throwsError', () => {
+    expect(() => calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, { annuitySwitchYear: 2010.5 }))
+      .toThrow('Annuity switch year 2010.5 must be a whole year');
+  });
+
+  test('given_unknownDrawdownIndex_when_calculating_then_throwsError', () => {
+    expect(() => calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, { annuityDrawdownIndex: 'dax' }))
+      .toThrow('Unknown index type: dax');
+  });
+
+  test('given_startBeforeFundData_when_calculating_then_throwsError', () => {
+    expect(() => calculateDrawdownAnnuityStrategy(500000, 1980, 4, 25, { annuityDrawdownIndex: 'nasdaq100' }))
+      .toThrow('data not available for year 1980');
+  });
+
+  test('given_switchAgeOutsideRateTable_when_calculating_then_throwsError', () => {
+    expect(() => calculateDrawdownAnnuityStrategy(500000, 2000, 4, 25, { ageAtStart: 80, annuitySwitchAge: 90 }))
+      .toThrow('Annuity rates are only available for ages 55 to 85');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * GIA Strategy Calculator Tests
+ *
+ * Tests for withdrawing the pension and investing the proceeds in a General Investment Account.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import { calculateGiaStrategy, resolveGiaCosts, calculateGiaYear } from '../../src/calculators/giaStrategy.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { getSyntheticPrice } from '../../src/calculators/syntheticEtf.js';
+import { getDividendYield } from '../../src/data/dividendYields.js';
+import { COSTS } from '../../src/config/defaults.js';
+
+describe('resolveGiaCosts', () => {
+  test('given_noConfig_when_resolving_then_usesDefaults', () => {
+    const costs = resolveGiaCosts();
+
+    expect(costs.managementFeePercent).toBe(COSTS.sippManagementFeePercent);
+    expect(costs.targetNetIncome).toBeNull();
+    expect(costs.taxResidency).toBe('ruk');
+  });
+});
+
+describe('calculateGiaYear', () => {
+  const costs = resolveGiaCosts({ sippManagementFeePercent: 0 });
+
+  test('given_noIncomeWanted_when_simulatingYear_then_dividendsAddedToCostBasis', () => {
+    const price = getSyntheticPrice(2015, 'sp500');
+    const holdings = { lots: [{ year: 2010, units: 1000, cost: 10000 }], lossesCarriedForward: 0 };
+    const year = calculateGiaYear(holdings, 2015, 0, 'sp500', costs);
+
+    expect(year.dividends).toBeCloseTo(1000 * price * getDividendYield(2015, 'sp500') / 100, 6);
+    expect(year.dividendTax).toBe(0);
+    expect(year.withdrawalGross).toBe(0);
+    expect(year.costBasis).toBeCloseTo(10000 + year.dividends, 6);
+  });
+
+  test('given_dividendsReinvested_when_simulatingYear_then_bookedAsNewLotDatedThatYear', () => {
+    const price = getSyntheticPrice(2015, 'sp500');
+    const holdings = { lots: [{ year: 2010, units: 1000, cost: 10000 }], lossesCarriedForward: 0 };
+    const year = calculateGiaYear(holdings, 2015, 0, 'sp500', costs);
+    const [earlier, reinvested] = year.lots;
+
+    expect(year.lots).toHaveLength(2);
+    expect(earlier).toEqual({ year: 2010, units: expect.any(Number), cost: 10000 });
+    expect(reinvested.year).toBe(2015);
+    expect(reinvested.cost).toBeCloseTo(year.dividends, 6);
+    expect(reinvested.units).toBeCloseTo(year.dividends / price, 6);
+    expect(earlier.units + reinvested.units).toBeCloseTo(1000, 6);
+  });
+
+  test('given_taperReliefYears_when_selling_then_reinvestedDividendsMatchedFirst', () => {
+    const holdings = { lots: [{ year: 1995, units: 1000, cost: 10000 }], lossesCarriedForward: 0 };
+    const year = calculateGiaYear(holdings, 2003, 100, 'sp500', costs);
+    const reinvested = year.lots.find(lot => lot.year === 2003);
+
+    // Latest purchases are matched first, so the sale comes out of this year's dividends
+    expect(year.lots[0].units).toBeCloseTo(1000 - year.dividends / getSyntheticPrice(2003, 'sp500'), 6);
+    expect(reinvested.units).toBeLessThan(year.dividends / getSyntheticPrice(2003, 'sp500'));
+  });
+
+  test('given_taxableGain_when_withdrawing_then_saleGrossedUpForCapitalGainsTax', () => {
+    const holdings = { lots: [{ year: 2010, units: 10000, cost: 1 }], lossesCarriedForward: 0 };
+    const year = calculateGiaYear(holdings, 2024, 50000, 'sp500', costs);
+
+    expect(year.capitalGainsTax).toBeGreaterThan(0);
+    expect(year.netWithdrawal).toBeCloseTo(50000, 4);
+    expect(year.withdrawalGross).toBeCloseTo(50000 + year.capitalGainsTax + year.dividendTax, 4);
+  });
+
+  test('given_lossesBroughtForward_when_gainsRealised_then_lossesReduceTax', () => {
+    const lots = [{ year: 2010, units: 10000, cost: 1 }];
+    const without = calculateGiaYear({ lots, lossesCarriedForward: 0 }, 2024, 50000, 'sp500', costs);
+    const withLosses = calculateGiaYear({ lots, lossesCarriedForward: 20000 }, 2024, 50000, 'sp500', costs);
+
+    expect(withLosses.capitalGainsTax).toBeLessThan(without.capitalGainsTax);
+    expect(withLosses.lossesCarriedForward).toBe(0);
+  });
+
+  test('given_pensionIncome_when_simulatingYear_then_dividendsTaxedOnTopOfIt', () => {
+    const holdings = { lots: [{ year: 2010, units: 1000, cost: 10000 }], lossesCarriedForward: 0 };
+    const without = calculateGiaYear(holdings, 2024, 0, 'sp500', costs);
+    const withPension = calculateGiaYear(holdings, 2024, 0, 'sp500', costs, 60000);
+
+    expect(without.dividendTax).toBe(0);
+    expect(withPension.dividendTax).toBeGreaterThan(0);
+    expect(withPension.pensionIncome).toBe(60000);
+  });
+
+  test('given_fundWithoutDividendYields_when_simulatingYear_then_noDividends', () => {
+    const holdings = { lots: [{ year: 2010, units: 1000, cost: 10000 }], lossesCarriedForward: 0 };
+    const year = calculateGiaYear(holdings, 2015, 0, 'goldEtf', costs);
+
+    expect(year.dividends).toBe(0);
+    expect(year.lots).toHaveLength(1);
+  });
+});
+
+describe('calculateGiaStrategy', () => {
+  describe('input validation', () => {
+    test('given_negativePensionAmount_when_calculating_then_throwsError', () => {
+      expect(() => calculateGiaStrategy(-100000, 2000, 4, 10))
+        .toThrow('Pension amount must be a positive number');
+    });
+
+    test('given_startBeforeIndexData_when_calculating_then_throwsError', () => {
+      expect(() => calculateGiaStrategy(500000, 1984, 4, 10, 'nasdaq100'))
+        .toThrow('Nasdaq 100 data not available for year 1984');
+    });
+
+    test('given_yearsExtendBeyondData_when_calculating_then_throwsError', () => {
+      expect(() => calculateGiaStrategy(500000, 2020, 4, 10))
+        .toThrow('Not enough data');
+    });
+  });
+
+  describe('initial withdrawal', () => {
+    test('given_pension_when_withdrawn_then_taxedLikeGoldStrategyAndAllInvested', () => {
+      const result = calculateGiaStrategy(500000, 2000, 4, 10);
+      const tax = calculateIncomeTax(500000, 2000, true);
+
+      expect(result.initialWithdrawal.taxCalculation.taxPaid).toBeCloseTo(tax.taxPaid, 6);
+      expect(result.initialWithdrawal.unitsPurchased).toBeCloseTo(tax.netIncome / getSyntheticPrice(2000, 'sp500'), 6);
+      expect(result.yearlyResults[0].startUnits).toBeCloseTo(result.initialWithdrawal.unitsPurchased, 6);
+    });
+  });
+
+  describe('withdrawals', () => {
+    test('given_sustainableRate_when_withdrawing_then_netIncomeMeetsTargetEachYear', () => {
+      const result = calculateGiaStrategy(500000, 2010, 4, 15, 'ftse100', { adjustForInflation: false });
+
+      result.yearlyResults.forEach(year => {
+        expect(year.status).toBe('active');
+        expect(year.netWithdrawal).toBeCloseTo(20000, 4);
+      });
+    });
+
+    test('given_otherIncome_when_withdrawing_then_dividendsAndGainsTaxedAtHigherRates', () => {
+      const config = { adjustForInflation: false, otherIncome: [{ amount: 60000, fromYear: 2010 }] };
+      const alone = calculateGiaStrategy(500000, 2010, 4, 15, 'sp500', { adjustForInflation: false });
+      const withIncome = calculateGiaStrategy(500000, 2010, 4, 15, 'sp500', config);
+
+      expect(withIncome.summary.totalDividendTax).toBeGreaterThan(alone.summary.totalDividendTax);
+      expect(withIncome.summary.totalCapitalGainsTax).toBeGreaterThan(alone.summary.totalCapitalGainsTax);
+    });
+
+    test('given_strategyAcross1980sAnd1990s_when_withdrawing_then_indexationAndTaperRelieveGains', () => {
+      const result = calculateGiaStrategy(500000, 1985, 4, 25, 'ftse100');
+
+      expect(result.summary.totalIndexationAllowance).toBeGreaterThan(0);
+      expect(result.summary.totalTaperRelief).toBeGreaterThan(0);
+      expect(result.yearlyResults.find(y => y.year === 2008).indexationAllowance).toBe(0);
+    });
+
+    test('given_highWithdrawalRate_when_potRunsOut_then_depletedThenExhausted', () => {
+      const result = calculateGiaStrategy(500000, 2000, 10, 15);
+
+      expect(result.summary.yearDepleted).not.toBeNull();
+      expect(result.summary.yearExhausted).toBe(result.summary.yearDepleted + 1);
+      expect(result.summary.strategySuccessful).toBe(false);
+    });
+  });
+
+  describe('summary', () => {
+    test('given_growth_when_calculating_then_unrealisedGainsTaxedAtTheEnd', () => {
+      const result = calculateGiaStrategy(1000000, 2010, 3, 15, 'sp500');
+      const summary = result.summary;
+      const last = result.yearlyResults[14];
+
+      expect(result.yearlyResults).toHaveLength(15);
+      expect(result.indexName).toBe('S&P 500');
+      expect(summary.finalValue).toBeCloseTo(last.endValueGbp, 6);
+      expect(summary.finalCostBasis).toBeCloseTo(last.costBasis, 6);
+      expect(summary.taxOnUnrealisedGains).toBeGreaterThan(0);
+      expect(summary.taxOnUnrealisedGains).toBeLessThan((summary.finalValue - summary.finalCostBasis) * 0.24);
+      expect(summary.totalValueRealized).toBeCloseTo(summary.totalWithdrawn + summary.finalValue, 6);
+    });
+  });
+});
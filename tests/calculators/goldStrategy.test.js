@@ -8,11 +8,15 @@
 import { describe, test, expect } from 'vitest';
 import {
   calculateGoldStrategy,
+  calculateGoldYear,
+  resolveGoldCosts,
   calculateGoldYearsRemaining,
   getGoldValue
 } from '../../src/calculators/goldStrategy.js';
 import { getGoldPrice } from '../../src/data/goldPrices.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
 import { COSTS } from '../../src/config/defaults.js';
+import { getNetStatePension, resolveIncomeSources } from '../../src/calculators/otherIncome.js';
 
 describe('calculateGoldStrategy', () => {
   describe('input validation', () => {
@@ -518,3 +522,193 @@ describe('integration tests', () => {
     expect(result.yearlyResults[1].year).toBe(2026);
   });
 });
+
+describe('calculateGoldYear', () => {
+  test('given_strategyYearHoldings_when_steppingSingleYear_then_matchesFullSimulation', () => {
+    const full = calculateGoldStrategy(100000, 2005, 4, 3, { adjustForInflation: false });
+    const second = full.yearlyResults[1];
+
+    const stepped = calculateGoldYear(second.startGoldOunces, 2006, 4000, resolveGoldCosts({ adjustForInflation: false }));
+
+    expect(stepped).toEqual(second);
+  });
+
+  test('given_noGold_when_steppingYear_then_exhausted', () => {
+    const result = calculateGoldYear(0, 2010, 5000, resolveGoldCosts());
+
+    expect(result.status).toBe('exhausted');
+    expect(result.netWithdrawal).toBe(0);
+  });
+});
+
+describe('gold product', () => {
+  test('given_unknownProduct_when_resolvingCosts_then_throwsError', () => {
+    expect(() => resolveGoldCosts({ goldProduct: 'jewellery' }))
+      .toThrow('Unknown gold product: jewellery. Valid products: coins, bars');
+  });
+
+  test('given_coins_when_calculating_then_noCapitalGainsTax', () => {
+    const result = calculateGoldStrategy(500000, 2000, 4, 20);
+
+    expect(result.goldProduct).toBe('coins');
+    expect(result.summary.totalCapitalGainsTax).toBe(0);
+    expect(result.summary.taxOnUnrealisedGains).toBe(0);
+    result.yearlyResults.forEach(year => expect(year.capitalGainsTax).toBe(0));
+  });
+
+  test('given_bars_when_goldRises_then_capitalGainsTaxPaidOnTopOfIncome', () => {
+    const coins = calculateGoldStrategy(500000, 2000, 4, 20, { adjustForInflation: false });
+    const bars = calculateGoldStrategy(500000, 2000, 4, 20, { goldProduct: 'bars', adjustForInflation: false });
+
+    expect(bars.summary.totalCapitalGainsTax).toBeGreaterThan(0);
+    bars.yearlyResults.forEach(year => {
+      expect(year.netWithdrawal).toBeCloseTo(20000, 4);
+      expect(year.withdrawalGross).toBeCloseTo(20000 + year.capitalGainsTax, 4);
+    });
+    expect(bars.summary.finalGoldValue).toBeLessThan(coins.summary.finalGoldValue);
+    expect(bars.summary.taxOnUnrealisedGains).toBeGreaterThan(0);
+  });
+
+  test('given_bars_when_purchased_then_costBasisIncludesDealerCost', () => {
+    const result = calculateGoldStrategy(500000, 2000, 4, 1, { goldProduct: 'bars', goldStorageFeePercent: 0 });
+    const first = result.yearlyResults[0];
+    const amountSpent = result.initialWithdrawal.amountInvested + result.initialWithdrawal.goldPurchaseCost;
+
+    // Half the dealer cost on buying, plus the cost of selling, is a loss
+    expect(first.costBasis).toBeCloseTo(amountSpent * first.endGoldOunces / first.startGoldOunces, 6);
+    expect(first.gainRealised).toBeLessThan(0);
+    expect(first.lossesCarriedForward).toBeCloseTo(-first.gainRealised, 6);
+  });
+
+  test('given_barsWithGain_when_steppingYear_then_saleGrossedUpForCapitalGainsTax', () => {
+    const costs = resolveGoldCosts({ goldProduct: 'bars', goldTransactionPercent: 0, goldStorageFeePercent: 0 });
+    const price = getGoldPrice(2024);
+    const gains = { lots: [{ year: 2015, units: 100, cost: 100 * price / 2 }], lossesCarriedForward: 0 };
+    const year = calculateGoldYear(100, 2024, 20000, costs, gains);
+
+    // Half of each pound sold is gain; gains above £3,000 pay 10% within the basic rate band
+    const proceeds = (20000 - 300) / (1 - 0.1 * 0.5);
+    expect(year.withdrawalGross).toBeCloseTo(proceeds, 4);
+    expect(year.capitalGainsTax).toBeCloseTo(proceeds * 0.5 * 0.1 - 300, 4);
+    expect(year.netWithdrawal).toBeCloseTo(20000, 4);
+    expect(year.costBasis).toBeCloseTo((100 - proceeds / price) * price / 2, 4);
+  });
+
+  test('given_barsBoughtAtPeak_when_goldFalls_then_lossesCarriedForward', () => {
+    const result = calculateGoldStrategy(500000, 2012, 4, 4, { goldProduct: 'bars' });
+    const last = result.yearlyResults[3];
+
+    expect(result.summary.totalCapitalGainsTax).toBe(0);
+    expect(last.lossesCarriedForward).toBeGreaterThan(last.lossesBroughtForward);
+  });
+
+  test('given_barsWithoutGainsState_when_steppingYear_then_treatedAsExempt', () => {
+    const year = calculateGoldYear(100, 2024, 20000, resolveGoldCosts({ goldProduct: 'bars' }));
+
+    expect(year.capitalGainsTax).toBe(0);
+    expect(year.lots).toBeUndefined();
+  });
+});
+
+describe('target net income', () => {
+  test('given_targetNetIncome_when_calculating_then_netWithdrawalIsInflationLinkedTarget', () => {
+    const result = calculateGoldStrategy(500000, 2000, 4, 10, { targetNetIncome: 18000 });
+
+    result.yearlyResults.forEach(r => {
+      expect(r.netWithdrawal).toBeCloseTo(18000 * getInflationMultiplier(2000, r.year), 6);
+      expect(r.transactionCost).toBeGreaterThan(0);
+    });
+  });
+
+  test('given_targetNetIncome_when_calculating_then_withdrawalRateIgnored', () => {
+    const a = calculateGoldStrategy(500000, 2000, 2, 10, { targetNetIncome: 18000 });
+    const b = calculateGoldStrategy(500000, 2000, 8, 10, { targetNetIncome: 18000 });
+
+    expect(a.summary.finalGoldValue).toBe(b.summary.finalGoldValue);
+  });
+
+  test('given_invalidTargetNetIncome_when_calculating_then_throwsError', () => {
+    expect(() => calculateGoldStrategy(500000, 2000, 4, 10, { targetNetIncome: -5 }))
+      .toThrow('Target net income must be a positive number');
+  });
+});
+
+describe('other income', () => {
+  test('given_otherIncome_when_calculating_then_initialWithdrawalTaxedOnTopOfIt', () => {
+    const withoutOther = calculateGoldStrategy(100000, 2020, 4, 5);
+    const withOther = calculateGoldStrategy(100000, 2020, 4, 5, {
+      otherIncome: [{ amount: 40000, fromYear: 2020 }]
+    });
+
+    const taxWithout = withoutOther.initialWithdrawal.taxCalculation;
+    const taxWith = withOther.initialWithdrawal.taxCalculation;
+    expect(taxWith.taxPaid).toBeGreaterThan(taxWithout.taxPaid);
+    expect(taxWith.otherIncome).toBe(40000);
+    expect(withOther.initialWithdrawal.goldOuncesPurchased)
+      .toBeLessThan(withoutOther.initialWithdrawal.goldOuncesPurchased);
+  });
+
+  test('given_otherIncome_when_calculating_then_yearlyResultsReportItAndItsTax', () => {
+    const result = calculateGoldStrategy(100000, 2020, 4, 5, {
+      otherIncome: [{ amount: 20000, fromYear: 2022, inflationLinked: false }]
+    });
+
+    expect(result.yearlyResults[0].otherIncome).toBe(0);
+    expect(result.yearlyResults[0].otherIncomeTax).toBe(0);
+    expect(result.yearlyResults[2].otherIncome).toBe(20000);
+    expect(result.yearlyResults[2].otherIncomeTax).toBeCloseTo((20000 - 12570) * 0.2, 2);
+  });
+});
+
+describe('state pension', () => {
+  test('given_statePensionAndTargetNetIncome_when_calculating_then_goldSoldOnlyForTheShortfall', () => {
+    const config = { targetNetIncome: 20000, statePension: { ageAtStart: 64, statePensionAge: 66 } };
+    const result = calculateGoldStrategy(500000, 2010, 4, 6, config);
+    const sources = resolveIncomeSources(config, 2010);
+
+    result.yearlyResults.forEach(r => {
+      const target = 20000 * getInflationMultiplier(2010, r.year);
+      expect(r.netWithdrawal + getNetStatePension(sources, r.year)).toBeCloseTo(target, 6);
+    });
+    expect(getNetStatePension(sources, 2011)).toBe(0);
+    expect(getNetStatePension(sources, 2012)).toBeGreaterThan(0);
+  });
+});
+
+describe('tax residency', () => {
+  test('given_scottishResidency_when_calculating_then_initialWithdrawalTaxedAtScottishRates', () => {
+    const ruk = calculateGoldStrategy(500000, 2020, 4, 5);
+    const scottish = calculateGoldStrategy(500000, 2020, 4, 5, { taxResidency: 'scotland' });
+
+    expect(scottish.initialWithdrawal.taxCalculation.taxPaid)
+      .toBeGreaterThan(ruk.initialWithdrawal.taxCalculation.taxPaid);
+    expect(scottish.initialWithdrawal.taxCalculation.breakdown.topRateTax).toBeGreaterThan(0);
+  });
+});
+
+describe('1980s higher rate ladder', () => {
+  test('given_1985Start_when_calculating_then_initialWithdrawalTaxedThroughEachHigherRate', () => {
+    const result = calculateGoldStrategy(500000, 1985, 4, 5);
+    const tax = result.initialWithdrawal.taxCalculation;
+    const flat60Tax = 16200 * 0.30 + (375000 - 2205 - 16200) * 0.60;
+
+    expect(tax.breakdown.higher40RateTax).toBe(1200);
+    expect(tax.taxPaid).toBeCloseTo(flat60Tax - 3000 * 0.2 - 5200 * 0.15 - 7900 * 0.1 - 7900 * 0.05, 6);
+  });
+});
+
+describe('tax-free cash allowances', () => {
+  test('given_potAboveLumpSumAllowance_when_calculating_then_taxFreeCashCapped', () => {
+    const result = calculateGoldStrategy(2000000, 2024, 4, 2);
+
+    expect(result.initialWithdrawal.taxCalculation.taxFreeAmount).toBe(268275);
+  });
+
+  test('given_potAboveLifetimeAllowance_when_calculating_then_excessPaysLifetimeAllowanceCharge', () => {
+    const result = calculateGoldStrategy(2000000, 2014, 4, 5);
+    const tax = result.initialWithdrawal.taxCalculation;
+
+    expect(tax.taxFreeAmount).toBe(312500);
+    expect(tax.lifetimeAllowanceCharge).toBeCloseTo(412500, 6);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Capital Gains Tax and Dividend Tax Calculator Tests
+ *
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getShareMatchingRule,
+  calculateDisposal,
+  calculateIndexationAllowance,
+  getTaperReliefPercent,
+  calculateCapitalGainsTax,
+  calculateDividendTax,
+  calculateSavingsTax,
+  SHARE_MATCHING_RULES
+} from '../../src/calculators/investmentTax.js';
+import { getRpiMultiplier } from '../../src/data/ukRpi.js';
+
+describe('calculateDisposal', () => {
+  test('given_poolRule_when_selling_then_averageCostOfEveryLot', () => {
+    const lots = [{ year: 2010, units: 100, cost: 1000 }, { year: 2015, units: 100, cost: 3000 }];
+    const sale = calculateDisposal(lots, 50, 50, 2020);
+
+    expect(getShareMatchingRule(2020)).toBe(SHARE_MATCHING_RULES.POOL);
+    expect(sale.proceeds).toBe(2500);
+    expect(sale.allowableCost).toBeCloseTo(1000, 6);
+    expect(sale.gain).toBeCloseTo(1500, 6);
+    expect(sale.lots).toEqual([{ year: 2010, units: 75, cost: 750 }, { year: 2015, units: 75, cost: 2250 }]);
+  });
+
+  test('given_taperReliefYears_when_selling_then_latestLotsMatchedFirstAndTapered', () => {
+    const lots = [{ year: 2000, units: 100, cost: 1000 }, { year: 2003, units: 100, cost: 2000 }];
+    const sale = calculateDisposal(lots, 150, 30, 2005);
+
+    // 2003 lot: gain 1000, no taper; half the 2000 lot: gain 1000 less 15% taper
+    expect(getShareMatchingRule(2005)).toBe(SHARE_MATCHING_RULES.LIFO);
+    expect(sale.taperRelief).toBeCloseTo(150, 6);
+    expect(sale.gain).toBeCloseTo(1850, 6);
+    expect(sale.lots).toEqual([{ year: 2000, units: 50, cost: 500 }]);
+  });
+
+  test('given_indexationExceedsGain_when_selling_then_noLossCreated', () => {
+    const sale = calculateDisposal([{ year: 1985, units: 10, cost: 1000 }], 10, 105, 1995);
+
+    expect(sale.indexationAllowance).toBeCloseTo(50, 6);
+    expect(sale.gain).toBeCloseTo(0, 6);
+    expect(sale.lots).toEqual([]);
+  });
+
+  test('given_moreUnitsThanHeld_when_selling_then_sellsEverything', () => {
+    const sale = calculateDisposal([{ year: 2020, units: 10, cost: 1000 }], 20, 80, 2022);
+
+    expect(sale.units).toBe(10);
+    expect(sale.gain).toBeCloseTo(-200, 6);
+  });
+});
+
+describe('calculateIndexationAllowance', () => {
+  test('given_purchaseBefore1982_when_indexing_then_countsFrom1982', () => {
+    expect(calculateIndexationAllowance(1000, 1980, 1990))
+      .toBeCloseTo(1000 * (getRpiMultiplier(1982, 1990) - 1), 6);
+  });
+
+  test('given_saleAfter1998_when_indexing_then_frozenAt1998', () => {
+    expect(calculateIndexationAllowance(1000, 1990, 2005))
+      .toBeCloseTo(1000 * (getRpiMultiplier(1990, 1998) - 1), 6);
+    expect(calculateIndexationAllowance(1000, 2000, 2005)).toBe(0);
+  });
+
+  test('given_saleFrom2008_when_indexing_then_abolished', () => {
+    expect(calculateIndexationAllowance(1000, 1990, 2008)).toBe(0);
+  });
+});
+
+describe('getTaperReliefPercent', () => {
+  test('given_holdingPeriod_when_gettingTaper_then_fivePercentPerYearAfterTwo', () => {
+    expect(getTaperReliefPercent(1999, 2001)).toBe(0);
+    expect(getTaperReliefPercent(1999, 2002)).toBe(5);
+    expect(getTaperReliefPercent(1990, 2007)).toBe(40);
+  });
+
+  test('given_heldBefore1998_when_gettingTaper_then_bonusYearAdded', () => {
+    expect(getTaperReliefPercent(1990, 2000)).toBe(5);
+    expect(getTaperReliefPercent(1998, 2000)).toBe(0);
+  });
+
+  test('given_saleOutsideTaperYears_when_gettingTaper_then_zero', () => {
+    expect(getTaperReliefPercent(1990, 1997)).toBe(0);
+    expect(getTaperReliefPercent(2000, 2008)).toBe(0);
+  });
+});
+
+describe('calculateCapitalGainsTax', () => {
+  test('given_higherRateTaxpayer_when_calculating_then_gainAboveExemptionAtHigherRate', () => {
+    expect(calculateCapitalGainsTax(20000, 2024, 60000).taxPaid).toBeCloseTo(3400, 6);
+  });
+
+  test('given_gainStraddlingBasicBand_when_calculating_then_splitBetweenRates', () => {
+    // £5,270 of basic rate band left above £45,000 of income
+    expect(calculateCapitalGainsTax(20000, 2024, 45000).taxPaid).toBeCloseTo(5270 * 0.10 + 11730 * 0.20, 6);
+  });
+
+  test('given_flatRateYears_when_calculating_then_sameRateWhateverTheIncome', () => {
+    expect(calculateCapitalGainsTax(10000, 1985).taxPaid).toBeCloseTo(4100 * 0.30, 6);
+    expect(calculateCapitalGainsTax(10000, 1985, 100000).taxPaid).toBeCloseTo(4100 * 0.30, 6);
+  });
+
+  test('given_gainWithinExemption_when_calculating_then_noTax', () => {
+    const result = calculateCapitalGainsTax(12000, 2020);
+
+    expect(result.taxableGain).toBe(0);
+    expect(result.taxPaid).toBe(0);
+  });
+
+  test('given_lossesBroughtForward_when_calculating_then_usedOnlyDownToExemption', () => {
+    const result = calculateCapitalGainsTax(10000, 2024, 60000, 10000);
+
+    expect(result.lossesUsed).toBe(7000);
+    expect(result.taxPaid).toBe(0);
+    expect(result.lossesCarriedForward).toBe(3000);
+  });
+
+  test('given_netLoss_when_calculating_then_lossCarriedForward', () => {
+    const result = calculateCapitalGainsTax(-5000, 2024, 0, 1000);
+
+    expect(result.taxPaid).toBe(0);
+    expect(result.lossesCarriedForward).toBe(6000);
+  });
+});
+
+describe('calculateDividendTax', () => {
+  test('given_basicRateTaxpayer_when_calculating_then_ordinaryRateAboveAllowance', () => {
+    expect(calculateDividendTax(3000, 2024, 20000).taxPaid).toBeCloseTo(2500 * 0.0875, 6);
+  });
+
+  test('given_higherRateTaxpayer_when_calculating_then_upperRateAboveAllowance', () => {
+    const result = calculateDividendTax(3000, 2024, 60000);
+
+    expect(result.allowanceUsed).toBe(500);
+    expect(result.taxPaid).toBeCloseTo(2500 * 0.3375, 6);
+  });
+
+  test('given_taxCreditYears_when_calculating_then_onlyHigherRateTaxpayersPay', () => {
+    expect(calculateDividendTax(5000, 2010, 20000).taxPaid).toBe(0);
+    expect(calculateDividendTax(5000, 2010, 60000).taxPaid).toBeCloseTo(1250, 6);
+  });
+
+  test('given_unusedPersonalAllowance_when_calculating_then_dividendsCoveredAreTaxFree', () => {
+    expect(calculateDividendTax(5000, 2024).taxPaid).toBe(0);
+    expect(calculateDividendTax(5000, 2024, 10000).taxPaid).toBeCloseTo((5000 - 2570 - 500) * 0.0875, 6);
+  });
+});
+
+describe('calculateSavingsTax', () => {
+  test('given_basicRateTaxpayer_when_calculating_then_personalSavingsAllowanceThenSavingsRate', () => {
+    const result = calculateSavingsTax(3000, 2024, 20000);
+
+    expect(result.allowanceUsed).toBe(1000);
+    expect(result.taxPaid).toBeCloseTo(2000 * 0.20, 6);
+  });
+
+  test('given_higherRateTaxpayer_when_calculating_then_smallerAllowanceAndHigherRate', () => {
+    const result = calculateSavingsTax(3000, 2024, 60000);
+
+    expect(result.allowanceUsed).toBe(500);
+    expect(result.taxPaid).toBeCloseTo(2500 * 0.40, 6);
+  });
+
+  test('given_additionalRateTaxpayer_when_calculating_then_noAllowance', () => {
+    const result = calculateSavingsTax(3000, 2024, 200000);
+
+    expect(result.allowanceUsed).toBe(0);
+    expect(result.taxPaid).toBeCloseTo(3000 * 0.45, 6);
+  });
+
+  test('given_lowOtherIncome_when_calculating_then_startingRateBandIsTaxFree', () => {
+    // £2,570 of personal allowance left, then the £5,000 starting rate band and £1,000 allowance
+    const result = calculateSavingsTax(10000, 2024, 10000);
+
+    expect(result.allowanceUsed).toBe(1000);
+    expect(result.taxPaid).toBeCloseTo((10000 - 2570 - 5000 - 1000) * 0.20, 6);
+  });
+
+  test('given_2010_when_calculating_then_startingRateBandUsedUpByOtherIncome', () => {
+    // Personal allowance £6,475 and starting rate band £2,440 at 10%
+    expect(calculateSavingsTax(2000, 2010, 6475).taxPaid).toBeCloseTo(2000 * 0.10, 6);
+    expect(calculateSavingsTax(2000, 2010, 20000).taxPaid).toBeCloseTo(2000 * 0.20, 6);
+  });
+
+  test('given_1990_when_calculating_then_taxedAtBasicRateWithoutAllowances', () => {
+    expect(calculateSavingsTax(1000, 1990, 10000).taxPaid).toBeCloseTo(1000 * 0.25, 6);
+  });
+
+  test('given_unusedPersonalAllowance_when_calculating_then_interestCoveredIsTaxFree', () => {
+    expect(calculateSavingsTax(4000, 2005).taxPaid).toBe(0);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * ISA Strategy Calculator Tests
+ *
+ * Tests for withdrawing the pension and investing the proceeds in a Stocks & Shares ISA.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  calculateIsaStrategy,
+  resolveIsaCosts,
+  calculateIsaYear
+} from '../../src/calculators/isaStrategy.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { calculateCapitalGainsTax } from '../../src/calculators/investmentTax.js';
+import { getSyntheticPrice } from '../../src/calculators/syntheticEtf.js';
+import { COSTS } from '../../src/config/defaults.js';
+
+describe('resolveIsaCosts', () => {
+  test('given_noConfig_when_resolving_then_usesDefaults', () => {
+    const costs = resolveIsaCosts();
+
+    expect(costs.managementFeePercent).toBe(COSTS.sippManagementFeePercent);
+    expect(costs.targetNetIncome).toBeNull();
+    expect(costs.taxResidency).toBe('ruk');
+  });
+});
+
+describe('calculateIsaStrategy', () => {
+  describe('input validation', () => {
+    test('given_negativePensionAmount_when_calculating_then_throwsError', () => {
+      expect(() => calculateIsaStrategy(-100000, 2000, 4, 10))
+        .toThrow('Pension amount must be a positive number');
+    });
+
+    test('given_startBeforeIndexData_when_calculating_then_throwsError', () => {
+      expect(() => calculateIsaStrategy(500000, 1983, 4, 10, 'ftse100'))
+        .toThrow('FTSE 100 data not available for year 1983');
+    });
+
+    test('given_yearsExtendBeyondData_when_calculating_then_throwsError', () => {
+      expect(() => calculateIsaStrategy(500000, 2020, 4, 10))
+        .toThrow('Not enough data');
+    });
+  });
+
+  describe('initial withdrawal', () => {
+    test('given_pension_when_withdrawn_then_taxedLikeGoldStrategy', () => {
+      const result = calculateIsaStrategy(500000, 2000, 4, 10);
+      const tax = calculateIncomeTax(500000, 2000, true);
+
+      expect(result.initialWithdrawal.taxCalculation.taxPaid).toBeCloseTo(tax.taxPaid, 6);
+      expect(result.initialWithdrawal.netAfterTax).toBeCloseTo(tax.netIncome, 6);
+      expect(result.summary.taxPaidOnWithdrawal).toBeCloseTo(tax.taxPaid, 6);
+    });
+
+    test('given_proceedsAboveLimit_when_investing_then_excessGoesToTaxableAccount', () => {
+      const result = calculateIsaStrategy(500000, 2000, 4, 10);
+      const initial = result.initialWithdrawal;
+
+      expect(initial.wrapper).toBe('ISA');
+      expect(initial.isaSubscription).toBe(7000);
+      expect(initial.taxableInvestment).toBeCloseTo(initial.netAfterTax - 7000, 6);
+      expect(initial.isaUnitsPurchased).toBeCloseTo(7000 / getSyntheticPrice(2000, 'sp500'), 6);
+      expect(result.yearlyResults[0].isaSubscription).toBe(7000);
+    });
+
+    test('given_startBeforePeps_when_investing_then_everythingTaxableUntil1987', () => {
+      const result = calculateIsaStrategy(500000, 1985, 4, 5, 'ftse100');
+
+      expect(result.initialWithdrawal.wrapper).toBeNull();
+      expect(result.initialWithdrawal.isaSubscription).toBe(0);
+      expect(result.yearlyResults.map(y => y.isaSubscription)).toEqual([0, 0, 2400, 3000, 4800]);
+    });
+  });
+
+  describe('bed and ISA', () => {
+    test('given_taxableAccount_when_laterYears_then_yearsLimitMovedIntoIsa', () => {
+      const result = calculateIsaStrategy(500000, 2010, 4, 5);
+
+      expect(result.yearlyResults.slice(1).map(y => y.isaSubscription)).toEqual([10680, 11280, 11520, 15000]);
+      expect(result.summary.totalIsaSubscriptions).toBe(10200 + 10680 + 11280 + 11520 + 15000);
+    });
+
+    test('given_gainInTaxableAccount_when_movedIntoIsa_then_capitalGainsTaxPaid', () => {
+      const costs = resolveIsaCosts({ sippManagementFeePercent: 0 });
+      const lots = [{ year: 2010, units: 10000, cost: 1000 * getSyntheticPrice(2015, 'sp500') }];
+      const year = calculateIsaYear({ isaUnits: 0, lots, lossesCarriedForward: 0 }, 2015, 0, 'sp500', costs);
+
+      // 90% of every pound sold is gain, taxed at the 2015 rates above the annual exempt amount
+      expect(year.isaSubscription).toBeCloseTo(15240, 6);
+      expect(year.gainRealised).toBeCloseTo((15240 + year.capitalGainsTax) * 0.9, 4);
+      expect(year.capitalGainsTax).toBeGreaterThan(0);
+      expect(year.capitalGainsTax).toBeCloseTo(calculateCapitalGainsTax(year.gainRealised, 2015, 0, 0).taxPaid, 6);
+      expect(year.endIsaValue).toBeCloseTo(15240, 6);
+    });
+
+    test('given_incomeAndTransferSales_when_sameYear_then_gainsTaxedTogether', () => {
+      const costs = resolveIsaCosts({ sippManagementFeePercent: 0 });
+      const lots = [{ year: 2010, units: 10000, cost: 1000 * getSyntheticPrice(2015, 'sp500') }];
+      const year = calculateIsaYear({ isaUnits: 0, lots, lossesCarriedForward: 0 }, 2015, 20000, 'sp500', costs);
+
+      // One annual exempt amount covers both sales
+      expect(year.netWithdrawal).toBeCloseTo(20000, 4);
+      expect(year.isaSubscription).toBeCloseTo(15240, 4);
+      expect(year.capitalGainsTax).toBeCloseTo(calculateCapitalGainsTax(year.gainRealised, 2015, 0, 0).taxPaid, 6);
+      expect(year.gainRealised).toBeCloseTo((20000 + 15240 + year.capitalGainsTax) * 0.9, 3);
+    });
+
+    test('given_subscriptionAlreadyUsed_when_simulatingYear_then_nothingMoved', () => {
+      const costs = resolveIsaCosts();
+      const holdings = { isaUnits: 0, lots: [{ year: 2010, units: 1000, cost: 1000 }], lossesCarriedForward: 0 };
+      const year = calculateIsaYear(holdings, 2015, 0, 'sp500', costs, true);
+
+      expect(year.isaSubscription).toBe(0);
+      expect(year.endIsaUnits).toBe(0);
+    });
+  });
+
+  describe('withdrawals', () => {
+    test('given_taxableAccountLeft_when_withdrawing_then_isaUntouched', () => {
+      const result = calculateIsaStrategy(500000, 2000, 4, 10);
+
+      result.yearlyResults
+        .filter(year => year.endTaxableValue > 0)
+        .forEach(year => expect(year.withdrawnFromIsa).toBe(0));
+    });
+
+    test('given_gainsWithinAnnualExemptAmount_when_withdrawing_then_noCapitalGainsTax', () => {
+      const result = calculateIsaStrategy(60000, 2000, 4, 10);
+
+      expect(result.initialWithdrawal.taxableInvestment).toBeGreaterThan(0);
+      expect(result.summary.totalCapitalGainsTax).toBe(0);
+      expect(result.summary.taxOnUnrealisedGains).toBe(0);
+    });
+
+    test('given_proceedsWithinLimit_when_withdrawing_then_taxFreeFromIsa', () => {
+      const result = calculateIsaStrategy(20000, 2020, 4, 5, 'sp500', { adjustForInflation: false });
+
+      expect(result.initialWithdrawal.taxableInvestment).toBe(0);
+      result.yearlyResults.forEach(year => {
+        expect(year.capitalGainsTax).toBe(0);
+        expect(year.netWithdrawal).toBeCloseTo(800, 6);
+        expect(year.withdrawnFromIsa).toBeCloseTo(800, 6);
+      });
+    });
+
+    test('given_targetNetIncome_when_withdrawing_then_capitalGainsTaxGrossedUp', () => {
+      const result = calculateIsaStrategy(500000, 2010, 4, 10, 'sp500', { targetNetIncome: 30000, adjustForInflation: false });
+
+      result.yearlyResults.forEach(year => {
+        expect(year.netWithdrawal).toBeCloseTo(30000, 6);
+        expect(year.withdrawalGross).toBeGreaterThanOrEqual(30000);
+      });
+      expect(result.yearlyResults[9].withdrawalGross).toBeGreaterThan(30000);
+    });
+
+    test('given_highWithdrawalRate_when_potRunsOut_then_depletedThenExhausted', () => {
+      const result = calculateIsaStrategy(500000, 2000, 10, 15);
+
+      expect(result.summary.yearDepleted).not.toBeNull();
+      expect(result.summary.yearExhausted).toBe(result.summary.yearDepleted + 1);
+      expect(result.summary.strategySuccessful).toBe(false);
+    });
+  });
+
+  describe('summary', () => {
+    test('given_validInputs_when_calculating_then_summaryTotalsYearlyResults', () => {
+      const result = calculateIsaStrategy(500000, 1990, 4, 20, 'ftse100');
+      const summary = result.summary;
+      const last = result.yearlyResults[19];
+
+      expect(result.yearlyResults).toHaveLength(20);
+      expect(result.indexName).toBe('FTSE 100');
+      expect(summary.finalValue).toBeCloseTo(summary.finalIsaValue + summary.finalTaxableValue, 6);
+      expect(summary.totalValueRealized).toBeCloseTo(summary.totalWithdrawn + summary.finalValue, 6);
+      // Pooled cost and no indexation or taper relief by 2009
+      const restGain = last.endTaxableValue - last.taxableCostBasis;
+      const withRest = calculateCapitalGainsTax(last.gainRealised + restGain, 2009, 0, last.lossesBroughtForward);
+      expect(summary.taxOnUnrealisedGains).toBeCloseTo(Math.max(0, withRest.taxPaid - last.capitalGainsTax), 6);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Monte Carlo Tests
+ *
+ * Tests for bootstrapped market simulations.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getSampleYears,
+  samplePathYears,
+  buildPathSeries,
+  runMonteCarlo
+} from '../../src/calculators/monteCarlo.js';
+import { runCohort } from '../../src/calculators/rollingBacktest.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+import { goldPrices } from '../../src/data/goldPrices.js';
+import { sp500TotalReturn } from '../../src/data/sp500TotalReturn.js';
+import { ukCpiIndex } from '../../src/data/ukCpi.js';
+
+describe('getSampleYears', () => {
+  test('given_defaultRange_when_getting_then_coversYearsWithEverySeries', () => {
+    const years = getSampleYears();
+
+    // FTSE 250 data starts in 1986; the last return runs from 2025 to 2026
+    expect(years[0]).toBe(1986);
+    expect(years[years.length - 1]).toBe(2025);
+  });
+
+  test('given_customRange_when_getting_then_restrictedToRange', () => {
+    expect(getSampleYears(2000, 2004)).toEqual([2000, 2001, 2002, 2003, 2004]);
+  });
+
+  test('given_seriesKeys_when_getting_then_onlyThoseSeriesLimitYears', () => {
+    expect(getSampleYears(undefined, undefined, ['gold', 'ukCpi'])[0]).toBe(1980);
+    expect(getSampleYears(undefined, undefined, ['gold', 'nasdaq100'])[0]).toBe(1985);
+  });
+});
+
+describe('samplePathYears', () => {
+  test('given_blockLength_when_sampling_then_drawsConsecutiveRunsThatWrap', () => {
+    const sampleYears = [2000, 2001, 2002, 2003];
+    const drawn = samplePathYears(sampleYears, 12, 4, createSeededRandom(5));
+
+    expect(drawn).toHaveLength(12);
+    for (let block = 0; block < 3; block++) {
+      const run = drawn.slice(block * 4, block * 4 + 4);
+      run.slice(1).forEach((year, k) => {
+        const previous = run[k];
+        expect(year).toBe(previous === 2003 ? 2000 : previous + 1);
+      });
+    }
+  });
+
+  test('given_sameSeed_when_sampling_then_sameYears', () => {
+    const years = getSampleYears();
+
+    expect(samplePathYears(years, 20, 1, createSeededRandom(9)))
+      .toEqual(samplePathYears(years, 20, 1, createSeededRandom(9)));
+  });
+});
+
+describe('buildPathSeries', () => {
+  test('given_drawnYears_when_building_then_compoundsHistoricalReturnsFromStartValue', () => {
+    const series = buildPathSeries(2000, [2008, 2013]);
+
+    expect(series.gold[2000]).toBe(goldPrices[2000]);
+    expect(series.gold[2001]).toBeCloseTo(goldPrices[2000] * goldPrices[2009] / goldPrices[2008], 8);
+    expect(series.sp500[2002]).toBeCloseTo(
+      sp500TotalReturn[2000] * (sp500TotalReturn[2009] / sp500TotalReturn[2008]) * (sp500TotalReturn[2014] / sp500TotalReturn[2013]),
+      8
+    );
+    expect(series.ukCpi[2001] / series.ukCpi[2000]).toBeCloseTo(ukCpiIndex[2009] / ukCpiIndex[2008], 10);
+  });
+
+  test('given_seriesKeys_when_building_then_otherSeriesNotReplaced', () => {
+    const series = buildPathSeries(2000, [2008], ['gold']);
+
+    expect(series.gold[2001]).toBeCloseTo(goldPrices[2000] * goldPrices[2009] / goldPrices[2008], 8);
+    expect(Object.keys(series)).toEqual(['gold']);
+  });
+
+  test('given_historicalOrderDrawn_when_building_then_reproducesHistory', () => {
+    const series = buildPathSeries(2000, [2000, 2001, 2002]);
+
+    expect(series.sp500[2003]).toBeCloseTo(sp500TotalReturn[2003], 8);
+    expect(series.ukCpi[2003]).toBeCloseTo(ukCpiIndex[2003], 8);
+  });
+});
+
+describe('runMonteCarlo', () => {
+  test('given_sameSeed_when_running_then_resultsReproducible', () => {
+    const a = runMonteCarlo('sp500', 500000, 2000, 5, 20, { simulations: 50, seed: 11 });
+    const b = runMonteCarlo('sp500', 500000, 2000, 5, 20, { simulations: 50, seed: 11 });
+
+    expect(a.summary).toEqual(b.summary);
+  });
+
+  test('given_singleSampleYear_when_running_then_everyPathIsIdentical', () => {
+    const mc = runMonteCarlo('gold', 500000, 2000, 4, 10, {
+      simulations: 5,
+      sampleFromYear: 2010,
+      sampleToYear: 2010
+    });
+    const values = mc.outcomes.map(o => o.finalValue);
+
+    expect(new Set(values).size).toBe(1);
+  });
+
+  test('given_simulations_when_summarising_then_reportsDepletionAndOrderedPercentiles', () => {
+    const mc = runMonteCarlo('gold', 500000, 2000, 6, 25, { simulations: 200, blockLength: 5 });
+    const { summary } = mc;
+    const percentiles = summary.finalRealValue;
+
+    expect(summary.simulations).toBe(200);
+    expect(summary.depletedCount).toBe(mc.outcomes.filter(o => !o.successful).length);
+    expect(summary.probabilityOfDepletion + summary.successRate).toBeCloseTo(100, 10);
+    expect(summary.probabilityOfDepletion).toBeGreaterThan(0);
+    expect(percentiles.p5).toBeLessThanOrEqual(percentiles.p50);
+    expect(percentiles.p50).toBeLessThanOrEqual(percentiles.p95);
+    expect(mc.settings.blockLength).toBe(5);
+  });
+
+  test('given_strategyNotUsingLaterSeries_when_running_then_samplesFrom1980', () => {
+    const gold = runMonteCarlo('gold', 500000, 2000, 4, 10, { simulations: 1 });
+    const sp500 = runMonteCarlo('sp500', 500000, 2000, 4, 10, { simulations: 1 });
+
+    expect(gold.settings.series).toEqual(['gold', 'ukCpi']);
+    expect(gold.settings.sampleYears).toEqual({ from: 1980, to: 2025 });
+    expect(sp500.settings.sampleYears.from).toBe(1980);
+  });
+
+  test('given_strategyUsingNasdaq_when_running_then_samplesFromNasdaqData', () => {
+    const mc = runMonteCarlo('gold-nasdaq100', 500000, 2000, 4, 10, { simulations: 1 });
+
+    expect(mc.settings.series).toContain('nasdaq100');
+    expect(mc.settings.sampleYears.from).toBe(1985);
+  });
+
+  test('given_simulationFinished_when_runningHistorically_then_historicalDataUnchanged', () => {
+    const before = runCohort('gold-sp500', 500000, 2000, 4, 10);
+
+    runMonteCarlo('gold-sp500', 500000, 2000, 4, 10, { simulations: 10 });
+
+    expect(runCohort('gold-sp500', 500000, 2000, 4, 10)).toEqual(before);
+  });
+
+  test('given_invalidSettings_when_running_then_throwsError', () => {
+    expect(() => runMonteCarlo('gold', 500000, 2000, 4, 10, { simulations: 0 }))
+      .toThrow('Simulations must be a positive integer');
+    expect(() => runMonteCarlo('gold', 500000, 2000, 4, 10, { blockLength: 1.5 }))
+      .toThrow('Block length must be a positive integer');
+  });
+
+  test('given_horizonBeyondTaxData_when_running_then_throwsError', () => {
+    expect(() => runMonteCarlo('gold', 500000, 2020, 4, 10, { simulations: 1 }))
+      .toThrow('Not enough data');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Other Income Tests
+ *
+ * Tests for other taxable income schedules (state pension, salary, rent).
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  resolveOtherIncome,
+  resolveIncomeSources,
+  getOtherIncome,
+  getNetStatePension
+} from '../../src/calculators/otherIncome.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+
+describe('resolveOtherIncome', () => {
+  test('given_noSources_when_resolving_then_returnsEmptySchedule', () => {
+    expect(resolveOtherIncome()).toEqual([]);
+  });
+
+  test('given_minimalSource_when_resolving_then_defaultsApplied', () => {
+    const [source] = resolveOtherIncome([{ amount: 10000, fromYear: 2010 }]);
+
+    expect(source.toYear).toBe(Infinity);
+    expect(source.inflationLinked).toBe(true);
+    expect(source.label).toBeNull();
+  });
+
+  test('given_negativeAmount_when_resolving_then_throwsError', () => {
+    expect(() => resolveOtherIncome([{ amount: -1, fromYear: 2010 }]))
+      .toThrow('Other income amount must be a non-negative number');
+  });
+
+  test('given_missingFromYear_when_resolving_then_throwsError', () => {
+    expect(() => resolveOtherIncome([{ amount: 10000 }])).toThrow('outside supported range');
+  });
+
+  test('given_toYearBeforeFromYear_when_resolving_then_throwsError', () => {
+    expect(() => resolveOtherIncome([{ amount: 10000, fromYear: 2010, toYear: 2009 }]))
+      .toThrow('Other income end year must be on or after its start year');
+  });
+
+  test('given_nonArray_when_resolving_then_throwsError', () => {
+    expect(() => resolveOtherIncome({ amount: 10000, fromYear: 2010 }))
+      .toThrow('Other income must be an array of income sources');
+  });
+});
+
+describe('getOtherIncome', () => {
+  test('given_yearOutsideRange_when_getting_then_returnsZero', () => {
+    const sources = resolveOtherIncome([{ amount: 10000, fromYear: 2010, toYear: 2015 }]);
+
+    expect(getOtherIncome(sources, 2009)).toBe(0);
+    expect(getOtherIncome(sources, 2016)).toBe(0);
+  });
+
+  test('given_inflationLinkedSource_when_getting_then_upratedByCpi', () => {
+    const sources = resolveOtherIncome([{ amount: 10000, fromYear: 2010 }]);
+
+    expect(getOtherIncome(sources, 2010)).toBeCloseTo(10000, 6);
+    expect(getOtherIncome(sources, 2020)).toBeCloseTo(10000 * getInflationMultiplier(2010, 2020), 6);
+  });
+
+  test('given_flatSource_when_getting_then_amountUnchanged', () => {
+    const sources = resolveOtherIncome([{ amount: 10000, fromYear: 2010, inflationLinked: false }]);
+
+    expect(getOtherIncome(sources, 2020)).toBe(10000);
+  });
+
+  test('given_overlappingSources_when_getting_then_amountsSummed', () => {
+    const sources = resolveOtherIncome([
+      { amount: 30000, fromYear: 2000, toYear: 2009, inflationLinked: false, label: 'Salary' },
+      { amount: 8000, fromYear: 2005, inflationLinked: false, label: 'Rent' }
+    ]);
+
+    expect(getOtherIncome(sources, 2003)).toBe(30000);
+    expect(getOtherIncome(sources, 2007)).toBe(38000);
+    expect(getOtherIncome(sources, 2012)).toBe(8000);
+  });
+});
+
+describe('amounts by year', () => {
+  test('given_amountsSource_when_getting_then_yearEntryUsedAndMissingYearsPayNothing', () => {
+    const sources = resolveOtherIncome([{ fromYear: 2010, amounts: { 2010: 5000, 2012: 7000 } }]);
+
+    expect(getOtherIncome(sources, 2010)).toBe(5000);
+    expect(getOtherIncome(sources, 2011)).toBe(0);
+    expect(getOtherIncome(sources, 2012)).toBe(7000);
+  });
+
+  test('given_negativeYearAmount_when_resolving_then_throwsError', () => {
+    expect(() => resolveOtherIncome([{ fromYear: 2010, amounts: { 2010: -1 } }]))
+      .toThrow('Other income amount must be a non-negative number');
+  });
+});
+
+describe('resolveIncomeSources', () => {
+  test('given_noStatePension_when_resolving_then_onlyOtherIncome', () => {
+    const sources = resolveIncomeSources({ otherIncome: [{ amount: 10000, fromYear: 2010 }] }, 2010);
+
+    expect(sources).toHaveLength(1);
+    expect(sources[0].isStatePension).toBe(false);
+  });
+
+  test('given_statePension_when_resolving_then_addedAsLastSource', () => {
+    const sources = resolveIncomeSources({
+      otherIncome: [{ amount: 10000, fromYear: 2010 }],
+      statePension: { ageAtStart: 60, statePensionAge: 66 }
+    }, 2010);
+
+    expect(sources).toHaveLength(2);
+    expect(sources[1].isStatePension).toBe(true);
+    expect(sources[1].fromYear).toBe(2016);
+  });
+});
+
+describe('getNetStatePension', () => {
+  test('given_noStatePension_when_getting_then_returnsZero', () => {
+    const sources = resolveOtherIncome([{ amount: 10000, fromYear: 2010 }]);
+
+    expect(getNetStatePension(sources, 2020)).toBe(0);
+  });
+
+  test('given_statePensionAlone_when_getting_then_grossLessItsTax', () => {
+    const sources = resolveIncomeSources({ statePension: { ageAtStart: 66, statePensionAge: 66 } }, 2024);
+    const gross = getOtherIncome(sources, 2024);
+
+    expect(getNetStatePension(sources, 2024)).toBeCloseTo(gross - calculateIncomeTax(gross, 2024).taxPaid, 6);
+  });
+
+  test('given_statePensionWithOtherIncome_when_getting_then_bearsProRataShareOfTax', () => {
+    const sources = resolveIncomeSources({
+      otherIncome: [{ amount: 20000, fromYear: 2024, inflationLinked: false }],
+      statePension: { ageAtStart: 66, statePensionAge: 66 }
+    }, 2024);
+    const statePension = 221.20 * 52;
+    const tax = calculateIncomeTax(20000 + statePension, 2024).taxPaid;
+
+    expect(getNetStatePension(sources, 2024))
+      .toBeCloseTo(statePension - tax * statePension / (20000 + statePension), 6);
+  });
+});
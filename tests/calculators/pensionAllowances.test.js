@@ -0,0 +1,84 @@
+/**
+ * Pension Tax-Free Cash Allowance Tests
+ *
+ * Tests for capping tax-free cash by the Lifetime and Lump Sum Allowances.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createAllowanceUsage, crystallisePension } from '../../src/calculators/pensionAllowances.js';
+
+describe('createAllowanceUsage', () => {
+  test('given_noWithdrawals_when_creating_then_nothingUsed', () => {
+    expect(createAllowanceUsage()).toEqual({ lifetimeAllowanceUsed: 0, lumpSumAllowanceUsed: 0 });
+  });
+});
+
+describe('crystallisePension', () => {
+  test('given_yearBeforeADay_when_crystallising_then_quarterTaxFreeWithoutCap', () => {
+    const result = crystallisePension(4000000, 2000);
+
+    expect(result.taxFreeAmount).toBe(1000000);
+    expect(result.taxableIncome).toBe(3000000);
+    expect(result.lifetimeAllowanceCharge).toBe(0);
+    expect(result.allowanceUsage).toEqual(createAllowanceUsage());
+  });
+
+  test('given_withdrawalWithinLifetimeAllowance_when_crystallising_then_quarterTaxFreeAndAllowanceUsed', () => {
+    const result = crystallisePension(500000, 2014);
+
+    expect(result.taxFreeAmount).toBe(125000);
+    expect(result.taxableIncome).toBe(375000);
+    expect(result.allowanceUsage.lifetimeAllowanceUsed).toBeCloseTo(0.4, 10);
+  });
+
+  test('given_withdrawalAboveLifetimeAllowance_when_crystallising_then_excessPaysChargeInsteadOfIncomeTax', () => {
+    const result = crystallisePension(2000000, 2014);
+
+    expect(result.taxFreeAmount).toBe(312500);
+    expect(result.lifetimeAllowanceExcess).toBe(750000);
+    expect(result.lifetimeAllowanceCharge).toBeCloseTo(412500, 6);
+    expect(result.taxableIncome).toBe(937500);
+  });
+
+  test('given_allowanceUsedInEarlierYears_when_crystallising_then_onlyRemainingAllowanceTaxFree', () => {
+    const first = crystallisePension(900000, 2016);
+    const second = crystallisePension(200000, 2017, first.allowanceUsage);
+
+    expect(second.taxFreeAmount).toBeCloseTo(25000, 6);
+    expect(second.lifetimeAllowanceCharge).toBeCloseTo(100000 * 0.55, 6);
+    expect(second.allowanceUsage.lifetimeAllowanceUsed).toBeCloseTo(1.1, 10);
+  });
+
+  test('given_2023Excess_when_crystallising_then_excessTaxedAsIncomeWithNoCharge', () => {
+    const result = crystallisePension(1200000, 2023);
+
+    expect(result.taxFreeAmount).toBe(268275);
+    expect(result.lifetimeAllowanceCharge).toBe(0);
+    expect(result.taxableIncome).toBe(1200000 - 268275);
+  });
+
+  test('given_largeWithdrawalFrom2024_when_crystallising_then_taxFreeCappedByLumpSumAllowance', () => {
+    const first = crystallisePension(2000000, 2024);
+    const second = crystallisePension(100000, 2025, first.allowanceUsage);
+
+    expect(first.taxFreeAmount).toBe(268275);
+    expect(first.taxableIncome).toBe(2000000 - 268275);
+    expect(second.taxFreeAmount).toBe(0);
+    expect(second.taxableIncome).toBe(100000);
+  });
+
+  test('given_lifetimeAllowanceUsedBefore2024_when_crystallising_then_transitionalAmountReducesLumpSumAllowance', () => {
+    const before = crystallisePension(536550, 2020);
+    const after = crystallisePension(1000000, 2024, before.allowanceUsage);
+
+    expect(after.taxFreeAmount).toBeCloseTo(268275 / 2, 6);
+  });
+
+  test('given_earlierUsage_when_crystallising_then_usageNotMutated', () => {
+    const usage = createAllowanceUsage();
+    crystallisePension(100000, 2024, usage);
+
+    expect(usage).toEqual(createAllowanceUsage());
+  });
+});
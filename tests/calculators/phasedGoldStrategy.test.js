@@ -0,0 +1,228 @@
+/**
+ * Phased Gold Strategy Calculator Tests
+ *
+ * Tests for moving a pension into physical gold in tranches over several tax years.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  calculatePhasedGoldStrategy,
+  resolvePhasedGoldCosts,
+  calculateBandTranche,
+  PHASING_RULES,
+  PHASING_BANDS
+} from '../../src/calculators/phasedGoldStrategy.js';
+import { calculateGoldStrategy } from '../../src/calculators/goldStrategy.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { getGoldPrice } from '../../src/data/goldPrices.js';
+import { COSTS, GOLD_PHASING } from '../../src/config/defaults.js';
+
+describe('resolvePhasedGoldCosts', () => {
+  test('given_noConfig_when_resolving_then_usesDefaults', () => {
+    const costs = resolvePhasedGoldCosts();
+
+    expect(costs.phasingRule).toBe(GOLD_PHASING.rule);
+    expect(costs.phasingBand).toBe(GOLD_PHASING.band);
+    expect(costs.trancheCount).toBe(GOLD_PHASING.trancheCount);
+    expect(costs.sippManagementFeePercent).toBe(COSTS.sippManagementFeePercent);
+    expect(costs.goldTransactionPercent).toBe(COSTS.goldTransactionPercent);
+  });
+
+  test('given_unknownRule_when_resolving_then_throwsError', () => {
+    expect(() => resolvePhasedGoldCosts({ goldPhasingRule: 'monthly' }))
+      .toThrow('Unknown phasing rule: monthly. Valid rules: band, tranches');
+  });
+
+  test('given_unknownBand_when_resolving_then_throwsError', () => {
+    expect(() => resolvePhasedGoldCosts({ goldPhasingBand: 'higher' }))
+      .toThrow('Unknown phasing band: higher. Valid bands: personalAllowance, basic');
+  });
+
+  test('given_invalidTrancheCount_when_resolving_then_throwsError', () => {
+    expect(() => resolvePhasedGoldCosts({ goldTrancheCount: 0 }))
+      .toThrow('Tranche count must be a positive integer');
+    expect(() => resolvePhasedGoldCosts({ goldTrancheCount: 2.5 }))
+      .toThrow('Tranche count must be a positive integer');
+  });
+});
+
+describe('calculateBandTranche', () => {
+  test('given_personalAllowanceBand_when_calculating_then_taxableSliceFillsAllowance', () => {
+    // 75% of £16,760 is the £12,570 personal allowance
+    expect(calculateBandTranche(2024, PHASING_BANDS.PERSONAL_ALLOWANCE)).toBeCloseTo(16760, 6);
+  });
+
+  test('given_basicBand_when_calculating_then_noTaxAtHigherRate', () => {
+    const tranche = calculateBandTranche(2024, PHASING_BANDS.BASIC);
+    const tax = calculateIncomeTax(tranche, 2024, true);
+
+    expect(tranche).toBeCloseTo(50270 / 0.75, 6);
+    expect(tax.breakdown.higherRateAmount).toBe(0);
+    expect(tax.breakdown.basicRateAmount).toBeCloseTo(37700, 6);
+  });
+
+  test('given_scottishResidency_when_calculating_then_fillsUpToScottishHigherRate', () => {
+    const tranche = calculateBandTranche(2024, PHASING_BANDS.BASIC, 0, 'scotland');
+    const tax = calculateIncomeTax(tranche, 2024, true, 0, 'scotland');
+
+    expect(tax.breakdown.intermediateRateAmount).toBeGreaterThan(0);
+    expect(tax.breakdown.higherRateAmount).toBeCloseTo(0, 2);
+  });
+
+  test('given_otherIncome_when_calculating_then_trancheFillsOnlyRemainingBand', () => {
+    const tranche = calculateBandTranche(2024, PHASING_BANDS.PERSONAL_ALLOWANCE, 10000);
+
+    expect(tranche).toBeCloseTo(2570 / 0.75, 6);
+    expect(calculateBandTranche(2024, PHASING_BANDS.PERSONAL_ALLOWANCE, 20000)).toBe(0);
+  });
+
+  test('given_lumpSumAllowanceUsed_when_calculating_then_wholeTrancheTaxable', () => {
+    const usage = { lifetimeAllowanceUsed: 0, lumpSumAllowanceUsed: 268275 };
+
+    expect(calculateBandTranche(2024, PHASING_BANDS.PERSONAL_ALLOWANCE, 0, 'ruk', usage)).toBeCloseTo(12570, 2);
+  });
+});
+
+describe('calculatePhasedGoldStrategy', () => {
+  describe('input validation', () => {
+    test('given_negativePensionAmount_when_calculating_then_throwsError', () => {
+      expect(() => calculatePhasedGoldStrategy(-100000, 2000, 4, 10))
+        .toThrow('Pension amount must be a positive number');
+    });
+
+    test('given_yearsExtendBeyondData_when_calculating_then_throwsError', () => {
+      expect(() => calculatePhasedGoldStrategy(100000, 2020, 4, 10))
+        .toThrow('Not enough data');
+    });
+  });
+
+  describe('tranches rule', () => {
+    const config = { goldPhasingRule: PHASING_RULES.TRANCHES, goldTrancheCount: 3 };
+
+    test('given_threeTranches_when_calculating_then_sippEmptiedInThirdYear', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2000, 4, 10, config);
+      const [first, second, third, fourth] = result.yearlyResults;
+
+      expect(first.trancheGross).toBeCloseTo(first.sippStartValue * 0.995 / 3, 6);
+      expect(second.sippEndValue).toBeGreaterThan(0);
+      expect(third.sippEndValue).toBe(0);
+      expect(fourth.trancheGross).toBe(0);
+      expect(result.summary.phasingYears).toBe(3);
+    });
+
+    test('given_tranche_when_calculating_then_incomePaidFromTrancheAndRestBuysGold', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2000, 4, 10, config);
+      const first = result.yearlyResults[0];
+      const purchaseCash = first.trancheNet - first.incomeFromTranche;
+
+      expect(first.incomeFromTranche).toBeCloseTo(20000, 6);
+      expect(first.goldPurchaseCost).toBeCloseTo(purchaseCash * 0.03, 6);
+      expect(first.goldBought).toBeCloseTo(purchaseCash * 0.97 / getGoldPrice(2000), 6);
+      expect(first.goldSold).toBe(0);
+    });
+
+    test('given_singleTranche_when_calculating_then_taxMatchesOneOffWithdrawal', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2010, 4, 5, { ...config, goldTrancheCount: 1 });
+      const first = result.yearlyResults[0];
+
+      expect(first.trancheGross).toBeCloseTo(500000 * 0.995, 6);
+      expect(first.trancheTax).toBeCloseTo(calculateIncomeTax(first.trancheGross, 2010, true).taxPaid, 6);
+    });
+
+    test('given_sippEmptied_when_laterYears_then_incomeFundedBySellingGold', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2000, 4, 10, config);
+      const fifth = result.yearlyResults[4];
+
+      expect(fifth.incomeFromTranche).toBe(0);
+      expect(fifth.goldSold).toBeGreaterThan(0);
+      expect(fifth.endValueGbp).toBe(fifth.endGoldValue);
+    });
+  });
+
+  describe('band rule', () => {
+    test('given_basicBand_when_calculating_then_trancheStaysOutOfHigherRate', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2015, 4, 10);
+
+      result.yearlyResults
+        .filter(year => year.sippEndValue > 0)
+        .forEach(year => {
+          expect(year.taxCalculation.breakdown.higherRateAmount).toBeCloseTo(0, 2);
+        });
+    });
+
+    test('given_spreadOverYears_when_comparingWithOneOffPurchase_then_lessTaxPerPoundCrystallised', () => {
+      const phased = calculatePhasedGoldStrategy(500000, 2015, 4, 10, { adjustForInflation: false });
+      const oneOff = calculateGoldStrategy(500000, 2015, 4, 10, { adjustForInflation: false });
+      const phasedRate = phased.summary.taxPaidOnWithdrawal / phased.summary.totalCrystallised;
+
+      expect(phasedRate).toBeLessThan(oneOff.summary.taxPaidOnWithdrawal / 500000);
+    });
+
+    test('given_bandSmallerThanIncome_when_calculating_then_trancheCoversIncome', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2015, 8, 5, { goldPhasingBand: 'personalAllowance' });
+
+      result.yearlyResults.forEach(year => {
+        expect(year.netWithdrawal).toBeCloseTo(year.incomeFromTranche, 6);
+        expect(year.status).toBe('active');
+      });
+    });
+
+    test('given_pensionLeftInSipp_when_calculating_then_summaryReportsItSeparately', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2015, 4, 5, { goldPhasingBand: 'personalAllowance' });
+      const summary = result.summary;
+
+      expect(summary.finalSippValue).toBeGreaterThan(0);
+      expect(summary.totalValueRealized)
+        .toBeCloseTo(summary.totalWithdrawn + summary.finalGoldValue + summary.finalSippValue, 6);
+    });
+  });
+
+  describe('tax-free cash allowances', () => {
+    test('given_tranchesAcrossYears_when_calculating_then_allowanceUsageCarriedForward', () => {
+      const result = calculatePhasedGoldStrategy(3000000, 2024, 4, 3, { goldPhasingRule: 'tranches', goldTrancheCount: 3 });
+      const totalTaxFree = result.yearlyResults.reduce((sum, year) => sum + year.taxCalculation.taxFreeAmount, 0);
+
+      expect(totalTaxFree).toBeCloseTo(268275, 6);
+      expect(result.allowanceUsage.lumpSumAllowanceUsed).toBeCloseTo(268275, 6);
+    });
+  });
+
+  describe('gold product', () => {
+    test('given_bars_when_calculating_then_capitalGainsTaxPaidAndReducesGoldValue', () => {
+      const coins = calculatePhasedGoldStrategy(500000, 2000, 4, 25);
+      const bars = calculatePhasedGoldStrategy(500000, 2000, 4, 25, { goldProduct: 'bars' });
+
+      expect(coins.summary.totalCapitalGainsTax).toBe(0);
+      expect(bars.summary.totalCapitalGainsTax).toBeGreaterThan(0);
+      expect(bars.summary.finalGoldValue).toBeLessThan(coins.summary.finalGoldValue);
+      expect(bars.summary.taxOnUnrealisedGains).toBeGreaterThan(0);
+    });
+
+    test('given_bars_when_buyingTranches_then_eachPurchaseIsSeparateLot', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2000, 4, 5, {
+        goldProduct: 'bars',
+        goldPhasingRule: 'tranches',
+        goldTrancheCount: 3
+      });
+      const lots = result.yearlyResults[4].lots;
+
+      expect(lots.map(lot => lot.year)).toEqual([2000, 2001, 2002]);
+      expect(result.goldProduct).toBe('bars');
+    });
+  });
+
+  describe('result structure', () => {
+    test('given_validInputs_when_calculating_then_returnsGoldShapedResult', () => {
+      const result = calculatePhasedGoldStrategy(500000, 2000, 4, 10);
+
+      expect(result.yearlyResults).toHaveLength(10);
+      expect(result.initialWithdrawal.grossPension).toBe(result.yearlyResults[0].trancheGross);
+      expect(result.phasing).toEqual({ rule: 'band', band: 'basic', trancheCount: 5 });
+      expect(result.taxResidency).toBe('ruk');
+      expect(result.summary).toHaveProperty('finalGoldValue');
+      expect(result.summary).toHaveProperty('taxPaidOnWithdrawal');
+      expect(result.summary.strategySuccessful).toBe(true);
+    });
+  });
+});
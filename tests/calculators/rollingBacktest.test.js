@@ -0,0 +1,133 @@
+/**
+ * Rolling Backtest Tests
+ *
+ * Tests for running strategies across every feasible start year.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getRollingStartYears,
+  runRollingBacktest,
+  runRollingComparison
+} from '../../src/calculators/rollingBacktest.js';
+import { compareAnyStrategies } from '../../src/calculators/comparisonEngine.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+
+describe('getRollingStartYears', () => {
+  test('given_strategyFrom1980_when_horizonIs25_then_startYearsRunTo2002', () => {
+    const startYears = getRollingStartYears(['gold'], 25);
+
+    expect(startYears[0]).toBe(1980);
+    expect(startYears[startYears.length - 1]).toBe(2002);
+    expect(startYears).toHaveLength(23);
+  });
+
+  test('given_pairWithLaterEarliestYear_when_gettingStartYears_then_startsAtLaterYear', () => {
+    expect(getRollingStartYears(['gold', 'nasdaq100'], 30)[0]).toBe(1985);
+  });
+
+  test('given_rpiLinkedAnnuity_when_gettingStartYears_then_startsWhenRpiRatesStart', () => {
+    expect(getRollingStartYears(['annuity'], 25)[0]).toBe(1980);
+    expect(getRollingStartYears(['annuity'], 25, { annuityType: 'rpi' })[0]).toBe(1982);
+  });
+
+  test('given_horizonLongerThanData_when_gettingStartYears_then_returnsEmpty', () => {
+    expect(getRollingStartYears(['nasdaq100'], 45)).toEqual([]);
+  });
+});
+
+describe('runRollingBacktest', () => {
+  test('given_strategy_when_backtesting_then_eachCohortMatchesSingleComparison', () => {
+    const backtest = runRollingBacktest('sp500', 500000, 4, 20);
+    const cohort = backtest.cohorts.find(c => c.startYear === 2000);
+    const single = compareAnyStrategies('sp500', 'gold', 500000, 2000, 4, 20);
+
+    expect(backtest.cohorts).toHaveLength(28);
+    expect(cohort.endYear).toBe(2019);
+    expect(cohort.finalValue).toBeCloseTo(single.strategy1.metrics.finalAfterTaxValue, 2);
+    expect(cohort.finalRealValue).toBeCloseTo(cohort.finalValue / getInflationMultiplier(2000, 2019), 2);
+    expect(cohort.totalValueRealized).toBeCloseTo(single.strategy1.metrics.totalValueRealized, 2);
+  });
+
+  test('given_rpiLinkedAnnuity_when_backtesting_then_startsFrom1982', () => {
+    const backtest = runRollingBacktest('annuity', 100000, 4, 25, { annuityType: 'rpi' });
+
+    expect(backtest.inputs.firstStartYear).toBe(1982);
+    expect(backtest.cohorts.every(c => c.successful)).toBe(true);
+  });
+
+  test('given_drawdownFundWithLaterData_when_backtesting_then_startsWithFundData', () => {
+    const backtest = runRollingBacktest('drawdownAnnuity', 100000, 4, 10, { annuityDrawdownIndex: 'nasdaq100' });
+
+    expect(backtest.inputs.firstStartYear).toBe(1985);
+  });
+
+  test('given_cohorts_when_summarising_then_reportsSuccessRateAndRealValueRange', () => {
+    const { cohorts, summary } = runRollingBacktest('gold', 500000, 5, 25);
+    const realValues = cohorts.map(c => c.finalRealValue);
+
+    expect(summary.cohortCount).toBe(cohorts.length);
+    expect(summary.successCount).toBe(cohorts.filter(c => c.successful).length);
+    expect(summary.successRate).toBeCloseTo((summary.successCount / cohorts.length) * 100, 10);
+    expect(summary.worstFinalRealValue).toBe(Math.min(...realValues));
+    expect(summary.bestFinalRealValue).toBe(Math.max(...realValues));
+    expect(summary.medianFinalRealValue).toBeGreaterThanOrEqual(summary.worstFinalRealValue);
+    expect(summary.medianFinalRealValue).toBeLessThanOrEqual(summary.bestFinalRealValue);
+  });
+
+  test('given_severalDepletedCohorts_when_findingWorst_then_picksEarliestRunOut', () => {
+    const { cohorts, summary } = runRollingBacktest('gold', 500000, 5, 25);
+    const depleted = cohorts.filter(c => c.yearDepleted !== null);
+    const shortestLife = Math.min(...depleted.map(c => c.yearDepleted - c.startYear));
+
+    expect(depleted.length).toBeGreaterThan(1);
+    expect(summary.worstCohort.yearDepleted - summary.worstCohort.startYear).toBe(shortestLife);
+  });
+
+  test('given_combinedStrategy_when_backtesting_then_startsAtComponentEarliestYear', () => {
+    const backtest = runRollingBacktest('gold-nasdaq100', 500000, 4, 20, { rebalanceMode: 'annual' });
+
+    expect(backtest.inputs.firstStartYear).toBe(1985);
+    expect(backtest.inputs.lastStartYear).toBe(2007);
+  });
+
+  test('given_noFeasibleStartYear_when_backtesting_then_throwsError', () => {
+    expect(() => runRollingBacktest('nasdaq100', 500000, 4, 45))
+      .toThrow('Not enough data');
+  });
+
+  test('given_invalidWithdrawalRate_when_backtesting_then_throwsError', () => {
+    expect(() => runRollingBacktest('gold', 500000, 0, 20))
+      .toThrow('Withdrawal rate must be between 0 and 100');
+  });
+});
+
+describe('runRollingComparison', () => {
+  test('given_fixedAnnuitySwitchYear_when_laterCohortsStartAfterIt_then_annuityBoughtAtStart', () => {
+    const rolling = runRollingComparison('drawdownAnnuity', 'sp500', 100000, 4, 10, { annuitySwitchYear: 2010 });
+    const cohorts = rolling.strategy1.cohorts;
+
+    expect(cohorts[cohorts.length - 1].startYear).toBe(2017);
+    expect(cohorts.every(c => c.successful)).toBe(true);
+  });
+
+  test('given_twoStrategies_when_comparing_then_bothUseCommonStartYears', () => {
+    const rolling = runRollingComparison('gold', 'nasdaq100', 500000, 4, 25);
+
+    expect(rolling.inputs.firstStartYear).toBe(1985);
+    expect(rolling.strategy1.cohorts.map(c => c.startYear))
+      .toEqual(rolling.strategy2.cohorts.map(c => c.startYear));
+  });
+
+  test('given_cohortResults_when_comparing_then_winCountsCoverEveryCohort', () => {
+    const rolling = runRollingComparison('gold', 'sp500', 500000, 4, 25);
+    const { summary, cohortComparison } = rolling;
+
+    expect(summary.strategy1Wins + summary.strategy2Wins + summary.ties).toBe(summary.cohortCount);
+    cohortComparison.forEach((comparison, idx) => {
+      const lead = rolling.strategy1.cohorts[idx].totalValueRealized - rolling.strategy2.cohorts[idx].totalValueRealized;
+      expect(comparison.strategy1LeadsBy).toBeCloseTo(lead, 6);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Savings Account Strategy Calculator Tests
+ *
+ * Tests for withdrawing the pension and keeping the proceeds in a savings account paying Bank Rate.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  calculateSavingsStrategy,
+  resolveSavingsCosts,
+  calculateSavingsYear
+} from '../../src/calculators/savingsStrategy.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
+import { calculateSavingsTax } from '../../src/calculators/investmentTax.js';
+import { getBankRate } from '../../src/data/bankRate.js';
+
+describe('resolveSavingsCosts', () => {
+  test('given_noConfig_when_resolving_then_usesDefaults', () => {
+    const costs = resolveSavingsCosts();
+
+    expect(costs.adjustForInflation).toBe(true);
+    expect(costs.targetNetIncome).toBeNull();
+    expect(costs.taxResidency).toBe('ruk');
+  });
+});
+
+describe('calculateSavingsYear', () => {
+  const costs = resolveSavingsCosts();
+
+  test('given_balance_when_simulatingYear_then_interestCreditedAndTaxedWithAllowances', () => {
+    const year = calculateSavingsYear(100000, 0.05, 2024, 0, costs);
+
+    expect(year.interest).toBeCloseTo(5000, 6);
+    expect(year.startValueGbp).toBeCloseTo(105000, 6);
+    expect(year.interestTax).toBe(0);
+    expect(year.interestRate).toBeCloseTo(5, 6);
+  });
+
+  test('given_incomeWanted_when_withdrawing_then_interestTaxPaidFromAccount', () => {
+    const costs = resolveSavingsCosts({ otherIncome: [{ amount: 30000, fromYear: 2024 }] });
+    const year = calculateSavingsYear(100000, 0.05, 2024, 10000, costs);
+
+    expect(year.interestTax).toBeCloseTo(calculateSavingsTax(5000, 2024, 30000).taxPaid, 6);
+    expect(year.savingsAllowanceUsed).toBe(1000);
+    expect(year.withdrawalGross).toBeCloseTo(10000 + year.interestTax, 6);
+    expect(year.netWithdrawal).toBeCloseTo(10000, 6);
+    expect(year.endValueGbp).toBeCloseTo(105000 - year.withdrawalGross, 6);
+  });
+
+  test('given_balanceTooSmall_when_withdrawing_then_depleted', () => {
+    const year = calculateSavingsYear(5000, 0, 2024, 10000, costs);
+
+    expect(year.status).toBe('depleted');
+    expect(year.netWithdrawal).toBe(5000);
+    expect(year.endValueGbp).toBe(0);
+  });
+});
+
+describe('calculateSavingsStrategy', () => {
+  describe('input validation', () => {
+    test('given_negativePensionAmount_when_calculating_then_throwsError', () => {
+      expect(() => calculateSavingsStrategy(-100000, 2000, 4, 10))
+        .toThrow('Pension amount must be a positive number');
+    });
+
+    test('given_yearsExtendBeyondData_when_calculating_then_throwsError', () => {
+      expect(() => calculateSavingsStrategy(500000, 2020, 4, 10))
+        .toThrow('Not enough data');
+    });
+  });
+
+  describe('initial withdrawal', () => {
+    test('given_pension_when_withdrawn_then_taxedLikeGoldStrategyAndAllDeposited', () => {
+      const result = calculateSavingsStrategy(500000, 2000, 4, 10);
+      const tax = calculateIncomeTax(500000, 2000, true);
+
+      expect(result.initialWithdrawal.taxCalculation.taxPaid).toBeCloseTo(tax.taxPaid, 6);
+      expect(result.initialWithdrawal.amountDeposited).toBeCloseTo(tax.netIncome, 6);
+      expect(result.yearlyResults[0].interest).toBe(0);
+      expect(result.yearlyResults[0].startValueGbp).toBeCloseTo(tax.netIncome, 6);
+    });
+  });
+
+  describe('withdrawals', () => {
+    test('given_followingYears_when_withdrawing_then_interestAtPreviousYearsBankRate', () => {
+      const result = calculateSavingsStrategy(500000, 2000, 4, 5);
+      const [first, second] = result.yearlyResults;
+
+      expect(second.interestRate).toBeCloseTo(getBankRate(2000), 6);
+      expect(second.interest).toBeCloseTo(first.endValueGbp * getBankRate(2000) / 100, 6);
+    });
+
+    test('given_sustainableRate_when_withdrawing_then_netIncomeMeetsTargetEachYear', () => {
+      const result = calculateSavingsStrategy(500000, 2010, 4, 10, { adjustForInflation: false });
+
+      result.yearlyResults.forEach(year => {
+        expect(year.status).toBe('active');
+        expect(year.netWithdrawal).toBeCloseTo(20000, 4);
+      });
+    });
+
+    test('given_personalSavingsAllowance_when_comparingYears_then_lessInterestTaxFrom2016', () => {
+      const config = { adjustForInflation: false, otherIncome: [{ amount: 30000, fromYear: 2014 }] };
+      const result = calculateSavingsStrategy(500000, 2014, 2, 4, config);
+      const [, y2015, y2016] = result.yearlyResults;
+
+      expect(y2015.savingsAllowanceUsed).toBe(0);
+      expect(y2015.interestTax).toBeCloseTo(y2015.interest * 0.20, 6);
+      expect(y2016.savingsAllowanceUsed).toBe(1000);
+      expect(y2016.interestTax).toBeCloseTo((y2016.interest - 1000) * 0.20, 6);
+    });
+
+    test('given_highWithdrawalRate_when_balanceRunsOut_then_depletedThenExhausted', () => {
+      const result = calculateSavingsStrategy(500000, 2005, 10, 15);
+
+      expect(result.summary.yearDepleted).not.toBeNull();
+      expect(result.summary.yearExhausted).toBe(result.summary.yearDepleted + 1);
+      expect(result.summary.strategySuccessful).toBe(false);
+    });
+  });
+
+  describe('summary', () => {
+    test('given_strategy_when_calculating_then_totalsMatchYearlyResults', () => {
+      const result = calculateSavingsStrategy(500000, 1990, 4, 20);
+      const summary = result.summary;
+      const sumOf = key => result.yearlyResults.reduce((sum, y) => sum + y[key], 0);
+
+      expect(summary.totalInterest).toBeCloseTo(sumOf('interest'), 6);
+      expect(summary.totalInterestTax).toBeCloseTo(sumOf('interestTax'), 6);
+      expect(summary.totalInterestTax).toBeGreaterThan(0);
+      expect(summary.finalValue).toBeCloseTo(result.yearlyResults[19].endValueGbp, 6);
+      expect(summary.totalValueRealized).toBeCloseTo(summary.totalWithdrawn + summary.finalValue, 6);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Silver Strategy Calculator Tests
+ *
+ * Tests for simulating pension withdrawal into physical silver.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  calculateSilverStrategy,
+  resolveSilverCosts,
+  SILVER_PRODUCTS
+} from '../../src/calculators/silverStrategy.js';
+import { calculateGoldStrategy } from '../../src/calculators/goldStrategy.js';
+import { getSilverPrice } from '../../src/data/silverPrices.js';
+import { getVatRate } from '../../src/data/vatRates.js';
+import { COSTS } from '../../src/config/defaults.js';
+
+describe('resolveSilverCosts', () => {
+  test('given_noConfig_when_resolving_then_britanniaWithSilverDealerCosts', () => {
+    const costs = resolveSilverCosts();
+
+    expect(costs.silverProduct).toBe(SILVER_PRODUCTS.BRITANNIA);
+    expect(costs.metal).toBe('silver');
+    expect(costs.purchaseVat).toBe(false);
+    expect(costs.goldProduct).toBe('coins');
+    expect(costs.goldTransactionPercent).toBe(COSTS.silverTransactionPercent);
+    expect(costs.goldStorageFeePercent).toBe(COSTS.silverStorageFeePercent);
+  });
+
+  test('given_bars_when_resolving_then_vatOnPurchaseAndCapitalGainsTax', () => {
+    const costs = resolveSilverCosts({ silverProduct: 'bars', silverTransactionPercent: 4 });
+
+    expect(costs.purchaseVat).toBe(true);
+    expect(costs.goldProduct).toBe('bars');
+    expect(costs.goldTransactionPercent).toBe(4);
+  });
+
+  test('given_goldSettings_when_resolving_then_silverSettingsUsedInstead', () => {
+    const costs = resolveSilverCosts({ goldTransactionPercent: 1, goldProduct: 'bars' });
+
+    expect(costs.goldTransactionPercent).toBe(COSTS.silverTransactionPercent);
+    expect(costs.goldProduct).toBe('coins');
+  });
+
+  test('given_unknownProduct_when_resolving_then_throwsError', () => {
+    expect(() => resolveSilverCosts({ silverProduct: 'cutlery' }))
+      .toThrow('Unknown silver product: cutlery. Valid products: britannia, bars');
+  });
+});
+
+describe('calculateSilverStrategy', () => {
+  test('given_britannias_when_calculating_then_silverBoughtAtSilverPriceWithoutVat', () => {
+    const result = calculateSilverStrategy(500000, 2000, 4, 20);
+    const { initialWithdrawal } = result;
+
+    expect(result.metal).toBe('silver');
+    expect(result.silverProduct).toBe('britannia');
+    expect(result.goldProduct).toBeUndefined();
+    expect(initialWithdrawal.purchaseVat).toBe(0);
+    expect(initialWithdrawal.goldPurchaseCost).toBeCloseTo(initialWithdrawal.netAfterTax * 0.05, 6);
+    expect(initialWithdrawal.goldPriceAtPurchase).toBe(getSilverPrice(2000));
+    expect(initialWithdrawal.goldOuncesPurchased)
+      .toBeCloseTo(initialWithdrawal.amountInvested / getSilverPrice(2000), 6);
+    expect(result.yearlyResults[5].goldPricePerOunce).toBe(getSilverPrice(2005));
+  });
+
+  test('given_britannias_when_calculating_then_noCapitalGainsTax', () => {
+    const result = calculateSilverStrategy(500000, 2000, 4, 20);
+
+    expect(result.summary.totalCapitalGainsTax).toBe(0);
+    expect(result.summary.taxOnUnrealisedGains).toBe(0);
+  });
+
+  test('given_bars_when_purchased_then_vatAtPurchaseYearRateIncludedInPrice', () => {
+    const result = calculateSilverStrategy(500000, 2015, 4, 5, { silverProduct: 'bars' });
+    const { initialWithdrawal } = result;
+    const afterDealer = initialWithdrawal.netAfterTax * 0.95;
+
+    expect(getVatRate(2015)).toBe(20);
+    expect(initialWithdrawal.purchaseVat).toBeCloseTo(afterDealer * 0.2 / 1.2, 6);
+    expect(initialWithdrawal.amountInvested).toBeCloseTo(afterDealer / 1.2, 6);
+    expect(result.summary.purchaseVat).toBe(initialWithdrawal.purchaseVat);
+  });
+
+  test('given_barsIn2009_when_purchased_then_temporaryVatRateUsed', () => {
+    const result = calculateSilverStrategy(500000, 2009, 4, 5, { silverProduct: 'bars' });
+    const afterDealer = result.initialWithdrawal.netAfterTax * 0.95;
+
+    expect(result.initialWithdrawal.purchaseVat).toBeCloseTo(afterDealer * 0.15 / 1.15, 6);
+  });
+
+  test('given_bars_when_purchased_then_costBasisIncludesVatAndDealerCost', () => {
+    const result = calculateSilverStrategy(500000, 2015, 4, 1, { silverProduct: 'bars' });
+    const first = result.yearlyResults[0];
+
+    expect(first.costBasis)
+      .toBeCloseTo(result.initialWithdrawal.netAfterTax * first.endGoldOunces / first.startGoldOunces, 6);
+  });
+
+  test('given_barsBoughtCheap_when_silverRises_then_capitalGainsTaxPaid', () => {
+    const britannias = calculateSilverStrategy(500000, 2001, 4, 20, { adjustForInflation: false });
+    const bars = calculateSilverStrategy(500000, 2001, 4, 20, { silverProduct: 'bars', adjustForInflation: false });
+
+    expect(bars.summary.totalCapitalGainsTax).toBeGreaterThan(0);
+    bars.yearlyResults
+      .filter(year => year.status === 'active')
+      .forEach(year => expect(year.netWithdrawal).toBeCloseTo(20000, 4));
+    expect(bars.summary.finalGoldValue).toBeLessThan(britannias.summary.finalGoldValue);
+  });
+});
+
+describe('gold results', () => {
+  test('given_goldStrategy_when_calculating_then_metalIsGoldWithoutVat', () => {
+    const result = calculateGoldStrategy(500000, 2000, 4, 5, { goldProduct: 'bars' });
+
+    expect(result.metal).toBe('gold');
+    expect(result.summary.purchaseVat).toBe(0);
+  });
+});
@@ -12,13 +12,25 @@ import {
   calculateSP500SippStrategy,
   calculateNasdaq100SippStrategy,
   calculateFTSE100SippStrategy,
+  calculateGoldVaultSippStrategy,
   calculateSippYearsRemaining,
   getSippValue,
   calculateSippAfterTaxValue,
-  INDEX_TYPES
+  calculateSippYear,
+  getSippWithdrawalTarget,
+  resolveSippCosts,
+  INDEX_TYPES,
+  CRYSTALLISATION_MODES,
+  PCLS_USES
 } from '../../src/calculators/sippStrategy.js';
 import { getSyntheticPrice, getSyntheticEtfPrice } from '../../src/calculators/syntheticEtf.js';
+import { calculateIncomeTax } from '../../src/calculators/taxCalculator.js';
 import { COSTS } from '../../src/config/defaults.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+import { getGoldPrice } from '../../src/data/goldPrices.js';
+import { getNetStatePension, resolveIncomeSources } from '../../src/calculators/otherIncome.js';
+import { calculateDividendTax } from '../../src/calculators/investmentTax.js';
+import { getDividendYield } from '../../src/data/dividendYields.js';
 
 describe('calculateSippStrategy', () => {
   describe('input validation', () => {
@@ -686,3 +698,332 @@ describe('calculateSippYearsRemaining with config', () => {
     expect(zeroFeeYears).toBeGreaterThanOrEqual(defaultYears);
   });
 });
+
+describe('calculateSippYear', () => {
+  test('given_strategyYearHoldings_when_steppingSingleYear_then_matchesFullSimulation', () => {
+    const full = calculateSippStrategy(100000, 2005, 4, 3, INDEX_TYPES.FTSE100, { adjustForInflation: false });
+    const second = full.yearlyResults[1];
+
+    const stepped = calculateSippYear(
+      second.startUnits, 2006, 4000, INDEX_TYPES.FTSE100, resolveSippCosts({ adjustForInflation: false })
+    );
+
+    expect(stepped.endUnits).toBeCloseTo(second.endUnits, 8);
+    expect(stepped.taxOnWithdrawal).toBeCloseTo(second.taxOnWithdrawal, 8);
+  });
+
+  test('given_customFee_when_resolvingCosts_then_overridesDefaultOnly', () => {
+    const costs = resolveSippCosts({ sippManagementFeePercent: 0.2 });
+
+    expect(costs.sippManagementFeePercent).toBe(0.2);
+    expect(costs.adjustForInflation).toBe(COSTS.adjustForInflation);
+  });
+});
+
+describe('getSippWithdrawalTarget', () => {
+  test('given_fixedRate_when_laterYear_then_inflationAdjusted', () => {
+    const target = getSippWithdrawalTarget(20000, 2000, 2005, resolveSippCosts());
+
+    expect(target).toBeCloseTo(20000 * getInflationMultiplier(2000, 2005), 8);
+  });
+
+  test('given_targetNetIncome_when_gettingTarget_then_matchesFullSimulation', () => {
+    const full = calculateSippStrategy(500000, 2000, 4, 3, INDEX_TYPES.SP500, { targetNetIncome: 30000 });
+    const costs = resolveSippCosts({ targetNetIncome: 30000 });
+
+    expect(getSippWithdrawalTarget(30000, 2000, 2002, costs)).toBeCloseTo(full.yearlyResults[2].grossWithdrawal, 6);
+  });
+});
+
+describe('target net income', () => {
+  test('given_targetNetIncome_when_calculating_then_grossedUpSoNetIsInflationLinkedTarget', () => {
+    const result = calculateSippStrategy(500000, 2000, 4, 10, INDEX_TYPES.SP500, { targetNetIncome: 30000 });
+
+    result.yearlyResults.forEach(r => {
+      expect(r.netWithdrawal).toBeCloseTo(30000 * getInflationMultiplier(2000, r.year), 1);
+      expect(r.grossWithdrawal).toBeGreaterThan(r.netWithdrawal);
+    });
+  });
+
+  test('given_inflationAdjustmentOff_when_calculating_then_netIsFlatTarget', () => {
+    const result = calculateSippStrategy(500000, 2000, 4, 5, INDEX_TYPES.FTSE100, {
+      targetNetIncome: 30000,
+      adjustForInflation: false
+    });
+
+    result.yearlyResults.forEach(r => {
+      expect(r.netWithdrawal).toBeCloseTo(30000, 1);
+    });
+  });
+
+  test('given_invalidTargetNetIncome_when_calculating_then_throwsError', () => {
+    expect(() => calculateSippStrategy(500000, 2000, 4, 10, INDEX_TYPES.SP500, { targetNetIncome: 0 }))
+      .toThrow('Target net income must be a positive number');
+  });
+});
+
+describe('other income', () => {
+  test('given_otherIncome_when_calculating_then_withdrawalsTaxedAtMarginalRate', () => {
+    const withoutOther = calculateSippStrategy(500000, 2015, 4, 10);
+    const withOther = calculateSippStrategy(500000, 2015, 4, 10, INDEX_TYPES.SP500, {
+      otherIncome: [{ amount: 45000, fromYear: 2015 }]
+    });
+
+    withOther.yearlyResults.forEach((r, idx) => {
+      const expected = calculateIncomeTax(r.grossWithdrawal, r.year, true, r.otherIncome);
+      expect(r.taxOnWithdrawal).toBeCloseTo(expected.taxPaid, 6);
+      expect(r.otherIncomeTax).toBeCloseTo(expected.otherIncomeTax, 6);
+      expect(r.taxOnWithdrawal).toBeGreaterThan(withoutOther.yearlyResults[idx].taxOnWithdrawal);
+    });
+    expect(withOther.yearlyResults[5].otherIncome).toBeCloseTo(45000 * getInflationMultiplier(2015, 2020), 6);
+  });
+
+  test('given_otherIncomeAndTargetNetIncome_when_calculating_then_grossUpCoversMarginalTax', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, {
+      targetNetIncome: 20000,
+      otherIncome: [{ amount: 45000, fromYear: 2015 }]
+    });
+
+    result.yearlyResults.forEach(r => {
+      expect(r.netWithdrawal).toBeCloseTo(20000 * getInflationMultiplier(2015, r.year), 1);
+    });
+  });
+
+  test('given_noOtherIncome_when_calculating_then_otherIncomeFieldsZero', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 3);
+
+    result.yearlyResults.forEach(r => {
+      expect(r.otherIncome).toBe(0);
+      expect(r.otherIncomeTax).toBe(0);
+    });
+  });
+});
+
+describe('state pension', () => {
+  const statePension = { ageAtStart: 62, statePensionAge: 66 };
+
+  test('given_statePension_when_calculating_then_taxedAsOtherIncomeFromStatePensionAge', () => {
+    const withoutStatePension = calculateSippStrategy(500000, 2010, 4, 10);
+    const result = calculateSippStrategy(500000, 2010, 4, 10, INDEX_TYPES.SP500, { statePension });
+
+    expect(result.yearlyResults[3].otherIncome).toBe(0);
+    expect(result.yearlyResults[3].taxOnWithdrawal).toBeCloseTo(withoutStatePension.yearlyResults[3].taxOnWithdrawal, 6);
+    expect(result.yearlyResults[4].otherIncome).toBeCloseTo(113.10 * 52, 6);
+    expect(result.yearlyResults[4].taxOnWithdrawal).toBeGreaterThan(withoutStatePension.yearlyResults[4].taxOnWithdrawal);
+  });
+
+  test('given_statePensionAndTargetNetIncome_when_calculating_then_drawdownCoversOnlyTheShortfall', () => {
+    const config = { targetNetIncome: 30000, statePension };
+    const result = calculateSippStrategy(500000, 2010, 4, 10, INDEX_TYPES.SP500, config);
+    const sources = resolveIncomeSources(config, 2010);
+
+    result.yearlyResults.forEach(r => {
+      const target = 30000 * getInflationMultiplier(2010, r.year);
+      expect(r.netWithdrawal + getNetStatePension(sources, r.year)).toBeCloseTo(target, 1);
+    });
+    expect(result.yearlyResults[4].netWithdrawal).toBeLessThan(result.yearlyResults[3].netWithdrawal);
+  });
+});
+
+describe('tax residency', () => {
+  test('given_scottishResidency_when_calculating_then_withdrawalsTaxedAtScottishRates', () => {
+    const ruk = calculateSippStrategy(1500000, 2015, 5, 10);
+    const scottish = calculateSippStrategy(1500000, 2015, 5, 10, INDEX_TYPES.SP500, { taxResidency: 'scotland' });
+
+    scottish.yearlyResults.forEach(r => {
+      expect(r.taxOnWithdrawal).toBeCloseTo(calculateIncomeTax(r.grossWithdrawal, r.year, true, 0, 'scotland').taxPaid, 6);
+    });
+    expect(scottish.yearlyResults[0].taxOnWithdrawal).toBeCloseTo(ruk.yearlyResults[0].taxOnWithdrawal, 6);
+    expect(scottish.yearlyResults[5].taxOnWithdrawal).toBeGreaterThan(ruk.yearlyResults[5].taxOnWithdrawal);
+    expect(scottish.taxResidency).toBe('scotland');
+  });
+
+  test('given_scottishResidency_when_valuingAfterTax_then_scottishRatesUsed', () => {
+    const scottish = calculateSippAfterTaxValue(300000, 2024, 'scotland');
+    const ruk = calculateSippAfterTaxValue(300000, 2024);
+
+    expect(scottish.netValue).toBeLessThan(ruk.netValue);
+  });
+});
+
+describe('tax-free cash allowances', () => {
+  test('given_withdrawalsBeyondLifetimeAllowance_when_calculating_then_allowanceTrackedAcrossYears', () => {
+    const result = calculateSippStrategy(3000000, 2016, 10, 10);
+    const lastYear = result.yearlyResults[9];
+
+    expect(result.yearlyResults[0].allowanceUsage.lifetimeAllowanceUsed).toBeCloseTo(0.3, 10);
+    expect(result.allowanceUsage.lifetimeAllowanceUsed).toBeGreaterThan(1);
+    // Lifetime Allowance used up before 2024, so no Lump Sum Allowance remains
+    expect(lastYear.taxOnWithdrawal).toBeCloseTo(calculateIncomeTax(lastYear.grossWithdrawal, lastYear.year).taxPaid, 6);
+  });
+
+  test('given_allowanceUsed_when_valuingAfterTax_then_noTaxFreeCash', () => {
+    const usage = { lifetimeAllowanceUsed: 1, lumpSumAllowanceUsed: 0 };
+    const afterTax = calculateSippAfterTaxValue(300000, 2024, 'ruk', usage);
+
+    expect(afterTax.taxFreeAmount).toBe(0);
+    expect(afterTax.netValue).toBeLessThan(calculateSippAfterTaxValue(300000, 2024).netValue);
+  });
+});
+
+describe('upfront PCLS', () => {
+  const pclsConfig = pclsUse => ({ crystallisationMode: CRYSTALLISATION_MODES.PCLS, pclsUse });
+
+  test('given_pclsMode_when_calculating_then_quarterTakenUpFrontAndRestInvested', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, pclsConfig(PCLS_USES.CASH));
+
+    expect(result.crystallisationMode).toBe('pcls');
+    expect(result.initialInvestment.pclsAmount).toBe(125000);
+    expect(result.initialInvestment.unitsAcquired).toBeCloseTo(375000 / getSyntheticPrice(2015, INDEX_TYPES.SP500), 10);
+    expect(result.yearlyResults[0].pclsPaid).toBe(125000);
+    expect(result.yearlyResults[1].pclsPaid).toBe(0);
+  });
+
+  test('given_pclsMode_when_calculating_then_withdrawalsFullyTaxable', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, pclsConfig(PCLS_USES.CASH));
+
+    result.yearlyResults.forEach(r => {
+      expect(r.taxOnWithdrawal).toBeCloseTo(calculateIncomeTax(r.grossWithdrawal, r.year).taxPaid, 6);
+    });
+  });
+
+  test('given_pclsSpent_when_calculating_then_paidAsFirstYearIncome', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, pclsConfig(PCLS_USES.SPEND));
+    const first = result.yearlyResults[0];
+
+    expect(first.netWithdrawal).toBeCloseTo(first.grossWithdrawal - first.taxOnWithdrawal + 125000, 6);
+    expect(result.summary.pclsFinalValue).toBe(0);
+  });
+
+  test('given_pclsHeldAsCash_when_calculating_then_keptAtFaceValueAndCountedInValueRealized', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, pclsConfig(PCLS_USES.CASH));
+
+    result.yearlyResults.forEach(r => expect(r.pclsValue).toBe(125000));
+    expect(result.summary.pclsFinalValue).toBe(125000);
+    expect(result.summary.totalValueRealized)
+      .toBeCloseTo(result.summary.totalNetWithdrawn + result.summary.finalValue + 125000, 6);
+  });
+
+  test('given_pclsReinvestedInFundWithoutDividends_when_calculating_then_tracksIndexLessManagementFee', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.GOLD_ETF, pclsConfig(PCLS_USES.REINVEST));
+    const units = 125000 / getSyntheticPrice(2015, INDEX_TYPES.GOLD_ETF) * Math.pow(0.995, 5);
+
+    expect(result.summary.pclsFinalValue).toBeCloseTo(units * getSyntheticPrice(2019, INDEX_TYPES.GOLD_ETF), 6);
+    expect(result.summary.totalPclsTax).toBe(0);
+  });
+
+  test('given_pclsReinvested_when_calculating_then_dividendsTaxedOnTopOfDrawdown', () => {
+    const result = calculateSippStrategy(1000000, 2017, 4, 5, INDEX_TYPES.FTSE100, pclsConfig(PCLS_USES.REINVEST));
+    const first = result.yearlyResults[0];
+    const dividends = 250000 * 0.995 * getDividendYield(2017, INDEX_TYPES.FTSE100) / 100;
+
+    expect(first.pclsTax).toBeCloseTo(calculateDividendTax(dividends, 2017, first.grossWithdrawal).taxPaid, 0);
+    expect(first.pclsValue).toBeCloseTo(250000 * 0.995 - first.pclsTax, 6);
+    expect(result.summary.totalPclsTax)
+      .toBeCloseTo(result.yearlyResults.reduce((sum, r) => sum + r.pclsTax, 0), 6);
+  });
+
+  test('given_pclsReinvestedWithGains_when_calculating_then_reportsTaxOnUnrealisedGains', () => {
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, pclsConfig(PCLS_USES.REINVEST));
+
+    expect(result.summary.pclsTaxOnUnrealisedGains).toBeGreaterThan(0);
+    expect(result.yearlyResults[0].pclsTaxOnUnrealisedGains).toBe(0);
+  });
+
+  test('given_pclsHeldAsCash_when_calculating_then_noTaxOnPcls', () => {
+    const result = calculateSippStrategy(1000000, 2017, 4, 5, INDEX_TYPES.FTSE100, pclsConfig(PCLS_USES.CASH));
+
+    expect(result.summary.totalPclsTax).toBe(0);
+    expect(result.summary.pclsTaxOnUnrealisedGains).toBe(0);
+  });
+
+  test('given_pclsModeAndTargetNetIncome_when_calculating_then_drawdownGrossedUpAsFullyTaxable', () => {
+    const config = { ...pclsConfig(PCLS_USES.CASH), targetNetIncome: 30000 };
+    const result = calculateSippStrategy(500000, 2015, 4, 5, INDEX_TYPES.SP500, config);
+
+    result.yearlyResults.forEach(r => {
+      expect(r.netWithdrawal).toBeCloseTo(30000 * getInflationMultiplier(2015, r.year), 1);
+    });
+  });
+
+  test('given_potAboveLumpSumAllowance_when_takingPcls_then_capped', () => {
+    const result = calculateSippStrategy(2000000, 2024, 4, 2, INDEX_TYPES.SP500, pclsConfig(PCLS_USES.CASH));
+
+    expect(result.initialInvestment.pclsAmount).toBe(268275);
+  });
+
+  test('given_pclsMode_when_valuingAfterTax_then_noTaxFreeCashLeft', () => {
+    const afterTax = calculateSippAfterTaxValue(100000, 2024, 'ruk', undefined, 'pcls');
+
+    expect(afterTax.taxFreeAmount).toBe(0);
+    expect(afterTax.taxPaid).toBeCloseTo(calculateIncomeTax(100000, 2024).taxPaid, 6);
+  });
+
+  test('given_unknownModeOrUse_when_resolvingCosts_then_throwsError', () => {
+    expect(() => resolveSippCosts({ crystallisationMode: 'annuity' })).toThrow('Unknown crystallisation mode: annuity');
+    expect(() => resolveSippCosts({ pclsUse: 'gamble' })).toThrow('Unknown PCLS use: gamble');
+  });
+});
+
+describe('vaulted gold', () => {
+  const noInflation = { adjustForInflation: false };
+
+  test('given_goldVault_when_investing_then_buysOuncesAtGoldPriceLessSpread', () => {
+    const result = calculateGoldVaultSippStrategy(100000, 2010, 4, 5);
+    const spread = 100000 * COSTS.goldVaultSpreadPercent / 100;
+
+    expect(result.initialInvestment.etfPriceAtStart).toBeCloseTo(getGoldPrice(2010), 6);
+    expect(result.initialInvestment.dealingCost).toBeCloseTo(spread, 6);
+    expect(result.initialInvestment.unitsAcquired).toBeCloseTo((100000 - spread) / getGoldPrice(2010), 8);
+    expect(result.initialInvestment.initialValue).toBeCloseTo(100000 - spread, 6);
+    expect(result.initialInvestment.annualFeePercent).toBeCloseTo(COSTS.goldVaultFeePercent, 8);
+  });
+
+  test('given_goldVault_when_simulating_then_vaultFeeChargedInsteadOfManagementFee', () => {
+    const config = { ...noInflation, sippManagementFeePercent: 2, goldVaultFeePercent: 0.4 };
+    const result = calculateSippStrategy(100000, 2010, 4, 3, INDEX_TYPES.GOLD_VAULT, config);
+
+    result.yearlyResults.forEach(r => {
+      expect(r.managementFee).toBeCloseTo(r.startValueGbp * 0.004, 6);
+    });
+  });
+
+  test('given_goldVault_when_selling_then_spreadLostOnEachSale', () => {
+    const config = { ...noInflation, goldVaultSpreadPercent: 2 };
+    const result = calculateSippStrategy(100000, 2010, 4, 3, INDEX_TYPES.GOLD_VAULT, config);
+
+    result.yearlyResults.forEach(r => {
+      expect(r.grossWithdrawal).toBeCloseTo(4000, 6);
+      expect(r.unitsSold).toBeCloseTo(4000 / (r.etfPricePerUnit * 0.98), 8);
+      expect(r.dealingCost).toBeCloseTo(r.unitsSold * r.etfPricePerUnit * 0.02, 6);
+    });
+    const saleCosts = result.yearlyResults.reduce((sum, r) => sum + r.dealingCost, 0);
+    expect(result.summary.totalDealingCosts).toBeCloseTo(2000 + saleCosts, 6);
+  });
+
+  test('given_otherIndex_when_simulating_then_noDealingCost', () => {
+    const result = calculateSippStrategy(100000, 2010, 4, 3, INDEX_TYPES.GOLD_ETF, noInflation);
+
+    expect(result.initialInvestment.dealingCost).toBe(0);
+    expect(result.initialInvestment.initialValue).toBe(100000);
+    expect(result.summary.totalDealingCosts).toBe(0);
+  });
+
+  test('given_goldVaultAndGoldEtf_when_comparingUnitPrices_then_vaultTracksSpotGold', () => {
+    const vault = calculateGoldVaultSippStrategy(100000, 2000, 4, 10);
+
+    vault.yearlyResults.forEach(r => {
+      expect(r.etfPricePerUnit).toBeCloseTo(getGoldPrice(r.year), 6);
+    });
+  });
+
+  test('given_zeroSpread_when_depleting_then_grossIsWholeHolding', () => {
+    const config = { ...noInflation, goldVaultSpreadPercent: 0, goldVaultFeePercent: 0 };
+    const result = calculateSippStrategy(100000, 2010, 50, 3, INDEX_TYPES.GOLD_VAULT, config);
+    const depleted = result.yearlyResults.find(r => r.status === 'depleted');
+
+    expect(depleted).toBeDefined();
+    expect(depleted.grossWithdrawal).toBeCloseTo(depleted.unitsSold * depleted.etfPricePerUnit, 6);
+    expect(depleted.dealingCost).toBe(0);
+  });
+});
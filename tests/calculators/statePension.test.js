@@ -0,0 +1,79 @@
+/**
+ * State Pension Calculator Tests
+ *
+ * Tests for turning a State Pension Age into a State Pension income schedule.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getStatePensionYear,
+  getAnnualStatePension,
+  resolveStatePension
+} from '../../src/calculators/statePension.js';
+
+describe('getStatePensionYear', () => {
+  test('given_ages_when_gettingYear_then_countedFromStartYear', () => {
+    expect(getStatePensionYear({ ageAtStart: 60, statePensionAge: 66 }, 2010)).toBe(2016);
+  });
+
+  test('given_noAges_when_gettingYear_then_defaultsUsed', () => {
+    expect(getStatePensionYear({}, 2010)).toBe(2017);
+  });
+});
+
+describe('getAnnualStatePension', () => {
+  test('given_yearBeforeStatePensionAge_when_calculating_then_returnsZero', () => {
+    expect(getAnnualStatePension(2019, 2020)).toBe(0);
+  });
+
+  test('given_reachedFrom2016_when_calculating_then_newStatePensionPaid', () => {
+    expect(getAnnualStatePension(2024, 2020)).toBeCloseTo(221.20 * 52, 6);
+  });
+
+  test('given_reachedBefore2016_when_calculating_then_basicStatePensionPaid', () => {
+    expect(getAnnualStatePension(2024, 2010)).toBeCloseTo(169.50 * 52, 6);
+  });
+
+  test('given_partialRecord_when_calculating_then_scaledByShareOfFullRate', () => {
+    expect(getAnnualStatePension(2024, 2020, 50)).toBeCloseTo(221.20 * 26, 6);
+  });
+});
+
+describe('resolveStatePension', () => {
+  test('given_noSettings_when_resolving_then_returnsNull', () => {
+    expect(resolveStatePension(null, 2000)).toBeNull();
+    expect(resolveStatePension(undefined, 2000)).toBeNull();
+  });
+
+  test('given_settings_when_resolving_then_incomeSourceFromStatePensionAge', () => {
+    const source = resolveStatePension({ ageAtStart: 62, statePensionAge: 66 }, 2015);
+
+    expect(source.fromYear).toBe(2019);
+    expect(source.isStatePension).toBe(true);
+    expect(source.amounts[2018]).toBeUndefined();
+    expect(source.amounts[2019]).toBeCloseTo(168.60 * 52, 6);
+    expect(source.amounts[2026]).toBeCloseTo(241.30 * 52, 6);
+  });
+
+  test('given_alreadyPastStatePensionAge_when_resolving_then_paidFromStartYearAtBasicRate', () => {
+    const source = resolveStatePension({ ageAtStart: 70, statePensionAge: 65 }, 2000);
+
+    expect(source.fromYear).toBe(2000);
+    expect(source.amounts[2000]).toBeCloseTo(67.50 * 52, 6);
+    expect(source.amounts[2020]).toBeCloseTo(134.25 * 52, 6);
+  });
+
+  test('given_statePensionAgeAfterData_when_resolving_then_returnsNull', () => {
+    expect(resolveStatePension({ ageAtStart: 55, statePensionAge: 67 }, 2020)).toBeNull();
+  });
+
+  test('given_invalidSettings_when_resolving_then_throwsError', () => {
+    expect(() => resolveStatePension({ ageAtStart: 60.5 }, 2000))
+      .toThrow('State pension ages must be non-negative whole numbers');
+    expect(() => resolveStatePension({ fullRatePercent: 120 }, 2000))
+      .toThrow('State pension full rate percent must be between 0 and 100');
+    expect(() => resolveStatePension({}, undefined))
+      .toThrow('Start year is required to model the state pension');
+  });
+});
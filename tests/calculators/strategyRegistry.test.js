@@ -2,7 +2,7 @@
  * Strategy Registry Tests
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import {
   STRATEGY_TYPES,
   BASE_STRATEGIES,
@@ -20,20 +20,30 @@ import {
   getComponentStrategies,
   isCombinedStrategy,
   getDefaultStrategies,
-  getStrategiesGroupedForDisplay
+  getStrategiesGroupedForDisplay,
+  validatePortfolioAllocations,
+  createCustomPortfolio,
+  removeCustomPortfolio,
+  clearCustomPortfolios,
+  getCustomPortfolios
 } from '../../src/calculators/strategyRegistry.js';
 
 describe('STRATEGY_TYPES', () => {
   it('given_strategyTypes_when_checking_then_hasAllTypes', () => {
     expect(STRATEGY_TYPES.GOLD).toBe('gold');
     expect(STRATEGY_TYPES.SIPP).toBe('sipp');
+    expect(STRATEGY_TYPES.ISA).toBe('isa');
+    expect(STRATEGY_TYPES.GIA).toBe('gia');
+    expect(STRATEGY_TYPES.SAVINGS).toBe('savings');
+    expect(STRATEGY_TYPES.ANNUITY).toBe('annuity');
+    expect(STRATEGY_TYPES.DRAWDOWN_ANNUITY).toBe('drawdownAnnuity');
     expect(STRATEGY_TYPES.COMBINED).toBe('combined');
   });
 });
 
 describe('BASE_STRATEGIES', () => {
-  it('given_baseStrategies_when_counting_then_has6Strategies', () => {
-    expect(Object.keys(BASE_STRATEGIES)).toHaveLength(6);
+  it('given_baseStrategies_when_counting_then_has26Strategies', () => {
+    expect(Object.keys(BASE_STRATEGIES)).toHaveLength(26);
   });
 
   it('given_baseStrategies_when_checking_then_hasRequiredIds', () => {
@@ -52,6 +62,136 @@ describe('BASE_STRATEGIES', () => {
     expect(gold.taxEvents.onAnnualWithdrawal).toBe(false);
   });
 
+  it('given_goldPhasedStrategy_when_checking_then_isGoldTypeTaxedEachYear', () => {
+    const phased = BASE_STRATEGIES.goldPhased;
+    expect(phased.type).toBe(STRATEGY_TYPES.GOLD);
+    expect(phased.earliestYear).toBe(1980);
+    expect(phased.taxEvents.onAnnualWithdrawal).toBe(true);
+    expect(phased.portfolioComponent).toBe(false);
+  });
+
+  it('given_isaStrategies_when_checking_then_matchTheirIndexAndStayOutOfPortfolios', () => {
+    expect(BASE_STRATEGIES.isaSp500.earliestYear).toBe(BASE_STRATEGIES.sp500.earliestYear);
+    expect(BASE_STRATEGIES.isaNasdaq100.earliestYear).toBe(BASE_STRATEGIES.nasdaq100.earliestYear);
+    expect(BASE_STRATEGIES.isaFtse100.earliestYear).toBe(BASE_STRATEGIES.ftse100.earliestYear);
+    [BASE_STRATEGIES.isaSp500, BASE_STRATEGIES.isaNasdaq100, BASE_STRATEGIES.isaFtse100].forEach(isa => {
+      expect(isa.type).toBe(STRATEGY_TYPES.ISA);
+      expect(isa.taxEvents.onInitialWithdrawal).toBe(true);
+      expect(isa.portfolioComponent).toBe(false);
+    });
+  });
+
+  it('given_giaStrategies_when_checking_then_taxedOnEachSaleAndDividend', () => {
+    [BASE_STRATEGIES.giaSp500, BASE_STRATEGIES.giaNasdaq100, BASE_STRATEGIES.giaFtse100].forEach(gia => {
+      expect(gia.type).toBe(STRATEGY_TYPES.GIA);
+      expect(gia.taxEvents.onDisposal).toBe(true);
+      expect(gia.taxEvents.onDividends).toBe(true);
+      expect(gia.portfolioComponent).toBe(false);
+    });
+    expect(BASE_STRATEGIES.gold.taxEvents.onDisposal).toBe(false);
+    expect(BASE_STRATEGIES.sp500.taxEvents.onDisposal).toBe(false);
+    expect(BASE_STRATEGIES.isaSp500.taxEvents.onDisposal).toBe(true);
+  });
+
+  it('given_goldVaultStrategy_when_checking_then_isGoldPricedSippInPortfolios', () => {
+    const vault = BASE_STRATEGIES.goldVault;
+    expect(vault.type).toBe(STRATEGY_TYPES.SIPP);
+    expect(vault.dataSource).toBe('goldPrices');
+    expect(vault.earliestYear).toBe(1980);
+    expect(vault.fees).toEqual(['vaultFee', 'dealingSpread']);
+    expect(vault.taxEvents.onAnnualWithdrawal).toBe(true);
+    expect(vault.portfolioComponent).toBeUndefined();
+  });
+
+  it('given_silverStrategies_when_checking_then_physicalIsGoldTypeAndEtfIsSipp', () => {
+    const silver = BASE_STRATEGIES.silver;
+    expect(silver.type).toBe(STRATEGY_TYPES.GOLD);
+    expect(silver.dataSource).toBe('silverPrices');
+    expect(silver.earliestYear).toBe(1980);
+    expect(silver.taxEvents.onInitialWithdrawal).toBe(true);
+    expect(silver.taxEvents.onAnnualWithdrawal).toBe(false);
+    expect(silver.portfolioComponent).toBe(false);
+
+    const silverEtf = BASE_STRATEGIES.silverEtf;
+    expect(silverEtf.type).toBe(STRATEGY_TYPES.SIPP);
+    expect(silverEtf.dataSource).toBe('silverPrices');
+    expect(silverEtf.portfolioComponent).toBeUndefined();
+  });
+
+  it('given_cashStrategies_when_checking_then_sippCashAndSavingsAccountUseBankRate', () => {
+    const cash = BASE_STRATEGIES.cash;
+    expect(cash.type).toBe(STRATEGY_TYPES.SIPP);
+    expect(cash.dataSource).toBe('bankRate');
+    expect(cash.taxEvents.onInterest).toBe(false);
+    expect(cash.portfolioComponent).toBeUndefined();
+
+    const savings = BASE_STRATEGIES.savings;
+    expect(savings.type).toBe(STRATEGY_TYPES.SAVINGS);
+    expect(savings.dataSource).toBe('bankRate');
+    expect(savings.earliestYear).toBe(1980);
+    expect(savings.taxEvents.onInitialWithdrawal).toBe(true);
+    expect(savings.taxEvents.onInterest).toBe(true);
+    expect(savings.taxEvents.onFinalValue).toBe(false);
+    expect(savings.portfolioComponent).toBe(false);
+  });
+
+  it('given_annuityStrategy_when_checking_then_onlyIncomeTaxedAndNotAPortfolioComponent', () => {
+    const annuity = BASE_STRATEGIES.annuity;
+    expect(annuity.type).toBe(STRATEGY_TYPES.ANNUITY);
+    expect(annuity.dataSource).toBe('annuityRates');
+    expect(annuity.earliestYear).toBe(1980);
+    expect(annuity.taxEvents.onInitialWithdrawal).toBe(false);
+    expect(annuity.taxEvents.onAnnualWithdrawal).toBe(true);
+    expect(annuity.taxEvents.onFinalValue).toBe(false);
+    expect(annuity.portfolioComponent).toBe(false);
+  });
+
+  it('given_drawdownAnnuityStrategy_when_checking_then_sippFeesAndNotAPortfolioComponent', () => {
+    const drawdownAnnuity = BASE_STRATEGIES.drawdownAnnuity;
+    expect(drawdownAnnuity.type).toBe(STRATEGY_TYPES.DRAWDOWN_ANNUITY);
+    expect(drawdownAnnuity.earliestYear).toBe(1980);
+    expect(drawdownAnnuity.fees).toEqual(['managementFee']);
+    expect(drawdownAnnuity.taxEvents.onAnnualWithdrawal).toBe(true);
+    expect(drawdownAnnuity.taxEvents.onFinalValue).toBe(true);
+    expect(drawdownAnnuity.portfolioComponent).toBe(false);
+  });
+
+  it('given_ukEquityStrategies_when_checking_then_gbpSippPortfolioComponents', () => {
+    const ftse250 = BASE_STRATEGIES.ftse250;
+    expect(ftse250.type).toBe(STRATEGY_TYPES.SIPP);
+    expect(ftse250.dataSource).toBe('ftse250TotalReturn');
+    expect(ftse250.earliestYear).toBe(1986);
+    expect(ftse250.portfolioComponent).toBeUndefined();
+
+    const allShare = BASE_STRATEGIES.ftseAllShare;
+    expect(allShare.type).toBe(STRATEGY_TYPES.SIPP);
+    expect(allShare.dataSource).toBe('ftseAllShareTotalReturn');
+    expect(allShare.currency).toBe('GBP');
+    expect(allShare.earliestYear).toBe(1980);
+  });
+
+  it('given_msciWorldStrategy_when_checking_then_usdSippFrom1980', () => {
+    const msciWorld = BASE_STRATEGIES.msciWorld;
+    expect(msciWorld.type).toBe(STRATEGY_TYPES.SIPP);
+    expect(msciWorld.dataSource).toBe('msciWorldTotalReturn');
+    expect(msciWorld.currency).toBe('USD');
+    expect(msciWorld.requiresCurrencyConversion).toBe(true);
+    expect(msciWorld.earliestYear).toBe(1980);
+    expect(msciWorld.portfolioComponent).toBeUndefined();
+  });
+
+  it('given_giltStrategies_when_checking_then_gbpSippPortfolioComponents', () => {
+    ['gilts', 'longGilts', 'indexLinkedGilts'].forEach(id => {
+      const gilts = BASE_STRATEGIES[id];
+      expect(gilts.type).toBe(STRATEGY_TYPES.SIPP);
+      expect(gilts.currency).toBe('GBP');
+      expect(gilts.requiresCurrencyConversion).toBe(false);
+      expect(gilts.portfolioComponent).toBeUndefined();
+    });
+    expect(BASE_STRATEGIES.gilts.earliestYear).toBe(1980);
+    expect(BASE_STRATEGIES.indexLinkedGilts.earliestYear).toBe(1982);
+  });
+
   it('given_sp500Strategy_when_checking_then_hasCorrectProperties', () => {
     const sp500 = BASE_STRATEGIES.sp500;
     expect(sp500.id).toBe('sp500');
@@ -121,8 +261,8 @@ describe('COMBINATION_STRATEGIES', () => {
 });
 
 describe('ALL_STRATEGIES', () => {
-  it('given_allStrategies_when_counting_then_has21Total', () => {
-    expect(Object.keys(ALL_STRATEGIES)).toHaveLength(21);
+  it('given_allStrategies_when_counting_then_has41Total', () => {
+    expect(Object.keys(ALL_STRATEGIES)).toHaveLength(41);
   });
 });
 
@@ -148,9 +288,9 @@ describe('getStrategy', () => {
 });
 
 describe('getBaseStrategies', () => {
-  it('given_registry_when_gettingBaseStrategies_then_returns6', () => {
+  it('given_registry_when_gettingBaseStrategies_then_returns26', () => {
     const strategies = getBaseStrategies();
-    expect(strategies).toHaveLength(6);
+    expect(strategies).toHaveLength(26);
   });
 
   it('given_registry_when_gettingBaseStrategies_then_excludesCombined', () => {
@@ -176,22 +316,46 @@ describe('getCombinationStrategies', () => {
 });
 
 describe('getAllStrategies', () => {
-  it('given_registry_when_gettingAllStrategies_then_returns21', () => {
+  it('given_registry_when_gettingAllStrategies_then_returns41', () => {
     const strategies = getAllStrategies();
-    expect(strategies).toHaveLength(21);
+    expect(strategies).toHaveLength(41);
   });
 });
 
 describe('getStrategiesByType', () => {
-  it('given_goldType_when_filtering_then_returns1', () => {
+  it('given_goldType_when_filtering_then_returns3', () => {
     const strategies = getStrategiesByType(STRATEGY_TYPES.GOLD);
-    expect(strategies).toHaveLength(1);
-    expect(strategies[0].id).toBe('gold');
+    expect(strategies.map(s => s.id)).toEqual(['gold', 'goldPhased', 'silver']);
   });
 
-  it('given_sippType_when_filtering_then_returns5', () => {
+  it('given_sippType_when_filtering_then_returns14', () => {
     const strategies = getStrategiesByType(STRATEGY_TYPES.SIPP);
-    expect(strategies).toHaveLength(5);
+    expect(strategies).toHaveLength(14);
+  });
+
+  it('given_isaType_when_filtering_then_returns3', () => {
+    const strategies = getStrategiesByType(STRATEGY_TYPES.ISA);
+    expect(strategies.map(s => s.id)).toEqual(['isaSp500', 'isaNasdaq100', 'isaFtse100']);
+  });
+
+  it('given_giaType_when_filtering_then_returns3', () => {
+    const strategies = getStrategiesByType(STRATEGY_TYPES.GIA);
+    expect(strategies.map(s => s.id)).toEqual(['giaSp500', 'giaNasdaq100', 'giaFtse100']);
+  });
+
+  it('given_savingsType_when_filtering_then_returnsSavings', () => {
+    const strategies = getStrategiesByType(STRATEGY_TYPES.SAVINGS);
+    expect(strategies.map(s => s.id)).toEqual(['savings']);
+  });
+
+  it('given_annuityType_when_filtering_then_returnsAnnuity', () => {
+    const strategies = getStrategiesByType(STRATEGY_TYPES.ANNUITY);
+    expect(strategies.map(s => s.id)).toEqual(['annuity']);
+  });
+
+  it('given_drawdownAnnuityType_when_filtering_then_returnsDrawdownAnnuity', () => {
+    const strategies = getStrategiesByType(STRATEGY_TYPES.DRAWDOWN_ANNUITY);
+    expect(strategies.map(s => s.id)).toEqual(['drawdownAnnuity']);
   });
 
   it('given_combinedType_when_filtering_then_returns15', () => {
@@ -217,6 +381,11 @@ describe('isStrategyAvailableForYear', () => {
     expect(isStrategyAvailableForYear('ftse100', 1984)).toBe(true);
   });
 
+  it('given_ftse250In1985_when_checking_then_returnsFalse', () => {
+    expect(isStrategyAvailableForYear('ftse250', 1985)).toBe(false);
+    expect(isStrategyAvailableForYear('ftse250', 1986)).toBe(true);
+  });
+
   it('given_ftse1983_when_checking_then_returnsFalse', () => {
     expect(isStrategyAvailableForYear('ftse100', 1983)).toBe(false);
   });
@@ -242,6 +411,17 @@ describe('getStrategyEarliestYear', () => {
   it('given_ftse100_when_gettingEarliestYear_then_returns1984', () => {
     expect(getStrategyEarliestYear('ftse100')).toBe(1984);
   });
+
+  it('given_rpiLinkedAnnuity_when_gettingEarliestYear_then_returns1982', () => {
+    expect(getStrategyEarliestYear('annuity')).toBe(1980);
+    expect(getStrategyEarliestYear('annuity', { annuityType: 'rpi' })).toBe(1982);
+  });
+
+  it('given_drawdownAnnuity_when_gettingEarliestYear_then_followsFundAndAnnuityType', () => {
+    expect(getStrategyEarliestYear('drawdownAnnuity')).toBe(1980);
+    expect(getStrategyEarliestYear('drawdownAnnuity', { annuityDrawdownIndex: 'ftse250' })).toBe(1986);
+    expect(getStrategyEarliestYear('drawdownAnnuity', { annuityDrawdownIndex: 'sp500', annuityType: 'rpi' })).toBe(1982);
+  });
 });
 
 describe('getStrategiesAvailableForYear', () => {
@@ -255,14 +435,14 @@ describe('getStrategiesAvailableForYear', () => {
     expect(ids).not.toContain('ftse100');
   });
 
-  it('given_year1985_when_gettingAvailable_then_includesAll', () => {
-    const strategies = getStrategiesAvailableForYear(1985);
-    expect(strategies).toHaveLength(21);
+  it('given_year1986_when_gettingAvailable_then_includesAll', () => {
+    const strategies = getStrategiesAvailableForYear(1986);
+    expect(strategies).toHaveLength(41);
   });
 
   it('given_year2000_when_gettingAvailable_then_includesAll', () => {
     const strategies = getStrategiesAvailableForYear(2000);
-    expect(strategies).toHaveLength(21);
+    expect(strategies).toHaveLength(41);
   });
 });
 
@@ -332,9 +512,9 @@ describe('getStrategiesGroupedForDisplay', () => {
     expect(grouped.combined).toBeDefined();
   });
 
-  it('given_registry_when_grouping_then_baseHas6', () => {
+  it('given_registry_when_grouping_then_baseHas26', () => {
     const grouped = getStrategiesGroupedForDisplay();
-    expect(grouped.base.strategies).toHaveLength(6);
+    expect(grouped.base.strategies).toHaveLength(26);
     expect(grouped.base.label).toBe('Base Strategies');
   });
 
@@ -344,3 +524,113 @@ describe('getStrategiesGroupedForDisplay', () => {
     expect(grouped.combined.label).toBe('Combined (50/50)');
   });
 });
+
+describe('custom portfolios', () => {
+  const balanced = [
+    { strategyId: 'sp500', weight: 60 },
+    { strategyId: 'usTreasury', weight: 25 },
+    { strategyId: 'gold', weight: 15 }
+  ];
+
+  afterEach(() => {
+    clearCustomPortfolios();
+  });
+
+  it('given_weightsSummingTo100_when_validating_then_isValid', () => {
+    const result = validatePortfolioAllocations(balanced);
+    expect(result.valid).toBe(true);
+    expect(result.errors).toHaveLength(0);
+  });
+
+  it('given_weightsNotSummingTo100_when_validating_then_reportsTotal', () => {
+    const result = validatePortfolioAllocations([
+      { strategyId: 'sp500', weight: 60 },
+      { strategyId: 'gold', weight: 30 }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('currently 90%');
+  });
+
+  it('given_singleComponent_when_validating_then_isInvalid', () => {
+    const result = validatePortfolioAllocations([{ strategyId: 'sp500', weight: 100 }]);
+    expect(result.valid).toBe(false);
+  });
+
+  it('given_phasedGoldComponent_when_validating_then_isInvalid', () => {
+    const result = validatePortfolioAllocations([
+      { strategyId: 'sp500', weight: 50 },
+      { strategyId: 'goldPhased', weight: 50 }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toBe('Phased Gold cannot be part of a portfolio');
+  });
+
+  it('given_isaComponent_when_validating_then_isInvalid', () => {
+    const result = validatePortfolioAllocations([
+      { strategyId: 'gold', weight: 50 },
+      { strategyId: 'isaSp500', weight: 50 }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toBe('S&P 500 ISA cannot be part of a portfolio');
+  });
+
+  it('given_duplicateOrUnknownComponents_when_validating_then_reportsEach', () => {
+    const result = validatePortfolioAllocations([
+      { strategyId: 'sp500', weight: 40 },
+      { strategyId: 'sp500', weight: 40 },
+      { strategyId: 'gold-sp500', weight: 20 }
+    ]);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(2);
+  });
+
+  it('given_validAllocations_when_creating_then_registersCombinedStrategy', () => {
+    const portfolio = createCustomPortfolio('Balanced Mix', balanced);
+
+    expect(portfolio.id).toBe('custom-balanced-mix');
+    expect(portfolio.type).toBe(STRATEGY_TYPES.COMBINED);
+    expect(portfolio.components).toEqual(['sp500', 'usTreasury', 'gold']);
+    expect(portfolio.splitRatio).toEqual([0.6, 0.25, 0.15]);
+    expect(portfolio.isCustom).toBe(true);
+    expect(getStrategy('custom-balanced-mix')).toBe(portfolio);
+    expect(isCombinedStrategy('custom-balanced-mix')).toBe(true);
+  });
+
+  it('given_laterComponent_when_creating_then_earliestYearIsMostRestrictive', () => {
+    const portfolio = createCustomPortfolio('Tech Tilt', [
+      { strategyId: 'nasdaq100', weight: 50 },
+      { strategyId: 'ftse100', weight: 30 },
+      { strategyId: 'gold', weight: 20 }
+    ]);
+    expect(portfolio.earliestYear).toBe(1985);
+  });
+
+  it('given_invalidAllocations_when_creating_then_throwsError', () => {
+    expect(() => createCustomPortfolio('Bad', [{ strategyId: 'sp500', weight: 100 }]))
+      .toThrow("Invalid portfolio 'Bad'");
+  });
+
+  it('given_emptyName_when_creating_then_throwsError', () => {
+    expect(() => createCustomPortfolio('  ', balanced)).toThrow('Portfolio name is required');
+  });
+
+  it('given_customPortfolio_when_listing_then_appearsInCustomGroupOnly', () => {
+    createCustomPortfolio('Balanced', balanced);
+
+    const grouped = getStrategiesGroupedForDisplay();
+    expect(grouped.custom.label).toBe('Custom Portfolios');
+    expect(grouped.custom.strategies).toHaveLength(1);
+    expect(grouped.combined.strategies).toHaveLength(15);
+    expect(getAllStrategies()).toHaveLength(42);
+    expect(ALL_STRATEGIES['custom-balanced']).toBeUndefined();
+  });
+
+  it('given_savedPortfolio_when_removing_then_noLongerFound', () => {
+    createCustomPortfolio('Balanced', balanced);
+
+    expect(removeCustomPortfolio('custom-balanced')).toBe(true);
+    expect(removeCustomPortfolio('custom-balanced')).toBe(false);
+    expect(getCustomPortfolios()).toHaveLength(0);
+    expect(() => getStrategy('custom-balanced')).toThrow("Strategy 'custom-balanced' not found");
+  });
+});
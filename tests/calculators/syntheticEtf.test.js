@@ -24,6 +24,12 @@ import {
   BASE_YEAR,
   BASE_PRICE_GBP
 } from '../../src/calculators/syntheticEtf.js';
+import { getGoldPrice } from '../../src/data/goldPrices.js';
+import { getSilverPrice } from '../../src/data/silverPrices.js';
+import { getBankRate } from '../../src/data/bankRate.js';
+import { getUKGiltsTotalReturn } from '../../src/data/ukGiltsTotalReturn.js';
+import { getMSCIWorldTotalReturn } from '../../src/data/msciWorldTotalReturn.js';
+import { getExchangeRate } from '../../src/data/exchangeRates.js';
 
 describe('getSyntheticEtfPrice', () => {
   describe('input validation', () => {
@@ -414,6 +420,44 @@ describe('getSyntheticPrice multi-index', () => {
     });
   });
 
+  describe('FTSE 250 and FTSE All-Share', () => {
+    test('given_ukEquityIndices_when_gettingPrice2019_then_equalsBasePrice', () => {
+      expect(getSyntheticPrice(2019, INDEX_TYPES.FTSE250)).toBeCloseTo(28.50, 6);
+      expect(getSyntheticPrice(2019, INDEX_TYPES.FTSE_ALL_SHARE)).toBeCloseTo(3.20, 6);
+    });
+
+    test('given_ftse250_when_gettingPrice1985_then_throwsError', () => {
+      expect(() => getSyntheticPrice(1985, INDEX_TYPES.FTSE250))
+        .toThrow('FTSE 250 data not available for year 1985');
+      expect(getSyntheticPrice(1986, INDEX_TYPES.FTSE250)).toBeGreaterThan(0);
+    });
+
+    test('given_ftseAllShare_when_gettingPrice1980_then_availableBeforeFtse100', () => {
+      expect(getSyntheticPrice(1980, INDEX_TYPES.FTSE_ALL_SHARE)).toBeGreaterThan(0);
+      expect(INDEX_CONFIG[INDEX_TYPES.FTSE_ALL_SHARE].requiresCurrencyConversion).toBe(false);
+    });
+  });
+
+  describe('MSCI World', () => {
+    test('given_msciWorld_when_gettingPrice2019_then_equalsBasePrice', () => {
+      expect(getSyntheticPrice(2019, INDEX_TYPES.MSCI_WORLD)).toBeCloseTo(41.50, 6);
+    });
+
+    test('given_msciWorld_when_gettingPrice_then_convertsUsdReturnToGbp', () => {
+      const usdGrowth = getMSCIWorldTotalReturn(2000) / getMSCIWorldTotalReturn(1990);
+      const currencyAdjustment = getExchangeRate(1990) / getExchangeRate(2000);
+
+      expect(getSyntheticPrice(2000, INDEX_TYPES.MSCI_WORLD) / getSyntheticPrice(1990, INDEX_TYPES.MSCI_WORLD))
+        .toBeCloseTo(usdGrowth * currencyAdjustment, 6);
+    });
+
+    test('given_msciWorldConfig_when_checking_then_usdFrom1980', () => {
+      expect(INDEX_CONFIG[INDEX_TYPES.MSCI_WORLD].currency).toBe('USD');
+      expect(INDEX_CONFIG[INDEX_TYPES.MSCI_WORLD].requiresCurrencyConversion).toBe(true);
+      expect(INDEX_CONFIG[INDEX_TYPES.MSCI_WORLD].earliestYear).toBe(1980);
+    });
+  });
+
   describe('FTSE 100', () => {
     test('given_ftse100_when_gettingPrice2019_then_equalsBasePrice', () => {
       const price = getSyntheticPrice(2019, INDEX_TYPES.FTSE100);
@@ -480,6 +524,71 @@ describe('getSyntheticPrice multi-index', () => {
     });
   });
 
+  describe('Vaulted Gold', () => {
+    test('given_goldVault_when_gettingPrice_then_equalsGoldSpotPerOunce', () => {
+      expect(getSyntheticPrice(2019, INDEX_TYPES.GOLD_VAULT)).toBeCloseTo(997.02, 2);
+      expect(getSyntheticPrice(2008, INDEX_TYPES.GOLD_VAULT)).toBeCloseTo(getGoldPrice(2008), 6);
+    });
+
+    test('given_goldVaultConfig_when_checking_then_gbpFrom1980', () => {
+      expect(INDEX_CONFIG[INDEX_TYPES.GOLD_VAULT].currency).toBe('GBP');
+      expect(INDEX_CONFIG[INDEX_TYPES.GOLD_VAULT].earliestYear).toBe(1980);
+    });
+  });
+
+  describe('Silver ETF', () => {
+    test('given_silverEtf_when_gettingPrice_then_tracksSilverPrice', () => {
+      expect(getSyntheticPrice(2019, INDEX_TYPES.SILVER_ETF)).toBeCloseTo(11.60, 2);
+      expect(getSyntheticPrice(2011, INDEX_TYPES.SILVER_ETF) / getSyntheticPrice(2001, INDEX_TYPES.SILVER_ETF))
+        .toBeCloseTo(getSilverPrice(2011) / getSilverPrice(2001), 6);
+    });
+
+    test('given_silverEtfConfig_when_checking_then_gbpFrom1980', () => {
+      expect(INDEX_CONFIG[INDEX_TYPES.SILVER_ETF].currency).toBe('GBP');
+      expect(INDEX_CONFIG[INDEX_TYPES.SILVER_ETF].earliestYear).toBe(1980);
+    });
+  });
+
+  describe('Cash', () => {
+    test('given_cash_when_gettingPrice_then_growsAtBankRate', () => {
+      expect(getSyntheticPrice(2019, INDEX_TYPES.CASH)).toBeCloseTo(1.00, 6);
+      expect(getSyntheticPrice(2001, INDEX_TYPES.CASH) / getSyntheticPrice(2000, INDEX_TYPES.CASH))
+        .toBeCloseTo(1 + getBankRate(2000) / 100, 6);
+    });
+
+    test('given_cashConfig_when_checking_then_gbpFrom1980', () => {
+      expect(INDEX_CONFIG[INDEX_TYPES.CASH].currency).toBe('GBP');
+      expect(INDEX_CONFIG[INDEX_TYPES.CASH].earliestYear).toBe(1980);
+    });
+  });
+
+  describe('UK Gilts', () => {
+    test('given_gilts_when_gettingPrice_then_tracksTotalReturnWithoutCurrency', () => {
+      expect(getSyntheticPrice(2019, INDEX_TYPES.UK_GILTS)).toBeCloseTo(12.50, 6);
+      expect(getSyntheticPrice(2010, INDEX_TYPES.UK_GILTS) / getSyntheticPrice(2000, INDEX_TYPES.UK_GILTS))
+        .toBeCloseTo(getUKGiltsTotalReturn(2010) / getUKGiltsTotalReturn(2000), 6);
+    });
+
+    test('given_giltConfigs_when_checking_then_gbp', () => {
+      [INDEX_TYPES.UK_GILTS, INDEX_TYPES.UK_LONG_GILTS, INDEX_TYPES.UK_INDEX_LINKED_GILTS].forEach(type => {
+        expect(INDEX_CONFIG[type].currency).toBe('GBP');
+        expect(INDEX_CONFIG[type].requiresCurrencyConversion).toBe(false);
+      });
+    });
+
+    test('given_indexLinkedGilts_when_before1982_then_throwsError', () => {
+      expect(INDEX_CONFIG[INDEX_TYPES.UK_INDEX_LINKED_GILTS].earliestYear).toBe(1982);
+      expect(() => getSyntheticPrice(1981, INDEX_TYPES.UK_INDEX_LINKED_GILTS))
+        .toThrow('UK Index-Linked Gilts data not available for year 1981');
+      expect(getSyntheticPrice(1982, INDEX_TYPES.UK_INDEX_LINKED_GILTS)).toBeGreaterThan(0);
+    });
+
+    test('given_2022_when_comparingGilts_then_longGiltsFellMost', () => {
+      const fall = type => getSyntheticPrice(2023, type) / getSyntheticPrice(2022, type);
+      expect(fall(INDEX_TYPES.UK_LONG_GILTS)).toBeLessThan(fall(INDEX_TYPES.UK_GILTS));
+    });
+  });
+
   describe('error handling', () => {
     test('given_invalidIndex_when_gettingPrice_then_throwsError', () => {
       expect(() => getSyntheticPrice(2020, 'invalid'))
@@ -8,6 +8,8 @@
 import { describe, test, expect } from 'vitest';
 import {
   calculateIncomeTax,
+  apportionIncomeTax,
+  calculateGrossForNetIncome,
   calculateEffectiveTaxRate,
   getMarginalTaxRate,
   getTaxBands
@@ -148,6 +150,45 @@ describe('calculateIncomeTax', () => {
     });
   });
 
+  describe('historical tax rates - higher rate ladder (1980-1987)', () => {
+    test('given_income1985_when_calculating_then_eachHigherRateBandApplied', () => {
+      // £47,795 taxable: basic £16,200 @30%, then 40/45/50/55% bands, £7,595 @60%
+      const result = calculateIncomeTax(50000, 1985);
+
+      expect(result.breakdown.basicRateTax).toBe(4860);
+      expect(result.breakdown.higher40RateTax).toBe(1200);
+      expect(result.breakdown.higher45RateTax).toBe(2340);
+      expect(result.breakdown.higher50RateTax).toBe(3950);
+      expect(result.breakdown.higher55RateTax).toBeCloseTo(4345, 6);
+      expect(result.breakdown.higher60RateAmount).toBe(7595);
+      expect(result.taxPaid).toBeCloseTo(21252, 6);
+    });
+
+    test('given_incomeInFirstHigherBand1980_when_calculating_then_taxedAt40Percent', () => {
+      // £13,000 taxable: £11,250 @30% + £1,750 @40%
+      const result = calculateIncomeTax(14375, 1980);
+
+      expect(result.taxPaid).toBeCloseTo(3375 + 700, 6);
+      expect(result.breakdown.higher45RateAmount).toBe(0);
+      expect(getMarginalTaxRate(14375, 1980)).toBe(0.40);
+    });
+
+    test('given_1987_when_gettingBands_then_fiveHigherRateBands', () => {
+      const bands = getTaxBands(1987);
+
+      expect(bands.map(band => band.rate)).toEqual([0, 0.27, 0.40, 0.45, 0.50, 0.55, 0.60]);
+      expect(bands[2].from).toBe(2425 + 17900);
+      expect(bands[6].from).toBe(2425 + 41200);
+    });
+
+    test('given_1988_when_calculating_then_singleHigherRate', () => {
+      const result = calculateIncomeTax(50000, 1988);
+
+      expect(result.breakdown.higherRateAmount).toBe(50000 - 2605 - 19300);
+      expect(result.breakdown.higher40RateTax).toBeUndefined();
+    });
+  });
+
   describe('historical tax rates - 22% basic rate era (2000-2007)', () => {
     test('given_income50000In2000_when_calculating_then_applies22PercentBasicRate', () => {
       // 2000: Personal allowance £4,385, basic rate 22%, basic rate limit £28,400
@@ -411,6 +452,89 @@ describe('calculateIncomeTax', () => {
   });
 });
 
+describe('other income', () => {
+  test('given_otherIncome_when_calculating_then_allowanceUsedByOtherIncomeFirst', () => {
+    // £12,000 other income leaves £570 of the £12,570 allowance for the £15,000 taxable withdrawal
+    const result = calculateIncomeTax(20000, 2024, true, 12000);
+
+    expect(result.breakdown.personalAllowance).toBe(570);
+    expect(result.taxableAmount).toBe(14430);
+    expect(result.taxPaid).toBeCloseTo(2886, 2);
+    expect(result.netIncome).toBeCloseTo(17114, 2);
+    expect(result.otherIncome).toBe(12000);
+    expect(result.otherIncomeTax).toBe(0);
+  });
+
+  test('given_otherIncomeInBasicBand_when_calculating_then_withdrawalPushedIntoHigherRate', () => {
+    // £45,000 other income leaves £5,270 of the basic band before £50,270
+    const result = calculateIncomeTax(40000, 2024, false, 45000);
+
+    expect(result.breakdown.basicRateAmount).toBe(5270);
+    expect(result.breakdown.higherRateAmount).toBe(34730);
+    expect(result.taxPaid).toBeCloseTo(1054 + 13892, 2);
+    expect(result.otherIncomeTax).toBeCloseTo(6486, 2);
+  });
+
+  test('given_otherIncome_when_calculating_then_sliceAndOtherTaxAddUpToTaxOnTotal', () => {
+    const stacked = calculateIncomeTax(60000, 2024, true, 30000);
+    const taxableTotal = calculateIncomeTax(30000 + 60000 * 0.75, 2024, false);
+
+    expect(stacked.taxPaid + stacked.otherIncomeTax).toBeCloseTo(taxableTotal.taxPaid, 2);
+  });
+
+  test('given_otherIncomeReducingTaperedAllowance_when_calculating_then_sliceBearsLostAllowance', () => {
+    // £90,000 other income + £20,000 salary-like income = £110,000: £5,000 of allowance is tapered away
+    const result = calculateIncomeTax(20000, 2024, false, 90000);
+
+    expect(result.breakdown.personalAllowance).toBe(-5000);
+    expect(result.taxPaid).toBeCloseTo(20000 * 0.4 + 5000 * 0.4, 2);
+  });
+
+  test('given_zeroWithdrawalAndOtherIncome_when_calculating_then_onlyOtherIncomeTaxed', () => {
+    const result = calculateIncomeTax(0, 2024, true, 20000);
+
+    expect(result.taxPaid).toBe(0);
+    expect(result.netIncome).toBe(0);
+    expect(result.otherIncomeTax).toBeCloseTo(1486, 2);
+  });
+
+  test('given_noOtherIncome_when_calculating_then_resultUnchanged', () => {
+    const result = calculateIncomeTax(50000, 2024, true);
+
+    expect(result).toEqual(calculateIncomeTax(50000, 2024, true, 0));
+    expect(result.otherIncome).toBe(0);
+    expect(result.otherIncomeTax).toBe(0);
+  });
+
+  test('given_negativeOtherIncome_when_calculating_then_throwsError', () => {
+    expect(() => calculateIncomeTax(10000, 2024, true, -1)).toThrow('Other income must be a non-negative number');
+  });
+});
+
+describe('apportionIncomeTax', () => {
+  test('given_twoWithdrawals_when_apportioning_then_taxedOnceWithSinglePersonalAllowance', () => {
+    const { total, shares } = apportionIncomeTax([20000, 20000], 2024, true);
+
+    expect(total.taxPaid).toBeCloseTo(calculateIncomeTax(40000, 2024, true).taxPaid, 2);
+    // Each £20,000 taxed on its own would only pay £486
+    expect(shares[0].taxPaid).toBeCloseTo(1743, 2);
+    expect(shares[1].taxPaid).toBeCloseTo(1743, 2);
+  });
+
+  test('given_unequalAmounts_when_apportioning_then_sharesProRataByGross', () => {
+    const { total, shares } = apportionIncomeTax([75000, 25000, 0], 2024, true);
+
+    expect(shares[0].taxPaid).toBeCloseTo(total.taxPaid * 0.75, 6);
+    expect(shares[1].netIncome).toBeCloseTo(25000 - total.taxPaid * 0.25, 6);
+    expect(shares[0].breakdown.higherRateTax).toBeCloseTo(total.breakdown.higherRateTax * 0.75, 6);
+    expect(shares[2].taxPaid).toBe(0);
+  });
+
+  test('given_negativeAmount_when_apportioning_then_throwsError', () => {
+    expect(() => apportionIncomeTax([10000, -1], 2024)).toThrow('Gross income amounts must be non-negative numbers');
+  });
+});
+
 describe('calculateEffectiveTaxRate', () => {
   test('given_zeroIncome_when_calculating_then_returnsZero', () => {
     expect(calculateEffectiveTaxRate(0, 0)).toBe(0);
@@ -481,6 +605,14 @@ describe('getTaxBands', () => {
     expect(bands[3].name).toBe('Additional Rate');
   });
 
+  test('given_scottishYear_when_gettingBands_then_bandsCarryTheirKeys', () => {
+    const bands = getTaxBands(2024, 'scotland');
+
+    expect(bands.map(band => band.key)).toEqual([
+      'personalAllowance', 'starter', 'basic', 'intermediate', 'higher', 'advanced', 'top'
+    ]);
+  });
+
   test('given_year2009_when_gettingBands_then_returnsThreeBands', () => {
     // No additional rate in 2009
     const bands = getTaxBands(2009);
@@ -519,3 +651,176 @@ describe('getTaxBands', () => {
     expect(bands[1].rate).toBe(0.20);
   });
 });
+
+describe('calculateGrossForNetIncome', () => {
+  test('given_netTarget_when_grossingUp_then_taxLeavesExactlyTarget', () => {
+    const gross = calculateGrossForNetIncome(30000, 2024, true);
+
+    expect(gross).toBeGreaterThan(30000);
+    expect(calculateIncomeTax(gross, 2024, true).netIncome).toBeCloseTo(30000, 1);
+  });
+
+  test('given_netBelowAllowance_when_grossingUp_then_grossEqualsNet', () => {
+    expect(calculateGrossForNetIncome(10000, 2024, true)).toBeCloseTo(10000, 1);
+  });
+
+  test('given_otherWithdrawals_when_grossingUp_then_proRataShareOfTaxLeavesTarget', () => {
+    const gross = calculateGrossForNetIncome(20000, 2024, true, 100000);
+    const { shares } = apportionIncomeTax([gross, 100000], 2024, true);
+
+    expect(gross - shares[0].taxPaid).toBeCloseTo(20000, 1);
+    expect(gross).toBeGreaterThan(calculateGrossForNetIncome(20000, 2024, true));
+  });
+
+  test('given_otherIncome_when_grossingUp_then_marginalTaxLeavesTarget', () => {
+    const gross = calculateGrossForNetIncome(20000, 2024, true, 0, 45000);
+
+    expect(calculateIncomeTax(gross, 2024, true, 45000).netIncome).toBeCloseTo(20000, 1);
+    expect(gross).toBeGreaterThan(calculateGrossForNetIncome(20000, 2024, true));
+  });
+
+  test('given_negativeNet_when_grossingUp_then_throwsError', () => {
+    expect(() => calculateGrossForNetIncome(-1, 2024, true)).toThrow('Income amounts must be non-negative numbers');
+  });
+});
+
+describe('Scottish rates', () => {
+  test('given_scottishTaxpayer2024_when_calculating_then_fiveBandsApplied', () => {
+    // £37,430 taxable: starter £2,306 @19%, basic £11,685 @20%, intermediate £17,101 @21%, higher £6,338 @42%
+    const result = calculateIncomeTax(50000, 2024, false, 0, 'scotland');
+
+    expect(result.breakdown.starterRateTax).toBeCloseTo(438.14, 2);
+    expect(result.breakdown.basicRateTax).toBeCloseTo(2337, 2);
+    expect(result.breakdown.intermediateRateTax).toBeCloseTo(3591.21, 2);
+    expect(result.breakdown.higherRateAmount).toBe(6338);
+    expect(result.breakdown.advancedRateAmount).toBe(0);
+    expect(result.taxPaid).toBeCloseTo(9028.31, 2);
+  });
+
+  test('given_scottishHighEarner2024_when_calculating_then_advancedAndTopRatesApplied', () => {
+    const result = calculateIncomeTax(150000, 2024, false, 0, 'scotland');
+
+    expect(result.breakdown.personalAllowance).toBe(0);
+    expect(result.breakdown.advancedRateAmount).toBe(62710);
+    expect(result.breakdown.topRateAmount).toBe(24860);
+    expect(result.taxPaid).toBeCloseTo(59680.61, 2);
+  });
+
+  test('given_scottishTaxpayer2017_when_calculating_then_lowerBasicRateLimit', () => {
+    // Basic rate band £31,500 in Scotland against £33,500 in the rest of the UK
+    expect(calculateIncomeTax(45000, 2017, false, 0, 'scotland').taxPaid).toBeCloseTo(7100, 2);
+    expect(calculateIncomeTax(45000, 2017).taxPaid).toBeCloseTo(6700, 2);
+  });
+
+  test('given_scottishTaxpayerBefore2017_when_calculating_then_ukRatesApplied', () => {
+    expect(calculateIncomeTax(60000, 2016, true, 0, 'scotland'))
+      .toEqual(calculateIncomeTax(60000, 2016, true));
+  });
+
+  test('given_scottishPensionWithdrawal_when_calculating_then_moreTaxThanRestOfUk', () => {
+    const scottish = calculateIncomeTax(80000, 2024, true, 0, 'scotland');
+    const ruk = calculateIncomeTax(80000, 2024, true);
+
+    expect(scottish.taxFreeAmount).toBe(ruk.taxFreeAmount);
+    expect(scottish.taxPaid).toBeGreaterThan(ruk.taxPaid);
+  });
+
+  test('given_zeroIncome_when_calculating_then_breakdownHasEveryScottishBand', () => {
+    const result = calculateIncomeTax(0, 2024, false, 0, 'scotland');
+
+    ['starter', 'basic', 'intermediate', 'higher', 'advanced', 'top'].forEach(key => {
+      expect(result.breakdown[`${key}RateTax`]).toBe(0);
+      expect(result.breakdown[`${key}RateAmount`]).toBe(0);
+    });
+  });
+
+  test('given_otherIncome_when_calculatingScottishTax_then_withdrawalTaxedOnTop', () => {
+    const result = calculateIncomeTax(20000, 2024, true, 40000, 'scotland');
+    const together = calculateIncomeTax(55000, 2024, false, 0, 'scotland');
+
+    expect(result.otherIncomeTax + result.taxPaid).toBeCloseTo(together.taxPaid, 6);
+  });
+
+  test('given_scottishResidency_when_apportioningAndGrossingUp_then_scottishRatesUsed', () => {
+    const { total } = apportionIncomeTax([30000, 30000], 2024, true, 0, 'scotland');
+    const gross = calculateGrossForNetIncome(40000, 2024, true, 0, 0, 'scotland');
+
+    expect(total.taxPaid).toBeCloseTo(calculateIncomeTax(60000, 2024, true, 0, 'scotland').taxPaid, 6);
+    expect(calculateIncomeTax(gross, 2024, true, 0, 'scotland').netIncome).toBeCloseTo(40000, 1);
+  });
+
+  test('given_scottishResidency_when_gettingMarginalRate_then_scottishBandRate', () => {
+    expect(getMarginalTaxRate(14000, 2024, 'scotland')).toBe(0.19);
+    expect(getMarginalTaxRate(30000, 2024, 'scotland')).toBe(0.21);
+    expect(getMarginalTaxRate(80000, 2024, 'scotland')).toBe(0.45);
+    expect(getMarginalTaxRate(130000, 2024, 'scotland')).toBe(0.48);
+  });
+
+  test('given_scottishResidency_when_gettingBands_then_grossThresholdsForEveryBand', () => {
+    const bands = getTaxBands(2024, 'scotland');
+
+    expect(bands.map(band => band.name)).toEqual([
+      'Personal Allowance', 'Starter Rate', 'Basic Rate', 'Intermediate Rate',
+      'Higher Rate', 'Advanced Rate', 'Top Rate'
+    ]);
+    expect(bands[1].to).toBe(14876);
+    expect(bands[3].to).toBe(43662);
+    expect(bands[4].to).toBe(75000);
+    expect(bands[5].to).toBe(125140);
+    expect(bands[6].to).toBe(Infinity);
+  });
+
+  test('given_unknownResidency_when_calculating_then_throwsError', () => {
+    expect(() => calculateIncomeTax(50000, 2024, false, 0, 'wales')).toThrow('Unknown tax residency: wales');
+  });
+});
+
+describe('tax-free cash allowances', () => {
+  test('given_largePensionWithdrawalIn2024_when_calculating_then_taxFreeCappedByLumpSumAllowance', () => {
+    const result = calculateIncomeTax(2000000, 2024, true);
+
+    expect(result.taxFreeAmount).toBe(268275);
+    expect(result.taxPaid).toBeCloseTo(calculateIncomeTax(2000000 - 268275, 2024).taxPaid, 6);
+    expect(result.allowanceUsage.lumpSumAllowanceUsed).toBe(268275);
+  });
+
+  test('given_withdrawalAboveLifetimeAllowance_when_calculating_then_chargeAddedToIncomeTax', () => {
+    const result = calculateIncomeTax(2000000, 2014, true);
+
+    expect(result.lifetimeAllowanceCharge).toBeCloseTo(412500, 6);
+    expect(result.taxPaid).toBeCloseTo(calculateIncomeTax(937500, 2014).taxPaid + 412500, 6);
+    expect(result.netIncome).toBeCloseTo(2000000 - result.taxPaid, 6);
+  });
+
+  test('given_allowanceAlreadyUsed_when_calculating_then_wholeWithdrawalTaxable', () => {
+    const { allowanceUsage } = calculateIncomeTax(2000000, 2024, true);
+    const result = calculateIncomeTax(50000, 2025, true, 0, 'ruk', allowanceUsage);
+
+    expect(result.taxFreeAmount).toBe(0);
+    expect(result.taxPaid).toBeCloseTo(calculateIncomeTax(50000, 2025).taxPaid, 6);
+  });
+
+  test('given_nonPensionIncome_when_calculating_then_allowanceUsageUnchanged', () => {
+    const usage = { lifetimeAllowanceUsed: 0.5, lumpSumAllowanceUsed: 0 };
+    const result = calculateIncomeTax(50000, 2015, false, 0, 'ruk', usage);
+
+    expect(result.allowanceUsage).toBe(usage);
+    expect(result.lifetimeAllowanceCharge).toBe(0);
+  });
+
+  test('given_withdrawalsAboveLifetimeAllowance_when_apportioning_then_chargeSharedProRata', () => {
+    const { total, shares } = apportionIncomeTax([1500000, 500000], 2014, true);
+
+    expect(shares[0].lifetimeAllowanceCharge).toBeCloseTo(412500 * 0.75, 6);
+    expect(shares[0].allowanceUsage).toBeNull();
+    expect(total.allowanceUsage.lifetimeAllowanceUsed).toBeCloseTo(1.6, 10);
+  });
+
+  test('given_allowanceAlreadyUsed_when_grossingUp_then_moreGrossNeeded', () => {
+    const usage = { lifetimeAllowanceUsed: 0, lumpSumAllowanceUsed: 268275 };
+    const gross = calculateGrossForNetIncome(30000, 2024, true, 0, 0, 'ruk', usage);
+
+    expect(gross).toBeGreaterThan(calculateGrossForNetIncome(30000, 2024, true));
+    expect(calculateIncomeTax(gross, 2024, true, 0, 'ruk', usage).netIncome).toBeCloseTo(30000, 1);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Safe Withdrawal Rate Solver Tests
+ *
+ * Tests for solving the highest sustainable withdrawal rate.
+ * All tests follow the naming convention: given_[precondition]_when_[action]_then_[expectedResult]
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  findSafeWithdrawalRate,
+  getSafeMaxByStartYear
+} from '../../src/calculators/withdrawalRateSolver.js';
+import { runCohort, getRollingStartYears } from '../../src/calculators/rollingBacktest.js';
+
+describe('findSafeWithdrawalRate', () => {
+  test('given_strategyAndStartYear_when_solving_then_rateLastsAndSlightlyHigherRateDepletes', () => {
+    const swr = findSafeWithdrawalRate('sp500', 500000, 2000, 25);
+
+    expect(swr.safeWithdrawalRate).toBeGreaterThan(1);
+    expect(swr.endYear).toBe(2024);
+    expect(runCohort('sp500', 500000, 2000, swr.safeWithdrawalRate, 25).successful).toBe(true);
+    expect(runCohort('sp500', 500000, 2000, swr.safeWithdrawalRate + 0.01, 25).successful).toBe(false);
+  });
+
+  test('given_result_when_solving_then_cohortIsOutcomeAtSafeRate', () => {
+    const swr = findSafeWithdrawalRate('gold', 500000, 1990, 20);
+
+    expect(swr.cohort).toEqual(runCohort('gold', 500000, 1990, swr.safeWithdrawalRate, 20));
+  });
+
+  test('given_targetRealValue_when_solving_then_leavesTargetAndRateIsLower', () => {
+    const noTarget = findSafeWithdrawalRate('gold-sp500', 500000, 1995, 20);
+    const withTarget = findSafeWithdrawalRate('gold-sp500', 500000, 1995, 20, { targetRealValue: 600000 });
+
+    expect(withTarget.safeWithdrawalRate).toBeLessThan(noTarget.safeWithdrawalRate);
+    expect(withTarget.cohort.finalRealValue).toBeGreaterThanOrEqual(600000);
+    expect(runCohort('gold-sp500', 500000, 1995, withTarget.safeWithdrawalRate + 0.01, 20).finalRealValue)
+      .toBeLessThan(600000);
+  });
+
+  test('given_portfolioComponentRunsOut_when_solving_then_rateIsNotSafe', () => {
+    // From 2000 the Nasdaq half ran out in 2006 at 6.09% while gold lasted until 2024
+    const swr = findSafeWithdrawalRate('gold-nasdaq100', 500000, 2000, 25);
+    const cohortAt609 = runCohort('gold-nasdaq100', 500000, 2000, 6.09, 25);
+
+    expect(cohortAt609.activeThroughout).toBe(false);
+    expect(swr.safeWithdrawalRate).toBeLessThan(6.09);
+    expect(swr.cohort.activeThroughout).toBe(true);
+    expect(runCohort('gold-nasdaq100', 500000, 2000, swr.safeWithdrawalRate + 0.01, 25).activeThroughout).toBe(false);
+  });
+
+  test('given_unreachableTarget_when_solving_then_returnsNull', () => {
+    const swr = findSafeWithdrawalRate('gold', 500000, 1980, 25, { targetRealValue: 1e9 });
+
+    expect(swr.safeWithdrawalRate).toBeNull();
+    expect(swr.cohort).toBeNull();
+  });
+
+  test('given_inflationAdjustmentOff_when_solving_then_flatWithdrawalsAllowHigherRate', () => {
+    const adjusted = findSafeWithdrawalRate('sp500', 500000, 2000, 25);
+    const flat = findSafeWithdrawalRate('sp500', 500000, 2000, 25, { adjustForInflation: false });
+
+    expect(flat.safeWithdrawalRate).toBeGreaterThan(adjusted.safeWithdrawalRate);
+  });
+
+  test('given_invalidSettings_when_solving_then_throwsError', () => {
+    expect(() => findSafeWithdrawalRate('gold', 500000, 2000, 20, { targetRealValue: -1 }))
+      .toThrow('Target real value must be a non-negative number');
+    expect(() => findSafeWithdrawalRate('gold', 500000, 2000, 20, { precision: 0 }))
+      .toThrow('Precision must be a positive number');
+    expect(() => findSafeWithdrawalRate('gold', 0, 2000, 20))
+      .toThrow('Pension amount must be a positive number');
+    expect(() => findSafeWithdrawalRate('gold', 500000, 2000, 20, { targetNetIncome: 20000 }))
+      .toThrow('Safe withdrawal rates cannot be solved in target net income mode');
+  });
+
+  test('given_annuity_when_solving_then_throwsErrorAsIncomeIgnoresRate', () => {
+    expect(() => findSafeWithdrawalRate('annuity', 100000, 2000, 25))
+      .toThrow('Safe withdrawal rates cannot be solved for Annuity: its income does not depend on the withdrawal rate');
+  });
+});
+
+describe('getSafeMaxByStartYear', () => {
+  test('given_strategy_when_solvingEveryStartYear_then_seriesCoversFeasibleStartYears', () => {
+    const safeMax = getSafeMaxByStartYear('nasdaq100', 500000, 25, { precision: 0.1 });
+
+    expect(safeMax.series.map(p => p.startYear)).toEqual(getRollingStartYears(['nasdaq100'], 25));
+    expect(safeMax.inputs.firstStartYear).toBe(1985);
+  });
+
+  test('given_series_when_summarising_then_safeMaxIsLowestRate', () => {
+    const safeMax = getSafeMaxByStartYear('gold', 500000, 25, { precision: 0.1 });
+    const rates = safeMax.series.map(p => p.safeWithdrawalRate);
+
+    expect(safeMax.summary.safeMax).toBe(Math.min(...rates));
+    expect(safeMax.summary.highestSafeWithdrawalRate).toBe(Math.max(...rates));
+    expect(safeMax.series.find(p => p.startYear === safeMax.summary.safeMaxStartYear).safeWithdrawalRate)
+      .toBe(safeMax.summary.safeMax);
+  });
+
+  test('given_noFeasibleStartYear_when_solving_then_throwsError', () => {
+    expect(() => getSafeMaxByStartYear('nasdaq100', 500000, 45)).toThrow('Not enough data');
+  });
+
+  test('given_annuity_when_solvingEveryStartYear_then_throwsError', () => {
+    expect(() => getSafeMaxByStartYear('annuity', 100000, 25))
+      .toThrow('its income does not depend on the withdrawal rate');
+  });
+});
@@ -104,6 +104,20 @@ describe('getApplicableDisclaimers', () => {
     expect(ids).toContain('sippFees');
   });
 
+  test('given_annuityStrategy_when_gettingDisclaimers_then_includesAnnuityRates', () => {
+    const ids = getApplicableDisclaimers('annuity', 'sp500', 2020).map(d => d.id);
+    const sippOnlyIds = getApplicableDisclaimers('ftse100', 'sp500', 2020).map(d => d.id);
+    expect(ids).toContain('annuityRates');
+    expect(sippOnlyIds).not.toContain('annuityRates');
+  });
+
+  test('given_drawdownAnnuityStrategy_when_gettingDisclaimers_then_includesAnnuityRatesAndSippFees', () => {
+    const ids = getApplicableDisclaimers('drawdownAnnuity', 'gold', 2020).map(d => d.id);
+    expect(ids).toContain('annuityRates');
+    expect(ids).toContain('sippFees');
+    expect(ids).toContain('syntheticPricing');
+  });
+
   test('given_usDollarIndices_when_gettingDisclaimers_then_includesCurrencyRisk', () => {
     const disclaimers = getApplicableDisclaimers('sp500', 'nasdaq100', 2020);
     const ids = disclaimers.map(d => d.id);
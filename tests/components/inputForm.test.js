@@ -19,16 +19,36 @@ import { YEAR_RANGE } from '../../src/config/defaults.js';
 
 describe('Strategy Selection Integration', () => {
   describe('Strategy Registry for Form Population', () => {
-    test('given_strategyRegistry_when_checkingBaseStrategies_then_hasSixStrategies', () => {
+    test('given_strategyRegistry_when_checkingBaseStrategies_then_hasTwentySixStrategies', () => {
       const baseStrategies = Object.keys(BASE_STRATEGIES);
 
       expect(baseStrategies).toContain('gold');
+      expect(baseStrategies).toContain('goldPhased');
       expect(baseStrategies).toContain('goldEtf');
+      expect(baseStrategies).toContain('goldVault');
+      expect(baseStrategies).toContain('silver');
+      expect(baseStrategies).toContain('silverEtf');
+      expect(baseStrategies).toContain('cash');
+      expect(baseStrategies).toContain('savings');
+      expect(baseStrategies).toContain('annuity');
+      expect(baseStrategies).toContain('drawdownAnnuity');
       expect(baseStrategies).toContain('sp500');
       expect(baseStrategies).toContain('nasdaq100');
       expect(baseStrategies).toContain('ftse100');
+      expect(baseStrategies).toContain('ftse250');
+      expect(baseStrategies).toContain('ftseAllShare');
+      expect(baseStrategies).toContain('msciWorld');
       expect(baseStrategies).toContain('usTreasury');
-      expect(baseStrategies.length).toBe(6);
+      expect(baseStrategies).toContain('gilts');
+      expect(baseStrategies).toContain('longGilts');
+      expect(baseStrategies).toContain('indexLinkedGilts');
+      expect(baseStrategies).toContain('isaSp500');
+      expect(baseStrategies).toContain('isaNasdaq100');
+      expect(baseStrategies).toContain('isaFtse100');
+      expect(baseStrategies).toContain('giaSp500');
+      expect(baseStrategies).toContain('giaNasdaq100');
+      expect(baseStrategies).toContain('giaFtse100');
+      expect(baseStrategies.length).toBe(26);
     });
 
     test('given_strategyRegistry_when_checkingCombinedStrategies_then_has15Strategies', () => {
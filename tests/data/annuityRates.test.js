@@ -0,0 +1,71 @@
+/**
+ * Annuity Rates Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ANNUITY_TYPES,
+  levelAnnuityRates,
+  rpiLinkedAnnuityRates,
+  getAnnuityRate,
+  getAgeFactor,
+  getAvailableYears,
+  getEarliestYear
+} from '../../src/data/annuityRates.js';
+
+describe('annuityRates data', () => {
+  it('given_levelRates_when_checkingStructure_then_containsEveryYearFrom1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(levelAnnuityRates[year]).toBeGreaterThan(0);
+    }
+  });
+
+  it('given_rpiLinkedRates_when_checkingStructure_then_startIn1982', () => {
+    expect(getEarliestYear(ANNUITY_TYPES.RPI_LINKED)).toBe(1982);
+    expect(getAvailableYears(ANNUITY_TYPES.RPI_LINKED)).toHaveLength(2026 - 1982 + 1);
+    expect(getEarliestYear()).toBe(1980);
+  });
+
+  it('given_anyYear_when_comparingTypes_then_rpiLinkedRateBelowLevelRate', () => {
+    Object.keys(rpiLinkedAnnuityRates).forEach(year => {
+      expect(rpiLinkedAnnuityRates[year]).toBeLessThan(levelAnnuityRates[year]);
+    });
+  });
+
+  it('given_age65_when_gettingRate_then_returnsTableRate', () => {
+    expect(getAnnuityRate(2000)).toBe(9.0);
+    expect(getAnnuityRate(2024, 65, 'rpi')).toBe(4.8);
+  });
+
+  it('given_otherAge_when_gettingRate_then_scaledByAgeFactor', () => {
+    expect(getAnnuityRate(2000, 75, 'rpi')).toBeCloseTo(6.2 * 1.57, 6);
+    expect(getAnnuityRate(2024, 60)).toBeCloseTo(7.0 * 0.88, 6);
+  });
+
+  it('given_ageBetweenListedAges_when_gettingFactor_then_interpolates', () => {
+    expect(getAgeFactor(67.5)).toBeCloseTo(1.08, 6);
+    expect(getAgeFactor(72, 'rpi')).toBeCloseTo(1.25 + (1.57 - 1.25) * 0.4, 6);
+  });
+
+  it('given_olderBuyer_when_gettingFactor_then_higherRate', () => {
+    const ages = [55, 60, 65, 70, 75, 80, 85];
+    for (let i = 1; i < ages.length; i++) {
+      expect(getAgeFactor(ages[i])).toBeGreaterThan(getAgeFactor(ages[i - 1]));
+      expect(getAgeFactor(ages[i], 'rpi')).toBeGreaterThan(getAgeFactor(ages[i - 1], 'rpi'));
+    }
+  });
+
+  it('given_ageOutsideTable_when_gettingRate_then_throwsError', () => {
+    expect(() => getAnnuityRate(2000, 50)).toThrow('Annuity rates are only available for ages 55 to 85');
+    expect(() => getAnnuityRate(2000, 90)).toThrow('Annuity rates are only available for ages 55 to 85');
+  });
+
+  it('given_rpiLinkedBefore1982_when_gettingRate_then_throwsError', () => {
+    expect(() => getAnnuityRate(1980, 65, 'rpi'))
+      .toThrow('RPI-linked annuity rate data not available for year 1980. Earliest available: 1982');
+  });
+
+  it('given_unknownType_when_gettingRate_then_throwsError', () => {
+    expect(() => getAnnuityRate(2000, 65, 'escalating')).toThrow('Unknown annuity type: escalating');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Bank Rate Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  bankRates,
+  cashTotalReturn,
+  getBankRate,
+  getCashTotalReturn,
+  getAvailableYears
+} from '../../src/data/bankRate.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('bankRates data', () => {
+  it('given_bankRatesData_when_checkingStructure_then_hasAllYears1980To2026', () => {
+    const years = Object.keys(bankRates).map(Number);
+    for (let year = 1980; year <= 2026; year++) {
+      expect(years).toContain(year);
+    }
+  });
+
+  it('given_bankRatesData_when_checkingValues_then_allRatesArePositive', () => {
+    Object.values(bankRates).forEach(rate => {
+      expect(typeof rate).toBe('number');
+      expect(rate).toBeGreaterThan(0);
+      expect(rate).toBeLessThan(20);
+    });
+  });
+
+  it('given_year1980_when_gettingRate_then_showsDoubleDigitRates', () => {
+    expect(bankRates[1980]).toBeGreaterThan(15);
+  });
+
+  it('given_2010To2021_when_gettingRates_then_showsEmergencyLowRates', () => {
+    for (let year = 2010; year <= 2021; year++) {
+      expect(bankRates[year]).toBeLessThanOrEqual(0.75);
+    }
+  });
+});
+
+describe('cashTotalReturn data', () => {
+  it('given_cashIndex_when_checkingBaseYear_then_is100In1980', () => {
+    expect(cashTotalReturn[1980]).toBe(100);
+  });
+
+  it('given_cashIndex_when_comparingYears_then_growsByPreviousYearsRate', () => {
+    for (let year = 1981; year <= 2026; year++) {
+      expect(cashTotalReturn[year] / cashTotalReturn[year - 1]).toBeCloseTo(1 + bankRates[year - 1] / 100, 10);
+    }
+  });
+});
+
+describe('getBankRate', () => {
+  it('given_validYear_when_gettingRate_then_returnsAverageRate', () => {
+    expect(getBankRate(2024)).toBe(bankRates[2024]);
+  });
+
+  it('given_invalidYear_when_gettingRate_then_throwsError', () => {
+    expect(() => getBankRate(1979)).toThrow('Bank Rate data not available');
+    expect(() => getBankRate(2027)).toThrow('Bank Rate data not available');
+  });
+});
+
+describe('getCashTotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsIndexValue', () => {
+    expect(getCashTotalReturn(2000)).toBe(cashTotalReturn[2000]);
+  });
+
+  it('given_invalidYear_when_gettingValue_then_throwsError', () => {
+    expect(() => getCashTotalReturn(1979)).toThrow('Cash total return data not available');
+  });
+
+  it('given_resampledSeries_when_gettingValue_then_usesMarketData', () => {
+    const value = withMarketData({ [MARKET_SERIES.CASH]: { 2000: 250 } }, () => getCashTotalReturn(2000));
+    expect(value).toBe(250);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_dataset_when_gettingYears_then_returnsSorted1980To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1980);
+    expect(years[years.length - 1]).toBe(2026);
+    expect(years).toHaveLength(47);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Index Dividend Yield Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { dividendYields, getDividendYield, hasDividendYields } from '../../src/data/dividendYields.js';
+import { INDEX_CONFIG } from '../../src/calculators/syntheticEtf.js';
+
+describe('dividendYields data', () => {
+  it('given_yields_when_checkingStructure_then_everyYearFromIndexLaunch', () => {
+    Object.keys(dividendYields).forEach(indexType => {
+      for (let year = INDEX_CONFIG[indexType].earliestYear; year <= 2026; year++) {
+        expect(dividendYields[indexType][year]).toBeGreaterThan(0);
+        expect(dividendYields[indexType][year]).toBeLessThan(10);
+      }
+    });
+  });
+
+  it('given_knownYears_when_gettingYield_then_returnsValue', () => {
+    expect(getDividendYield(2000, 'sp500')).toBe(1.2);
+    expect(getDividendYield(2009, 'ftse100')).toBe(4.8);
+  });
+
+  it('given_missingYearOrIndex_when_gettingYield_then_throwsError', () => {
+    expect(() => getDividendYield(1983, 'ftse100')).toThrow('Dividend yield not available for ftse100 in year 1983');
+    expect(() => getDividendYield(2000, 'goldEtf')).toThrow('Dividend yields not available for index: goldEtf');
+  });
+
+  it('given_index_when_checkingForYields_then_trueOnlyForEquityIndicesWithData', () => {
+    expect(hasDividendYields('ftse100')).toBe(true);
+    expect(hasDividendYields('goldEtf')).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * FTSE 250 Total Return Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ftse250TotalReturn,
+  getFTSE250TotalReturn,
+  getAvailableYears,
+  getEarliestYear,
+  hasDataForYear
+} from '../../src/data/ftse250TotalReturn.js';
+import { ftse100TotalReturn } from '../../src/data/ftse100TotalReturn.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('ftse250TotalReturn data', () => {
+  it('given_ftse250Data_when_checkingStructure_then_hasAllYears1986To2026', () => {
+    const years = Object.keys(ftse250TotalReturn).map(Number);
+    for (let year = 1986; year <= 2026; year++) {
+      expect(years).toContain(year);
+    }
+    expect(years.filter(y => y < 1986)).toHaveLength(0);
+  });
+
+  it('given_ftse250Data_when_checkingValues_then_allValuesArePositiveNumbers', () => {
+    Object.values(ftse250TotalReturn).forEach(value => {
+      expect(typeof value).toBe('number');
+      expect(value).toBeGreaterThan(0);
+    });
+  });
+
+  it('given_year1986_when_gettingValue_then_returnsBaseValue', () => {
+    expect(ftse250TotalReturn[1986]).toBe(1412.60);
+  });
+
+  it('given_year2009_when_gettingValue_then_showsFinancialCrisis', () => {
+    expect(ftse250TotalReturn[2009] / ftse250TotalReturn[2008]).toBeLessThan(0.7);
+  });
+
+  it('given_longTerm_when_comparingToFtse100_then_midCapsGrewFaster', () => {
+    const ftse250Growth = ftse250TotalReturn[2020] / ftse250TotalReturn[1986];
+    const ftse100Growth = ftse100TotalReturn[2020] / ftse100TotalReturn[1986];
+    expect(ftse250Growth).toBeGreaterThan(ftse100Growth);
+  });
+});
+
+describe('getFTSE250TotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsValue', () => {
+    expect(getFTSE250TotalReturn(2000)).toBe(ftse250TotalReturn[2000]);
+  });
+
+  it('given_yearBeforeData_when_gettingValue_then_throwsError', () => {
+    expect(() => getFTSE250TotalReturn(1985)).toThrow('FTSE 250 Total Return data not available');
+    expect(() => getFTSE250TotalReturn(1985)).toThrow('Index data starts in 1986');
+  });
+
+  it('given_replacementSeries_when_gettingValue_then_returnsReplacement', () => {
+    const value = withMarketData({ [MARKET_SERIES.FTSE250]: { 2000: 500 } }, () => getFTSE250TotalReturn(2000));
+    expect(value).toBe(500);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_ftse250Data_when_gettingAvailableYears_then_isSorted1986To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1986);
+    expect(years[years.length - 1]).toBe(2026);
+    for (let i = 1; i < years.length; i++) {
+      expect(years[i]).toBeGreaterThan(years[i - 1]);
+    }
+  });
+});
+
+describe('getEarliestYear', () => {
+  it('given_ftse250Data_when_gettingEarliestYear_then_returns1986', () => {
+    expect(getEarliestYear()).toBe(1986);
+  });
+});
+
+describe('hasDataForYear', () => {
+  it('given_yearsInAndOutOfRange_when_checkingAvailability_then_matchesData', () => {
+    expect(hasDataForYear(1986)).toBe(true);
+    expect(hasDataForYear(2026)).toBe(true);
+    expect(hasDataForYear(1985)).toBe(false);
+    expect(hasDataForYear(2027)).toBe(false);
+  });
+});
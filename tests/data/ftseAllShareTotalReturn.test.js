@@ -0,0 +1,73 @@
+/**
+ * FTSE All-Share Total Return Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ftseAllShareTotalReturn,
+  getFTSEAllShareTotalReturn,
+  getAvailableYears,
+  getEarliestYear,
+  hasDataForYear
+} from '../../src/data/ftseAllShareTotalReturn.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('ftseAllShareTotalReturn data', () => {
+  it('given_allShareData_when_checkingStructure_then_hasAllYears1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(ftseAllShareTotalReturn[year]).toBeGreaterThan(0);
+    }
+  });
+
+  it('given_year1980_when_gettingValue_then_returnsBaseValue', () => {
+    expect(ftseAllShareTotalReturn[1980]).toBe(1000.00);
+  });
+
+  it('given_year2003_when_gettingValue_then_showsDotComCrash', () => {
+    expect(ftseAllShareTotalReturn[2003]).toBeLessThan(ftseAllShareTotalReturn[2000]);
+  });
+
+  it('given_year2009_when_gettingValue_then_showsFinancialCrisis', () => {
+    expect(ftseAllShareTotalReturn[2009]).toBeLessThan(ftseAllShareTotalReturn[2008]);
+  });
+});
+
+describe('getFTSEAllShareTotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsValue', () => {
+    expect(getFTSEAllShareTotalReturn(1982)).toBe(ftseAllShareTotalReturn[1982]);
+  });
+
+  it('given_yearOutsideData_when_gettingValue_then_throwsError', () => {
+    expect(() => getFTSEAllShareTotalReturn(1979)).toThrow('FTSE All-Share Total Return data not available');
+    expect(() => getFTSEAllShareTotalReturn(2027)).toThrow('FTSE All-Share Total Return data not available');
+  });
+
+  it('given_replacementSeries_when_gettingValue_then_returnsReplacement', () => {
+    const value = withMarketData({ [MARKET_SERIES.FTSE_ALL_SHARE]: { 2000: 500 } }, () => getFTSEAllShareTotalReturn(2000));
+    expect(value).toBe(500);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_allShareData_when_gettingAvailableYears_then_isSorted1980To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1980);
+    expect(years[years.length - 1]).toBe(2026);
+    expect(years.length).toBe(47);
+  });
+});
+
+describe('getEarliestYear', () => {
+  it('given_allShareData_when_gettingEarliestYear_then_returns1980', () => {
+    expect(getEarliestYear()).toBe(1980);
+  });
+});
+
+describe('hasDataForYear', () => {
+  it('given_yearsInAndOutOfRange_when_checkingAvailability_then_matchesData', () => {
+    expect(hasDataForYear(1980)).toBe(true);
+    expect(hasDataForYear(2026)).toBe(true);
+    expect(hasDataForYear(1979)).toBe(false);
+    expect(hasDataForYear(2027)).toBe(false);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * UK Capital Gains Tax, Dividend Tax and Savings Tax Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  capitalGainsTaxData,
+  dividendTaxData,
+  savingsTaxData,
+  getCapitalGainsTaxData,
+  getDividendTaxData,
+  getSavingsTaxData
+} from '../../src/data/investmentTaxData.js';
+
+describe('capitalGainsTaxData', () => {
+  it('given_data_when_checkingStructure_then_everyYearFrom1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(capitalGainsTaxData[year].annualExemptAmount).toBeGreaterThan(0);
+      expect(capitalGainsTaxData[year].higherRate).toBeGreaterThanOrEqual(capitalGainsTaxData[year].basicRate);
+    }
+  });
+
+  it('given_knownYears_when_gettingData_then_returnsPublishedRates', () => {
+    expect(getCapitalGainsTaxData(1985)).toEqual({ annualExemptAmount: 5900, basicRate: 0.30, higherRate: 0.30 });
+    expect(getCapitalGainsTaxData(2008)).toEqual({ annualExemptAmount: 9600, basicRate: 0.18, higherRate: 0.18 });
+    expect(getCapitalGainsTaxData(2020)).toEqual({ annualExemptAmount: 12300, basicRate: 0.10, higherRate: 0.20 });
+    expect(getCapitalGainsTaxData(2025)).toEqual({ annualExemptAmount: 3000, basicRate: 0.18, higherRate: 0.24 });
+  });
+
+  it('given_unsupportedYear_when_gettingData_then_throwsError', () => {
+    expect(() => getCapitalGainsTaxData(1979)).toThrow('Capital gains tax data not available for year 1979');
+  });
+});
+
+describe('dividendTaxData', () => {
+  it('given_data_when_checkingStructure_then_everyYearFrom1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(dividendTaxData[year].upperRate).toBeGreaterThan(dividendTaxData[year].ordinaryRate);
+    }
+  });
+
+  it('given_taxCreditYears_when_gettingData_then_onlyUpperRatePaysExtra', () => {
+    expect(getDividendTaxData(1990)).toEqual({ allowance: 0, ordinaryRate: 0, upperRate: 0.20 });
+    expect(getDividendTaxData(2015)).toEqual({ allowance: 0, ordinaryRate: 0, upperRate: 0.25 });
+  });
+
+  it('given_dividendAllowanceYears_when_gettingData_then_allowanceShrinks', () => {
+    expect(getDividendTaxData(2016).allowance).toBe(5000);
+    expect(getDividendTaxData(2018).allowance).toBe(2000);
+    expect(getDividendTaxData(2023).allowance).toBe(1000);
+    expect(getDividendTaxData(2024)).toEqual({ allowance: 500, ordinaryRate: 0.0875, upperRate: 0.3375 });
+  });
+
+  it('given_unsupportedYear_when_gettingData_then_throwsError', () => {
+    expect(() => getDividendTaxData(2027)).toThrow('Dividend tax data not available for year 2027');
+  });
+});
+
+describe('savingsTaxData', () => {
+  it('given_data_when_checkingStructure_then_everyYearFrom1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(savingsTaxData[year].basicRate).toBeGreaterThan(0);
+      expect(savingsTaxData[year].allowanceHigher).toBeLessThanOrEqual(savingsTaxData[year].allowanceBasic);
+    }
+  });
+
+  it('given_lowerRateYears_when_gettingData_then_savingsPay20PercentInBasicBand', () => {
+    expect(getSavingsTaxData(1990).basicRate).toBe(0.25);
+    expect(getSavingsTaxData(1996).basicRate).toBe(0.20);
+  });
+
+  it('given_startingRateYears_when_gettingData_then_bandAndRateMatchPublished', () => {
+    expect(getSavingsTaxData(2007).startingRateLimit).toBe(0);
+    expect(getSavingsTaxData(2008)).toMatchObject({ startingRateLimit: 2320, startingRate: 0.10 });
+    expect(getSavingsTaxData(2015)).toMatchObject({ startingRateLimit: 5000, startingRate: 0 });
+  });
+
+  it('given_personalSavingsAllowanceYears_when_gettingData_then_allowanceFrom2016', () => {
+    expect(getSavingsTaxData(2015).allowanceBasic).toBe(0);
+    expect(getSavingsTaxData(2024)).toMatchObject({ allowanceBasic: 1000, allowanceHigher: 500 });
+  });
+
+  it('given_unsupportedYear_when_gettingData_then_throwsError', () => {
+    expect(() => getSavingsTaxData(2027)).toThrow('Savings tax data not available for year 2027');
+  });
+});
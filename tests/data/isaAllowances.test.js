@@ -0,0 +1,50 @@
+/**
+ * UK PEP/ISA Subscription Limit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isaSubscriptionLimits,
+  getIsaSubscriptionLimit,
+  getWrapperName,
+  PEP_START_YEAR,
+  ISA_START_YEAR
+} from '../../src/data/isaAllowances.js';
+
+describe('isaSubscriptionLimits data', () => {
+  it('given_limits_when_checkingStructure_then_everyYearFromPepsTo2026', () => {
+    for (let year = PEP_START_YEAR; year <= 2026; year++) {
+      expect(isaSubscriptionLimits[year]).toBeGreaterThan(0);
+    }
+  });
+
+  it('given_limits_when_checkingHistory_then_neverFall', () => {
+    for (let year = PEP_START_YEAR + 1; year <= 2026; year++) {
+      expect(isaSubscriptionLimits[year]).toBeGreaterThanOrEqual(isaSubscriptionLimits[year - 1]);
+    }
+  });
+
+  it('given_knownYears_when_gettingLimit_then_returnsPublishedLimits', () => {
+    expect(getIsaSubscriptionLimit(1987)).toBe(2400);
+    expect(getIsaSubscriptionLimit(1995)).toBe(6000);
+    expect(getIsaSubscriptionLimit(1999)).toBe(7000);
+    expect(getIsaSubscriptionLimit(2014)).toBe(15000);
+    expect(getIsaSubscriptionLimit(2024)).toBe(20000);
+  });
+
+  it('given_yearBeforePeps_when_gettingLimit_then_zero', () => {
+    expect(getIsaSubscriptionLimit(1980)).toBe(0);
+    expect(getIsaSubscriptionLimit(1986)).toBe(0);
+  });
+
+  it('given_unsupportedYear_when_gettingLimit_then_throwsError', () => {
+    expect(() => getIsaSubscriptionLimit(1979)).toThrow('ISA subscription limit not available for year 1979');
+  });
+
+  it('given_year_when_gettingWrapperName_then_matchesWrapperOfTheTime', () => {
+    expect(getWrapperName(1986)).toBeNull();
+    expect(getWrapperName(PEP_START_YEAR)).toBe('PEP');
+    expect(getWrapperName(ISA_START_YEAR - 1)).toBe('PEP');
+    expect(getWrapperName(ISA_START_YEAR)).toBe('ISA');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Market Data Provider Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MARKET_SERIES, getMarketSeries, withMarketData, getMarketSeriesRead } from '../../src/data/marketData.js';
+import { getGoldPrice } from '../../src/data/goldPrices.js';
+import { getExchangeRate } from '../../src/data/exchangeRates.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+
+describe('withMarketData', () => {
+  it('given_replacementSeries_when_running_then_dataGettersUseIt', () => {
+    const price = withMarketData({ [MARKET_SERIES.GOLD]: { 2000: 123 } }, () => getGoldPrice(2000));
+
+    expect(price).toBe(123);
+  });
+
+  it('given_replacementSeries_when_finished_then_historicalDataRestored', () => {
+    const historical = getGoldPrice(2000);
+
+    withMarketData({ [MARKET_SERIES.GOLD]: { 2000: 123 } }, () => getGoldPrice(2000));
+
+    expect(getGoldPrice(2000)).toBe(historical);
+    expect(getMarketSeries(MARKET_SERIES.GOLD)).toBeNull();
+  });
+
+  it('given_functionThrows_when_running_then_historicalDataRestored', () => {
+    const historical = getGoldPrice(2000);
+
+    expect(() => withMarketData({ [MARKET_SERIES.GOLD]: {} }, () => getGoldPrice(2000)))
+      .toThrow('Gold price data not available for year 2000');
+    expect(getGoldPrice(2000)).toBe(historical);
+  });
+
+  it('given_nestedCalls_when_running_then_innerSeriesAddToOuter', () => {
+    const outer = { [MARKET_SERIES.UK_CPI]: { 2000: 100, 2001: 110 } };
+    const inner = { [MARKET_SERIES.EXCHANGE_RATES]: { 2000: 2 } };
+
+    withMarketData(outer, () => {
+      withMarketData(inner, () => {
+        expect(getExchangeRate(2000)).toBe(2);
+        expect(getInflationMultiplier(2000, 2001)).toBeCloseTo(1.1, 10);
+      });
+      expect(getExchangeRate(2000)).not.toBe(2);
+    });
+  });
+});
+
+describe('getMarketSeriesRead', () => {
+  it('given_dataGetters_when_running_then_returnsSeriesRead', () => {
+    const read = getMarketSeriesRead(() => {
+      getGoldPrice(2000);
+      getInflationMultiplier(2000, 2001);
+      getGoldPrice(2001);
+    });
+
+    expect(read).toEqual([MARKET_SERIES.GOLD, MARKET_SERIES.UK_CPI]);
+  });
+
+  it('given_nestedCalls_when_running_then_outerIncludesInnerSeries', () => {
+    let inner;
+    const outer = getMarketSeriesRead(() => {
+      getGoldPrice(2000);
+      inner = getMarketSeriesRead(() => getExchangeRate(2000));
+    });
+
+    expect(inner).toEqual([MARKET_SERIES.EXCHANGE_RATES]);
+    expect(outer).toEqual([MARKET_SERIES.GOLD, MARKET_SERIES.EXCHANGE_RATES]);
+  });
+});
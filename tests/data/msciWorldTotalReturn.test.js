@@ -0,0 +1,66 @@
+/**
+ * MSCI World Total Return Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  msciWorldTotalReturn,
+  getMSCIWorldTotalReturn,
+  getAvailableYears
+} from '../../src/data/msciWorldTotalReturn.js';
+import { sp500TotalReturn } from '../../src/data/sp500TotalReturn.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('msciWorldTotalReturn data', () => {
+  it('given_msciWorldData_when_checkingStructure_then_hasAllYears1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(msciWorldTotalReturn[year]).toBeGreaterThan(0);
+    }
+  });
+
+  it('given_year1980_when_gettingValue_then_returnsBaseValue', () => {
+    expect(msciWorldTotalReturn[1980]).toBe(100.00);
+  });
+
+  it('given_lateEighties_when_comparingToSP500_then_outperformedOnJapan', () => {
+    // Japan's bubble and the falling dollar drove non-US returns
+    const world = msciWorldTotalReturn[1990] / msciWorldTotalReturn[1985];
+    const sp500 = sp500TotalReturn[1990] / sp500TotalReturn[1985];
+    expect(world).toBeGreaterThan(sp500);
+  });
+
+  it('given_dotComBust_when_comparingValues_then_showsThreeYearBearMarket', () => {
+    expect(msciWorldTotalReturn[2001]).toBeLessThan(msciWorldTotalReturn[2000]);
+    expect(msciWorldTotalReturn[2002]).toBeLessThan(msciWorldTotalReturn[2001]);
+    expect(msciWorldTotalReturn[2003]).toBeLessThan(msciWorldTotalReturn[2002]);
+  });
+
+  it('given_year2008_when_comparingToNextYear_then_showsFinancialCrisis', () => {
+    expect(msciWorldTotalReturn[2009] / msciWorldTotalReturn[2008]).toBeLessThan(0.65);
+  });
+});
+
+describe('getMSCIWorldTotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsValue', () => {
+    expect(getMSCIWorldTotalReturn(2000)).toBe(msciWorldTotalReturn[2000]);
+  });
+
+  it('given_invalidYear_when_gettingValue_then_throwsError', () => {
+    expect(() => getMSCIWorldTotalReturn(1979)).toThrow('MSCI World Total Return data not available');
+    expect(() => getMSCIWorldTotalReturn(2027)).toThrow('MSCI World Total Return data not available');
+  });
+
+  it('given_replacementSeries_when_gettingValue_then_returnsReplacement', () => {
+    const value = withMarketData({ [MARKET_SERIES.MSCI_WORLD]: { 2000: 500 } }, () => getMSCIWorldTotalReturn(2000));
+    expect(value).toBe(500);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_msciWorldData_when_gettingAvailableYears_then_isSorted1980To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1980);
+    expect(years[years.length - 1]).toBe(2026);
+    expect(years.length).toBe(47);
+  });
+});
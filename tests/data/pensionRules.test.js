@@ -0,0 +1,53 @@
+/**
+ * UK Pension Tax-Free Cash Rules Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  pensionRules,
+  getPensionRules,
+  LIFETIME_ALLOWANCE_START_YEAR,
+  TRANSITIONAL_LIFETIME_ALLOWANCE
+} from '../../src/data/pensionRules.js';
+
+describe('pensionRules data', () => {
+  it('given_rules_when_checkingStructure_then_everyYearFromADayTo2026', () => {
+    for (let year = LIFETIME_ALLOWANCE_START_YEAR; year <= 2026; year++) {
+      expect(pensionRules[year]).toBeDefined();
+    }
+  });
+
+  it('given_lifetimeAllowanceYears_when_checkingCharge_then_55PercentUntil2023', () => {
+    for (let year = 2006; year <= 2022; year++) {
+      expect(pensionRules[year].lifetimeAllowanceChargePercent).toBe(55);
+      expect(pensionRules[year].lumpSumAllowance).toBeNull();
+    }
+    expect(pensionRules[2023].lifetimeAllowanceChargePercent).toBe(0);
+  });
+
+  it('given_2024Onwards_when_checkingRules_then_lumpSumAllowanceReplacesLifetimeAllowance', () => {
+    for (let year = 2024; year <= 2026; year++) {
+      expect(pensionRules[year].lifetimeAllowance).toBeNull();
+      expect(pensionRules[year].lumpSumAllowance).toBe(TRANSITIONAL_LIFETIME_ALLOWANCE * 0.25);
+    }
+  });
+
+  it('given_knownYears_when_gettingRules_then_returnsPublishedAllowances', () => {
+    expect(getPensionRules(2006).lifetimeAllowance).toBe(1500000);
+    expect(getPensionRules(2010).lifetimeAllowance).toBe(1800000);
+    expect(getPensionRules(2016).lifetimeAllowance).toBe(1000000);
+    expect(getPensionRules(2024).lumpSumAllowance).toBe(268275);
+  });
+
+  it('given_yearBeforeADay_when_gettingRules_then_noCap', () => {
+    expect(getPensionRules(2005)).toEqual({
+      lifetimeAllowance: null,
+      lifetimeAllowanceChargePercent: null,
+      lumpSumAllowance: null
+    });
+  });
+
+  it('given_unsupportedYear_when_gettingRules_then_throwsError', () => {
+    expect(() => getPensionRules(1979)).toThrow('Pension rules not available for year 1979');
+  });
+});
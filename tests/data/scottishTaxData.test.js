@@ -0,0 +1,49 @@
+/**
+ * Scottish Tax Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { scottishTaxData, getAvailableYears } from '../../src/data/scottishTaxData.js';
+import { ukTaxData } from '../../src/data/ukTaxData.js';
+
+describe('scottishTaxData structure', () => {
+  it('given_scottishTaxData_when_checkingYears_then_covers2017To2026', () => {
+    expect(getAvailableYears()).toEqual([2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026]);
+  });
+
+  it('given_everyYear_when_checkingBands_then_limitsRiseAndOnlyLastBandUnlimited', () => {
+    Object.values(scottishTaxData).forEach(data => {
+      const limits = data.bands.map(band => band.upTo);
+      expect(limits[limits.length - 1]).toBeNull();
+      for (let i = 1; i < limits.length - 1; i++) {
+        expect(limits[i]).toBeGreaterThan(limits[i - 1]);
+      }
+    });
+  });
+
+  it('given_everyYear_when_checkingBands_then_ratesRiseBandByBand', () => {
+    Object.values(scottishTaxData).forEach(data => {
+      for (let i = 1; i < data.bands.length; i++) {
+        expect(data.bands[i].rate).toBeGreaterThan(data.bands[i - 1].rate);
+      }
+    });
+  });
+
+  it('given_everyYear_when_checkingAllowance_then_matchesUkPersonalAllowance', () => {
+    Object.entries(scottishTaxData).forEach(([year, data]) => {
+      expect(data.personalAllowance).toBe(ukTaxData[year].personalAllowance);
+      expect(data.personalAllowanceTaperThreshold).toBe(ukTaxData[year].personalAllowanceTaperThreshold);
+    });
+  });
+
+  it('given_2018_when_checkingBands_then_fiveBandsFromStarterToTop', () => {
+    expect(scottishTaxData[2018].bands.map(band => band.key))
+      .toEqual(['starter', 'basic', 'intermediate', 'higher', 'top']);
+  });
+
+  it('given_2024_when_checkingBands_then_advancedRateAdded', () => {
+    const advanced = scottishTaxData[2024].bands.find(band => band.key === 'advanced');
+    expect(advanced.rate).toBe(0.45);
+    expect(advanced.upTo).toBe(125140);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Silver Prices Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  silverPrices,
+  getSilverPrice,
+  getAvailableYears
+} from '../../src/data/silverPrices.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('silverPrices data', () => {
+  it('given_silverPricesData_when_checkingStructure_then_hasAllYears1980To2026', () => {
+    const years = Object.keys(silverPrices).map(Number);
+    for (let year = 1980; year <= 2026; year++) {
+      expect(years).toContain(year);
+    }
+  });
+
+  it('given_silverPricesData_when_checkingValues_then_allValuesArePositiveNumbers', () => {
+    Object.values(silverPrices).forEach(price => {
+      expect(typeof price).toBe('number');
+      expect(price).toBeGreaterThan(0);
+    });
+  });
+
+  it('given_year1980_when_gettingPrice_then_showsHuntBrothersPeak', () => {
+    // Silver spiked to over $30 (about £15) in January 1980
+    expect(silverPrices[1980]).toBeGreaterThan(14);
+    expect(silverPrices[1981]).toBeLessThan(silverPrices[1980] / 2);
+  });
+
+  it('given_year2000_when_gettingPrice_then_returnsReasonableValue', () => {
+    // Silver was around £3-4 per oz in early 2000
+    expect(silverPrices[2000]).toBeGreaterThan(3);
+    expect(silverPrices[2000]).toBeLessThan(4);
+  });
+
+  it('given_year2011_when_gettingPrice_then_showsSilverBullMarket', () => {
+    expect(silverPrices[2011]).toBeGreaterThan(15);
+  });
+});
+
+describe('getSilverPrice', () => {
+  it('given_allValidYears_when_gettingPrices_then_returnsAllPrices', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(getSilverPrice(year)).toBe(silverPrices[year]);
+    }
+  });
+
+  it('given_invalidYear_when_gettingPrice_then_throwsError', () => {
+    expect(() => getSilverPrice(1979)).toThrow('Silver price data not available');
+    expect(() => getSilverPrice(2027)).toThrow('Silver price data not available');
+  });
+
+  it('given_resampledSeries_when_gettingPrice_then_usesMarketData', () => {
+    const price = withMarketData({ [MARKET_SERIES.SILVER]: { 2000: 12 } }, () => getSilverPrice(2000));
+    expect(price).toBe(12);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_silverPricesData_when_gettingAvailableYears_then_isSorted1980To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1980);
+    expect(years[years.length - 1]).toBe(2026);
+    for (let i = 1; i < years.length; i++) {
+      expect(years[i]).toBeGreaterThan(years[i - 1]);
+    }
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * UK State Pension Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  STATE_PENSION_SCHEMES,
+  basicStatePensionRates,
+  newStatePensionRates,
+  getStatePensionScheme,
+  getTripleLockRate,
+  getStatePensionWeeklyRate
+} from '../../src/data/statePension.js';
+
+describe('statePension data', () => {
+  it('given_basicRates_when_checkingStructure_then_everyYearFrom1980To2026Rising', () => {
+    for (let year = 1981; year <= 2026; year++) {
+      expect(basicStatePensionRates[year]).toBeGreaterThan(basicStatePensionRates[year - 1]);
+    }
+  });
+
+  it('given_newRates_when_checkingStructure_then_startsIn2016AboveBasicRate', () => {
+    expect(newStatePensionRates[2015]).toBeUndefined();
+    for (let year = 2016; year <= 2026; year++) {
+      expect(newStatePensionRates[year]).toBeGreaterThan(basicStatePensionRates[year]);
+    }
+  });
+
+  it('given_statePensionYear_when_gettingScheme_then_newFromApril2016', () => {
+    expect(getStatePensionScheme(2015)).toBe(STATE_PENSION_SCHEMES.BASIC);
+    expect(getStatePensionScheme(2016)).toBe(STATE_PENSION_SCHEMES.NEW);
+  });
+
+  it('given_knownYear_when_gettingWeeklyRate_then_returnsPublishedRate', () => {
+    expect(getStatePensionWeeklyRate(2024, 'new')).toBe(221.20);
+    expect(getStatePensionWeeklyRate(2000, 'basic')).toBe(67.50);
+  });
+
+  it('given_yearAfterData_when_gettingWeeklyRate_then_projectedWithTripleLock', () => {
+    const expected = newStatePensionRates[2026] * Math.pow(1 + getTripleLockRate() / 100, 3);
+
+    expect(getStatePensionWeeklyRate(2029, 'new')).toBeCloseTo(expected, 6);
+  });
+
+  it('given_assumptions_when_gettingTripleLockRate_then_highestOfThreeWins', () => {
+    expect(getTripleLockRate({
+      projectedEarningsGrowthPercent: 1,
+      projectedInflationPercent: 1.5,
+      tripleLockFloorPercent: 2.5
+    })).toBe(2.5);
+    expect(getTripleLockRate({
+      projectedEarningsGrowthPercent: 4,
+      projectedInflationPercent: 6,
+      tripleLockFloorPercent: 2.5
+    })).toBe(6);
+  });
+
+  it('given_newSchemeBefore2016OrUnknownScheme_when_gettingWeeklyRate_then_throwsError', () => {
+    expect(() => getStatePensionWeeklyRate(2010, 'new')).toThrow('State pension data not available for year 2010');
+    expect(() => getStatePensionWeeklyRate(2020, 'serps')).toThrow('Unknown state pension scheme: serps');
+  });
+});
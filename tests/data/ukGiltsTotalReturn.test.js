@@ -0,0 +1,92 @@
+/**
+ * UK Conventional Gilts Total Return Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ukGiltsTotalReturn,
+  ukLongGiltsTotalReturn,
+  getUKGiltsTotalReturn,
+  getUKLongGiltsTotalReturn,
+  getAvailableYears
+} from '../../src/data/ukGiltsTotalReturn.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('ukGiltsTotalReturn data', () => {
+  it('given_giltsData_when_checkingStructure_then_bothSeriesHaveAllYears1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(ukGiltsTotalReturn[year]).toBeGreaterThan(0);
+      expect(ukLongGiltsTotalReturn[year]).toBeGreaterThan(0);
+    }
+  });
+
+  it('given_year1980_when_gettingValue_then_returnsBaseValue', () => {
+    expect(ukGiltsTotalReturn[1980]).toBe(100.00);
+    expect(ukLongGiltsTotalReturn[1980]).toBe(100.00);
+  });
+
+  it('given_year1982_when_comparingToNextYear_then_showsRally', () => {
+    // Yields fell sharply as inflation came down
+    expect(ukGiltsTotalReturn[1983] / ukGiltsTotalReturn[1982]).toBeGreaterThan(1.4);
+  });
+
+  it('given_year1994_when_comparingToNextYear_then_showsBondCrash', () => {
+    expect(ukGiltsTotalReturn[1995]).toBeLessThan(ukGiltsTotalReturn[1994]);
+    expect(ukLongGiltsTotalReturn[1995]).toBeLessThan(ukLongGiltsTotalReturn[1994]);
+  });
+
+  it('given_year2022_when_comparingToNextYear_then_longGiltsFellFurther', () => {
+    // Rate rises and the mini-budget crisis hit long duration hardest
+    const allStocksReturn = ukGiltsTotalReturn[2023] / ukGiltsTotalReturn[2022];
+    const longReturn = ukLongGiltsTotalReturn[2023] / ukLongGiltsTotalReturn[2022];
+
+    expect(allStocksReturn).toBeLessThan(0.8);
+    expect(longReturn).toBeLessThan(0.65);
+    expect(longReturn).toBeLessThan(allStocksReturn);
+  });
+
+  it('given_longTerm_when_comparingValues_then_showsOverallUpwardTrend', () => {
+    expect(ukGiltsTotalReturn[2026] / ukGiltsTotalReturn[1980]).toBeGreaterThan(20);
+    expect(ukLongGiltsTotalReturn[2026] / ukLongGiltsTotalReturn[1980]).toBeGreaterThan(20);
+  });
+});
+
+describe('getUKGiltsTotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsValue', () => {
+    expect(getUKGiltsTotalReturn(2000)).toBe(ukGiltsTotalReturn[2000]);
+  });
+
+  it('given_invalidYear_when_gettingValue_then_throwsError', () => {
+    expect(() => getUKGiltsTotalReturn(1979)).toThrow('UK Gilts Total Return data not available');
+    expect(() => getUKGiltsTotalReturn(2027)).toThrow('UK Gilts Total Return data not available');
+  });
+
+  it('given_replacementSeries_when_gettingValue_then_returnsReplacement', () => {
+    const value = withMarketData({ [MARKET_SERIES.UK_GILTS]: { 2000: 500 } }, () => getUKGiltsTotalReturn(2000));
+    expect(value).toBe(500);
+  });
+});
+
+describe('getUKLongGiltsTotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsValue', () => {
+    expect(getUKLongGiltsTotalReturn(2000)).toBe(ukLongGiltsTotalReturn[2000]);
+  });
+
+  it('given_invalidYear_when_gettingValue_then_throwsError', () => {
+    expect(() => getUKLongGiltsTotalReturn(1979)).toThrow('UK Long Gilts Total Return data not available');
+  });
+
+  it('given_replacementSeries_when_gettingValue_then_returnsReplacement', () => {
+    const value = withMarketData({ [MARKET_SERIES.UK_LONG_GILTS]: { 2000: 500 } }, () => getUKLongGiltsTotalReturn(2000));
+    expect(value).toBe(500);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_giltsData_when_gettingAvailableYears_then_isSorted1980To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1980);
+    expect(years[years.length - 1]).toBe(2026);
+    expect(years.length).toBe(47);
+  });
+});
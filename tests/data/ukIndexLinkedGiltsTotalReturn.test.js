@@ -0,0 +1,62 @@
+/**
+ * UK Index-Linked Gilts Total Return Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ukIndexLinkedGiltsTotalReturn,
+  getUKIndexLinkedGiltsTotalReturn,
+  getAvailableYears
+} from '../../src/data/ukIndexLinkedGiltsTotalReturn.js';
+import { withMarketData, MARKET_SERIES } from '../../src/data/marketData.js';
+
+describe('ukIndexLinkedGiltsTotalReturn data', () => {
+  it('given_indexLinkedData_when_checkingStructure_then_hasAllYears1982To2026', () => {
+    for (let year = 1982; year <= 2026; year++) {
+      expect(ukIndexLinkedGiltsTotalReturn[year]).toBeGreaterThan(0);
+    }
+  });
+
+  it('given_indexLinkedData_when_checkingStructure_then_startsAfterFirstIssue', () => {
+    // The first index-linked gilt was issued in March 1981
+    expect(ukIndexLinkedGiltsTotalReturn[1981]).toBeUndefined();
+    expect(ukIndexLinkedGiltsTotalReturn[1982]).toBe(100.00);
+  });
+
+  it('given_year2022_when_comparingToNextYear_then_showsRealYieldShock', () => {
+    // Long real-yield duration lost about a third despite high inflation
+    expect(ukIndexLinkedGiltsTotalReturn[2023] / ukIndexLinkedGiltsTotalReturn[2022]).toBeLessThan(0.7);
+  });
+
+  it('given_longTerm_when_comparingValues_then_showsOverallUpwardTrend', () => {
+    expect(ukIndexLinkedGiltsTotalReturn[2026] / ukIndexLinkedGiltsTotalReturn[1982]).toBeGreaterThan(5);
+  });
+});
+
+describe('getUKIndexLinkedGiltsTotalReturn', () => {
+  it('given_validYear_when_gettingValue_then_returnsValue', () => {
+    expect(getUKIndexLinkedGiltsTotalReturn(2000)).toBe(ukIndexLinkedGiltsTotalReturn[2000]);
+  });
+
+  it('given_yearBeforeFirstIssue_when_gettingValue_then_throwsError', () => {
+    expect(() => getUKIndexLinkedGiltsTotalReturn(1981))
+      .toThrow('UK Index-Linked Gilts Total Return data not available for year 1981');
+  });
+
+  it('given_replacementSeries_when_gettingValue_then_returnsReplacement', () => {
+    const value = withMarketData(
+      { [MARKET_SERIES.UK_INDEX_LINKED_GILTS]: { 2000: 500 } },
+      () => getUKIndexLinkedGiltsTotalReturn(2000)
+    );
+    expect(value).toBe(500);
+  });
+});
+
+describe('getAvailableYears', () => {
+  it('given_indexLinkedData_when_gettingAvailableYears_then_isSorted1982To2026', () => {
+    const years = getAvailableYears();
+    expect(years[0]).toBe(1982);
+    expect(years[years.length - 1]).toBe(2026);
+    expect(years.length).toBe(45);
+  });
+});
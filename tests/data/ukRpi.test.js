@@ -0,0 +1,46 @@
+/**
+ * UK RPI Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ukRpiIndex,
+  ukRpiInflationRates,
+  getRpiMultiplier,
+  getRpiInflationRate
+} from '../../src/data/ukRpi.js';
+import { getInflationMultiplier } from '../../src/data/ukCpi.js';
+
+describe('ukRpi data', () => {
+  it('given_rpiData_when_checkingStructure_then_containsEveryYearFrom1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(ukRpiInflationRates[year]).toBeDefined();
+      expect(ukRpiIndex[year]).toBeGreaterThan(0);
+    }
+    expect(ukRpiIndex[1980]).toBe(100);
+  });
+
+  it('given_index_when_compounded_then_matchesYearlyRates', () => {
+    expect(ukRpiIndex[1981]).toBeCloseTo(118, 6);
+    expect(ukRpiIndex[2023] / ukRpiIndex[2022]).toBeCloseTo(1.116, 6);
+  });
+
+  it('given_multiplier_when_yearsAreSame_then_returnsOne', () => {
+    expect(getRpiMultiplier(2000, 2000)).toBe(1);
+  });
+
+  it('given_2009_when_gettingMultiplier_then_rpiFell', () => {
+    expect(getRpiInflationRate(2009)).toBe(-0.5);
+    expect(getRpiMultiplier(2009, 2010)).toBeCloseTo(0.995, 6);
+  });
+
+  it('given_longPeriod_when_comparedWithCpi_then_rpiRoseFaster', () => {
+    expect(getRpiMultiplier(2000, 2024)).toBeGreaterThan(getInflationMultiplier(2000, 2024));
+  });
+
+  it('given_invalidYear_when_called_then_throwsError', () => {
+    expect(() => getRpiMultiplier(1979, 2020)).toThrow('RPI data not available');
+    expect(() => getRpiMultiplier(2020, 2027)).toThrow('RPI data not available');
+    expect(() => getRpiInflationRate(2027)).toThrow('RPI inflation rate data not available for year 2027');
+  });
+});
@@ -8,8 +8,10 @@ import {
   getTaxData,
   getPersonalAllowance,
   hasAdditionalRate,
-  getAvailableYears
+  getAvailableYears,
+  TAX_RESIDENCIES
 } from '../../src/data/ukTaxData.js';
+import { scottishTaxData } from '../../src/data/scottishTaxData.js';
 
 describe('ukTaxData structure', () => {
   it('given_ukTaxData_when_checkingStructure_then_hasAllYears2000To2026', () => {
@@ -180,3 +182,41 @@ describe('getAvailableYears', () => {
     expect(years).toHaveLength(47); // 1980-2026 inclusive
   });
 });
+
+describe('getTaxData by residency', () => {
+  it('given_scotlandFrom2017_when_gettingData_then_returnsScottishBands', () => {
+    expect(getTaxData(2024, TAX_RESIDENCIES.SCOTLAND)).toBe(scottishTaxData[2024]);
+  });
+
+  it('given_scotlandBefore2017_when_gettingData_then_returnsUkData', () => {
+    expect(getTaxData(2016, TAX_RESIDENCIES.SCOTLAND)).toBe(ukTaxData[2016]);
+  });
+
+  it('given_noResidency_when_gettingData_then_returnsUkData', () => {
+    expect(getTaxData(2024)).toBe(ukTaxData[2024]);
+  });
+
+  it('given_unknownResidency_when_gettingData_then_throwsError', () => {
+    expect(() => getTaxData(2024, 'wales')).toThrow('Unknown tax residency: wales');
+  });
+});
+
+describe('higher rate ladder (1980-1987)', () => {
+  it('given_1980sYears_when_checkingBands_then_basicBandThenFiveHigherRates', () => {
+    for (let year = 1980; year <= 1987; year++) {
+      const { bands, basicRate, basicRateLimit } = ukTaxData[year];
+      expect(bands.map(band => band.rate)).toEqual([basicRate, 0.40, 0.45, 0.50, 0.55, 0.60]);
+      expect(bands[0].upTo).toBe(basicRateLimit);
+      expect(bands[bands.length - 1].upTo).toBeNull();
+      for (let i = 1; i < bands.length - 1; i++) {
+        expect(bands[i].upTo).toBeGreaterThan(bands[i - 1].upTo);
+      }
+    }
+  });
+
+  it('given_1988Onwards_when_checkingData_then_noBandList', () => {
+    for (let year = 1988; year <= 2026; year++) {
+      expect(ukTaxData[year].bands).toBeUndefined();
+    }
+  });
+});
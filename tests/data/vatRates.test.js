@@ -0,0 +1,40 @@
+/**
+ * VAT Rates Data Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { vatStandardRates, getVatRate } from '../../src/data/vatRates.js';
+
+describe('vatStandardRates data', () => {
+  it('given_vatRatesData_when_checkingStructure_then_hasAllYears1980To2026', () => {
+    for (let year = 1980; year <= 2026; year++) {
+      expect(vatStandardRates[year]).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('getVatRate', () => {
+  it('given_1980s_when_gettingRate_then_returns15', () => {
+    expect(getVatRate(1980)).toBe(15);
+    expect(getVatRate(1990)).toBe(15);
+  });
+
+  it('given_1991To2008_when_gettingRate_then_returns17Point5', () => {
+    expect(getVatRate(1991)).toBe(17.5);
+    expect(getVatRate(2008)).toBe(17.5);
+  });
+
+  it('given_2009_when_gettingRate_then_returnsTemporaryCut', () => {
+    expect(getVatRate(2009)).toBe(15);
+    expect(getVatRate(2010)).toBe(17.5);
+  });
+
+  it('given_2011Onwards_when_gettingRate_then_returns20', () => {
+    expect(getVatRate(2011)).toBe(20);
+    expect(getVatRate(2026)).toBe(20);
+  });
+
+  it('given_invalidYear_when_gettingRate_then_throwsError', () => {
+    expect(() => getVatRate(1979)).toThrow('VAT rate not available for year 1979');
+  });
+});
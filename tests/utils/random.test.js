@@ -0,0 +1,44 @@
+/**
+ * Seeded Random Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSeededRandom, randomInt } from '../../src/utils/random.js';
+
+describe('createSeededRandom', () => {
+  it('given_sameSeed_when_generating_then_returnsSameSequence', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+
+    for (let i = 0; i < 10; i++) {
+      expect(a()).toBe(b());
+    }
+  });
+
+  it('given_differentSeeds_when_generating_then_sequencesDiffer', () => {
+    expect(createSeededRandom(1)()).not.toBe(createSeededRandom(2)());
+  });
+
+  it('given_manyDraws_when_generating_then_valuesInUnitInterval', () => {
+    const random = createSeededRandom(7);
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('randomInt', () => {
+  it('given_max_when_drawing_then_returnsIntegerBelowMax', () => {
+    const random = createSeededRandom(3);
+
+    for (let i = 0; i < 100; i++) {
+      const value = randomInt(random, 5);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(5);
+    }
+  });
+});